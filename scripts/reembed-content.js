@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+
+/**
+ * Re-embed FAQ, context and template content whose embeddings are missing
+ * or were made with another model than their business uses now
+ * Run with: npm run embeddings:reembed -- [--business <id>] [--force]
+ */
+
+require("dotenv").config();
+const { sequelize } = require("../src/models");
+const EmbeddingService = require("../src/services/embeddingService");
+
+function parseArgs(argv) {
+    const options = { force: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === "--force") {
+            options.force = true;
+        } else if (argv[i] === "--business") {
+            options.businessId = parseInt(argv[++i], 10);
+        }
+    }
+    return options;
+}
+
+async function reembedContent() {
+    const options = parseArgs(process.argv.slice(2));
+    const embeddingService = new EmbeddingService();
+
+    console.log(
+        options.businessId
+            ? `Re-embedding content of business ${options.businessId}...`
+            : "Re-embedding content of all businesses..."
+    );
+
+    const summary = await embeddingService.reembedStale(options);
+
+    for (const [type, counts] of Object.entries(summary)) {
+        console.log(
+            `  ${type}: ${counts.checked} checked, ${counts.updated} updated, ` +
+                `${counts.failed} failed`
+        );
+    }
+
+    await sequelize.close();
+    const failed = Object.values(summary).some((counts) => counts.failed > 0);
+    process.exit(failed ? 1 : 0);
+}
+
+reembedContent().catch((error) => {
+    console.error("Re-embedding failed:", error.message);
+    process.exit(1);
+});
@@ -11,6 +11,10 @@ const { logger } = require("./config/logger");
 
 // Import database connection
 const db = require("./models");
+const WebhookController = require("./controllers/WebhookController");
+const AppointmentReminderService = require("./services/appointmentReminderService");
+
+const appointmentReminders = new AppointmentReminderService();
 
 // Import routes
 const businessRoutes = require("./routes/business");
@@ -28,6 +32,15 @@ const businessSettingsRoutes = require("./routes/businessSettings");
 const businessSettingsFaqRoutes = require("./routes/businessSettingsFaq");
 const businessSettingsToolsRoutes = require("./routes/businessSettingsTools");
 const businessSettingsCalendarRoutes = require("./routes/businessSettingsCalendar");
+const businessSettingsAIRoutes = require("./routes/businessSettingsAI");
+const businessSettingsDisclosureRoutes = require("./routes/businessSettingsDisclosure");
+const businessSettingsFunnelRoutes = require("./routes/businessSettingsFunnel");
+const appointmentsRoutes = require("./routes/appointments");
+const leadsRoutes = require("./routes/leads");
+const agentInboxRoutes = require("./routes/agentInbox");
+const businessSettingsWidgetRoutes = require("./routes/businessSettingsWidget");
+const businessSettingsMessengerRoutes = require("./routes/businessSettingsMessenger");
+const widgetRoutes = require("./routes/widget");
 const businessTemplatesRoutes = require("./routes/businessTemplates");
 const businessContextsRoutes = require("./routes/businessContexts");
 const chatbotTestingRoutes = require("./routes/chatbotTesting");
@@ -41,18 +54,23 @@ const PORT = process.env.PORT || 3001;
 app.use(helmet());
 
 // CORS configuration
-app.use(
-    cors({
-        origin:
-            process.env.NODE_ENV === "production"
-                ? process.env.FRONTEND_URL
-                : [
-                      "http://localhost:3000",
-                      "http://localhost:3001",
-                      "http://localhost:5173",
-                  ],
-        credentials: true,
-    })
+// The website widget routes answer CORS themselves, for the origins each
+// widget allows
+const corsMiddleware = cors({
+    origin:
+        process.env.NODE_ENV === "production"
+            ? process.env.FRONTEND_URL
+            : [
+                  "http://localhost:3000",
+                  "http://localhost:3001",
+                  "http://localhost:5173",
+              ],
+    credentials: true,
+});
+app.use((req, res, next) =>
+    req.path.startsWith("/api/widget/")
+        ? next()
+        : corsMiddleware(req, res, next)
 );
 
 // Rate limiting
@@ -63,10 +81,12 @@ const limiter = rateLimit({
         error: "Too many requests from this IP, please try again later.",
     },
     skip: (req) => {
-        // Skip rate limiting for webhook endpoints and chat endpoint
+        // Skip rate limiting for webhook endpoints and chat endpoint; the
+        // website widget routes have their own limit
         return (
             req.path.startsWith("/webhooks/") ||
-            req.path.startsWith("/api/test-chat")
+            req.path.startsWith("/api/test-chat") ||
+            req.originalUrl.startsWith("/api/widget/")
         );
     },
 });
@@ -79,7 +99,16 @@ app.use(compression());
 app.use(morgan(process.env.NODE_ENV === "production" ? "combined" : "dev"));
 
 // Body parsing middleware
-app.use(express.json({ limit: "10mb" }));
+// The raw body is kept so webhook signatures (X-Hub-Signature-256) can be
+// verified against the exact bytes that were signed
+app.use(
+    express.json({
+        limit: "10mb",
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        },
+    })
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 /**
@@ -159,6 +188,14 @@ app.use("/api/business", businessSettingsRoutes);
 app.use("/api/business/faqs", businessSettingsFaqRoutes);
 app.use("/api/business/tool-functions", businessSettingsToolsRoutes);
 app.use("/api/business/calendar-settings", businessSettingsCalendarRoutes);
+app.use("/api/business/ai-settings", businessSettingsAIRoutes);
+app.use("/api/business/ai-disclosure", businessSettingsDisclosureRoutes);
+app.use("/api/business/funnel", businessSettingsFunnelRoutes);
+app.use("/api/business/appointments", appointmentsRoutes);
+app.use("/api/business/leads", leadsRoutes);
+app.use("/api/business/inbox", agentInboxRoutes);
+app.use("/api/business/widgets", businessSettingsWidgetRoutes);
+app.use("/api/business/messenger-pages", businessSettingsMessengerRoutes);
 
 // Dual-context system routes
 app.use("/api/v1/businesses", businessTemplatesRoutes);
@@ -166,6 +203,9 @@ app.use("/api/v1/businesses", businessContextsRoutes);
 app.use("/api/v1/chatbot-testing", chatbotTestingRoutes);
 app.use("/api/unanswered-questions", unansweredQuestionsRoutes); // Unanswered questions management
 
+// Website chat widget: embed script and visitor session API
+app.use("/api/widget", widgetRoutes);
+
 // Chat API routes
 console.log("Loading chat routes...");
 app.use("/api/test-chat", chatRoutes); // Chat endpoint at /api/test-chat
@@ -285,6 +325,11 @@ const startServer = async () => {
                     healthCheck: `http://localhost:${PORT}/health`,
                 });
             });
+
+            // Process persisted webhook events and queued replies
+            WebhookController.startWorkers();
+            // Send appointment reminders and follow-ups as they fall due
+            appointmentReminders.start();
         }
     } catch (error) {
         logger.error("Unable to start server", {
@@ -298,12 +343,16 @@ const startServer = async () => {
 // Graceful shutdown
 process.on("SIGTERM", async () => {
     console.log("SIGTERM received, shutting down gracefully");
+    WebhookController.stopWorkers();
+    appointmentReminders.stop();
     await db.sequelize.close();
     process.exit(0);
 });
 
 process.on("SIGINT", async () => {
     console.log("SIGINT received, shutting down gracefully");
+    WebhookController.stopWorkers();
+    appointmentReminders.stop();
     await db.sequelize.close();
     process.exit(0);
 });
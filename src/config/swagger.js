@@ -764,6 +764,24 @@ const options = {
                 name: "Unanswered Questions",
                 description: "Unanswered questions management and FAQ creation",
             },
+            {
+                name: "Appointments",
+                description: "Appointment availability and booking endpoints",
+            },
+            {
+                name: "Leads",
+                description: "Sales pipeline, lead stages and stage history",
+            },
+            {
+                name: "Agent Inbox",
+                description:
+                    "Conversations needing a person, agent takeover and replies",
+            },
+            {
+                name: "Website Widget",
+                description:
+                    "Embeddable chat widget script and its public visitor session API",
+            },
         ],
     },
     apis: [
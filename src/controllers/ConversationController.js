@@ -1,6 +1,15 @@
-const { Conversation, Message, Lead, Client, Activity } = require("../models");
+const {
+    Conversation,
+    Message,
+    Lead,
+    Client,
+    Activity,
+    PlatformSource,
+} = require("../models");
 const { Op } = require("sequelize");
-const axios = require("axios");
+const MessageDeliveryService = require("../services/messageDeliveryService");
+
+const messageDelivery = new MessageDeliveryService();
 
 class ConversationController {
     static async getConversations(req, res) {
@@ -188,16 +197,8 @@ class ConversationController {
 
             const conversation = await Conversation.findByPk(id, {
                 include: [
-                    {
-                        model: Client,
-                        as: "client",
-                        include: [
-                            {
-                                model: require("../models").InstagramConnection,
-                                as: "instagramConnection",
-                            },
-                        ],
-                    },
+                    { model: Client, as: "client" },
+                    { model: PlatformSource, as: "platformSource" },
                 ],
             });
 
@@ -208,44 +209,22 @@ class ConversationController {
                 });
             }
 
-            // Send message via Instagram API
-            const connection = conversation.client.instagramConnection;
-            if (connection && connection.status === "active") {
-                try {
-                    await axios.post(
-                        "https://graph.facebook.com/v18.0/me/messages",
-                        {
-                            recipient: { id: conversation.userId },
-                            message: { text: message },
-                        },
-                        {
-                            params: { access_token: connection.accessToken },
-                        }
-                    );
-                } catch (apiError) {
-                    console.error(
-                        "Failed to send Instagram message:",
-                        apiError.response?.data
-                    );
-                    return res.status(500).json({
-                        success: false,
-                        error: "Failed to send message via Instagram",
-                    });
-                }
-            }
-
-            // Save message to database
-            const newMessage = await Message.create({
-                conversationId: id,
-                clientId: conversation.clientId,
+            // Record the message as queued, then try to send it right away.
+            // A failed send stays queued and is retried by the delivery worker.
+            const newMessage = await messageDelivery.queueMessage({
+                conversationId: conversation.id,
+                platformSourceId: conversation.source_id,
+                recipientId: conversation.client?.platform_user_id,
+                text: message,
                 senderType,
-                messageText: message,
-                timestamp: new Date(),
-                isAutomated: senderType === "bot",
             });
+            await messageDelivery.deliver(newMessage, conversation.platformSource);
 
             // Update conversation
-            await conversation.incrementMessageCount();
+            await conversation.update({
+                message_count: conversation.message_count + 1,
+                last_activity: new Date(),
+            });
 
             res.json({
                 success: true,
@@ -1,21 +1,61 @@
 const { Op } = require("sequelize");
-const {
-    Conversation,
-    Message,
-    Client,
-    PlatformSource,
-    Business,
-} = require("../models");
+const { PlatformSource, Business } = require("../models");
 const axios = require("axios");
-const AIMessageProcessor = require("../services/AIMessageProcessor");
+const ConversationEngine = require("../services/conversationEngine");
+const InstagramChannelAdapter = require("../services/conversationEngine/instagramChannelAdapter");
+const EmailChannelAdapter = require("../services/conversationEngine/emailChannelAdapter");
+const PlatformRoutingService = require("../services/platformRoutingService");
+const WebhookInboxService = require("../services/webhookInboxService");
+const MessageDeliveryService = require("../services/messageDeliveryService");
+const {
+    WHATSAPP_OBJECT,
+    getPhoneNumberId,
+    toMessagingEvents,
+} = require("../services/whatsappCloudApi");
+const telegramBotApi = require("../services/telegramBotApi");
+const messengerPlatform = require("../services/messengerPlatform");
+const emailMime = require("../services/emailMime");
+
+const platformRoutingService = new PlatformRoutingService();
+const messageDelivery = new MessageDeliveryService();
+const conversationEngine = new ConversationEngine();
+
+// Receipt fields of a messaging event and the delivery status they record
+const RECEIPT_TYPES = {
+    delivery: "delivered",
+    read: "read",
+    failure: "failed",
+};
+
+// Events are persisted to the inbox before the 200 is returned and
+// processed by a worker, so a crash or deploy cannot lose them
+const webhookInbox = new WebhookInboxService({
+    handler: (inboxEvent) => WebhookController.processInboxEvent(inboxEvent),
+    onDeadLetter: (inboxEvent) =>
+        WebhookController.handleDeadLetter(inboxEvent),
+});
 
 class WebhookController {
-    constructor() {
-        this.aiProcessor = new AIMessageProcessor();
-    }
-
     // Verify webhook endpoint
     static async verifyWebhook(req, res) {
+        WebhookController.verifySubscription(
+            req,
+            res,
+            process.env.VERIFY_TOKEN
+        );
+    }
+
+    // Verify the WhatsApp webhook, which may use its own verify token
+    static async verifyWhatsAppWebhook(req, res) {
+        WebhookController.verifySubscription(
+            req,
+            res,
+            process.env.WHATSAPP_VERIFY_TOKEN || process.env.VERIFY_TOKEN
+        );
+    }
+
+    // Answer a Meta subscription challenge when the verify token matches
+    static verifySubscription(req, res, verifyToken) {
         const mode = req.query["hub.mode"];
         const token = req.query["hub.verify_token"];
         const challenge = req.query["hub.challenge"];
@@ -23,7 +63,7 @@ class WebhookController {
         // Check if a token and mode is in the query string of the request
         if (mode && token) {
             // Check the mode and token sent is correct
-            if (mode === "subscribe" && token === process.env.VERIFY_TOKEN) {
+            if (mode === "subscribe" && token === verifyToken) {
                 // Respond with the challenge token from the request
                 console.log("WEBHOOK_VERIFIED");
                 res.status(200).send(challenge);
@@ -37,14 +77,19 @@ class WebhookController {
         }
     }
 
-    // Handle incoming webhook events
+    // Handle incoming Instagram and Messenger webhook events. Page events
+    // have the Instagram shape; only their postbacks are mapped onto
+    // messages first.
     static async handleWebhook(req, res) {
         const body = req.body;
+        const platformType = messengerPlatform.getPlatformType(body.object);
+
+        // Check if this is an event from an Instagram or Page subscription
+        if (platformType) {
+            const entries = Array.isArray(body.entry) ? body.entry : [];
 
-        // Check if this is an event from a page subscription
-        if (body.object === "instagram") {
             // Iterate over each entry - there may be multiple if batched
-            body.entry.forEach(async function (entry) {
+            for (const entry of entries) {
                 // Check if messaging array exists and has content
                 if (
                     !entry.messaging ||
@@ -52,12 +97,16 @@ class WebhookController {
                     entry.messaging.length === 0
                 ) {
                     console.log("No messaging events in entry");
-                    return;
+                    continue;
                 }
 
                 // Get the webhook event. entry.messaging is an array, but
                 // will only ever contain one event, so we get index 0
                 let webhook_event = entry.messaging[0];
+                if (platformType === "facebook") {
+                    webhook_event =
+                        messengerPlatform.toMessagingEvent(webhook_event);
+                }
                 console.log(webhook_event);
 
                 // Check if webhook_event has required properties
@@ -67,204 +116,461 @@ class WebhookController {
                     !webhook_event.sender.id
                 ) {
                     console.log("Invalid webhook event structure");
-                    return;
+                    continue;
                 }
 
                 // Get the sender PSID
                 let sender_psid = webhook_event.sender.id;
                 console.log("Sender PSID: " + sender_psid);
 
-                // Check if the event is a message or postback and
-                // pass the event to the appropriate handler function
-                if (webhook_event.message) {
-                    await WebhookController.handleMessage(
-                        sender_psid,
-                        webhook_event.message
-                    );
-                } else if (webhook_event.postback) {
-                    await WebhookController.handlePostback(
-                        sender_psid,
-                        webhook_event.postback
-                    );
+                // Resolve which business owns the receiving account
+                const platformSource = await WebhookController.routeEntry(
+                    platformType,
+                    entry,
+                    webhook_event
+                );
+                if (!platformSource) {
+                    continue;
                 }
-            });
+
+                const accepted = await WebhookController.acceptEvent(
+                    platformType,
+                    platformSource,
+                    webhook_event
+                );
+                if (!accepted) {
+                    // Not persisted: fail so Meta redelivers the batch.
+                    // Entries already stored are deduplicated on retry.
+                    return res.sendStatus(500);
+                }
+            }
+
+            webhookInbox.trigger();
 
             // Return a '200 OK' response to all events
             res.status(200).send("EVENT_RECEIVED");
         } else {
-            // Return a '404 Not Found' if event is not from a page subscription
+            // Return a '404 Not Found' for other webhook products
             res.sendStatus(404);
         }
     }
 
-    // Handles messages events
-    static async handleMessage(sender_psid, received_message) {
-        try {
-            // Use the enhanced AI message handling
-            await WebhookController.handleMessageWithAI(
-                sender_psid,
-                received_message,
-                null // platformSourceId will be determined in the method
+    // Handle incoming WhatsApp Cloud API webhook events. Messages and status
+    // updates are mapped onto Instagram-style messaging events and follow
+    // the same path from there.
+    static async handleWhatsAppWebhook(req, res) {
+        const body = req.body;
+
+        if (body.object !== WHATSAPP_OBJECT) {
+            return res.sendStatus(404);
+        }
+
+        const entries = Array.isArray(body.entry) ? body.entry : [];
+        for (const entry of entries) {
+            const changes = Array.isArray(entry.changes) ? entry.changes : [];
+
+            for (const change of changes) {
+                if (change.field !== "messages") continue;
+
+                const events = toMessagingEvents(change.value);
+                if (events.length === 0) continue;
+
+                // Every event of a change was sent to the same phone number
+                const platformSource = await WebhookController.routeEntry(
+                    "whatsapp",
+                    entry,
+                    events[0],
+                    getPhoneNumberId(change)
+                );
+                if (!platformSource) continue;
+
+                for (const webhook_event of events) {
+                    const accepted = await WebhookController.acceptEvent(
+                        "whatsapp",
+                        platformSource,
+                        webhook_event
+                    );
+                    if (!accepted) {
+                        // Not persisted: fail so Meta redelivers the batch
+                        return res.sendStatus(500);
+                    }
+                }
+            }
+        }
+
+        webhookInbox.trigger();
+
+        res.status(200).send("EVENT_RECEIVED");
+    }
+
+    // Handle an update for the Telegram bot in the URL. The update is mapped
+    // onto an Instagram-style messaging event and follows the same path.
+    static async handleTelegramWebhook(req, res) {
+        const botId = req.params.botId;
+        const webhook_event = telegramBotApi.toMessagingEvent(req.body, botId);
+
+        // Telegram redelivers anything not answered with 2xx, so updates
+        // there is nothing to do with are acknowledged too
+        if (!webhook_event) {
+            return res.status(200).send("EVENT_RECEIVED");
+        }
+
+        const platformSource = await WebhookController.routeEntry(
+            "telegram",
+            req.body,
+            webhook_event,
+            botId
+        );
+        if (!platformSource) {
+            return res.status(200).send("EVENT_RECEIVED");
+        }
+
+        const accepted = await WebhookController.acceptEvent(
+            "telegram",
+            platformSource,
+            webhook_event
+        );
+        if (!accepted) {
+            // Not persisted: fail so Telegram redelivers the update
+            return res.sendStatus(500);
+        }
+
+        if (webhook_event.callback_query) {
+            await messageDelivery.answerCallbackQuery(
+                platformSource,
+                webhook_event.callback_query.id
             );
-        } catch (error) {
-            console.error("Error handling message:", error);
-            // Fallback to simple response
-            const response = {
-                text: "Thanks for your message! We'll get back to you soon.",
-            };
-            await WebhookController.callSendAPI(sender_psid, response);
         }
+
+        webhookInbox.trigger();
+
+        res.status(200).send("EVENT_RECEIVED");
     }
 
-    // Handles messaging_postbacks events
-    static async handlePostback(sender_psid, received_postback) {
-        let response;
+    // Handle a raw email delivered to the mailbox in the URL. The mail is
+    // mapped onto an Instagram-style messaging event and follows the same
+    // path; auto-replies and bounces are dropped.
+    static async handleEmailWebhook(req, res) {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({
+                error: "Bad Request",
+                message: "Expected a raw email (message/rfc822)",
+            });
+        }
 
-        // Get the payload for the postback
-        let payload = received_postback.payload;
+        const address = emailMime.normalizeAddress(req.params.address);
+        const email = emailMime.parseEmail(req.body);
+        const webhook_event = emailMime.toMessagingEvent(email);
+        if (!webhook_event) {
+            return res.status(200).send("EVENT_RECEIVED");
+        }
 
-        // Set the response based on the postback payload
-        if (payload === "yes") {
-            response = { text: "Thanks!" };
-        } else if (payload === "no") {
-            response = { text: "Oops, try sending another image." };
+        // Unrouted mail is recorded without its body
+        const platformSource = await WebhookController.routeEntry(
+            "email",
+            {
+                to: address,
+                from: webhook_event.sender.id,
+                message_id: email.messageId,
+                subject: email.subject,
+            },
+            webhook_event,
+            address
+        );
+        if (!platformSource) {
+            return res.status(200).send("EVENT_RECEIVED");
         }
-        // Send the message to acknowledge the postback
-        await WebhookController.callSendAPI(sender_psid, response);
+
+        const accepted = await WebhookController.acceptEvent(
+            "email",
+            platformSource,
+            webhook_event
+        );
+        if (!accepted) {
+            // Not persisted: fail so the forwarder retries the mail
+            return res.sendStatus(500);
+        }
+
+        webhookInbox.trigger();
+
+        res.status(200).send("EVENT_RECEIVED");
     }
 
-    // Handle message with AI processing
-    static async handleMessageWithAI(
-        sender_psid,
-        received_message,
-        platformSourceId
-    ) {
-        try {
-            // Find or create platform source
-            let platformSource;
-            if (platformSourceId) {
-                platformSource = await PlatformSource.findByPk(
-                    platformSourceId
-                );
-            } else {
-                // Find first active Instagram platform source
-                platformSource = await PlatformSource.findOne({
-                    where: {
-                        platform_type: "instagram",
-                        is_active: true,
-                    },
-                });
-            }
+    // Apply a routed event's receipt or persist it to the inbox. Returns
+    // false when the event could not be persisted.
+    static async acceptEvent(platformType, platformSource, webhook_event) {
+        // Delivery and read receipts update our outgoing messages
+        if (WebhookController.getReceiptField(webhook_event)) {
+            await WebhookController.handleReceipt(
+                platformSource,
+                webhook_event
+            );
+            return true;
+        }
 
-            if (!platformSource) {
-                console.log("No platform source found for Instagram");
-                return;
-            }
+        // Only messages and postbacks are processed
+        if (!webhook_event.message && !webhook_event.postback) {
+            return true;
+        }
 
-            // Find or create client
-            let client = await Client.findOne({
-                where: {
-                    platform_user_id: sender_psid,
-                    business_id: platformSource.business_id,
-                },
+        // Echoes of our own replies are not customer messages
+        if (webhook_event.message?.is_echo) {
+            return true;
+        }
+
+        try {
+            await webhookInbox.enqueue({
+                platformType,
+                platformSourceId: platformSource.id,
+                event: webhook_event,
             });
+            return true;
+        } catch (error) {
+            console.error("Error persisting webhook event:", error);
+            return false;
+        }
+    }
 
-            if (!client) {
-                client = await Client.create({
-                    platform_user_id: sender_psid,
-                    business_id: platformSource.business_id,
-                    contact_name: "Instagram User",
-                    contact_email: `${sender_psid}@instagram.com`,
-                    company_name: "Instagram User",
-                    business_type: "Individual",
-                    plan_type: "basic",
-                });
-            }
+    // Resolve the platform source that owns a webhook entry, recording the
+    // event for operators when no connected account matches
+    static async routeEntry(
+        platformType,
+        entry,
+        webhook_event,
+        accountId = platformRoutingService.getEntryAccountId(
+            entry,
+            webhook_event
+        )
+    ) {
+        let platformSource = null;
+        let reason = accountId ? "unknown_account" : "missing_account_id";
 
-            // Find or create conversation
-            let conversation = await Conversation.findOne({
-                where: {
-                    client_id: client.id,
-                    platform_source_id: platformSource.id,
-                },
+        try {
+            platformSource = await platformRoutingService.resolvePlatformSource(
+                platformType,
+                accountId
+            );
+        } catch (error) {
+            console.error("Error resolving platform source:", error);
+            reason = "routing_error";
+        }
+
+        if (!platformSource) {
+            await platformRoutingService.recordUnroutedEvent({
+                platformType,
+                accountId,
+                reason,
+                senderId: webhook_event.sender?.id,
+                payload: entry,
             });
+        }
 
-            if (!conversation) {
-                conversation = await Conversation.create({
-                    client_id: client.id,
-                    platform_source_id: platformSource.id,
-                    current_state: "initial_contact",
-                    is_active: true,
-                });
-            }
+        return platformSource;
+    }
 
-            // Create incoming message
-            const message = await Message.create({
-                conversation_id: conversation.id,
-                sender_type: "customer",
-                message_text: received_message.text || "Image/attachment",
-                timestamp: new Date(),
-                platform_message_id: received_message.mid || null,
-            });
+    // Receipt field of a messaging event (delivery, read or failure), if any
+    static getReceiptField(webhook_event) {
+        return Object.keys(RECEIPT_TYPES).find((field) => webhook_event[field]);
+    }
 
-            // Update conversation stats
-            await conversation.update({
-                last_message_at: new Date(),
-                message_count: conversation.message_count + 1,
+    // Apply a delivery/read/failure receipt to the messages it covers.
+    // Receipts are informational, so failures are logged rather than
+    // retried by Meta.
+    static async handleReceipt(platformSource, webhook_event) {
+        const field = WebhookController.getReceiptField(webhook_event);
+        const receipt = webhook_event[field];
+
+        try {
+            await messageDelivery.applyReceipt({
+                type: RECEIPT_TYPES[field],
+                platformSourceId: platformSource.id,
+                recipientId: webhook_event.sender.id,
+                mids: receipt.mids || (receipt.mid ? [receipt.mid] : []),
+                watermark: receipt.watermark,
+                error: receipt.error,
             });
+        } catch (error) {
+            console.error("Error applying delivery receipt:", error);
+        }
+    }
 
-            // Process with AI
-            const aiProcessor = new AIMessageProcessor();
-            const result = await aiProcessor.processMessage({
-                conversationId: conversation.id,
-                userId: sender_psid,
-                message: received_message.text || "Image/attachment",
-                clientId: client.id,
-                connection: platformSource,
+    // Process an event claimed from the inbox. Errors propagate so the
+    // worker can retry the event.
+    static async processInboxEvent(inboxEvent) {
+        const event = inboxEvent.payload;
+        const sender_psid = inboxEvent.sender_id;
+
+        if (inboxEvent.event_type === "postback") {
+            await WebhookController.handlePostback(
+                sender_psid,
+                event.postback,
+                inboxEvent.platform_source_id
+            );
+            return;
+        }
+
+        await WebhookController.handleMessageWithAI(
+            sender_psid,
+            event.message,
+            inboxEvent.platform_source_id
+        );
+    }
+
+    // Let the customer know we got their message once retries are exhausted
+    static async handleDeadLetter(inboxEvent) {
+        if (inboxEvent.event_type !== "message") return;
+
+        const platformSource = await PlatformSource.findByPk(
+            inboxEvent.platform_source_id
+        );
+        await WebhookController.callSendAPI(
+            inboxEvent.sender_id,
+            { text: "Thanks for your message! We'll get back to you soon." },
+            platformSource
+        );
+    }
+
+    // Start the inbox and delivery workers (called on server startup)
+    static startWorkers() {
+        webhookInbox.start();
+        messageDelivery.start();
+    }
+
+    // Stop the inbox and delivery workers (called on shutdown)
+    static stopWorkers() {
+        webhookInbox.stop();
+        messageDelivery.stop();
+    }
+
+    // List inbox events, e.g. ?status=dead_letter
+    static async getInboxEvents(req, res) {
+        try {
+            const { status, limit } = req.query;
+            const events = await webhookInbox.list({ status, limit });
+
+            res.json({
+                success: true,
+                data: events,
             });
+        } catch (error) {
+            console.error("Get webhook inbox events error:", error);
+            res.status(500).json({
+                success: false,
+                error: "Internal server error",
+                code: "INTERNAL_ERROR",
+            });
+        }
+    }
 
-            if (result.success) {
-                // Update conversation state
-                await conversation.update({
-                    current_state: result.newState,
-                    lead_score: result.analysis.lead_score,
-                    sentiment_score: result.analysis.sentiment,
-                });
+    // Requeue a dead-lettered inbox event
+    static async replayInboxEvent(req, res) {
+        try {
+            const event = await webhookInbox.replay(req.params.id);
 
-                // Send AI response
-                await WebhookController.callSendAPI(sender_psid, {
-                    text: result.response,
-                });
-            } else {
-                // Fallback response
-                await WebhookController.callSendAPI(sender_psid, {
-                    text: "Thanks for your message! We'll get back to you soon.",
+            if (!event) {
+                return res.status(404).json({
+                    success: false,
+                    error: "Inbox event not found",
+                    code: "INBOX_EVENT_NOT_FOUND",
                 });
             }
+
+            res.json({
+                success: true,
+                data: event,
+            });
         } catch (error) {
-            console.error("Error in handleMessageWithAI:", error);
-            // Fallback response
-            await WebhookController.callSendAPI(sender_psid, {
-                text: "Thanks for your message! We'll get back to you soon.",
+            if (error.code === "INBOX_EVENT_NOT_REPLAYABLE") {
+                return res.status(409).json({
+                    success: false,
+                    error: error.message,
+                    code: error.code,
+                });
+            }
+            console.error("Replay webhook inbox event error:", error);
+            res.status(500).json({
+                success: false,
+                error: "Internal server error",
+                code: "INTERNAL_ERROR",
             });
         }
     }
 
-    // Sends response messages via the Send API
-    static async callSendAPI(sender_psid, response) {
+    // Inbox counts per status, for the metrics endpoint
+    static async getInboxStats() {
+        return webhookInbox.getStats();
+    }
+
+    // Outgoing message counts per delivery status, for the metrics endpoint
+    static async getDeliveryStats() {
+        return messageDelivery.getStats();
+    }
+
+    // Handles messages events
+    static async handleMessage(sender_psid, received_message, platformSourceId) {
         try {
-            // Construct the message body
-            let request_body = {
-                recipient: {
-                    id: sender_psid,
-                },
-                message: response,
+            // Use the enhanced AI message handling
+            await WebhookController.handleMessageWithAI(
+                sender_psid,
+                received_message,
+                platformSourceId
+            );
+        } catch (error) {
+            console.error("Error handling message:", error);
+            // Fallback to simple response, sent from the receiving account
+            const response = {
+                text: "Thanks for your message! We'll get back to you soon.",
             };
+            const platformSource = platformSourceId
+                ? await PlatformSource.findByPk(platformSourceId).catch(
+                      () => null
+                  )
+                : null;
+            await WebhookController.callSendAPI(
+                sender_psid,
+                response,
+                platformSource
+            );
+        }
+    }
+
+    // Handles messaging_postbacks events
+    static async handlePostback(
+        sender_psid,
+        received_postback,
+        platformSourceId
+    ) {
+        let response;
+
+        // Get the payload for the postback
+        let payload = received_postback.payload;
+
+        // Set the response based on the postback payload
+        if (payload === "yes") {
+            response = { text: "Thanks!" };
+        } else if (payload === "no") {
+            response = { text: "Oops, try sending another image." };
+        }
+        // Send the message to acknowledge the postback
+        const platformSource = platformSourceId
+            ? await PlatformSource.findByPk(platformSourceId)
+            : null;
+        await WebhookController.callSendAPI(
+            sender_psid,
+            response,
+            platformSource
+        );
+    }
 
-            // Send the HTTP request to the Messenger Platform
-            const result = await axios.post(
-                `https://graph.facebook.com/v2.6/me/messages?access_token=${process.env.INSTAGRAM_TEST_TOKEN}`,
-                request_body
+    // Sends a reply that has no Message record (fallbacks, postback
+    // acknowledgements) via the Send API, within the account's rate limit.
+    // Conversation replies go through the delivery queue instead.
+    static async callSendAPI(sender_psid, response, platformSource = null) {
+        try {
+            const result = await messageDelivery.send(
+                platformSource,
+                sender_psid,
+                response
             );
 
             console.log("message sent!");
@@ -278,7 +584,11 @@ class WebhookController {
     // Create a fixed token connection for development/testing
     static async createFixedTokenConnection(req, res) {
         try {
-            const { businessId, platformType = "instagram" } = req.body;
+            const {
+                businessId,
+                platformType = "instagram",
+                pageId = "fixed_page_id",
+            } = req.body;
 
             if (!businessId) {
                 return res
@@ -306,9 +616,11 @@ class WebhookController {
                         platform_name: `${platformType}_fixed_token`,
                         credentials: JSON.stringify({
                             access_token: process.env.INSTAGRAM_TEST_TOKEN,
-                            page_id: "fixed_page_id",
+                            page_id: pageId,
                         }),
                         is_active: true,
+                        is_connected: true,
+                        connection_status: "connected",
                         last_sync: new Date(),
                     },
                 }
@@ -319,13 +631,18 @@ class WebhookController {
                 await platformSource.update({
                     credentials: JSON.stringify({
                         access_token: process.env.INSTAGRAM_TEST_TOKEN,
-                        page_id: "fixed_page_id",
+                        page_id: pageId,
                     }),
                     is_active: true,
+                    is_connected: true,
+                    connection_status: "connected",
                     last_sync: new Date(),
                 });
             }
 
+            // Make the new page ID routable immediately
+            platformRoutingService.clearCache();
+
             res.json({
                 message: "Fixed token connection created successfully",
                 platformSource: {
@@ -348,152 +665,70 @@ class WebhookController {
         received_message,
         platformSourceId
     ) {
+        let platformSource = null;
         try {
-            // Find or create platform source if not provided
+            // Events are routed to a platform source before they get here;
+            // never guess the owning business
             if (!platformSourceId) {
-                const platformSource = await PlatformSource.findOne({
-                    where: {
-                        platform_type: "instagram",
-                        is_active: true,
-                    },
+                console.error("Message received without a platform source", {
+                    sender_psid,
                 });
-                platformSourceId = platformSource?.id;
-            }
-
-            if (!platformSourceId) {
-                console.error("No active Instagram platform source found");
                 return;
             }
 
             // Get platform source details
-            const platformSource = await PlatformSource.findByPk(
-                platformSourceId
-            );
+            platformSource = await PlatformSource.findByPk(platformSourceId);
             if (!platformSource) {
                 console.error("Platform source not found:", platformSourceId);
                 return;
             }
 
-            // Find or create client
-            let client = await Client.findOne({
-                where: {
-                    platform_user_id: sender_psid,
-                    business_id: platformSource.business_id,
-                },
-            });
-
-            if (!client) {
-                // Create new client
-                client = await Client.create({
-                    platform_user_id: sender_psid,
-                    business_id: platformSource.business_id,
-                    first_contact: new Date(),
-                    last_contact: new Date(),
-                    engagement_score: 0.5,
-                });
-            } else {
-                // Update last contact
-                await client.update({ last_contact: new Date() });
-            }
-
-            // Find or create conversation
-            let conversation = await Conversation.findOne({
-                where: {
-                    client_id: client.id,
-                    platform_source_id: platformSourceId,
-                    status: "active",
-                },
-            });
-
-            if (!conversation) {
-                conversation = await Conversation.create({
-                    client_id: client.id,
-                    platform_source_id: platformSourceId,
-                    status: "active",
-                    started_at: new Date(),
-                    last_message_at: new Date(),
-                    message_count: 0,
-                });
-            }
-
-            // Create incoming message
-            const incomingMessage = await Message.create({
-                conversation_id: conversation.id,
-                sender_type: "client",
-                content: received_message.text || "Media message",
-                message_type: received_message.attachments ? "media" : "text",
-                platform_message_id:
-                    received_message.mid || `msg_${Date.now()}`,
-                sent_at: new Date(),
-                is_read: false,
-            });
-
-            // Update conversation message count and last message time
-            await conversation.update({
-                message_count: conversation.message_count + 1,
-                last_message_at: new Date(),
+            // The adapter finds or creates the client and conversation,
+            // stores the message and queues the reply; the engine answers
+            // exactly like the chatbot tester does. Email conversations
+            // follow the mail thread
+            const Adapter =
+                platformSource.platform_type === "email"
+                    ? EmailChannelAdapter
+                    : InstagramChannelAdapter;
+            const adapter = new Adapter({
+                platformSource,
+                senderId: sender_psid,
+                message: received_message,
+                messageDelivery,
             });
-
-            // Process message with AI
-            const aiProcessor = new AIMessageProcessor();
-            const aiResult = await aiProcessor.processMessage({
-                conversationId: conversation.id,
-                userId: sender_psid,
+            const result = await conversationEngine.processTurn(adapter, {
                 message: received_message.text,
-                clientId: client.id,
-                businessId: platformSource.business_id,
-                platformSourceId: platformSourceId,
                 attachments: received_message.attachments,
+                userId: sender_psid,
             });
 
-            if (aiResult.success && aiResult.response) {
-                // Update conversation with new state and analysis
-                await conversation.update({
-                    status: aiResult.newState,
-                    lead_score: aiResult.analysis.lead_score,
-                    sentiment_score: aiResult.analysis.sentiment,
+            if (result.already_answered) {
+                console.log("Message already answered; retry skipped", {
+                    conversationId: result.conversationId,
                 });
-
-                // Create outgoing message
-                const outgoingMessage = await Message.create({
-                    conversation_id: conversation.id,
-                    sender_type: "business",
-                    content: aiResult.response,
-                    message_type: "text",
-                    platform_message_id: `response_${Date.now()}`,
-                    sent_at: new Date(),
-                    is_read: true,
-                });
-
-                // Send response via Instagram API
-                await WebhookController.callSendAPI(sender_psid, {
-                    text: aiResult.response,
+            } else if (result.bot_paused) {
+                console.log("Message stored for the agent; bot is paused", {
+                    conversationId: result.conversationId,
                 });
-
-                console.log("✅ AI response sent successfully", {
-                    conversationId: conversation.id,
-                    clientId: client.id,
-                    responseTime: aiResult.responseTime,
-                    newState: aiResult.newState,
-                    leadScore: aiResult.analysis.lead_score,
+            } else if (result.success) {
+                console.log("✅ AI response queued for delivery", {
+                    conversationId: result.conversationId,
+                    deliveryStatus: result.record?.delivery_status,
+                    responseTime: result.responseTime,
+                    newState: result.newState,
+                    leadScore: result.analysis?.lead_score,
+                    confidenceScore: result.confidence_score,
                 });
             } else {
-                console.error("AI processing failed:", aiResult.error);
-                // Send fallback response
-                const fallbackResponse =
-                    "Thank you for your message! We'll get back to you soon.";
-                await WebhookController.callSendAPI(sender_psid, {
-                    text: fallbackResponse,
-                });
+                // The adapter already queued the fallback or guardrail reply
+                console.error("AI processing failed:", result.error);
             }
         } catch (error) {
+            // Callers decide how to recover: handleMessage sends a fallback
+            // reply, the inbox worker retries the event
             console.error("Error handling message with AI:", error);
-            // Send fallback response
-            const fallbackResponse =
-                "Thank you for your message! We'll get back to you soon.";
-            await WebhookController.callSendAPI(sender_psid, {
-                text: fallbackResponse,
-            });
+            throw error;
         }
     }
 }
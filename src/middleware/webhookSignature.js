@@ -0,0 +1,347 @@
+"use strict";
+
+const crypto = require("crypto");
+const PlatformRoutingService = require("../services/platformRoutingService");
+const { getPhoneNumberId } = require("../services/whatsappCloudApi");
+const { SECRET_TOKEN_HEADER } = require("../services/telegramBotApi");
+const { getPlatformType } = require("../services/messengerPlatform");
+const {
+    EMAIL_SECRET_HEADER,
+    normalizeAddress,
+} = require("../services/emailMime");
+const { createChildLogger } = require("../config/logger");
+
+const logger = createChildLogger("webhook-signature");
+const platformRoutingService = new PlatformRoutingService();
+
+const SIGNATURE_HEADER = "x-hub-signature-256";
+
+// Accounts a delivery not signed with META_APP_SECRET may name; each one is
+// looked up before the signature can be checked
+const MAX_DELIVERY_ACCOUNTS = 10;
+
+// Per-process delivery counters, exposed through /webhooks/metrics
+const counters = {
+    verified: 0,
+    unverified_allowed: 0,
+    rejected: {
+        missing_signature: 0,
+        invalid_signature: 0,
+        no_secret_configured: 0,
+        mixed_secrets: 0,
+        secret_lookup_failed: 0,
+        too_many_accounts: 0,
+    },
+};
+
+/**
+ * Receiving account IDs of a delivery, as the webhook controller routes
+ * them: WhatsApp entries are per business account and each change names the
+ * phone number it was sent to; other entries name their account
+ * @param {Object} body - Parsed delivery
+ * @returns {Array<string>} Account IDs
+ */
+const getDeliveryAccountIds = (body) => {
+    const accountIds = new Set();
+    const entries = Array.isArray(body?.entry) ? body.entry : [];
+    for (const entry of entries) {
+        if (Array.isArray(entry.changes)) {
+            entry.changes.forEach((change) =>
+                accountIds.add(getPhoneNumberId(change))
+            );
+            continue;
+        }
+
+        const event = Array.isArray(entry.messaging) ? entry.messaging[0] : null;
+        accountIds.add(platformRoutingService.getEntryAccountId(entry, event));
+    }
+
+    // Entries without an account are never routed, so they need no secret
+    accountIds.delete(null);
+    accountIds.delete(undefined);
+    return [...accountIds];
+};
+
+/**
+ * Find the app secrets a delivery may be signed with: META_APP_SECRET,
+ * whose app receives for every account, and a platform source app_secret
+ * only when every account in the delivery belongs to a source with that
+ * same secret. Otherwise one tenant's secret could vouch for entries of
+ * another tenant's accounts batched with their own. Instagram and Page
+ * deliveries may share a callback URL, so their object decides which
+ * platform's sources own the accounts. Lookup errors are thrown
+ * @param {string} routePlatformType - Platform type of the route
+ * @param {Object} body - Parsed delivery
+ * @param {Array<string>} accountIds - Receiving account IDs of the delivery
+ * @returns {Promise<Object>} { secrets, mixed }: mixed when accounts have
+ *   different or missing source secrets
+ */
+const getCandidateSecrets = async (routePlatformType, body, accountIds) => {
+    const platformType = getPlatformType(body?.object) || routePlatformType;
+
+    const sources = await platformRoutingService.resolvePlatformSources(
+        platformType,
+        accountIds
+    );
+    const sourceSecrets = sources.map((source) => {
+        const credentials = source
+            ? platformRoutingService.parseJson(source.credentials)
+            : null;
+        return credentials?.app_secret || null;
+    });
+
+    const distinct = new Set(sourceSecrets);
+    const shared =
+        distinct.size === 1 && !distinct.has(null) ? sourceSecrets[0] : null;
+    const secrets = [process.env.META_APP_SECRET, shared].filter(Boolean);
+
+    return {
+        secrets: [...new Set(secrets)],
+        mixed: !shared && sourceSecrets.some(Boolean),
+    };
+};
+
+/**
+ * Whether deliveries nothing can verify may be let through, for local
+ * development only
+ * @returns {boolean} ALLOW_UNSIGNED_WEBHOOKS is "true"
+ */
+const allowUnsigned = () => process.env.ALLOW_UNSIGNED_WEBHOOKS === "true";
+
+/**
+ * Check an X-Hub-Signature-256 header against a raw body
+ * @param {Buffer} rawBody - Unparsed request body
+ * @param {string} signature - Header value ("sha256=<hex>")
+ * @param {string} secret - App secret
+ * @returns {boolean} Whether the signature matches
+ */
+const isValidSignature = (rawBody, signature, secret) => {
+    if (!rawBody || !signature || !signature.startsWith("sha256=")) {
+        return false;
+    }
+
+    const expected = crypto
+        .createHmac("sha256", secret)
+        .update(rawBody)
+        .digest("hex");
+    const received = signature.slice("sha256=".length);
+
+    const expectedBuffer = Buffer.from(expected, "utf8");
+    const receivedBuffer = Buffer.from(received, "utf8");
+
+    return (
+        expectedBuffer.length === receivedBuffer.length &&
+        crypto.timingSafeEqual(expectedBuffer, receivedBuffer)
+    );
+};
+
+const reject = (res, reason) => {
+    counters.rejected[reason]++;
+    logger.warn("Rejected webhook delivery", { reason });
+    return res.status(401).json({
+        error: "Unauthorized",
+        message: "Invalid webhook signature",
+    });
+};
+
+const rejectTooManyAccounts = (res, count) => {
+    counters.rejected.too_many_accounts++;
+    logger.warn("Rejected webhook delivery", {
+        reason: "too_many_accounts",
+        count,
+    });
+    return res.status(403).json({
+        error: "Forbidden",
+        message: "Too many accounts in one delivery",
+    });
+};
+
+/**
+ * Meta webhook signature middleware
+ * Verifies the HMAC-SHA256 of the raw request body (preserved by the JSON
+ * parser in app.js) before any event is processed. Fails closed: deliveries
+ * are rejected when no secret can verify them or the secrets cannot be
+ * loaded, unless ALLOW_UNSIGNED_WEBHOOKS=true lets unverifiable ones through
+ * for local development. Deliveries signed with META_APP_SECRET need no
+ * lookups; others may name up to MAX_DELIVERY_ACCOUNTS accounts.
+ * @param {string} platformType - Platform type used to resolve per-source secrets
+ */
+const verifyMetaSignature = (platformType) => {
+    return async (req, res, next) => {
+        const signature = req.headers[SIGNATURE_HEADER];
+
+        const appSecret = process.env.META_APP_SECRET;
+        if (appSecret && isValidSignature(req.rawBody, signature, appSecret)) {
+            counters.verified++;
+            return next();
+        }
+
+        const accountIds = getDeliveryAccountIds(req.body);
+        if (accountIds.length > MAX_DELIVERY_ACCOUNTS) {
+            return rejectTooManyAccounts(res, accountIds.length);
+        }
+
+        let candidates;
+        try {
+            candidates = await getCandidateSecrets(
+                platformType,
+                req.body,
+                accountIds
+            );
+        } catch (error) {
+            logger.error("Failed to load platform app secrets", {
+                error: error.message,
+                platformType,
+            });
+            return reject(res, "secret_lookup_failed");
+        }
+
+        const { secrets, mixed } = candidates;
+        if (secrets.length === 0) {
+            if (mixed) {
+                return reject(res, "mixed_secrets");
+            }
+            if (!allowUnsigned()) {
+                return reject(res, "no_secret_configured");
+            }
+            counters.unverified_allowed++;
+            logger.warn(
+                "No Meta app secret configured, skipping signature check"
+            );
+            return next();
+        }
+
+        if (!signature) {
+            return reject(res, "missing_signature");
+        }
+
+        const isValid = secrets.some((secret) =>
+            isValidSignature(req.rawBody, signature, secret)
+        );
+
+        if (!isValid) {
+            return reject(res, "invalid_signature");
+        }
+
+        counters.verified++;
+        next();
+    };
+};
+
+/**
+ * Check a secret the platform sends in a header instead of signing the
+ * delivery. Each account has its own, stored under credentialKey in the
+ * credentials of the platform source the account ID resolves to. Missing
+ * secrets are handled like missing app secrets
+ * @param {Object} options - { platformType, header, credentialKey,
+ *   getAccountId(req) }
+ */
+const verifySecretHeader = ({
+    platformType,
+    header,
+    credentialKey,
+    getAccountId,
+}) => {
+    return async (req, res, next) => {
+        const accountId = getAccountId(req);
+        let secret = null;
+
+        try {
+            const source = await platformRoutingService.resolvePlatformSource(
+                platformType,
+                accountId
+            );
+            const credentials = source
+                ? platformRoutingService.parseJson(source.credentials)
+                : null;
+            secret = credentials?.[credentialKey] || null;
+        } catch (error) {
+            logger.error("Failed to load webhook secret", {
+                error: error.message,
+                platformType,
+                accountId,
+            });
+            return reject(res, "secret_lookup_failed");
+        }
+
+        if (!secret) {
+            if (!allowUnsigned()) {
+                return reject(res, "no_secret_configured");
+            }
+            counters.unverified_allowed++;
+            logger.warn("No webhook secret configured, skipping secret check", {
+                platformType,
+            });
+            return next();
+        }
+
+        const received = req.headers[header];
+        if (!received) {
+            return reject(res, "missing_signature");
+        }
+
+        const expectedBuffer = Buffer.from(secret, "utf8");
+        const receivedBuffer = Buffer.from(String(received), "utf8");
+        const isValid =
+            expectedBuffer.length === receivedBuffer.length &&
+            crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+
+        if (!isValid) {
+            return reject(res, "invalid_signature");
+        }
+
+        counters.verified++;
+        next();
+    };
+};
+
+/**
+ * Telegram webhook secret middleware
+ * Telegram does not sign deliveries; it sends the secret_token given to
+ * setWebhook in a header. Each bot has its own, stored as secret_token in
+ * the credentials of the platform source the :botId route parameter
+ * resolves to
+ */
+const verifyTelegramSecret = () =>
+    verifySecretHeader({
+        platformType: "telegram",
+        header: SECRET_TOKEN_HEADER,
+        credentialKey: "secret_token",
+        getAccountId: (req) => req.params.botId,
+    });
+
+/**
+ * Email webhook secret middleware
+ * Whatever forwards inbound mail (a mail server pipe, an SMTP catcher)
+ * sends the mailbox's webhook_secret in a header; the :address route
+ * parameter names the mailbox
+ */
+const verifyEmailSecret = () =>
+    verifySecretHeader({
+        platformType: "email",
+        header: EMAIL_SECRET_HEADER,
+        credentialKey: "webhook_secret",
+        getAccountId: (req) => normalizeAddress(req.params.address),
+    });
+
+/**
+ * Snapshot of the delivery counters
+ * @returns {Object} Counters
+ */
+const getSignatureMetrics = () => ({
+    verified: counters.verified,
+    unverified_allowed: counters.unverified_allowed,
+    rejected: { ...counters.rejected },
+    rejected_total: Object.values(counters.rejected).reduce(
+        (sum, count) => sum + count,
+        0
+    ),
+});
+
+module.exports = {
+    verifyMetaSignature,
+    verifyTelegramSecret,
+    verifyEmailSecret,
+    isValidSignature,
+    getSignatureMetrics,
+};
@@ -0,0 +1,81 @@
+"use strict";
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable("unrouted_webhook_events", {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true,
+            },
+            platform_type: {
+                type: Sequelize.STRING,
+                allowNull: false,
+            },
+            account_id: {
+                type: Sequelize.STRING,
+                allowNull: true,
+                comment: "Receiving account/page ID from the webhook payload",
+            },
+            reason: {
+                type: Sequelize.STRING,
+                allowNull: false,
+                comment: "Why the event could not be routed to a platform source",
+            },
+            sender_id: {
+                type: Sequelize.STRING,
+                allowNull: true,
+            },
+            occurrences: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 1,
+            },
+            first_seen_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+            },
+            last_seen_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+            },
+            last_payload: {
+                type: Sequelize.JSONB,
+                allowNull: true,
+                comment: "Most recent entry received for this account",
+            },
+            is_resolved: {
+                type: Sequelize.BOOLEAN,
+                allowNull: false,
+                defaultValue: false,
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+            },
+        });
+
+        await queryInterface.addIndex("unrouted_webhook_events", [
+            "platform_type",
+            "account_id",
+        ]);
+        await queryInterface.addIndex("unrouted_webhook_events", [
+            "is_resolved",
+        ]);
+        await queryInterface.addIndex("unrouted_webhook_events", [
+            "last_seen_at",
+        ]);
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.dropTable("unrouted_webhook_events");
+    },
+};
@@ -0,0 +1,105 @@
+"use strict";
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable("webhook_inbox_events", {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true,
+            },
+            platform_type: {
+                type: Sequelize.STRING,
+                allowNull: false,
+            },
+            platform_source_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: "platform_sources",
+                    key: "id",
+                },
+                onUpdate: "CASCADE",
+                onDelete: "CASCADE",
+            },
+            dedupe_key: {
+                type: Sequelize.STRING,
+                allowNull: false,
+                comment: "Platform message ID (mid), used to drop redelivered events",
+            },
+            event_type: {
+                type: Sequelize.STRING,
+                allowNull: false,
+            },
+            sender_id: {
+                type: Sequelize.STRING,
+                allowNull: false,
+            },
+            payload: {
+                type: Sequelize.JSONB,
+                allowNull: false,
+                comment: "Raw messaging event as delivered by the platform",
+            },
+            status: {
+                type: Sequelize.STRING,
+                allowNull: false,
+                defaultValue: "pending",
+            },
+            attempts: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0,
+            },
+            max_attempts: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 5,
+            },
+            next_attempt_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+            },
+            locked_at: {
+                type: Sequelize.DATE,
+                allowNull: true,
+                comment: "When a worker claimed the event; stale locks are released",
+            },
+            last_error: {
+                type: Sequelize.TEXT,
+                allowNull: true,
+            },
+            processed_at: {
+                type: Sequelize.DATE,
+                allowNull: true,
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+            },
+        });
+
+        await queryInterface.addIndex(
+            "webhook_inbox_events",
+            ["platform_type", "dedupe_key"],
+            { unique: true }
+        );
+        await queryInterface.addIndex("webhook_inbox_events", [
+            "status",
+            "next_attempt_at",
+        ]);
+        await queryInterface.addIndex("webhook_inbox_events", [
+            "platform_source_id",
+        ]);
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.dropTable("webhook_inbox_events");
+    },
+};
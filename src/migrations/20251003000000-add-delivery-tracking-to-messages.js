@@ -0,0 +1,95 @@
+"use strict";
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn("messages", "platform_source_id", {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: {
+                model: "platform_sources",
+                key: "id",
+            },
+            onUpdate: "CASCADE",
+            onDelete: "SET NULL",
+            comment: "Account an outgoing message is sent from",
+        });
+        await queryInterface.addColumn("messages", "recipient_id", {
+            type: Sequelize.STRING,
+            allowNull: true,
+            comment: "Platform user ID an outgoing message is sent to",
+        });
+        await queryInterface.addColumn("messages", "delivery_status", {
+            type: Sequelize.STRING,
+            allowNull: true,
+            comment: "queued, sent, failed, delivered or read; null for inbound messages",
+        });
+        await queryInterface.addColumn("messages", "delivery_attempts", {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+        });
+        await queryInterface.addColumn("messages", "next_delivery_at", {
+            type: Sequelize.DATE,
+            allowNull: true,
+        });
+        await queryInterface.addColumn("messages", "delivery_locked_at", {
+            type: Sequelize.DATE,
+            allowNull: true,
+            comment: "When a worker claimed the message for sending",
+        });
+        await queryInterface.addColumn("messages", "last_delivery_error", {
+            type: Sequelize.TEXT,
+            allowNull: true,
+        });
+        await queryInterface.addColumn("messages", "sent_at", {
+            type: Sequelize.DATE,
+            allowNull: true,
+        });
+        await queryInterface.addColumn("messages", "delivered_at", {
+            type: Sequelize.DATE,
+            allowNull: true,
+        });
+        await queryInterface.addColumn("messages", "read_at", {
+            type: Sequelize.DATE,
+            allowNull: true,
+        });
+
+        await queryInterface.addIndex("messages", [
+            "delivery_status",
+            "next_delivery_at",
+        ]);
+        await queryInterface.addIndex("messages", ["platform_message_id"]);
+        await queryInterface.addIndex("messages", [
+            "platform_source_id",
+            "recipient_id",
+        ]);
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.removeIndex("messages", [
+            "platform_source_id",
+            "recipient_id",
+        ]);
+        await queryInterface.removeIndex("messages", ["platform_message_id"]);
+        await queryInterface.removeIndex("messages", [
+            "delivery_status",
+            "next_delivery_at",
+        ]);
+
+        const columns = [
+            "read_at",
+            "delivered_at",
+            "sent_at",
+            "last_delivery_error",
+            "delivery_locked_at",
+            "next_delivery_at",
+            "delivery_attempts",
+            "delivery_status",
+            "recipient_id",
+            "platform_source_id",
+        ];
+        for (const column of columns) {
+            await queryInterface.removeColumn("messages", column);
+        }
+    },
+};
@@ -0,0 +1,19 @@
+"use strict";
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn("conversations", "funnel_state", {
+            type: Sequelize.STRING,
+            allowNull: false,
+            defaultValue: "initial_contact",
+            comment: "Sales funnel state set by the conversation engine",
+        });
+
+        await queryInterface.addIndex("conversations", ["funnel_state"]);
+    },
+
+    async down(queryInterface) {
+        await queryInterface.removeIndex("conversations", ["funnel_state"]);
+        await queryInterface.removeColumn("conversations", "funnel_state");
+    },
+};
@@ -0,0 +1,17 @@
+"use strict";
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn("businesses", "ai_settings", {
+            type: Sequelize.JSONB,
+            allowNull: true,
+            defaultValue: null,
+            comment:
+                "LLM provider, model, temperature and max_tokens, optionally per task",
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.removeColumn("businesses", "ai_settings");
+    },
+};
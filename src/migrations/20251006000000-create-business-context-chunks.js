@@ -0,0 +1,87 @@
+"use strict";
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable("business_context_chunks", {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true,
+            },
+            section_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: "business_context_sections",
+                    key: "id",
+                },
+                onUpdate: "CASCADE",
+                onDelete: "CASCADE",
+            },
+            business_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: "businesses",
+                    key: "id",
+                },
+                onUpdate: "CASCADE",
+                onDelete: "CASCADE",
+            },
+            chunk_index: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                comment: "Position of the passage within its section",
+            },
+            content: {
+                type: Sequelize.TEXT,
+                allowNull: false,
+            },
+            content_embedding: {
+                type: Sequelize.ARRAY(Sequelize.FLOAT),
+                allowNull: true,
+            },
+            embedding_model: {
+                type: Sequelize.STRING,
+                allowNull: true,
+            },
+            embedding_updated_at: {
+                type: Sequelize.DATE,
+                allowNull: true,
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+            },
+        });
+
+        await queryInterface.addIndex(
+            "business_context_chunks",
+            ["section_id", "chunk_index"],
+            { unique: true }
+        );
+        await queryInterface.addIndex("business_context_chunks", [
+            "business_id",
+        ]);
+
+        // Vector search runs in the database when pgvector is available and
+        // in process otherwise, so a missing extension is not an error
+        if (queryInterface.sequelize.getDialect() === "postgres") {
+            try {
+                await queryInterface.sequelize.query(
+                    "CREATE EXTENSION IF NOT EXISTS vector"
+                );
+            } catch (error) {
+                console.warn(
+                    "pgvector is not available, vector search stays in process:",
+                    error.message
+                );
+            }
+        }
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.dropTable("business_context_chunks");
+    },
+};
@@ -0,0 +1,90 @@
+"use strict";
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable("tool_executions", {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true,
+            },
+            business_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: "businesses",
+                    key: "id",
+                },
+                onUpdate: "CASCADE",
+                onDelete: "CASCADE",
+            },
+            conversation_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: "conversations",
+                    key: "id",
+                },
+                onUpdate: "CASCADE",
+                onDelete: "SET NULL",
+            },
+            tool_id: {
+                type: Sequelize.STRING,
+                allowNull: false,
+                comment: "Tool function flag ID, e.g. appointment_scheduler",
+            },
+            function_name: {
+                type: Sequelize.STRING,
+                allowNull: false,
+                comment: "Function name the model called",
+            },
+            channel: {
+                type: Sequelize.STRING,
+                allowNull: false,
+                comment: "Channel of the turn, or tool_test for the test endpoint",
+            },
+            sandbox: {
+                type: Sequelize.BOOLEAN,
+                allowNull: false,
+                defaultValue: false,
+            },
+            status: {
+                type: Sequelize.STRING,
+                allowNull: false,
+            },
+            arguments: {
+                type: Sequelize.JSONB,
+                allowNull: true,
+            },
+            result: {
+                type: Sequelize.JSONB,
+                allowNull: true,
+            },
+            error_message: {
+                type: Sequelize.TEXT,
+                allowNull: true,
+            },
+            latency_ms: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0,
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+            },
+        });
+
+        await queryInterface.addIndex("tool_executions", [
+            "business_id",
+            "created_at",
+        ]);
+        await queryInterface.addIndex("tool_executions", ["conversation_id"]);
+        await queryInterface.addIndex("tool_executions", ["tool_id"]);
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.dropTable("tool_executions");
+    },
+};
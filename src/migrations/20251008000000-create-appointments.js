@@ -0,0 +1,130 @@
+"use strict";
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable("appointments", {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true,
+            },
+            business_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: "businesses",
+                    key: "id",
+                },
+                onUpdate: "CASCADE",
+                onDelete: "CASCADE",
+            },
+            client_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: "clients",
+                    key: "id",
+                },
+                onUpdate: "CASCADE",
+                onDelete: "CASCADE",
+            },
+            conversation_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: "conversations",
+                    key: "id",
+                },
+                onUpdate: "CASCADE",
+                onDelete: "SET NULL",
+                comment: "Conversation the booking was made or discussed in",
+            },
+            service_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: "services",
+                    key: "id",
+                },
+                onUpdate: "CASCADE",
+                onDelete: "SET NULL",
+            },
+            start_time: {
+                type: Sequelize.DATE,
+                allowNull: false,
+            },
+            end_time: {
+                type: Sequelize.DATE,
+                allowNull: false,
+            },
+            duration_minutes: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+            },
+            timezone: {
+                type: Sequelize.STRING,
+                allowNull: false,
+                defaultValue: "UTC",
+                comment: "Calendar timezone when the booking was made",
+            },
+            status: {
+                type: Sequelize.STRING,
+                allowNull: false,
+                defaultValue: "pending",
+            },
+            source: {
+                type: Sequelize.STRING,
+                allowNull: false,
+                defaultValue: "staff",
+            },
+            notes: {
+                type: Sequelize.TEXT,
+                allowNull: true,
+            },
+            confirmed_at: {
+                type: Sequelize.DATE,
+                allowNull: true,
+            },
+            cancelled_at: {
+                type: Sequelize.DATE,
+                allowNull: true,
+            },
+            cancellation_reason: {
+                type: Sequelize.TEXT,
+                allowNull: true,
+            },
+            reschedule_count: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0,
+            },
+            previous_start_time: {
+                type: Sequelize.DATE,
+                allowNull: true,
+                comment: "Start time before the last reschedule",
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+            },
+        });
+
+        await queryInterface.addIndex("appointments", [
+            "business_id",
+            "start_time",
+        ]);
+        await queryInterface.addIndex("appointments", ["client_id"]);
+        await queryInterface.addIndex("appointments", ["conversation_id"]);
+        await queryInterface.addIndex("appointments", ["status"]);
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.dropTable("appointments");
+    },
+};
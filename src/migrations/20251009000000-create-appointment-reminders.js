@@ -0,0 +1,118 @@
+"use strict";
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable("appointment_reminders", {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true,
+            },
+            business_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: "businesses",
+                    key: "id",
+                },
+                onUpdate: "CASCADE",
+                onDelete: "CASCADE",
+            },
+            appointment_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: "appointments",
+                    key: "id",
+                },
+                onUpdate: "CASCADE",
+                onDelete: "CASCADE",
+            },
+            kind: {
+                type: Sequelize.STRING,
+                allowNull: false,
+                comment: "reminder (before the appointment) or follow_up (after it)",
+            },
+            offset_hours: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                comment: "Hours before the start (reminder) or after the end (follow_up)",
+            },
+            send_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+            },
+            status: {
+                type: Sequelize.STRING,
+                allowNull: false,
+                defaultValue: "pending",
+            },
+            attempts: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0,
+            },
+            next_attempt_at: {
+                type: Sequelize.DATE,
+                allowNull: true,
+                comment: "Retry time after a failed attempt",
+            },
+            locked_at: {
+                type: Sequelize.DATE,
+                allowNull: true,
+                comment: "When a worker claimed the job; stale locks are released",
+            },
+            skip_reason: {
+                type: Sequelize.STRING,
+                allowNull: true,
+            },
+            last_error: {
+                type: Sequelize.TEXT,
+                allowNull: true,
+            },
+            message_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: "messages",
+                    key: "id",
+                },
+                onUpdate: "CASCADE",
+                onDelete: "SET NULL",
+                comment: "Message queued on the conversation for this send",
+            },
+            processed_at: {
+                type: Sequelize.DATE,
+                allowNull: true,
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+            },
+        });
+
+        // Scheduling the same send twice, e.g. from two instances, is a no-op
+        await queryInterface.addIndex(
+            "appointment_reminders",
+            ["appointment_id", "kind", "offset_hours", "send_at"],
+            { unique: true }
+        );
+        await queryInterface.addIndex("appointment_reminders", [
+            "status",
+            "send_at",
+        ]);
+        await queryInterface.addIndex("appointment_reminders", [
+            "business_id",
+        ]);
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.dropTable("appointment_reminders");
+    },
+};
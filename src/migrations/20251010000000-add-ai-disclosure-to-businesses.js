@@ -0,0 +1,17 @@
+"use strict";
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn("businesses", "ai_disclosure", {
+            type: Sequelize.JSONB,
+            allowNull: true,
+            defaultValue: null,
+            comment:
+                "AI disclosure policy: first-contact disclosure, localized messages and human handoff",
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.removeColumn("businesses", "ai_disclosure");
+    },
+};
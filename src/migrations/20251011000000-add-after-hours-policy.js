@@ -0,0 +1,27 @@
+"use strict";
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn("businesses", "after_hours_policy", {
+            type: Sequelize.JSONB,
+            allowNull: true,
+            defaultValue: null,
+            comment:
+                "What the assistant does while closed: ai, ai_no_human_promise or away_message, with localized away messages",
+        });
+        await queryInterface.addColumn("conversations", "human_follow_up_at", {
+            type: Sequelize.DATE,
+            allowNull: true,
+            comment:
+                "Next opening, for conversations needing a person that arrived outside business hours",
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.removeColumn(
+            "conversations",
+            "human_follow_up_at"
+        );
+        await queryInterface.removeColumn("businesses", "after_hours_policy");
+    },
+};
@@ -0,0 +1,19 @@
+"use strict";
+
+module.exports = {
+    async up(queryInterface) {
+        // Qualifying conversations open their lead once; concurrent turns
+        // must not create a second one
+        await queryInterface.addIndex("leads", ["conversation_id"], {
+            unique: true,
+            name: "leads_conversation_id_unique",
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.removeIndex(
+            "leads",
+            "leads_conversation_id_unique"
+        );
+    },
+};
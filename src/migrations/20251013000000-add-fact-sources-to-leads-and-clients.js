@@ -0,0 +1,23 @@
+"use strict";
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn("leads", "fact_sources", {
+            type: Sequelize.JSONB,
+            allowNull: true,
+            comment:
+                "Per field, the customer message a qualification fact was read from: value, message_id, excerpt, extracted_at",
+        });
+        await queryInterface.addColumn("clients", "fact_sources", {
+            type: Sequelize.JSONB,
+            allowNull: true,
+            comment:
+                "Per field, the customer message a contact detail was read from: value, message_id, excerpt, extracted_at",
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.removeColumn("clients", "fact_sources");
+        await queryInterface.removeColumn("leads", "fact_sources");
+    },
+};
@@ -0,0 +1,17 @@
+"use strict";
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn("businesses", "funnel_definition", {
+            type: Sequelize.JSONB,
+            allowNull: true,
+            defaultValue: null,
+            comment:
+                "Conversation funnel: states with their allowed transitions, entry criteria and response strategies; null uses the default sales funnel",
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.removeColumn("businesses", "funnel_definition");
+    },
+};
@@ -0,0 +1,31 @@
+"use strict";
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn("businesses", "bot_resume_minutes", {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            comment:
+                "Minutes without agent activity after which a paused conversation goes back to the bot; 0 never, null the default",
+        });
+        await queryInterface.addColumn("conversations", "agent_active_at", {
+            type: Sequelize.DATE,
+            allowNull: true,
+            comment: "When an agent last took over, paused the bot or replied",
+        });
+        await queryInterface.addIndex(
+            "conversations",
+            ["business_id", "is_bot_active"],
+            { name: "conversations_business_bot_active" }
+        );
+    },
+
+    async down(queryInterface) {
+        await queryInterface.removeIndex(
+            "conversations",
+            "conversations_business_bot_active"
+        );
+        await queryInterface.removeColumn("conversations", "agent_active_at");
+        await queryInterface.removeColumn("businesses", "bot_resume_minutes");
+    },
+};
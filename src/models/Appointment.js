@@ -0,0 +1,171 @@
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+    class Appointment extends Model {
+        static associate(models) {
+            Appointment.belongsTo(models.Business, {
+                foreignKey: "business_id",
+                as: "business",
+            });
+
+            Appointment.belongsTo(models.Client, {
+                foreignKey: "client_id",
+                as: "client",
+            });
+
+            Appointment.belongsTo(models.Conversation, {
+                foreignKey: "conversation_id",
+                as: "conversation",
+            });
+
+            Appointment.belongsTo(models.Service, {
+                foreignKey: "service_id",
+                as: "service",
+            });
+
+            Appointment.hasMany(models.AppointmentReminder, {
+                foreignKey: "appointment_id",
+                as: "reminders",
+            });
+        }
+    }
+
+    Appointment.init(
+        {
+            id: {
+                type: DataTypes.INTEGER,
+                primaryKey: true,
+                autoIncrement: true,
+            },
+            business_id: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                references: {
+                    model: "businesses",
+                    key: "id",
+                },
+            },
+            client_id: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                references: {
+                    model: "clients",
+                    key: "id",
+                },
+            },
+            conversation_id: {
+                type: DataTypes.INTEGER,
+                allowNull: true,
+                references: {
+                    model: "conversations",
+                    key: "id",
+                },
+                comment: "Conversation the booking was made or discussed in",
+            },
+            service_id: {
+                type: DataTypes.INTEGER,
+                allowNull: true,
+                references: {
+                    model: "services",
+                    key: "id",
+                },
+            },
+            start_time: {
+                type: DataTypes.DATE,
+                allowNull: false,
+            },
+            end_time: {
+                type: DataTypes.DATE,
+                allowNull: false,
+            },
+            duration_minutes: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                validate: {
+                    min: 1,
+                },
+            },
+            timezone: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                defaultValue: "UTC",
+                comment: "Calendar timezone when the booking was made",
+            },
+            status: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                defaultValue: "pending",
+                validate: {
+                    isIn: [
+                        [
+                            "pending",
+                            "confirmed",
+                            "cancelled",
+                            "completed",
+                            "no_show",
+                        ],
+                    ],
+                },
+            },
+            source: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                defaultValue: "staff",
+                validate: {
+                    isIn: [["staff", "bot"]],
+                },
+            },
+            notes: {
+                type: DataTypes.TEXT,
+                allowNull: true,
+            },
+            confirmed_at: {
+                type: DataTypes.DATE,
+                allowNull: true,
+            },
+            cancelled_at: {
+                type: DataTypes.DATE,
+                allowNull: true,
+            },
+            cancellation_reason: {
+                type: DataTypes.TEXT,
+                allowNull: true,
+            },
+            reschedule_count: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 0,
+            },
+            previous_start_time: {
+                type: DataTypes.DATE,
+                allowNull: true,
+                comment: "Start time before the last reschedule",
+            },
+        },
+        {
+            sequelize,
+            modelName: "Appointment",
+            tableName: "appointments",
+            timestamps: true,
+            createdAt: "created_at",
+            updatedAt: "updated_at",
+            paranoid: false,
+            indexes: [
+                {
+                    fields: ["business_id", "start_time"],
+                },
+                {
+                    fields: ["client_id"],
+                },
+                {
+                    fields: ["conversation_id"],
+                },
+                {
+                    fields: ["status"],
+                },
+            ],
+        }
+    );
+
+    return Appointment;
+};
@@ -0,0 +1,132 @@
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+    class AppointmentReminder extends Model {
+        static associate(models) {
+            AppointmentReminder.belongsTo(models.Business, {
+                foreignKey: "business_id",
+                as: "business",
+            });
+
+            AppointmentReminder.belongsTo(models.Appointment, {
+                foreignKey: "appointment_id",
+                as: "appointment",
+            });
+
+            AppointmentReminder.belongsTo(models.Message, {
+                foreignKey: "message_id",
+                as: "message",
+            });
+        }
+    }
+
+    AppointmentReminder.init(
+        {
+            id: {
+                type: DataTypes.INTEGER,
+                primaryKey: true,
+                autoIncrement: true,
+            },
+            business_id: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                references: {
+                    model: "businesses",
+                    key: "id",
+                },
+            },
+            appointment_id: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                references: {
+                    model: "appointments",
+                    key: "id",
+                },
+            },
+            kind: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                validate: {
+                    isIn: [["reminder", "follow_up"]],
+                },
+                comment: "reminder (before the appointment) or follow_up (after it)",
+            },
+            offset_hours: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                comment: "Hours before the start (reminder) or after the end (follow_up)",
+            },
+            send_at: {
+                type: DataTypes.DATE,
+                allowNull: false,
+            },
+            status: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                defaultValue: "pending",
+                validate: {
+                    isIn: [["pending", "processing", "sent", "skipped", "failed"]],
+                },
+            },
+            attempts: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 0,
+            },
+            next_attempt_at: {
+                type: DataTypes.DATE,
+                allowNull: true,
+                comment: "Retry time after a failed attempt",
+            },
+            locked_at: {
+                type: DataTypes.DATE,
+                allowNull: true,
+                comment: "When a worker claimed the job; stale locks are released",
+            },
+            skip_reason: {
+                type: DataTypes.STRING,
+                allowNull: true,
+            },
+            last_error: {
+                type: DataTypes.TEXT,
+                allowNull: true,
+            },
+            message_id: {
+                type: DataTypes.INTEGER,
+                allowNull: true,
+                references: {
+                    model: "messages",
+                    key: "id",
+                },
+                comment: "Message queued on the conversation for this send",
+            },
+            processed_at: {
+                type: DataTypes.DATE,
+                allowNull: true,
+            },
+        },
+        {
+            sequelize,
+            modelName: "AppointmentReminder",
+            tableName: "appointment_reminders",
+            timestamps: true,
+            createdAt: "created_at",
+            updatedAt: "updated_at",
+            paranoid: false,
+            indexes: [
+                {
+                    unique: true,
+                    fields: ["appointment_id", "kind", "offset_hours", "send_at"],
+                },
+                {
+                    fields: ["status", "send_at"],
+                },
+                {
+                    fields: ["business_id"],
+                },
+            ],
+        }
+    );
+
+    return AppointmentReminder;
+};
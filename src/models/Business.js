@@ -64,6 +64,11 @@ module.exports = (sequelize, DataTypes) => {
                 foreignKey: "business_id",
                 as: "unansweredQuestions",
             });
+
+            Business.hasMany(models.Appointment, {
+                foreignKey: "business_id",
+                as: "appointments",
+            });
         }
     }
 
@@ -157,6 +162,63 @@ module.exports = (sequelize, DataTypes) => {
                 type: DataTypes.STRING,
                 allowNull: true,
             },
+            ai_settings: {
+                type: DataTypes.JSONB,
+                allowNull: true,
+                defaultValue: null,
+                comment:
+                    "LLM provider, model, temperature and max_tokens, optionally per task",
+            },
+            ai_disclosure: {
+                type: DataTypes.JSONB,
+                allowNull: true,
+                defaultValue: null,
+                comment:
+                    "AI disclosure policy: first-contact disclosure, localized messages and human handoff",
+            },
+            funnel_definition: {
+                type: DataTypes.JSONB,
+                allowNull: true,
+                defaultValue: null,
+                comment:
+                    "Conversation funnel states, allowed transitions, entry criteria and response strategies",
+            },
+            calendar_settings: {
+                type: DataTypes.JSONB,
+                allowNull: true,
+                defaultValue: null,
+            },
+            business_hours: {
+                type: DataTypes.JSONB,
+                allowNull: true,
+                defaultValue: null,
+            },
+            after_hours_policy: {
+                type: DataTypes.JSONB,
+                allowNull: true,
+                defaultValue: null,
+                comment:
+                    "What the assistant does while closed: ai, ai_no_human_promise or away_message, with localized away messages",
+            },
+            bot_resume_minutes: {
+                type: DataTypes.INTEGER,
+                allowNull: true,
+                defaultValue: null,
+                comment:
+                    "Minutes without agent activity after which a paused conversation goes back to the bot; 0 never, null the default",
+            },
+            business_context: {
+                type: DataTypes.JSONB,
+                allowNull: true,
+                defaultValue: null,
+            },
+            ai_tool_functions: {
+                type: DataTypes.JSONB,
+                allowNull: true,
+                defaultValue: null,
+                comment:
+                    "Tool function flags ({ id, is_enabled, configuration }); null uses the defaults",
+            },
         },
         {
             sequelize,
@@ -0,0 +1,79 @@
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+    class BusinessContextChunk extends Model {
+        static associate(models) {
+            BusinessContextChunk.belongsTo(models.BusinessContextSection, {
+                foreignKey: "section_id",
+                as: "section",
+            });
+        }
+    }
+
+    BusinessContextChunk.init(
+        {
+            id: {
+                type: DataTypes.INTEGER,
+                primaryKey: true,
+                autoIncrement: true,
+            },
+            section_id: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                references: {
+                    model: "business_context_sections",
+                    key: "id",
+                },
+            },
+            business_id: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                references: {
+                    model: "businesses",
+                    key: "id",
+                },
+            },
+            chunk_index: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                comment: "Position of the passage within its section",
+            },
+            content: {
+                type: DataTypes.TEXT,
+                allowNull: false,
+            },
+            content_embedding: {
+                type: DataTypes.ARRAY(DataTypes.FLOAT),
+                allowNull: true,
+            },
+            embedding_model: {
+                type: DataTypes.STRING,
+                allowNull: true,
+            },
+            embedding_updated_at: {
+                type: DataTypes.DATE,
+                allowNull: true,
+            },
+        },
+        {
+            sequelize,
+            modelName: "BusinessContextChunk",
+            tableName: "business_context_chunks",
+            timestamps: true,
+            createdAt: "created_at",
+            updatedAt: false,
+            paranoid: false,
+            indexes: [
+                {
+                    unique: true,
+                    fields: ["section_id", "chunk_index"],
+                },
+                {
+                    fields: ["business_id"],
+                },
+            ],
+        }
+    );
+
+    return BusinessContextChunk;
+};
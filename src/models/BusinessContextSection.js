@@ -7,6 +7,10 @@ module.exports = (sequelize, DataTypes) => {
                 foreignKey: "business_id",
                 as: "business",
             });
+            BusinessContextSection.hasMany(models.BusinessContextChunk, {
+                foreignKey: "section_id",
+                as: "chunks",
+            });
         }
     }
 
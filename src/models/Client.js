@@ -17,6 +17,11 @@ module.exports = (sequelize, DataTypes) => {
                 foreignKey: "client_id",
                 as: "leads",
             });
+
+            Client.hasMany(models.Appointment, {
+                foreignKey: "client_id",
+                as: "appointments",
+            });
         }
     }
 
@@ -145,6 +150,12 @@ module.exports = (sequelize, DataTypes) => {
                     min: 0,
                 },
             },
+            fact_sources: {
+                type: DataTypes.JSONB,
+                allowNull: true,
+                comment:
+                    "Per field, the customer message a contact detail was read from: value, message_id, excerpt, extracted_at",
+            },
         },
         {
             sequelize,
@@ -32,6 +32,11 @@ module.exports = (sequelize, DataTypes) => {
                 foreignKey: "conversation_id",
                 as: "unansweredQuestions",
             });
+
+            Conversation.hasMany(models.Appointment, {
+                foreignKey: "conversation_id",
+                as: "appointments",
+            });
         }
     }
 
@@ -110,6 +115,12 @@ module.exports = (sequelize, DataTypes) => {
                 type: DataTypes.TEXT,
                 allowNull: true,
             },
+            human_follow_up_at: {
+                type: DataTypes.DATE,
+                allowNull: true,
+                comment:
+                    "Next opening, for conversations needing a person that arrived outside business hours",
+            },
             assigned_agent_id: {
                 type: DataTypes.INTEGER,
                 allowNull: true,
@@ -118,6 +129,14 @@ module.exports = (sequelize, DataTypes) => {
                 type: DataTypes.BOOLEAN,
                 allowNull: false,
                 defaultValue: true,
+                comment:
+                    "False while an agent has the conversation; the assistant stores messages without replying",
+            },
+            agent_active_at: {
+                type: DataTypes.DATE,
+                allowNull: true,
+                comment:
+                    "When an agent last took over, paused the bot or replied",
             },
             current_state: {
                 type: DataTypes.STRING,
@@ -127,6 +146,13 @@ module.exports = (sequelize, DataTypes) => {
                     isIn: [["active", "paused", "closed", "escalated"]],
                 },
             },
+            funnel_state: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                defaultValue: "initial_contact",
+                comment:
+                    "State of the business's funnel, set by the conversation engine",
+            },
             message_count: {
                 type: DataTypes.INTEGER,
                 allowNull: false,
@@ -153,6 +179,9 @@ module.exports = (sequelize, DataTypes) => {
                 {
                     fields: ["current_state"],
                 },
+                {
+                    fields: ["funnel_state"],
+                },
                 {
                     fields: ["lead_score"],
                 },
@@ -162,6 +191,9 @@ module.exports = (sequelize, DataTypes) => {
                 {
                     fields: ["requires_human"],
                 },
+                {
+                    fields: ["business_id", "is_bot_active"],
+                },
             ],
         }
     );
@@ -190,6 +190,12 @@ module.exports = (sequelize, DataTypes) => {
                 type: DataTypes.DATE,
                 allowNull: true,
             },
+            fact_sources: {
+                type: DataTypes.JSONB,
+                allowNull: true,
+                comment:
+                    "Per field, the customer message a qualification fact was read from: value, message_id, excerpt, extracted_at",
+            },
         },
         {
             sequelize,
@@ -213,6 +219,10 @@ module.exports = (sequelize, DataTypes) => {
                 {
                     fields: ["conversion_value"],
                 },
+                {
+                    unique: true,
+                    fields: ["conversation_id"],
+                },
             ],
         }
     );
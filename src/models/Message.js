@@ -7,6 +7,11 @@ module.exports = (sequelize, DataTypes) => {
                 foreignKey: "conversation_id",
                 as: "conversation",
             });
+
+            Message.belongsTo(models.PlatformSource, {
+                foreignKey: "platform_source_id",
+                as: "platformSource",
+            });
         }
     }
 
@@ -81,6 +86,58 @@ module.exports = (sequelize, DataTypes) => {
                 type: DataTypes.DATE,
                 allowNull: false,
             },
+            platform_source_id: {
+                type: DataTypes.INTEGER,
+                allowNull: true,
+                references: {
+                    model: "platform_sources",
+                    key: "id",
+                },
+                comment: "Account an outgoing message is sent from",
+            },
+            recipient_id: {
+                type: DataTypes.STRING,
+                allowNull: true,
+                comment: "Platform user ID an outgoing message is sent to",
+            },
+            delivery_status: {
+                type: DataTypes.STRING,
+                allowNull: true,
+                validate: {
+                    isIn: [["queued", "sent", "failed", "delivered", "read"]],
+                },
+                comment: "Null for inbound messages",
+            },
+            delivery_attempts: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 0,
+            },
+            next_delivery_at: {
+                type: DataTypes.DATE,
+                allowNull: true,
+            },
+            delivery_locked_at: {
+                type: DataTypes.DATE,
+                allowNull: true,
+                comment: "When a worker claimed the message for sending",
+            },
+            last_delivery_error: {
+                type: DataTypes.TEXT,
+                allowNull: true,
+            },
+            sent_at: {
+                type: DataTypes.DATE,
+                allowNull: true,
+            },
+            delivered_at: {
+                type: DataTypes.DATE,
+                allowNull: true,
+            },
+            read_at: {
+                type: DataTypes.DATE,
+                allowNull: true,
+            },
         },
         {
             sequelize,
@@ -101,6 +158,15 @@ module.exports = (sequelize, DataTypes) => {
                 {
                     fields: ["sentiment_score"],
                 },
+                {
+                    fields: ["delivery_status", "next_delivery_at"],
+                },
+                {
+                    fields: ["platform_message_id"],
+                },
+                {
+                    fields: ["platform_source_id", "recipient_id"],
+                },
             ],
         }
     );
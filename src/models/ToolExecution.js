@@ -0,0 +1,109 @@
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+    class ToolExecution extends Model {
+        static associate(models) {
+            ToolExecution.belongsTo(models.Business, {
+                foreignKey: "business_id",
+                as: "business",
+            });
+
+            ToolExecution.belongsTo(models.Conversation, {
+                foreignKey: "conversation_id",
+                as: "conversation",
+            });
+        }
+    }
+
+    ToolExecution.init(
+        {
+            id: {
+                type: DataTypes.INTEGER,
+                primaryKey: true,
+                autoIncrement: true,
+            },
+            business_id: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                references: {
+                    model: "businesses",
+                    key: "id",
+                },
+            },
+            conversation_id: {
+                type: DataTypes.INTEGER,
+                allowNull: true,
+                references: {
+                    model: "conversations",
+                    key: "id",
+                },
+            },
+            tool_id: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                comment: "Tool function flag ID, e.g. appointment_scheduler",
+            },
+            function_name: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                comment: "Function name the model called",
+            },
+            channel: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                comment: "Channel of the turn, or tool_test for the test endpoint",
+            },
+            sandbox: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false,
+            },
+            status: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                validate: {
+                    isIn: [["success", "error", "rejected", "completed_late"]],
+                },
+            },
+            arguments: {
+                type: DataTypes.JSONB,
+                allowNull: true,
+            },
+            result: {
+                type: DataTypes.JSONB,
+                allowNull: true,
+            },
+            error_message: {
+                type: DataTypes.TEXT,
+                allowNull: true,
+            },
+            latency_ms: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 0,
+            },
+        },
+        {
+            sequelize,
+            modelName: "ToolExecution",
+            tableName: "tool_executions",
+            timestamps: true,
+            createdAt: "created_at",
+            updatedAt: false,
+            paranoid: false,
+            indexes: [
+                {
+                    fields: ["business_id", "created_at"],
+                },
+                {
+                    fields: ["conversation_id"],
+                },
+                {
+                    fields: ["tool_id"],
+                },
+            ],
+        }
+    );
+
+    return ToolExecution;
+};
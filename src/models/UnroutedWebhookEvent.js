@@ -0,0 +1,80 @@
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+    class UnroutedWebhookEvent extends Model {}
+
+    UnroutedWebhookEvent.init(
+        {
+            id: {
+                type: DataTypes.INTEGER,
+                primaryKey: true,
+                autoIncrement: true,
+            },
+            platform_type: {
+                type: DataTypes.STRING,
+                allowNull: false,
+            },
+            account_id: {
+                type: DataTypes.STRING,
+                allowNull: true,
+                comment: "Receiving account/page ID from the webhook payload",
+            },
+            reason: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                comment: "Why the event could not be routed to a platform source",
+            },
+            sender_id: {
+                type: DataTypes.STRING,
+                allowNull: true,
+            },
+            occurrences: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 1,
+            },
+            first_seen_at: {
+                type: DataTypes.DATE,
+                allowNull: false,
+                defaultValue: DataTypes.NOW,
+            },
+            last_seen_at: {
+                type: DataTypes.DATE,
+                allowNull: false,
+                defaultValue: DataTypes.NOW,
+            },
+            last_payload: {
+                type: DataTypes.JSONB,
+                allowNull: true,
+                comment: "Most recent entry received for this account",
+            },
+            is_resolved: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false,
+            },
+        },
+        {
+            sequelize,
+            modelName: "UnroutedWebhookEvent",
+            tableName: "unrouted_webhook_events",
+            timestamps: true,
+            createdAt: "created_at",
+            updatedAt: "updated_at",
+            paranoid: false,
+            indexes: [
+                {
+                    fields: ["platform_type", "account_id"],
+                },
+                {
+                    fields: ["is_resolved"],
+                },
+                {
+                    fields: ["last_seen_at"],
+                },
+            ],
+        }
+    );
+
+    return UnroutedWebhookEvent;
+};
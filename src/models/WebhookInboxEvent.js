@@ -0,0 +1,114 @@
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+    class WebhookInboxEvent extends Model {
+        static associate(models) {
+            WebhookInboxEvent.belongsTo(models.PlatformSource, {
+                foreignKey: "platform_source_id",
+                as: "platformSource",
+            });
+        }
+    }
+
+    WebhookInboxEvent.init(
+        {
+            id: {
+                type: DataTypes.INTEGER,
+                primaryKey: true,
+                autoIncrement: true,
+            },
+            platform_type: {
+                type: DataTypes.STRING,
+                allowNull: false,
+            },
+            platform_source_id: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                references: {
+                    model: "platform_sources",
+                    key: "id",
+                },
+            },
+            dedupe_key: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                comment: "Platform message ID (mid), used to drop redelivered events",
+            },
+            event_type: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                validate: {
+                    isIn: [["message", "postback"]],
+                },
+            },
+            sender_id: {
+                type: DataTypes.STRING,
+                allowNull: false,
+            },
+            payload: {
+                type: DataTypes.JSONB,
+                allowNull: false,
+                comment: "Raw messaging event as delivered by the platform",
+            },
+            status: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                defaultValue: "pending",
+                validate: {
+                    isIn: [["pending", "processing", "completed", "dead_letter"]],
+                },
+            },
+            attempts: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 0,
+            },
+            max_attempts: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 5,
+            },
+            next_attempt_at: {
+                type: DataTypes.DATE,
+                allowNull: false,
+                defaultValue: DataTypes.NOW,
+            },
+            locked_at: {
+                type: DataTypes.DATE,
+                allowNull: true,
+                comment: "When a worker claimed the event; stale locks are released",
+            },
+            last_error: {
+                type: DataTypes.TEXT,
+                allowNull: true,
+            },
+            processed_at: {
+                type: DataTypes.DATE,
+                allowNull: true,
+            },
+        },
+        {
+            sequelize,
+            modelName: "WebhookInboxEvent",
+            tableName: "webhook_inbox_events",
+            timestamps: true,
+            createdAt: "created_at",
+            updatedAt: "updated_at",
+            paranoid: false,
+            indexes: [
+                {
+                    unique: true,
+                    fields: ["platform_type", "dedupe_key"],
+                },
+                {
+                    fields: ["status", "next_attempt_at"],
+                },
+                {
+                    fields: ["platform_source_id"],
+                },
+            ],
+        }
+    );
+
+    return WebhookInboxEvent;
+};
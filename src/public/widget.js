@@ -0,0 +1,248 @@
+/**
+ * Clankie website chat widget
+ * Embed with:
+ *   <script src="https://api.example.com/api/widget/widget.js"
+ *     data-widget-key="wk_..." async></script>
+ * The API base URL is taken from the script's own src. The visitor's
+ * session ID is kept in localStorage, so a returning visitor continues
+ * their conversation; agent replies are picked up by polling
+ */
+(function () {
+    "use strict";
+
+    var script = document.currentScript;
+    if (!script || !script.getAttribute("data-widget-key")) return;
+
+    var widgetKey = script.getAttribute("data-widget-key");
+    var apiBase =
+        script.src.replace(/\/api\/widget\/widget\.js.*$/, "") +
+        "/api/widget/" +
+        encodeURIComponent(widgetKey);
+    var storageKey = "clankie_widget_session_" + widgetKey;
+    var POLL_INTERVAL_MS = 5000;
+
+    var sessionId = null;
+    var lastSeenAt = null;
+    var seen = {};
+    // Texts sent from this page, shown before the API has stored them
+    var pending = [];
+    var pollTimer = null;
+    var panel, list, form, input;
+
+    function request(method, path, body) {
+        return fetch(apiBase + path, {
+            method: method,
+            headers: body ? { "Content-Type": "application/json" } : {},
+            body: body ? JSON.stringify(body) : undefined,
+        }).then(function (response) {
+            return response.json().then(function (json) {
+                if (!response.ok) {
+                    var error = new Error(json.error || "Request failed");
+                    error.code = json.code;
+                    throw error;
+                }
+                return json.data;
+            });
+        });
+    }
+
+    function el(tag, styles, text) {
+        var node = document.createElement(tag);
+        Object.keys(styles || {}).forEach(function (key) {
+            node.style[key] = styles[key];
+        });
+        if (text) node.textContent = text;
+        return node;
+    }
+
+    function render(message) {
+        if (message.id && seen[message.id]) return;
+        if (message.id) seen[message.id] = true;
+        if (message.sent_at) lastSeenAt = message.sent_at;
+
+        var fromVisitor = message.sender_type === "customer";
+        if (fromVisitor && message.id && pending.indexOf(message.text) >= 0) {
+            pending.splice(pending.indexOf(message.text), 1);
+            return;
+        }
+        var bubble = el(
+            "div",
+            {
+                alignSelf: fromVisitor ? "flex-end" : "flex-start",
+                background: fromVisitor ? "#e5e7eb" : "#f3f4f6",
+                borderRadius: "12px",
+                padding: "8px 12px",
+                margin: "4px 0",
+                maxWidth: "80%",
+                whiteSpace: "pre-wrap",
+            },
+            message.text
+        );
+        list.appendChild(bubble);
+
+        (message.quick_replies || []).forEach(function (reply) {
+            var button = el(
+                "button",
+                {
+                    alignSelf: "flex-start",
+                    margin: "2px 0",
+                    border: "1px solid #d1d5db",
+                    borderRadius: "12px",
+                    background: "#fff",
+                    padding: "4px 10px",
+                    cursor: "pointer",
+                },
+                reply.title
+            );
+            button.type = "button";
+            button.onclick = function () {
+                send(reply.title);
+            };
+            list.appendChild(button);
+        });
+        list.scrollTop = list.scrollHeight;
+    }
+
+    function startSession() {
+        return request("POST", "/sessions").then(function (session) {
+            sessionId = session.session_id;
+            localStorage.setItem(storageKey, sessionId);
+            if (session.greeting) {
+                render({ sender_type: "bot", text: session.greeting });
+            }
+        });
+    }
+
+    function poll() {
+        var query = lastSeenAt
+            ? "?after=" + encodeURIComponent(lastSeenAt)
+            : "";
+        return request(
+            "GET",
+            "/sessions/" + sessionId + "/messages" + query
+        ).then(function (messages) {
+            messages.forEach(render);
+        });
+    }
+
+    function resume() {
+        sessionId = localStorage.getItem(storageKey);
+        if (!sessionId) return startSession();
+
+        return poll().catch(function (error) {
+            if (error.code !== "WIDGET_SESSION_NOT_FOUND") throw error;
+            return startSession();
+        });
+    }
+
+    function send(text) {
+        pending.push(text);
+        render({ sender_type: "customer", text: text });
+        return request("POST", "/sessions/" + sessionId + "/messages", {
+            text: text,
+        })
+            .then(function (result) {
+                if (result.reply) render(result.reply);
+            })
+            .catch(function () {
+                render({
+                    sender_type: "bot",
+                    text: "Sorry, your message could not be sent.",
+                });
+            });
+    }
+
+    function open() {
+        panel.style.display = "flex";
+        if (pollTimer) return;
+        resume().then(function () {
+            pollTimer = setInterval(function () {
+                poll().catch(function () {});
+            }, POLL_INTERVAL_MS);
+        });
+    }
+
+    function mount(settings) {
+        var launcher = el(
+            "button",
+            {
+                position: "fixed",
+                right: "20px",
+                bottom: "20px",
+                zIndex: "2147483000",
+                border: "none",
+                borderRadius: "24px",
+                padding: "12px 18px",
+                background: settings.color,
+                color: "#fff",
+                font: "14px sans-serif",
+                cursor: "pointer",
+            },
+            settings.title
+        );
+        launcher.type = "button";
+
+        panel = el("div", {
+            position: "fixed",
+            right: "20px",
+            bottom: "76px",
+            zIndex: "2147483000",
+            width: "320px",
+            height: "420px",
+            display: "none",
+            flexDirection: "column",
+            background: "#fff",
+            border: "1px solid #e5e7eb",
+            borderRadius: "12px",
+            boxShadow: "0 8px 24px rgba(0,0,0,0.15)",
+            font: "14px sans-serif",
+            overflow: "hidden",
+        });
+        panel.appendChild(
+            el(
+                "div",
+                { background: settings.color, color: "#fff", padding: "12px" },
+                settings.title
+            )
+        );
+        list = el("div", {
+            flex: "1",
+            display: "flex",
+            flexDirection: "column",
+            overflowY: "auto",
+            padding: "8px 12px",
+        });
+        panel.appendChild(list);
+
+        form = el("form", {
+            display: "flex",
+            borderTop: "1px solid #e5e7eb",
+        });
+        input = el("input", { flex: "1", border: "none", padding: "12px" });
+        input.placeholder = "Type a message";
+        input.maxLength = 1000;
+        form.appendChild(input);
+        form.onsubmit = function (event) {
+            event.preventDefault();
+            var text = input.value.trim();
+            if (!text || !sessionId) return;
+            input.value = "";
+            send(text);
+        };
+        panel.appendChild(form);
+
+        launcher.onclick = function () {
+            if (panel.style.display === "none") open();
+            else panel.style.display = "none";
+        };
+
+        document.body.appendChild(panel);
+        document.body.appendChild(launcher);
+    }
+
+    request("GET", "/config")
+        .then(mount)
+        .catch(function () {
+            // Unknown widget or a page outside its allowed origins
+        });
+})();
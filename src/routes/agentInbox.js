@@ -0,0 +1,789 @@
+"use strict";
+
+const express = require("express");
+const router = express.Router();
+const { body, param, query, validationResult } = require("express-validator");
+const { Business } = require("../models");
+const { verifyFirebaseToken } = require("../middleware/firebaseAuth");
+const AgentInboxService = require("../services/agentInboxService");
+const {
+    resolveBotResumeMinutes,
+    validateBotResumeMinutes,
+} = require("../services/agentTakeover");
+const {
+    buildTemplate,
+    validateTemplate,
+} = require("../services/whatsappCloudApi");
+const { createChildLogger } = require("../config/logger");
+
+const logger = createChildLogger("agent-inbox-routes");
+const inboxService = new AgentInboxService();
+
+const { INBOX_STATUSES } = AgentInboxService;
+
+// HTTP status for each error code the inbox service throws
+const ERROR_STATUS = {
+    CONVERSATION_NOT_FOUND: 404,
+    AGENT_NOT_FOUND: 400,
+    AGENT_CONVERSATION_CLAIMED: 409,
+    AGENT_OUTSIDE_MESSAGING_WINDOW: 409,
+    AGENT_UNSUPPORTED_PLATFORM: 422,
+};
+
+const REPLY_MAX_LENGTH = 1000;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InboxConversation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         client:
+ *           type: object
+ *         requires_human:
+ *           type: boolean
+ *           description: The assistant or the customer asked for a person
+ *         human_takeover_reason:
+ *           type: string
+ *         human_follow_up_at:
+ *           type: string
+ *           format: date-time
+ *           description: Next opening, for requests that arrived outside business hours
+ *         assigned_agent_id:
+ *           type: integer
+ *           description: User ID of the agent handling the conversation
+ *         is_bot_active:
+ *           type: boolean
+ *           description: False while an agent has the conversation
+ *         agent_active_at:
+ *           type: string
+ *           format: date-time
+ *           description: When an agent last took over, paused the bot or replied
+ *         bot_paused:
+ *           type: boolean
+ *           description: Whether the assistant stays silent on the customer's next message
+ *         bot_resumes_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: From when the customer's next message goes back to the bot; null while it stays with the agent
+ *         funnel_state:
+ *           type: string
+ *         last_activity:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/business/inbox/settings:
+ *   get:
+ *     summary: Get the agent inbox settings
+ *     tags: [Agent Inbox]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Stored and effective idle period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     bot_resume_minutes:
+ *                       type: integer
+ *                       nullable: true
+ *                     effective_bot_resume_minutes:
+ *                       type: integer
+ */
+router.get("/settings", verifyFirebaseToken, async (req, res) => {
+    try {
+        const business = await findBusiness(req, res);
+        if (!business) return;
+
+        res.json({
+            success: true,
+            data: settingsOf(business),
+        });
+    } catch (error) {
+        handleError(res, error, "Get inbox settings", req);
+    }
+});
+
+/**
+ * @swagger
+ * /api/business/inbox/settings:
+ *   put:
+ *     summary: Set how long a paused conversation waits for its agent
+ *     description: After bot_resume_minutes without an agent claiming, pausing or replying, the customer's next message goes back to the bot. 0 keeps conversations with the agent until they resume the bot; null returns to the default of 60 minutes
+ *     tags: [Agent Inbox]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [bot_resume_minutes]
+ *             properties:
+ *               bot_resume_minutes:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 0
+ *                 maximum: 10080
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *       400:
+ *         description: Validation error
+ */
+router.put("/settings", verifyFirebaseToken, async (req, res) => {
+    try {
+        const { bot_resume_minutes: minutes } = req.body || {};
+        const errors =
+            minutes === undefined
+                ? ["bot_resume_minutes is required"]
+                : validateBotResumeMinutes(minutes);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: errors.join("; "),
+                code: "VALIDATION_ERROR",
+            });
+        }
+
+        const business = await findBusiness(req, res);
+        if (!business) return;
+
+        await business.update({ bot_resume_minutes: minutes });
+
+        res.json({
+            success: true,
+            data: settingsOf(business),
+        });
+    } catch (error) {
+        handleError(res, error, "Update inbox settings", req);
+    }
+});
+
+/**
+ * @swagger
+ * /api/business/inbox:
+ *   get:
+ *     summary: List conversations for agents
+ *     description: By default, conversations that need a person or that an agent has taken over
+ *     tags: [Agent Inbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [attention, requires_human, paused, all]
+ *           default: attention
+ *       - in: query
+ *         name: assigned
+ *         schema:
+ *           type: string
+ *         description: me, unassigned or an agent's user ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Conversations, most recently active first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     conversations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/InboxConversation'
+ *                     pagination:
+ *                       type: object
+ */
+router.get(
+    "/",
+    verifyFirebaseToken,
+    [
+        query("status").optional().isIn(INBOX_STATUSES),
+        query("assigned")
+            .optional()
+            .custom(
+                (value) =>
+                    ["me", "unassigned"].includes(value) ||
+                    /^[1-9]\d*$/.test(value)
+            )
+            .withMessage("assigned must be me, unassigned or a user ID"),
+    ],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const limit = Math.min(
+                Math.max(parseInt(req.query.limit) || 20, 1),
+                100
+            );
+
+            const business = await findBusiness(req, res);
+            if (!business) return;
+
+            const { conversations, total } = await inboxService.list(business, {
+                status: req.query.status,
+                assignedAgentId: assignedFilter(req),
+                page,
+                limit,
+            });
+
+            const totalPages = Math.ceil(total / limit);
+
+            res.json({
+                success: true,
+                data: {
+                    conversations,
+                    pagination: {
+                        page,
+                        limit,
+                        total,
+                        pages: totalPages,
+                        has_next: page < totalPages,
+                        has_previous: page > 1,
+                    },
+                },
+            });
+        } catch (error) {
+            handleError(res, error, "List inbox", req);
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/business/inbox/{id}:
+ *   get:
+ *     summary: Get a conversation with its latest 50 messages
+ *     tags: [Agent Inbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Conversation and its messages, oldest first
+ *       404:
+ *         description: Conversation not found
+ */
+router.get(
+    "/:id",
+    verifyFirebaseToken,
+    [param("id").isInt({ min: 1 })],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            const business = await findBusiness(req, res);
+            if (!business) return;
+
+            res.json({
+                success: true,
+                data: await inboxService.find(
+                    business,
+                    parseInt(req.params.id)
+                ),
+            });
+        } catch (error) {
+            handleError(res, error, "Get inbox conversation", req);
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/business/inbox/{id}/claim:
+ *   post:
+ *     summary: Take a conversation over
+ *     description: Assigns the conversation to the signed-in user and pauses the bot
+ *     tags: [Agent Inbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Conversation claimed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/InboxConversation'
+ *       404:
+ *         description: Conversation not found
+ *       409:
+ *         description: Another agent has the conversation (AGENT_CONVERSATION_CLAIMED)
+ */
+router.post(
+    "/:id/claim",
+    verifyFirebaseToken,
+    [param("id").isInt({ min: 1 })],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            const business = await findBusiness(req, res);
+            if (!business) return;
+
+            res.json({
+                success: true,
+                data: await inboxService.claim(
+                    business,
+                    parseInt(req.params.id),
+                    req.user.id
+                ),
+            });
+        } catch (error) {
+            handleError(res, error, "Claim conversation", req);
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/business/inbox/{id}/assignment:
+ *   put:
+ *     summary: Assign a conversation to an agent
+ *     description: Reassigns conversations other agents hold; send agent_id null to unassign. The bot is left as it is
+ *     tags: [Agent Inbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [agent_id]
+ *             properties:
+ *               agent_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: User ID of the agent, one of the business's users
+ *     responses:
+ *       200:
+ *         description: Conversation assigned
+ *       400:
+ *         description: Invalid agent_id or not a user of the business
+ *       404:
+ *         description: Conversation not found
+ */
+router.put(
+    "/:id/assignment",
+    verifyFirebaseToken,
+    [
+        param("id").isInt({ min: 1 }),
+        body("agent_id")
+            .custom((value) => value === null || Number.isInteger(value))
+            .withMessage("agent_id must be a user ID or null"),
+    ],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            const business = await findBusiness(req, res);
+            if (!business) return;
+
+            res.json({
+                success: true,
+                data: await inboxService.assign(
+                    business,
+                    parseInt(req.params.id),
+                    req.body.agent_id
+                ),
+            });
+        } catch (error) {
+            handleError(res, error, "Assign conversation", req);
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/business/inbox/{id}/pause:
+ *   post:
+ *     summary: Pause the bot in a conversation
+ *     description: The assistant stores the customer's messages without replying until the bot is resumed or the idle period runs out. Assigns the conversation to the signed-in user when nobody has it
+ *     tags: [Agent Inbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Bot paused
+ *       404:
+ *         description: Conversation not found
+ */
+router.post(
+    "/:id/pause",
+    verifyFirebaseToken,
+    [
+        param("id").isInt({ min: 1 }),
+        body("reason").optional().isString().isLength({ max: 500 }),
+    ],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            const business = await findBusiness(req, res);
+            if (!business) return;
+
+            res.json({
+                success: true,
+                data: await inboxService.pauseBot(
+                    business,
+                    parseInt(req.params.id),
+                    req.user.id,
+                    req.body.reason
+                ),
+            });
+        } catch (error) {
+            handleError(res, error, "Pause bot", req);
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/business/inbox/{id}/resume:
+ *   post:
+ *     summary: Hand a conversation back to the bot
+ *     description: The assistant answers the customer's next message and the conversation no longer needs a person
+ *     tags: [Agent Inbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Bot resumed
+ *       404:
+ *         description: Conversation not found
+ */
+router.post(
+    "/:id/resume",
+    verifyFirebaseToken,
+    [param("id").isInt({ min: 1 })],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            const business = await findBusiness(req, res);
+            if (!business) return;
+
+            res.json({
+                success: true,
+                data: await inboxService.resumeBot(
+                    business,
+                    parseInt(req.params.id)
+                ),
+            });
+        } catch (error) {
+            handleError(res, error, "Resume bot", req);
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/business/inbox/{id}/messages:
+ *   post:
+ *     summary: Reply to the customer as an agent
+ *     description: Sent through the conversation's platform and stored with sender_type agent. Replying pauses the bot and assigns the conversation to the signed-in user when nobody has it. Past the 24-hour messaging window, Instagram and Messenger replies are sent with the HUMAN_AGENT tag for up to seven days; WhatsApp conversations need a template
+ *     tags: [Agent Inbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [text]
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       201:
+ *         description: Reply queued; delivery_status says whether the first send went through
+ *       404:
+ *         description: Conversation not found
+ *       409:
+ *         description: The customer's last message is too old to reply to (AGENT_OUTSIDE_MESSAGING_WINDOW)
+ *       422:
+ *         description: Replies cannot be sent to the conversation's platform (AGENT_UNSUPPORTED_PLATFORM)
+ */
+router.post(
+    "/:id/messages",
+    verifyFirebaseToken,
+    [
+        param("id").isInt({ min: 1 }),
+        body("text")
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: REPLY_MAX_LENGTH })
+            .withMessage(`text must be 1-${REPLY_MAX_LENGTH} characters`),
+    ],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            const business = await findBusiness(req, res);
+            if (!business) return;
+
+            const message = await inboxService.reply(
+                business,
+                parseInt(req.params.id),
+                req.body.text,
+                req.user.id
+            );
+
+            res.status(201).json({
+                success: true,
+                data: message,
+            });
+        } catch (error) {
+            handleError(res, error, "Send agent reply", req);
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/business/inbox/{id}/templates:
+ *   post:
+ *     summary: Send a WhatsApp template message as an agent
+ *     description: Sends a template approved for the business's WhatsApp account, which WhatsApp delivers even past the 24-hour messaging window. Takes the conversation over like a reply
+ *     tags: [Agent Inbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, language]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "appointment_follow_up"
+ *               language:
+ *                 type: string
+ *                 example: "en_US"
+ *               components:
+ *                 type: array
+ *                 description: Cloud API template components with the parameter values
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       201:
+ *         description: Template queued; delivery_status says whether the first send went through
+ *       400:
+ *         description: Invalid template
+ *       404:
+ *         description: Conversation not found
+ *       422:
+ *         description: The conversation is not on WhatsApp (AGENT_UNSUPPORTED_PLATFORM)
+ */
+router.post(
+    "/:id/templates",
+    verifyFirebaseToken,
+    [param("id").isInt({ min: 1 })],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            const errors = validateTemplate(req.body);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: errors.join("; "),
+                    code: "VALIDATION_ERROR",
+                });
+            }
+
+            const business = await findBusiness(req, res);
+            if (!business) return;
+
+            const message = await inboxService.sendTemplate(
+                business,
+                parseInt(req.params.id),
+                buildTemplate(req.body),
+                req.user.id
+            );
+
+            res.status(201).json({
+                success: true,
+                data: message,
+            });
+        } catch (error) {
+            handleError(res, error, "Send agent template", req);
+        }
+    }
+);
+
+/**
+ * @returns {number|null|undefined} assigned_agent_id to filter by; null
+ *   for unassigned, undefined for any
+ */
+function assignedFilter(req) {
+    const { assigned } = req.query;
+    if (assigned === undefined) return undefined;
+    if (assigned === "me") return req.user.id;
+    if (assigned === "unassigned") return null;
+    return parseInt(assigned);
+}
+
+function settingsOf(business) {
+    return {
+        bot_resume_minutes: business.bot_resume_minutes,
+        effective_bot_resume_minutes: resolveBotResumeMinutes(business),
+    };
+}
+
+/**
+ * Answer 400 with the express-validator errors, if any
+ * @returns {boolean} Whether the request was rejected
+ */
+function rejectInvalid(req, res) {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+
+    res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        code: "VALIDATION_ERROR",
+        details: errors.array(),
+    });
+    return true;
+}
+
+/**
+ * The caller's business, or a 404 answer
+ * @returns {Promise<Object|null>} Business
+ */
+async function findBusiness(req, res) {
+    const business = await Business.findOne({
+        where: { owner_id: req.user.id },
+        attributes: ["id", "owner_id", "bot_resume_minutes"],
+    });
+
+    if (!business) {
+        res.status(404).json({
+            success: false,
+            error: "Business not found",
+            code: "BUSINESS_NOT_FOUND",
+        });
+    }
+    return business;
+}
+
+/**
+ * Answer with the status matching a service error code, or 500
+ */
+function handleError(res, error, action, req) {
+    const status = ERROR_STATUS[error.code];
+    if (status) {
+        return res.status(status).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+        });
+    }
+
+    logger.error(`${action} error`, {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+    });
+    res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        code: "INTERNAL_ERROR",
+    });
+}
+
+module.exports = router;
@@ -0,0 +1,949 @@
+"use strict";
+
+const express = require("express");
+const router = express.Router();
+const { body, param, query, validationResult } = require("express-validator");
+const { Business } = require("../models");
+const { verifyFirebaseToken } = require("../middleware/firebaseAuth");
+const AppointmentService = require("../services/appointmentService");
+const { createChildLogger } = require("../config/logger");
+
+const logger = createChildLogger("appointments-routes");
+const appointmentService = new AppointmentService();
+
+// HTTP status for each error code the appointment service throws
+const ERROR_STATUS = {
+    VALIDATION_ERROR: 400,
+    APPOINTMENT_NOT_FOUND: 404,
+    CLIENT_NOT_FOUND: 404,
+    CONVERSATION_NOT_FOUND: 404,
+    SERVICE_NOT_FOUND: 404,
+    APPOINTMENT_SLOT_UNAVAILABLE: 409,
+    APPOINTMENT_INVALID_STATUS: 409,
+    APPOINTMENT_BOOKING_DISABLED: 409,
+};
+
+const BUSINESS_ATTRIBUTES = [
+    "id",
+    "timezone",
+    "calendar_settings",
+    "business_hours",
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Appointment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         client_id:
+ *           type: integer
+ *         conversation_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Conversation the booking was made or discussed in
+ *         service_id:
+ *           type: integer
+ *           nullable: true
+ *         start_time:
+ *           type: string
+ *           format: date-time
+ *         end_time:
+ *           type: string
+ *           format: date-time
+ *         duration_minutes:
+ *           type: integer
+ *         timezone:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, confirmed, cancelled, completed, no_show]
+ *         source:
+ *           type: string
+ *           enum: [staff, bot]
+ *         notes:
+ *           type: string
+ *         confirmed_at:
+ *           type: string
+ *           format: date-time
+ *         cancelled_at:
+ *           type: string
+ *           format: date-time
+ *         cancellation_reason:
+ *           type: string
+ *         reschedule_count:
+ *           type: integer
+ *         previous_start_time:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/business/appointments/availability:
+ *   get:
+ *     summary: Get open appointment slots
+ *     description: Slots follow the calendar working hours narrowed to the business hours, in the calendar timezone, leaving buffer_time around existing appointments and respecting min/max_advance_booking
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day, in the calendar timezone; defaults to today
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day, at most 31 days after from; defaults to a week
+ *       - in: query
+ *         name: service_id
+ *         schema:
+ *           type: integer
+ *         description: Use the service's duration_minutes instead of appointment_duration
+ *     responses:
+ *       200:
+ *         description: Open slots
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     timezone:
+ *                       type: string
+ *                     from:
+ *                       type: string
+ *                       format: date
+ *                     to:
+ *                       type: string
+ *                       format: date
+ *                     duration_minutes:
+ *                       type: integer
+ *                     slots:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           start:
+ *                             type: string
+ *                             format: date-time
+ *                           end:
+ *                             type: string
+ *                             format: date-time
+ *                           local_date:
+ *                             type: string
+ *                             format: date
+ *                           local_time:
+ *                             type: string
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+    "/availability",
+    verifyFirebaseToken,
+    [
+        query("from").optional().isISO8601().withMessage("from must be a date"),
+        query("to").optional().isISO8601().withMessage("to must be a date"),
+        query("service_id")
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage("service_id must be a positive integer"),
+    ],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            const business = await findBusiness(req, res);
+            if (!business) return;
+
+            const availability = await appointmentService.getAvailability({
+                business,
+                from: req.query.from,
+                to: req.query.to,
+                serviceId: req.query.service_id
+                    ? parseInt(req.query.service_id)
+                    : null,
+            });
+
+            res.json({
+                success: true,
+                data: availability,
+            });
+        } catch (error) {
+            handleError(res, error, "Get availability", req);
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/business/appointments:
+ *   get:
+ *     summary: List appointments
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only appointments starting at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only appointments starting before this time
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, confirmed, cancelled, completed, no_show]
+ *       - in: query
+ *         name: client_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: conversation_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Appointments, soonest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     appointments:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Appointment'
+ *                     pagination:
+ *                       type: object
+ */
+router.get(
+    "/",
+    verifyFirebaseToken,
+    [
+        query("from").optional().isISO8601(),
+        query("to").optional().isISO8601(),
+        query("status")
+            .optional()
+            .isIn(["pending", "confirmed", "cancelled", "completed", "no_show"]),
+        query("client_id").optional().isInt({ min: 1 }),
+        query("conversation_id").optional().isInt({ min: 1 }),
+    ],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const limit = Math.min(
+                Math.max(parseInt(req.query.limit) || 20, 1),
+                100
+            );
+
+            const business = await findBusiness(req, res);
+            if (!business) return;
+
+            const { appointments, total } = await appointmentService.list(
+                business.id,
+                {
+                    from: req.query.from ? new Date(req.query.from) : null,
+                    to: req.query.to ? new Date(req.query.to) : null,
+                    status: req.query.status,
+                    clientId: parseInt(req.query.client_id) || null,
+                    conversationId: parseInt(req.query.conversation_id) || null,
+                    page,
+                    limit,
+                }
+            );
+
+            const totalPages = Math.ceil(total / limit);
+
+            res.json({
+                success: true,
+                data: {
+                    appointments,
+                    pagination: {
+                        page,
+                        limit,
+                        total,
+                        pages: totalPages,
+                        has_next: page < totalPages,
+                        has_previous: page > 1,
+                    },
+                },
+            });
+        } catch (error) {
+            handleError(res, error, "List appointments", req);
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/business/appointments/reminders:
+ *   get:
+ *     summary: List scheduled reminder and follow-up jobs
+ *     description: One job per reminder (reminder_times before a confirmed appointment) and follow-up. Sent jobs link the message queued on the client's conversation; skipped jobs say why (appointment_cancelled, outdated, outside_messaging_window, no_conversation, ...)
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, sent, skipped, failed]
+ *       - in: query
+ *         name: appointment_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Jobs, soonest send first, with counts per status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     stats:
+ *                       type: object
+ *                       properties:
+ *                         pending:
+ *                           type: integer
+ *                         processing:
+ *                           type: integer
+ *                         sent:
+ *                           type: integer
+ *                         skipped:
+ *                           type: integer
+ *                         failed:
+ *                           type: integer
+ *                     reminders:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                           appointment_id:
+ *                             type: integer
+ *                           kind:
+ *                             type: string
+ *                             enum: [reminder, follow_up]
+ *                           offset_hours:
+ *                             type: integer
+ *                           send_at:
+ *                             type: string
+ *                             format: date-time
+ *                           status:
+ *                             type: string
+ *                           attempts:
+ *                             type: integer
+ *                           skip_reason:
+ *                             type: string
+ *                           last_error:
+ *                             type: string
+ *                           message:
+ *                             type: object
+ *                             description: Queued message and its delivery status
+ */
+router.get(
+    "/reminders",
+    verifyFirebaseToken,
+    [
+        query("status")
+            .optional()
+            .isIn(["pending", "processing", "sent", "skipped", "failed"]),
+        query("appointment_id").optional().isInt({ min: 1 }),
+        query("limit").optional().isInt({ min: 1, max: 200 }),
+    ],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            const business = await findBusiness(req, res);
+            if (!business) return;
+
+            const { reminders } = appointmentService;
+            res.json({
+                success: true,
+                data: {
+                    stats: await reminders.getStats(business.id),
+                    reminders: await reminders.list(business.id, {
+                        status: req.query.status,
+                        appointmentId:
+                            parseInt(req.query.appointment_id) || null,
+                        limit: req.query.limit,
+                    }),
+                },
+            });
+        } catch (error) {
+            handleError(res, error, "List reminders", req);
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/business/appointments/{id}:
+ *   get:
+ *     summary: Get an appointment
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Appointment with its client and service
+ *       404:
+ *         description: Appointment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+    "/:id",
+    verifyFirebaseToken,
+    [param("id").isInt({ min: 1 })],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            const business = await findBusiness(req, res);
+            if (!business) return;
+
+            const appointment = await appointmentService.find(
+                business.id,
+                parseInt(req.params.id)
+            );
+
+            res.json({
+                success: true,
+                data: appointment,
+            });
+        } catch (error) {
+            handleError(res, error, "Get appointment", req);
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/business/appointments:
+ *   post:
+ *     summary: Book an appointment
+ *     description: The time must be free and within working hours. The appointment is confirmed right away when calendar_settings.auto_confirm is on, otherwise it stays pending
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - client_id
+ *               - start_time
+ *             properties:
+ *               client_id:
+ *                 type: integer
+ *               conversation_id:
+ *                 type: integer
+ *                 description: Conversation with the same client to link the booking to
+ *               service_id:
+ *                 type: integer
+ *                 description: Service booked; its duration_minutes sets the length
+ *               start_time:
+ *                 type: string
+ *                 format: date-time
+ *               duration_minutes:
+ *                 type: integer
+ *                 minimum: 5
+ *                 maximum: 480
+ *                 description: Overrides the service or default duration
+ *               notes:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       201:
+ *         description: Appointment booked
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Client, conversation or service not found
+ *       409:
+ *         description: Time not available
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+    "/",
+    verifyFirebaseToken,
+    [
+        body("client_id")
+            .isInt({ min: 1 })
+            .withMessage("client_id is required"),
+        body("conversation_id").optional({ nullable: true }).isInt({ min: 1 }),
+        body("service_id").optional({ nullable: true }).isInt({ min: 1 }),
+        body("start_time")
+            .isISO8601()
+            .withMessage("start_time must be an ISO 8601 date-time"),
+        body("duration_minutes")
+            .optional({ nullable: true })
+            .isInt({ min: 5, max: 480 })
+            .withMessage("Duration must be between 5 and 480 minutes"),
+        body("notes").optional({ nullable: true }).isString().isLength({
+            max: 2000,
+        }),
+    ],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            const business = await findBusiness(req, res);
+            if (!business) return;
+
+            const appointment = await appointmentService.create(business, {
+                client_id: parseInt(req.body.client_id),
+                conversation_id: req.body.conversation_id
+                    ? parseInt(req.body.conversation_id)
+                    : null,
+                service_id: req.body.service_id
+                    ? parseInt(req.body.service_id)
+                    : null,
+                start_time: req.body.start_time,
+                duration_minutes: req.body.duration_minutes
+                    ? parseInt(req.body.duration_minutes)
+                    : null,
+                notes: req.body.notes,
+            });
+
+            res.status(201).json({
+                success: true,
+                data: appointment,
+            });
+        } catch (error) {
+            handleError(res, error, "Create appointment", req);
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/business/appointments/{id}:
+ *   put:
+ *     summary: Update appointment notes or outcome
+ *     description: Use the confirm, cancel and reschedule endpoints to change the time or confirmation
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [completed, no_show]
+ *     responses:
+ *       200:
+ *         description: Appointment updated
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: Appointment is not upcoming
+ */
+router.put(
+    "/:id",
+    verifyFirebaseToken,
+    [
+        param("id").isInt({ min: 1 }),
+        body("notes").optional({ nullable: true }).isString().isLength({
+            max: 2000,
+        }),
+        body("status")
+            .optional()
+            .isIn(["completed", "no_show"])
+            .withMessage("status must be completed or no_show"),
+    ],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            const business = await findBusiness(req, res);
+            if (!business) return;
+
+            const appointment = await appointmentService.update(
+                business.id,
+                parseInt(req.params.id),
+                { notes: req.body.notes, status: req.body.status }
+            );
+
+            res.json({
+                success: true,
+                data: appointment,
+            });
+        } catch (error) {
+            handleError(res, error, "Update appointment", req);
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/business/appointments/{id}/confirm:
+ *   post:
+ *     summary: Confirm a pending appointment
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Appointment confirmed
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: Appointment is not pending
+ */
+router.post(
+    "/:id/confirm",
+    verifyFirebaseToken,
+    [param("id").isInt({ min: 1 })],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            const business = await findBusiness(req, res);
+            if (!business) return;
+
+            const appointment = await appointmentService.confirm(
+                business.id,
+                parseInt(req.params.id)
+            );
+
+            res.json({
+                success: true,
+                data: appointment,
+            });
+        } catch (error) {
+            handleError(res, error, "Confirm appointment", req);
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/business/appointments/{id}/cancel:
+ *   post:
+ *     summary: Cancel an appointment
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Appointment cancelled and its slot freed
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: Appointment is not upcoming
+ */
+router.post(
+    "/:id/cancel",
+    verifyFirebaseToken,
+    [
+        param("id").isInt({ min: 1 }),
+        body("reason").optional({ nullable: true }).isString().isLength({
+            max: 500,
+        }),
+    ],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            const business = await findBusiness(req, res);
+            if (!business) return;
+
+            const appointment = await appointmentService.cancel(
+                business.id,
+                parseInt(req.params.id),
+                req.body.reason || null
+            );
+
+            res.json({
+                success: true,
+                data: appointment,
+            });
+        } catch (error) {
+            handleError(res, error, "Cancel appointment", req);
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/business/appointments/{id}/reschedule:
+ *   post:
+ *     summary: Move an appointment to another time
+ *     description: Keeps the appointment's length; the new time must be free and within working hours
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - start_time
+ *             properties:
+ *               start_time:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Appointment rescheduled
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: Time not available, or appointment is not upcoming
+ */
+router.post(
+    "/:id/reschedule",
+    verifyFirebaseToken,
+    [
+        param("id").isInt({ min: 1 }),
+        body("start_time")
+            .isISO8601()
+            .withMessage("start_time must be an ISO 8601 date-time"),
+    ],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            const business = await findBusiness(req, res);
+            if (!business) return;
+
+            const appointment = await appointmentService.reschedule(
+                business,
+                parseInt(req.params.id),
+                req.body.start_time
+            );
+
+            res.json({
+                success: true,
+                data: appointment,
+            });
+        } catch (error) {
+            handleError(res, error, "Reschedule appointment", req);
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/business/appointments/{id}:
+ *   delete:
+ *     summary: Delete an appointment record
+ *     description: To free a slot and keep the history, cancel instead
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Appointment deleted
+ *       404:
+ *         description: Appointment not found
+ */
+router.delete(
+    "/:id",
+    verifyFirebaseToken,
+    [param("id").isInt({ min: 1 })],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            const business = await findBusiness(req, res);
+            if (!business) return;
+
+            await appointmentService.remove(
+                business.id,
+                parseInt(req.params.id)
+            );
+
+            res.json({
+                success: true,
+                message: "Appointment deleted successfully",
+            });
+        } catch (error) {
+            handleError(res, error, "Delete appointment", req);
+        }
+    }
+);
+
+/**
+ * Answer 400 when express-validator found problems
+ * @returns {boolean} Whether the request was rejected
+ */
+function rejectInvalid(req, res) {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+
+    res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        code: "VALIDATION_ERROR",
+        details: errors.array(),
+    });
+    return true;
+}
+
+/**
+ * The caller's business with what booking needs, or a 404 answer
+ * @returns {Promise<Object|null>} Business
+ */
+async function findBusiness(req, res) {
+    const business = await Business.findOne({
+        where: { owner_id: req.user.id },
+        attributes: BUSINESS_ATTRIBUTES,
+    });
+
+    if (!business) {
+        res.status(404).json({
+            success: false,
+            error: "Business not found",
+            code: "BUSINESS_NOT_FOUND",
+        });
+    }
+    return business;
+}
+
+/**
+ * Answer with the status matching a service error code, or 500
+ */
+function handleError(res, error, action, req) {
+    const status = ERROR_STATUS[error.code];
+    if (status) {
+        const payload = {
+            success: false,
+            error: error.message,
+            code: error.code,
+        };
+        if (error.reason) payload.reason = error.reason;
+        return res.status(status).json(payload);
+    }
+
+    logger.error(`${action} error`, {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+    });
+    res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        code: "INTERNAL_ERROR",
+    });
+}
+
+module.exports = router;
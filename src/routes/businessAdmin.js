@@ -14,6 +14,9 @@ const {
     requireRoles,
 } = require("../middleware/firebaseAuth");
 const { Op } = require("sequelize");
+const EmbeddingService = require("../services/embeddingService");
+
+const embeddingService = new EmbeddingService();
 
 /**
  * @swagger
@@ -159,9 +162,10 @@ router.post(
                 is_active: true,
                 usage_count: 0,
                 success_rate: null,
-                embedding_status: "pending", // TODO: Implement embedding generation
             });
 
+            const embedded = await embeddingService.embedFaqItem(faq);
+
             // Create keywords if provided
             if (keywords.length > 0) {
                 const keywordPromises = keywords.map((keyword) =>
@@ -189,9 +193,11 @@ router.post(
                 success: true,
                 data: {
                     ...createdFaq.toJSON(),
-                    embedding_status: "generated", // Mock for now
+                    embedding_status: embedded ? "generated" : "pending",
                 },
-                message: "FAQ created successfully and embeddings generated",
+                message: embedded
+                    ? "FAQ created successfully and embeddings generated"
+                    : "FAQ created successfully",
             });
         } catch (error) {
             console.error("Create FAQ error:", error);
@@ -331,12 +337,11 @@ router.put(
             if (category) updateData.category = category;
             if (is_active !== undefined) updateData.is_active = is_active;
 
-            if (contentChanged) {
-                updateData.embedding_status = "pending"; // TODO: Regenerate embeddings
-            }
-
             await faq.update(updateData);
 
+            const embedded =
+                contentChanged && (await embeddingService.embedFaqItem(faq));
+
             // Update keywords if provided
             if (keywords && Array.isArray(keywords)) {
                 // Delete existing keywords
@@ -370,7 +375,7 @@ router.put(
                 success: true,
                 data: {
                     ...updatedFaq.toJSON(),
-                    embedding_status: contentChanged ? "updated" : "current",
+                    embedding_status: embeddingStatus(contentChanged, embedded),
                 },
                 message: "FAQ updated successfully",
             });
@@ -545,14 +550,16 @@ router.post(
                 is_active,
                 character_count: characterCount,
                 word_count: wordCount,
-                embedding_status: "pending", // TODO: Implement embedding generation
             });
 
+            const embedded =
+                await embeddingService.embedContextSection(contextSection);
+
             res.status(201).json({
                 success: true,
                 data: {
                     ...contextSection.toJSON(),
-                    embedding_status: "generated", // Mock for now
+                    embedding_status: embedded ? "generated" : "pending",
                 },
             });
         } catch (error) {
@@ -682,17 +689,17 @@ router.put(
                 updateData.display_order = display_order;
             if (is_active !== undefined) updateData.is_active = is_active;
 
-            if (contentChanged) {
-                updateData.embedding_status = "pending"; // TODO: Regenerate embeddings
-            }
-
             await contextSection.update(updateData);
 
+            const embedded =
+                contentChanged &&
+                (await embeddingService.embedContextSection(contextSection));
+
             res.json({
                 success: true,
                 data: {
                     ...contextSection.toJSON(),
-                    embedding_status: contentChanged ? "updated" : "current",
+                    embedding_status: embeddingStatus(contentChanged, embedded),
                 },
             });
         } catch (error) {
@@ -1010,4 +1017,118 @@ router.get(
     }
 );
 
+/**
+ * @swagger
+ * /businesses/{businessId}/embeddings/reembed:
+ *   post:
+ *     summary: Re-embed knowledge content (Admin only)
+ *     description: Recompute embeddings of FAQs, context sections and template responses that have none or were made with another model than the business uses now. Run after changing the embedding model.
+ *     tags: [Business Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Business ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               force:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Re-embed all content, not only stale content
+ *     responses:
+ *       200:
+ *         description: Re-embedding finished
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   description: Counts per content type (faq, context, template)
+ *                   additionalProperties:
+ *                     type: object
+ *                     properties:
+ *                       checked:
+ *                         type: integer
+ *                       updated:
+ *                         type: integer
+ *                       failed:
+ *                         type: integer
+ *       404:
+ *         description: Business not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+    "/:businessId/embeddings/reembed",
+    verifyFirebaseToken,
+    requireRoles("admin", "business_owner"),
+    async (req, res) => {
+        try {
+            const { businessId } = req.params;
+
+            const business = await Business.findByPk(businessId);
+            if (!business) {
+                return res.status(404).json({
+                    success: false,
+                    error: "Business not found",
+                    code: "BUSINESS_NOT_FOUND",
+                });
+            }
+
+            if (
+                req.user.roles.includes("business_owner") &&
+                business.owner_id !== req.user.id
+            ) {
+                return res.status(403).json({
+                    success: false,
+                    error: "Access denied to this business",
+                    code: "FORBIDDEN",
+                });
+            }
+
+            const summary = await embeddingService.reembedStale({
+                businessId: business.id,
+                force: req.body?.force === true,
+            });
+
+            res.json({
+                success: true,
+                data: summary,
+            });
+        } catch (error) {
+            console.error("Re-embed content error:", error);
+            res.status(500).json({
+                success: false,
+                error: "Internal server error",
+                code: "INTERNAL_ERROR",
+            });
+        }
+    }
+);
+
+/**
+ * @param {boolean} contentChanged - Whether the update changed embedded text
+ * @param {boolean} embedded - Whether new embeddings were stored
+ * @returns {string} embedding_status reported to the client
+ */
+function embeddingStatus(contentChanged, embedded) {
+    if (!contentChanged) return "current";
+    return embedded ? "updated" : "pending";
+}
+
 module.exports = router;
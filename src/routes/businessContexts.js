@@ -4,9 +4,11 @@ const express = require("express");
 const router = express.Router();
 const { Business, BusinessContextSection } = require("../models");
 const { verifyFirebaseToken } = require("../middleware/firebaseAuth");
+const EmbeddingService = require("../services/embeddingService");
 const { createChildLogger } = require("../config/logger");
 
 const logger = createChildLogger("business-contexts");
+const embeddingService = new EmbeddingService();
 
 /**
  * @swagger
@@ -309,11 +311,10 @@ router.post("/:businessId/contexts", verifyFirebaseToken, async (req, res) => {
             character_count,
             word_count,
             completion_status: "complete",
-            embedding_updated_at: new Date(),
-            // Note: In production, you would generate embeddings here
-            // content_embedding: await generateEmbedding(content),
         });
 
+        await embeddingService.embedContextSection(section);
+
         logger.info("Custom context section created successfully", {
             businessId,
             userId: req.user.id,
@@ -480,14 +481,18 @@ router.put(
                 updateData.content = content;
                 updateData.character_count = content.length;
                 updateData.word_count = content.trim().split(/\s+/).length;
-                updateData.embedding_updated_at = new Date();
-                // Note: In production, you would regenerate embeddings here
-                // updateData.content_embedding = await generateEmbedding(content);
             }
 
+            const contentChanged =
+                content !== undefined && content !== section.content;
+
             // Update the section
             const updatedSection = await section.update(updateData);
 
+            if (contentChanged) {
+                await embeddingService.embedContextSection(updatedSection);
+            }
+
             logger.info("Custom context section updated successfully", {
                 businessId,
                 contextId,
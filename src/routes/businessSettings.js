@@ -15,6 +15,20 @@ const {
     verifyFirebaseToken,
     requireRoles,
 } = require("../middleware/firebaseAuth");
+const {
+    DEFAULT_BUSINESS_HOURS,
+    normalizeBusinessHours,
+    resolveBusinessHours,
+    validateBusinessHours,
+    getOpeningStatus,
+    describeOpeningStatus,
+} = require("../services/businessHours");
+const { isValidTimezone } = require("../services/appointments/timezone");
+const {
+    AFTER_HOURS_MODES,
+    resolveAfterHoursPolicy,
+    validateAfterHoursPolicy,
+} = require("../services/afterHours");
 
 /**
  * @swagger
@@ -369,11 +383,96 @@ router.put("/context", verifyFirebaseToken, async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OpeningInterval:
+ *       type: object
+ *       properties:
+ *         open:
+ *           type: string
+ *           example: "09:00"
+ *         close:
+ *           type: string
+ *           description: At or before open for an interval past midnight; 24:00 for end of day
+ *           example: "13:00"
+ *     BusinessHours:
+ *       type: object
+ *       properties:
+ *         timezone:
+ *           type: string
+ *           description: Business.timezone, which the hours are read in
+ *           example: Europe/Madrid
+ *         weekly:
+ *           type: object
+ *           description: Intervals per weekday (monday ... sunday); an empty list is closed
+ *           additionalProperties:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/OpeningInterval'
+ *         exceptions:
+ *           type: array
+ *           description: Special hours or closures on dates; they replace the weekly hours and holidays
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               end_date:
+ *                 type: string
+ *                 format: date
+ *                 description: Last day, for exceptions over several days
+ *               name:
+ *                 type: string
+ *               intervals:
+ *                 type: array
+ *                 description: Empty or missing to close
+ *                 items:
+ *                   $ref: '#/components/schemas/OpeningInterval'
+ *         holidays:
+ *           type: array
+ *           description: Days closed all day
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 description: YYYY-MM-DD, or MM-DD to repeat every year
+ *                 example: "12-25"
+ *               name:
+ *                 type: string
+ *     OpeningStatus:
+ *       type: object
+ *       properties:
+ *         configured:
+ *           type: boolean
+ *           description: False when no hours are saved; the business then counts as open
+ *         is_open:
+ *           type: boolean
+ *         timezone:
+ *           type: string
+ *         closes_at:
+ *           type: string
+ *           format: date-time
+ *         next_opening_at:
+ *           type: string
+ *           format: date-time
+ *         closure:
+ *           type: object
+ *           description: Holiday or exception keeping the business closed today
+ *         description:
+ *           type: string
+ *           example: Closed now (Christmas). Opens again friday 2025-12-26 at 09:00 (Europe/Madrid time).
+ */
+
 /**
  * @swagger
  * /api/business/hours:
  *   get:
  *     summary: Get business hours
+ *     description: Hours saved in the former flat 7-day format are returned in the current format
  *     tags: [Business Settings]
  *     security:
  *       - bearerAuth: []
@@ -388,21 +487,7 @@ router.put("/context", verifyFirebaseToken, async (req, res) => {
  *                 success:
  *                   type: boolean
  *                 data:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       day:
- *                         type: string
- *                         enum: [monday, tuesday, wednesday, thursday, friday, saturday, sunday]
- *                       open_time:
- *                         type: string
- *                         format: time
- *                       close_time:
- *                         type: string
- *                         format: time
- *                       is_closed:
- *                         type: boolean
+ *                   $ref: '#/components/schemas/BusinessHours'
  *       401:
  *         description: Unauthorized
  *         content:
@@ -414,7 +499,7 @@ router.get("/hours", verifyFirebaseToken, async (req, res) => {
     try {
         const business = await Business.findOne({
             where: { owner_id: req.user.id },
-            attributes: ["business_hours"],
+            attributes: ["business_hours", "timezone"],
         });
 
         if (!business) {
@@ -426,21 +511,13 @@ router.get("/hours", verifyFirebaseToken, async (req, res) => {
         }
 
         // Default business hours if none set
-        const defaultHours = [
-            { day: "monday", open_time: "09:00", close_time: "17:00", is_closed: false },
-            { day: "tuesday", open_time: "09:00", close_time: "17:00", is_closed: false },
-            { day: "wednesday", open_time: "09:00", close_time: "17:00", is_closed: false },
-            { day: "thursday", open_time: "09:00", close_time: "17:00", is_closed: false },
-            { day: "friday", open_time: "09:00", close_time: "17:00", is_closed: false },
-            { day: "saturday", open_time: "10:00", close_time: "14:00", is_closed: false },
-            { day: "sunday", open_time: null, close_time: null, is_closed: true },
-        ];
-
-        const businessHours = business.business_hours || defaultHours;
+        const businessHours =
+            normalizeBusinessHours(business.business_hours) ||
+            DEFAULT_BUSINESS_HOURS;
 
         res.json({
             success: true,
-            data: businessHours,
+            data: { timezone: business.timezone, ...businessHours },
         });
     } catch (error) {
         console.error("Get business hours error:", error);
@@ -452,11 +529,86 @@ router.get("/hours", verifyFirebaseToken, async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/business/hours/status:
+ *   get:
+ *     summary: Whether the business is open now and when it next opens
+ *     tags: [Business Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: at
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Instant to check instead of now
+ *     responses:
+ *       200:
+ *         description: Opening status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/OpeningStatus'
+ *       400:
+ *         description: Invalid date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/hours/status", verifyFirebaseToken, async (req, res) => {
+    try {
+        const at = req.query.at ? new Date(req.query.at) : new Date();
+        if (isNaN(at.getTime())) {
+            return res.status(400).json({
+                success: false,
+                error: "at must be a date-time",
+                code: "VALIDATION_ERROR",
+            });
+        }
+
+        const business = await Business.findOne({
+            where: { owner_id: req.user.id },
+            attributes: ["business_hours", "timezone"],
+        });
+
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                error: "Business not found",
+                code: "BUSINESS_NOT_FOUND",
+            });
+        }
+
+        const status = getOpeningStatus(resolveBusinessHours(business), at);
+
+        res.json({
+            success: true,
+            data: { ...status, description: describeOpeningStatus(status) },
+        });
+    } catch (error) {
+        console.error("Get opening status error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Internal server error",
+            code: "INTERNAL_ERROR",
+        });
+    }
+});
+
 /**
  * @swagger
  * /api/business/hours:
  *   put:
  *     summary: Update business hours
+ *     description: Replaces the weekly hours, exceptions and holidays. timezone, when sent, updates Business.timezone. The former body { hours [{ day, open_time, close_time, is_closed }] } is still accepted
  *     tags: [Business Settings]
  *     security:
  *       - bearerAuth: []
@@ -465,24 +617,20 @@ router.get("/hours", verifyFirebaseToken, async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               hours:
- *                 type: array
- *                 items:
- *                   type: object
- *                   properties:
- *                     day:
- *                       type: string
- *                       enum: [monday, tuesday, wednesday, thursday, friday, saturday, sunday]
- *                     open_time:
- *                       type: string
- *                       format: time
- *                     close_time:
- *                       type: string
- *                       format: time
- *                     is_closed:
- *                       type: boolean
+ *             $ref: '#/components/schemas/BusinessHours'
+ *           example:
+ *             timezone: Europe/Madrid
+ *             weekly:
+ *               monday: [{ open: "09:00", close: "13:00" }, { open: "16:00", close: "20:00" }]
+ *               saturday: [{ open: "10:00", close: "14:00" }]
+ *               sunday: []
+ *             exceptions:
+ *               - date: "2025-12-24"
+ *                 name: Christmas Eve
+ *                 intervals: [{ open: "09:00", close: "13:00" }]
+ *             holidays:
+ *               - date: "12-25"
+ *                 name: Christmas
  *     responses:
  *       200:
  *         description: Business hours updated successfully
@@ -494,9 +642,7 @@ router.get("/hours", verifyFirebaseToken, async (req, res) => {
  *                 success:
  *                   type: boolean
  *                 data:
- *                   type: array
- *                   items:
- *                     type: object
+ *                   $ref: '#/components/schemas/BusinessHours'
  *       400:
  *         description: Validation error
  *         content:
@@ -506,12 +652,27 @@ router.get("/hours", verifyFirebaseToken, async (req, res) => {
  */
 router.put("/hours", verifyFirebaseToken, async (req, res) => {
     try {
-        const { hours } = req.body;
+        const body = req.body || {};
+        const { timezone } = body;
+
+        let errors;
+        let businessHours;
+        if (Array.isArray(body.hours)) {
+            businessHours = normalizeBusinessHours(body.hours);
+            errors = validateBusinessHours(businessHours);
+        } else {
+            errors = validateBusinessHours(body);
+            businessHours =
+                errors.length === 0 ? normalizeBusinessHours(body) : null;
+        }
+        if (timezone !== undefined && !isValidTimezone(timezone)) {
+            errors.push("timezone must be an IANA timezone");
+        }
 
-        if (!Array.isArray(hours)) {
+        if (errors.length > 0) {
             return res.status(400).json({
                 success: false,
-                error: "Hours must be an array",
+                error: errors.join("; "),
                 code: "VALIDATION_ERROR",
             });
         }
@@ -528,33 +689,179 @@ router.put("/hours", verifyFirebaseToken, async (req, res) => {
             });
         }
 
-        // Validate time format
-        const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
-        for (const hour of hours) {
-            if (!hour.is_closed && hour.open_time && !timeRegex.test(hour.open_time)) {
-                return res.status(400).json({
-                    success: false,
-                    error: `Invalid time format for ${hour.day} open_time`,
-                    code: "VALIDATION_ERROR",
-                });
-            }
-            if (!hour.is_closed && hour.close_time && !timeRegex.test(hour.close_time)) {
-                return res.status(400).json({
-                    success: false,
-                    error: `Invalid time format for ${hour.day} close_time`,
-                    code: "VALIDATION_ERROR",
-                });
-            }
+        const updates = { business_hours: businessHours };
+        if (timezone !== undefined) updates.timezone = timezone;
+        await business.update(updates);
+
+        res.json({
+            success: true,
+            data: { timezone: business.timezone, ...businessHours },
+        });
+    } catch (error) {
+        console.error("Update business hours error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Internal server error",
+            code: "INTERNAL_ERROR",
+        });
+    }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AfterHoursPolicy:
+ *       type: object
+ *       properties:
+ *         mode:
+ *           type: string
+ *           enum: [ai, ai_no_human_promise, away_message]
+ *           description: While closed, reply as usual, reply without promising that a person will be in touch, or send an away message with the next opening time
+ *         messages:
+ *           type: object
+ *           description: Away message per language code, replacing the built-in one; {next_opening} is replaced with the next opening time
+ *           additionalProperties:
+ *             type: string
+ *             maxLength: 500
+ *           example:
+ *             en: Thanks for writing to Acme! We're closed and open again {next_opening}.
+ */
+
+/**
+ * @swagger
+ * /api/business/hours/after-hours:
+ *   get:
+ *     summary: Get the after-hours policy
+ *     description: Returns the stored policy and the one conversations run with after defaults are applied. In every mode, conversations that need a person are flagged with the next opening as their follow-up time
+ *     tags: [Business Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: After-hours policy retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     settings:
+ *                       $ref: '#/components/schemas/AfterHoursPolicy'
+ *                     effective:
+ *                       $ref: '#/components/schemas/AfterHoursPolicy'
+ *                     modes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/hours/after-hours", verifyFirebaseToken, async (req, res) => {
+    try {
+        const business = await Business.findOne({
+            where: { owner_id: req.user.id },
+            attributes: ["id", "after_hours_policy"],
+        });
+
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                error: "Business not found",
+                code: "BUSINESS_NOT_FOUND",
+            });
         }
 
-        await business.update({ business_hours: hours });
+        res.json({
+            success: true,
+            data: {
+                settings: business.after_hours_policy || {},
+                effective: resolveAfterHoursPolicy(business.after_hours_policy),
+                modes: AFTER_HOURS_MODES,
+            },
+        });
+    } catch (error) {
+        console.error("Get after-hours policy error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Internal server error",
+            code: "INTERNAL_ERROR",
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/business/hours/after-hours:
+ *   put:
+ *     summary: Replace the after-hours policy
+ *     description: Omitted fields use the defaults (mode ai). Send {} to return to the defaults
+ *     tags: [Business Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AfterHoursPolicy'
+ *     responses:
+ *       200:
+ *         description: After-hours policy updated successfully
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put("/hours/after-hours", verifyFirebaseToken, async (req, res) => {
+    try {
+        const settings = req.body || {};
+
+        const errors = validateAfterHoursPolicy(settings);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: errors.join("; "),
+                code: "VALIDATION_ERROR",
+            });
+        }
+
+        const business = await Business.findOne({
+            where: { owner_id: req.user.id },
+        });
+
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                error: "Business not found",
+                code: "BUSINESS_NOT_FOUND",
+            });
+        }
+
+        await business.update({
+            after_hours_policy:
+                Object.keys(settings).length > 0 ? settings : null,
+        });
 
         res.json({
             success: true,
-            data: hours,
+            data: {
+                settings,
+                effective: resolveAfterHoursPolicy(settings),
+            },
         });
     } catch (error) {
-        console.error("Update business hours error:", error);
+        console.error("Update after-hours policy error:", error);
         res.status(500).json({
             success: false,
             error: "Internal server error",
@@ -0,0 +1,237 @@
+"use strict";
+
+const express = require("express");
+const router = express.Router();
+const { Business } = require("../models");
+const { verifyFirebaseToken } = require("../middleware/firebaseAuth");
+const LLMService = require("../services/llm");
+const EmbeddingService = require("../services/embeddingService");
+const { createChildLogger } = require("../config/logger");
+
+const logger = createChildLogger("business-settings-ai");
+const llmService = new LLMService();
+const embeddingService = new EmbeddingService({ llm: llmService });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AIModelSettings:
+ *       type: object
+ *       properties:
+ *         provider:
+ *           type: string
+ *           enum: [openai, local, scripted]
+ *         model:
+ *           type: string
+ *           example: gpt-4o-mini
+ *         temperature:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 2
+ *         max_tokens:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 16000
+ */
+
+/**
+ * @swagger
+ * /api/business/ai-settings:
+ *   get:
+ *     summary: Get the LLM provider and model settings
+ *     description: Returns the stored settings and what every task runs with after defaults are applied
+ *     tags: [Business Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: AI settings retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     settings:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/AIModelSettings'
+ *                         - type: object
+ *                           properties:
+ *                             tasks:
+ *                               type: object
+ *                               additionalProperties:
+ *                                 $ref: '#/components/schemas/AIModelSettings'
+ *                     effective:
+ *                       type: object
+ *                       description: Settings per task (analysis, vision, state_transition, reply, knowledge_reply, embedding)
+ *                       additionalProperties:
+ *                         $ref: '#/components/schemas/AIModelSettings'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/", verifyFirebaseToken, async (req, res) => {
+    try {
+        const business = await Business.findOne({
+            where: { owner_id: req.user.id },
+            attributes: ["id", "ai_settings"],
+        });
+
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                error: "Business not found",
+                code: "BUSINESS_NOT_FOUND",
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                settings: business.ai_settings || {},
+                effective: await llmService.getEffectiveSettings(business.id),
+            },
+        });
+    } catch (error) {
+        logger.error("Get AI settings error", {
+            error: error.message,
+            stack: error.stack,
+            userId: req.user?.id,
+        });
+        res.status(500).json({
+            success: false,
+            error: "Internal server error",
+            code: "INTERNAL_ERROR",
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/business/ai-settings:
+ *   put:
+ *     summary: Replace the LLM provider and model settings
+ *     description: Top-level values apply to every task; entries under tasks override them for one task. Send {} to return to the defaults. When the embedding model changes, knowledge content is re-embedded in the background (reembedding is true).
+ *     tags: [Business Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/AIModelSettings'
+ *               - type: object
+ *                 properties:
+ *                   tasks:
+ *                     type: object
+ *                     additionalProperties:
+ *                       $ref: '#/components/schemas/AIModelSettings'
+ *           example:
+ *             provider: openai
+ *             model: gpt-4o-mini
+ *             tasks:
+ *               reply:
+ *                 model: gpt-4o
+ *                 temperature: 0.6
+ *                 max_tokens: 250
+ *     responses:
+ *       200:
+ *         description: AI settings updated successfully
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put("/", verifyFirebaseToken, async (req, res) => {
+    try {
+        const settings = req.body || {};
+
+        const errors = LLMService.validateSettings(settings);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: errors.join("; "),
+                code: "VALIDATION_ERROR",
+            });
+        }
+
+        const business = await Business.findOne({
+            where: { owner_id: req.user.id },
+        });
+
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                error: "Business not found",
+                code: "BUSINESS_NOT_FOUND",
+            });
+        }
+
+        const previousEmbeddingModel = await embeddingService.getCurrentModel(
+            business.id
+        );
+
+        await business.update({
+            ai_settings: Object.keys(settings).length > 0 ? settings : null,
+        });
+        LLMService.invalidateSettings(business.id);
+
+        // Stored vectors from another model no longer match new queries
+        const embeddingModel = await embeddingService.getCurrentModel(
+            business.id
+        );
+        const reembedding = embeddingModel !== previousEmbeddingModel;
+        if (reembedding) {
+            embeddingService
+                .reembedStale({ businessId: business.id })
+                .catch((error) => {
+                    logger.error("Background re-embedding failed", {
+                        businessId: business.id,
+                        error: error.message,
+                    });
+                });
+        }
+
+        logger.info("AI settings updated", {
+            businessId: business.id,
+            userId: req.user.id,
+            provider: settings.provider,
+            tasks: Object.keys(settings.tasks || {}),
+            reembedding,
+        });
+
+        res.json({
+            success: true,
+            data: {
+                settings,
+                effective: await llmService.getEffectiveSettings(business.id),
+                reembedding,
+            },
+        });
+    } catch (error) {
+        logger.error("Update AI settings error", {
+            error: error.message,
+            stack: error.stack,
+            userId: req.user?.id,
+        });
+        res.status(500).json({
+            success: false,
+            error: "Internal server error",
+            code: "INTERNAL_ERROR",
+        });
+    }
+});
+
+module.exports = router;
@@ -4,6 +4,13 @@ const express = require("express");
 const router = express.Router();
 const { Business } = require("../models");
 const { verifyFirebaseToken } = require("../middleware/firebaseAuth");
+const {
+    DEFAULT_CALENDAR_SETTINGS,
+} = require("../services/appointments/availability");
+const { isValidTimezone } = require("../services/appointments/timezone");
+const AppointmentReminderService = require("../services/appointmentReminderService");
+
+const reminderService = new AppointmentReminderService();
 
 /**
  * @swagger
@@ -59,6 +66,9 @@ const { verifyFirebaseToken } = require("../middleware/firebaseAuth");
  *                     min_advance_booking:
  *                       type: integer
  *                       description: Minimum hours in advance for booking
+ *                     slot_interval:
+ *                       type: integer
+ *                       description: Minutes between offered appointment start times
  *                     auto_confirm:
  *                       type: boolean
  *                     send_reminders:
@@ -68,6 +78,12 @@ const { verifyFirebaseToken } = require("../middleware/firebaseAuth");
  *                       items:
  *                         type: integer
  *                       description: Reminder times in hours before appointment
+ *                     send_follow_up:
+ *                       type: boolean
+ *                       description: Message the customer after the appointment
+ *                     follow_up_delay:
+ *                       type: integer
+ *                       description: Hours after the appointment ends to send the follow-up
  *                     integration_settings:
  *                       type: object
  *                       description: Platform-specific integration settings
@@ -82,7 +98,7 @@ router.get("/", verifyFirebaseToken, async (req, res) => {
     try {
         const business = await Business.findOne({
             where: { owner_id: req.user.id },
-            attributes: ["calendar_settings"],
+            attributes: ["calendar_settings", "timezone"],
         });
 
         if (!business) {
@@ -95,21 +111,9 @@ router.get("/", verifyFirebaseToken, async (req, res) => {
 
         // Default calendar settings
         const defaultSettings = {
-            is_enabled: false,
+            ...DEFAULT_CALENDAR_SETTINGS,
             calendar_type: "google",
             timezone: business.timezone || "UTC",
-            working_hours: {
-                start_time: "09:00",
-                end_time: "17:00",
-                working_days: ["monday", "tuesday", "wednesday", "thursday", "friday"],
-            },
-            appointment_duration: 60, // minutes
-            buffer_time: 15, // minutes
-            max_advance_booking: 30, // days
-            min_advance_booking: 2, // hours
-            auto_confirm: false,
-            send_reminders: true,
-            reminder_times: [24, 2], // hours before appointment
             integration_settings: {
                 google: {
                     calendar_id: null,
@@ -166,6 +170,7 @@ router.get("/", verifyFirebaseToken, async (req, res) => {
  *                 enum: [google, outlook, apple, custom]
  *               timezone:
  *                 type: string
+ *                 description: IANA timezone appointments are booked in, e.g. Europe/Madrid
  *               working_hours:
  *                 type: object
  *                 properties:
@@ -196,6 +201,10 @@ router.get("/", verifyFirebaseToken, async (req, res) => {
  *                 type: integer
  *                 minimum: 1
  *                 maximum: 168
+ *               slot_interval:
+ *                 type: integer
+ *                 minimum: 5
+ *                 maximum: 240
  *               auto_confirm:
  *                 type: boolean
  *               send_reminders:
@@ -206,6 +215,13 @@ router.get("/", verifyFirebaseToken, async (req, res) => {
  *                   type: integer
  *                   minimum: 1
  *                   maximum: 168
+ *                 description: Hours before a confirmed appointment to remind the customer on their platform
+ *               send_follow_up:
+ *                 type: boolean
+ *               follow_up_delay:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 168
  *               integration_settings:
  *                 type: object
  *     responses:
@@ -238,9 +254,12 @@ router.put("/", verifyFirebaseToken, async (req, res) => {
             buffer_time,
             max_advance_booking,
             min_advance_booking,
+            slot_interval,
             auto_confirm,
             send_reminders,
             reminder_times,
+            send_follow_up,
+            follow_up_delay,
             integration_settings,
         } = req.body;
 
@@ -277,6 +296,22 @@ router.put("/", verifyFirebaseToken, async (req, res) => {
             });
         }
 
+        if (slot_interval && (slot_interval < 5 || slot_interval > 240)) {
+            return res.status(400).json({
+                success: false,
+                error: "Slot interval must be between 5 and 240 minutes",
+                code: "VALIDATION_ERROR",
+            });
+        }
+
+        if (timezone && !isValidTimezone(timezone)) {
+            return res.status(400).json({
+                success: false,
+                error: "Timezone must be an IANA timezone such as Europe/Madrid",
+                code: "VALIDATION_ERROR",
+            });
+        }
+
         // Validate reminder times
         if (reminder_times && Array.isArray(reminder_times)) {
             for (const time of reminder_times) {
@@ -290,6 +325,14 @@ router.put("/", verifyFirebaseToken, async (req, res) => {
             }
         }
 
+        if (follow_up_delay && (follow_up_delay < 1 || follow_up_delay > 168)) {
+            return res.status(400).json({
+                success: false,
+                error: "Follow-up delay must be between 1 and 168 hours",
+                code: "VALIDATION_ERROR",
+            });
+        }
+
         // Validate time format
         const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
         if (working_hours) {
@@ -335,14 +378,26 @@ router.put("/", verifyFirebaseToken, async (req, res) => {
             buffer_time: buffer_time !== undefined ? buffer_time : currentSettings.buffer_time,
             max_advance_booking: max_advance_booking || currentSettings.max_advance_booking,
             min_advance_booking: min_advance_booking !== undefined ? min_advance_booking : currentSettings.min_advance_booking,
+            slot_interval: slot_interval || currentSettings.slot_interval,
             auto_confirm: auto_confirm !== undefined ? auto_confirm : currentSettings.auto_confirm,
             send_reminders: send_reminders !== undefined ? send_reminders : currentSettings.send_reminders,
             reminder_times: reminder_times || currentSettings.reminder_times,
+            send_follow_up: send_follow_up !== undefined ? send_follow_up : currentSettings.send_follow_up,
+            follow_up_delay: follow_up_delay || currentSettings.follow_up_delay,
             integration_settings: integration_settings || currentSettings.integration_settings,
         };
 
         await business.update({ calendar_settings: updatedSettings });
 
+        // Scheduled reminders follow the new settings
+        if (
+            [send_reminders, reminder_times, send_follow_up, follow_up_delay].some(
+                (value) => value !== undefined
+            )
+        ) {
+            await reminderService.syncBusiness(business);
+        }
+
         res.json({
             success: true,
             data: updatedSettings,
@@ -0,0 +1,197 @@
+"use strict";
+
+const express = require("express");
+const router = express.Router();
+const { Business } = require("../models");
+const { verifyFirebaseToken } = require("../middleware/firebaseAuth");
+const {
+    resolveDisclosurePolicy,
+    validateDisclosureSettings,
+    SUPPORTED_DISCLOSURE_LANGUAGES,
+} = require("../services/aiDisclosure");
+const { createChildLogger } = require("../config/logger");
+
+const logger = createChildLogger("business-settings-disclosure");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AIDisclosureSettings:
+ *       type: object
+ *       properties:
+ *         disclose_at_first_contact:
+ *           type: boolean
+ *           description: Start the assistant's first reply in a conversation with a disclosure that it is automated
+ *         human_handoff:
+ *           type: boolean
+ *           description: Offer a person in disclosures and hand the conversation over when the customer asks for one
+ *         messages:
+ *           type: object
+ *           description: Disclosure text per language code, replacing the built-in text
+ *           additionalProperties:
+ *             type: string
+ *             maxLength: 500
+ *           example:
+ *             en: Hi! You're chatting with Acme's virtual assistant. Reply "human" to reach our team.
+ */
+
+/**
+ * @swagger
+ * /api/business/ai-disclosure:
+ *   get:
+ *     summary: Get the AI disclosure policy
+ *     description: Returns the stored policy and the one conversations run with after defaults are applied. Customers who ask whether they are talking to a bot always get a truthful answer
+ *     tags: [Business Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Disclosure policy retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     settings:
+ *                       $ref: '#/components/schemas/AIDisclosureSettings'
+ *                     effective:
+ *                       $ref: '#/components/schemas/AIDisclosureSettings'
+ *                     built_in_languages:
+ *                       type: array
+ *                       description: Languages with a built-in disclosure text
+ *                       items:
+ *                         type: string
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/", verifyFirebaseToken, async (req, res) => {
+    try {
+        const business = await Business.findOne({
+            where: { owner_id: req.user.id },
+            attributes: ["id", "ai_disclosure"],
+        });
+
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                error: "Business not found",
+                code: "BUSINESS_NOT_FOUND",
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                settings: business.ai_disclosure || {},
+                effective: resolveDisclosurePolicy(business.ai_disclosure),
+                built_in_languages: SUPPORTED_DISCLOSURE_LANGUAGES,
+            },
+        });
+    } catch (error) {
+        logger.error("Get AI disclosure error", {
+            error: error.message,
+            stack: error.stack,
+            userId: req.user?.id,
+        });
+        res.status(500).json({
+            success: false,
+            error: "Internal server error",
+            code: "INTERNAL_ERROR",
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/business/ai-disclosure:
+ *   put:
+ *     summary: Replace the AI disclosure policy
+ *     description: Omitted fields use the defaults (disclosure at first contact and human handoff on). Send {} to return to the defaults
+ *     tags: [Business Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AIDisclosureSettings'
+ *     responses:
+ *       200:
+ *         description: Disclosure policy updated successfully
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put("/", verifyFirebaseToken, async (req, res) => {
+    try {
+        const settings = req.body || {};
+
+        const errors = validateDisclosureSettings(settings);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: errors.join("; "),
+                code: "VALIDATION_ERROR",
+            });
+        }
+
+        const business = await Business.findOne({
+            where: { owner_id: req.user.id },
+        });
+
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                error: "Business not found",
+                code: "BUSINESS_NOT_FOUND",
+            });
+        }
+
+        await business.update({
+            ai_disclosure: Object.keys(settings).length > 0 ? settings : null,
+        });
+
+        logger.info("AI disclosure updated", {
+            businessId: business.id,
+            userId: req.user.id,
+            discloseAtFirstContact: settings.disclose_at_first_contact,
+            humanHandoff: settings.human_handoff,
+            languages: Object.keys(settings.messages || {}),
+        });
+
+        res.json({
+            success: true,
+            data: {
+                settings,
+                effective: resolveDisclosurePolicy(settings),
+            },
+        });
+    } catch (error) {
+        logger.error("Update AI disclosure error", {
+            error: error.message,
+            stack: error.stack,
+            userId: req.user?.id,
+        });
+        res.status(500).json({
+            success: false,
+            error: "Internal server error",
+            code: "INTERNAL_ERROR",
+        });
+    }
+});
+
+module.exports = router;
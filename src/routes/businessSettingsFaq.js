@@ -4,9 +4,11 @@ const express = require("express");
 const router = express.Router();
 const { FaqItem, FaqKeyword, Business } = require("../models");
 const { verifyFirebaseToken } = require("../middleware/firebaseAuth");
+const EmbeddingService = require("../services/embeddingService");
 const { createChildLogger } = require("../config/logger");
 
 const logger = createChildLogger("business-settings-faq");
+const embeddingService = new EmbeddingService();
 
 /**
  * @swagger
@@ -242,6 +244,8 @@ router.post("/", verifyFirebaseToken, async (req, res) => {
             category,
         });
 
+        await embeddingService.embedFaqItem(faq);
+
         // Create keywords if provided
         if (keywords.length > 0) {
             logger.debug("Creating keywords for FAQ", {
@@ -425,8 +429,16 @@ router.put("/:id", verifyFirebaseToken, async (req, res) => {
         if (category) updateData.category = category;
         if (is_active !== undefined) updateData.is_active = is_active;
 
+        const contentChanged =
+            (updateData.question && updateData.question !== faq.question) ||
+            (updateData.answer && updateData.answer !== faq.answer);
+
         await faq.update(updateData);
 
+        if (contentChanged) {
+            await embeddingService.embedFaqItem(faq);
+        }
+
         // Update keywords if provided
         if (keywords && Array.isArray(keywords)) {
             // Delete existing keywords
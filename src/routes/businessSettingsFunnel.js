@@ -0,0 +1,309 @@
+"use strict";
+
+const express = require("express");
+const router = express.Router();
+const { fn, col } = require("sequelize");
+const { Business, Conversation, sequelize } = require("../models");
+const { verifyFirebaseToken } = require("../middleware/firebaseAuth");
+const {
+    resolveFunnel,
+    validateFunnel,
+    findState,
+} = require("../services/funnelDefinition");
+const { createChildLogger } = require("../config/logger");
+
+const logger = createChildLogger("business-settings-funnel");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FunnelState:
+ *       type: object
+ *       required: [key, description]
+ *       properties:
+ *         key:
+ *           type: string
+ *           pattern: '^[a-z][a-z0-9_]{0,39}$'
+ *           example: consultation
+ *         description:
+ *           type: string
+ *           maxLength: 200
+ *           example: Wants a consultation
+ *         entry_criteria:
+ *           type: string
+ *           maxLength: 500
+ *           description: When a conversation may enter the state
+ *           example: Asked to see a dentist
+ *         response_strategy:
+ *           type: string
+ *           maxLength: 500
+ *           description: How the assistant replies in the state
+ *           example: Offer the next free consultation slots
+ *         transitions:
+ *           type: array
+ *           description: States the conversation may move to. Omit to allow any state
+ *           items:
+ *             type: string
+ *         outcome:
+ *           type: string
+ *           enum: [won, lost]
+ *           description: A confirmed booking moves the conversation to the won state
+ *         lead_stage:
+ *           type: string
+ *           enum: [new, contacted, qualified, proposal, negotiation, closed_won, closed_lost]
+ *           description: Lead pipeline stage the state moves the conversation's lead to
+ *         creates_lead:
+ *           type: boolean
+ *           description: Whether reaching the state makes the conversation a lead
+ *     FunnelDefinition:
+ *       type: object
+ *       required: [initial_state, states]
+ *       properties:
+ *         initial_state:
+ *           type: string
+ *           example: inquiry
+ *         states:
+ *           type: array
+ *           minItems: 2
+ *           maxItems: 20
+ *           items:
+ *             $ref: '#/components/schemas/FunnelState'
+ */
+
+/**
+ * @swagger
+ * /api/business/funnel:
+ *   get:
+ *     summary: Get the conversation funnel
+ *     description: Returns the stored funnel, the one conversations run with (the default sales funnel when none is stored) and how many conversations are in each state
+ *     tags: [Business Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Funnel retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     settings:
+ *                       nullable: true
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/FunnelDefinition'
+ *                     effective:
+ *                       $ref: '#/components/schemas/FunnelDefinition'
+ *                     state_counts:
+ *                       type: object
+ *                       description: Conversations per funnel state
+ *                       additionalProperties:
+ *                         type: integer
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/", verifyFirebaseToken, async (req, res) => {
+    try {
+        const business = await Business.findOne({
+            where: { owner_id: req.user.id },
+            attributes: ["id", "funnel_definition"],
+        });
+
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                error: "Business not found",
+                code: "BUSINESS_NOT_FOUND",
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                settings: business.funnel_definition,
+                effective: resolveFunnel(business.funnel_definition),
+                state_counts: await countStates(business.id),
+            },
+        });
+    } catch (error) {
+        logger.error("Get funnel error", {
+            error: error.message,
+            stack: error.stack,
+            userId: req.user?.id,
+        });
+        res.status(500).json({
+            success: false,
+            error: "Internal server error",
+            code: "INTERNAL_ERROR",
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/business/funnel:
+ *   put:
+ *     summary: Replace the conversation funnel
+ *     description: Send funnel null to return to the default sales funnel. Conversations in states the new funnel no longer has must be moved with state_map, in the same transaction as the funnel change
+ *     tags: [Business Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [funnel]
+ *             properties:
+ *               funnel:
+ *                 nullable: true
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/FunnelDefinition'
+ *               state_map:
+ *                 type: object
+ *                 description: State of the new funnel for each removed state
+ *                 additionalProperties:
+ *                   type: string
+ *                 example:
+ *                   qualified: consultation
+ *     responses:
+ *       200:
+ *         description: Funnel updated successfully
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Conversations are in removed states without a state_map entry (FUNNEL_STATES_IN_USE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put("/", verifyFirebaseToken, async (req, res) => {
+    try {
+        const { funnel, state_map: stateMap = {} } = req.body || {};
+
+        const errors = [];
+        if (funnel === undefined) {
+            errors.push("funnel is required");
+        } else if (funnel !== null) {
+            errors.push(...validateFunnel(funnel));
+        }
+        if (
+            !stateMap ||
+            typeof stateMap !== "object" ||
+            Array.isArray(stateMap)
+        ) {
+            errors.push("state_map must map old states to new ones");
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: errors.join("; "),
+                code: "VALIDATION_ERROR",
+            });
+        }
+
+        const business = await Business.findOne({
+            where: { owner_id: req.user.id },
+        });
+
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                error: "Business not found",
+                code: "BUSINESS_NOT_FOUND",
+            });
+        }
+
+        const effective = resolveFunnel(funnel);
+        const removed = Object.keys(await countStates(business.id)).filter(
+            (state) => !findState(effective, state)
+        );
+        const unmapped = removed.filter(
+            (state) => !findState(effective, stateMap[state])
+        );
+        if (unmapped.length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: `Conversations are in states the funnel no longer has; map them to new states in state_map: ${unmapped.join(", ")}`,
+                code: "FUNNEL_STATES_IN_USE",
+                details: { unmapped_states: unmapped },
+            });
+        }
+
+        await sequelize.transaction(async (transaction) => {
+            await business.update(
+                { funnel_definition: funnel },
+                { transaction }
+            );
+            for (const state of removed) {
+                await Conversation.update(
+                    { funnel_state: stateMap[state] },
+                    {
+                        where: {
+                            business_id: business.id,
+                            funnel_state: state,
+                        },
+                        transaction,
+                    }
+                );
+            }
+        });
+
+        logger.info("Funnel updated", {
+            businessId: business.id,
+            userId: req.user.id,
+            states: effective.states.map((state) => state.key),
+            migratedStates: removed,
+        });
+
+        res.json({
+            success: true,
+            data: {
+                settings: funnel,
+                effective,
+                state_counts: await countStates(business.id),
+            },
+        });
+    } catch (error) {
+        logger.error("Update funnel error", {
+            error: error.message,
+            stack: error.stack,
+            userId: req.user?.id,
+        });
+        res.status(500).json({
+            success: false,
+            error: "Internal server error",
+            code: "INTERNAL_ERROR",
+        });
+    }
+});
+
+async function countStates(businessId) {
+    const rows = await Conversation.findAll({
+        where: { business_id: businessId },
+        attributes: ["funnel_state", [fn("COUNT", col("id")), "count"]],
+        group: ["funnel_state"],
+        raw: true,
+    });
+    return rows.reduce((counts, row) => {
+        counts[row.funnel_state] = parseInt(row.count, 10);
+        return counts;
+    }, {});
+}
+
+module.exports = router;
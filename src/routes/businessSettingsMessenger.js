@@ -0,0 +1,241 @@
+"use strict";
+
+const express = require("express");
+const router = express.Router();
+const { param, validationResult } = require("express-validator");
+const { Business } = require("../models");
+const { verifyFirebaseToken } = require("../middleware/firebaseAuth");
+const MessengerPageService = require("../services/messengerPageService");
+const { validateMessengerProfile } = require("../services/messengerPlatform");
+const { createChildLogger } = require("../config/logger");
+
+const logger = createChildLogger("business-settings-messenger");
+const pageService = new MessengerPageService();
+
+// HTTP status for each error code the Messenger page service throws
+const ERROR_STATUS = {
+    PAGE_NOT_FOUND: 404,
+    MESSENGER_PROFILE_REJECTED: 502,
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MessengerProfile:
+ *       type: object
+ *       properties:
+ *         get_started:
+ *           type: boolean
+ *           description: Show the Get Started button to new customers. Pressing it opens the chat like a greeting. Defaults to true
+ *         greeting:
+ *           type: string
+ *           nullable: true
+ *           maxLength: 160
+ *           description: Text shown before the customer's first message
+ *         persistent_menu:
+ *           type: array
+ *           maxItems: 20
+ *           description: Menu items, which need get_started. Items with a url open it; the others are answered by the assistant as if the customer had typed their title
+ *           items:
+ *             type: object
+ *             required: [title]
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 maxLength: 30
+ *               payload:
+ *                 type: string
+ *                 description: Sent back when the item is pressed; defaults to the title
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *           example: [{ "title": "Book an appointment" }, { "title": "Website", "url": "https://www.example.com" }]
+ *     MessengerPage:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Platform source ID
+ *         name:
+ *           type: string
+ *         page_id:
+ *           type: string
+ *         connected:
+ *           type: boolean
+ *         messenger_profile:
+ *           nullable: true
+ *           allOf:
+ *             - $ref: '#/components/schemas/MessengerProfile'
+ */
+
+/**
+ * @swagger
+ * /api/business/messenger-pages:
+ *   get:
+ *     summary: List the business's Facebook pages
+ *     tags: [Business Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pages with their Messenger profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MessengerPage'
+ */
+router.get("/", verifyFirebaseToken, async (req, res) => {
+    try {
+        const business = await findBusiness(req, res);
+        if (!business) return;
+
+        const pages = await pageService.listPages(business.id);
+        res.json({ success: true, data: pages });
+    } catch (error) {
+        handleError(res, error, "List Messenger pages", req);
+    }
+});
+
+/**
+ * @swagger
+ * /api/business/messenger-pages/{id}/profile:
+ *   put:
+ *     summary: Set a page's Get Started button, greeting and persistent menu
+ *     description: Replaces the page's Messenger profile; fields left out are removed from Messenger. The profile is stored only once Messenger accepted it
+ *     tags: [Business Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MessengerProfile'
+ *     responses:
+ *       200:
+ *         description: Profile set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/MessengerPage'
+ *       400:
+ *         description: Invalid profile
+ *       404:
+ *         description: Page not found
+ *       502:
+ *         description: Messenger rejected the profile
+ */
+router.put(
+    "/:id/profile",
+    verifyFirebaseToken,
+    [param("id").isInt({ min: 1 })],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            const errors = validateMessengerProfile(req.body);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: errors.join("; "),
+                    code: "VALIDATION_ERROR",
+                });
+            }
+
+            const business = await findBusiness(req, res);
+            if (!business) return;
+
+            const page = await pageService.updateProfile(
+                business.id,
+                parseInt(req.params.id),
+                req.body
+            );
+            res.json({ success: true, data: page });
+        } catch (error) {
+            handleError(res, error, "Update Messenger profile", req);
+        }
+    }
+);
+
+/**
+ * Answer 400 with the express-validator errors, if any
+ * @returns {boolean} Whether the request was rejected
+ */
+function rejectInvalid(req, res) {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+
+    res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        code: "VALIDATION_ERROR",
+        details: errors.array(),
+    });
+    return true;
+}
+
+/**
+ * The caller's business, or a 404 answer
+ * @returns {Promise<Object|null>} Business
+ */
+async function findBusiness(req, res) {
+    const business = await Business.findOne({
+        where: { owner_id: req.user.id },
+        attributes: ["id"],
+    });
+
+    if (!business) {
+        res.status(404).json({
+            success: false,
+            error: "Business not found",
+            code: "BUSINESS_NOT_FOUND",
+        });
+    }
+    return business;
+}
+
+/**
+ * Answer with the status matching a service error code, or 500
+ */
+function handleError(res, error, action, req) {
+    const status = ERROR_STATUS[error.code];
+    if (status) {
+        return res.status(status).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+        });
+    }
+
+    logger.error(`${action} error`, {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+    });
+    res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        code: "INTERNAL_ERROR",
+    });
+}
+
+module.exports = router;
@@ -2,11 +2,16 @@
 
 const express = require("express");
 const router = express.Router();
-const { Business, UnansweredQuestion } = require("../models");
+const { fn, col } = require("sequelize");
+const { Business, UnansweredQuestion, ToolExecution } = require("../models");
 const { verifyFirebaseToken } = require("../middleware/firebaseAuth");
+const AIMessageProcessor = require("../services/AIMessageProcessor");
+const ToolRegistry = require("../services/tools/toolRegistry");
 const { createChildLogger } = require("../config/logger");
 
 const logger = createChildLogger("business-settings-tools");
+// Same tools, with the same services, as the reply pipeline
+const toolExecutor = new AIMessageProcessor().toolExecutor;
 
 /**
  * @swagger
@@ -44,6 +49,17 @@ const logger = createChildLogger("business-settings-tools");
  *                       last_used:
  *                         type: string
  *                         format: date-time
+ *                       function_name:
+ *                         type: string
+ *                         description: Function the AI calls, null when the tool has no implementation
+ *                       parameters:
+ *                         type: object
+ *                         description: JSON schema of the function arguments
+ *                       functions:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         description: Every function the flag enables; function_name is the one the test endpoint runs
  *       401:
  *         description: Unauthorized
  *         content:
@@ -57,7 +73,7 @@ router.get("/", verifyFirebaseToken, async (req, res) => {
 
         const business = await Business.findOne({
             where: { owner_id: req.user.id },
-            attributes: ["ai_tool_functions"],
+            attributes: ["id", "ai_tool_functions"],
         });
 
         if (!business) {
@@ -74,53 +90,39 @@ router.get("/", verifyFirebaseToken, async (req, res) => {
             userId: req.user.id,
         });
 
-        // Default tool functions
-        const defaultToolFunctions = [
-            {
-                id: "auto_response",
-                name: "Auto Response Generator",
-                description:
-                    "Automatically generate responses to common customer inquiries",
-                is_enabled: true,
-                category: "communication",
-                last_used: null,
-            },
-            {
-                id: "sentiment_analysis",
-                name: "Sentiment Analysis",
-                description: "Analyze customer sentiment in messages",
-                is_enabled: true,
-                category: "analytics",
-                last_used: null,
-            },
-            {
-                id: "intent_classification",
-                name: "Intent Classification",
-                description: "Classify customer intent from messages",
-                is_enabled: true,
-                category: "analytics",
-                last_used: null,
-            },
-            {
-                id: "lead_scoring",
-                name: "Lead Scoring",
-                description: "Score leads based on conversation quality",
-                is_enabled: false,
-                category: "sales",
-                last_used: null,
-            },
-            {
-                id: "appointment_scheduler",
-                name: "Appointment Scheduler",
-                description: "Schedule appointments with customers",
-                is_enabled: false,
-                category: "productivity",
-                last_used: null,
-            },
-        ];
+        // Last live use per tool; sandboxed test runs do not count
+        const lastUses = await ToolExecution.findAll({
+            where: { business_id: business.id, sandbox: false },
+            attributes: [
+                "tool_id",
+                [fn("MAX", col("created_at")), "last_used"],
+            ],
+            group: ["tool_id"],
+            raw: true,
+        });
+        const lastUsed = new Map(
+            lastUses.map((row) => [row.tool_id, row.last_used])
+        );
 
-        const toolFunctions =
-            business.ai_tool_functions || defaultToolFunctions;
+        const toolFunctions = ToolRegistry.getToolFunctions(business).map(
+            (toolFunction) => {
+                const tool = toolExecutor.registry.get(toolFunction.id);
+                const functions = toolExecutor.registry
+                    .list()
+                    .filter((t) => t.id === toolFunction.id)
+                    .map((t) => t.functionName);
+                return {
+                    ...toolFunction,
+                    last_used:
+                        lastUsed.get(toolFunction.id) ||
+                        toolFunction.last_used ||
+                        null,
+                    function_name: tool ? tool.functionName : null,
+                    parameters: tool ? tool.parameters : null,
+                    functions,
+                };
+            }
+        );
 
         logger.info("Retrieved tool functions successfully", {
             businessId: business.id,
@@ -210,7 +212,10 @@ router.put("/:id", verifyFirebaseToken, async (req, res) => {
             });
         }
 
-        const currentFunctions = business.ai_tool_functions || [];
+        // Copies, so the JSONB column is seen as changed
+        const currentFunctions = ToolRegistry.getToolFunctions(business).map(
+            (func) => ({ ...func })
+        );
         const functionIndex = currentFunctions.findIndex(
             (func) => func.id === id
         );
@@ -251,11 +256,138 @@ router.put("/:id", verifyFirebaseToken, async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/business/tool-functions/executions:
+ *   get:
+ *     summary: Get the tool call audit log
+ *     description: Every call the AI or the test endpoint made, newest first, with arguments, result and latency
+ *     tags: [Business Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: tool_id
+ *         schema:
+ *           type: string
+ *         description: Only calls of this tool function
+ *       - in: query
+ *         name: conversation_id
+ *         schema:
+ *           type: integer
+ *         description: Only calls made in this conversation
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [success, error, rejected, completed_late]
+ *         description: completed_late marks calls that timed out but finished afterwards
+ *     responses:
+ *       200:
+ *         description: Tool executions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     executions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       404:
+ *         description: Business not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/executions", verifyFirebaseToken, async (req, res) => {
+    try {
+        const { tool_id, conversation_id, status } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(
+            Math.max(parseInt(req.query.limit) || 20, 1),
+            100
+        );
+
+        const business = await Business.findOne({
+            where: { owner_id: req.user.id },
+            attributes: ["id"],
+        });
+
+        if (!business) {
+            return res.status(404).json({
+                success: false,
+                error: "Business not found",
+                code: "BUSINESS_NOT_FOUND",
+            });
+        }
+
+        const where = { business_id: business.id };
+        if (tool_id) where.tool_id = tool_id;
+        if (conversation_id) where.conversation_id = parseInt(conversation_id);
+        if (status) where.status = status;
+
+        const { count, rows: executions } =
+            await ToolExecution.findAndCountAll({
+                where,
+                order: [["created_at", "DESC"]],
+                limit,
+                offset: (page - 1) * limit,
+            });
+
+        const totalPages = Math.ceil(count / limit);
+
+        res.json({
+            success: true,
+            data: {
+                executions,
+                pagination: {
+                    page,
+                    limit,
+                    total: count,
+                    pages: totalPages,
+                    has_next: page < totalPages,
+                    has_previous: page > 1,
+                },
+            },
+        });
+    } catch (error) {
+        logger.error("Get tool executions error", {
+            error: error.message,
+            userId: req.user?.id,
+        });
+        res.status(500).json({
+            success: false,
+            error: "Internal server error",
+            code: "INTERNAL_ERROR",
+        });
+    }
+});
+
 /**
  * @swagger
  * /api/business/tool-functions/{id}/test:
  *   post:
  *     summary: Test tool function
+ *     description: Runs the tool for real against the business's data in a sandbox, with no conversation and nothing sent to customers. The call is recorded in the audit log.
  *     tags: [Business Settings]
  *     security:
  *       - bearerAuth: []
@@ -275,10 +407,13 @@ router.put("/:id", verifyFirebaseToken, async (req, res) => {
  *             properties:
  *               test_input:
  *                 type: string
- *                 description: Test input for the tool function
+ *                 description: Value for the tool's single required text argument (query, message, date)
  *               parameters:
  *                 type: object
- *                 description: Additional parameters for testing
+ *                 description: Function arguments, checked against the tool's parameter schema
+ *               function_name:
+ *                 type: string
+ *                 description: Which of the flag's functions to run; defaults to function_name from the list. Functions that change data only report what they would do
  *     responses:
  *       200:
  *         description: Tool function test completed
@@ -293,12 +428,23 @@ router.put("/:id", verifyFirebaseToken, async (req, res) => {
  *                   type: object
  *                   properties:
  *                     test_result:
- *                       type: string
+ *                       type: object
+ *                       description: What the tool returned
+ *                     arguments:
+ *                       type: object
  *                     execution_time:
  *                       type: number
  *                     status:
  *                       type: string
- *                       enum: [success, error, warning]
+ *                       enum: [success, error]
+ *                     error:
+ *                       type: string
+ *       400:
+ *         description: Tool is disabled, has no implementation or got invalid arguments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Tool function not found
  *         content:
@@ -309,7 +455,7 @@ router.put("/:id", verifyFirebaseToken, async (req, res) => {
 router.post("/:id/test", verifyFirebaseToken, async (req, res) => {
     try {
         const { id } = req.params;
-        const { test_input, parameters } = req.body;
+        const { test_input, parameters, function_name } = req.body;
 
         const business = await Business.findOne({
             where: { owner_id: req.user.id },
@@ -323,8 +469,9 @@ router.post("/:id/test", verifyFirebaseToken, async (req, res) => {
             });
         }
 
-        const currentFunctions = business.ai_tool_functions || [];
-        const toolFunction = currentFunctions.find((func) => func.id === id);
+        const toolFunction = ToolRegistry.getToolFunctions(business).find(
+            (func) => func.id === id
+        );
 
         if (!toolFunction) {
             return res.status(404).json({
@@ -342,55 +489,62 @@ router.post("/:id/test", verifyFirebaseToken, async (req, res) => {
             });
         }
 
-        // Mock test execution (in real implementation, this would call the actual tool function)
-        const startTime = Date.now();
-
-        // Simulate different test results based on tool function type
-        let testResult, status;
-        switch (id) {
-            case "auto_response":
-                testResult =
-                    "Test response generated successfully for: " +
-                    (test_input || "Hello, how can I help you?");
-                status = "success";
-                break;
-            case "sentiment_analysis":
-                testResult = "Sentiment: Positive (0.85 confidence)";
-                status = "success";
-                break;
-            case "intent_classification":
-                testResult = "Intent: General Inquiry (0.92 confidence)";
-                status = "success";
-                break;
-            case "lead_scoring":
-                testResult = "Lead Score: 75/100 (High Quality Lead)";
-                status = "success";
-                break;
-            case "appointment_scheduler":
-                testResult = "Appointment slot found: Tomorrow 2:00 PM";
-                status = "success";
-                break;
-            default:
-                testResult = "Tool function executed successfully";
-                status = "success";
+        const tool = function_name
+            ? toolExecutor.registry.getByFunctionName(function_name)
+            : toolExecutor.registry.get(id);
+        if (!tool || tool.id !== id) {
+            return res.status(400).json({
+                success: false,
+                error: "Tool function has no server-side implementation",
+                code: "TOOL_FUNCTION_NOT_EXECUTABLE",
+            });
+        }
+
+        const args = buildTestArguments(tool, test_input, parameters);
+        const execution = await toolExecutor.execute(tool, args, {
+            business,
+            businessId: business.id,
+            conversationId: null,
+            channel: "tool_test",
+            language: business.primary_language,
+            sandbox: true,
+        });
+
+        if (execution.status === "rejected") {
+            return res.status(400).json({
+                success: false,
+                error: execution.error,
+                code: "TOOL_ARGUMENTS_INVALID",
+            });
         }
 
-        const executionTime = Date.now() - startTime;
+        logger.info("Tool function tested", {
+            businessId: business.id,
+            tool: tool.functionName,
+            status: execution.status,
+            latencyMs: execution.latency_ms,
+        });
 
         res.json({
             success: true,
             data: {
-                test_result: testResult,
-                execution_time: executionTime,
-                status,
+                test_result: execution.result,
+                arguments: execution.arguments,
+                execution_time: execution.latency_ms,
+                status: execution.status,
+                error: execution.error,
                 tool_function: {
                     id: toolFunction.id,
                     name: toolFunction.name,
+                    function_name: tool.functionName,
                 },
             },
         });
     } catch (error) {
-        console.error("Test tool function error:", error);
+        logger.error("Test tool function error", {
+            error: error.message,
+            userId: req.user?.id,
+        });
         res.status(500).json({
             success: false,
             error: "Internal server error",
@@ -399,6 +553,29 @@ router.post("/:id/test", verifyFirebaseToken, async (req, res) => {
     }
 });
 
+/**
+ * Arguments for a test run: the given parameters, with test_input filling
+ * the tool's only required text argument when it is not set
+ * @param {Object} tool - Tool
+ * @param {string} testInput - Free text from the tester
+ * @param {Object} parameters - Explicit arguments
+ * @returns {Object} Arguments
+ */
+function buildTestArguments(tool, testInput, parameters) {
+    const args = { ...(parameters || {}) };
+    const required = tool.parameters.required || [];
+
+    if (
+        testInput !== undefined &&
+        required.length === 1 &&
+        tool.parameters.properties[required[0]].type === "string" &&
+        args[required[0]] === undefined
+    ) {
+        args[required[0]] = testInput;
+    }
+    return args;
+}
+
 /**
  * @swagger
  * /api/unanswered-questions:
@@ -0,0 +1,351 @@
+"use strict";
+
+const express = require("express");
+const router = express.Router();
+const { body, param, validationResult } = require("express-validator");
+const { Business } = require("../models");
+const { verifyFirebaseToken } = require("../middleware/firebaseAuth");
+const WebsiteChatService = require("../services/websiteChatService");
+const {
+    validateWidgetSettings,
+    buildEmbedSnippet,
+} = require("../services/websiteWidget");
+const { createChildLogger } = require("../config/logger");
+
+const logger = createChildLogger("business-settings-widget");
+const chatService = new WebsiteChatService();
+
+// HTTP status for each error code the website chat service throws
+const ERROR_STATUS = {
+    WIDGET_NOT_FOUND: 404,
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebsiteWidget:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Platform source ID
+ *         name:
+ *           type: string
+ *         enabled:
+ *           type: boolean
+ *         widget_key:
+ *           type: string
+ *           description: Public key, part of the embed snippet
+ *         allowed_origins:
+ *           type: array
+ *           description: Origins whose pages may use the widget; "https://*.example.com" covers subdomains. The widget works nowhere while the list is empty
+ *           items:
+ *             type: string
+ *           example: ["https://www.example.com"]
+ *         title:
+ *           type: string
+ *           maxLength: 60
+ *         greeting:
+ *           type: string
+ *           nullable: true
+ *           maxLength: 500
+ *           description: Shown to visitors when they open the chat
+ *         color:
+ *           type: string
+ *           example: "#2563eb"
+ *         embed_snippet:
+ *           type: string
+ *           description: Script tag to paste into the business's pages
+ */
+
+/**
+ * @swagger
+ * /api/business/widgets:
+ *   get:
+ *     summary: List the business's website chat widgets
+ *     tags: [Business Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Widgets with their embed snippet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebsiteWidget'
+ */
+router.get("/", verifyFirebaseToken, async (req, res) => {
+    try {
+        const business = await findBusiness(req, res);
+        if (!business) return;
+
+        const widgets = await chatService.listWidgets(business.id);
+        res.json({
+            success: true,
+            data: widgets.map((widget) => withSnippet(req, widget)),
+        });
+    } catch (error) {
+        handleError(res, error, "List widgets", req);
+    }
+});
+
+/**
+ * @swagger
+ * /api/business/widgets:
+ *   post:
+ *     summary: Create a website chat widget
+ *     description: The widget gets a new key and is live at once on the allowed origins. Its conversations are answered by the same assistant and knowledge base as the business's other channels and show up in the agent inbox
+ *     tags: [Business Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [allowed_origins]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               allowed_origins:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               title:
+ *                 type: string
+ *               greeting:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Widget created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/WebsiteWidget'
+ *       400:
+ *         description: Invalid settings
+ */
+router.post(
+    "/",
+    verifyFirebaseToken,
+    [
+        body("name")
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 100 }),
+        body("allowed_origins")
+            .isArray()
+            .withMessage("allowed_origins is required"),
+    ],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+            if (rejectInvalidSettings(req, res)) return;
+
+            const business = await findBusiness(req, res);
+            if (!business) return;
+
+            const widget = await chatService.createWidget(
+                business.id,
+                req.body
+            );
+            res.status(201).json({
+                success: true,
+                data: withSnippet(req, widget),
+            });
+        } catch (error) {
+            handleError(res, error, "Create widget", req);
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/business/widgets/{id}:
+ *   put:
+ *     summary: Update a website chat widget
+ *     description: Fields left out are kept. enabled false takes the widget offline. Changes reach the widget endpoints within a minute
+ *     tags: [Business Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               enabled:
+ *                 type: boolean
+ *               allowed_origins:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               title:
+ *                 type: string
+ *               greeting:
+ *                 type: string
+ *                 nullable: true
+ *               color:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Widget updated
+ *       400:
+ *         description: Invalid settings
+ *       404:
+ *         description: Widget not found
+ */
+router.put(
+    "/:id",
+    verifyFirebaseToken,
+    [
+        param("id").isInt({ min: 1 }),
+        body("name")
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 100 }),
+        body("enabled").optional().isBoolean({ strict: true }),
+    ],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+            if (rejectInvalidSettings(req, res)) return;
+
+            const business = await findBusiness(req, res);
+            if (!business) return;
+
+            const widget = await chatService.updateWidget(
+                business.id,
+                parseInt(req.params.id),
+                req.body
+            );
+            res.json({
+                success: true,
+                data: withSnippet(req, widget),
+            });
+        } catch (error) {
+            handleError(res, error, "Update widget", req);
+        }
+    }
+);
+
+/**
+ * @param {Object} widget - Widget
+ * @returns {Object} Widget with the script tag to embed it
+ */
+function withSnippet(req, widget) {
+    const apiUrl =
+        process.env.API_BASE_URL || `${req.protocol}://${req.get("host")}`;
+    return {
+        ...widget,
+        embed_snippet: buildEmbedSnippet(apiUrl, widget.widget_key),
+    };
+}
+
+/**
+ * Answer 400 when the widget settings in the body are invalid
+ * @returns {boolean} Whether the request was rejected
+ */
+function rejectInvalidSettings(req, res) {
+    const errors = validateWidgetSettings(req.body);
+    if (errors.length === 0) return false;
+
+    res.status(400).json({
+        success: false,
+        error: errors.join("; "),
+        code: "VALIDATION_ERROR",
+    });
+    return true;
+}
+
+/**
+ * Answer 400 with the express-validator errors, if any
+ * @returns {boolean} Whether the request was rejected
+ */
+function rejectInvalid(req, res) {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+
+    res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        code: "VALIDATION_ERROR",
+        details: errors.array(),
+    });
+    return true;
+}
+
+/**
+ * The caller's business, or a 404 answer
+ * @returns {Promise<Object|null>} Business
+ */
+async function findBusiness(req, res) {
+    const business = await Business.findOne({
+        where: { owner_id: req.user.id },
+        attributes: ["id"],
+    });
+
+    if (!business) {
+        res.status(404).json({
+            success: false,
+            error: "Business not found",
+            code: "BUSINESS_NOT_FOUND",
+        });
+    }
+    return business;
+}
+
+/**
+ * Answer with the status matching a service error code, or 500
+ */
+function handleError(res, error, action, req) {
+    const status = ERROR_STATUS[error.code];
+    if (status) {
+        return res.status(status).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+        });
+    }
+
+    logger.error(`${action} error`, {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+    });
+    res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        code: "INTERNAL_ERROR",
+    });
+}
+
+module.exports = router;
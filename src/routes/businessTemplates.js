@@ -9,9 +9,11 @@ const {
     BusinessTemplateResponse,
 } = require("../models");
 const { verifyFirebaseToken } = require("../middleware/firebaseAuth");
+const EmbeddingService = require("../services/embeddingService");
 const { createChildLogger } = require("../config/logger");
 
 const logger = createChildLogger("business-templates");
+const embeddingService = new EmbeddingService();
 
 /**
  * @swagger
@@ -454,17 +456,20 @@ router.post(
             let response;
 
             if (existingResponse) {
+                const contentChanged = content !== existingResponse.content;
+
                 // Update existing response
                 response = await existingResponse.update({
                     content,
                     character_count,
                     word_count,
                     completion_status,
-                    embedding_updated_at: content ? new Date() : null,
-                    // Note: In production, you would generate embeddings here
-                    // content_embedding: await generateEmbedding(content),
                 });
 
+                if (contentChanged) {
+                    await embeddingService.embedTemplateResponse(response);
+                }
+
                 logger.info("Template response updated successfully", {
                     businessId,
                     templateId,
@@ -487,11 +492,12 @@ router.post(
                     character_count,
                     word_count,
                     completion_status,
-                    embedding_updated_at: content ? new Date() : null,
-                    // Note: In production, you would generate embeddings here
-                    // content_embedding: await generateEmbedding(content),
                 });
 
+                if (content) {
+                    await embeddingService.embedTemplateResponse(response);
+                }
+
                 logger.info("Template response created successfully", {
                     businessId,
                     templateId,
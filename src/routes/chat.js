@@ -281,10 +281,11 @@ router.post("/", validateChatRequest, async (req, res) => {
         if (Object.keys(businessContext).length > 0) {
             try {
                 // Generate response using business context directly
-                response = await aiResponseService.callOpenAI(
+                response = await aiResponseService.callLLM(
                     securityValidation.sanitizedInput,
                     context,
-                    "en"
+                    "en",
+                    businessId
                 );
             } catch (error) {
                 logger.warn(
@@ -7,6 +7,9 @@ const {
     validateId,
     validatePagination,
 } = require("../middleware/validation");
+const EmbeddingService = require("../services/embeddingService");
+
+const embeddingService = new EmbeddingService();
 
 // Get all FAQ items for a business
 router.get(
@@ -124,6 +127,7 @@ router.post("/", authenticateToken, validateFaqItem, async (req, res, next) => {
             business_id: finalBusinessId,
             ...req.body,
         });
+        await embeddingService.embedFaqItem(faqItem);
 
         // Add keywords if provided
         if (keywords && Array.isArray(keywords)) {
@@ -171,8 +175,13 @@ router.put("/:id", authenticateToken, validateId, async (req, res, next) => {
             return res.status(403).json({ error: "Access denied" });
         }
 
+        const { question, answer } = faqItem;
         await faqItem.update(req.body);
 
+        if (faqItem.question !== question || faqItem.answer !== answer) {
+            await embeddingService.embedFaqItem(faqItem);
+        }
+
         const updatedFaqItem = await db.FaqItem.findByPk(faqItem.id, {
             include: [
                 {
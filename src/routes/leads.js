@@ -0,0 +1,593 @@
+"use strict";
+
+const express = require("express");
+const router = express.Router();
+const { body, param, query, validationResult } = require("express-validator");
+const { Business } = require("../models");
+const { verifyFirebaseToken } = require("../middleware/firebaseAuth");
+const LeadService = require("../services/leadService");
+const { createChildLogger } = require("../config/logger");
+
+const logger = createChildLogger("leads-routes");
+const leadService = new LeadService();
+
+const { LEAD_STAGES } = LeadService;
+const LEAD_TYPES = ["inbound", "outbound", "referral", "organic", "paid"];
+
+// HTTP status for each error code the lead service throws
+const ERROR_STATUS = {
+    VALIDATION_ERROR: 400,
+    LEAD_NOT_FOUND: 404,
+    LEAD_INVALID_STAGE: 409,
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Lead:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         client_id:
+ *           type: integer
+ *         conversation_id:
+ *           type: integer
+ *           description: Conversation the lead came from; one lead per conversation
+ *         lead_source:
+ *           type: string
+ *           description: Channel the conversation is on
+ *         lead_type:
+ *           type: string
+ *           enum: [inbound, outbound, referral, organic, paid]
+ *         current_stage:
+ *           type: string
+ *           enum: [new, contacted, qualified, proposal, negotiation, closed_won, closed_lost]
+ *         previous_stage:
+ *           type: string
+ *         stage_progression_count:
+ *           type: integer
+ *         qualification_score:
+ *           type: integer
+ *           description: Latest lead score of the conversation, 0-100
+ *         interest_level:
+ *           type: integer
+ *         engagement_level:
+ *           type: integer
+ *         budget_indication:
+ *           type: string
+ *         timeline_indication:
+ *           type: string
+ *         decision_maker_status:
+ *           type: string
+ *           enum: [decision_maker, shared_decision, needs_approval]
+ *         service_interest:
+ *           type: string
+ *         fact_sources:
+ *           type: object
+ *           description: Per field read from the conversation, the value, message_id, excerpt and extracted_at of the customer message it came from
+ *         conversion_value:
+ *           type: number
+ *         lost_reason:
+ *           type: string
+ *         stage_entered_at:
+ *           type: string
+ *           format: date-time
+ *         total_funnel_time:
+ *           type: integer
+ *           description: Minutes from creation to the latest stage change
+ *         final_outcome:
+ *           type: string
+ *         outcome_date:
+ *           type: string
+ *           format: date-time
+ *         client:
+ *           type: object
+ *     LeadStageChange:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         from_stage:
+ *           type: string
+ *           nullable: true
+ *           description: Null when the lead was created
+ *         to_stage:
+ *           type: string
+ *         progression_type:
+ *           type: string
+ *           enum: [automatic, manual, system]
+ *         trigger_event:
+ *           type: string
+ *           description: What moved the lead, e.g. conversation_qualified, funnel_state:qualified, appointment_confirmed or manual
+ *         changed_by:
+ *           type: string
+ *           description: bot, system or user:<id>
+ *         confidence_score:
+ *           type: number
+ *           description: 0-1; manual moves are 1
+ *         qualifying_factors:
+ *           type: array
+ *           items:
+ *             type: string
+ *         disqualifying_factors:
+ *           type: array
+ *           items:
+ *             type: string
+ *         time_in_previous_stage:
+ *           type: integer
+ *           description: Minutes
+ *         conversation_context:
+ *           type: string
+ *           description: Customer message or reason behind the move
+ *         changed_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/business/leads:
+ *   get:
+ *     summary: List leads
+ *     tags: [Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: stage
+ *         schema:
+ *           type: string
+ *           enum: [new, contacted, qualified, proposal, negotiation, closed_won, closed_lost]
+ *       - in: query
+ *         name: lead_type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: lead_source
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: client_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: min_score
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: max_score
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only leads created at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only leads created before this time
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [recent, score]
+ *           default: recent
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Leads, most recently active first unless sorted by score
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     leads:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Lead'
+ *                     pagination:
+ *                       type: object
+ */
+router.get(
+    "/",
+    verifyFirebaseToken,
+    [
+        query("stage").optional().isIn(LEAD_STAGES),
+        query("lead_type").optional().isIn(LEAD_TYPES),
+        query("lead_source").optional().isString().isLength({ max: 50 }),
+        query("client_id").optional().isInt({ min: 1 }),
+        query("min_score").optional().isInt({ min: 0, max: 100 }),
+        query("max_score").optional().isInt({ min: 0, max: 100 }),
+        query("from").optional().isISO8601(),
+        query("to").optional().isISO8601(),
+        query("sort").optional().isIn(["recent", "score"]),
+    ],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const limit = Math.min(
+                Math.max(parseInt(req.query.limit) || 20, 1),
+                100
+            );
+
+            const business = await findBusiness(req, res);
+            if (!business) return;
+
+            const { leads, total } = await leadService.list(business.id, {
+                stage: req.query.stage,
+                leadType: req.query.lead_type,
+                leadSource: req.query.lead_source,
+                clientId: parseInt(req.query.client_id) || null,
+                minScore: optionalInt(req.query.min_score),
+                maxScore: optionalInt(req.query.max_score),
+                from: req.query.from ? new Date(req.query.from) : null,
+                to: req.query.to ? new Date(req.query.to) : null,
+                sort: req.query.sort,
+                page,
+                limit,
+            });
+
+            const totalPages = Math.ceil(total / limit);
+
+            res.json({
+                success: true,
+                data: {
+                    leads,
+                    pagination: {
+                        page,
+                        limit,
+                        total,
+                        pages: totalPages,
+                        has_next: page < totalPages,
+                        has_previous: page > 1,
+                    },
+                },
+            });
+        } catch (error) {
+            handleError(res, error, "List leads", req);
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/business/leads/pipeline:
+ *   get:
+ *     summary: Get lead counts per stage
+ *     tags: [Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Every stage in pipeline order, with its lead count and total conversion value
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       stage:
+ *                         type: string
+ *                       count:
+ *                         type: integer
+ *                       conversion_value:
+ *                         type: number
+ */
+router.get("/pipeline", verifyFirebaseToken, async (req, res) => {
+    try {
+        const business = await findBusiness(req, res);
+        if (!business) return;
+
+        res.json({
+            success: true,
+            data: await leadService.pipeline(business.id),
+        });
+    } catch (error) {
+        handleError(res, error, "Get lead pipeline", req);
+    }
+});
+
+/**
+ * @swagger
+ * /api/business/leads/{id}:
+ *   get:
+ *     summary: Get a lead with its client, conversation and stage history
+ *     tags: [Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Lead
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Lead'
+ *       404:
+ *         description: Lead not found
+ */
+router.get(
+    "/:id",
+    verifyFirebaseToken,
+    [param("id").isInt({ min: 1 })],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            const business = await findBusiness(req, res);
+            if (!business) return;
+
+            res.json({
+                success: true,
+                data: await leadService.find(
+                    business.id,
+                    parseInt(req.params.id)
+                ),
+            });
+        } catch (error) {
+            handleError(res, error, "Get lead", req);
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/business/leads/{id}/history:
+ *   get:
+ *     summary: Get a lead's stage changes
+ *     tags: [Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Stage changes, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LeadStageChange'
+ *       404:
+ *         description: Lead not found
+ */
+router.get(
+    "/:id/history",
+    verifyFirebaseToken,
+    [param("id").isInt({ min: 1 })],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            const business = await findBusiness(req, res);
+            if (!business) return;
+
+            res.json({
+                success: true,
+                data: await leadService.history(
+                    business.id,
+                    parseInt(req.params.id)
+                ),
+            });
+        } catch (error) {
+            handleError(res, error, "Get lead history", req);
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/business/leads/{id}/stage:
+ *   put:
+ *     summary: Move a lead to another stage
+ *     description: Recorded in the stage history as a manual move by the signed-in user. Closed leads can be reopened; the assistant never moves them again on its own
+ *     tags: [Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [stage]
+ *             properties:
+ *               stage:
+ *                 type: string
+ *                 enum: [new, contacted, qualified, proposal, negotiation, closed_won, closed_lost]
+ *               reason:
+ *                 type: string
+ *                 description: Stored as the change's context
+ *               lost_reason:
+ *                 type: string
+ *                 description: Kept on the lead when moving to closed_lost
+ *               conversion_value:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Lead moved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Lead'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Lead not found
+ *       409:
+ *         description: Lead is already in that stage
+ */
+router.put(
+    "/:id/stage",
+    verifyFirebaseToken,
+    [
+        param("id").isInt({ min: 1 }),
+        body("stage")
+            .isIn(LEAD_STAGES)
+            .withMessage(`stage must be one of: ${LEAD_STAGES.join(", ")}`),
+        body("reason").optional().isString().isLength({ max: 500 }),
+        body("lost_reason").optional().isString().isLength({ max: 500 }),
+        body("conversion_value")
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage("conversion_value must be a positive number"),
+    ],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            const business = await findBusiness(req, res);
+            if (!business) return;
+
+            const lead = await leadService.moveStage(
+                business.id,
+                parseInt(req.params.id),
+                {
+                    stage: req.body.stage,
+                    reason: req.body.reason,
+                    lost_reason: req.body.lost_reason,
+                    conversion_value:
+                        req.body.conversion_value !== undefined
+                            ? Number(req.body.conversion_value)
+                            : undefined,
+                },
+                `user:${req.user.id}`
+            );
+
+            res.json({
+                success: true,
+                data: lead,
+            });
+        } catch (error) {
+            handleError(res, error, "Move lead", req);
+        }
+    }
+);
+
+function optionalInt(value) {
+    return value !== undefined ? parseInt(value) : null;
+}
+
+/**
+ * Answer 400 with the express-validator errors, if any
+ * @returns {boolean} Whether the request was rejected
+ */
+function rejectInvalid(req, res) {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+
+    res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        code: "VALIDATION_ERROR",
+        details: errors.array(),
+    });
+    return true;
+}
+
+/**
+ * The caller's business, or a 404 answer
+ * @returns {Promise<Object|null>} Business
+ */
+async function findBusiness(req, res) {
+    const business = await Business.findOne({
+        where: { owner_id: req.user.id },
+        attributes: ["id"],
+    });
+
+    if (!business) {
+        res.status(404).json({
+            success: false,
+            error: "Business not found",
+            code: "BUSINESS_NOT_FOUND",
+        });
+    }
+    return business;
+}
+
+/**
+ * Answer with the status matching a service error code, or 500
+ */
+function handleError(res, error, action, req) {
+    const status = ERROR_STATUS[error.code];
+    if (status) {
+        return res.status(status).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+        });
+    }
+
+    logger.error(`${action} error`, {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.id,
+    });
+    res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        code: "INTERNAL_ERROR",
+    });
+}
+
+module.exports = router;
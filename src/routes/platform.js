@@ -3,6 +3,9 @@ const router = express.Router();
 const db = require("../models");
 const { authenticateToken } = require("../middleware/auth");
 const { validateId, validatePagination } = require("../middleware/validation");
+const PlatformRoutingService = require("../services/platformRoutingService");
+
+const platformRoutingService = new PlatformRoutingService();
 
 // Get all platform sources for a business
 router.get(
@@ -159,6 +162,7 @@ router.put("/:id", authenticateToken, validateId, async (req, res, next) => {
         }
 
         await platform.update(req.body);
+        platformRoutingService.clearCache();
 
         const updatedPlatform = await db.PlatformSource.findByPk(platform.id);
         const safePlatform = updatedPlatform.toJSON();
@@ -188,6 +192,7 @@ router.delete("/:id", authenticateToken, validateId, async (req, res, next) => {
         }
 
         await platform.destroy();
+        platformRoutingService.clearCache();
 
         res.status(204).send();
     } catch (error) {
@@ -228,6 +233,8 @@ router.post(
                 connection_status: "connected",
                 last_sync: new Date(),
             });
+            // Route the account and accept its secret at once
+            platformRoutingService.clearCache();
 
             res.json({ message: "Platform connected successfully" });
         } catch (error) {
@@ -267,6 +274,8 @@ router.post(
                 connection_status: "disconnected",
                 last_sync: null,
             });
+            // Stop routing the account and accepting its secret at once
+            platformRoutingService.clearCache();
 
             res.json({ message: "Platform disconnected successfully" });
         } catch (error) {
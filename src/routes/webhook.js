@@ -2,6 +2,17 @@ const express = require("express");
 const router = express.Router();
 const WebhookController = require("../controllers/WebhookController");
 const { authenticateToken } = require("../middleware/auth");
+const {
+    verifyFirebaseToken,
+    requireRoles,
+} = require("../middleware/firebaseAuth");
+const {
+    verifyMetaSignature,
+    verifyTelegramSecret,
+    verifyEmailSecret,
+    getSignatureMetrics,
+} = require("../middleware/webhookSignature");
+const { UnroutedWebhookEvent } = require("../models");
 
 /**
  * @swagger
@@ -51,7 +62,7 @@ router.get("/instagram/verify", WebhookController.verifyWebhook);
  * /webhooks/instagram/webhook:
  *   post:
  *     summary: Handle Instagram webhook events
- *     description: Process incoming Instagram webhook events including messages, postbacks, and delivery confirmations
+ *     description: Persist incoming Instagram messages and postbacks to the processing inbox, and apply delivery/read receipts to outgoing messages. Messenger deliveries (object "page") are accepted here too, for apps with one callback URL
  *     tags: [Webhook]
  *     requestBody:
  *       required: true
@@ -62,6 +73,7 @@ router.get("/instagram/verify", WebhookController.verifyWebhook);
  *             properties:
  *               object:
  *                 type: string
+ *                 enum: [instagram, page]
  *                 description: Object type
  *                 example: "instagram"
  *               entry:
@@ -126,6 +138,13 @@ router.get("/instagram/verify", WebhookController.verifyWebhook);
  *                                           type: string
  *                                           format: uri
  *                                           example: "https://example.com/image.jpg"
+ *     parameters:
+ *       - in: header
+ *         name: X-Hub-Signature-256
+ *         schema:
+ *           type: string
+ *         description: HMAC-SHA256 of the raw body signed with the Meta app secret
+ *         example: "sha256=5f8e..."
  *     responses:
  *       200:
  *         description: Webhook event processed successfully
@@ -134,6 +153,10 @@ router.get("/instagram/verify", WebhookController.verifyWebhook);
  *             schema:
  *               type: string
  *               example: "EVENT_RECEIVED"
+ *       401:
+ *         description: Missing or invalid webhook signature
+ *       403:
+ *         description: Too many accounts in one delivery not signed with the global app secret
  *       400:
  *         description: Invalid webhook payload
  *         content:
@@ -147,7 +170,314 @@ router.get("/instagram/verify", WebhookController.verifyWebhook);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post("/instagram/webhook", WebhookController.handleWebhook);
+router.post(
+    "/instagram/webhook",
+    verifyMetaSignature("instagram"),
+    WebhookController.handleWebhook
+);
+
+/**
+ * @swagger
+ * /webhooks/facebook/webhook:
+ *   get:
+ *     summary: Verify Messenger webhook
+ *     description: Verify the Page webhook subscription with VERIFY_TOKEN
+ *     tags: [Webhook]
+ *     parameters:
+ *       - in: query
+ *         name: hub.mode
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [subscribe]
+ *       - in: query
+ *         name: hub.verify_token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: hub.challenge
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook verified successfully
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: "challenge_string"
+ *       403:
+ *         description: Verification failed
+ */
+router.get("/facebook/webhook", WebhookController.verifyWebhook);
+
+/**
+ * @swagger
+ * /webhooks/facebook/webhook:
+ *   post:
+ *     summary: Handle Messenger webhook events
+ *     description: Same as the Instagram webhook for Page (object "page") deliveries, routed to the business by page ID. Get Started and persistent menu postbacks are answered by the assistant like messages
+ *     tags: [Webhook]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               object:
+ *                 type: string
+ *                 example: "page"
+ *               entry:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     parameters:
+ *       - in: header
+ *         name: X-Hub-Signature-256
+ *         schema:
+ *           type: string
+ *         description: HMAC-SHA256 of the raw body signed with the Meta app secret
+ *     responses:
+ *       200:
+ *         description: Webhook event processed successfully
+ *       401:
+ *         description: Missing or invalid webhook signature
+ *       403:
+ *         description: Too many accounts in one delivery not signed with the global app secret
+ *       404:
+ *         description: Not a Page or Instagram delivery
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+    "/facebook/webhook",
+    verifyMetaSignature("facebook"),
+    WebhookController.handleWebhook
+);
+
+/**
+ * @swagger
+ * /webhooks/whatsapp/webhook:
+ *   get:
+ *     summary: Verify WhatsApp webhook
+ *     description: Verify the WhatsApp Cloud API webhook subscription. Uses WHATSAPP_VERIFY_TOKEN, or VERIFY_TOKEN when it is not set.
+ *     tags: [Webhook]
+ *     parameters:
+ *       - in: query
+ *         name: hub.mode
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [subscribe]
+ *       - in: query
+ *         name: hub.verify_token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: hub.challenge
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook verified successfully
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: "challenge_string"
+ *       403:
+ *         description: Verification failed
+ */
+router.get("/whatsapp/webhook", WebhookController.verifyWhatsAppWebhook);
+
+/**
+ * @swagger
+ * /webhooks/whatsapp/webhook:
+ *   post:
+ *     summary: Handle WhatsApp webhook events
+ *     description: Persist incoming WhatsApp text, media, location, contact, interactive and button messages to the processing inbox, and apply delivered/read/failed statuses to outgoing messages. Events are routed by the phone_number_id in the platform source credentials.
+ *     tags: [Webhook]
+ *     parameters:
+ *       - in: header
+ *         name: X-Hub-Signature-256
+ *         schema:
+ *           type: string
+ *         description: HMAC-SHA256 of the raw body signed with the Meta app secret
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               object:
+ *                 type: string
+ *                 example: "whatsapp_business_account"
+ *               entry:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       description: WhatsApp Business Account ID
+ *                     changes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           field:
+ *                             type: string
+ *                             example: "messages"
+ *                           value:
+ *                             type: object
+ *                             properties:
+ *                               metadata:
+ *                                 type: object
+ *                                 properties:
+ *                                   phone_number_id:
+ *                                     type: string
+ *                                     example: "106540352242922"
+ *                               messages:
+ *                                 type: array
+ *                                 items:
+ *                                   type: object
+ *                               statuses:
+ *                                 type: array
+ *                                 items:
+ *                                   type: object
+ *     responses:
+ *       200:
+ *         description: Webhook event processed successfully
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: "EVENT_RECEIVED"
+ *       401:
+ *         description: Missing or invalid webhook signature
+ *       403:
+ *         description: Too many accounts in one delivery not signed with the global app secret
+ *       404:
+ *         description: Not a WhatsApp Business Account event
+ *       500:
+ *         description: Events could not be persisted; WhatsApp retries the delivery
+ */
+router.post(
+    "/whatsapp/webhook",
+    verifyMetaSignature("whatsapp"),
+    WebhookController.handleWhatsAppWebhook
+);
+
+/**
+ * @swagger
+ * /webhooks/telegram/{botId}:
+ *   post:
+ *     summary: Handle Telegram bot updates
+ *     description: Register this URL with setWebhook, passing the secret_token stored in the bot's platform source credentials. Private chat messages (text, media, location, contact) and inline keyboard presses are persisted to the processing inbox; the chat ID is the client's platform_user_id.
+ *     tags: [Webhook]
+ *     parameters:
+ *       - in: path
+ *         name: botId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Bot ID, the part of the bot token before the colon
+ *         example: "7012345678"
+ *       - in: header
+ *         name: X-Telegram-Bot-Api-Secret-Token
+ *         schema:
+ *           type: string
+ *         description: Secret token the bot's webhook was registered with
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Telegram Update
+ *             properties:
+ *               update_id:
+ *                 type: integer
+ *               message:
+ *                 type: object
+ *               callback_query:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Update accepted
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: "EVENT_RECEIVED"
+ *       401:
+ *         description: Missing or invalid secret token
+ *       500:
+ *         description: Update could not be persisted; Telegram retries it
+ */
+router.post(
+    "/telegram/:botId",
+    verifyTelegramSecret(),
+    WebhookController.handleTelegramWebhook
+);
+
+/**
+ * @swagger
+ * /webhooks/email/{address}:
+ *   post:
+ *     summary: Handle an inbound email
+ *     description: Point whatever receives the mailbox's mail (a mail server pipe, an SMTP catcher) at this URL and post each message as raw MIME, with the webhook_secret stored in the mailbox's platform source credentials. Replies join the conversation of the thread they answer (In-Reply-To, References); quoted history and signatures are stripped before the assistant answers. Auto-replies and bounces are dropped. The sender's address is the client's platform_user_id.
+ *     tags: [Webhook]
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Mailbox the mail was sent to, the email_address of its platform source
+ *         example: "support@example.com"
+ *       - in: header
+ *         name: X-Email-Webhook-Secret
+ *         schema:
+ *           type: string
+ *         description: Secret the mailbox's webhook is configured with
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         message/rfc822:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Mail accepted
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: "EVENT_RECEIVED"
+ *       400:
+ *         description: Body is not a raw email
+ *       401:
+ *         description: Missing or invalid secret
+ *       500:
+ *         description: Mail could not be persisted; the forwarder should retry it
+ */
+router.post(
+    "/email/:address",
+    express.raw({
+        type: ["message/rfc822", "text/plain", "application/octet-stream"],
+        limit: "10mb",
+    }),
+    verifyEmailSecret(),
+    WebhookController.handleEmailWebhook
+);
 
 /**
  * @swagger
@@ -225,4 +555,288 @@ router.post(
     WebhookController.createFixedTokenConnection
 );
 
+/**
+ * @swagger
+ * /webhooks/unrouted:
+ *   get:
+ *     summary: List unrouted webhook events (Admin only)
+ *     description: Webhook events whose receiving account ID did not match any connected platform source
+ *     tags: [Webhook]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: platform_type
+ *         schema:
+ *           type: string
+ *         description: Filter by platform type
+ *       - in: query
+ *         name: include_resolved
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include events already marked as resolved
+ *     responses:
+ *       200:
+ *         description: Unrouted events retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin role required
+ */
+router.get(
+    "/unrouted",
+    verifyFirebaseToken,
+    requireRoles("admin"),
+    async (req, res) => {
+        try {
+            const { platform_type, include_resolved } = req.query;
+
+            const where = {};
+            if (platform_type) where.platform_type = platform_type;
+            if (include_resolved !== "true") where.is_resolved = false;
+
+            const events = await UnroutedWebhookEvent.findAll({
+                where,
+                order: [["last_seen_at", "DESC"]],
+                limit: 100,
+            });
+
+            res.json({
+                success: true,
+                data: events,
+            });
+        } catch (error) {
+            console.error("Get unrouted webhook events error:", error);
+            res.status(500).json({
+                success: false,
+                error: "Internal server error",
+                code: "INTERNAL_ERROR",
+            });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /webhooks/metrics:
+ *   get:
+ *     summary: Webhook delivery counters (Admin only)
+ *     description: Per-process counters of verified and rejected webhook deliveries
+ *     tags: [Webhook]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Counters retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     signatures:
+ *                       type: object
+ *                       properties:
+ *                         verified:
+ *                           type: integer
+ *                         unverified_allowed:
+ *                           type: integer
+ *                         rejected_total:
+ *                           type: integer
+ *                         rejected:
+ *                           type: object
+ *                           properties:
+ *                             missing_signature:
+ *                               type: integer
+ *                             invalid_signature:
+ *                               type: integer
+ *                             no_secret_configured:
+ *                               type: integer
+ *                             mixed_secrets:
+ *                               type: integer
+ *                               description: Batches whose accounts have different app secrets
+ *                             secret_lookup_failed:
+ *                               type: integer
+ *                             too_many_accounts:
+ *                               type: integer
+ *                               description: Deliveries naming too many accounts to look up before verifying
+ *                     inbox:
+ *                       type: object
+ *                       description: Inbox events per status
+ *                       properties:
+ *                         pending:
+ *                           type: integer
+ *                         processing:
+ *                           type: integer
+ *                         completed:
+ *                           type: integer
+ *                         dead_letter:
+ *                           type: integer
+ *                     deliveries:
+ *                       type: object
+ *                       description: Outgoing messages per delivery status
+ *                       properties:
+ *                         queued:
+ *                           type: integer
+ *                         sent:
+ *                           type: integer
+ *                         failed:
+ *                           type: integer
+ *                         delivered:
+ *                           type: integer
+ *                         read:
+ *                           type: integer
+ *       403:
+ *         description: Forbidden - Admin role required
+ */
+router.get(
+    "/metrics",
+    verifyFirebaseToken,
+    requireRoles("admin"),
+    async (req, res) => {
+        try {
+            res.json({
+                success: true,
+                data: {
+                    signatures: getSignatureMetrics(),
+                    inbox: await WebhookController.getInboxStats(),
+                    deliveries: await WebhookController.getDeliveryStats(),
+                },
+            });
+        } catch (error) {
+            console.error("Get webhook metrics error:", error);
+            res.status(500).json({
+                success: false,
+                error: "Internal server error",
+                code: "INTERNAL_ERROR",
+            });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /webhooks/inbox:
+ *   get:
+ *     summary: List inbound webhook events (Admin only)
+ *     description: Events persisted by the webhook inbox, most recently updated first. Use status=dead_letter to inspect events that exhausted their retries.
+ *     tags: [Webhook]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, completed, dead_letter]
+ *         description: Filter by status
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Inbox events retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin role required
+ */
+router.get(
+    "/inbox",
+    verifyFirebaseToken,
+    requireRoles("admin"),
+    WebhookController.getInboxEvents
+);
+
+/**
+ * @swagger
+ * /webhooks/inbox/{id}/replay:
+ *   post:
+ *     summary: Replay a dead-lettered webhook event (Admin only)
+ *     description: Requeue the event with a fresh retry budget
+ *     tags: [Webhook]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Event requeued
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: Event is not dead-lettered
+ */
+router.post(
+    "/inbox/:id/replay",
+    verifyFirebaseToken,
+    requireRoles("admin"),
+    WebhookController.replayInboxEvent
+);
+
+/**
+ * @swagger
+ * /webhooks/unrouted/{id}/resolve:
+ *   put:
+ *     summary: Mark an unrouted webhook event as resolved (Admin only)
+ *     tags: [Webhook]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Event marked as resolved
+ *       404:
+ *         description: Event not found
+ */
+router.put(
+    "/unrouted/:id/resolve",
+    verifyFirebaseToken,
+    requireRoles("admin"),
+    async (req, res) => {
+        try {
+            const event = await UnroutedWebhookEvent.findByPk(req.params.id);
+
+            if (!event) {
+                return res.status(404).json({
+                    success: false,
+                    error: "Unrouted event not found",
+                    code: "UNROUTED_EVENT_NOT_FOUND",
+                });
+            }
+
+            await event.update({ is_resolved: true });
+
+            res.json({
+                success: true,
+                data: event,
+            });
+        } catch (error) {
+            console.error("Resolve unrouted webhook event error:", error);
+            res.status(500).json({
+                success: false,
+                error: "Internal server error",
+                code: "INTERNAL_ERROR",
+            });
+        }
+    }
+);
+
 module.exports = router;
@@ -0,0 +1,309 @@
+"use strict";
+
+const path = require("path");
+const express = require("express");
+const router = express.Router();
+const rateLimit = require("express-rate-limit");
+const { body, query, validationResult } = require("express-validator");
+const WebsiteChatService = require("../services/websiteChatService");
+const { createChildLogger } = require("../config/logger");
+
+const logger = createChildLogger("widget-routes");
+const chatService = new WebsiteChatService();
+
+// HTTP status for each error code the website chat service throws
+const ERROR_STATUS = {
+    WIDGET_NOT_FOUND: 404,
+    WIDGET_ORIGIN_NOT_ALLOWED: 403,
+    WIDGET_SESSION_NOT_FOUND: 404,
+};
+
+const MESSAGE_MAX_LENGTH = 1000;
+const WIDGET_SCRIPT = path.join(__dirname, "../public/widget.js");
+
+// Visitors poll for replies, so the limit is per minute and looser than
+// the API's; the conversation engine also rate limits each visitor
+router.use(
+    rateLimit({
+        windowMs: 60 * 1000,
+        max: 120,
+        message: {
+            success: false,
+            error: "Too many requests, please try again later.",
+            code: "RATE_LIMITED",
+        },
+    })
+);
+
+/**
+ * @swagger
+ * /api/widget/widget.js:
+ *   get:
+ *     summary: Embeddable chat widget script
+ *     description: Load it on the business's pages with the widget key in data-widget-key. The widget talks to the session API from the page's origin, which must be on the widget's allow-list
+ *     tags: [Website Widget]
+ *     responses:
+ *       200:
+ *         description: JavaScript
+ */
+router.get("/widget.js", (req, res) => {
+    res.sendFile(WIDGET_SCRIPT, {
+        headers: {
+            "Content-Type": "application/javascript; charset=utf-8",
+            // Pages on other origins load it with a script tag
+            "Cross-Origin-Resource-Policy": "cross-origin",
+            "Cache-Control": "public, max-age=300",
+        },
+    });
+});
+
+// Preflight of the widget's JSON requests
+router.options("/:widgetKey/*", loadWidget, (req, res) => {
+    res.set({
+        "Access-Control-Allow-Methods": "GET, POST",
+        "Access-Control-Allow-Headers": "Content-Type",
+        "Access-Control-Max-Age": "600",
+    });
+    res.sendStatus(204);
+});
+
+/**
+ * @swagger
+ * /api/widget/{widgetKey}/config:
+ *   get:
+ *     summary: Settings the widget shows
+ *     tags: [Website Widget]
+ *     parameters:
+ *       - in: path
+ *         name: widgetKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Title, greeting and color
+ *       403:
+ *         description: The page's origin is not on the widget's allow-list (WIDGET_ORIGIN_NOT_ALLOWED)
+ *       404:
+ *         description: Unknown or disconnected widget (WIDGET_NOT_FOUND)
+ */
+router.get("/:widgetKey/config", loadWidget, (req, res) => {
+    res.json({
+        success: true,
+        data: chatService.publicSettings(req.widget),
+    });
+});
+
+/**
+ * @swagger
+ * /api/widget/{widgetKey}/sessions:
+ *   post:
+ *     summary: Start an anonymous visitor session
+ *     description: The session ID identifies the visitor from then on; the widget keeps it in the browser
+ *     tags: [Website Widget]
+ *     parameters:
+ *       - in: path
+ *         name: widgetKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: session_id and the widget's greeting
+ *       403:
+ *         description: The page's origin is not on the widget's allow-list (WIDGET_ORIGIN_NOT_ALLOWED)
+ *       404:
+ *         description: Unknown or disconnected widget (WIDGET_NOT_FOUND)
+ */
+router.post("/:widgetKey/sessions", loadWidget, async (req, res) => {
+    try {
+        res.status(201).json({
+            success: true,
+            data: await chatService.startSession(req.widget),
+        });
+    } catch (error) {
+        handleError(res, error, "Start widget session", req);
+    }
+});
+
+/**
+ * @swagger
+ * /api/widget/{widgetKey}/sessions/{sessionId}/messages:
+ *   post:
+ *     summary: Send a visitor message and get the assistant's reply
+ *     description: Answered by the same assistant and knowledge base as the business's other channels. reply is null while an agent has the conversation; their replies come with the session's messages
+ *     tags: [Website Widget]
+ *     parameters:
+ *       - in: path
+ *         name: widgetKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [text]
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       201:
+ *         description: reply and bot_paused
+ *       400:
+ *         description: Invalid message
+ *       403:
+ *         description: The page's origin is not on the widget's allow-list (WIDGET_ORIGIN_NOT_ALLOWED)
+ *       404:
+ *         description: Unknown widget or session (WIDGET_NOT_FOUND, WIDGET_SESSION_NOT_FOUND)
+ */
+router.post(
+    "/:widgetKey/sessions/:sessionId/messages",
+    loadWidget,
+    [
+        body("text")
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: MESSAGE_MAX_LENGTH })
+            .withMessage(`text must be 1-${MESSAGE_MAX_LENGTH} characters`),
+    ],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            res.status(201).json({
+                success: true,
+                data: await chatService.sendMessage(
+                    req.widget,
+                    req.params.sessionId,
+                    req.body.text
+                ),
+            });
+        } catch (error) {
+            handleError(res, error, "Send widget message", req);
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/widget/{widgetKey}/sessions/{sessionId}/messages:
+ *   get:
+ *     summary: Messages of the visitor's conversation, oldest first
+ *     tags: [Website Widget]
+ *     parameters:
+ *       - in: path
+ *         name: widgetKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only messages sent after this time
+ *     responses:
+ *       200:
+ *         description: Messages with sender_type, text, quick_replies and sent_at
+ *       403:
+ *         description: The page's origin is not on the widget's allow-list (WIDGET_ORIGIN_NOT_ALLOWED)
+ *       404:
+ *         description: Unknown widget or session (WIDGET_NOT_FOUND, WIDGET_SESSION_NOT_FOUND)
+ */
+router.get(
+    "/:widgetKey/sessions/:sessionId/messages",
+    loadWidget,
+    [query("after").optional().isISO8601()],
+    async (req, res) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            res.json({
+                success: true,
+                data: await chatService.listMessages(
+                    req.widget,
+                    req.params.sessionId,
+                    { after: req.query.after && new Date(req.query.after) }
+                ),
+            });
+        } catch (error) {
+            handleError(res, error, "List widget messages", req);
+        }
+    }
+);
+
+/**
+ * Resolve the widget of the URL and allow the page's origin to read the
+ * answer when it is on the widget's allow-list
+ */
+async function loadWidget(req, res, next) {
+    try {
+        const widget = await chatService.findWidget(req.params.widgetKey);
+        const origin = req.get("Origin");
+        chatService.checkOrigin(widget, origin);
+
+        res.set({ "Access-Control-Allow-Origin": origin, Vary: "Origin" });
+        req.widget = widget;
+        next();
+    } catch (error) {
+        handleError(res, error, "Load widget", req);
+    }
+}
+
+/**
+ * Answer 400 with the express-validator errors, if any
+ * @returns {boolean} Whether the request was rejected
+ */
+function rejectInvalid(req, res) {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+
+    res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        code: "VALIDATION_ERROR",
+        details: errors.array(),
+    });
+    return true;
+}
+
+/**
+ * Answer with the status matching a service error code, or 500
+ */
+function handleError(res, error, action, req) {
+    const status = ERROR_STATUS[error.code];
+    if (status) {
+        return res.status(status).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+        });
+    }
+
+    logger.error(`${action} error`, {
+        error: error.message,
+        stack: error.stack,
+        widgetKey: req.params.widgetKey,
+    });
+    res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        code: "INTERNAL_ERROR",
+    });
+}
+
+module.exports = router;
@@ -0,0 +1,245 @@
+"use strict";
+
+/**
+ * After-hours policy
+ * What the assistant does while the business is closed by its opening hours:
+ * reply as usual ("ai"), reply without promising that a person will be in
+ * touch ("ai_no_human_promise"), or send a fixed away message with the next
+ * opening time ("away_message"). In every mode, conversations that need a
+ * person are flagged for the team with the next opening as the follow-up time
+ */
+
+const AFTER_HOURS_MODES = ["ai", "ai_no_human_promise", "away_message"];
+
+const DEFAULT_AFTER_HOURS_POLICY = {
+    mode: "ai",
+    // Away message per language code, replacing the built-in one;
+    // {next_opening} is replaced with the next opening time
+    messages: {},
+};
+
+// Built-in texts; {business} is replaced with the company name and {when}
+// with the next opening time in the conversation's language
+const TEXTS = {
+    en: {
+        closed: "Thanks for your message! {business} is closed right now.",
+        next_opening: "We open again {when}.",
+        handoff_closed: "Our team is away right now and back {when}.",
+    },
+    es: {
+        closed: "¡Gracias por tu mensaje! {business} está cerrado en este momento.",
+        next_opening: "Volvemos a abrir el {when}.",
+        handoff_closed:
+            "Nuestro equipo no está disponible ahora; vuelve el {when}.",
+    },
+    pt: {
+        closed: "Obrigado pela sua mensagem! {business} está fechado no momento.",
+        next_opening: "Abrimos novamente {when}.",
+        handoff_closed: "Nossa equipe não está disponível agora; volta {when}.",
+    },
+    fr: {
+        closed: "Merci pour votre message ! {business} est fermé pour le moment.",
+        next_opening: "Nous rouvrons le {when}.",
+        handoff_closed:
+            "Notre équipe est absente pour le moment et revient le {when}.",
+    },
+    de: {
+        closed: "Danke für Ihre Nachricht! {business} hat gerade geschlossen.",
+        next_opening: "Wir öffnen wieder am {when}.",
+        handoff_closed:
+            "Unser Team ist gerade nicht da und wieder erreichbar am {when}.",
+    },
+    it: {
+        closed: "Grazie per il tuo messaggio! {business} è chiuso in questo momento.",
+        next_opening: "Riapriamo {when}.",
+        handoff_closed: "Il nostro team non è disponibile ora e torna {when}.",
+    },
+};
+
+// Sentences promising that a person will reply, call or follow up
+const HUMAN_PROMISE_PATTERNS = [
+    /\bwe(?:'ll| will)\s+(?:get back|reply|respond|reach out|follow up|be in touch|contact you|call you)/i,
+    /\b(?:someone|somebody|a\s+(?:person|human|team member|representative|specialist|colleague|member of (?:our|the) team)|(?:our|the)\s+(?:team|staff|sales team|support team|agents?))\b[^.!?]*?\s+will\s+(?:get back|reply|respond|reach out|follow up|be in touch|contact|call|answer)/i,
+    /\b(?:will|shall)\s+(?:have\s+)?(?:someone|somebody|a\s+(?:person|team member|representative))\s+(?:contact|call|reach out|get back|follow up)/i,
+    /\bte\s+(?:contactaremos|responderemos|llamaremos)\b/i,
+    /\b(?:alguien|un\s+asesor|nuestro\s+equipo)\b[^.!?]*?\s+te\s+(?:contactar[áa]|responder[áa]|llamar[áa])/i,
+    /\b(?:entraremos\s+em\s+contato|retornaremos)\b/i,
+];
+
+/**
+ * Apply the defaults to a business's stored policy
+ * @param {Object|null} settings - Business after_hours_policy setting
+ * @returns {Object} Effective policy
+ */
+function resolveAfterHoursPolicy(settings) {
+    return {
+        ...DEFAULT_AFTER_HOURS_POLICY,
+        ...(settings || {}),
+        messages: { ...((settings && settings.messages) || {}) },
+    };
+}
+
+/**
+ * Validate a policy sent by the business owner
+ * @param {Object} settings - Policy to store
+ * @returns {Array<string>} Validation errors
+ */
+function validateAfterHoursPolicy(settings) {
+    if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+        return ["After-hours policy must be an object"];
+    }
+
+    const errors = [];
+    const allowed = Object.keys(DEFAULT_AFTER_HOURS_POLICY);
+    Object.keys(settings).forEach((key) => {
+        if (!allowed.includes(key)) {
+            errors.push(`Unknown setting: ${key}`);
+        }
+    });
+
+    if ("mode" in settings && !AFTER_HOURS_MODES.includes(settings.mode)) {
+        errors.push(`mode must be one of: ${AFTER_HOURS_MODES.join(", ")}`);
+    }
+
+    if ("messages" in settings) {
+        const { messages } = settings;
+        if (
+            !messages ||
+            typeof messages !== "object" ||
+            Array.isArray(messages)
+        ) {
+            errors.push("messages must map language codes to text");
+        } else {
+            Object.entries(messages).forEach(([language, text]) => {
+                if (!/^[a-z]{2}(?:-[A-Za-z]{2})?$/.test(language)) {
+                    errors.push(`Invalid language code: ${language}`);
+                }
+                if (
+                    typeof text !== "string" ||
+                    text.trim().length === 0 ||
+                    text.length > 500
+                ) {
+                    errors.push(
+                        `Message for ${language} must be 1-500 characters`
+                    );
+                }
+            });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * @param {Object} status - getOpeningStatus result
+ * @returns {boolean} Whether the business is closed by its opening hours
+ */
+function isAfterHours(status) {
+    return !!status && status.configured && !status.is_open;
+}
+
+/**
+ * Away message with the next opening time
+ * @param {Object} policy - Effective policy
+ * @param {string} language - Language code of the conversation
+ * @param {string} businessName - Company name
+ * @param {Object} status - getOpeningStatus result
+ * @returns {string} Away message
+ */
+function buildAwayMessage(policy, language, businessName, status) {
+    const when = formatNextOpening(status, language);
+    const custom =
+        policy.messages[language] || policy.messages[baseLanguage(language)];
+    if (custom) return custom.replace(/\{next_opening\}/g, when || "");
+
+    const texts = textsFor(language);
+    const parts = when
+        ? [texts.closed, texts.next_opening.replace("{when}", when)]
+        : [texts.closed];
+    return fill(parts.join(" "), businessName);
+}
+
+/**
+ * Sentence added to the handoff reply while the business is closed
+ * @param {string} language - Language code of the conversation
+ * @param {Object} status - getOpeningStatus result
+ * @returns {string|null} Sentence, null without an upcoming opening
+ */
+function buildClosedHandoffNotice(language, status) {
+    const when = formatNextOpening(status, language);
+    if (!when) return null;
+    return textsFor(language).handoff_closed.replace("{when}", when);
+}
+
+/**
+ * Remove sentences promising that a person will be in touch
+ * @param {string} text - Reply
+ * @returns {string} Reply without those sentences, possibly empty
+ */
+function removeHumanPromises(text) {
+    const sentences = String(text || "").match(/[^.!?\n]+[.!?]*\s*|\n+/g);
+    if (!sentences) return "";
+    return sentences
+        .filter(
+            (sentence) =>
+                !HUMAN_PROMISE_PATTERNS.some((pattern) =>
+                    pattern.test(sentence)
+                )
+        )
+        .join("")
+        .trim();
+}
+
+/**
+ * Next opening as the conversation's language writes it, e.g.
+ * "Monday, June 10 at 09:00", in the business's timezone
+ * @param {Object} status - getOpeningStatus result
+ * @param {string} language - Language code of the conversation
+ * @returns {string|null} Next opening, null when none is coming up
+ */
+function formatNextOpening(status, language) {
+    if (!status || !status.next_opening_at) return null;
+
+    const options = {
+        weekday: "long",
+        day: "numeric",
+        month: "long",
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23",
+        timeZone: status.timezone,
+    };
+    const date = new Date(status.next_opening_at);
+    try {
+        return new Intl.DateTimeFormat(language, options).format(date);
+    } catch (error) {
+        // Language codes Intl does not know
+        return new Intl.DateTimeFormat("en", options).format(date);
+    }
+}
+
+function textsFor(language) {
+    return TEXTS[baseLanguage(language)] || TEXTS.en;
+}
+
+function baseLanguage(language) {
+    return String(language || "en")
+        .toLowerCase()
+        .split("-")[0];
+}
+
+function fill(text, businessName) {
+    return text.replace(/\{business\}/g, businessName || "Our business");
+}
+
+module.exports = {
+    AFTER_HOURS_MODES,
+    DEFAULT_AFTER_HOURS_POLICY,
+    resolveAfterHoursPolicy,
+    validateAfterHoursPolicy,
+    isAfterHours,
+    buildAwayMessage,
+    buildClosedHandoffNotice,
+    removeHumanPromises,
+    formatNextOpening,
+};
@@ -0,0 +1,391 @@
+"use strict";
+
+const { Op } = require("sequelize");
+const { Conversation, Client, Message, PlatformSource } = require("../models");
+const MessageDeliveryService = require("./messageDeliveryService");
+const { checkMessagingWindow } = require("./messagingWindow");
+const {
+    resolveBotResumeMinutes,
+    botResumesAt,
+    isBotPaused,
+} = require("./agentTakeover");
+const { createChildLogger } = require("../config/logger");
+
+const logger = createChildLogger("agent-inbox");
+
+// Platforms agent replies can be sent to
+const DELIVERABLE_PLATFORMS = [
+    "instagram",
+    "facebook",
+    "whatsapp",
+    "telegram",
+    "website",
+    "email",
+];
+// Platforms with pre-approved template messages
+const TEMPLATE_PLATFORMS = ["whatsapp"];
+
+const INBOX_STATUSES = ["attention", "requires_human", "paused", "all"];
+
+const TAKEOVER_REASON = "Taken over by an agent";
+const HISTORY_LIMIT = 50;
+
+/**
+ * Agent Inbox Service
+ * Lets the business's people work the conversations the assistant cannot:
+ * list those needing attention, claim or assign them, pause and resume the
+ * bot per conversation and reply through the conversation's platform. An
+ * agent who claims, pauses or replies takes the conversation over; the bot
+ * takes it back when they resume it or after the business's idle period
+ * Follows Single Responsibility Principle - only handles agent takeover
+ */
+class AgentInboxService {
+    /**
+     * @param {Object} options - Options
+     * @param {Object} options.messageDelivery - MessageDeliveryService instance
+     * @param {Function} options.now - Clock, for tests
+     */
+    constructor(options = {}) {
+        this.messageDelivery =
+            options.messageDelivery || new MessageDeliveryService();
+        this.now = options.now || (() => new Date());
+    }
+
+    /**
+     * Conversations of a business for the inbox, most recent first
+     * @param {Object} business - Business with its bot_resume_minutes
+     * @param {Object} filters - { status, assignedAgentId (null for
+     *   unassigned), page, limit }
+     * @returns {Promise<Object>} { conversations, total }
+     */
+    async list(business, filters = {}) {
+        const where = { business_id: business.id };
+        const status = filters.status || "attention";
+        if (status === "attention") {
+            where[Op.or] = [{ requires_human: true }, { is_bot_active: false }];
+        } else if (status === "requires_human") {
+            where.requires_human = true;
+        } else if (status === "paused") {
+            where.is_bot_active = false;
+        }
+        if (filters.assignedAgentId !== undefined) {
+            where.assigned_agent_id = filters.assignedAgentId;
+        }
+
+        const page = filters.page || 1;
+        const limit = filters.limit || 20;
+        const { rows, count } = await Conversation.findAndCountAll({
+            where,
+            include: [clientInclude()],
+            order: [["last_activity", "DESC"]],
+            limit,
+            offset: (page - 1) * limit,
+        });
+
+        return {
+            conversations: rows.map((conversation) =>
+                this.inboxEntry(business, conversation)
+            ),
+            total: count,
+        };
+    }
+
+    /**
+     * @param {Object} business - Business with its bot_resume_minutes
+     * @param {number} id - Conversation ID
+     * @returns {Promise<Object>} Conversation with its latest messages, oldest first
+     */
+    async find(business, id) {
+        const conversation = await this.findConversation(business.id, id, [
+            clientInclude(),
+        ]);
+        const messages = await Message.findAll({
+            where: { conversation_id: conversation.id },
+            order: [["message_timestamp", "DESC"]],
+            limit: HISTORY_LIMIT,
+        });
+
+        return {
+            ...this.inboxEntry(business, conversation),
+            messages: messages.reverse(),
+        };
+    }
+
+    /**
+     * Take a conversation over: assign it to the agent and pause the bot
+     * @param {Object} business - Business with its bot_resume_minutes
+     * @param {number} id - Conversation ID
+     * @param {number} agentId - User ID of the agent
+     * @returns {Promise<Object>} Conversation
+     */
+    async claim(business, id, agentId) {
+        const conversation = await this.findConversation(business.id, id);
+        if (
+            conversation.assigned_agent_id &&
+            conversation.assigned_agent_id !== agentId
+        ) {
+            throw inboxError(
+                "Conversation is assigned to another agent",
+                "AGENT_CONVERSATION_CLAIMED"
+            );
+        }
+
+        await conversation.update({
+            assigned_agent_id: agentId,
+            ...this.takeover(conversation),
+        });
+        logger.info("Conversation claimed", {
+            businessId: business.id,
+            conversationId: conversation.id,
+            agentId,
+        });
+        return this.inboxEntry(business, conversation);
+    }
+
+    /**
+     * Assign a conversation to an agent, or unassign it; the bot is left as is
+     * @param {Object} business - Business with its bot_resume_minutes and
+     *   owner_id
+     * @param {number} id - Conversation ID
+     * @param {number|null} agentId - User ID of the agent, null to unassign
+     * @returns {Promise<Object>} Conversation
+     */
+    async assign(business, id, agentId) {
+        if (agentId !== null && !this.getAgentIds(business).includes(agentId)) {
+            throw inboxError(
+                "Agent is not a user of this business",
+                "AGENT_NOT_FOUND"
+            );
+        }
+
+        const conversation = await this.findConversation(business.id, id);
+        await conversation.update({ assigned_agent_id: agentId });
+        return this.inboxEntry(business, conversation);
+    }
+
+    /**
+     * Users who can work the business's inbox: for now only its owner
+     * @param {Object} business - Business with its owner_id
+     * @returns {Array<number>} User IDs
+     */
+    getAgentIds(business) {
+        return [business.owner_id].filter(Boolean);
+    }
+
+    /**
+     * Stop the assistant replying in a conversation
+     * @param {Object} business - Business with its bot_resume_minutes
+     * @param {number} id - Conversation ID
+     * @param {number} agentId - User ID of the agent; assigned when nobody is
+     * @param {string} reason - Stored as the takeover reason
+     * @returns {Promise<Object>} Conversation
+     */
+    async pauseBot(business, id, agentId, reason = null) {
+        const conversation = await this.findConversation(business.id, id);
+        await conversation.update({
+            assigned_agent_id: conversation.assigned_agent_id || agentId,
+            ...this.takeover(conversation, reason),
+        });
+        return this.inboxEntry(business, conversation);
+    }
+
+    /**
+     * Hand a conversation back to the assistant; it no longer needs a person
+     * @param {Object} business - Business with its bot_resume_minutes
+     * @param {number} id - Conversation ID
+     * @returns {Promise<Object>} Conversation
+     */
+    async resumeBot(business, id) {
+        const conversation = await this.findConversation(business.id, id);
+        await conversation.update({
+            is_bot_active: true,
+            requires_human: false,
+            human_takeover_reason: null,
+            human_follow_up_at: null,
+        });
+        return this.inboxEntry(business, conversation);
+    }
+
+    /**
+     * Send an agent's reply through the conversation's platform. Replying
+     * takes the conversation over like a claim does
+     * @param {Object} business - Business with its bot_resume_minutes
+     * @param {number} id - Conversation ID
+     * @param {string} text - Reply
+     * @param {number} agentId - User ID of the agent
+     * @returns {Promise<Object>} Message with its delivery status
+     */
+    async reply(business, id, text, agentId) {
+        return this.send(business, id, agentId, {
+            text,
+            platforms: DELIVERABLE_PLATFORMS,
+            purpose: "human_agent",
+        });
+    }
+
+    /**
+     * Send a pre-approved WhatsApp template, e.g. to write to a customer
+     * whose last message is older than the 24-hour window. Takes the
+     * conversation over like a reply does
+     * @param {Object} business - Business with its bot_resume_minutes
+     * @param {number} id - Conversation ID
+     * @param {Object} template - Cloud API template ({ name, language, components })
+     * @param {number} agentId - User ID of the agent
+     * @returns {Promise<Object>} Message with its delivery status
+     */
+    async sendTemplate(business, id, template, agentId) {
+        return this.send(business, id, agentId, {
+            text: `Template: ${template.name}`,
+            platforms: TEMPLATE_PLATFORMS,
+            purpose: "template",
+            payload: { template },
+        });
+    }
+
+    /**
+     * Queue and deliver an agent's message, within the platform's window
+     * @param {Object} business - Business with its bot_resume_minutes
+     * @param {number} id - Conversation ID
+     * @param {number} agentId - User ID of the agent
+     * @param {Object} options - { text, platforms it can be sent to,
+     *   messaging window purpose, payload sent instead of the text }
+     * @returns {Promise<Object>} Message with its delivery status
+     */
+    async send(business, id, agentId, { text, platforms, purpose, payload }) {
+        const conversation = await this.findConversation(business.id, id, [
+            clientInclude(),
+            { model: PlatformSource, as: "platformSource" },
+        ]);
+        const platformType = conversation.platformSource?.platform_type;
+        if (!platforms.includes(platformType)) {
+            throw inboxError(
+                "This message cannot be sent to this conversation's platform",
+                "AGENT_UNSUPPORTED_PLATFORM"
+            );
+        }
+
+        const lastCustomerMessage = await Message.findOne({
+            where: {
+                conversation_id: conversation.id,
+                sender_type: "customer",
+            },
+            order: [["message_timestamp", "DESC"]],
+            attributes: ["message_timestamp"],
+        });
+        const window = checkMessagingWindow({
+            platformType,
+            lastCustomerMessageAt: lastCustomerMessage?.message_timestamp,
+            now: this.now(),
+            purpose,
+        });
+        if (!window.allowed) {
+            throw inboxError(
+                "The customer's last message is too old to reply to on this platform",
+                "AGENT_OUTSIDE_MESSAGING_WINDOW"
+            );
+        }
+
+        const message = await this.messageDelivery.queueMessage({
+            conversationId: conversation.id,
+            platformSourceId: conversation.source_id,
+            recipientId: conversation.client.platform_user_id,
+            text,
+            senderType: "agent",
+            metadata: {
+                agent_id: agentId,
+                ...(window.tag && { messaging_tag: window.tag }),
+                ...(payload && { outbound_payload: payload }),
+            },
+        });
+        await conversation.update({
+            message_count: (conversation.message_count || 0) + 1,
+            last_activity: this.now(),
+            assigned_agent_id: conversation.assigned_agent_id || agentId,
+            ...this.takeover(conversation),
+        });
+
+        // A failed first send stays queued for the delivery worker
+        return this.messageDelivery.deliver(
+            message,
+            conversation.platformSource
+        );
+    }
+
+    /**
+     * Changes that pause the bot and restart the idle period
+     * @param {Object} conversation - Conversation
+     * @param {string} reason - Takeover reason, keeps the current one when omitted
+     * @returns {Object} Conversation attributes
+     */
+    takeover(conversation, reason = null) {
+        return {
+            is_bot_active: false,
+            agent_active_at: this.now(),
+            human_takeover_reason:
+                reason || conversation.human_takeover_reason || TAKEOVER_REASON,
+        };
+    }
+
+    /**
+     * @param {Object} business - Business with its bot_resume_minutes
+     * @param {Object} conversation - Conversation
+     * @returns {Object} Conversation with bot_paused and bot_resumes_at
+     */
+    inboxEntry(business, conversation) {
+        const resumeMinutes = resolveBotResumeMinutes(business);
+        return {
+            ...conversation.toJSON(),
+            bot_paused: isBotPaused(conversation, resumeMinutes, this.now()),
+            bot_resumes_at: botResumesAt(conversation, resumeMinutes),
+        };
+    }
+
+    /**
+     * @param {number} businessId - Business ID
+     * @param {number} id - Conversation ID
+     * @param {Array<Object>} include - Associations to load
+     * @returns {Promise<Object>} Conversation
+     */
+    async findConversation(businessId, id, include = []) {
+        const conversation = await Conversation.findOne({
+            where: { id, business_id: businessId },
+            include,
+        });
+        if (!conversation) {
+            throw inboxError(
+                "Conversation not found",
+                "CONVERSATION_NOT_FOUND"
+            );
+        }
+        return conversation;
+    }
+}
+
+function clientInclude() {
+    return {
+        model: Client,
+        as: "client",
+        attributes: [
+            "id",
+            "display_name",
+            "full_name",
+            "platform_type",
+            "platform_user_id",
+        ],
+    };
+}
+
+/**
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with code
+ */
+function inboxError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+AgentInboxService.INBOX_STATUSES = INBOX_STATUSES;
+
+module.exports = AgentInboxService;
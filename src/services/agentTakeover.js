@@ -0,0 +1,79 @@
+"use strict";
+
+/**
+ * Agent takeover rules
+ * While an agent has a conversation (is_bot_active false) the assistant
+ * stores the customer's messages without replying. Once no agent has taken
+ * over, paused the bot or replied for the business's bot_resume_minutes,
+ * the next customer message goes back to the bot. 0 keeps the bot paused
+ * until an agent resumes it
+ */
+
+const DEFAULT_BOT_RESUME_MINUTES = 60;
+const MAX_BOT_RESUME_MINUTES = 7 * 24 * 60;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * @param {Object|null} business - Business with its bot_resume_minutes
+ * @returns {number} Idle minutes before the bot takes a conversation back
+ */
+function resolveBotResumeMinutes(business) {
+    const minutes = business && business.bot_resume_minutes;
+    return Number.isInteger(minutes) ? minutes : DEFAULT_BOT_RESUME_MINUTES;
+}
+
+/**
+ * Validate the idle period sent by the business owner
+ * @param {*} minutes - bot_resume_minutes; null returns to the default
+ * @returns {Array<string>} Validation errors
+ */
+function validateBotResumeMinutes(minutes) {
+    if (minutes === null) return [];
+    if (
+        !Number.isInteger(minutes) ||
+        minutes < 0 ||
+        minutes > MAX_BOT_RESUME_MINUTES
+    ) {
+        return [
+            `bot_resume_minutes must be a whole number from 0 to ${MAX_BOT_RESUME_MINUTES}, or null`,
+        ];
+    }
+    return [];
+}
+
+/**
+ * @param {Object} conversation - Conversation with is_bot_active and agent_active_at
+ * @param {number} resumeMinutes - Resolved idle period
+ * @returns {Date|null} When the bot takes the conversation back; null when
+ *   the bot is active or stays paused until an agent resumes it
+ */
+function botResumesAt(conversation, resumeMinutes) {
+    if (conversation.is_bot_active !== false) return null;
+    if (resumeMinutes === 0 || !conversation.agent_active_at) return null;
+    return new Date(
+        new Date(conversation.agent_active_at).getTime() +
+            resumeMinutes * MINUTE_MS
+    );
+}
+
+/**
+ * @param {Object} conversation - Conversation with is_bot_active and agent_active_at
+ * @param {number} resumeMinutes - Resolved idle period
+ * @param {Date} now - Current time
+ * @returns {boolean} Whether the assistant must stay silent
+ */
+function isBotPaused(conversation, resumeMinutes, now) {
+    if (conversation.is_bot_active !== false) return false;
+    const resumesAt = botResumesAt(conversation, resumeMinutes);
+    return !resumesAt || now < resumesAt;
+}
+
+module.exports = {
+    DEFAULT_BOT_RESUME_MINUTES,
+    MAX_BOT_RESUME_MINUTES,
+    resolveBotResumeMinutes,
+    validateBotResumeMinutes,
+    botResumesAt,
+    isBotPaused,
+};
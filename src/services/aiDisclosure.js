@@ -0,0 +1,274 @@
+"use strict";
+
+/**
+ * AI disclosure policy
+ * Customers are told they are talking to an automated assistant the first
+ * time it replies, get a truthful answer whenever they sincerely ask whether
+ * they are talking to a bot, and can ask for a person at any time. This is
+ * not part of the leakage filtering: saying what the assistant is reveals no
+ * instructions
+ */
+
+const DEFAULT_DISCLOSURE_SETTINGS = {
+    // Prefix the assistant's first reply in a conversation with a disclosure
+    disclose_at_first_contact: true,
+    // Offer a person and hand the conversation over when asked
+    human_handoff: true,
+    // Disclosure text per language code, replacing the built-in one
+    messages: {},
+};
+
+// Built-in texts; {business} is replaced with the company name
+const TEXTS = {
+    en: {
+        disclosure:
+            "Hi! You're chatting with the automated assistant of {business}.",
+        identity:
+            "Yes, I'm an automated assistant of {business}, not a person.",
+        human_option:
+            'Reply "human" at any time to talk to someone from the team.',
+        handoff:
+            "Of course. I've asked someone from the {business} team to take over; they'll reply here as soon as they can.",
+    },
+    es: {
+        disclosure:
+            "¡Hola! Estás hablando con el asistente automático de {business}.",
+        identity:
+            "Sí, soy un asistente automático de {business}, no una persona.",
+        human_option:
+            'Responde "humano" en cualquier momento para hablar con alguien del equipo.',
+        handoff:
+            "Por supuesto. He pedido a alguien del equipo de {business} que continúe la conversación; te responderá aquí lo antes posible.",
+    },
+    pt: {
+        disclosure:
+            "Olá! Você está falando com o assistente automático de {business}.",
+        identity:
+            "Sim, sou um assistente automático de {business}, não uma pessoa.",
+        human_option:
+            'Responda "humano" a qualquer momento para falar com alguém da equipe.',
+        handoff:
+            "Claro. Pedi a alguém da equipe de {business} para continuar a conversa; você receberá uma resposta aqui assim que possível.",
+    },
+    fr: {
+        disclosure:
+            "Bonjour ! Vous échangez avec l'assistant automatique de {business}.",
+        identity:
+            "Oui, je suis un assistant automatique de {business}, pas une personne.",
+        human_option:
+            "Répondez \"humain\" à tout moment pour parler à quelqu'un de l'équipe.",
+        handoff:
+            "Bien sûr. J'ai demandé à quelqu'un de l'équipe {business} de prendre le relais ; vous aurez une réponse ici dès que possible.",
+    },
+    de: {
+        disclosure:
+            "Hallo! Sie schreiben mit dem automatischen Assistenten von {business}.",
+        identity:
+            "Ja, ich bin ein automatischer Assistent von {business}, kein Mensch.",
+        human_option:
+            'Antworten Sie jederzeit mit "Mensch", um mit jemandem aus dem Team zu sprechen.',
+        handoff:
+            "Gerne. Ich habe jemanden aus dem Team von {business} gebeten, zu übernehmen; Sie erhalten hier so bald wie möglich eine Antwort.",
+    },
+    it: {
+        disclosure:
+            "Ciao! Stai parlando con l'assistente automatico di {business}.",
+        identity:
+            "Sì, sono un assistente automatico di {business}, non una persona.",
+        human_option:
+            'Rispondi "umano" in qualsiasi momento per parlare con qualcuno del team.',
+        handoff:
+            "Certo. Ho chiesto a qualcuno del team di {business} di continuare la conversazione; ti risponderà qui il prima possibile.",
+    },
+};
+
+// Sincere questions about who is replying, e.g. "are you a bot?",
+// "am I talking to a real person?", "¿eres humano?"
+const IDENTITY_QUESTION_PATTERNS = [
+    /\b(?:are|r)\s+(?:you|u)\s+(?:an?\s+)?(?:real\s+)?(?:bot|robot|chat\s?bot|ai|a\.i\.|machine|computer|human|person|automated)\b/i,
+    /\b(?:am\s+i|i'?m)\s+(?:talking|chatting|speaking|writing)\s+(?:to|with)\s+(?:an?\s+)?(?:real\s+)?(?:bot|robot|chat\s?bot|ai|a\.i\.|machine|computer|human|person)\b/i,
+    /\bis\s+(?:this|that)\s+(?:an?\s+)?(?:bot|robot|chat\s?bot|ai|automated|real\s+person|human|machine)\b/i,
+    /\b(?:eres|es\s+usted)\s+(?:un\s+|una\s+)?(?:bot|robot|chatbot|ia|humano|humana|persona(?:\s+real)?|m[aá]quina)\b/i,
+    /\b(?:hablo|estoy\s+hablando|chateo)\s+con\s+(?:un\s+|una\s+)?(?:bot|robot|chatbot|ia|humano|persona|m[aá]quina)\b/i,
+    /\bvoc[eê]\s+[eé]\s+(?:um\s+|uma\s+)?(?:bot|rob[oô]|chatbot|ia|humano|humana|pessoa)(?!\w)/i,
+    /\b(?:falo|estou\s+falando)\s+com\s+(?:um\s+|uma\s+)?(?:bot|rob[oô]|chatbot|ia|humano|pessoa)(?!\w)/i,
+    /(?<!\w)(?:es-tu|tu\s+es|[eê]tes-vous|vous\s+[eê]tes)\s+(?:un\s+|une\s+)?(?:bot|robot|chatbot|ia|humain|humaine|personne)\b/i,
+    /\bje\s+parle\s+(?:à|a|avec)\s+(?:un\s+|une\s+)?(?:bot|robot|chatbot|ia|humain|personne)\b/i,
+    /\b(?:bist\s+du|sind\s+sie)\s+(?:ein\s+|eine\s+)?(?:bot|roboter|chatbot|ki|mensch)\b/i,
+    /\b(?:schreibe|spreche)\s+ich\s+mit\s+(?:einem\s+|einer\s+)?(?:bot|roboter|chatbot|ki|menschen|person)\b/i,
+    /\bsei\s+(?:un\s+|una\s+)?(?:bot|robot|chatbot|ia|umano|umana|persona)\b/i,
+    /\bsto\s+(?:parlando|scrivendo)\s+con\s+(?:un\s+|una\s+)?(?:bot|robot|chatbot|ia|umano|persona)\b/i,
+];
+
+// Requests to continue with a person
+const HUMAN_REQUEST_PATTERNS = [
+    /^\W*(?:human|humano|humain|mensch|umano|agent|agente|operator|operatore)\W*$/i,
+    /\b(?:talk|speak|chat)\s+(?:to|with)\s+(?:an?\s+)?(?:real\s+)?(?:human|person|agent|someone|somebody|representative|operator)\b/i,
+    /\bhablar\s+con\s+(?:un\s+|una\s+)?(?:humano|persona|agente|alguien)\b/i,
+    /\bfalar\s+com\s+(?:um\s+|uma\s+)?(?:humano|pessoa|atendente|algu[eé]m)\b/i,
+    /\bparler\s+(?:à|a|avec)\s+(?:quelqu'un|(?:un\s+|une\s+)?(?:humain|personne|conseiller|agent)\b)/i,
+    /\bmit\s+(?:einem\s+|einer\s+)?(?:menschen|person|mitarbeiter(?:in)?)\s+sprechen\b/i,
+    /\bparlare\s+con\s+(?:qualcuno|(?:un\s+|una\s+)?(?:umano|persona|operatore)\b)/i,
+];
+
+/**
+ * Apply the defaults to a business's stored policy
+ * @param {Object|null} settings - Business ai_disclosure setting
+ * @returns {Object} Effective policy
+ */
+function resolveDisclosurePolicy(settings) {
+    return {
+        ...DEFAULT_DISCLOSURE_SETTINGS,
+        ...(settings || {}),
+        messages: { ...((settings && settings.messages) || {}) },
+    };
+}
+
+/**
+ * Validate a policy sent by the business owner
+ * @param {Object} settings - Policy to store
+ * @returns {Array<string>} Validation errors
+ */
+function validateDisclosureSettings(settings) {
+    const errors = [];
+    if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+        return ["Disclosure settings must be an object"];
+    }
+
+    const allowed = Object.keys(DEFAULT_DISCLOSURE_SETTINGS);
+    Object.keys(settings).forEach((key) => {
+        if (!allowed.includes(key)) {
+            errors.push(`Unknown setting: ${key}`);
+        }
+    });
+
+    ["disclose_at_first_contact", "human_handoff"].forEach((key) => {
+        if (key in settings && typeof settings[key] !== "boolean") {
+            errors.push(`${key} must be a boolean`);
+        }
+    });
+
+    if ("messages" in settings) {
+        const { messages } = settings;
+        if (
+            !messages ||
+            typeof messages !== "object" ||
+            Array.isArray(messages)
+        ) {
+            errors.push("messages must map language codes to text");
+        } else {
+            Object.entries(messages).forEach(([language, text]) => {
+                if (!/^[a-z]{2}(?:-[A-Za-z]{2})?$/.test(language)) {
+                    errors.push(`Invalid language code: ${language}`);
+                }
+                if (
+                    typeof text !== "string" ||
+                    text.trim().length === 0 ||
+                    text.length > 500
+                ) {
+                    errors.push(
+                        `Message for ${language} must be 1-500 characters`
+                    );
+                }
+            });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * @param {string} message - Customer message
+ * @returns {boolean} Whether the customer asks if they are talking to a bot
+ */
+function isIdentityQuestion(message) {
+    const text = message || "";
+    return IDENTITY_QUESTION_PATTERNS.some((pattern) => pattern.test(text));
+}
+
+/**
+ * @param {string} message - Customer message
+ * @returns {boolean} Whether the customer asks for a person
+ */
+function isHumanRequest(message) {
+    const text = message || "";
+    return HUMAN_REQUEST_PATTERNS.some((pattern) => pattern.test(text));
+}
+
+/**
+ * @param {Array<Object>} history - Conversation history, oldest first
+ * @returns {boolean} Whether the assistant has replied before
+ */
+function hasAssistantReplied(history) {
+    return (history || []).some((message) => message.senderType === "bot");
+}
+
+/**
+ * Disclosure shown with the assistant's first reply
+ * @param {Object} policy - Effective policy
+ * @param {string} language - Language code of the conversation
+ * @param {string} businessName - Company name
+ * @returns {string} Disclosure text
+ */
+function buildDisclosure(policy, language, businessName) {
+    const custom =
+        policy.messages[language] || policy.messages[baseLanguage(language)];
+    if (custom) return custom;
+
+    const texts = textsFor(language);
+    return withHumanOption(policy, texts, texts.disclosure, businessName);
+}
+
+/**
+ * Truthful answer to "are you a bot?"
+ * @param {Object} policy - Effective policy
+ * @param {string} language - Language code of the conversation
+ * @param {string} businessName - Company name
+ * @returns {string} Answer
+ */
+function buildIdentityAnswer(policy, language, businessName) {
+    const texts = textsFor(language);
+    return withHumanOption(policy, texts, texts.identity, businessName);
+}
+
+/**
+ * Reply confirming a person will take over
+ * @param {string} language - Language code of the conversation
+ * @param {string} businessName - Company name
+ * @returns {string} Reply
+ */
+function buildHandoffReply(language, businessName) {
+    return fill(textsFor(language).handoff, businessName);
+}
+
+function withHumanOption(policy, texts, text, businessName) {
+    const parts = policy.human_handoff ? [text, texts.human_option] : [text];
+    return fill(parts.join(" "), businessName);
+}
+
+function textsFor(language) {
+    return TEXTS[baseLanguage(language)] || TEXTS.en;
+}
+
+function baseLanguage(language) {
+    return String(language || "en")
+        .toLowerCase()
+        .split("-")[0];
+}
+
+function fill(text, businessName) {
+    return text.replace(/\{business\}/g, businessName || "our team");
+}
+
+module.exports = {
+    DEFAULT_DISCLOSURE_SETTINGS,
+    SUPPORTED_DISCLOSURE_LANGUAGES: Object.keys(TEXTS),
+    resolveDisclosurePolicy,
+    validateDisclosureSettings,
+    isIdentityQuestion,
+    isHumanRequest,
+    hasAssistantReplied,
+    buildDisclosure,
+    buildIdentityAnswer,
+    buildHandoffReply,
+};
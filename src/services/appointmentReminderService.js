@@ -0,0 +1,648 @@
+"use strict";
+
+const { Op } = require("sequelize");
+const {
+    Appointment,
+    AppointmentReminder,
+    Business,
+    Client,
+    Conversation,
+    Message,
+    PlatformSource,
+} = require("../models");
+const MessageDeliveryService = require("./messageDeliveryService");
+const { resolveCalendarSettings } = require("./appointments/availability");
+const { toLocal } = require("./appointments/timezone");
+const { checkMessagingWindow } = require("./messagingWindow");
+const { createChildLogger } = require("../config/logger");
+
+const logger = createChildLogger("appointment-reminders");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Platforms the Send API, WhatsApp Cloud API, Telegram Bot API or SMTP reaches
+const DELIVERABLE_PLATFORMS = [
+    "instagram",
+    "facebook",
+    "whatsapp",
+    "telegram",
+    "email",
+];
+
+// Appointments that went ahead get a follow-up
+const FOLLOW_UP_STATUSES = ["confirmed", "completed"];
+
+// Longest follow_up_delay; older appointments have nothing left to send
+const MAX_FOLLOW_UP_HOURS = 168;
+
+const BUSINESS_ATTRIBUTES = [
+    "id",
+    "company_name",
+    "timezone",
+    "calendar_settings",
+];
+
+/**
+ * Appointment Reminder Service
+ * Keeps one job row per reminder (calendar reminder_times before a
+ * confirmed appointment) and follow-up (follow_up_delay after it), and runs
+ * a polling worker that sends due jobs as messages on the client's
+ * conversation. Jobs are claimed with a conditional update, so any number
+ * of instances can poll; each job is checked again when due, so cancelled
+ * or moved appointments and closed messaging windows are skipped with a
+ * reason
+ * Follows Single Responsibility Principle - only handles appointment reminders
+ */
+class AppointmentReminderService {
+    /**
+     * @param {Object} options - Worker options
+     * @param {Object} options.messageDelivery - MessageDeliveryService instance
+     * @param {Function} options.now - Clock, for tests
+     * @param {number} options.maxAttempts - Attempts before a job is failed
+     * @param {number} options.baseDelayMs - First retry delay
+     * @param {number} options.maxDelayMs - Retry delay cap
+     * @param {number} options.pollIntervalMs - Worker polling interval
+     * @param {number} options.lockTimeoutMs - Age after which a claimed job is released
+     * @param {number} options.batchSize - Jobs claimed per poll
+     */
+    constructor(options = {}) {
+        this.messageDelivery =
+            options.messageDelivery || new MessageDeliveryService();
+        this.now = options.now || (() => new Date());
+        this.maxAttempts = options.maxAttempts || 3;
+        this.baseDelayMs = options.baseDelayMs || 60 * 1000; // 1 minute
+        this.maxDelayMs = options.maxDelayMs || 30 * 60 * 1000; // 30 minutes
+        this.pollIntervalMs = options.pollIntervalMs || 30 * 1000; // 30 seconds
+        this.lockTimeoutMs = options.lockTimeoutMs || 5 * 60 * 1000; // 5 minutes
+        this.batchSize = options.batchSize || 20;
+
+        this.timer = null;
+        this.isProcessing = false;
+    }
+
+    /**
+     * Sends an appointment should get under the calendar settings
+     * @param {Object} appointment - Appointment
+     * @param {Object} settings - Resolved calendar settings
+     * @returns {Array<Object>} { kind, offset_hours, send_at }
+     */
+    plan(appointment, settings) {
+        const jobs = [];
+
+        if (appointment.status === "confirmed" && settings.send_reminders) {
+            const start = new Date(appointment.start_time).getTime();
+            for (const hours of new Set(settings.reminder_times || [])) {
+                jobs.push({
+                    kind: "reminder",
+                    offset_hours: hours,
+                    send_at: new Date(start - hours * HOUR_MS),
+                });
+            }
+        }
+
+        if (
+            FOLLOW_UP_STATUSES.includes(appointment.status) &&
+            settings.send_follow_up
+        ) {
+            const end = new Date(appointment.end_time).getTime();
+            jobs.push({
+                kind: "follow_up",
+                offset_hours: settings.follow_up_delay,
+                send_at: new Date(end + settings.follow_up_delay * HOUR_MS),
+            });
+        }
+
+        return jobs;
+    }
+
+    /**
+     * Bring an appointment's pending jobs in line with its status, times and
+     * the calendar settings: unplanned jobs are skipped, planned ones that
+     * are still ahead are created. Safe to run twice; never throws, so it
+     * cannot fail the booking change that called it
+     * @param {Object} appointment - Appointment after the change
+     * @param {Object} business - Its business, loaded when omitted
+     */
+    async sync(appointment, business = null) {
+        try {
+            const owner =
+                business ||
+                (await Business.findByPk(appointment.business_id, {
+                    attributes: BUSINESS_ATTRIBUTES,
+                }));
+            const planned = this.plan(
+                appointment,
+                resolveCalendarSettings(owner)
+            );
+            const now = this.now();
+
+            const pending = await AppointmentReminder.findAll({
+                where: { appointment_id: appointment.id, status: "pending" },
+            });
+            const outdated = pending.filter(
+                (job) => !planned.some((plan) => sameJob(plan, job))
+            );
+            if (outdated.length > 0) {
+                await AppointmentReminder.update(
+                    {
+                        status: "skipped",
+                        skip_reason:
+                            appointment.status === "cancelled"
+                                ? "appointment_cancelled"
+                                : "outdated",
+                        processed_at: now,
+                    },
+                    {
+                        where: {
+                            id: { [Op.in]: outdated.map((job) => job.id) },
+                            status: "pending",
+                        },
+                    }
+                );
+            }
+
+            const upcoming = planned.filter((plan) => plan.send_at > now);
+            if (upcoming.length === 0) return;
+
+            // A move back to an earlier time brings its skipped jobs back
+            await AppointmentReminder.update(
+                { status: "pending", skip_reason: null, processed_at: null },
+                {
+                    where: {
+                        appointment_id: appointment.id,
+                        status: "skipped",
+                        [Op.or]: upcoming,
+                    },
+                }
+            );
+            await AppointmentReminder.bulkCreate(
+                upcoming.map((plan) => ({
+                    ...plan,
+                    business_id: appointment.business_id,
+                    appointment_id: appointment.id,
+                })),
+                { ignoreDuplicates: true }
+            );
+        } catch (error) {
+            logger.error("Failed to schedule appointment reminders", {
+                appointmentId: appointment.id,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * Re-plan the jobs of a business's current appointments, e.g. after its
+     * reminder settings changed
+     * @param {Object} business - Business with its new calendar settings
+     * @returns {Promise<number>} Appointments synced
+     */
+    async syncBusiness(business) {
+        try {
+            const appointments = await Appointment.findAll({
+                where: {
+                    business_id: business.id,
+                    status: { [Op.in]: FOLLOW_UP_STATUSES },
+                    end_time: {
+                        [Op.gte]: new Date(
+                            this.now().getTime() - MAX_FOLLOW_UP_HOURS * HOUR_MS
+                        ),
+                    },
+                },
+            });
+            for (const appointment of appointments) {
+                await this.sync(appointment, business);
+            }
+            return appointments.length;
+        } catch (error) {
+            logger.error("Failed to reschedule business reminders", {
+                businessId: business.id,
+                error: error.message,
+            });
+            return 0;
+        }
+    }
+
+    /**
+     * Delay before the next attempt, doubling after each failure
+     * @param {number} attempts - Attempts made so far
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(attempts) {
+        const delay = this.baseDelayMs * Math.pow(2, Math.max(attempts - 1, 0));
+        return Math.min(delay, this.maxDelayMs);
+    }
+
+    /**
+     * Return jobs whose worker died mid-send to the queue
+     * @returns {Promise<number>} Released jobs
+     */
+    async releaseStaleLocks() {
+        const [released] = await AppointmentReminder.update(
+            { status: "pending", locked_at: null },
+            {
+                where: {
+                    status: "processing",
+                    locked_at: {
+                        [Op.lt]: new Date(
+                            this.now().getTime() - this.lockTimeoutMs
+                        ),
+                    },
+                },
+            }
+        );
+
+        if (released > 0) {
+            logger.warn("Released stale reminder locks", { released });
+        }
+        return released;
+    }
+
+    /**
+     * Claim a job for this worker
+     * The conditional update makes the claim atomic across processes
+     * @param {Object} job - Pending job
+     * @returns {Promise<boolean>} Whether the claim succeeded
+     */
+    async claim(job) {
+        const [claimed] = await AppointmentReminder.update(
+            {
+                status: "processing",
+                locked_at: this.now(),
+                attempts: job.attempts + 1,
+            },
+            { where: { id: job.id, status: "pending" } }
+        );
+
+        if (claimed === 1) {
+            job.status = "processing";
+            job.attempts += 1;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Send or skip a claimed job and record the outcome
+     * @param {Object} job - Claimed job
+     */
+    async processJob(job) {
+        try {
+            const { skipReason } = await this.deliverJob(job);
+
+            await job.update({
+                status: skipReason ? "skipped" : "sent",
+                skip_reason: skipReason || null,
+                locked_at: null,
+                last_error: null,
+                processed_at: this.now(),
+            });
+            logger.info(
+                skipReason
+                    ? "Appointment reminder skipped"
+                    : "Appointment reminder sent",
+                {
+                    reminderId: job.id,
+                    appointmentId: job.appointment_id,
+                    kind: job.kind,
+                    skipReason,
+                }
+            );
+        } catch (error) {
+            await this.recordFailure(job, error);
+        }
+    }
+
+    /**
+     * Queue the job's message on the client's conversation, unless it no
+     * longer applies or the platform would refuse it
+     * @param {Object} job - Claimed job
+     * @returns {Promise<Object>} { skipReason } when nothing was sent
+     */
+    async deliverJob(job) {
+        // Queued by an attempt that failed afterwards; the delivery worker has it
+        if (job.message_id) return {};
+
+        const appointment = await Appointment.findByPk(job.appointment_id, {
+            include: [
+                { model: Client, as: "client" },
+                {
+                    model: Business,
+                    as: "business",
+                    attributes: BUSINESS_ATTRIBUTES,
+                },
+            ],
+        });
+        if (!appointment) return { skipReason: "appointment_deleted" };
+
+        const skipReason = this.skipReason(
+            job,
+            appointment,
+            resolveCalendarSettings(appointment.business)
+        );
+        if (skipReason) return { skipReason };
+
+        const conversation = await this.findConversation(appointment);
+        if (!conversation || !conversation.platformSource) {
+            return { skipReason: "no_conversation" };
+        }
+        const platformType = conversation.platformSource.platform_type;
+        if (!DELIVERABLE_PLATFORMS.includes(platformType)) {
+            return { skipReason: "unsupported_platform" };
+        }
+
+        const lastCustomerMessage = await Message.findOne({
+            where: { conversation_id: conversation.id, sender_type: "customer" },
+            order: [["message_timestamp", "DESC"]],
+            attributes: ["message_timestamp"],
+        });
+        const window = checkMessagingWindow({
+            platformType,
+            lastCustomerMessageAt: lastCustomerMessage?.message_timestamp,
+            now: this.now(),
+            purpose: job.kind === "reminder" ? "event_update" : "message",
+        });
+        if (!window.allowed) return { skipReason: "outside_messaging_window" };
+
+        const message = await this.messageDelivery.queueMessage({
+            conversationId: conversation.id,
+            platformSourceId: conversation.source_id,
+            recipientId: appointment.client.platform_user_id,
+            text: composeText(job, appointment),
+            senderType: "system",
+            metadata: {
+                appointment_id: appointment.id,
+                appointment_reminder_id: job.id,
+                kind: job.kind,
+                ...(window.tag && { messaging_tag: window.tag }),
+            },
+        });
+        await job.update({ message_id: message.id });
+        await conversation.update({
+            message_count: (conversation.message_count || 0) + 1,
+            last_activity: this.now(),
+        });
+
+        // A failed first send stays queued for the delivery worker
+        await this.messageDelivery.deliver(
+            message,
+            conversation.platformSource
+        );
+        return {};
+    }
+
+    /**
+     * Why a due job should not be sent
+     * @param {Object} job - Job
+     * @param {Object} appointment - Its appointment as it is now
+     * @param {Object} settings - Resolved calendar settings
+     * @returns {string|null} Skip reason, null to send
+     */
+    skipReason(job, appointment, settings) {
+        if (appointment.status === "cancelled") return "appointment_cancelled";
+
+        if (job.kind === "follow_up") {
+            if (!FOLLOW_UP_STATUSES.includes(appointment.status)) {
+                return "not_attended";
+            }
+            return settings.send_follow_up ? null : "follow_up_disabled";
+        }
+
+        if (appointment.status !== "confirmed") return "not_confirmed";
+        if (!settings.send_reminders) return "reminders_disabled";
+
+        const start = new Date(appointment.start_time).getTime();
+        if (
+            !(settings.reminder_times || []).includes(job.offset_hours) ||
+            start - job.offset_hours * HOUR_MS !==
+                new Date(job.send_at).getTime()
+        ) {
+            return "outdated";
+        }
+        return this.now().getTime() >= start ? "appointment_started" : null;
+    }
+
+    /**
+     * The conversation the booking came from, else the client's latest one
+     * @param {Object} appointment - Appointment
+     * @returns {Promise<Object|null>} Conversation with its platform source
+     */
+    async findConversation(appointment) {
+        const include = [{ model: PlatformSource, as: "platformSource" }];
+
+        if (appointment.conversation_id) {
+            const conversation = await Conversation.findOne({
+                where: {
+                    id: appointment.conversation_id,
+                    business_id: appointment.business_id,
+                },
+                include,
+            });
+            if (conversation) return conversation;
+        }
+
+        return Conversation.findOne({
+            where: {
+                business_id: appointment.business_id,
+                client_id: appointment.client_id,
+            },
+            include,
+            order: [["last_activity", "DESC"]],
+        });
+    }
+
+    /**
+     * Schedule a retry or fail a job that could not be processed
+     * @param {Object} job - Failed job
+     * @param {Error} error - Failure
+     */
+    async recordFailure(job, error) {
+        if (job.attempts >= this.maxAttempts) {
+            logger.error("Appointment reminder failed", {
+                reminderId: job.id,
+                attempts: job.attempts,
+                error: error.message,
+            });
+
+            await job.update({
+                status: "failed",
+                locked_at: null,
+                last_error: error.message,
+                processed_at: this.now(),
+            });
+            return;
+        }
+
+        const delay = this.getRetryDelay(job.attempts);
+        logger.warn("Appointment reminder failed, scheduling retry", {
+            reminderId: job.id,
+            attempts: job.attempts,
+            retryInMs: delay,
+            error: error.message,
+        });
+
+        await job.update({
+            status: "pending",
+            locked_at: null,
+            last_error: error.message,
+            next_attempt_at: new Date(this.now().getTime() + delay),
+        });
+    }
+
+    /**
+     * Claim and process every job that is due
+     * @returns {Promise<number>} Jobs processed
+     */
+    async processDue() {
+        if (this.isProcessing) return 0;
+        this.isProcessing = true;
+
+        let processed = 0;
+        try {
+            await this.releaseStaleLocks();
+
+            const now = this.now();
+            const dueJobs = await AppointmentReminder.findAll({
+                where: {
+                    status: "pending",
+                    send_at: { [Op.lte]: now },
+                    [Op.or]: [
+                        { next_attempt_at: null },
+                        { next_attempt_at: { [Op.lte]: now } },
+                    ],
+                },
+                order: [["send_at", "ASC"]],
+                limit: this.batchSize,
+            });
+
+            for (const job of dueJobs) {
+                if (!(await this.claim(job))) continue;
+                await this.processJob(job);
+                processed++;
+            }
+        } catch (error) {
+            logger.error("Appointment reminder poll failed", {
+                error: error.message,
+            });
+        } finally {
+            this.isProcessing = false;
+        }
+
+        return processed;
+    }
+
+    /**
+     * List a business's jobs for inspection, soonest send first
+     * @param {number} businessId - Business ID
+     * @param {Object} filters - { status, appointmentId, limit }
+     * @returns {Promise<Array>} Jobs with the delivery status of their message
+     */
+    async list(businessId, { status, appointmentId, limit = 50 } = {}) {
+        const where = { business_id: businessId };
+        if (status) where.status = status;
+        if (appointmentId) where.appointment_id = appointmentId;
+
+        return AppointmentReminder.findAll({
+            where,
+            include: [
+                {
+                    model: Message,
+                    as: "message",
+                    attributes: [
+                        "id",
+                        "delivery_status",
+                        "sent_at",
+                        "last_delivery_error",
+                    ],
+                },
+            ],
+            order: [["send_at", "ASC"]],
+            limit: Math.min(parseInt(limit, 10) || 50, 200),
+        });
+    }
+
+    /**
+     * Count a business's jobs per status
+     * @param {number} businessId - Business ID
+     * @returns {Promise<Object>} { pending, processing, sent, skipped, failed }
+     */
+    async getStats(businessId) {
+        const rows = await AppointmentReminder.count({
+            where: { business_id: businessId },
+            group: ["status"],
+        });
+        const stats = {
+            pending: 0,
+            processing: 0,
+            sent: 0,
+            skipped: 0,
+            failed: 0,
+        };
+
+        rows.forEach((row) => {
+            stats[row.status] = row.count;
+        });
+        return stats;
+    }
+
+    /**
+     * Start the polling worker
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.processDue(), this.pollIntervalMs);
+        // Do not keep the process alive just for polling
+        if (this.timer.unref) this.timer.unref();
+        logger.info("Appointment reminder worker started", {
+            pollIntervalMs: this.pollIntervalMs,
+        });
+    }
+
+    /**
+     * Stop the polling worker
+     */
+    stop() {
+        if (!this.timer) return;
+
+        clearInterval(this.timer);
+        this.timer = null;
+        logger.info("Appointment reminder worker stopped");
+    }
+}
+
+/**
+ * @param {Object} plan - Planned send
+ * @param {Object} job - Stored job
+ * @returns {boolean} Whether the job is that send
+ */
+function sameJob(plan, job) {
+    return (
+        plan.kind === job.kind &&
+        plan.offset_hours === job.offset_hours &&
+        plan.send_at.getTime() === new Date(job.send_at).getTime()
+    );
+}
+
+/**
+ * @param {Object} job - Job
+ * @param {Object} appointment - Appointment with its business
+ * @returns {string} Message text
+ */
+function composeText(job, appointment) {
+    const name = appointment.business?.company_name || "us";
+
+    if (job.kind === "follow_up") {
+        return `Thank you for visiting ${name}! We hope your appointment went well. Reply here if you would like to book again.`;
+    }
+
+    const local = toLocal(
+        new Date(appointment.start_time),
+        appointment.timezone
+    );
+    const weekday =
+        local.weekday.charAt(0).toUpperCase() + local.weekday.slice(1);
+    return `Reminder: your appointment with ${name} is on ${weekday} ${local.date} at ${local.time} (${appointment.timezone}). Reply here if you need to change it.`;
+}
+
+module.exports = AppointmentReminderService;
@@ -0,0 +1,727 @@
+"use strict";
+
+const { Op } = require("sequelize");
+const {
+    sequelize,
+    Appointment,
+    Business,
+    Client,
+    Conversation,
+    Service,
+} = require("../models");
+const AppointmentReminderService = require("./appointmentReminderService");
+const LeadService = require("./leadService");
+const { createChildLogger } = require("../config/logger");
+const {
+    resolveCalendarSettings,
+    computeSlots,
+    unavailableReason,
+} = require("./appointments/availability");
+const {
+    isValidDate,
+    toLocal,
+    zonedTimeToUtc,
+    addDays,
+} = require("./appointments/timezone");
+const { resolveBusinessHours } = require("./businessHours");
+const { resolveFunnel, outcomeState } = require("./funnelDefinition");
+
+const logger = createChildLogger("appointments");
+
+const MINUTE_MS = 60 * 1000;
+const MAX_RANGE_DAYS = 31;
+const DEFAULT_RANGE_DAYS = 7;
+
+// Appointments that hold their slot
+const ACTIVE_STATUSES = ["pending", "confirmed"];
+
+// Statuses staff set once an appointment has taken place
+const OUTCOME_STATUSES = ["completed", "no_show"];
+
+/**
+ * Appointment Service
+ * Computes open slots from calendar_settings, business_hours and service
+ * durations, and books, confirms, reschedules and cancels appointments.
+ * Slot checks and writes run in a transaction holding a lock on the
+ * business row, so two bookings cannot take the same slot. Every change
+ * re-plans the appointment's reminders
+ * Follows Single Responsibility Principle - only handles appointment booking
+ */
+class AppointmentService {
+    /**
+     * @param {Object} options - Options
+     * @param {Function} options.now - Clock, for tests
+     * @param {Object} options.reminders - AppointmentReminderService instance
+     * @param {Object} options.leads - LeadService instance
+     */
+    constructor(options = {}) {
+        this.now = options.now || (() => new Date());
+        this.reminders =
+            options.reminders ||
+            new AppointmentReminderService({ now: this.now });
+        this.leads = options.leads || new LeadService({ now: this.now });
+    }
+
+    /**
+     * Open slots between two local dates
+     * @param {Object} params - Parameters
+     * @param {Object} params.business - Business
+     * @param {string} params.from - First date, YYYY-MM-DD; defaults to today
+     * @param {string} params.to - Last date, YYYY-MM-DD; defaults to a week
+     * @param {number} params.serviceId - Service whose duration to use
+     * @returns {Promise<Object>} { timezone, from, to, duration_minutes, slots }
+     */
+    async getAvailability({ business, from, to, serviceId }) {
+        const settings = resolveCalendarSettings(business);
+        const now = this.now();
+
+        const firstDate = from || toLocal(now, settings.timezone).date;
+        const lastDate = to || addDays(firstDate, DEFAULT_RANGE_DAYS - 1);
+        if (!isValidDate(firstDate) || !isValidDate(lastDate)) {
+            throw appointmentError(
+                "Dates must be valid and in YYYY-MM-DD format",
+                "VALIDATION_ERROR"
+            );
+        }
+        if (lastDate < firstDate) {
+            throw appointmentError(
+                "to must not be before from",
+                "VALIDATION_ERROR"
+            );
+        }
+        if (lastDate > addDays(firstDate, MAX_RANGE_DAYS - 1)) {
+            throw appointmentError(
+                `Availability covers at most ${MAX_RANGE_DAYS} days`,
+                "VALIDATION_ERROR"
+            );
+        }
+
+        const service = serviceId
+            ? await this.findService(business.id, serviceId)
+            : null;
+        const durationMinutes = this.durationFor(settings, service);
+
+        const rangeStart = zonedTimeToUtc(firstDate, 0, settings.timezone);
+        const rangeEnd = zonedTimeToUtc(
+            addDays(lastDate, 1),
+            0,
+            settings.timezone
+        );
+        const bookings = await this.findBookings(
+            business.id,
+            rangeStart,
+            rangeEnd,
+            settings
+        );
+
+        return {
+            timezone: settings.timezone,
+            from: firstDate,
+            to: lastDate,
+            duration_minutes: durationMinutes,
+            slots: computeSlots({
+                from: firstDate,
+                to: lastDate,
+                settings,
+                businessHours: resolveBusinessHours(business),
+                durationMinutes,
+                bookings,
+                now,
+            }),
+        };
+    }
+
+    /**
+     * Appointments of a business, soonest first
+     * @param {number} businessId - Business ID
+     * @param {Object} filters - { from, to, status, clientId, conversationId, page, limit }
+     * @returns {Promise<Object>} { appointments, total }
+     */
+    async list(businessId, filters = {}) {
+        const where = { business_id: businessId };
+        if (filters.status) where.status = filters.status;
+        if (filters.clientId) where.client_id = filters.clientId;
+        if (filters.conversationId) {
+            where.conversation_id = filters.conversationId;
+        }
+        if (filters.from || filters.to) {
+            where.start_time = {};
+            if (filters.from) where.start_time[Op.gte] = filters.from;
+            if (filters.to) where.start_time[Op.lt] = filters.to;
+        }
+
+        const page = filters.page || 1;
+        const limit = filters.limit || 20;
+        const { rows, count } = await Appointment.findAndCountAll({
+            where,
+            include: this.includes(),
+            order: [["start_time", "ASC"]],
+            limit,
+            offset: (page - 1) * limit,
+        });
+
+        return { appointments: rows, total: count };
+    }
+
+    /**
+     * @param {number} businessId - Business ID
+     * @param {number} id - Appointment ID
+     * @returns {Promise<Object>} Appointment with client and service
+     */
+    async find(businessId, id) {
+        const appointment = await Appointment.findOne({
+            where: { id, business_id: businessId },
+            include: this.includes(),
+        });
+        if (!appointment) {
+            throw appointmentError(
+                "Appointment not found",
+                "APPOINTMENT_NOT_FOUND"
+            );
+        }
+        return appointment;
+    }
+
+    /**
+     * Book an appointment. Bookings by the bot must also respect the
+     * advance booking window and need booking to be enabled; staff may book
+     * any free time within working hours
+     * @param {Object} business - Business
+     * @param {Object} data - { client_id, conversation_id, service_id, start_time, duration_minutes, notes }
+     * @param {Object} options - { source: "staff" | "bot", signal: AbortSignal
+     *   that rolls the booking back when aborted before it is written }
+     * @returns {Promise<Object>} Created appointment
+     */
+    async create(business, data, options = {}) {
+        const booking = await this.prepareBooking(business, data, options);
+        const { settings, service, source, start, durationMinutes } = booking;
+
+        const client = await Client.findOne({
+            where: { id: data.client_id, business_id: business.id },
+        });
+        if (!client) {
+            throw appointmentError("Client not found", "CLIENT_NOT_FOUND");
+        }
+
+        if (data.conversation_id) {
+            const conversation = await Conversation.findOne({
+                where: { id: data.conversation_id, business_id: business.id },
+            });
+            if (!conversation) {
+                throw appointmentError(
+                    "Conversation not found",
+                    "CONVERSATION_NOT_FOUND"
+                );
+            }
+            if (conversation.client_id !== client.id) {
+                throw appointmentError(
+                    "Conversation belongs to another client",
+                    "VALIDATION_ERROR"
+                );
+            }
+        }
+
+        const appointment = await sequelize.transaction(async (transaction) => {
+            await this.lockCalendar(business.id, transaction);
+            await this.assertBookable({
+                business,
+                settings,
+                start,
+                durationMinutes,
+                enforceAdvance: source === "bot",
+                transaction,
+            });
+            // The caller gave up while the calendar was locked or checked
+            options.signal?.throwIfAborted();
+
+            const confirmed = !!settings.auto_confirm;
+            return Appointment.create(
+                {
+                    business_id: business.id,
+                    client_id: client.id,
+                    conversation_id: data.conversation_id || null,
+                    service_id: service ? service.id : null,
+                    start_time: start,
+                    end_time: booking.end,
+                    duration_minutes: durationMinutes,
+                    timezone: settings.timezone,
+                    status: confirmed ? "confirmed" : "pending",
+                    confirmed_at: confirmed ? this.now() : null,
+                    source,
+                    notes: data.notes || null,
+                },
+                { transaction }
+            );
+        });
+
+        logger.info("Appointment booked", {
+            businessId: business.id,
+            appointmentId: appointment.id,
+            status: appointment.status,
+            source,
+        });
+
+        if (appointment.status === "confirmed") {
+            await this.markConverted(appointment);
+        }
+        await this.reminders.sync(appointment, business);
+        return appointment;
+    }
+
+    /**
+     * Check a booking without making it, as create or reschedule would for
+     * the same arguments apart from the client
+     * @param {Object} business - Business
+     * @param {Object} data - { service_id, start_time, duration_minutes }
+     * @param {Object} options - { source: "staff" | "bot", excludeId: appointment being moved }
+     * @returns {Promise<Object>} { start_time, end_time, duration_minutes, timezone, status }
+     */
+    async check(business, data, options = {}) {
+        const booking = await this.prepareBooking(business, data, options);
+        await this.assertBookable({
+            business,
+            settings: booking.settings,
+            start: booking.start,
+            durationMinutes: booking.durationMinutes,
+            enforceAdvance: booking.source === "bot",
+            excludeId: options.excludeId,
+        });
+
+        return {
+            start_time: booking.start,
+            end_time: booking.end,
+            duration_minutes: booking.durationMinutes,
+            timezone: booking.settings.timezone,
+            status: booking.settings.auto_confirm ? "confirmed" : "pending",
+        };
+    }
+
+    /**
+     * Upcoming appointments of a client, soonest first
+     * @param {number} businessId - Business ID
+     * @param {number} clientId - Client ID
+     * @returns {Promise<Array<Object>>} Pending and confirmed appointments
+     */
+    async upcomingForClient(businessId, clientId) {
+        return Appointment.findAll({
+            where: {
+                business_id: businessId,
+                client_id: clientId,
+                status: { [Op.in]: ACTIVE_STATUSES },
+                start_time: { [Op.gte]: this.now() },
+            },
+            include: this.includes(),
+            order: [["start_time", "ASC"]],
+            limit: 10,
+        });
+    }
+
+    /**
+     * Confirm a pending appointment
+     * @param {number} businessId - Business ID
+     * @param {number} id - Appointment ID
+     * @returns {Promise<Object>} Appointment
+     */
+    async confirm(businessId, id) {
+        const appointment = await this.find(businessId, id);
+        assertStatus(appointment, ["pending"], "confirmed");
+
+        await appointment.update({
+            status: "confirmed",
+            confirmed_at: this.now(),
+        });
+        await this.markConverted(appointment);
+        await this.reminders.sync(appointment);
+        return appointment;
+    }
+
+    /**
+     * Cancel an upcoming appointment, freeing its slot
+     * @param {number} businessId - Business ID
+     * @param {number} id - Appointment ID
+     * @param {string} reason - Cancellation reason
+     * @param {Object} options - { signal: AbortSignal that keeps the
+     *   appointment when aborted before it is cancelled }
+     * @returns {Promise<Object>} Appointment
+     */
+    async cancel(businessId, id, reason = null, options = {}) {
+        const appointment = await this.find(businessId, id);
+        assertStatus(appointment, ACTIVE_STATUSES, "cancelled");
+
+        options.signal?.throwIfAborted();
+        await appointment.update({
+            status: "cancelled",
+            cancelled_at: this.now(),
+            cancellation_reason: reason,
+        });
+
+        logger.info("Appointment cancelled", {
+            businessId,
+            appointmentId: appointment.id,
+        });
+
+        await this.reminders.sync(appointment);
+        return appointment;
+    }
+
+    /**
+     * Move an upcoming appointment to a new start time, keeping its length.
+     * Without auto_confirm, a time the customer picked through the bot
+     * needs confirming again
+     * @param {Object} business - Business
+     * @param {number} id - Appointment ID
+     * @param {string|Date} startTime - New start
+     * @param {Object} options - { source: "staff" | "bot", signal: AbortSignal
+     *   that rolls the move back when aborted before it is written }
+     * @returns {Promise<Object>} Appointment
+     */
+    async reschedule(business, id, startTime, options = {}) {
+        const settings = resolveCalendarSettings(business);
+        assertBookingEnabled(settings, options.source);
+        const appointment = await this.find(business.id, id);
+        assertStatus(appointment, ACTIVE_STATUSES, "rescheduled");
+
+        const start = parseStart(startTime);
+        const durationMinutes = appointment.duration_minutes;
+
+        await sequelize.transaction(async (transaction) => {
+            await this.lockCalendar(business.id, transaction);
+            await this.assertBookable({
+                business,
+                settings,
+                start,
+                durationMinutes,
+                enforceAdvance: options.source === "bot",
+                excludeId: appointment.id,
+                transaction,
+            });
+            options.signal?.throwIfAborted();
+
+            const reconfirm =
+                options.source === "bot" && !settings.auto_confirm;
+            await appointment.update(
+                {
+                    ...(reconfirm && { status: "pending", confirmed_at: null }),
+                    previous_start_time: appointment.start_time,
+                    start_time: start,
+                    end_time: new Date(
+                        start.getTime() + durationMinutes * MINUTE_MS
+                    ),
+                    reschedule_count: appointment.reschedule_count + 1,
+                },
+                { transaction }
+            );
+        });
+
+        logger.info("Appointment rescheduled", {
+            businessId: business.id,
+            appointmentId: appointment.id,
+        });
+
+        await this.reminders.sync(appointment, business);
+        return appointment;
+    }
+
+    /**
+     * Update notes, or record how an appointment went
+     * @param {number} businessId - Business ID
+     * @param {number} id - Appointment ID
+     * @param {Object} changes - { notes, status: "completed" | "no_show" }
+     * @returns {Promise<Object>} Appointment
+     */
+    async update(businessId, id, changes) {
+        const appointment = await this.find(businessId, id);
+        const updates = {};
+
+        if (changes.notes !== undefined) updates.notes = changes.notes;
+        if (changes.status !== undefined) {
+            if (!OUTCOME_STATUSES.includes(changes.status)) {
+                throw appointmentError(
+                    `status can only be set to ${OUTCOME_STATUSES.join(
+                        " or "
+                    )}; use confirm, cancel or reschedule otherwise`,
+                    "VALIDATION_ERROR"
+                );
+            }
+            assertStatus(
+                appointment,
+                ACTIVE_STATUSES,
+                `marked ${changes.status}`
+            );
+            updates.status = changes.status;
+        }
+
+        await appointment.update(updates);
+        // A no-show gets no follow-up
+        if (updates.status) await this.reminders.sync(appointment);
+        return appointment;
+    }
+
+    /**
+     * Delete an appointment record
+     * @param {number} businessId - Business ID
+     * @param {number} id - Appointment ID
+     */
+    async remove(businessId, id) {
+        const appointment = await this.find(businessId, id);
+        await appointment.destroy();
+    }
+
+    /**
+     * Settings, service, length and start of a requested booking
+     * @param {Object} business - Business
+     * @param {Object} data - { service_id, start_time, duration_minutes }
+     * @param {Object} options - { source: "staff" | "bot" }
+     * @returns {Promise<Object>} { settings, service, source, start, end, durationMinutes }
+     */
+    async prepareBooking(business, data, options) {
+        const source = options.source || "staff";
+        const settings = resolveCalendarSettings(business);
+        assertBookingEnabled(settings, source);
+
+        const service = data.service_id
+            ? await this.findService(business.id, data.service_id)
+            : null;
+        const durationMinutes =
+            data.duration_minutes || this.durationFor(settings, service);
+        const start = parseStart(data.start_time);
+
+        return {
+            settings,
+            service,
+            source,
+            start,
+            end: new Date(start.getTime() + durationMinutes * MINUTE_MS),
+            durationMinutes,
+        };
+    }
+
+    /**
+     * A confirmed booking is the conversion the sales funnel aims for, so
+     * the conversation it came from moves to the funnel's won state and its
+     * lead is closed as won. Never fails the booking
+     * @param {Object} appointment - Confirmed appointment
+     */
+    async markConverted(appointment) {
+        if (!appointment.conversation_id) return;
+
+        try {
+            const business = await Business.findByPk(appointment.business_id, {
+                attributes: ["id", "funnel_definition"],
+            });
+            const wonState = outcomeState(
+                resolveFunnel(business?.funnel_definition),
+                "won"
+            );
+            // Funnels without a won state keep the conversation where it is
+            if (wonState) {
+                await Conversation.update(
+                    { funnel_state: wonState },
+                    {
+                        where: {
+                            id: appointment.conversation_id,
+                            business_id: appointment.business_id,
+                        },
+                    }
+                );
+            }
+        } catch (error) {
+            logger.error("Failed to mark conversation converted", {
+                appointmentId: appointment.id,
+                conversationId: appointment.conversation_id,
+                error: error.message,
+            });
+        }
+
+        try {
+            await this.leads.recordConversion(appointment);
+        } catch (error) {
+            logger.error("Failed to close lead", {
+                appointmentId: appointment.id,
+                conversationId: appointment.conversation_id,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * Throw unless an appointment can start at a time
+     * @param {Object} params - { business, settings, start, durationMinutes, enforceAdvance, excludeId, transaction }
+     */
+    async assertBookable(params) {
+        const { business, settings, start, durationMinutes } = params;
+        const end = new Date(start.getTime() + durationMinutes * MINUTE_MS);
+        const bookings = await this.findBookings(
+            business.id,
+            start,
+            end,
+            settings,
+            { excludeId: params.excludeId, transaction: params.transaction }
+        );
+
+        const reason = unavailableReason({
+            start,
+            durationMinutes,
+            settings,
+            businessHours: resolveBusinessHours(business),
+            bookings,
+            now: this.now(),
+            enforceAdvance: params.enforceAdvance,
+        });
+        if (reason) {
+            const error = appointmentError(
+                `The requested time is not available (${reason})`,
+                "APPOINTMENT_SLOT_UNAVAILABLE"
+            );
+            error.reason = reason;
+            throw error;
+        }
+    }
+
+    /**
+     * Active appointments that could collide with a range, buffers included
+     * @param {number} businessId - Business ID
+     * @param {Date} start - Range start
+     * @param {Date} end - Range end
+     * @param {Object} settings - Resolved calendar settings
+     * @param {Object} options - { excludeId, transaction }
+     * @returns {Promise<Array<Object>>} Appointments
+     */
+    async findBookings(businessId, start, end, settings, options = {}) {
+        const buffer = (settings.buffer_time || 0) * MINUTE_MS;
+        const where = {
+            business_id: businessId,
+            status: { [Op.in]: ACTIVE_STATUSES },
+            start_time: { [Op.lt]: new Date(end.getTime() + buffer) },
+            end_time: { [Op.gt]: new Date(start.getTime() - buffer) },
+        };
+        if (options.excludeId) where.id = { [Op.ne]: options.excludeId };
+
+        return Appointment.findAll({
+            where,
+            attributes: ["id", "start_time", "end_time"],
+            transaction: options.transaction,
+        });
+    }
+
+    /**
+     * Serialize bookings of a business until the transaction ends
+     * @param {number} businessId - Business ID
+     * @param {Object} transaction - Transaction
+     */
+    async lockCalendar(businessId, transaction) {
+        await Business.findByPk(businessId, {
+            attributes: ["id"],
+            lock: transaction.LOCK.UPDATE,
+            transaction,
+        });
+    }
+
+    /**
+     * @param {number} businessId - Business ID
+     * @param {number} serviceId - Service ID
+     * @returns {Promise<Object>} Active service of the business
+     */
+    async findService(businessId, serviceId) {
+        const service = await Service.findOne({
+            where: { id: serviceId, business_id: businessId, is_active: true },
+        });
+        if (!service) {
+            throw appointmentError("Service not found", "SERVICE_NOT_FOUND");
+        }
+        return service;
+    }
+
+    /**
+     * @param {Object} settings - Resolved calendar settings
+     * @param {Object} service - Service, optional
+     * @returns {number} Appointment length in minutes
+     */
+    durationFor(settings, service) {
+        if (service && service.duration_minutes > 0) {
+            return service.duration_minutes;
+        }
+        return settings.appointment_duration;
+    }
+
+    /**
+     * @returns {Array<Object>} Associations returned with appointments
+     */
+    includes() {
+        return [
+            {
+                model: Client,
+                as: "client",
+                attributes: [
+                    "id",
+                    "display_name",
+                    "full_name",
+                    "platform_type",
+                ],
+            },
+            {
+                model: Service,
+                as: "service",
+                attributes: ["id", "service_name", "duration_minutes"],
+            },
+        ];
+    }
+}
+
+/**
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with code
+ */
+function appointmentError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Staff can always book; the bot only while the calendar is enabled
+ * @param {Object} settings - Calendar settings
+ * @param {string} source - "staff" or "bot"
+ */
+function assertBookingEnabled(settings, source) {
+    if (source === "bot" && !settings.is_enabled) {
+        throw appointmentError(
+            "Appointment booking is not enabled",
+            "APPOINTMENT_BOOKING_DISABLED"
+        );
+    }
+}
+
+/**
+ * @param {string|Date} value - Start time, ISO 8601 with offset
+ * @returns {Date} Start
+ */
+function parseStart(value) {
+    const start = new Date(value);
+    if (!value || isNaN(start.getTime())) {
+        throw appointmentError(
+            "start_time must be an ISO 8601 date-time",
+            "VALIDATION_ERROR"
+        );
+    }
+    return start;
+}
+
+/**
+ * @param {Object} appointment - Appointment
+ * @param {Array<string>} allowed - Statuses the change is allowed from
+ * @param {string} action - What the change would make it
+ */
+function assertStatus(appointment, allowed, action) {
+    if (!allowed.includes(appointment.status)) {
+        throw appointmentError(
+            `A ${appointment.status} appointment cannot be ${action}`,
+            "APPOINTMENT_INVALID_STATUS"
+        );
+    }
+}
+
+AppointmentService.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+module.exports = AppointmentService;
@@ -0,0 +1,215 @@
+"use strict";
+
+const { zonedTimeToUtc, toMinutes, toLocal, addDays, weekdayOf } = require(
+    "./timezone"
+);
+const { openingIntervals } = require("../businessHours");
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// What the calendar settings endpoint shows before anything is saved
+const DEFAULT_CALENDAR_SETTINGS = {
+    is_enabled: false,
+    working_hours: {
+        start_time: "09:00",
+        end_time: "17:00",
+        working_days: ["monday", "tuesday", "wednesday", "thursday", "friday"],
+    },
+    appointment_duration: 60, // minutes
+    buffer_time: 15, // minutes
+    max_advance_booking: 30, // days
+    min_advance_booking: 2, // hours
+    slot_interval: 30, // minutes between offered start times
+    auto_confirm: false,
+    send_reminders: true,
+    reminder_times: [24, 2], // hours before appointment
+    send_follow_up: false,
+    follow_up_delay: 24, // hours after appointment
+};
+
+/**
+ * Calendar settings of a business with defaults filled in
+ * @param {Object} business - Business with calendar_settings and timezone
+ * @returns {Object} Settings, including the timezone to book in
+ */
+function resolveCalendarSettings(business) {
+    const stored = business?.calendar_settings || {};
+    return {
+        ...DEFAULT_CALENDAR_SETTINGS,
+        ...stored,
+        working_hours: {
+            ...DEFAULT_CALENDAR_SETTINGS.working_hours,
+            ...(stored.working_hours || {}),
+        },
+        timezone: stored.timezone || business?.timezone || "UTC",
+    };
+}
+
+/**
+ * When appointments can take place on a local date: the calendar's
+ * working hours, narrowed to the business's opening intervals when those
+ * are set, so split shifts, holidays and closures leave no slots
+ * @param {string} date - Local date, YYYY-MM-DD
+ * @param {Object} settings - Resolved calendar settings
+ * @param {Object|null} businessHours - Resolved opening hours (resolveBusinessHours)
+ * @returns {Array<Object>} { start, end } as Dates, empty when closed
+ */
+function dayWindows(date, settings, businessHours) {
+    const weekday = weekdayOf(date);
+    const hours = settings.working_hours;
+    if (!hours.working_days.includes(weekday)) return [];
+
+    const open = toMinutes(hours.start_time);
+    const close = toMinutes(hours.end_time);
+    if (open >= close) return [];
+
+    const working = {
+        start: zonedTimeToUtc(date, open, settings.timezone),
+        end: zonedTimeToUtc(date, close, settings.timezone),
+    };
+    if (!businessHours) return [working];
+
+    // Opening hours may be kept in another timezone than the calendar
+    const from = toLocal(working.start, businessHours.timezone).date;
+    const to = toLocal(working.end, businessHours.timezone).date;
+    return openingIntervals(businessHours, from, to)
+        .map((interval) => ({
+            start: new Date(Math.max(interval.start, working.start)),
+            end: new Date(Math.min(interval.end, working.end)),
+        }))
+        .filter((window) => window.start < window.end);
+}
+
+/**
+ * Earliest and latest start a customer may book from now
+ * @param {Object} settings - Resolved calendar settings
+ * @param {Date} now - Current time
+ * @returns {Object} { earliest, latest } as Dates
+ */
+function bookingWindow(settings, now) {
+    return {
+        earliest: new Date(
+            now.getTime() + (settings.min_advance_booking || 0) * HOUR_MS
+        ),
+        latest: new Date(
+            now.getTime() + settings.max_advance_booking * DAY_MS
+        ),
+    };
+}
+
+/**
+ * Whether a time range collides with a booking, buffers included
+ * @param {Array<Object>} bookings - { start_time, end_time } of active appointments
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {number} bufferMinutes - Gap required between appointments
+ * @returns {boolean} Whether it overlaps
+ */
+function overlapsBooking(bookings, start, end, bufferMinutes) {
+    const buffer = (bufferMinutes || 0) * MINUTE_MS;
+    return bookings.some(
+        (booking) =>
+            new Date(booking.start_time).getTime() < end.getTime() + buffer &&
+            new Date(booking.end_time).getTime() + buffer > start.getTime()
+    );
+}
+
+/**
+ * Free start times between two local dates
+ * @param {Object} params - Parameters
+ * @param {string} params.from - First local date, YYYY-MM-DD
+ * @param {string} params.to - Last local date, YYYY-MM-DD
+ * @param {Object} params.settings - Resolved calendar settings
+ * @param {Object|null} params.businessHours - Resolved opening hours, optional
+ * @param {number} params.durationMinutes - Length of the appointment
+ * @param {Array<Object>} params.bookings - Active appointments in the range
+ * @param {Date} params.now - Current time
+ * @returns {Array<Object>} { start, end, local_date, local_time } with ISO start/end
+ */
+function computeSlots(params) {
+    const { settings, durationMinutes, bookings = [], now } = params;
+    const duration = durationMinutes * MINUTE_MS;
+    const interval = (settings.slot_interval || durationMinutes) * MINUTE_MS;
+    const { earliest, latest } = bookingWindow(settings, now);
+
+    const slots = [];
+    for (let date = params.from; date <= params.to; date = addDays(date, 1)) {
+        for (const window of dayWindows(
+            date,
+            settings,
+            params.businessHours
+        )) {
+            for (
+                let time = window.start.getTime();
+                time + duration <= window.end.getTime();
+                time += interval
+            ) {
+                const start = new Date(time);
+                const end = new Date(time + duration);
+                if (start < earliest || start > latest) continue;
+                if (
+                    overlapsBooking(bookings, start, end, settings.buffer_time)
+                ) {
+                    continue;
+                }
+
+                const local = toLocal(start, settings.timezone);
+                slots.push({
+                    start: start.toISOString(),
+                    end: end.toISOString(),
+                    local_date: local.date,
+                    local_time: local.time,
+                });
+            }
+        }
+    }
+    return slots;
+}
+
+/**
+ * Why an appointment cannot start at a time, if it cannot
+ * @param {Object} params - Parameters
+ * @param {Date} params.start - Requested start
+ * @param {number} params.durationMinutes - Length of the appointment
+ * @param {Object} params.settings - Resolved calendar settings
+ * @param {Object|null} params.businessHours - Resolved opening hours, optional
+ * @param {Array<Object>} params.bookings - Active appointments around it
+ * @param {Date} params.now - Current time
+ * @param {boolean} params.enforceAdvance - Apply the advance booking window
+ * @returns {string|null} outside_hours, too_soon, too_far_ahead, conflict or null
+ */
+function unavailableReason(params) {
+    const { start, settings, now } = params;
+    const end = new Date(start.getTime() + params.durationMinutes * MINUTE_MS);
+
+    const { date } = toLocal(start, settings.timezone);
+    const windows = dayWindows(date, settings, params.businessHours);
+    const inWindow = windows.some(
+        (window) => start >= window.start && end <= window.end
+    );
+    if (!inWindow) return "outside_hours";
+
+    if (params.enforceAdvance) {
+        const { earliest, latest } = bookingWindow(settings, now);
+        if (start < earliest) return "too_soon";
+        if (start > latest) return "too_far_ahead";
+    }
+
+    const bookings = params.bookings || [];
+    if (overlapsBooking(bookings, start, end, settings.buffer_time)) {
+        return "conflict";
+    }
+    return null;
+}
+
+module.exports = {
+    DEFAULT_CALENDAR_SETTINGS,
+    resolveCalendarSettings,
+    dayWindows,
+    bookingWindow,
+    overlapsBooking,
+    computeSlots,
+    unavailableReason,
+};
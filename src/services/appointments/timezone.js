@@ -0,0 +1,159 @@
+"use strict";
+
+// One formatter per timezone; building them is far slower than using them
+const formatters = new Map();
+
+const WEEKDAYS = [
+    "sunday",
+    "monday",
+    "tuesday",
+    "wednesday",
+    "thursday",
+    "friday",
+    "saturday",
+];
+
+/**
+ * @param {string} timezone - IANA timezone
+ * @returns {Intl.DateTimeFormat} Formatter giving wall-clock parts there
+ */
+function getFormatter(timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(
+            timezone,
+            new Intl.DateTimeFormat("en-US", {
+                timeZone: timezone,
+                hourCycle: "h23",
+                year: "numeric",
+                month: "2-digit",
+                day: "2-digit",
+                hour: "2-digit",
+                minute: "2-digit",
+                second: "2-digit",
+            })
+        );
+    }
+    return formatters.get(timezone);
+}
+
+/**
+ * @param {string} timezone - Timezone name
+ * @returns {boolean} Whether it is a known IANA timezone
+ */
+function isValidTimezone(timezone) {
+    if (typeof timezone !== "string" || !timezone) return false;
+    try {
+        getFormatter(timezone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * @param {Date|number} instant - Point in time
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { date: "YYYY-MM-DD", time: "HH:MM", weekday }
+ */
+function toLocal(instant, timezone) {
+    const parts = {};
+    for (const part of getFormatter(timezone).formatToParts(instant)) {
+        parts[part.type] = part.value;
+    }
+    const date = `${parts.year}-${parts.month}-${parts.day}`;
+    return {
+        date,
+        time: `${parts.hour}:${parts.minute}`,
+        weekday: weekdayOf(date),
+    };
+}
+
+/**
+ * Offset of a timezone from UTC at an instant
+ * @param {number} instant - Milliseconds since the epoch
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Offset in milliseconds, positive east of UTC
+ */
+function offsetAt(instant, timezone) {
+    const parts = {};
+    for (const part of getFormatter(timezone).formatToParts(instant)) {
+        parts[part.type] = Number(part.value);
+    }
+    const wallClock = Date.UTC(
+        parts.year,
+        parts.month - 1,
+        parts.day,
+        parts.hour,
+        parts.minute,
+        parts.second
+    );
+    return wallClock - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * The instant a wall-clock time happens in a timezone. Times skipped by a
+ * daylight saving change are moved forward by the length of the jump
+ * @param {string} date - Local date, YYYY-MM-DD
+ * @param {number} minutes - Minutes after local midnight
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Instant
+ */
+function zonedTimeToUtc(date, minutes, timezone) {
+    const [year, month, day] = date.split("-").map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+
+    // The offset at the first guess is off by the DST change in between
+    const guess = wallClock - offsetAt(wallClock, timezone);
+    return new Date(wallClock - offsetAt(guess, timezone));
+}
+
+/**
+ * @param {string} time - "HH:MM" or "H:MM"
+ * @returns {number} Minutes after midnight
+ */
+function toMinutes(time) {
+    const [hours, minutes] = String(time).split(":").map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - Days to add, may be negative
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(date, days) {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + days);
+    return day.toISOString().slice(0, 10);
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} Lowercase weekday name
+ */
+function weekdayOf(date) {
+    return WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+/**
+ * @param {string} date - Date string
+ * @returns {boolean} Whether it is a real calendar date in YYYY-MM-DD form
+ */
+function isValidDate(date) {
+    if (typeof date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return false;
+    }
+    const day = new Date(`${date}T00:00:00Z`);
+    return !isNaN(day.getTime()) && day.toISOString().slice(0, 10) === date;
+}
+
+module.exports = {
+    WEEKDAYS,
+    isValidTimezone,
+    isValidDate,
+    toLocal,
+    zonedTimeToUtc,
+    toMinutes,
+    addDays,
+    weekdayOf,
+};
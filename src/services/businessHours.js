@@ -0,0 +1,379 @@
+"use strict";
+
+/**
+ * Business opening hours
+ * Weekly hours with any number of intervals per day, dated exceptions
+ * (special hours or closures over one or more days) and holidays, all read
+ * as wall-clock times in Business.timezone. An interval that closes at or
+ * before it opens runs past midnight, e.g. 20:00-02:00. For a date,
+ * exceptions win over holidays and holidays over the weekly hours
+ */
+
+const {
+    WEEKDAYS,
+    isValidDate,
+    toLocal,
+    zonedTimeToUtc,
+    toMinutes,
+    addDays,
+    weekdayOf,
+} = require("./appointments/timezone");
+
+const MINUTES_PER_DAY = 24 * 60;
+const MAX_INTERVALS_PER_DAY = 6;
+// Far enough to find the next opening after any seasonal closure; the
+// search goes two weeks at a time
+const LOOKAHEAD_DAYS = 370;
+const SEARCH_STEP_DAYS = 14;
+
+const TIME_PATTERN = /^(?:[01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const HOLIDAY_DATE_PATTERN = /^(?:\d{4}-)?\d{2}-\d{2}$/;
+
+// What the hours endpoint shows before anything is saved
+const DEFAULT_BUSINESS_HOURS = {
+    weekly: {
+        monday: [{ open: "09:00", close: "17:00" }],
+        tuesday: [{ open: "09:00", close: "17:00" }],
+        wednesday: [{ open: "09:00", close: "17:00" }],
+        thursday: [{ open: "09:00", close: "17:00" }],
+        friday: [{ open: "09:00", close: "17:00" }],
+        saturday: [{ open: "10:00", close: "14:00" }],
+        sunday: [],
+    },
+    exceptions: [],
+    holidays: [],
+};
+
+/**
+ * Bring stored hours into the current shape. The flat 7-day array stored
+ * before ({ day, open_time, close_time, is_closed }) is converted; days it
+ * does not list are closed
+ * @param {Object|Array|null} stored - Business business_hours value
+ * @returns {Object|null} { weekly, exceptions, holidays }, null when unset
+ */
+function normalizeBusinessHours(stored) {
+    if (!stored) return null;
+
+    if (Array.isArray(stored)) {
+        const weekly = emptyWeek();
+        for (const entry of stored) {
+            if (!weekly[entry.day]) continue;
+            if (entry.is_closed || !entry.open_time || !entry.close_time) {
+                continue;
+            }
+            weekly[entry.day].push({
+                open: entry.open_time,
+                close: entry.close_time,
+            });
+        }
+        return { weekly, exceptions: [], holidays: [] };
+    }
+
+    return {
+        weekly: { ...emptyWeek(), ...(stored.weekly || {}) },
+        exceptions: stored.exceptions || [],
+        holidays: stored.holidays || [],
+    };
+}
+
+/**
+ * Opening hours of a business, ready to evaluate
+ * @param {Object} business - Business with business_hours and timezone
+ * @returns {Object|null} Normalized hours with their timezone, null when unset
+ */
+function resolveBusinessHours(business) {
+    const hours = normalizeBusinessHours(business?.business_hours);
+    if (!hours) return null;
+    return { ...hours, timezone: business.timezone || "UTC" };
+}
+
+/**
+ * Validate hours sent by the business owner
+ * @param {Object} hours - { weekly, exceptions, holidays }
+ * @returns {Array<string>} Validation errors
+ */
+function validateBusinessHours(hours) {
+    if (!hours || typeof hours !== "object" || Array.isArray(hours)) {
+        return ["Business hours must be an object"];
+    }
+
+    const errors = [];
+    const weekly = hours.weekly || {};
+    if (typeof weekly !== "object" || Array.isArray(weekly)) {
+        errors.push("weekly must map weekdays to intervals");
+    } else {
+        for (const [day, intervals] of Object.entries(weekly)) {
+            if (!WEEKDAYS.includes(day)) {
+                errors.push(`Unknown weekday: ${day}`);
+                continue;
+            }
+            errors.push(...validateIntervals(intervals, day));
+        }
+    }
+
+    if (hours.exceptions !== undefined && !Array.isArray(hours.exceptions)) {
+        errors.push("exceptions must be an array");
+    } else {
+        (hours.exceptions || []).forEach((exception, index) => {
+            const label = `exceptions[${index}]`;
+            if (!isValidDate(exception?.date)) {
+                errors.push(`${label}.date must be a date (YYYY-MM-DD)`);
+                return;
+            }
+            if (
+                exception.end_date !== undefined &&
+                (!isValidDate(exception.end_date) ||
+                    exception.end_date < exception.date)
+            ) {
+                errors.push(
+                    `${label}.end_date must be a date on or after date`
+                );
+            }
+            errors.push(...validateIntervals(exception.intervals, label));
+        });
+    }
+
+    if (hours.holidays !== undefined && !Array.isArray(hours.holidays)) {
+        errors.push("holidays must be an array");
+    } else {
+        (hours.holidays || []).forEach((holiday, index) => {
+            const date = holiday?.date;
+            const valid =
+                typeof date === "string" &&
+                HOLIDAY_DATE_PATTERN.test(date) &&
+                isValidDate(date.length === 5 ? `2000-${date}` : date);
+            if (!valid) {
+                errors.push(
+                    `holidays[${index}].date must be YYYY-MM-DD, or MM-DD to repeat every year`
+                );
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * @param {Array<Object>} intervals - { open, close } of one day
+ * @param {string} label - Where the intervals are, for messages
+ * @returns {Array<string>} Validation errors
+ */
+function validateIntervals(intervals, label) {
+    if (intervals === undefined) return [];
+    if (!Array.isArray(intervals)) {
+        return [`${label} intervals must be an array`];
+    }
+    if (intervals.length > MAX_INTERVALS_PER_DAY) {
+        return [`${label} has more than ${MAX_INTERVALS_PER_DAY} intervals`];
+    }
+
+    const errors = [];
+    for (const interval of intervals) {
+        const close = interval?.close === "24:00" ? "23:59" : interval?.close;
+        if (
+            !TIME_PATTERN.test(interval?.open || "") ||
+            !TIME_PATTERN.test(close || "")
+        ) {
+            errors.push(`${label} times must be HH:MM`);
+        } else if (interval.open === interval.close) {
+            errors.push(`${label} interval opens and closes at the same time`);
+        }
+    }
+    if (errors.length > 0) return errors;
+
+    const spans = intervals.map(toSpan).sort((a, b) => a.open - b.open);
+    for (let i = 1; i < spans.length; i++) {
+        if (spans[i].open < spans[i - 1].close) {
+            errors.push(`${label} intervals overlap`);
+            break;
+        }
+    }
+    return errors;
+}
+
+/**
+ * Opening intervals of one local date, in minutes after its midnight.
+ * Overnight intervals close after 1440
+ * @param {Object} hours - Normalized hours
+ * @param {string} date - Local date, YYYY-MM-DD
+ * @returns {Object} { spans: [{ open, close }], closure } where closure
+ *   names the holiday or exception that changed the day
+ */
+function hoursOn(hours, date) {
+    const exception = hours.exceptions.find(
+        (entry) => date >= entry.date && date <= (entry.end_date || entry.date)
+    );
+    if (exception) {
+        return {
+            spans: (exception.intervals || []).map(toSpan),
+            closure: {
+                type: "exception",
+                name: exception.name || null,
+            },
+        };
+    }
+
+    const holiday = hours.holidays.find(
+        (entry) => entry.date === date || entry.date === date.slice(5)
+    );
+    if (holiday) {
+        return {
+            spans: [],
+            closure: { type: "holiday", name: holiday.name || null },
+        };
+    }
+
+    return {
+        spans: (hours.weekly[weekdayOf(date)] || []).map(toSpan),
+        closure: null,
+    };
+}
+
+/**
+ * Opening intervals as instants, including intervals of the day before
+ * `from` that run past its midnight. Intervals that touch or overlap, such
+ * as an overnight interval and the next morning's, are joined
+ * @param {Object} hours - Resolved hours (with timezone)
+ * @param {string} from - First local date, YYYY-MM-DD
+ * @param {string} to - Last local date, YYYY-MM-DD
+ * @returns {Array<Object>} { start, end } as Dates, soonest first
+ */
+function openingIntervals(hours, from, to) {
+    const midnight = zonedTimeToUtc(from, 0, hours.timezone);
+    const intervals = [];
+    for (let date = addDays(from, -1); date <= to; date = addDays(date, 1)) {
+        for (const span of hoursOn(hours, date).spans) {
+            const start = zonedTimeToUtc(date, span.open, hours.timezone);
+            const end = zonedTimeToUtc(date, span.close, hours.timezone);
+            if (end > midnight) intervals.push({ start, end });
+        }
+    }
+    intervals.sort((a, b) => a.start - b.start);
+    return joinIntervals([], intervals);
+}
+
+/**
+ * Append intervals to a sorted list, joining those that touch or overlap
+ * @param {Array<Object>} joined - Sorted { start, end } list, extended in place
+ * @param {Array<Object>} intervals - Sorted { start, end } to add
+ * @returns {Array<Object>} The joined list
+ */
+function joinIntervals(joined, intervals) {
+    for (const interval of intervals) {
+        const last = joined[joined.length - 1];
+        if (last && interval.start <= last.end) {
+            if (interval.end > last.end) last.end = interval.end;
+        } else {
+            joined.push({ start: interval.start, end: interval.end });
+        }
+    }
+    return joined;
+}
+
+/**
+ * Whether the business is open at an instant, and when that changes
+ * @param {Object|null} hours - Resolved hours (resolveBusinessHours)
+ * @param {Date} now - Instant to check
+ * @returns {Object} { configured, is_open, timezone, local, closes_at,
+ *   next_opening_at, next_opening_local, closure }. Without configured
+ *   hours the business counts as open
+ */
+function getOpeningStatus(hours, now = new Date()) {
+    if (!hours) {
+        return {
+            configured: false,
+            is_open: true,
+            timezone: null,
+            local: null,
+            closes_at: null,
+            next_opening_at: null,
+            next_opening_local: null,
+            closure: null,
+        };
+    }
+
+    const local = toLocal(now, hours.timezone);
+    const last = addDays(local.date, LOOKAHEAD_DAYS);
+
+    // The interval open now, if any, and the one after it
+    const upcoming = [];
+    for (
+        let from = local.date;
+        from <= last && upcoming.length < 2;
+        from = addDays(from, SEARCH_STEP_DAYS)
+    ) {
+        joinIntervals(
+            upcoming,
+            openingIntervals(
+                hours,
+                from,
+                addDays(from, SEARCH_STEP_DAYS - 1)
+            ).filter((interval) => interval.end > now)
+        );
+    }
+
+    const current =
+        upcoming.length > 0 && upcoming[0].start <= now ? upcoming[0] : null;
+    const next = upcoming[current ? 1 : 0] || null;
+
+    return {
+        configured: true,
+        is_open: !!current,
+        timezone: hours.timezone,
+        local,
+        closes_at: current ? current.end.toISOString() : null,
+        next_opening_at: next ? next.start.toISOString() : null,
+        next_opening_local: next ? toLocal(next.start, hours.timezone) : null,
+        closure: current ? null : hoursOn(hours, local.date).closure,
+    };
+}
+
+/**
+ * One line on the opening status for prompts, in the business's timezone
+ * @param {Object} status - getOpeningStatus result
+ * @returns {string|null} Description, null without configured hours
+ */
+function describeOpeningStatus(status) {
+    if (!status.configured) return null;
+
+    const zone = `(${status.timezone} time)`;
+    if (status.is_open) {
+        const closes = toLocal(new Date(status.closes_at), status.timezone);
+        const day =
+            closes.date === status.local.date ? "" : ` ${closes.weekday}`;
+        return `Open now, until${day} ${closes.time} ${zone}.`;
+    }
+
+    const reason = status.closure?.name ? ` (${status.closure.name})` : "";
+    if (!status.next_opening_local) {
+        return `Closed now${reason}, with no opening hours coming up.`;
+    }
+    const next = status.next_opening_local;
+    return `Closed now${reason}. Opens again ${next.weekday} ${next.date} at ${next.time} ${zone}.`;
+}
+
+/**
+ * @param {Object} interval - { open, close } as HH:MM
+ * @returns {Object} { open, close } in minutes, close past 1440 when overnight
+ */
+function toSpan(interval) {
+    const open = toMinutes(interval.open);
+    let close = toMinutes(interval.close);
+    if (close <= open) close += MINUTES_PER_DAY;
+    return { open, close };
+}
+
+function emptyWeek() {
+    return Object.fromEntries(WEEKDAYS.map((day) => [day, []]));
+}
+
+module.exports = {
+    DEFAULT_BUSINESS_HOURS,
+    normalizeBusinessHours,
+    resolveBusinessHours,
+    validateBusinessHours,
+    hoursOn,
+    openingIntervals,
+    getOpeningStatus,
+    describeOpeningStatus,
+};
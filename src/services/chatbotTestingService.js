@@ -4,14 +4,12 @@ const ContextSearchService = require("./contextSearchService");
 const ConfidenceScoringService = require("./confidenceScoringService");
 const SecurityGuardrailsService = require("./securityGuardrailsService");
 const AIResponseService = require("./aiResponseService");
-const {
-    TestSession,
-    TestMessage,
-    UnansweredQuestion,
-    Business,
-} = require("../models");
+const UnansweredQuestionService = require("./unansweredQuestionService");
+const AIMessageProcessor = require("./AIMessageProcessor");
+const ConversationEngine = require("./conversationEngine");
+const TestSessionChannelAdapter = require("./conversationEngine/testSessionChannelAdapter");
+const { TestSession, TestMessage, Business } = require("../models");
 const { createChildLogger } = require("../config/logger");
-const crypto = require("crypto");
 
 const logger = createChildLogger("chatbot-testing");
 
@@ -26,10 +24,20 @@ class ChatbotTestingService {
         this.confidenceScoringService = new ConfidenceScoringService();
         this.securityGuardrailsService = new SecurityGuardrailsService();
         this.aiResponseService = new AIResponseService();
+        this.unansweredQuestionService = new UnansweredQuestionService();
+        this.conversationEngine = new ConversationEngine({
+            processor: new AIMessageProcessor(),
+            securityGuardrailsService: this.securityGuardrailsService,
+            contextSearchService: this.contextSearchService,
+            confidenceScoringService: this.confidenceScoringService,
+            aiResponseService: this.aiResponseService,
+            unansweredQuestionService: this.unansweredQuestionService,
+        });
     }
 
     /**
      * Process a chat message in a test session
+     * Runs the same conversation engine as live channels
      * @param {Object} params - Message processing parameters
      * @param {string} params.message - User message
      * @param {number} params.sessionId - Test session ID
@@ -56,159 +64,60 @@ class ChatbotTestingService {
         });
 
         try {
-            // 1. Validate input security
-            const securityValidation =
-                this.securityGuardrailsService.validateInput(message, {
-                    businessId,
-                    sessionId,
-                    userContext,
-                });
-
-            if (!securityValidation.isSafe) {
-                await this.logSecurityEvent({
-                    type: "unsafe_input",
-                    severity: "high",
-                    input: message,
-                    flags: securityValidation.flags,
-                    sessionId,
-                    businessId,
-                });
-
-                return {
-                    success: false,
-                    error: "Input contains potentially harmful content",
-                    security_flags: securityValidation.flags,
-                    response_time: Date.now() - startTime,
-                };
-            }
-
-            // 2. Save user message to session
-            const userMessage = await this.saveUserMessage({
+            const adapter = new TestSessionChannelAdapter({
                 sessionId,
                 businessId,
-                content: securityValidation.sanitizedInput,
-                sequenceNumber: await this.getNextSequenceNumber(sessionId),
-                securityFlags: securityValidation.flags,
+                testingService: this,
             });
-
-            // 3. Search for relevant context
-            const contextSearchResult =
-                await this.contextSearchService.searchContexts({
-                    query: securityValidation.sanitizedInput,
-                    businessId,
-                    language,
-                    threshold: 0.6,
-                    limit: 5,
-                });
-
-            // 4. Calculate confidence score
-            const confidenceResult =
-                await this.confidenceScoringService.calculateConfidence({
-                    question: securityValidation.sanitizedInput,
-                    response: "", // Will be generated
-                    contextSources: contextSearchResult.results,
-                    semanticScore:
-                        contextSearchResult.results[0]?.similarity_score || 0,
-                    businessConfig: await this.getBusinessConfig(businessId),
-                });
-
-            // 5. Generate AI response
-            const aiResponse = await this.aiResponseService.generateResponse({
-                question: securityValidation.sanitizedInput,
-                contextSources: contextSearchResult.results,
-                confidenceScore: confidenceResult.confidence_score,
-                isConfident: confidenceResult.is_confident,
-                businessInfo: await this.getBusinessInfo(businessId),
+            const result = await this.conversationEngine.processTurn(adapter, {
+                message,
                 language,
+                userId: userContext.userId,
             });
 
-            // 6. Validate AI response security
-            const responseValidation =
-                this.securityGuardrailsService.validateResponse(
-                    aiResponse.response
-                );
-
-            if (!responseValidation.isSafe) {
-                await this.logSecurityEvent({
-                    type: "unsafe_response",
-                    severity: "high",
-                    response: aiResponse.response,
-                    flags: responseValidation.flags,
-                    sessionId,
-                    businessId,
-                });
-
-                // Use sanitized response
-                aiResponse.response = responseValidation.sanitizedResponse;
+            if (result.blocked) {
+                return {
+                    success: false,
+                    error: result.error,
+                    security_flags: result.security_validation.input_flags,
+                    response_time: Date.now() - startTime,
+                };
             }
 
-            // 7. Save assistant response
-            const assistantMessage = await this.saveAssistantMessage({
-                sessionId,
-                businessId,
-                content: aiResponse.response,
-                confidenceScore: confidenceResult.confidence_score,
-                isAnswered: confidenceResult.is_confident,
-                contextSources: contextSearchResult.results,
-                responseTime: aiResponse.response_time,
-                sequenceNumber: await this.getNextSequenceNumber(sessionId),
-                securityFlags: responseValidation.flags,
-            });
-
-            // 8. Handle unanswered questions
-            if (!confidenceResult.is_confident) {
-                await this.handleUnansweredQuestion({
-                    question: securityValidation.sanitizedInput,
-                    businessId,
-                    sessionId,
-                    contextSources: contextSearchResult.results,
-                    confidenceScore: confidenceResult.confidence_score,
-                    conversationContext: await this.getConversationContext(
-                        sessionId
-                    ),
-                });
+            if (!result.success) {
+                return {
+                    success: false,
+                    error: "Failed to process message",
+                    error_details: result.error,
+                    error_type: result.errorType,
+                    response_time: Date.now() - startTime,
+                };
             }
 
-            // 9. Update search hit counts
-            await this.updateSearchHits(contextSearchResult.results);
-
-            // 10. Update session statistics
-            await this.updateSessionStats(sessionId, {
-                isAnswered: confidenceResult.is_confident,
-                responseTime: aiResponse.response_time,
-                confidenceScore: confidenceResult.confidence_score,
-            });
-
-            const totalResponseTime = Date.now() - startTime;
-
             logger.info("Message processing completed", {
                 sessionId,
                 businessId,
-                totalResponseTime,
-                confidenceScore: confidenceResult.confidence_score,
-                isAnswered: confidenceResult.is_confident,
-                contextSourcesUsed: contextSearchResult.results.length,
+                totalResponseTime: result.responseTime,
+                confidenceScore: result.confidence_score,
+                isAnswered: result.is_answered,
+                contextSourcesUsed: result.context_sources.length,
             });
 
             return {
                 success: true,
-                response: aiResponse.response,
-                confidence_score: confidenceResult.confidence_score,
-                is_answered: confidenceResult.is_confident,
-                response_time: totalResponseTime,
-                context_sources: contextSearchResult.results,
-                security_validation: {
-                    input_safe: securityValidation.isSafe,
-                    response_safe: responseValidation.isSafe,
-                    input_flags: securityValidation.flags,
-                    response_flags: responseValidation.flags,
-                },
+                response: result.response,
+                confidence_score: result.confidence_score,
+                is_answered: result.is_answered,
+                response_time: Date.now() - startTime,
+                context_sources: result.context_sources,
+                security_validation: result.security_validation,
+                analysis: result.analysis,
+                new_state: result.newState,
                 metadata: {
                     session_id: sessionId,
                     business_id: businessId,
                     language,
-                    message_id: assistantMessage.id,
-                    context_search_time: contextSearchResult.metadata,
+                    message_id: result.record?.id,
                 },
             };
         } catch (error) {
@@ -430,125 +339,7 @@ class ChatbotTestingService {
      * @param {Object} params - Unanswered question parameters
      */
     async handleUnansweredQuestion(params) {
-        const {
-            question,
-            businessId,
-            sessionId,
-            contextSources,
-            confidenceScore,
-            conversationContext,
-        } = params;
-
-        let questionHash;
-        try {
-            const normalizedQuestion = this.normalizeQuestion(question);
-            questionHash = crypto
-                .createHash("sha256")
-                .update(normalizedQuestion)
-                .digest("hex");
-
-            // Check if question already exists
-            let unansweredQuestion = await UnansweredQuestion.findOne({
-                where: {
-                    business_id: businessId,
-                    question_hash: questionHash,
-                },
-                attributes: [
-                    "id",
-                    "business_id",
-                    "question_text",
-                    "normalized_question",
-                    "question_hash",
-                    "frequency",
-                    "first_asked_at",
-                    "last_asked_at",
-                    "status",
-                    "resolution_notes",
-                    "resolved_at",
-                    "resolved_by",
-                    "context_sources_searched",
-                    "template_sources_searched",
-                    "conversation_context",
-                    "confidence_scores",
-                    "average_confidence",
-                    "language_code",
-                    "source_sessions",
-                    "priority",
-                    "tags",
-                    "metadata",
-                    "created_at",
-                    "updated_at",
-                ],
-            });
-
-            if (unansweredQuestion) {
-                // Update existing question
-                await unansweredQuestion.update({
-                    frequency: unansweredQuestion.frequency + 1,
-                    last_asked_at: new Date(),
-                    confidence_scores: [
-                        ...unansweredQuestion.confidence_scores,
-                        confidenceScore,
-                    ],
-                    average_confidence: this.calculateAverageConfidence([
-                        ...unansweredQuestion.confidence_scores,
-                        confidenceScore,
-                    ]),
-                    source_sessions: [
-                        ...new Set([
-                            ...unansweredQuestion.source_sessions,
-                            sessionId,
-                        ]),
-                    ],
-                });
-            } else {
-                // Create new unanswered question
-                await UnansweredQuestion.create(
-                    {
-                        business_id: businessId,
-                        question_text: question,
-                        normalized_question: normalizedQuestion,
-                        question_hash: questionHash,
-                        frequency: 1,
-                        first_asked_at: new Date(),
-                        last_asked_at: new Date(),
-                        status: "unanswered",
-                        context_sources_searched: contextSources.map((s) => ({
-                            id: s.id,
-                            type: s.type,
-                            similarity_score: s.similarity_score,
-                        })),
-                        confidence_scores: [confidenceScore],
-                        average_confidence: confidenceScore,
-                        source_sessions: [sessionId],
-                        conversation_context: conversationContext,
-                        language_code: "en",
-                    },
-                    {
-                        returning: false, // Don't return the created record
-                    }
-                );
-            }
-
-            logger.info("Unanswered question tracked", {
-                businessId,
-                sessionId,
-                questionHash,
-                confidenceScore,
-            });
-        } catch (error) {
-            logger.error("Failed to track unanswered question", {
-                error: error.message,
-                errorType: error.constructor.name,
-                errorCode: error.code,
-                stack: error.stack,
-                businessId,
-                sessionId,
-                questionHash: questionHash || "undefined",
-                confidenceScore,
-            });
-            logger.error(error.message);
-        }
+        await this.unansweredQuestionService.track(params);
     }
 
     /**
@@ -557,11 +348,7 @@ class ChatbotTestingService {
      * @returns {string} Normalized question
      */
     normalizeQuestion(question) {
-        return question
-            .toLowerCase()
-            .replace(/[^\w\s]/g, "")
-            .replace(/\s+/g, " ")
-            .trim();
+        return this.unansweredQuestionService.normalizeQuestion(question);
     }
 
     /**
@@ -570,8 +357,9 @@ class ChatbotTestingService {
      * @returns {number} Average confidence
      */
     calculateAverageConfidence(scores) {
-        if (scores.length === 0) return 0;
-        return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+        return this.unansweredQuestionService.calculateAverageConfidence(
+            scores
+        );
     }
 
     /**
@@ -618,50 +406,6 @@ class ChatbotTestingService {
             : {};
     }
 
-    /**
-     * Get conversation context for session
-     * @param {number} sessionId - Session ID
-     * @returns {Promise<Object>} Conversation context
-     */
-    async getConversationContext(sessionId) {
-        const messages = await TestMessage.findAll({
-            where: { session_id: sessionId },
-            order: [["sequence_number", "DESC"]],
-            limit: 5,
-        });
-
-        return {
-            recent_messages: messages.map((msg) => ({
-                type: msg.message_type,
-                content: msg.content.substring(0, 100),
-                sequence_number: msg.sequence_number,
-            })),
-            message_count: messages.length,
-        };
-    }
-
-    /**
-     * Update search hit counts
-     * @param {Array} contextSources - Context sources used
-     */
-    async updateSearchHits(contextSources) {
-        const templateIds = contextSources
-            .filter((s) => s.type === "template")
-            .map((s) => s.id);
-        const contextIds = contextSources
-            .filter((s) => s.type === "context")
-            .map((s) => s.id);
-        const faqIds = contextSources
-            .filter((s) => s.type === "faq")
-            .map((s) => s.id);
-
-        await Promise.all([
-            this.contextSearchService.updateSearchHits(templateIds, "template"),
-            this.contextSearchService.updateSearchHits(contextIds, "context"),
-            this.contextSearchService.updateSearchHits(faqIds, "faq"),
-        ]);
-    }
-
     /**
      * Update session statistics
      * @param {number} sessionId - Session ID
@@ -699,15 +443,14 @@ class ChatbotTestingService {
                 ) / 100;
         }
 
-        await session.update(updates);
-    }
+        if (stats.funnelState) {
+            updates.metadata = {
+                ...(session.metadata || {}),
+                funnel_state: stats.funnelState,
+            };
+        }
 
-    /**
-     * Log security event
-     * @param {Object} event - Security event
-     */
-    async logSecurityEvent(event) {
-        this.securityGuardrailsService.logSecurityEvent(event);
+        await session.update(updates);
     }
 }
 
@@ -3,32 +3,63 @@
 const {
     BusinessTemplateResponse,
     BusinessContextSection,
+    BusinessContextChunk,
+    BusinessLanguage,
     FaqItem,
+    FaqKeyword,
+    sequelize,
 } = require("../models");
+const EmbeddingService = require("./embeddingService");
+const BM25Index = require("./retrieval/bm25");
+const VectorStore = require("./retrieval/vectorStore");
+const { needsChunking, chunkText } = require("./retrieval/chunker");
 const { createChildLogger } = require("../config/logger");
 
 const logger = createChildLogger("context-search");
 
+// Share of the hybrid score from vector similarity, the rest is BM25
+const VECTOR_WEIGHT = 0.6;
+// Ranking penalty per higher-ranked result of the same type
+const DIVERSITY_PENALTY = 0.05;
+
 /**
  * Context Search Service
- * Handles dual-context search across template responses and custom context sections
+ * Ranked retrieval over template responses, custom context sections (as
+ * passages when long) and FAQs. Each candidate gets a hybrid score fusing
+ * vector similarity of stored embeddings with BM25 keyword relevance;
+ * content in the requested language is searched first, then the business's
+ * other languages (primary first)
  * Follows Single Responsibility Principle - only handles context searching
  */
 class ContextSearchService {
-    constructor() {
+    /**
+     * @param {Object} options - Service options
+     * @param {EmbeddingService} options.embeddingService - Query embedder
+     * @param {VectorStore} options.vectorStore - Scores stored embeddings
+     */
+    constructor(options = {}) {
         this.defaultSimilarityThreshold = 0.01;
         this.maxResults = 10;
+        this.embeddingService =
+            options.embeddingService || new EmbeddingService();
+        this.vectorStore =
+            options.vectorStore ||
+            new VectorStore({
+                sequelize,
+                embeddingService: this.embeddingService,
+            });
     }
 
     /**
-     * Search both template responses and context sections for relevant content
+     * Search template responses, context sections and FAQs for content
+     * relevant to a query
      * @param {Object} params - Search parameters
      * @param {string} params.query - Search query
      * @param {number} params.businessId - Business ID
      * @param {string} params.language - Language code
-     * @param {number} params.threshold - Similarity threshold
+     * @param {number} params.threshold - Minimum hybrid score (0-1)
      * @param {number} params.limit - Maximum results
-     * @returns {Promise<Object>} Combined search results
+     * @returns {Promise<Object>} { results, metadata }, best match first
      */
     async searchContexts(params) {
         const {
@@ -48,66 +79,48 @@ class ContextSearchService {
         });
 
         try {
-            // Get ALL template responses, context sections, and FAQs (no filtering)
-            const [templateResults, contextResults, faqResults] =
-                await Promise.all([
-                    this.getAllTemplateResponses({
-                        businessId,
-                        language,
-                    }),
-                    this.getAllContextSections({
-                        businessId,
-                        language,
-                    }),
-                    this.getAllFaqItems({
-                        businessId,
-                        language,
-                    }),
-                ]);
-
-            // Combine all results without filtering
-            const combinedResults = [
-                ...templateResults,
-                ...contextResults,
-                ...faqResults,
-            ];
+            const candidates = await this.loadCandidates(businessId, language);
+            const scored = (
+                await this.scoreCandidates(query, businessId, candidates)
+            ).filter((result) => result.similarity_score >= threshold);
+
+            const ofType = (type) => scored.filter((r) => r.type === type);
+            const results = this.combineAndRankResults(
+                ofType("template"),
+                ofType("context"),
+                ofType("faq"),
+                limit
+            );
+            const countOf = (type) =>
+                results.filter((r) => r.type === type).length;
 
             logger.info("Context search completed", {
                 businessId,
-                templateResults: templateResults.length,
-                contextResults: contextResults.length,
-                faqResults: faqResults.length,
-                combinedResults: combinedResults.length,
-                templateResultsDetails: templateResults.map((r) => ({
-                    id: r.id,
-                    type: r.type,
-                    section_name: r.section_name,
-                    similarity: r.similarity_score,
-                })),
-                contextResultsDetails: contextResults.map((r) => ({
-                    id: r.id,
-                    type: r.type,
-                    section_name: r.section_name,
-                    similarity: r.similarity_score,
-                })),
-                faqResultsDetails: faqResults.map((r) => ({
+                language: candidates.language,
+                candidates: candidates.documents.length,
+                aboveThreshold: scored.length,
+                results: results.map((r) => ({
                     id: r.id,
                     type: r.type,
                     section_name: r.section_name,
                     similarity: r.similarity_score,
+                    vector: r.metadata.vector_score,
+                    keyword: r.metadata.keyword_score,
                 })),
             });
 
             return {
-                results: combinedResults,
+                results,
                 metadata: {
-                    totalResults: combinedResults.length,
-                    templateResults: templateResults.length,
-                    contextResults: contextResults.length,
-                    faqResults: faqResults.length,
+                    totalResults: results.length,
+                    templateResults: countOf("template"),
+                    contextResults: countOf("context"),
+                    faqResults: countOf("faq"),
+                    candidates: candidates.documents.length,
                     searchQuery: query,
                     threshold,
-                    language,
+                    language: candidates.language,
+                    requestedLanguage: language,
                 },
             };
         } catch (error) {
@@ -122,20 +135,86 @@ class ContextSearchService {
     }
 
     /**
-     * Gets all template responses for a business (no similarity filtering).
-     * @param {object} options - Search options.
-     * @param {number} options.businessId - The ID of the business.
-     * @param {string} options.language - The language code.
-     * @returns {Promise<Array<object>>} - Array of all template responses.
+     * Languages to search in order: the requested one, then the business's
+     * primary language, then its other languages
+     * @param {number} businessId - Business ID
+     * @param {string} language - Requested language code
+     * @returns {Promise<Array<string>>} Language codes
      */
-    async getAllTemplateResponses({ businessId, language }) {
+    async getSearchLanguages(businessId, language) {
         try {
-            const templateResponses = await BusinessTemplateResponse.findAll({
+            const languages = await BusinessLanguage.findAll({
+                where: { business_id: businessId },
+                order: [
+                    ["is_primary", "DESC"],
+                    ["language_code", "ASC"],
+                ],
+            });
+            return [
+                ...new Set([
+                    language,
+                    ...languages.map((entry) => entry.language_code),
+                ]),
+            ];
+        } catch (error) {
+            logger.warn("Failed to load business languages", {
+                businessId,
+                error: error.message,
+            });
+            return [language];
+        }
+    }
+
+    /**
+     * Searchable documents of the first language that has any content
+     * @param {number} businessId - Business ID
+     * @param {string} language - Requested language code
+     * @returns {Promise<Object>} { language, documents, groups }
+     */
+    async loadCandidates(businessId, language) {
+        const languages = await this.getSearchLanguages(businessId, language);
+
+        for (const code of languages) {
+            const groups = {};
+            const documents = (
+                await Promise.all([
+                    this.loadTemplateDocuments(businessId, code, groups),
+                    this.loadContextDocuments(businessId, code, groups),
+                    this.loadFaqDocuments(businessId, code, groups),
+                ])
+            ).flat();
+
+            if (documents.length > 0) {
+                if (code !== language) {
+                    logger.info(
+                        "No content in requested language, falling back",
+                        { businessId, requestedLanguage: language, language: code }
+                    );
+                }
+                return { language: code, documents, groups };
+            }
+        }
+
+        return { language, documents: [], groups: {} };
+    }
+
+    /**
+     * @param {number} businessId - Business ID
+     * @param {string} language - Language code
+     * @param {Object} groups - Collects rows whose embeddings are scored
+     * @returns {Promise<Array<Object>>} Documents
+     */
+    async loadTemplateDocuments(businessId, language, groups) {
+        try {
+            const responses = await BusinessTemplateResponse.findAll({
                 where: {
                     business_id: businessId,
                     language_code: language,
                     completion_status: "completed",
                 },
+                attributes: await this.vectorStore.rowAttributes([
+                    "content_embedding",
+                ]),
                 include: [
                     {
                         model: require("../models").SectionTemplate,
@@ -145,39 +224,228 @@ class ContextSearchService {
                 ],
             });
 
-            const results = templateResponses.map((response) => {
-                return {
-                    id: response.id,
-                    type: "template",
-                    section_key: response.template?.section_key,
-                    section_name: response.template?.section_key,
-                    content: response.content,
-                    similarity_score: 1.0, // Always include, so set high score
-                    source: "template_response",
+            groups.template = {
+                Model: BusinessTemplateResponse,
+                column: "content_embedding",
+                rows: responses,
+            };
+
+            return responses
+                .filter((response) => response.content)
+                .map((response) => ({
+                    key: `template:${response.id}`,
+                    text: response.content,
+                    vectors: [{ group: "template", id: response.id }],
+                    result: {
+                        id: response.id,
+                        type: "template",
+                        section_key: response.template?.section_key,
+                        section_name: response.template?.section_key,
+                        content: response.content,
+                        source: "template_response",
+                        metadata: {
+                            template_id: response.template_id,
+                            character_count: response.character_count,
+                            word_count: response.word_count,
+                            search_hits: response.search_hits,
+                        },
+                    },
+                }));
+        } catch (error) {
+            logger.error("Failed to load template responses", {
+                error: error.message,
+                businessId,
+                language,
+            });
+            return [];
+        }
+    }
+
+    /**
+     * Context sections as documents; long sections become one document
+     * per passage, using stored chunks or chunking on the fly until the
+     * section is re-embedded
+     * @param {number} businessId - Business ID
+     * @param {string} language - Language code
+     * @param {Object} groups - Collects rows whose embeddings are scored
+     * @returns {Promise<Array<Object>>} Documents
+     */
+    async loadContextDocuments(businessId, language, groups) {
+        try {
+            const attributes = await this.vectorStore.rowAttributes([
+                "content_embedding",
+            ]);
+            const sections = await BusinessContextSection.findAll({
+                where: {
+                    business_id: businessId,
+                    language_code: language,
+                    is_active: true,
+                },
+                attributes,
+            });
+
+            const longSectionIds = sections
+                .filter((section) => needsChunking(section.content))
+                .map((section) => section.id);
+            const chunks =
+                longSectionIds.length > 0
+                    ? await BusinessContextChunk.findAll({
+                          where: { section_id: longSectionIds },
+                          attributes,
+                          order: [
+                              ["section_id", "ASC"],
+                              ["chunk_index", "ASC"],
+                          ],
+                      })
+                    : [];
+
+            groups.context = {
+                Model: BusinessContextSection,
+                column: "content_embedding",
+                rows: sections,
+            };
+            groups.context_chunk = {
+                Model: BusinessContextChunk,
+                column: "content_embedding",
+                rows: chunks,
+            };
+
+            const documents = [];
+            for (const section of sections) {
+                if (!section.content) continue;
+
+                const result = {
+                    id: section.id,
+                    type: "context",
+                    section_key: section.section_key,
+                    section_name: section.section_name,
+                    content: section.content,
+                    source: "context_section",
                     metadata: {
-                        template_id: response.template_id,
-                        character_count: response.character_count,
-                        word_count: response.word_count,
-                        search_hits: response.search_hits,
+                        section_type: section.section_type,
+                        character_count: section.character_count,
+                        word_count: section.word_count,
+                        search_hits: section.search_hits,
                     },
                 };
-            });
 
-            logger.info("Retrieved all template responses", {
+                if (!needsChunking(section.content)) {
+                    documents.push({
+                        key: `context:${section.id}`,
+                        text: section.content,
+                        vectors: [{ group: "context", id: section.id }],
+                        result,
+                    });
+                    continue;
+                }
+
+                const stored = chunks.filter((c) => c.section_id === section.id);
+                const passages =
+                    stored.length > 0
+                        ? stored.map((chunk) => ({
+                              content: chunk.content,
+                              vector: { group: "context_chunk", id: chunk.id },
+                          }))
+                        : chunkText(section.content).map((content) => ({
+                              content,
+                              vector: { group: "context", id: section.id },
+                          }));
+
+                passages.forEach((passage, index) => {
+                    documents.push({
+                        key: `context:${section.id}:${index}`,
+                        text: passage.content,
+                        vectors: [passage.vector],
+                        result: {
+                            ...result,
+                            section_name: `${section.section_name} (part ${
+                                index + 1
+                            } of ${passages.length})`,
+                            content: passage.content,
+                            metadata: {
+                                ...result.metadata,
+                                chunk_index: index,
+                                chunk_count: passages.length,
+                            },
+                        },
+                    });
+                });
+            }
+            return documents;
+        } catch (error) {
+            logger.error("Failed to load context sections", {
+                error: error.message,
                 businessId,
                 language,
-                totalResponses: templateResponses.length,
-                results: results.map((r) => ({
-                    id: r.id,
-                    section_name: r.section_name,
-                })),
             });
+            return [];
+        }
+    }
 
-            return results;
+    /**
+     * @param {number} businessId - Business ID
+     * @param {string} language - Language code
+     * @param {Object} groups - Collects rows whose embeddings are scored
+     * @returns {Promise<Array<Object>>} Documents, keywords weighted for BM25
+     */
+    async loadFaqDocuments(businessId, language, groups) {
+        try {
+            const faqItems = await FaqItem.findAll({
+                where: {
+                    business_id: businessId,
+                    language_code: language,
+                    is_active: true,
+                },
+                attributes: await this.vectorStore.rowAttributes([
+                    "question_embedding",
+                    "answer_embedding",
+                    "combined_embedding",
+                ]),
+                include: [
+                    {
+                        model: FaqKeyword,
+                        as: "keywords",
+                        attributes: ["keyword", "weight"],
+                    },
+                ],
+            });
+
+            groups.faq_question = {
+                Model: FaqItem,
+                column: "question_embedding",
+                rows: faqItems,
+            };
+            groups.faq_combined = {
+                Model: FaqItem,
+                column: "combined_embedding",
+                rows: faqItems,
+            };
+
+            return faqItems.map((faq) => ({
+                key: `faq:${faq.id}`,
+                text: `${faq.question}\n${faq.answer}`,
+                keywords: faq.keywords || [],
+                vectors: [
+                    { group: "faq_question", id: faq.id },
+                    { group: "faq_combined", id: faq.id },
+                ],
+                result: {
+                    id: faq.id,
+                    type: "faq",
+                    section_key: `faq_${faq.id}`,
+                    section_name: `FAQ: ${faq.question.substring(0, 50)}...`,
+                    content: `Question: ${faq.question}\n\nAnswer: ${faq.answer}`,
+                    source: "faq_item",
+                    metadata: {
+                        category: faq.category,
+                        usage_count: faq.usage_count,
+                        success_rate: faq.success_rate,
+                    },
+                },
+            }));
         } catch (error) {
-            logger.error("Failed to get template responses", {
+            logger.error("Failed to load FAQ items", {
                 error: error.message,
-                stack: error.stack,
                 businessId,
                 language,
             });
@@ -185,6 +453,63 @@ class ContextSearchService {
         }
     }
 
+    /**
+     * Hybrid score of every candidate: VECTOR_WEIGHT of the best vector
+     * similarity plus the rest from BM25. Documents without a comparable
+     * embedding are scored on keywords alone
+     * @param {string} query - Search query
+     * @param {number} businessId - Business ID
+     * @param {Object} candidates - Result of loadCandidates
+     * @returns {Promise<Array<Object>>} Results with similarity_score
+     */
+    async scoreCandidates(query, businessId, candidates) {
+        const { documents, groups } = candidates;
+        if (!query || documents.length === 0) return [];
+
+        const index = new BM25Index();
+        for (const document of documents) {
+            index.add(document.key, document.text, document.keywords);
+        }
+        const keywordScores = index.score(query);
+
+        const queryEmbedding = await this.embedQuery(query, businessId);
+        const vectorScores = {};
+        await Promise.all(
+            Object.entries(groups).map(async ([name, group]) => {
+                vectorScores[name] = await this.vectorStore.score(
+                    group.Model,
+                    group.column,
+                    group.rows,
+                    queryEmbedding
+                );
+            })
+        );
+
+        return documents.map((document) => {
+            const similarities = document.vectors
+                .map((ref) => vectorScores[ref.group]?.get(ref.id))
+                .filter((score) => score !== undefined);
+            const vector =
+                similarities.length > 0 ? Math.max(...similarities) : null;
+            const keyword = keywordScores.get(document.key) || 0;
+
+            const score =
+                vector !== null
+                    ? VECTOR_WEIGHT * vector + (1 - VECTOR_WEIGHT) * keyword
+                    : keyword;
+
+            return {
+                ...document.result,
+                similarity_score: score,
+                metadata: {
+                    ...document.result.metadata,
+                    vector_score: vector,
+                    keyword_score: keyword,
+                },
+            };
+        });
+    }
+
     /**
      * Search template responses using semantic similarity
      * @param {Object} params - Search parameters
@@ -194,8 +519,7 @@ class ContextSearchService {
         const { query, businessId, language, threshold, limit } = params;
 
         try {
-            // For now, we'll use text-based search until embeddings are implemented
-            // In production, this would use vector similarity search
+            const queryEmbedding = await this.embedQuery(query, businessId);
             const templateResponses = await BusinessTemplateResponse.findAll({
                 where: {
                     business_id: businessId,
@@ -212,12 +536,14 @@ class ContextSearchService {
                 // Remove limit to get all templates for debugging
             });
 
-            // Calculate similarity scores (simplified for now)
             const results = templateResponses
                 .map((response) => {
-                    const similarity = this.calculateTextSimilarity(
+                    const similarity = this.scoreContent(
                         query,
-                        response.content
+                        queryEmbedding,
+                        response.content,
+                        response.content_embedding,
+                        response.embedding_model
                     );
                     return {
                         id: response.id,
@@ -238,25 +564,6 @@ class ContextSearchService {
                 .filter((result) => result.similarity_score >= threshold)
                 .sort((a, b) => b.similarity_score - a.similarity_score);
 
-            console.log("Template search debug:", {
-                businessId,
-                query,
-                threshold,
-                totalResponses: templateResponses.length,
-                filteredResults: results.length,
-                allSimilarities: templateResponses.map((r) => ({
-                    id: r.id,
-                    section_key: r.template?.section_key,
-                    content_preview: r.content?.substring(0, 100),
-                    similarity: this.calculateTextSimilarity(query, r.content),
-                })),
-                results: results.map((r) => ({
-                    id: r.id,
-                    section_name: r.section_name,
-                    similarity: r.similarity_score,
-                })),
-            });
-
             logger.info("Template search results", {
                 businessId,
                 query,
@@ -288,63 +595,6 @@ class ContextSearchService {
         }
     }
 
-    /**
-     * Gets all context sections for a business (no similarity filtering).
-     * @param {object} options - Search options.
-     * @param {number} options.businessId - The ID of the business.
-     * @param {string} options.language - The language code.
-     * @returns {Promise<Array<object>>} - Array of all context sections.
-     */
-    async getAllContextSections({ businessId, language }) {
-        try {
-            const contextSections = await BusinessContextSection.findAll({
-                where: {
-                    business_id: businessId,
-                    language_code: language,
-                    is_active: true,
-                },
-            });
-
-            const results = contextSections.map((section) => {
-                return {
-                    id: section.id,
-                    type: "context",
-                    section_key: section.section_key,
-                    section_name: section.section_name,
-                    content: section.content,
-                    similarity_score: 1.0, // Always include, so set high score
-                    source: "context_section",
-                    metadata: {
-                        section_type: section.section_type,
-                        character_count: section.character_count,
-                        word_count: section.word_count,
-                        search_hits: section.search_hits,
-                    },
-                };
-            });
-
-            logger.info("Retrieved all context sections", {
-                businessId,
-                language,
-                totalSections: contextSections.length,
-                results: results.map((r) => ({
-                    id: r.id,
-                    section_name: r.section_name,
-                })),
-            });
-
-            return results;
-        } catch (error) {
-            logger.error("Failed to get context sections", {
-                error: error.message,
-                stack: error.stack,
-                businessId,
-                language,
-            });
-            return [];
-        }
-    }
-
     /**
      * Search context sections using semantic similarity
      * @param {Object} params - Search parameters
@@ -354,6 +604,7 @@ class ContextSearchService {
         const { query, businessId, language, threshold, limit } = params;
 
         try {
+            const queryEmbedding = await this.embedQuery(query, businessId);
             const contextSections = await BusinessContextSection.findAll({
                 where: {
                     business_id: businessId,
@@ -363,12 +614,14 @@ class ContextSearchService {
                 limit,
             });
 
-            // Calculate similarity scores (simplified for now)
             const results = contextSections
                 .map((section) => {
-                    const similarity = this.calculateTextSimilarity(
+                    const similarity = this.scoreContent(
                         query,
-                        section.content
+                        queryEmbedding,
+                        section.content,
+                        section.content_embedding,
+                        section.embedding_model
                     );
                     return {
                         id: section.id,
@@ -400,62 +653,6 @@ class ContextSearchService {
         }
     }
 
-    /**
-     * Gets all FAQ items for a business (no similarity filtering).
-     * @param {object} options - Search options.
-     * @param {number} options.businessId - The ID of the business.
-     * @param {string} options.language - The language code.
-     * @returns {Promise<Array<object>>} - Array of all FAQ items.
-     */
-    async getAllFaqItems({ businessId, language }) {
-        try {
-            const faqItems = await FaqItem.findAll({
-                where: {
-                    business_id: businessId,
-                    language_code: language,
-                    is_active: true,
-                },
-            });
-
-            const results = faqItems.map((faq) => {
-                return {
-                    id: faq.id,
-                    type: "faq",
-                    section_key: `faq_${faq.id}`,
-                    section_name: `FAQ: ${faq.question.substring(0, 50)}...`,
-                    content: `Question: ${faq.question}\n\nAnswer: ${faq.answer}`,
-                    similarity_score: 1.0, // Always include, so set high score
-                    source: "faq_item",
-                    metadata: {
-                        category: faq.category,
-                        usage_count: faq.usage_count,
-                        success_rate: faq.success_rate,
-                    },
-                };
-            });
-
-            logger.info("Retrieved all FAQ items", {
-                businessId,
-                language,
-                totalFaqs: faqItems.length,
-                results: results.map((r) => ({
-                    id: r.id,
-                    section_name: r.section_name,
-                })),
-            });
-
-            return results;
-        } catch (error) {
-            logger.error("Failed to get FAQ items", {
-                error: error.message,
-                stack: error.stack,
-                businessId,
-                language,
-            });
-            return [];
-        }
-    }
-
     /**
      * Searches FAQ items using semantic similarity.
      * @param {object} options - Search options.
@@ -468,6 +665,7 @@ class ContextSearchService {
      */
     async searchFaqItems({ query, businessId, language, threshold, limit }) {
         try {
+            const queryEmbedding = await this.embedQuery(query, businessId);
             const faqItems = await FaqItem.findAll({
                 where: {
                     business_id: businessId,
@@ -480,13 +678,19 @@ class ContextSearchService {
             const results = faqItems
                 .map((faq) => {
                     // Calculate similarity for both question and answer
-                    const questionSimilarity = this.calculateTextSimilarity(
+                    const questionSimilarity = this.scoreContent(
                         query,
-                        faq.question
+                        queryEmbedding,
+                        faq.question,
+                        faq.question_embedding,
+                        faq.embedding_model
                     );
-                    const answerSimilarity = this.calculateTextSimilarity(
+                    const answerSimilarity = this.scoreContent(
                         query,
-                        faq.answer
+                        queryEmbedding,
+                        faq.answer,
+                        faq.answer_embedding,
+                        faq.embedding_model
                     );
                     const combinedSimilarity = Math.max(
                         questionSimilarity,
@@ -551,7 +755,7 @@ class ContextSearchService {
         // Sort by similarity score (descending)
         allResults.sort((a, b) => b.similarity_score - a.similarity_score);
 
-        // Apply diversity bonus to avoid too many results from same source
+        // Apply diversity adjustment to avoid too many results from same source
         const diversifiedResults = this.applyDiversityBonus(allResults);
 
         // Return top results
@@ -559,19 +763,20 @@ class ContextSearchService {
     }
 
     /**
-     * Apply diversity bonus to ensure variety in results
-     * @param {Array} results - Search results
-     * @returns {Array} Diversified results
+     * Apply diversity adjustment to ensure variety in results: each result
+     * ranks DIVERSITY_PENALTY lower per better result of the same type
+     * @param {Array} results - Search results, best first
+     * @returns {Array} Results sorted by adjusted_score
      */
     applyDiversityBonus(results) {
         const diversified = [];
-        const sourceCounts = { template: 0, context: 0 };
+        const sourceCounts = {};
 
         for (const result of results) {
-            // Apply small bonus for diversity
-            const diversityBonus = sourceCounts[result.type] * 0.05;
-            result.adjusted_score = result.similarity_score + diversityBonus;
-            sourceCounts[result.type]++;
+            const seen = sourceCounts[result.type] || 0;
+            result.adjusted_score =
+                result.similarity_score - seen * DIVERSITY_PENALTY;
+            sourceCounts[result.type] = seen + 1;
 
             diversified.push(result);
         }
@@ -581,8 +786,48 @@ class ContextSearchService {
     }
 
     /**
-     * Calculate text similarity (simplified implementation)
-     * In production, this would use proper semantic similarity with embeddings
+     * Embed a search query; search falls back to word overlap without it
+     * @param {string} query - Search query
+     * @param {number} businessId - Business ID
+     * @returns {Promise<Object|null>} Query embedding (see EmbeddingService.embedQuery)
+     */
+    async embedQuery(query, businessId) {
+        if (!query) return null;
+        try {
+            return await this.embeddingService.embedQuery(query, businessId);
+        } catch (error) {
+            logger.warn("Query embedding failed, using text similarity", {
+                businessId,
+                error: error.message,
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Score content against a query: cosine similarity of the stored
+     * embedding when it is comparable with the query's, word overlap otherwise
+     * @param {string} query - Search query
+     * @param {Object|null} queryEmbedding - Result of embedQuery
+     * @param {string} content - Content text
+     * @param {Array<number>} vector - Stored embedding of the content
+     * @param {string} model - Model that made the stored embedding
+     * @returns {number} Similarity score (0-1)
+     */
+    scoreContent(query, queryEmbedding, content, vector, model) {
+        const similarity = this.embeddingService.similarity(
+            queryEmbedding,
+            vector,
+            model
+        );
+        return similarity !== null
+            ? similarity
+            : this.calculateTextSimilarity(query, content);
+    }
+
+    /**
+     * Calculate text similarity as word overlap (Jaccard), for content
+     * without a usable embedding
      * @param {string} query - Search query
      * @param {string} content - Content to compare
      * @returns {number} Similarity score (0-1)
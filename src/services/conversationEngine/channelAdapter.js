@@ -0,0 +1,78 @@
+"use strict";
+
+/**
+ * Channel Adapter
+ * Connects the conversation engine to where a conversation lives: it loads
+ * the context a turn starts from and persists what the turn produced.
+ * Channels subclass it and override both hooks; adapters without storage
+ * can pass a loadContext function instead
+ * Follows Single Responsibility Principle - only handles channel history and persistence
+ */
+class ChannelAdapter {
+    /**
+     * @param {Object} options - Adapter options
+     * @param {string} options.channel - Channel name reported with each turn
+     * @param {number} options.businessId - Business the conversation belongs to
+     * @param {number} options.conversationId - Conversation ID when already known
+     * @param {Function} options.loadContext - async (turn) => context
+     * @param {boolean} options.sandbox - Conversation is a test, not a customer
+     */
+    constructor(options = {}) {
+        this.channel = options.channel || "direct";
+        this.sandbox = !!options.sandbox;
+        this.businessId = options.businessId || null;
+        this.conversationId = options.conversationId || null;
+
+        if (options.loadContext) {
+            this.loadContext = options.loadContext;
+        }
+    }
+
+    /**
+     * Load the context a turn starts from
+     * Adapters may set turn.conversationId / turn.sessionId here
+     * @param {Object} turn - Turn being processed
+     * @returns {Promise<Object>} { currentState, businessName, businessType,
+     *   language, conversationHistory, leadScore, sentimentScore,
+     *   aiDisclosure, businessHours, afterHoursPolicy, funnelDefinition,
+     *   botPaused, alreadyAnswered }
+     */
+    async loadContext(turn) {
+        return ChannelAdapter.defaultContext();
+    }
+
+    /**
+     * Persist the customer message, the reply and the new state
+     * Turns with botPaused have no reply: an agent answers from the inbox
+     * Not called for turns whose message was alreadyAnswered
+     * Adapters that store the customer message set turn.messageId, which
+     * lead facts link back to
+     * Errors propagate so callers with retries can try the turn again
+     * @param {Object} turn - Completed turn
+     */
+    async recordTurn(turn) {}
+
+    /**
+     * Context used when nothing is known about the conversation yet
+     * @returns {Object} Empty context
+     */
+    static defaultContext() {
+        return {
+            currentState: "initial_contact",
+            businessType: "General Business",
+            businessName: "Our Company",
+            language: "en",
+            conversationHistory: [],
+            leadScore: 0,
+            sentimentScore: 0,
+            aiDisclosure: null,
+            businessHours: null,
+            afterHoursPolicy: null,
+            funnelDefinition: null,
+            botPaused: false,
+            alreadyAnswered: false,
+        };
+    }
+}
+
+module.exports = ChannelAdapter;
@@ -0,0 +1,66 @@
+"use strict";
+
+const { Op } = require("sequelize");
+const { Conversation, Message } = require("../../models");
+const InstagramChannelAdapter = require("./instagramChannelAdapter");
+
+/**
+ * Email Channel Adapter
+ * Stores email like DMs, except that a conversation is an email thread:
+ * a reply joins the open conversation holding the message it answers or
+ * references, and mail starting a new thread starts a new conversation.
+ * The sender's address is kept as the client's email
+ * Follows Single Responsibility Principle - only handles email threading
+ */
+class EmailChannelAdapter extends InstagramChannelAdapter {
+    /**
+     * @returns {Promise<Object>} Client for the sender, with their address
+     *   and name filled in
+     */
+    async findOrCreateClient() {
+        const client = await super.findOrCreateClient();
+
+        const updates = {};
+        if (!client.email) updates.email = this.senderId;
+        if (!client.display_name && this.message.email?.from_name) {
+            updates.display_name = this.message.email.from_name;
+        }
+        if (Object.keys(updates).length > 0) await client.update(updates);
+        return client;
+    }
+
+    /**
+     * @param {Object} client - Client
+     * @param {string} initialState - Funnel state new conversations start in
+     * @returns {Promise<Object>} Open conversation of the thread
+     */
+    async findOrCreateConversation(client, initialState) {
+        const threadIds = [
+            this.message.reply_to?.mid,
+            ...(this.message.email?.references || []),
+        ].filter(Boolean);
+
+        if (threadIds.length > 0) {
+            const earlier = await Message.findOne({
+                where: { platform_message_id: { [Op.in]: threadIds } },
+                include: [
+                    {
+                        model: Conversation,
+                        as: "conversation",
+                        where: {
+                            client_id: client.id,
+                            source_id: this.platformSource.id,
+                            current_state: { [Op.ne]: "closed" },
+                        },
+                    },
+                ],
+                order: [["message_timestamp", "DESC"]],
+            });
+            if (earlier) return earlier.conversation;
+        }
+
+        return this.createConversation(client, initialState);
+    }
+}
+
+module.exports = EmailChannelAdapter;
@@ -0,0 +1,453 @@
+"use strict";
+
+const AIMessageProcessor = require("../AIMessageProcessor");
+const SecurityGuardrailsService = require("../securityGuardrailsService");
+const ContextSearchService = require("../contextSearchService");
+const ConfidenceScoringService = require("../confidenceScoringService");
+const AIResponseService = require("../aiResponseService");
+const UnansweredQuestionService = require("../unansweredQuestionService");
+const LeadService = require("../leadService");
+const { createDefaultStages } = require("./stages");
+const {
+    resolveDisclosurePolicy,
+    hasAssistantReplied,
+    buildDisclosure,
+} = require("../aiDisclosure");
+const { getOpeningStatus } = require("../businessHours");
+const { resolveFunnel, currentStateOf } = require("../funnelDefinition");
+const {
+    resolveAfterHoursPolicy,
+    isAfterHours,
+    buildAwayMessage,
+    buildClosedHandoffNotice,
+    removeHumanPromises,
+} = require("../afterHours");
+const { createChildLogger } = require("../../config/logger");
+
+const logger = createChildLogger("conversation-engine");
+
+const FALLBACK_REPLY =
+    "Thank you for your message! We'll get back to you soon.";
+
+// human_takeover_reason of conversations left for the next opening
+const FOLLOW_UP_REASONS = {
+    handoff: "Asked for a person outside business hours",
+    requires_human: "Needs a person; received outside business hours",
+};
+
+/**
+ * Conversation Engine
+ * Runs one customer message through the same stages on every channel:
+ * guardrails, disclosure, after hours, retrieval, analysis, state
+ * transition, generation and output validation. A channel adapter supplies
+ * the conversation history and persists the outcome, so the chatbot tester
+ * and live channels cannot drift. The assistant's first reply in a
+ * conversation always says it is automated, unless the business's
+ * disclosure policy turns that off. While the business is closed, its
+ * after-hours policy decides how far the reply may go. Live conversations
+ * that qualify become leads in the sales pipeline. While an agent has taken
+ * a conversation over, the customer's messages are stored without a reply
+ * Follows Single Responsibility Principle - only handles the reply pipeline
+ */
+class ConversationEngine {
+    /**
+     * @param {Object} options - Engine options
+     * @param {Object} options.processor - Analysis, state and generation (AIMessageProcessor)
+     * @param {Object} options.securityGuardrailsService - Input/output guardrails
+     * @param {Object} options.contextSearchService - Knowledge base search
+     * @param {Object} options.confidenceScoringService - Answer confidence
+     * @param {Object} options.aiResponseService - Knowledge formatting
+     * @param {Object} options.unansweredQuestionService - Knowledge gap tracking
+     * @param {Object} options.leadService - Sales pipeline (LeadService)
+     * @param {Array<Object>} options.stages - Replaces the default stages
+     * @param {Function} options.now - Clock, for tests
+     */
+    constructor(options = {}) {
+        this.processor = options.processor || new AIMessageProcessor();
+        this.securityGuardrailsService =
+            options.securityGuardrailsService ||
+            new SecurityGuardrailsService();
+        this.contextSearchService =
+            options.contextSearchService || new ContextSearchService();
+        this.confidenceScoringService =
+            options.confidenceScoringService || new ConfidenceScoringService();
+        this.aiResponseService =
+            options.aiResponseService || new AIResponseService();
+        this.unansweredQuestionService =
+            options.unansweredQuestionService ||
+            new UnansweredQuestionService();
+        this.now = options.now || (() => new Date());
+        this.leadService =
+            options.leadService || new LeadService({ now: this.now });
+        this.logger = logger;
+
+        this.stages = options.stages || createDefaultStages(this);
+    }
+
+    /**
+     * Process one customer message
+     * Stage failures produce a fallback reply; adapter failures propagate
+     * @param {Object} adapter - Channel adapter
+     * @param {Object} params - Message parameters
+     * @param {string} params.message - Customer message
+     * @param {Array} params.attachments - Message attachments
+     * @param {string} params.userId - Sender ID, used for rate limiting
+     * @param {string} params.language - Language code, defaults to the context's
+     * @returns {Promise<Object>} Turn result
+     */
+    async processTurn(adapter, params = {}) {
+        const startTime = Date.now();
+        const turn = {
+            channel: adapter.channel,
+            businessId: adapter.businessId,
+            conversationId: adapter.conversationId || null,
+            clientId: null,
+            // Stored customer message, set by adapters that keep one
+            messageId: null,
+            sessionId: null,
+            userId: params.userId || null,
+            sandbox: !!adapter.sandbox,
+            message: params.message || "",
+            input: params.message || "",
+            attachments: params.attachments || null,
+            inputFlags: [],
+            responseFlags: [],
+            knowledge: {
+                contextSources: [],
+                contextText: "",
+                confidenceScore: 0,
+                isConfident: false,
+            },
+            analysis: null,
+            response: null,
+            // Answers offered to the customer with the reply, [{ title, payload }]
+            quickReplies: [],
+            toolExecutions: [],
+            disclosed: false,
+            handoffRequested: false,
+            humanFollowUp: null,
+            // An agent has the conversation; nothing is generated or sent
+            botPaused: false,
+            // A retry of a turn whose reply was already queued; nothing is redone
+            alreadyAnswered: false,
+            halted: false,
+            blocked: false,
+            rateLimited: false,
+            error: null,
+        };
+
+        // Stages resolve the business's model settings from the context
+        turn.context = {
+            businessId: turn.businessId,
+            ...(await adapter.loadContext(turn)),
+        };
+        turn.language = params.language || turn.context.language || "en";
+        // Conversations in a state the funnel no longer has restart it
+        turn.funnel = resolveFunnel(turn.context.funnelDefinition);
+        turn.context.funnel = turn.funnel;
+        turn.context.currentState = currentStateOf(
+            turn.funnel,
+            turn.context.currentState
+        );
+        turn.newState = turn.context.currentState;
+        turn.disclosure = resolveDisclosurePolicy(turn.context.aiDisclosure);
+        // Read by the reply prompt; open when the business set no hours
+        turn.context.openingStatus = getOpeningStatus(
+            turn.context.businessHours || null,
+            this.now()
+        );
+        // Only set while the business is closed
+        turn.afterHours = isAfterHours(turn.context.openingStatus)
+            ? resolveAfterHoursPolicy(turn.context.afterHoursPolicy)
+            : null;
+        turn.context.afterHoursMode = turn.afterHours
+            ? turn.afterHours.mode
+            : null;
+
+        if (turn.context.alreadyAnswered) {
+            turn.alreadyAnswered = true;
+            turn.halted = true;
+        } else if (turn.context.botPaused) {
+            turn.botPaused = true;
+            turn.halted = true;
+        } else {
+            await this.runStages(turn);
+            this.applyAfterHoursPolicy(turn);
+            this.discloseAtFirstContact(turn);
+        }
+
+        turn.responseTime = Date.now() - startTime;
+        if (!turn.alreadyAnswered) await adapter.recordTurn(turn);
+
+        if (!turn.error && !turn.halted) {
+            await this.recordKnowledgeOutcome(turn);
+            await this.recordLeadProgress(turn);
+        }
+
+        logger.info("Conversation turn completed", {
+            channel: turn.channel,
+            businessId: turn.businessId,
+            conversationId: turn.conversationId,
+            sessionId: turn.sessionId,
+            newState: turn.newState,
+            confidenceScore: turn.knowledge.confidenceScore,
+            blocked: turn.blocked,
+            handoffRequested: turn.handoffRequested,
+            afterHoursMode: turn.context.afterHoursMode,
+            humanFollowUpAt: turn.humanFollowUp?.at || null,
+            botPaused: turn.botPaused,
+            alreadyAnswered: turn.alreadyAnswered,
+            failed: !!turn.error,
+            toolCalls: turn.toolExecutions.length,
+            responseTime: turn.responseTime,
+        });
+
+        return this.buildResult(turn);
+    }
+
+    /**
+     * Run the stages until one halts the turn; a failing stage leaves the
+     * fallback reply
+     * @param {Object} turn - Turn being processed
+     */
+    async runStages(turn) {
+        let stageName = null;
+        try {
+            for (const stage of this.stages) {
+                stageName = stage.name;
+                await stage.run(turn);
+                if (turn.halted) break;
+            }
+        } catch (error) {
+            logger.error("Conversation stage failed", {
+                channel: turn.channel,
+                stage: stageName,
+                businessId: turn.businessId,
+                conversationId: turn.conversationId,
+                error: error.message,
+            });
+            turn.error = error;
+            turn.response = FALLBACK_REPLY;
+        }
+    }
+
+    /**
+     * While the business is closed, leave conversations that need a person
+     * for the next opening and keep the reply to the after-hours policy:
+     * handoffs say when the team is back, and with "ai_no_human_promise"
+     * sentences promising that someone will be in touch are dropped
+     * @param {Object} turn - Turn with its reply
+     */
+    applyAfterHoursPolicy(turn) {
+        if (!turn.afterHours) return;
+
+        const status = turn.context.openingStatus;
+        const needsPerson =
+            turn.handoffRequested ||
+            (!turn.blocked &&
+                this.processor.requiresHumanIntervention(
+                    turn.analysis || {},
+                    turn.input
+                ));
+        if (needsPerson) {
+            turn.humanFollowUp = {
+                at: status.next_opening_at,
+                reason: turn.handoffRequested
+                    ? FOLLOW_UP_REASONS.handoff
+                    : FOLLOW_UP_REASONS.requires_human,
+            };
+        }
+
+        if (turn.handoffRequested) {
+            const notice = buildClosedHandoffNotice(turn.language, status);
+            if (notice) turn.response = `${turn.response} ${notice}`;
+        } else if (
+            turn.afterHours.mode === "ai_no_human_promise" &&
+            turn.response
+        ) {
+            turn.response =
+                removeHumanPromises(turn.response) ||
+                buildAwayMessage(
+                    turn.afterHours,
+                    turn.language,
+                    turn.context.businessName,
+                    status
+                );
+        }
+    }
+
+    /**
+     * Prefix the assistant's first reply in a conversation with the
+     * business's disclosure, after output filtering so it is never altered
+     * @param {Object} turn - Turn with its reply
+     */
+    discloseAtFirstContact(turn) {
+        if (
+            !turn.response ||
+            turn.disclosed ||
+            !turn.disclosure.disclose_at_first_contact ||
+            hasAssistantReplied(turn.context.conversationHistory)
+        ) {
+            return;
+        }
+
+        const disclosure = buildDisclosure(
+            turn.disclosure,
+            turn.language,
+            turn.context.businessName
+        );
+        turn.response = `${disclosure}\n\n${turn.response}`;
+        turn.disclosed = true;
+    }
+
+    /**
+     * Track questions the knowledge base could not answer and count hits
+     * on the sources that were used; never fails the turn
+     * @param {Object} turn - Completed turn
+     */
+    async recordKnowledgeOutcome(turn) {
+        const { knowledge } = turn;
+
+        if (!knowledge.isConfident && this.isQuestion(turn)) {
+            await this.unansweredQuestionService.track({
+                question: turn.input,
+                businessId: turn.businessId,
+                sessionId: turn.sessionId,
+                conversationId: turn.conversationId,
+                language: turn.language,
+                contextSources: knowledge.contextSources,
+                confidenceScore: knowledge.confidenceScore,
+                conversationContext: {
+                    channel: turn.channel,
+                    recent_messages: turn.context.conversationHistory
+                        .slice(-5)
+                        .map((m) => ({
+                            type: m.senderType,
+                            content: (m.messageText || "").substring(0, 100),
+                        })),
+                    current_state: turn.context.currentState,
+                    intent: turn.analysis?.intent,
+                },
+            });
+        }
+
+        if (knowledge.contextSources.length === 0) return;
+
+        try {
+            await Promise.all(
+                ["template", "context", "faq"].map((type) =>
+                    this.contextSearchService.updateSearchHits(
+                        knowledge.contextSources
+                            .filter((s) => s.type === type)
+                            .map((s) => s.id),
+                        type
+                    )
+                )
+            );
+        } catch (error) {
+            logger.error("Failed to update search hits", {
+                businessId: turn.businessId,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * Create or move the conversation's lead from the turn's funnel state;
+     * tester sessions never become leads. Never fails the turn
+     * @param {Object} turn - Completed turn
+     */
+    async recordLeadProgress(turn) {
+        if (turn.sandbox || !turn.conversationId || !turn.clientId) return;
+
+        try {
+            await this.leadService.recordTurn({
+                businessId: turn.businessId,
+                conversationId: turn.conversationId,
+                clientId: turn.clientId,
+                channel: turn.channel,
+                funnelState: turn.newState,
+                funnel: turn.funnel,
+                analysis: turn.analysis,
+                message: turn.input,
+                messageId: turn.messageId,
+                customerMessages:
+                    turn.context.conversationHistory.filter(
+                        (m) => m.senderType === "customer"
+                    ).length + 1,
+            });
+        } catch (error) {
+            logger.error("Failed to record lead progress", {
+                businessId: turn.businessId,
+                conversationId: turn.conversationId,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * Whether a message asks something the business should be able to answer
+     * Greetings and small talk are not knowledge gaps
+     * @param {Object} turn - Turn
+     * @returns {boolean} Whether the message is a question
+     */
+    isQuestion(turn) {
+        const analysis = turn.analysis || {};
+        return (
+            (analysis.questions && analysis.questions.length > 0) ||
+            turn.input.includes("?") ||
+            this.processor.requiresHumanIntervention(analysis, turn.input)
+        );
+    }
+
+    /**
+     * Shape the turn into the result returned to channels
+     * @param {Object} turn - Completed turn
+     * @returns {Object} Turn result
+     */
+    buildResult(turn) {
+        const result = {
+            success: !turn.error && !turn.blocked,
+            response: turn.response,
+            quick_replies: turn.quickReplies,
+            analysis: turn.analysis,
+            newState: turn.newState,
+            confidence_score: turn.knowledge.confidenceScore,
+            is_answered: turn.knowledge.isConfident,
+            context_sources: turn.knowledge.contextSources,
+            tool_calls: turn.toolExecutions.map((execution) => ({
+                function_name: execution.function_name,
+                status: execution.status,
+                latency_ms: execution.latency_ms,
+            })),
+            security_validation: {
+                input_safe: !turn.blocked,
+                response_safe: turn.responseFlags.length === 0,
+                input_flags: turn.inputFlags,
+                response_flags: turn.responseFlags,
+            },
+            human_handoff: turn.handoffRequested,
+            after_hours: !!turn.afterHours,
+            human_follow_up_at: turn.humanFollowUp?.at || null,
+            bot_paused: turn.botPaused,
+            already_answered: turn.alreadyAnswered,
+            conversationId: turn.conversationId,
+            record: turn.record || null,
+            responseTime: turn.responseTime,
+        };
+
+        if (turn.blocked) {
+            result.blocked = true;
+            result.error = "Input contains potentially harmful content";
+        }
+        if (turn.error) {
+            result.error = turn.error.message;
+            result.errorType = turn.error.constructor.name;
+        }
+        return result;
+    }
+}
+
+ConversationEngine.FALLBACK_REPLY = FALLBACK_REPLY;
+
+module.exports = ConversationEngine;
@@ -0,0 +1,345 @@
+"use strict";
+
+const { Op } = require("sequelize");
+const { Conversation, Message, Client, Business } = require("../../models");
+const ChannelAdapter = require("./channelAdapter");
+const { resolveBusinessHours } = require("../businessHours");
+const { resolveFunnel } = require("../funnelDefinition");
+const { resolveBotResumeMinutes, isBotPaused } = require("../agentTakeover");
+const {
+    CLIENT_FACT_FIELDS,
+    extractFacts,
+    mergeFacts,
+} = require("../qualificationFacts");
+
+const HISTORY_LIMIT = 10;
+
+/**
+ * Instagram Channel Adapter
+ * Loads and stores a DM conversation: finds or creates the client and the
+ * open conversation, reads recent messages as history, records the customer
+ * message with its analysis, keeps contact details the customer gives on
+ * the client and queues the reply for delivery. Conversations an agent has
+ * taken over get no reply until the agent's idle period runs out. A retried
+ * turn reuses the message it stored and is not answered twice. WhatsApp
+ * and Telegram messages, mapped onto the same event shape, are stored the
+ * same way
+ * Follows Single Responsibility Principle - only handles Instagram conversation storage
+ */
+class InstagramChannelAdapter extends ChannelAdapter {
+    /**
+     * @param {Object} options - Adapter options
+     * @param {Object} options.platformSource - Account the message was sent to
+     * @param {string} options.senderId - Instagram-scoped ID (WhatsApp ID,
+     *   Telegram chat ID) of the customer
+     * @param {Object} options.message - Messaging event message ({ mid, text,
+     *   attachments, quick_reply, reply_to })
+     * @param {Object} options.messageDelivery - MessageDeliveryService instance
+     */
+    constructor(options = {}) {
+        super({
+            channel: options.platformSource.platform_type || "instagram",
+            businessId: options.platformSource.business_id,
+        });
+        this.platformSource = options.platformSource;
+        this.senderId = String(options.senderId);
+        this.message = options.message || {};
+        this.messageDelivery = options.messageDelivery;
+
+        this.client = null;
+        this.conversation = null;
+        this.storedMessage = null;
+    }
+
+    /**
+     * Find or create the client and open conversation and load history
+     * @param {Object} turn - Turn being processed
+     * @returns {Promise<Object>} Conversation context
+     */
+    async loadContext(turn) {
+        const business = await Business.findByPk(this.businessId, {
+            attributes: [
+                "id",
+                "company_name",
+                "business_type",
+                "primary_language",
+                "ai_disclosure",
+                "business_hours",
+                "timezone",
+                "after_hours_policy",
+                "funnel_definition",
+                "bot_resume_minutes",
+            ],
+        });
+
+        this.client = await this.findOrCreateClient();
+        // A retried turn continues in the conversation it stored the
+        // message in, without storing it again
+        this.storedMessage = await this.findStoredMessage(this.client);
+        this.conversation = this.storedMessage
+            ? this.storedMessage.conversation
+            : await this.findOrCreateConversation(
+                  this.client,
+                  resolveFunnel(business?.funnel_definition).initial_state
+              );
+        turn.conversationId = this.conversation.id;
+        turn.clientId = this.client.id;
+
+        const botPaused = isBotPaused(
+            this.conversation,
+            resolveBotResumeMinutes(business),
+            new Date()
+        );
+        // The agent went quiet: the bot takes the conversation back
+        if (this.conversation.is_bot_active === false && !botPaused) {
+            await this.conversation.update({ is_bot_active: true });
+        }
+
+        const recentMessages = await Message.findAll({
+            where: { conversation_id: this.conversation.id },
+            order: [["message_timestamp", "DESC"]],
+            limit: HISTORY_LIMIT,
+        });
+
+        const defaults = ChannelAdapter.defaultContext();
+        return {
+            currentState:
+                this.conversation.funnel_state || defaults.currentState,
+            businessType: business?.business_type || defaults.businessType,
+            businessName: business?.company_name || defaults.businessName,
+            language:
+                this.conversation.detected_language ||
+                business?.primary_language ||
+                defaults.language,
+            // Oldest first, as the prompts read it
+            conversationHistory: recentMessages.reverse().map((msg) => ({
+                senderType: msg.sender_type,
+                messageText: msg.message_text,
+                timestamp: msg.message_timestamp,
+            })),
+            leadScore: this.conversation.lead_score || 0,
+            sentimentScore: Number(this.conversation.sentiment_score) || 0,
+            aiDisclosure: business?.ai_disclosure || null,
+            businessHours: resolveBusinessHours(business),
+            afterHoursPolicy: business?.after_hours_policy || null,
+            funnelDefinition: business?.funnel_definition || null,
+            botPaused,
+            alreadyAnswered: this.storedMessage
+                ? await this.hasReply(this.storedMessage)
+                : false,
+        };
+    }
+
+    /**
+     * Record the customer message, update the conversation and send the reply
+     * @param {Object} turn - Completed turn
+     */
+    async recordTurn(turn) {
+        const analysis = turn.analysis || {};
+        // Halted turns (rate limited, blocked) carry no real analysis
+        const analyzed = !turn.error && !turn.halted;
+        const facts = analyzed ? extractFacts(analysis) : {};
+        const hasFacts = Object.keys(facts).length > 0;
+
+        const customerMessage =
+            this.storedMessage ||
+            (await Message.create({
+                conversation_id: this.conversation.id,
+                sender_type: "customer",
+                message_text: this.message.text || "Media message",
+                platform_message_id: this.message.mid || null,
+                message_metadata: messageMetadata(this.message),
+                sentiment_score: clamp(analysis.sentiment, -1, 1),
+                intent_classification: analysis.intent || null,
+                extracted_entities: hasFacts ? { qualification: facts } : null,
+                detected_language: turn.language,
+                message_timestamp: new Date(),
+            }));
+        turn.messageId = customerMessage.id;
+
+        const clientUpdates = mergeFacts(
+            this.client,
+            facts,
+            CLIENT_FACT_FIELDS,
+            {
+                messageId: customerMessage.id,
+                text: customerMessage.message_text,
+                at: customerMessage.message_timestamp,
+            }
+        );
+        if (clientUpdates) await this.client.update(clientUpdates);
+
+        const updates = {
+            message_count:
+                (this.conversation.message_count || 0) +
+                (this.storedMessage ? 0 : 1) +
+                (turn.botPaused ? 0 : 1),
+            last_activity: new Date(),
+        };
+        if (analyzed) {
+            updates.funnel_state = turn.newState;
+            updates.customer_intent = analysis.intent || null;
+            updates.lead_score = Math.round(clamp(analysis.lead_score, 0, 100));
+            updates.sentiment_score = clamp(analysis.sentiment, -1, 1);
+            if (analysis.requires_human) updates.requires_human = true;
+        }
+        if (turn.handoffRequested) updates.requires_human = true;
+        // Out of hours, the team picks it up when the business opens
+        if (turn.humanFollowUp) {
+            updates.requires_human = true;
+            updates.human_takeover_reason = turn.humanFollowUp.reason;
+            updates.human_follow_up_at = turn.humanFollowUp.at;
+        }
+        await this.conversation.update(updates);
+        if (turn.botPaused) return;
+
+        // The delivery worker retries the reply if the first send fails
+        const reply = await this.messageDelivery.queueMessage({
+            conversationId: this.conversation.id,
+            platformSourceId: this.platformSource.id,
+            recipientId: this.senderId,
+            text: turn.response,
+            senderType: "bot",
+            ...(turn.quickReplies?.length > 0 && {
+                metadata: { quick_replies: turn.quickReplies },
+            }),
+        });
+        await this.messageDelivery.deliver(reply, this.platformSource);
+        turn.record = reply;
+    }
+
+    /**
+     * Customer message a failed or abandoned attempt of this turn already
+     * stored, found by its platform message ID
+     * @param {Object} client - Client
+     * @returns {Promise<Object|null>} Message with its conversation
+     */
+    async findStoredMessage(client) {
+        if (!this.message.mid) return null;
+
+        return Message.findOne({
+            where: {
+                platform_message_id: String(this.message.mid),
+                sender_type: "customer",
+            },
+            include: [
+                {
+                    model: Conversation,
+                    as: "conversation",
+                    where: {
+                        client_id: client.id,
+                        source_id: this.platformSource.id,
+                    },
+                },
+            ],
+        });
+    }
+
+    /**
+     * Whether a bot reply was queued after a stored customer message, so a
+     * retried turn must not answer it again
+     * @param {Object} message - Stored customer message
+     * @returns {Promise<boolean>} Whether the message has a reply
+     */
+    async hasReply(message) {
+        const reply = await Message.findOne({
+            where: {
+                conversation_id: this.conversation.id,
+                sender_type: "bot",
+                id: { [Op.gt]: message.id },
+            },
+            attributes: ["id"],
+        });
+        return !!reply;
+    }
+
+    /**
+     * @returns {Promise<Object>} Client for the sender
+     */
+    async findOrCreateClient() {
+        const client = await Client.findOne({
+            where: {
+                platform_user_id: this.senderId,
+                business_id: this.businessId,
+            },
+        });
+
+        if (client) {
+            await client.update({ last_contact: new Date() });
+            return client;
+        }
+
+        return Client.create({
+            business_id: this.businessId,
+            platform_user_id: this.senderId,
+            platform_type: this.channel,
+            first_contact: new Date(),
+            last_contact: new Date(),
+        });
+    }
+
+    /**
+     * @param {Object} client - Client
+     * @param {string} initialState - Funnel state new conversations start in
+     * @returns {Promise<Object>} Open conversation of the client on this account
+     */
+    async findOrCreateConversation(client, initialState) {
+        const conversation = await Conversation.findOne({
+            where: {
+                client_id: client.id,
+                source_id: this.platformSource.id,
+                current_state: { [Op.ne]: "closed" },
+            },
+            order: [["last_activity", "DESC"]],
+        });
+        if (conversation) return conversation;
+
+        return this.createConversation(client, initialState);
+    }
+
+    /**
+     * @param {Object} client - Client
+     * @param {string} initialState - Funnel state the conversation starts in
+     * @returns {Promise<Object>} New conversation of the client on this account
+     */
+    async createConversation(client, initialState) {
+        return Conversation.create({
+            business_id: this.businessId,
+            client_id: client.id,
+            source_id: this.platformSource.id,
+            current_state: "active",
+            funnel_state: initialState,
+            message_count: 0,
+            last_activity: new Date(),
+        });
+    }
+}
+
+/**
+ * Attachments, the tapped quick reply, the message replied to and the
+ * email subject and references
+ * @param {Object} message - Messaging event message
+ * @returns {Object|null} Message metadata
+ */
+function messageMetadata(message) {
+    const metadata = {};
+    ["attachments", "quick_reply", "reply_to", "email"].forEach((key) => {
+        if (message[key]) metadata[key] = message[key];
+    });
+    return Object.keys(metadata).length > 0 ? metadata : null;
+}
+
+/**
+ * Clamp a possibly missing number into a range
+ * @param {*} value - Value
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} Clamped value, 0 when not a number
+ */
+function clamp(value, min, max) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return 0;
+    return Math.min(Math.max(number, min), max);
+}
+
+module.exports = InstagramChannelAdapter;
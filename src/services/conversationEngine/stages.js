@@ -0,0 +1,390 @@
+"use strict";
+
+/**
+ * Conversation engine stages
+ * Each stage is { name, run(turn) } and reads or fills fields of the turn;
+ * setting turn.halted stops the remaining stages. Stages get the engine so
+ * they share its services
+ */
+
+const {
+    isIdentityQuestion,
+    isHumanRequest,
+    buildIdentityAnswer,
+    buildHandoffReply,
+} = require("../aiDisclosure");
+const { buildAwayMessage } = require("../afterHours");
+const { outcomeState } = require("../funnelDefinition");
+
+const BLOCKED_REPLY =
+    "I can only help with questions about our business. How can I help you today?";
+const RATE_LIMITED_REPLY =
+    "Thanks for your message! We'll get back to you soon.";
+
+// Same search and scoring parameters for every channel, so a question
+// answers the same way in the tester and in live conversations. The
+// threshold applies to the hybrid retrieval score and only drops content
+// that shares next to nothing with the question
+const RETRIEVAL_THRESHOLD = 0.15;
+const RETRIEVAL_LIMIT = 5;
+const CONFIDENCE_THRESHOLD = 0.7;
+
+// Open times offered as quick replies with a reply that suggests them,
+// unless the turn already booked or moved an appointment
+const MAX_QUICK_REPLIES = 6;
+
+/**
+ * Rate limit the sender and reject unsafe input
+ * @param {Object} engine - Conversation engine
+ * @returns {Object} Stage
+ */
+function guardrailsStage(engine) {
+    return {
+        name: "guardrails",
+        async run(turn) {
+            const { processor, securityGuardrailsService } = engine;
+
+            if (turn.userId && !processor.checkRateLimit(turn.userId)) {
+                turn.rateLimited = true;
+                turn.halted = true;
+                turn.analysis = processor.fallbackAnalysis(turn.message);
+                turn.response = RATE_LIMITED_REPLY;
+                return;
+            }
+
+            const validation = securityGuardrailsService.validateInput(
+                turn.message,
+                {
+                    businessId: turn.businessId,
+                    channel: turn.channel,
+                }
+            );
+            turn.input = validation.sanitizedInput || "";
+            turn.inputFlags = validation.flags || [];
+
+            if (!validation.isSafe) {
+                securityGuardrailsService.logSecurityEvent({
+                    type: "unsafe_input",
+                    severity: "high",
+                    input: turn.message,
+                    flags: turn.inputFlags,
+                    userId: turn.userId,
+                    sessionId: turn.sessionId,
+                });
+
+                turn.blocked = true;
+                turn.halted = true;
+                turn.analysis = processor.createSafeFallbackAnalysis(
+                    turn.inputFlags
+                );
+                turn.response = BLOCKED_REPLY;
+            }
+        },
+    };
+}
+
+/**
+ * Answer "are you a bot?" truthfully and hand the conversation to a person
+ * when the customer asks for one. Both replies come from the disclosure
+ * policy rather than the model, so they cannot be evasive
+ * @param {Object} engine - Conversation engine
+ * @returns {Object} Stage
+ */
+function disclosureStage(engine) {
+    return {
+        name: "disclosure",
+        async run(turn) {
+            const policy = turn.disclosure;
+            const { businessName } = turn.context;
+
+            if (policy.human_handoff && isHumanRequest(turn.input)) {
+                turn.handoffRequested = true;
+                turn.response = buildHandoffReply(turn.language, businessName);
+            } else if (isIdentityQuestion(turn.input)) {
+                turn.response = buildIdentityAnswer(
+                    policy,
+                    turn.language,
+                    businessName
+                );
+                turn.disclosed = true;
+            } else {
+                return;
+            }
+
+            turn.halted = true;
+            turn.analysis = engine.processor.fallbackAnalysis(turn.input);
+        },
+    };
+}
+
+/**
+ * Send the business's away message instead of a model reply while it is
+ * closed, when its after-hours policy asks for one
+ * @param {Object} engine - Conversation engine
+ * @returns {Object} Stage
+ */
+function afterHoursStage(engine) {
+    return {
+        name: "after_hours",
+        async run(turn) {
+            if (!turn.afterHours || turn.afterHours.mode !== "away_message") {
+                return;
+            }
+
+            turn.response = buildAwayMessage(
+                turn.afterHours,
+                turn.language,
+                turn.context.businessName,
+                turn.context.openingStatus
+            );
+            turn.halted = true;
+            turn.analysis = engine.processor.fallbackAnalysis(turn.input);
+        },
+    };
+}
+
+/**
+ * Search the business knowledge base and score how well it answers
+ * @param {Object} engine - Conversation engine
+ * @returns {Object} Stage
+ */
+function retrievalStage(engine) {
+    return {
+        name: "retrieval",
+        async run(turn) {
+            if (!turn.input || !turn.businessId) return;
+
+            const {
+                contextSearchService,
+                confidenceScoringService,
+                aiResponseService,
+            } = engine;
+
+            try {
+                const searchResult = await contextSearchService.searchContexts(
+                    {
+                        query: turn.input,
+                        businessId: turn.businessId,
+                        language: turn.language,
+                        threshold: RETRIEVAL_THRESHOLD,
+                        limit: RETRIEVAL_LIMIT,
+                    }
+                );
+                const contextSources = searchResult.results || [];
+
+                const confidenceResult =
+                    await confidenceScoringService.calculateConfidence({
+                        question: turn.input,
+                        response: "",
+                        contextSources,
+                        semanticScore: contextSources[0]?.similarity_score || 0,
+                        businessConfig: {
+                            confidenceThreshold: CONFIDENCE_THRESHOLD,
+                        },
+                    });
+
+                turn.knowledge = {
+                    contextSources,
+                    contextText: aiResponseService.buildContext(
+                        contextSources,
+                        { company_name: turn.context.businessName }
+                    ),
+                    confidenceScore: confidenceResult.confidence_score,
+                    isConfident: confidenceResult.is_confident,
+                };
+            } catch (error) {
+                // Reply without knowledge rather than not at all
+                engine.logger.error("Knowledge retrieval failed", {
+                    businessId: turn.businessId,
+                    channel: turn.channel,
+                    error: error.message,
+                });
+            }
+        },
+    };
+}
+
+/**
+ * Classify intent, sentiment and buying signals of the message
+ * @param {Object} engine - Conversation engine
+ * @returns {Object} Stage
+ */
+function analysisStage(engine) {
+    return {
+        name: "analysis",
+        async run(turn) {
+            turn.analysis = await engine.processor.analyzeMessageWithAI(
+                turn.input,
+                turn.context,
+                turn.attachments
+            );
+        },
+    };
+}
+
+/**
+ * Move the conversation through the sales funnel
+ * @param {Object} engine - Conversation engine
+ * @returns {Object} Stage
+ */
+function stateTransitionStage(engine) {
+    return {
+        name: "state_transition",
+        async run(turn) {
+            turn.newState = await engine.processor.determineStateTransition(
+                turn.context.currentState,
+                turn.analysis,
+                turn.context.conversationHistory,
+                turn.context
+            );
+        },
+    };
+}
+
+/**
+ * Write the reply, grounded in the retrieved knowledge and in whatever the
+ * business's enabled tools return. A booking the model confirmed through a
+ * tool moves the conversation to the funnel's won state, whatever the state
+ * transition guessed. Open times the model looked up are offered as quick
+ * replies
+ * @param {Object} engine - Conversation engine
+ * @returns {Object} Stage
+ */
+function generationStage(engine) {
+    return {
+        name: "generation",
+        async run(turn) {
+            turn.response = await engine.processor.generateResponse(
+                turn.analysis,
+                turn.newState,
+                turn.context,
+                turn.knowledge,
+                {
+                    conversationId: turn.conversationId,
+                    clientId: turn.clientId,
+                    channel: turn.channel,
+                    language: turn.language,
+                    sandbox: turn.sandbox,
+                    toolExecutions: turn.toolExecutions,
+                }
+            );
+
+            const wonState = outcomeState(turn.funnel, "won");
+            if (wonState && turn.toolExecutions.some(confirmsBooking)) {
+                turn.newState = wonState;
+            }
+            turn.quickReplies = offeredTimes(turn.toolExecutions);
+        },
+    };
+}
+
+/**
+ * @param {Array<Object>} toolExecutions - Tool executions of the turn
+ * @returns {Array<Object>} [{ title, payload }] for the open times of the
+ *   last availability check
+ */
+function offeredTimes(toolExecutions) {
+    const booked = toolExecutions.some(
+        (execution) =>
+            execution.status === "success" &&
+            (execution.result?.booked === true ||
+                execution.result?.rescheduled === true)
+    );
+    if (booked) return [];
+
+    const availability = [...toolExecutions]
+        .reverse()
+        .find(
+            (execution) =>
+                execution.function_name === "check_availability" &&
+                execution.status === "success" &&
+                execution.result?.available === true
+        );
+    if (!availability) return [];
+
+    const { date, open_times: openTimes = [] } = availability.result;
+    return openTimes.slice(0, MAX_QUICK_REPLIES).map((time) => ({
+        title: time,
+        payload: `${date} ${time}`,
+    }));
+}
+
+/**
+ * @param {Object} execution - Tool execution of the turn
+ * @returns {boolean} Whether it booked a confirmed appointment
+ */
+function confirmsBooking(execution) {
+    return (
+        execution.function_name === "book_appointment" &&
+        execution.status === "success" &&
+        execution.result?.booked === true &&
+        execution.result.status === "confirmed"
+    );
+}
+
+/**
+ * Check the reply for leaks and unsafe content before it is sent
+ * @param {Object} engine - Conversation engine
+ * @returns {Object} Stage
+ */
+function outputValidationStage(engine) {
+    return {
+        name: "output_validation",
+        async run(turn) {
+            const { processor, securityGuardrailsService } = engine;
+
+            const validation = securityGuardrailsService.validateResponse(
+                turn.response
+            );
+            turn.responseFlags = validation.flags || [];
+
+            if (!validation.isSafe) {
+                securityGuardrailsService.logSecurityEvent({
+                    type: "unsafe_response",
+                    severity: "high",
+                    response: turn.response,
+                    flags: turn.responseFlags,
+                    userId: turn.userId,
+                    sessionId: turn.sessionId,
+                });
+            }
+
+            turn.response =
+                processor.filterOutput(validation.sanitizedResponse) ||
+                processor.fallbackResponse(turn.newState, turn.analysis);
+        },
+    };
+}
+
+/**
+ * Stages every channel runs, in order
+ * @param {Object} engine - Conversation engine
+ * @returns {Array<Object>} Stages
+ */
+function createDefaultStages(engine) {
+    return [
+        guardrailsStage(engine),
+        disclosureStage(engine),
+        afterHoursStage(engine),
+        retrievalStage(engine),
+        analysisStage(engine),
+        stateTransitionStage(engine),
+        generationStage(engine),
+        outputValidationStage(engine),
+    ];
+}
+
+module.exports = {
+    createDefaultStages,
+    guardrailsStage,
+    disclosureStage,
+    afterHoursStage,
+    retrievalStage,
+    analysisStage,
+    stateTransitionStage,
+    generationStage,
+    outputValidationStage,
+    BLOCKED_REPLY,
+    RATE_LIMITED_REPLY,
+    RETRIEVAL_THRESHOLD,
+};
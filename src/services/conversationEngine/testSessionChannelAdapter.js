@@ -0,0 +1,126 @@
+"use strict";
+
+const { TestSession, TestMessage, Business } = require("../../models");
+const ChannelAdapter = require("./channelAdapter");
+const { resolveBusinessHours } = require("../businessHours");
+
+const HISTORY_LIMIT = 10;
+
+/**
+ * Test Session Channel Adapter
+ * Runs chatbot tester sessions through the conversation engine: history
+ * comes from the session's test messages and the funnel state is kept in
+ * the session metadata. Writes go through ChatbotTestingService so session
+ * statistics stay in one place
+ * Follows Single Responsibility Principle - only handles test session storage
+ */
+class TestSessionChannelAdapter extends ChannelAdapter {
+    /**
+     * @param {Object} options - Adapter options
+     * @param {number} options.sessionId - Test session ID
+     * @param {number} options.businessId - Business ID
+     * @param {Object} options.testingService - ChatbotTestingService instance
+     */
+    constructor(options = {}) {
+        super({
+            channel: "test_session",
+            businessId: options.businessId,
+            sandbox: true,
+        });
+        this.sessionId = options.sessionId;
+        this.testingService = options.testingService;
+        this.session = null;
+    }
+
+    /**
+     * Load the session history and funnel state
+     * @param {Object} turn - Turn being processed
+     * @returns {Promise<Object>} Conversation context
+     */
+    async loadContext(turn) {
+        turn.sessionId = this.sessionId;
+
+        this.session = await TestSession.findByPk(this.sessionId);
+        const messages = await TestMessage.findAll({
+            where: { session_id: this.sessionId },
+            order: [["sequence_number", "DESC"]],
+            limit: HISTORY_LIMIT,
+        });
+        const business = await Business.findByPk(this.businessId);
+
+        const defaults = ChannelAdapter.defaultContext();
+        return {
+            currentState:
+                this.session?.metadata?.funnel_state || defaults.currentState,
+            businessType: business?.business_type || defaults.businessType,
+            businessName: business?.company_name || defaults.businessName,
+            language: business?.primary_language || defaults.language,
+            conversationHistory: messages
+                .filter((msg) => msg.message_type !== "system")
+                .reverse()
+                .map((msg) => ({
+                    senderType:
+                        msg.message_type === "user" ? "customer" : "bot",
+                    messageText: msg.content,
+                    timestamp: msg.created_at,
+                })),
+            leadScore: 0,
+            sentimentScore: 0,
+            aiDisclosure: business?.ai_disclosure || null,
+            businessHours: resolveBusinessHours(business),
+            afterHoursPolicy: business?.after_hours_policy || null,
+            funnelDefinition: business?.funnel_definition || null,
+        };
+    }
+
+    /**
+     * Save the test message, the reply or error and the session statistics
+     * Blocked input is not stored, matching what the tester always did
+     * @param {Object} turn - Completed turn
+     */
+    async recordTurn(turn) {
+        if (turn.blocked) return;
+
+        const service = this.testingService;
+        await service.saveUserMessage({
+            sessionId: this.sessionId,
+            businessId: this.businessId,
+            content: turn.input || turn.message,
+            sequenceNumber: await service.getNextSequenceNumber(this.sessionId),
+            securityFlags: turn.inputFlags,
+        });
+
+        if (turn.error) {
+            await service.saveErrorMessage({
+                sessionId: this.sessionId,
+                businessId: this.businessId,
+                error: turn.error.message,
+                sequenceNumber: await service.getNextSequenceNumber(
+                    this.sessionId
+                ),
+            });
+            return;
+        }
+
+        turn.record = await service.saveAssistantMessage({
+            sessionId: this.sessionId,
+            businessId: this.businessId,
+            content: turn.response,
+            confidenceScore: turn.knowledge.confidenceScore,
+            isAnswered: turn.knowledge.isConfident,
+            contextSources: turn.knowledge.contextSources,
+            responseTime: turn.responseTime,
+            sequenceNumber: await service.getNextSequenceNumber(this.sessionId),
+            securityFlags: turn.responseFlags,
+        });
+
+        await service.updateSessionStats(this.sessionId, {
+            isAnswered: turn.knowledge.isConfident,
+            responseTime: turn.responseTime,
+            confidenceScore: turn.knowledge.confidenceScore,
+            funnelState: turn.newState,
+        });
+    }
+}
+
+module.exports = TestSessionChannelAdapter;
@@ -0,0 +1,672 @@
+"use strict";
+
+const crypto = require("crypto");
+
+/**
+ * Email MIME mapping
+ * Parses raw inbound mail into the messaging events the Instagram webhook
+ * delivers ({ sender, message }), so routing, the inbox and the channel
+ * adapter handle it the same way, and builds the plain text replies sent
+ * over SMTP. The message text the assistant sees has quoted history and
+ * signatures stripped. Message-ID, In-Reply-To and References carry the
+ * thread: the Message-ID is the message's mid
+ */
+
+// Header the inbound mail forwarder sends the mailbox's webhook_secret in
+const EMAIL_SECRET_HEADER = "x-email-webhook-secret";
+
+// Longest References header sent; older IDs are dropped first
+const MAX_REFERENCES = 20;
+const QP_LINE_LENGTH = 76;
+
+// Lines introducing the quoted message in a reply, one per mail client
+// language ("On Mon, 3 Jun 2030, Anna <anna@example.com> wrote:")
+const ATTRIBUTION_PATTERNS = [
+    /^On\s.+\swrote:$/i,
+    /^Am\s.+\sschrieb\s.*:$/i,
+    /^Le\s.+\sa\sécrit\s?:$/i,
+    /^El\s.+\sescribió:$/i,
+    /^Op\s.+\sschreef\s.*:$/i,
+    /^Il\s.+\sha\sscritto:$/i,
+];
+// Words attribution lines start with, when the client wrapped them
+const ATTRIBUTION_STARTS = /^(On|Am|Le|El|Op|Il)\s/i;
+const FORWARD_SEPARATOR = /^-{2,}\s*(Original|Forwarded) Message\s*-{2,}/i;
+// First header of the block Outlook puts above the quoted message
+const OUTLOOK_HEADER = /^(From|Von|De|Van|Da):\s/i;
+const OUTLOOK_HEADER_FIELDS =
+    /^(Sent|Date|To|Subject|Gesendet|Datum|Envoyé|Enviado|Verzonden|Inviato):\s/i;
+const MOBILE_SIGNATURE = /^(Sent from my\s|Get Outlook for\s)/i;
+
+/**
+ * @param {string} address - Email address
+ * @returns {string|null} Address as mailboxes are matched: trimmed, lowercase
+ */
+function normalizeAddress(address) {
+    if (typeof address !== "string" || !address.trim()) return null;
+    return address.trim().toLowerCase();
+}
+
+/**
+ * Parse a raw email
+ * @param {Buffer|string} raw - RFC 5322 message
+ * @returns {Object} { messageId, inReplyTo, references, from, to, subject,
+ *   date, text, html, attachments, automated }
+ */
+function parseEmail(raw) {
+    // Bytes are kept one per character until a part's charset is known
+    const source = Buffer.isBuffer(raw)
+        ? raw.toString("latin1")
+        : Buffer.from(String(raw), "utf8").toString("latin1");
+    const root = parsePart(source.replace(/\r\n/g, "\n"));
+    const content = { text: null, html: null, attachments: [] };
+    collectContent(root, content);
+
+    const headers = root.headers;
+    const date = new Date(header(headers, "date"));
+    return {
+        messageId: parseMessageIds(header(headers, "message-id"))[0] || null,
+        inReplyTo: parseMessageIds(header(headers, "in-reply-to"))[0] || null,
+        references: parseMessageIds(header(headers, "references")),
+        from: parseAddressList(header(headers, "from"))[0] || null,
+        to: parseAddressList(header(headers, "to")),
+        subject: decodeWords(header(headers, "subject") || "").trim() || null,
+        date: Number.isNaN(date.getTime()) ? null : date,
+        text: content.text,
+        html: content.html,
+        attachments: content.attachments,
+        automated: isAutomated(headers),
+    };
+}
+
+/**
+ * @param {string} source - Part with headers, "\n" line endings
+ * @returns {Object} { headers, type, params, disposition, body, parts }
+ */
+function parsePart(source) {
+    // Headers end at the first empty line; a part may have none
+    const lines = source.split("\n");
+    const blank = lines.indexOf("");
+    const headerText = lines
+        .slice(0, blank === -1 ? lines.length : blank)
+        .join("\n");
+    const body = blank === -1 ? "" : lines.slice(blank + 1).join("\n");
+
+    const headers = parseHeaders(headerText);
+    const contentType = parseHeaderParams(
+        header(headers, "content-type") || "text/plain"
+    );
+    const part = {
+        headers,
+        type: contentType.value,
+        params: contentType.params,
+        disposition: parseHeaderParams(
+            header(headers, "content-disposition") || ""
+        ),
+        body,
+        parts: [],
+    };
+
+    if (part.type.startsWith("multipart/") && part.params.boundary) {
+        part.parts = splitMultipart(body, part.params.boundary).map(parsePart);
+    }
+    return part;
+}
+
+/**
+ * @param {string} text - Header block
+ * @returns {Object} Lowercase header name -> values, in order
+ */
+function parseHeaders(text) {
+    const headers = {};
+    // Folded headers continue on lines starting with whitespace
+    const unfolded = text.replace(/\n[ \t]+/g, " ");
+
+    unfolded.split("\n").forEach((line) => {
+        const colon = line.indexOf(":");
+        if (colon <= 0) return;
+        const name = line.slice(0, colon).trim().toLowerCase();
+        // Raw 8-bit headers are almost always UTF-8
+        const value = Buffer.from(line.slice(colon + 1), "latin1")
+            .toString("utf8")
+            .trim();
+        (headers[name] = headers[name] || []).push(value);
+    });
+    return headers;
+}
+
+/**
+ * @param {Object} headers - Parsed headers
+ * @param {string} name - Lowercase header name
+ * @returns {string|null} First value of the header
+ */
+function header(headers, name) {
+    return headers[name] ? headers[name][0] : null;
+}
+
+/**
+ * Split a header value from its parameters
+ * ("text/plain; charset=utf-8" -> { value, params: { charset } })
+ * @param {string} value - Header value
+ * @returns {Object} { value, params }
+ */
+function parseHeaderParams(value) {
+    const [main, ...rest] = value.match(/(?:[^;"]|"(?:\\.|[^"])*")+/g) || [""];
+    const params = {};
+
+    rest.forEach((param) => {
+        const equals = param.indexOf("=");
+        if (equals === -1) return;
+        let name = param.slice(0, equals).trim().toLowerCase();
+        let paramValue = param.slice(equals + 1).trim();
+
+        if (paramValue.startsWith('"') && paramValue.endsWith('"')) {
+            paramValue = paramValue.slice(1, -1).replace(/\\(.)/g, "$1");
+        }
+        // RFC 2231 extended value: charset'language'percent-encoded
+        if (name.endsWith("*")) {
+            name = name.slice(0, -1);
+            const [, charset, encoded] =
+                paramValue.match(/^([^']*)'[^']*'(.*)$/) || [];
+            if (encoded !== undefined) {
+                paramValue = decodeCharset(percentDecode(encoded), charset);
+            }
+        }
+        params[name] = decodeWords(paramValue);
+    });
+
+    return { value: main.trim().toLowerCase(), params };
+}
+
+/**
+ * @param {string} body - Multipart body
+ * @param {string} boundary - Boundary parameter
+ * @returns {Array<string>} Body parts between the boundaries
+ */
+function splitMultipart(body, boundary) {
+    const delimiter = `--${boundary}`;
+    const parts = [];
+    let current = null;
+
+    for (const line of body.split("\n")) {
+        const trimmed = line.trimEnd();
+        if (trimmed === delimiter || trimmed === `${delimiter}--`) {
+            if (current) parts.push(current.join("\n"));
+            if (trimmed !== delimiter) return parts;
+            current = [];
+            continue;
+        }
+        if (current) current.push(line);
+    }
+
+    // Unterminated multipart: keep what arrived
+    if (current) parts.push(current.join("\n"));
+    return parts;
+}
+
+/**
+ * Find the text, HTML and attachments of a message. The first text/plain
+ * and text/html parts outside attachments are the body; in
+ * multipart/alternative both are versions of the same text
+ * @param {Object} part - Parsed part
+ * @param {Object} content - { text, html, attachments }, filled in
+ */
+function collectContent(part, content) {
+    if (part.parts.length > 0) {
+        part.parts.forEach((child) => collectContent(child, content));
+        return;
+    }
+
+    const filename =
+        part.disposition.params.filename || part.params.name || null;
+    const isAttachment =
+        part.disposition.value === "attachment" ||
+        (filename && !part.type.startsWith("text/")) ||
+        part.type === "message/rfc822";
+
+    if (!isAttachment && part.type === "text/plain" && content.text === null) {
+        content.text = decodeBody(part);
+        return;
+    }
+    if (!isAttachment && part.type === "text/html" && content.html === null) {
+        content.html = decodeBody(part);
+        return;
+    }
+    if (isAttachment) {
+        content.attachments.push({
+            type: attachmentType(part.type),
+            payload: {
+                mime_type: part.type,
+                ...(filename && { filename }),
+                size: decodeTransfer(part).length,
+            },
+        });
+    }
+}
+
+/**
+ * @param {string} mimeType - Content type of an attachment
+ * @returns {string} Attachment type of the messaging event
+ */
+function attachmentType(mimeType) {
+    const [kind] = mimeType.split("/");
+    return ["image", "audio", "video"].includes(kind) ? kind : "document";
+}
+
+/**
+ * @param {Object} part - Parsed text part
+ * @returns {string} Decoded text
+ */
+function decodeBody(part) {
+    return decodeCharset(decodeTransfer(part), part.params.charset);
+}
+
+/**
+ * @param {Object} part - Parsed part
+ * @returns {Buffer} Body bytes
+ */
+function decodeTransfer(part) {
+    const encoding = (
+        header(part.headers, "content-transfer-encoding") || ""
+    ).toLowerCase();
+
+    if (encoding === "base64") {
+        return Buffer.from(part.body.replace(/[^A-Za-z0-9+/=]/g, ""), "base64");
+    }
+    if (encoding === "quoted-printable") {
+        return decodeQuotedPrintable(part.body);
+    }
+    return Buffer.from(part.body, "latin1");
+}
+
+/**
+ * @param {string} text - Quoted-printable text, one character per byte
+ * @returns {Buffer} Decoded bytes
+ */
+function decodeQuotedPrintable(text) {
+    const bytes = [];
+    // Soft line breaks join lines; "=XX" is a byte
+    const joined = text.replace(/=[ \t]*\n/g, "");
+
+    for (let i = 0; i < joined.length; i++) {
+        const hex = joined.slice(i + 1, i + 3);
+        if (joined[i] === "=" && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+            bytes.push(parseInt(hex, 16));
+            i += 2;
+        } else {
+            bytes.push(joined.charCodeAt(i) & 0xff);
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * @param {string} text - Percent-encoded text
+ * @returns {Buffer} Decoded bytes
+ */
+function percentDecode(text) {
+    return decodeQuotedPrintable(text.replace(/%/g, "="));
+}
+
+/**
+ * @param {Buffer} bytes - Text bytes
+ * @param {string} charset - Declared charset, UTF-8 when missing or unknown
+ * @returns {string} Text
+ */
+function decodeCharset(bytes, charset) {
+    try {
+        return new TextDecoder(charset || "utf-8").decode(bytes);
+    } catch (error) {
+        return new TextDecoder("utf-8").decode(bytes);
+    }
+}
+
+/**
+ * Decode RFC 2047 encoded words ("=?UTF-8?B?...?=") in a header value
+ * @param {string} value - Header value
+ * @returns {string} Decoded value
+ */
+function decodeWords(value) {
+    return value
+        .replace(/(\?=)\s+(=\?)/g, "$1$2")
+        .replace(
+            /=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g,
+            (word, charset, encoding, text) => {
+                const bytes =
+                    encoding.toUpperCase() === "B"
+                        ? Buffer.from(text, "base64")
+                        : decodeQuotedPrintable(text.replace(/_/g, " "));
+                // Language suffix: "UTF-8*en"
+                return decodeCharset(bytes, charset.split("*")[0]);
+            }
+        );
+}
+
+/**
+ * @param {string} value - Address list header ("Anna <anna@example.com>, ...")
+ * @returns {Array<Object>} [{ name, address }], addresses normalized
+ */
+function parseAddressList(value) {
+    if (!value) return [];
+
+    // Commas inside quoted names or angle brackets do not separate addresses
+    const entries = value.match(/(?:[^,"<]|"(?:\\.|[^"])*"|<[^>]*>)+/g) || [];
+    return entries
+        .map((entry) => {
+            const angle = entry.match(/<([^>]*)>/);
+            const address = normalizeAddress(
+                angle ? angle[1] : entry.replace(/\(.*\)/g, "")
+            );
+            if (!address || !/^[^\s@]+@[^\s@]+$/.test(address)) return null;
+
+            const name = angle
+                ? decodeWords(entry.slice(0, angle.index).trim())
+                      .replace(/^"|"$/g, "")
+                      .trim()
+                : "";
+            return { name: name || null, address };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * @param {string} value - Message-ID, In-Reply-To or References header
+ * @returns {Array<string>} Message IDs with their angle brackets
+ */
+function parseMessageIds(value) {
+    return value ? value.match(/<[^<>\s]+>/g) || [] : [];
+}
+
+/**
+ * Auto-replies, bounces and bulk mail are not answered, so two auto
+ * responders cannot keep replying to each other
+ * @param {Object} headers - Parsed headers
+ * @returns {boolean} Whether the mail was sent by a machine
+ */
+function isAutomated(headers) {
+    const autoSubmitted = (header(headers, "auto-submitted") || "no")
+        .toLowerCase()
+        .trim();
+    const precedence = (header(headers, "precedence") || "").toLowerCase();
+    const from = parseAddressList(header(headers, "from"))[0];
+
+    return (
+        autoSubmitted !== "no" ||
+        ["bulk", "junk", "list", "auto_reply"].includes(precedence) ||
+        !!header(headers, "x-autoreply") ||
+        !!header(headers, "x-autorespond") ||
+        header(headers, "return-path") === "<>" ||
+        /^(mailer-daemon|postmaster)@/.test(from?.address || "")
+    );
+}
+
+/**
+ * @param {string} html - HTML body
+ * @returns {string} Its text, without quoted messages
+ */
+function htmlToText(html) {
+    return html
+        .replace(/<(style|script|head)[\s\S]*?<\/\1>/gi, "")
+        .replace(/<blockquote[\s\S]*?<\/blockquote>/gi, "")
+        .replace(/<div[^>]*class="?gmail_quote[\s\S]*$/i, "")
+        .replace(/<br\s*\/?>/gi, "\n")
+        .replace(/<\/(p|div|li|tr|h[1-6])>/gi, "\n")
+        .replace(/<[^>]+>/g, "")
+        .replace(/&nbsp;/g, " ")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"')
+        .replace(/&#(\d+);/g, (entity, code) =>
+            String.fromCodePoint(parseInt(code, 10))
+        )
+        .replace(/&amp;/g, "&")
+        .replace(/[ \t]+\n/g, "\n")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+}
+
+/**
+ * Cut a reply down to what the sender wrote: the quoted message (below an
+ * attribution line, a forward separator or an Outlook header block),
+ * lines quoted with ">" and the signature are removed
+ * @param {string} text - Plain text body
+ * @returns {string} The new text, the whole text when nothing is left
+ */
+function stripQuotedText(text) {
+    const lines = String(text || "")
+        .replace(/\r\n/g, "\n")
+        .split("\n");
+    let end = lines.length;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        const nextLine = (lines[i + 1] || "").trim();
+
+        const isAttribution =
+            ATTRIBUTION_PATTERNS.some((pattern) => pattern.test(line)) ||
+            // Long attribution lines get wrapped by the mail client
+            (ATTRIBUTION_STARTS.test(line) &&
+                ATTRIBUTION_PATTERNS.some((pattern) =>
+                    pattern.test(`${line} ${nextLine}`)
+                ));
+        const isOutlookHeader =
+            OUTLOOK_HEADER.test(line) &&
+            lines
+                .slice(i + 1, i + 5)
+                .some((next) => OUTLOOK_HEADER_FIELDS.test(next.trim()));
+        // "-- " is the standard signature delimiter
+        const isSignature =
+            lines[i].trimEnd() === "--" || MOBILE_SIGNATURE.test(line);
+
+        if (
+            isAttribution ||
+            isOutlookHeader ||
+            isSignature ||
+            FORWARD_SEPARATOR.test(line) ||
+            /^_{10,}$/.test(line)
+        ) {
+            end = i;
+            break;
+        }
+    }
+
+    const stripped = lines
+        .slice(0, end)
+        .filter((line) => !line.trimStart().startsWith(">"))
+        .join("\n")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+    return stripped || String(text || "").trim();
+}
+
+/**
+ * Messaging event of an inbound email. Machine-sent mail and mail without
+ * a sender address are left out
+ * @param {Object} email - Parsed email
+ * @returns {Object|null} { sender, timestamp, message }; message.email has
+ *   the subject, the references and the sender's name
+ */
+function toMessagingEvent(email) {
+    if (!email || email.automated || !email.from) return null;
+
+    const body =
+        email.text !== null ? email.text : htmlToText(email.html || "");
+    const text = stripQuotedText(body) || email.subject;
+    if (!text && email.attachments.length === 0) return null;
+
+    return {
+        sender: { id: email.from.address },
+        timestamp: (email.date || new Date()).getTime(),
+        message: {
+            mid: email.messageId,
+            text,
+            ...(email.attachments.length > 0 && {
+                attachments: email.attachments,
+            }),
+            ...(email.inReplyTo && { reply_to: { mid: email.inReplyTo } }),
+            email: {
+                subject: email.subject,
+                references: email.references,
+                from_name: email.from.name,
+            },
+        },
+    };
+}
+
+/**
+ * @param {string} address - Sending address
+ * @returns {string} New Message-ID on the address's domain
+ */
+function generateMessageId(address) {
+    const domain = String(address).split("@")[1] || "localhost";
+    return `<${crypto.randomUUID()}@${domain}>`;
+}
+
+/**
+ * @param {string} subject - Subject of the message replied to
+ * @returns {string|null} Reply subject
+ */
+function replySubject(subject) {
+    if (!subject) return null;
+    return /^re:/i.test(subject.trim()) ? subject.trim() : `Re: ${subject}`;
+}
+
+/**
+ * Build a plain text email
+ * @param {Object} mail - Message fields
+ * @param {Object} mail.from - { address, name }
+ * @param {string} mail.to - Recipient address
+ * @param {string} mail.subject - Subject
+ * @param {string} mail.text - Body
+ * @param {string} mail.messageId - Message-ID, with angle brackets
+ * @param {string} mail.inReplyTo - Message-ID of the message answered
+ * @param {Array<string>} mail.references - Message-IDs of the thread
+ * @param {Date} mail.date - Date header
+ * @returns {string} RFC 5322 message with CRLF line endings
+ */
+function buildEmail({
+    from,
+    to,
+    subject,
+    text,
+    messageId,
+    inReplyTo = null,
+    references = [],
+    date = new Date(),
+}) {
+    const headers = [
+        `From: ${formatAddress(from)}`,
+        `To: ${formatAddress({ address: to })}`,
+        `Subject: ${encodeHeader(subject || "")}`,
+        `Date: ${date.toUTCString()}`,
+        `Message-ID: ${messageId}`,
+    ];
+    if (inReplyTo) headers.push(`In-Reply-To: ${inReplyTo}`);
+
+    const threadIds = references.slice(-MAX_REFERENCES);
+    if (threadIds.length > 0) {
+        // Folded, one ID per line
+        headers.push(`References: ${threadIds.join("\r\n ")}`);
+    }
+    headers.push(
+        "MIME-Version: 1.0",
+        "Content-Type: text/plain; charset=utf-8",
+        "Content-Transfer-Encoding: quoted-printable"
+    );
+
+    return `${headers.join("\r\n")}\r\n\r\n${encodeQuotedPrintable(
+        text || ""
+    )}\r\n`;
+}
+
+/**
+ * @param {Object} mailbox - { address, name }
+ * @returns {string} Address header value
+ */
+function formatAddress({ address, name }) {
+    const cleanAddress = String(address).replace(/[\r\n<>]/g, "");
+    if (!name) return cleanAddress;
+    return `${encodeHeader(name, true)} <${cleanAddress}>`;
+}
+
+/**
+ * Header value safe to send: line breaks removed, non-ASCII text as an
+ * RFC 2047 encoded word
+ * @param {string} value - Header value
+ * @param {boolean} phrase - Whether the value is a display name
+ * @returns {string} Encoded value
+ */
+function encodeHeader(value, phrase = false) {
+    const clean = String(value).replace(/[\r\n]+/g, " ");
+    if (/[^\x20-\x7e]/.test(clean)) {
+        return `=?UTF-8?B?${Buffer.from(clean, "utf8").toString("base64")}?=`;
+    }
+    // Display names with special characters are quoted
+    if (phrase && /[()<>@,;:\\".[\]]/.test(clean)) {
+        return `"${clean.replace(/(["\\])/g, "\\$1")}"`;
+    }
+    return clean;
+}
+
+/**
+ * @param {string} text - Text
+ * @returns {string} UTF-8 quoted-printable text, CRLF line endings
+ */
+function encodeQuotedPrintable(text) {
+    return text
+        .replace(/\r\n/g, "\n")
+        .split("\n")
+        .map(encodeQuotedPrintableLine)
+        .join("\r\n");
+}
+
+/**
+ * @param {string} line - Line of text
+ * @returns {string} Encoded line, soft-wrapped at 76 characters
+ */
+function encodeQuotedPrintableLine(line) {
+    let encoded = "";
+    for (const byte of Buffer.from(line, "utf8")) {
+        const printable =
+            (byte >= 33 && byte <= 126 && byte !== 61) ||
+            byte === 32 ||
+            byte === 9;
+        encoded += printable ? String.fromCharCode(byte) : hexByte(byte);
+    }
+    // Whitespace at the end of a line would be lost in transit
+    encoded = encoded.replace(/[ \t]$/, (space) =>
+        hexByte(space.charCodeAt(0))
+    );
+
+    const wrapped = [];
+    while (encoded.length > QP_LINE_LENGTH) {
+        let cut = QP_LINE_LENGTH - 1;
+        // Never split an "=XX" sequence
+        const escape = encoded.lastIndexOf("=", cut - 1);
+        if (escape > cut - 3) cut = escape;
+        wrapped.push(`${encoded.slice(0, cut)}=`);
+        encoded = encoded.slice(cut);
+    }
+    wrapped.push(encoded);
+    return wrapped.join("\r\n");
+}
+
+/**
+ * @param {number} byte - Byte
+ * @returns {string} "=XX"
+ */
+function hexByte(byte) {
+    return `=${byte.toString(16).toUpperCase().padStart(2, "0")}`;
+}
+
+module.exports = {
+    EMAIL_SECRET_HEADER,
+    normalizeAddress,
+    parseEmail,
+    stripQuotedText,
+    htmlToText,
+    toMessagingEvent,
+    generateMessageId,
+    replySubject,
+    buildEmail,
+};
@@ -0,0 +1,342 @@
+"use strict";
+
+const { Op } = require("sequelize");
+const {
+    FaqItem,
+    BusinessContextSection,
+    BusinessTemplateResponse,
+    BusinessContextChunk,
+} = require("../models");
+const LLMService = require("./llm");
+const { needsChunking, chunkText } = require("./retrieval/chunker");
+const {
+    HASHING_MODEL,
+    hashEmbedding,
+    cosineSimilarity,
+} = require("./llm/hashingEmbedder");
+const { createChildLogger } = require("../config/logger");
+
+const logger = createChildLogger("embedding");
+
+const REEMBED_BATCH_SIZE = 100;
+
+/**
+ * Embedding Service
+ * Computes and stores embeddings for FAQ items, context sections and
+ * template responses. Uses the business's embedding provider and model
+ * (see LLMService) and falls back to a local hashing embedder when none is
+ * configured or the provider fails; embedding_model records which one made
+ * each vector so stale rows can be re-embedded after a model change. Long
+ * context sections are also stored as embedded passages (chunks)
+ * Follows Single Responsibility Principle - only handles content embeddings
+ */
+class EmbeddingService {
+    /**
+     * @param {Object} options - Service options
+     * @param {LLMService} options.llm - Model gateway
+     */
+    constructor(options = {}) {
+        this.llm = options.llm || new LLMService();
+    }
+
+    /**
+     * Embed texts for a business
+     * @param {Array<string>} texts - Texts
+     * @param {number} businessId - Business whose settings apply
+     * @returns {Promise<Object>} { embeddings, model }
+     */
+    async embedTexts(texts, businessId) {
+        try {
+            if (await this.llm.isAvailable("embedding", businessId)) {
+                const result = await this.llm.embed({
+                    businessId,
+                    input: texts,
+                });
+                return { embeddings: result.embeddings, model: result.model };
+            }
+        } catch (error) {
+            logger.warn("Embedding provider failed, using local embedder", {
+                businessId,
+                error: error.message,
+            });
+        }
+
+        return { embeddings: texts.map(hashEmbedding), model: HASHING_MODEL };
+    }
+
+    /**
+     * Embed a search query
+     * @param {string} text - Query
+     * @param {number} businessId - Business ID
+     * @returns {Promise<Object>} { text, embedding, model }
+     */
+    async embedQuery(text, businessId) {
+        const { embeddings, model } = await this.embedTexts(
+            [text || ""],
+            businessId
+        );
+        return { text, embedding: embeddings[0], model };
+    }
+
+    /**
+     * Model new embeddings for a business are made with
+     * @param {number} businessId - Business ID
+     * @returns {Promise<string>} Model name
+     */
+    async getCurrentModel(businessId) {
+        try {
+            if (await this.llm.isAvailable("embedding", businessId)) {
+                return (await this.llm.resolve("embedding", businessId)).model;
+            }
+        } catch (error) {
+            logger.warn("Failed to resolve embedding model", {
+                businessId,
+                error: error.message,
+            });
+        }
+        return HASHING_MODEL;
+    }
+
+    /**
+     * Similarity of a query to a stored vector. Vectors from different
+     * models are not comparable, except local hashed ones which the query
+     * can always be hashed to match
+     * @param {Object} query - Result of embedQuery
+     * @param {Array<number>} vector - Stored embedding
+     * @param {string} model - Model that made the stored embedding
+     * @returns {number|null} Similarity (0-1), null when not comparable
+     */
+    similarity(query, vector, model) {
+        if (!query || !Array.isArray(vector) || vector.length === 0) {
+            return null;
+        }
+
+        let queryVector = null;
+        if (model === query.model) {
+            queryVector = query.embedding;
+        } else if (model === HASHING_MODEL) {
+            queryVector = hashEmbedding(query.text);
+        }
+        if (!queryVector || queryVector.length !== vector.length) return null;
+
+        return Math.max(0, cosineSimilarity(queryVector, vector));
+    }
+
+    /**
+     * (Re)compute the question, answer and combined embeddings of an FAQ
+     * @param {Object} faq - FaqItem instance
+     * @returns {Promise<boolean>} Whether embeddings were stored
+     */
+    async embedFaqItem(faq) {
+        try {
+            const { embeddings, model } = await this.embedTexts(
+                [faq.question, faq.answer, faqText(faq)],
+                faq.business_id
+            );
+
+            await faq.update({
+                question_embedding: embeddings[0],
+                answer_embedding: embeddings[1],
+                combined_embedding: embeddings[2],
+                embedding_model: model,
+                embedding_updated_at: new Date(),
+            });
+            return true;
+        } catch (error) {
+            logger.error("Failed to embed FAQ item", {
+                faqId: faq.id,
+                businessId: faq.business_id,
+                error: error.message,
+            });
+            return false;
+        }
+    }
+
+    /**
+     * (Re)compute the content embedding of a context section, and its
+     * passages when the section is long
+     * @param {Object} section - BusinessContextSection instance
+     * @returns {Promise<boolean>} Whether the embeddings were stored
+     */
+    async embedContextSection(section) {
+        const embedded = await this.embedContent(section, "context section");
+        if (!embedded) return false;
+
+        try {
+            await BusinessContextChunk.destroy({
+                where: { section_id: section.id },
+            });
+            if (!needsChunking(section.content)) return true;
+
+            const chunks = chunkText(section.content);
+            const { embeddings, model } = await this.embedTexts(
+                chunks,
+                section.business_id
+            );
+            const now = new Date();
+
+            await BusinessContextChunk.bulkCreate(
+                chunks.map((content, index) => ({
+                    section_id: section.id,
+                    business_id: section.business_id,
+                    chunk_index: index,
+                    content,
+                    content_embedding: embeddings[index],
+                    embedding_model: model,
+                    embedding_updated_at: now,
+                }))
+            );
+            return true;
+        } catch (error) {
+            logger.error("Failed to embed context section chunks", {
+                id: section.id,
+                businessId: section.business_id,
+                error: error.message,
+            });
+            return false;
+        }
+    }
+
+    /**
+     * (Re)compute the content embedding of a template response
+     * @param {Object} response - BusinessTemplateResponse instance
+     * @returns {Promise<boolean>} Whether the embedding was stored
+     */
+    async embedTemplateResponse(response) {
+        return this.embedContent(response, "template response");
+    }
+
+    /**
+     * @param {Object} record - Instance with content and content_embedding
+     * @param {string} label - Record kind for logs
+     * @returns {Promise<boolean>} Whether the embedding was stored
+     */
+    async embedContent(record, label) {
+        try {
+            // Emptied content keeps no stale vector around
+            if (!record.content || !record.content.trim()) {
+                await record.update({
+                    content_embedding: null,
+                    embedding_model: null,
+                    embedding_updated_at: null,
+                });
+                return true;
+            }
+
+            const { embeddings, model } = await this.embedTexts(
+                [record.content],
+                record.business_id
+            );
+
+            await record.update({
+                content_embedding: embeddings[0],
+                embedding_model: model,
+                embedding_updated_at: new Date(),
+            });
+            return true;
+        } catch (error) {
+            logger.error(`Failed to embed ${label}`, {
+                id: record.id,
+                businessId: record.business_id,
+                error: error.message,
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Re-embed content that has no embedding or was embedded with another
+     * model than its business uses now, e.g. after switching models
+     * @param {Object} options - Job options
+     * @param {number} options.businessId - Only this business, all when omitted
+     * @param {boolean} options.force - Re-embed everything
+     * @param {number} options.batchSize - Rows loaded per query
+     * @returns {Promise<Object>} Per type { checked, updated, failed }
+     */
+    async reembedStale(options = {}) {
+        const { businessId, force = false } = options;
+        const batchSize = options.batchSize || REEMBED_BATCH_SIZE;
+        const currentModels = new Map();
+
+        const modelFor = async (id) => {
+            if (!currentModels.has(id)) {
+                currentModels.set(id, await this.getCurrentModel(id));
+            }
+            return currentModels.get(id);
+        };
+
+        const jobs = [
+            {
+                type: "faq",
+                model: FaqItem,
+                vector: "combined_embedding",
+                embed: (row) => this.embedFaqItem(row),
+            },
+            {
+                type: "context",
+                model: BusinessContextSection,
+                vector: "content_embedding",
+                embed: (row) => this.embedContextSection(row),
+            },
+            {
+                type: "template",
+                model: BusinessTemplateResponse,
+                vector: "content_embedding",
+                embed: (row) => this.embedTemplateResponse(row),
+                where: {
+                    content: { [Op.and]: [{ [Op.ne]: null }, { [Op.ne]: "" }] },
+                },
+            },
+        ];
+
+        const summary = {};
+        for (const job of jobs) {
+            const counts = { checked: 0, updated: 0, failed: 0 };
+            const where = { ...job.where };
+            if (businessId) where.business_id = businessId;
+
+            let lastId = 0;
+            for (;;) {
+                const rows = await job.model.findAll({
+                    where: { ...where, id: { [Op.gt]: lastId } },
+                    order: [["id", "ASC"]],
+                    limit: batchSize,
+                });
+                if (rows.length === 0) break;
+                lastId = rows[rows.length - 1].id;
+
+                for (const row of rows) {
+                    counts.checked++;
+                    const stale =
+                        force ||
+                        !row[job.vector] ||
+                        row.embedding_model !==
+                            (await modelFor(row.business_id));
+                    if (!stale) continue;
+
+                    if (await job.embed(row)) {
+                        counts.updated++;
+                    } else {
+                        counts.failed++;
+                    }
+                }
+            }
+            summary[job.type] = counts;
+        }
+
+        logger.info("Re-embedding finished", { businessId, force, summary });
+        return summary;
+    }
+}
+
+/**
+ * @param {Object} faq - FAQ item
+ * @returns {string} Question and answer as one text
+ */
+function faqText(faq) {
+    return `Question: ${faq.question}\n\nAnswer: ${faq.answer}`;
+}
+
+EmbeddingService.HASHING_MODEL = HASHING_MODEL;
+
+module.exports = EmbeddingService;
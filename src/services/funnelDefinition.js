@@ -0,0 +1,352 @@
+"use strict";
+
+/**
+ * Conversation funnel definition
+ * The states a business's conversations move through, which states each
+ * one may move to, when to enter a state and how to reply in it. The state
+ * transition may only pick an allowed state, so the model cannot jump
+ * through the funnel. Businesses without a definition use the default
+ * sales funnel. A state can mark the funnel's outcome ("won" is where a
+ * confirmed booking takes the conversation, "lost" where it ends) and the
+ * lead pipeline stage it moves the conversation's lead to
+ */
+
+const FUNNEL_OUTCOMES = ["won", "lost"];
+// Lead pipeline stages (LeadService.LEAD_STAGES) a state can move its lead to
+const LEAD_PIPELINE_STAGES = [
+    "new",
+    "contacted",
+    "qualified",
+    "proposal",
+    "negotiation",
+    "closed_won",
+    "closed_lost",
+];
+const MAX_STATES = 20;
+
+// Without transitions, a state may move to any state
+const DEFAULT_FUNNEL = {
+    initial_state: "initial_contact",
+    states: [
+        {
+            key: "initial_contact",
+            description: "First interaction",
+            response_strategy: "Warm greeting and opening question",
+        },
+        {
+            key: "engaged",
+            description: "Customer is responding and asking questions",
+            response_strategy:
+                "Ask qualifying questions, show interest, reference previous messages",
+            lead_stage: "contacted",
+        },
+        {
+            key: "interested",
+            description: "Clear buying signals detected",
+            response_strategy:
+                "Provide value, address concerns, qualify budget/timeline",
+            lead_stage: "contacted",
+            creates_lead: true,
+        },
+        {
+            key: "qualified",
+            description: "Has budget, authority, need, timeline",
+            response_strategy: "Offer demo/call/meeting",
+            lead_stage: "qualified",
+            creates_lead: true,
+        },
+        {
+            key: "ready_to_convert",
+            description: "Ready for demo/call/purchase",
+            response_strategy: "Make it easy to take next step",
+            lead_stage: "negotiation",
+            creates_lead: true,
+        },
+        {
+            key: "converted",
+            description: "Scheduled meeting or made purchase",
+            lead_stage: "closed_won",
+            creates_lead: true,
+            outcome: "won",
+        },
+        {
+            key: "objection",
+            description: "Has concerns that need addressing",
+            entry_criteria: "Concerns are raised",
+            response_strategy: "Address concerns, provide reassurance",
+        },
+        {
+            key: "lost",
+            description: "No longer interested or unresponsive",
+            entry_criteria:
+                "Only if explicitly stated or very negative sentiment",
+            response_strategy: "Make final attempt or gracefully close",
+            lead_stage: "closed_lost",
+            outcome: "lost",
+        },
+    ],
+};
+
+const STATE_FIELDS = [
+    "key",
+    "description",
+    "entry_criteria",
+    "response_strategy",
+    "transitions",
+    "outcome",
+    "lead_stage",
+    "creates_lead",
+];
+const TEXT_LIMITS = {
+    description: 200,
+    entry_criteria: 500,
+    response_strategy: 500,
+};
+
+/**
+ * The funnel a business's conversations run with
+ * @param {Object|null} definition - Business funnel_definition setting
+ * @returns {Object} Funnel
+ */
+function resolveFunnel(definition) {
+    return definition && Array.isArray(definition.states)
+        ? definition
+        : DEFAULT_FUNNEL;
+}
+
+/**
+ * Validate a funnel sent by the business owner
+ * @param {Object} definition - Funnel to store
+ * @returns {Array<string>} Validation errors
+ */
+function validateFunnel(definition) {
+    if (
+        !definition ||
+        typeof definition !== "object" ||
+        Array.isArray(definition)
+    ) {
+        return ["Funnel must be an object"];
+    }
+
+    const errors = [];
+    Object.keys(definition).forEach((key) => {
+        if (!["initial_state", "states"].includes(key)) {
+            errors.push(`Unknown setting: ${key}`);
+        }
+    });
+
+    const { states } = definition;
+    if (
+        !Array.isArray(states) ||
+        states.length < 2 ||
+        states.length > MAX_STATES
+    ) {
+        errors.push(`states must list 2-${MAX_STATES} states`);
+        return errors;
+    }
+
+    const keys = states.map((state) => state && state.key);
+    states.forEach((state, index) => {
+        errors.push(...validateState(state, index, keys));
+    });
+
+    if (!keys.includes(definition.initial_state)) {
+        errors.push("initial_state must be one of the states");
+    }
+    FUNNEL_OUTCOMES.forEach((outcome) => {
+        if (states.filter((s) => s && s.outcome === outcome).length > 1) {
+            errors.push(`Only one state can have the ${outcome} outcome`);
+        }
+    });
+
+    return errors;
+}
+
+function validateState(state, index, keys) {
+    if (!state || typeof state !== "object" || Array.isArray(state)) {
+        return [`State ${index + 1} must be an object`];
+    }
+
+    const errors = [];
+    const name = typeof state.key === "string" ? state.key : `${index + 1}`;
+    Object.keys(state).forEach((field) => {
+        if (!STATE_FIELDS.includes(field)) {
+            errors.push(`Unknown field for state ${name}: ${field}`);
+        }
+    });
+
+    if (
+        typeof state.key !== "string" ||
+        !/^[a-z][a-z0-9_]{0,39}$/.test(state.key)
+    ) {
+        errors.push(
+            `State ${index + 1} needs a key of lowercase letters, digits and underscores`
+        );
+    } else if (keys.indexOf(state.key) !== index) {
+        errors.push(`Duplicate state: ${state.key}`);
+    }
+
+    Object.entries(TEXT_LIMITS).forEach(([field, limit]) => {
+        const value = state[field];
+        const required = field === "description";
+        if (value === undefined && !required) return;
+        if (
+            typeof value !== "string" ||
+            value.trim().length === 0 ||
+            value.length > limit
+        ) {
+            errors.push(
+                `${field} of state ${name} must be 1-${limit} characters`
+            );
+        }
+    });
+
+    if (state.transitions !== undefined) {
+        if (!Array.isArray(state.transitions)) {
+            errors.push(
+                `transitions of state ${name} must be a list of states`
+            );
+        } else {
+            state.transitions
+                .filter((target) => !keys.includes(target))
+                .forEach((target) => {
+                    errors.push(
+                        `State ${name} moves to unknown state: ${target}`
+                    );
+                });
+        }
+    }
+    if (
+        state.outcome !== undefined &&
+        !FUNNEL_OUTCOMES.includes(state.outcome)
+    ) {
+        errors.push(
+            `outcome of state ${name} must be one of: ${FUNNEL_OUTCOMES.join(", ")}`
+        );
+    }
+    if (
+        state.lead_stage !== undefined &&
+        !LEAD_PIPELINE_STAGES.includes(state.lead_stage)
+    ) {
+        errors.push(
+            `lead_stage of state ${name} must be one of: ${LEAD_PIPELINE_STAGES.join(", ")}`
+        );
+    }
+    if (
+        state.creates_lead !== undefined &&
+        typeof state.creates_lead !== "boolean"
+    ) {
+        errors.push(`creates_lead of state ${name} must be a boolean`);
+    }
+
+    return errors;
+}
+
+/**
+ * @param {Object} funnel - Funnel
+ * @param {string} key - State key
+ * @returns {Object|null} State
+ */
+function findState(funnel, key) {
+    return funnel.states.find((state) => state.key === key) || null;
+}
+
+/**
+ * State a conversation is in; states the funnel no longer has count as
+ * the initial state
+ * @param {Object} funnel - Funnel
+ * @param {string} key - Stored funnel state
+ * @returns {string} State key
+ */
+function currentStateOf(funnel, key) {
+    return findState(funnel, key) ? key : funnel.initial_state;
+}
+
+/**
+ * @param {Object} funnel - Funnel
+ * @param {string} from - Current state
+ * @returns {Array<string>} States the conversation may move to, itself included
+ */
+function allowedStates(funnel, from) {
+    const state = findState(funnel, from);
+    if (!state || !state.transitions) {
+        return funnel.states.map((s) => s.key);
+    }
+    return [from, ...state.transitions.filter((key) => key !== from)];
+}
+
+/**
+ * @param {Object} funnel - Funnel
+ * @param {string} from - Current state
+ * @param {string} to - Proposed state
+ * @returns {boolean} Whether the conversation may move there
+ */
+function canTransition(funnel, from, to) {
+    return !!findState(funnel, to) && allowedStates(funnel, from).includes(to);
+}
+
+/**
+ * @param {Object} funnel - Funnel
+ * @param {string} outcome - won or lost
+ * @returns {string|null} Key of the state with that outcome
+ */
+function outcomeState(funnel, outcome) {
+    const state = funnel.states.find((s) => s.outcome === outcome);
+    return state ? state.key : null;
+}
+
+/**
+ * Map a state of the default funnel onto a business's funnel, for the
+ * rule-based transition: same key, or the state with the same outcome
+ * @param {Object} funnel - Funnel
+ * @param {string} key - Default funnel state
+ * @returns {string|null} State key, null when the funnel has no match
+ */
+function mapDefaultState(funnel, key) {
+    if (findState(funnel, key)) return key;
+    const state = findState(DEFAULT_FUNNEL, key);
+    return state && state.outcome ? outcomeState(funnel, state.outcome) : null;
+}
+
+/**
+ * Funnel states for the state transition prompt
+ * @param {Object} funnel - Funnel
+ * @returns {string} One line per state
+ */
+function describeStates(funnel) {
+    return funnel.states
+        .map((state) => {
+            const criteria = state.entry_criteria
+                ? ` (enter when: ${state.entry_criteria})`
+                : "";
+            return `- ${state.key}: ${state.description}${criteria}`;
+        })
+        .join("\n");
+}
+
+/**
+ * Reply strategies for the response prompt
+ * @param {Object} funnel - Funnel
+ * @returns {string} One line per state with a strategy
+ */
+function describeStrategies(funnel) {
+    return funnel.states
+        .filter((state) => state.response_strategy)
+        .map((state) => `- ${state.key}: ${state.response_strategy}`)
+        .join("\n");
+}
+
+module.exports = {
+    DEFAULT_FUNNEL,
+    FUNNEL_OUTCOMES,
+    resolveFunnel,
+    validateFunnel,
+    findState,
+    currentStateOf,
+    allowedStates,
+    canTransition,
+    outcomeState,
+    mapDefaultState,
+    describeStates,
+    describeStrategies,
+};
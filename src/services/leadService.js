@@ -0,0 +1,653 @@
+"use strict";
+
+const { Op } = require("sequelize");
+const {
+    sequelize,
+    Lead,
+    LeadStageHistory,
+    Client,
+    Conversation,
+    Message,
+} = require("../models");
+const { resolveFunnel, findState } = require("./funnelDefinition");
+const {
+    LEAD_FACT_FIELDS,
+    extractFacts,
+    mergeFacts,
+} = require("./qualificationFacts");
+const { createChildLogger } = require("../config/logger");
+
+const logger = createChildLogger("leads");
+
+const MINUTE_MS = 60 * 1000;
+
+// Pipeline stages, in order; the last two close the lead
+const LEAD_STAGES = [
+    "new",
+    "contacted",
+    "qualified",
+    "proposal",
+    "negotiation",
+    "closed_won",
+    "closed_lost",
+];
+const CLOSED_STAGES = ["closed_won", "closed_lost"];
+
+// A conversation becomes a lead once it reaches a funnel state with
+// creates_lead, or once its lead score reaches QUALIFYING_LEAD_SCORE
+const QUALIFYING_LEAD_SCORE = 50;
+
+const CONTEXT_MAX_LENGTH = 500;
+
+/**
+ * Lead Service
+ * Runs the sales pipeline: conversations that qualify become leads, their
+ * funnel state moves the lead forward, and staff move leads by hand. Every
+ * stage change is recorded in lead_stage_history with what triggered it,
+ * how confident the move was and who made it. Automatic moves only go
+ * forward and never touch closed leads. Budget, timeline, decision-making
+ * role and service interest the customer states are kept on the lead,
+ * including those stated before the conversation qualified
+ * Follows Single Responsibility Principle - only handles the lead pipeline
+ */
+class LeadService {
+    /**
+     * @param {Object} options - Options
+     * @param {Function} options.now - Clock, for tests
+     */
+    constructor(options = {}) {
+        this.now = options.now || (() => new Date());
+    }
+
+    /**
+     * Create or progress the lead of a conversation after a customer turn
+     * @param {Object} params - Parameters
+     * @param {number} params.businessId - Business ID
+     * @param {number} params.conversationId - Conversation ID
+     * @param {number} params.clientId - Client ID
+     * @param {string} params.channel - Channel the conversation is on
+     * @param {string} params.funnelState - Funnel state after the turn
+     * @param {Object} params.funnel - Business funnel, defaults to the default funnel
+     * @param {Object} params.analysis - Message analysis of the turn
+     * @param {string} params.message - Customer message
+     * @param {number} params.messageId - Stored customer message, if any
+     * @param {number} params.customerMessages - Customer messages so far
+     * @returns {Promise<Object|null>} Lead, null while the conversation does not qualify
+     */
+    async recordTurn(params) {
+        const analysis = params.analysis || {};
+        let lead = await Lead.findOne({
+            where: {
+                business_id: params.businessId,
+                conversation_id: params.conversationId,
+            },
+        });
+
+        if (!lead) {
+            if (!qualifies(funnelState(params), analysis.lead_score)) {
+                return null;
+            }
+            const { lead: found, created } =
+                await this.createFromConversation(params);
+            if (created) {
+                await this.recordEarlierFacts(found, params);
+                return found;
+            }
+            lead = found;
+        }
+
+        await lead.update({
+            qualification_score: scoreOf(analysis.lead_score),
+            interest_level: interestOf(analysis.lead_score),
+            engagement_level: Math.min((lead.engagement_level || 0) + 1, 10),
+            ...mergeFacts(
+                lead,
+                extractFacts(analysis),
+                LEAD_FACT_FIELDS,
+                this.factSource(params)
+            ),
+        });
+
+        const stage = leadStageOf(funnelState(params));
+        if (stage && canAdvance(lead.current_stage, stage)) {
+            await this.changeStage(lead, stage, {
+                progressionType: "automatic",
+                trigger: `funnel_state:${params.funnelState}`,
+                changedBy: "bot",
+                confidence: analysis.confidence,
+                analysis,
+                message: params.message,
+            });
+        }
+        return lead;
+    }
+
+    /**
+     * Create the lead of a qualifying conversation, at the stage its
+     * funnel state has reached
+     * @param {Object} params - recordTurn parameters
+     * @returns {Promise<Object>} { lead, created }; created is false when
+     *   another turn created it first
+     */
+    async createFromConversation(params) {
+        const analysis = params.analysis || {};
+        const funnelStage = leadStageOf(funnelState(params));
+        const stage =
+            funnelStage && !CLOSED_STAGES.includes(funnelStage)
+                ? funnelStage
+                : "new";
+        const now = this.now();
+
+        try {
+            const lead = await sequelize.transaction(async (transaction) => {
+                const created = await Lead.create(
+                    {
+                        business_id: params.businessId,
+                        client_id: params.clientId,
+                        conversation_id: params.conversationId,
+                        lead_source: params.channel || "direct",
+                        lead_type: "inbound",
+                        current_stage: stage,
+                        qualification_score: scoreOf(analysis.lead_score),
+                        interest_level: interestOf(analysis.lead_score),
+                        engagement_level: Math.min(
+                            params.customerMessages || 1,
+                            10
+                        ),
+                        stage_entered_at: now,
+                    },
+                    { transaction }
+                );
+                await LeadStageHistory.create(
+                    historyEntry(created, null, stage, {
+                        progressionType: "automatic",
+                        trigger: "conversation_qualified",
+                        changedBy: "bot",
+                        confidence: analysis.confidence,
+                        analysis,
+                        message: params.message,
+                        now,
+                        minutesInPreviousStage: 0,
+                    }),
+                    { transaction }
+                );
+                return created;
+            });
+
+            logger.info("Lead created", {
+                leadId: lead.id,
+                businessId: params.businessId,
+                conversationId: params.conversationId,
+                stage,
+            });
+            return { lead, created: true };
+        } catch (error) {
+            // One lead per conversation; another turn got there first
+            if (error.name !== "SequelizeUniqueConstraintError") throw error;
+            const lead = await Lead.findOne({
+                where: {
+                    business_id: params.businessId,
+                    conversation_id: params.conversationId,
+                },
+            });
+            return { lead, created: false };
+        }
+    }
+
+    /**
+     * Fill a new lead with the facts of the conversation's earlier customer
+     * messages and of this turn, oldest first
+     * @param {Object} lead - Lead just created
+     * @param {Object} params - recordTurn parameters
+     */
+    async recordEarlierFacts(lead, params) {
+        const where = {
+            conversation_id: params.conversationId,
+            sender_type: "customer",
+            extracted_entities: { [Op.ne]: null },
+        };
+        if (params.messageId) where.id = { [Op.ne]: params.messageId };
+
+        const messages = await Message.findAll({
+            where,
+            attributes: [
+                "id",
+                "message_text",
+                "extracted_entities",
+                "message_timestamp",
+            ],
+            order: [["message_timestamp", "ASC"]],
+        });
+        const statements = messages.map((message) => ({
+            facts: (message.extracted_entities || {}).qualification || {},
+            source: {
+                messageId: message.id,
+                text: message.message_text,
+                at: message.message_timestamp,
+            },
+        }));
+        statements.push({
+            facts: extractFacts(params.analysis),
+            source: this.factSource(params),
+        });
+
+        // Later statements win, as they would turn by turn
+        const current = { fact_sources: lead.fact_sources };
+        LEAD_FACT_FIELDS.forEach((field) => {
+            current[field] = lead[field];
+        });
+        const updates = {};
+        statements.forEach(({ facts, source }) => {
+            const merged = mergeFacts(current, facts, LEAD_FACT_FIELDS, source);
+            Object.assign(current, merged);
+            Object.assign(updates, merged);
+        });
+
+        if (Object.keys(updates).length > 0) await lead.update(updates);
+    }
+
+    /**
+     * @param {Object} params - recordTurn parameters
+     * @returns {Object} Provenance of the facts of this turn
+     */
+    factSource(params) {
+        return {
+            messageId: params.messageId || null,
+            text: params.message,
+            at: this.now(),
+        };
+    }
+
+    /**
+     * Close the lead of a conversation whose appointment was confirmed.
+     * Conversations without a lead are left alone
+     * @param {Object} appointment - Confirmed appointment
+     * @returns {Promise<Object|null>} Lead
+     */
+    async recordConversion(appointment) {
+        if (!appointment.conversation_id) return null;
+
+        const lead = await Lead.findOne({
+            where: {
+                business_id: appointment.business_id,
+                conversation_id: appointment.conversation_id,
+            },
+        });
+        if (!lead || !canAdvance(lead.current_stage, "closed_won")) {
+            return lead;
+        }
+
+        await this.changeStage(lead, "closed_won", {
+            progressionType: "system",
+            trigger: "appointment_confirmed",
+            changedBy: "system",
+            confidence: 1,
+        });
+        await lead.update({ converted_to: "appointment" });
+        return lead;
+    }
+
+    /**
+     * Move a lead by hand. Leads can be moved to any stage, including
+     * reopening a closed one
+     * @param {number} businessId - Business ID
+     * @param {number} id - Lead ID
+     * @param {Object} data - { stage, reason, lost_reason, conversion_value }
+     * @param {string} changedBy - Who moved it
+     * @returns {Promise<Object>} Lead with its client and history
+     */
+    async moveStage(businessId, id, data, changedBy) {
+        if (!LEAD_STAGES.includes(data.stage)) {
+            throw leadError(
+                `stage must be one of: ${LEAD_STAGES.join(", ")}`,
+                "VALIDATION_ERROR"
+            );
+        }
+        if (
+            data.conversion_value !== undefined &&
+            (typeof data.conversion_value !== "number" ||
+                data.conversion_value < 0)
+        ) {
+            throw leadError(
+                "conversion_value must be a positive number",
+                "VALIDATION_ERROR"
+            );
+        }
+
+        const lead = await this.findLead(businessId, id);
+        if (lead.current_stage === data.stage) {
+            throw leadError(
+                `Lead is already ${data.stage}`,
+                "LEAD_INVALID_STAGE"
+            );
+        }
+
+        await this.changeStage(lead, data.stage, {
+            progressionType: "manual",
+            trigger: "manual",
+            changedBy,
+            confidence: 1,
+            context: data.reason,
+            updates: {
+                lost_reason:
+                    data.stage === "closed_lost"
+                        ? data.lost_reason || lead.lost_reason || null
+                        : lead.lost_reason,
+                conversion_value:
+                    data.conversion_value !== undefined
+                        ? data.conversion_value
+                        : lead.conversion_value,
+            },
+        });
+
+        logger.info("Lead moved", {
+            leadId: lead.id,
+            businessId,
+            stage: data.stage,
+            changedBy,
+        });
+        return this.find(businessId, id);
+    }
+
+    /**
+     * Move a lead and record the move
+     * @param {Object} lead - Lead
+     * @param {string} stage - New stage
+     * @param {Object} options - { progressionType, trigger, changedBy,
+     *   confidence, analysis, message, context, updates }
+     */
+    async changeStage(lead, stage, options) {
+        const now = this.now();
+        const fromStage = lead.current_stage;
+        const enteredAt = lead.stage_entered_at || lead.createdAt || now;
+        const minutesInPreviousStage = minutesBetween(enteredAt, now);
+        const closed = CLOSED_STAGES.includes(stage);
+        const outcome = stage === "closed_won" ? "won" : "lost";
+
+        await sequelize.transaction(async (transaction) => {
+            await lead.update(
+                {
+                    ...(options.updates || {}),
+                    previous_stage: fromStage,
+                    current_stage: stage,
+                    stage_progression_count:
+                        (lead.stage_progression_count || 0) + 1,
+                    stage_entered_at: now,
+                    time_in_current_stage: 0,
+                    total_funnel_time: minutesBetween(
+                        lead.createdAt || enteredAt,
+                        now
+                    ),
+                    final_outcome: closed ? outcome : null,
+                    outcome_date: closed ? now : null,
+                },
+                { transaction }
+            );
+            await LeadStageHistory.create(
+                historyEntry(lead, fromStage, stage, {
+                    ...options,
+                    now,
+                    minutesInPreviousStage,
+                }),
+                { transaction }
+            );
+        });
+    }
+
+    /**
+     * Leads of a business
+     * @param {number} businessId - Business ID
+     * @param {Object} filters - { stage, leadType, leadSource, clientId,
+     *   minScore, maxScore, from, to, sort, page, limit }
+     * @returns {Promise<Object>} { leads, total }
+     */
+    async list(businessId, filters = {}) {
+        const where = { business_id: businessId };
+        if (filters.stage) where.current_stage = filters.stage;
+        if (filters.leadType) where.lead_type = filters.leadType;
+        if (filters.leadSource) where.lead_source = filters.leadSource;
+        if (filters.clientId) where.client_id = filters.clientId;
+        if (filters.minScore != null || filters.maxScore != null) {
+            where.qualification_score = {};
+            if (filters.minScore != null) {
+                where.qualification_score[Op.gte] = filters.minScore;
+            }
+            if (filters.maxScore != null) {
+                where.qualification_score[Op.lte] = filters.maxScore;
+            }
+        }
+        if (filters.from || filters.to) {
+            where.createdAt = {};
+            if (filters.from) where.createdAt[Op.gte] = filters.from;
+            if (filters.to) where.createdAt[Op.lt] = filters.to;
+        }
+
+        const order =
+            filters.sort === "score"
+                ? [
+                      ["qualification_score", "DESC"],
+                      ["updatedAt", "DESC"],
+                  ]
+                : [["updatedAt", "DESC"]];
+
+        const page = filters.page || 1;
+        const limit = filters.limit || 20;
+        const { rows, count } = await Lead.findAndCountAll({
+            where,
+            include: [clientInclude()],
+            order,
+            limit,
+            offset: (page - 1) * limit,
+        });
+
+        return { leads: rows, total: count };
+    }
+
+    /**
+     * Leads and conversion value per stage
+     * @param {number} businessId - Business ID
+     * @returns {Promise<Array<Object>>} { stage, count, conversion_value } for every stage
+     */
+    async pipeline(businessId) {
+        const rows = await Lead.findAll({
+            where: { business_id: businessId },
+            attributes: [
+                "current_stage",
+                [sequelize.fn("COUNT", sequelize.col("id")), "count"],
+                [
+                    sequelize.fn("SUM", sequelize.col("conversion_value")),
+                    "conversion_value",
+                ],
+            ],
+            group: ["current_stage"],
+            raw: true,
+        });
+
+        return LEAD_STAGES.map((stage) => {
+            const row = rows.find((r) => r.current_stage === stage);
+            return {
+                stage,
+                count: row ? parseInt(row.count) : 0,
+                conversion_value: row ? Number(row.conversion_value) || 0 : 0,
+            };
+        });
+    }
+
+    /**
+     * @param {number} businessId - Business ID
+     * @param {number} id - Lead ID
+     * @returns {Promise<Object>} Lead with client, conversation and history
+     */
+    async find(businessId, id) {
+        const lead = await Lead.findOne({
+            where: { id, business_id: businessId },
+            include: [
+                clientInclude(),
+                {
+                    model: Conversation,
+                    as: "conversation",
+                    attributes: [
+                        "id",
+                        "funnel_state",
+                        "lead_score",
+                        "requires_human",
+                        "last_activity",
+                    ],
+                },
+                { model: LeadStageHistory, as: "stageHistory" },
+            ],
+            order: [
+                [
+                    { model: LeadStageHistory, as: "stageHistory" },
+                    "changed_at",
+                    "ASC",
+                ],
+            ],
+        });
+        if (!lead) throw leadError("Lead not found", "LEAD_NOT_FOUND");
+        return lead;
+    }
+
+    /**
+     * @param {number} businessId - Business ID
+     * @param {number} id - Lead ID
+     * @returns {Promise<Array<Object>>} Stage changes, oldest first
+     */
+    async history(businessId, id) {
+        const lead = await this.findLead(businessId, id);
+        return LeadStageHistory.findAll({
+            where: { lead_id: lead.id },
+            order: [["changed_at", "ASC"]],
+        });
+    }
+
+    /**
+     * @param {number} businessId - Business ID
+     * @param {number} id - Lead ID
+     * @returns {Promise<Object>} Lead
+     */
+    async findLead(businessId, id) {
+        const lead = await Lead.findOne({
+            where: { id, business_id: businessId },
+        });
+        if (!lead) throw leadError("Lead not found", "LEAD_NOT_FOUND");
+        return lead;
+    }
+}
+
+/**
+ * @param {Object|null} state - Funnel state the conversation is in
+ * @param {number} leadScore - Lead score of the latest message
+ * @returns {boolean} Whether the conversation should become a lead
+ */
+function qualifies(state, leadScore) {
+    if (state && state.outcome === "lost") return false;
+    return (
+        !!(state && state.creates_lead) ||
+        Number(leadScore) >= QUALIFYING_LEAD_SCORE
+    );
+}
+
+/**
+ * @param {Object} params - recordTurn parameters
+ * @returns {Object|null} Funnel state the turn ended in
+ */
+function funnelState(params) {
+    return findState(resolveFunnel(params.funnel), params.funnelState);
+}
+
+/**
+ * @param {Object|null} state - Funnel state
+ * @returns {string|null} Pipeline stage the state moves its lead to
+ */
+function leadStageOf(state) {
+    return (state && state.lead_stage) || null;
+}
+
+/**
+ * Automatic moves go forward only, and closed leads stay closed
+ * @param {string} from - Current stage
+ * @param {string} to - Stage the funnel points to
+ * @returns {boolean} Whether the lead may move
+ */
+function canAdvance(from, to) {
+    if (CLOSED_STAGES.includes(from)) return false;
+    if (to === "closed_lost") return true;
+    return LEAD_STAGES.indexOf(to) > LEAD_STAGES.indexOf(from);
+}
+
+/**
+ * @param {Object} lead - Lead
+ * @param {string|null} fromStage - Stage left
+ * @param {string} toStage - Stage entered
+ * @param {Object} options - changeStage options with now and minutesInPreviousStage
+ * @returns {Object} LeadStageHistory attributes
+ */
+function historyEntry(lead, fromStage, toStage, options) {
+    const analysis = options.analysis || {};
+    const context = options.context || options.message || null;
+    return {
+        lead_id: lead.id,
+        from_stage: fromStage,
+        to_stage: toStage,
+        progression_type: options.progressionType,
+        trigger_event: options.trigger,
+        changed_by: options.changedBy || null,
+        confidence_score: clamp(options.confidence, 0, 1),
+        qualifying_factors: analysis.buying_signals || null,
+        disqualifying_factors: analysis.objections || null,
+        time_in_previous_stage: options.minutesInPreviousStage,
+        conversation_context: context
+            ? String(context).substring(0, CONTEXT_MAX_LENGTH)
+            : null,
+        changed_at: options.now,
+    };
+}
+
+function clientInclude() {
+    return {
+        model: Client,
+        as: "client",
+        attributes: ["id", "display_name", "full_name", "platform_type"],
+    };
+}
+
+function scoreOf(leadScore) {
+    return Math.round(clamp(leadScore, 0, 100));
+}
+
+function interestOf(leadScore) {
+    return Math.round(clamp(leadScore, 0, 100) / 10);
+}
+
+function minutesBetween(start, end) {
+    return Math.max(
+        Math.floor((new Date(end) - new Date(start)) / MINUTE_MS),
+        0
+    );
+}
+
+/**
+ * Clamp a possibly missing number into a range
+ * @returns {number} Clamped value, 0 when not a number
+ */
+function clamp(value, min, max) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return 0;
+    return Math.min(Math.max(number, min), max);
+}
+
+/**
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with code
+ */
+function leadError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+LeadService.LEAD_STAGES = LEAD_STAGES;
+
+module.exports = LeadService;
@@ -0,0 +1,60 @@
+"use strict";
+
+const crypto = require("crypto");
+const { tokenize } = require("../retrieval/tokenizer");
+
+const EMBEDDING_DIMENSIONS = 256;
+const HASHING_MODEL = `local-hashing-${EMBEDDING_DIMENSIONS}`;
+
+/**
+ * Bag-of-words vector with each content word hashed to a dimension and
+ * weighted by sublinear term frequency, unit length. Needs no model or
+ * network, so it doubles as the embedder of last resort
+ * @param {string} text - Text
+ * @returns {Array<number>} Embedding
+ */
+function hashEmbedding(text) {
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+    const counts = new Map();
+    for (const word of tokenize(text)) {
+        counts.set(word, (counts.get(word) || 0) + 1);
+    }
+
+    for (const [word, count] of counts) {
+        const hash = crypto.createHash("md5").update(word).digest();
+        const index = hash.readUInt32BE(0) % EMBEDDING_DIMENSIONS;
+        const weight = 1 + Math.log(count);
+        vector[index] += hash[4] & 1 ? weight : -weight;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm === 0 ? vector : vector.map((v) => v / norm);
+}
+
+/**
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector of the same length
+ * @returns {number} Cosine similarity, 0 when either vector is empty
+ */
+function cosineSimilarity(a, b) {
+    if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    if (normA === 0 || normB === 0) return 0;
+    return dot / Math.sqrt(normA * normB);
+}
+
+module.exports = {
+    EMBEDDING_DIMENSIONS,
+    HASHING_MODEL,
+    hashEmbedding,
+    cosineSimilarity,
+};
@@ -0,0 +1,347 @@
+"use strict";
+
+const { Business } = require("../../models");
+const OpenAIProvider = require("./openAIProvider");
+const LocalProvider = require("./localProvider");
+const ScriptedProvider = require("./scriptedProvider");
+const { createChildLogger } = require("../../config/logger");
+
+const logger = createChildLogger("llm");
+
+const PROVIDERS = {
+    openai: OpenAIProvider,
+    local: LocalProvider,
+    scripted: ScriptedProvider,
+};
+
+// What each task used before settings existed; a business's ai_settings
+// override any of it, per task or for all tasks at once
+const TASK_DEFAULTS = {
+    analysis: { model: "gpt-4o", maxTokens: 1000 },
+    vision: { model: "gpt-4o", maxTokens: 1000 },
+    state_transition: { model: "gpt-4o", maxTokens: 500 },
+    reply: { model: "gpt-4o", maxTokens: 200 },
+    knowledge_reply: { model: "gpt-4o-mini", temperature: 0.7, maxTokens: 300 },
+    embedding: { model: "text-embedding-3-small" },
+};
+
+const MAX_TOKENS_LIMIT = 16000;
+const SETTINGS_TTL = 60 * 1000; // 1 minute
+
+// Per-process settings cache shared by every instance, so saving settings
+// can invalidate it for all pipelines
+// businessId -> { settings, expiresAt }
+const settingsCache = new Map();
+
+/**
+ * LLM Service
+ * Entry point for every model call. Resolves which provider, model,
+ * temperature and token limit a task uses for a business from its
+ * ai_settings, falling back to the task defaults and LLM_PROVIDER
+ * Follows Single Responsibility Principle - only handles model selection and dispatch
+ */
+class LLMService {
+    /**
+     * @param {Object} options - Service options
+     * @param {Object} options.providers - Provider instances by name
+     * @param {string} options.defaultProvider - Provider when a business has none, defaults to LLM_PROVIDER
+     */
+    constructor(options = {}) {
+        this.providers = { ...options.providers };
+        this.defaultProvider =
+            options.defaultProvider || process.env.LLM_PROVIDER || "openai";
+    }
+
+    /**
+     * Provider instance, created on first use
+     * @param {string} name - Provider name
+     * @returns {Object} Provider
+     */
+    getProvider(name) {
+        if (!this.providers[name]) {
+            const Provider = PROVIDERS[name];
+            if (!Provider) {
+                const error = new Error(`Unknown LLM provider "${name}"`);
+                error.code = "LLM_UNKNOWN_PROVIDER";
+                throw error;
+            }
+            this.providers[name] = new Provider();
+        }
+        return this.providers[name];
+    }
+
+    /**
+     * Stored AI settings of a business; lookup failures fall back to defaults
+     * @param {number} businessId - Business ID
+     * @returns {Promise<Object>} ai_settings, {} when none
+     */
+    async getBusinessSettings(businessId) {
+        if (!businessId) return {};
+
+        const cached = settingsCache.get(businessId);
+        if (cached && cached.expiresAt > Date.now()) return cached.settings;
+
+        let settings = {};
+        try {
+            const business = await Business.findByPk(businessId, {
+                attributes: ["id", "ai_settings"],
+            });
+            settings = business?.ai_settings || {};
+        } catch (error) {
+            logger.error("Failed to load AI settings, using defaults", {
+                businessId,
+                error: error.message,
+            });
+            return {};
+        }
+
+        settingsCache.set(businessId, {
+            settings,
+            expiresAt: Date.now() + SETTINGS_TTL,
+        });
+        return settings;
+    }
+
+    /**
+     * Work out the provider and parameters a task runs with
+     * @param {string} task - Task name (see TASK_DEFAULTS)
+     * @param {number} businessId - Business ID
+     * @returns {Promise<Object>} { task, providerName, provider, model, temperature, maxTokens }
+     */
+    async resolve(task, businessId) {
+        const defaults = TASK_DEFAULTS[task];
+        if (!defaults) {
+            const error = new Error(`Unknown LLM task "${task}"`);
+            error.code = "LLM_UNKNOWN_TASK";
+            throw error;
+        }
+
+        const settings = await this.getBusinessSettings(businessId);
+        const taskSettings = settings.tasks?.[task] || {};
+        const isEmbedding = task === "embedding";
+
+        let providerName =
+            taskSettings.provider || settings.provider || this.defaultProvider;
+        if (!PROVIDERS[providerName] && !this.providers[providerName]) {
+            logger.warn("Unknown LLM provider in settings, using default", {
+                businessId,
+                task,
+                provider: providerName,
+            });
+            providerName = this.defaultProvider;
+        }
+        const provider = this.getProvider(providerName);
+
+        return {
+            task,
+            providerName,
+            provider,
+            model:
+                taskSettings.model ||
+                (!isEmbedding && settings.model) ||
+                provider.defaultModel(isEmbedding ? "embedding" : "chat") ||
+                defaults.model,
+            temperature: firstDefined(
+                taskSettings.temperature,
+                settings.temperature,
+                defaults.temperature
+            ),
+            maxTokens: firstDefined(
+                taskSettings.max_tokens,
+                settings.max_tokens,
+                defaults.maxTokens
+            ),
+        };
+    }
+
+    /**
+     * Whether the provider a task resolves to can take requests
+     * @param {string} task - Task name
+     * @param {number} businessId - Business ID
+     * @returns {Promise<boolean>} Availability
+     */
+    async isAvailable(task, businessId) {
+        const { provider } = await this.resolve(task, businessId);
+        return provider.isAvailable();
+    }
+
+    /**
+     * Whether the provider a task resolves to can call functions
+     * @param {string} task - Task name
+     * @param {number} businessId - Business ID
+     * @returns {Promise<boolean>} Function calling support
+     */
+    async supportsTools(task, businessId) {
+        const { provider } = await this.resolve(task, businessId);
+        return !!provider.capabilities.tools;
+    }
+
+    /**
+     * Run a chat completion for a task
+     * @param {string} task - Task name
+     * @param {Object} request - Completion request
+     * @param {number} request.businessId - Business whose settings apply
+     * @param {Array<Object>} request.messages - OpenAI-style messages
+     * @param {boolean} request.json - Ask for a JSON object
+     * @param {Array<Object>} request.tools - Functions the model may call
+     * @param {string} request.toolChoice - "auto" (default) or "none"
+     * @returns {Promise<Object>} { content, toolCalls, model, usage, provider }
+     */
+    async complete(task, request) {
+        const resolved = await this.resolve(task, request.businessId);
+
+        const chatRequest = {
+            task,
+            model: resolved.model,
+            messages: request.messages,
+            temperature: resolved.temperature,
+            maxTokens: resolved.maxTokens,
+            json: !!request.json,
+        };
+        if (request.tools && resolved.provider.capabilities.tools) {
+            chatRequest.tools = request.tools;
+            chatRequest.toolChoice = request.toolChoice;
+        }
+
+        const result = await resolved.provider.chat(chatRequest);
+
+        return {
+            ...result,
+            toolCalls: result.toolCalls || [],
+            provider: resolved.providerName,
+        };
+    }
+
+    /**
+     * Embed texts with the business's embedding provider and model
+     * @param {Object} request - Embedding request
+     * @param {number} request.businessId - Business whose settings apply
+     * @param {Array<string>|string} request.input - Texts
+     * @returns {Promise<Object>} { embeddings, model, usage, provider }
+     */
+    async embed(request) {
+        const resolved = await this.resolve("embedding", request.businessId);
+
+        const result = await resolved.provider.embed({
+            model: resolved.model,
+            input: Array.isArray(request.input)
+                ? request.input
+                : [request.input],
+        });
+
+        return { ...result, provider: resolved.providerName };
+    }
+
+    /**
+     * Settings every task runs with for a business, for display
+     * @param {number} businessId - Business ID
+     * @returns {Promise<Object>} task -> { provider, model, temperature, max_tokens }
+     */
+    async getEffectiveSettings(businessId) {
+        const effective = {};
+        for (const task of Object.keys(TASK_DEFAULTS)) {
+            const resolved = await this.resolve(task, businessId);
+            effective[task] = {
+                provider: resolved.providerName,
+                model: resolved.model,
+                temperature:
+                    resolved.temperature !== undefined
+                        ? resolved.temperature
+                        : null,
+                max_tokens: resolved.maxTokens || null,
+            };
+        }
+        return effective;
+    }
+
+    /**
+     * Drop cached settings after they change
+     * @param {number} businessId - Business ID
+     */
+    static invalidateSettings(businessId) {
+        settingsCache.delete(businessId);
+    }
+
+    /**
+     * Check ai_settings before they are stored
+     * @param {Object} settings - { provider, model, temperature, max_tokens, tasks }
+     * @returns {Array<string>} Problems, empty when valid
+     */
+    static validateSettings(settings) {
+        if (!isPlainObject(settings)) {
+            return ["AI settings must be an object"];
+        }
+
+        const errors = validateParameters(settings, "");
+        if (settings.tasks !== undefined) {
+            if (!isPlainObject(settings.tasks)) {
+                errors.push("tasks must be an object");
+            } else {
+                for (const [task, taskSettings] of Object.entries(
+                    settings.tasks
+                )) {
+                    if (!TASK_DEFAULTS[task]) {
+                        errors.push(`Unknown task "${task}"`);
+                    } else if (!isPlainObject(taskSettings)) {
+                        errors.push(`tasks.${task} must be an object`);
+                    } else {
+                        const prefix = `tasks.${task}.`;
+                        errors.push(
+                            ...validateParameters(taskSettings, prefix)
+                        );
+                    }
+                }
+            }
+        }
+        return errors;
+    }
+}
+
+/**
+ * @param {Object} settings - Settings or task settings
+ * @param {string} prefix - Field prefix for messages
+ * @returns {Array<string>} Problems
+ */
+function validateParameters(settings, prefix) {
+    const errors = [];
+    const { provider, model, temperature, max_tokens: maxTokens } = settings;
+
+    if (provider !== undefined && !PROVIDERS[provider]) {
+        const names = Object.keys(PROVIDERS).join(", ");
+        errors.push(`${prefix}provider must be one of: ${names}`);
+    }
+    if (model !== undefined && (typeof model !== "string" || !model.trim())) {
+        errors.push(`${prefix}model must be a non-empty string`);
+    }
+    if (
+        temperature !== undefined &&
+        (typeof temperature !== "number" || temperature < 0 || temperature > 2)
+    ) {
+        errors.push(`${prefix}temperature must be a number between 0 and 2`);
+    }
+    if (
+        maxTokens !== undefined &&
+        (!Number.isInteger(maxTokens) ||
+            maxTokens < 1 ||
+            maxTokens > MAX_TOKENS_LIMIT)
+    ) {
+        errors.push(
+            `${prefix}max_tokens must be an integer between 1 and ` +
+                MAX_TOKENS_LIMIT
+        );
+    }
+    return errors;
+}
+
+function firstDefined(...values) {
+    return values.find((value) => value !== undefined && value !== null);
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+LLMService.TASK_DEFAULTS = TASK_DEFAULTS;
+LLMService.PROVIDERS = PROVIDERS;
+
+module.exports = LLMService;
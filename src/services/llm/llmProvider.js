@@ -0,0 +1,108 @@
+"use strict";
+
+/**
+ * LLM Provider
+ * Common interface for language model backends. A provider answers chat
+ * completions (optionally in JSON mode or with images) and creates
+ * embeddings; model, temperature and token limits are chosen by the caller
+ * Follows Single Responsibility Principle - only handles talking to one model backend
+ */
+class LLMProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.name - Provider name used in settings and logs
+     * @param {Object} options.capabilities - { json, vision, embeddings, tools }
+     */
+    constructor(options = {}) {
+        this.name = options.name;
+        this.capabilities = {
+            json: true,
+            vision: false,
+            embeddings: false,
+            tools: false,
+            ...options.capabilities,
+        };
+    }
+
+    /**
+     * Whether the provider is configured well enough to take requests
+     * @returns {boolean} Availability
+     */
+    isAvailable() {
+        return true;
+    }
+
+    /**
+     * Model used when neither the business nor the task names one
+     * @param {string} kind - "chat" or "embedding"
+     * @returns {string|null} Model, null to keep the task default
+     */
+    defaultModel(kind) {
+        return null;
+    }
+
+    /**
+     * Run a chat completion
+     * @param {Object} request - Completion request
+     * @param {string} request.model - Model
+     * @param {Array<Object>} request.messages - OpenAI-style messages
+     * @param {number} request.temperature - Sampling temperature
+     * @param {number} request.maxTokens - Completion token limit
+     * @param {boolean} request.json - Ask for a JSON object
+     * @param {Array<Object>} request.tools - OpenAI-style function definitions,
+     *   only sent when the provider has the tools capability
+     * @param {string} request.toolChoice - "none" forbids calls this time
+     * @returns {Promise<Object>} { content, toolCalls, model, usage };
+     *   toolCalls is [{ id, name, arguments }] with arguments as a JSON string
+     */
+    async chat(request) {
+        throw this.unsupported("chat");
+    }
+
+    /**
+     * Embed one or more texts
+     * @param {Object} request - Embedding request
+     * @param {string} request.model - Embedding model
+     * @param {Array<string>} request.input - Texts
+     * @returns {Promise<Object>} { embeddings, model, usage }
+     */
+    async embed(request) {
+        throw this.unsupported("embeddings");
+    }
+
+    /**
+     * Replace image parts with a text note when the backend cannot see them
+     * @param {Array<Object>} messages - OpenAI-style messages
+     * @returns {Array<Object>} Messages the backend accepts
+     */
+    prepareMessages(messages) {
+        if (this.capabilities.vision) return messages;
+
+        return messages.map((message) => {
+            if (!Array.isArray(message.content)) return message;
+
+            const text = message.content
+                .map((part) =>
+                    part.type === "image_url"
+                        ? "[The customer shared an image that cannot be viewed]"
+                        : part.text
+                )
+                .join("\n");
+            return { ...message, content: text };
+        });
+    }
+
+    /**
+     * @param {string} capability - Missing capability
+     * @returns {Error} Error with code LLM_NOT_SUPPORTED
+     */
+    unsupported(capability) {
+        const error = new Error(
+            `LLM provider "${this.name}" does not support ${capability}`
+        );
+        error.code = "LLM_NOT_SUPPORTED";
+        return error;
+    }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,57 @@
+"use strict";
+
+const OpenAIProvider = require("./openAIProvider");
+
+/**
+ * Local Provider
+ * Self-hosted models behind an OpenAI-compatible endpoint such as Ollama
+ * (http://localhost:11434/v1) or the llama.cpp server. Model names differ
+ * from OpenAI's, so the provider supplies its own defaults
+ * Follows Single Responsibility Principle - only handles local model endpoints
+ */
+class LocalProvider extends OpenAIProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.baseURL - Endpoint, defaults to LOCAL_LLM_BASE_URL
+     * @param {string} options.apiKey - Key if the endpoint wants one
+     * @param {string} options.model - Default chat model
+     * @param {string} options.embeddingModel - Default embedding model
+     * @param {boolean} options.vision - Whether the chat model accepts images
+     * @param {boolean} options.tools - Whether the chat model supports function calling
+     * @param {Object} options.client - Preconfigured client (tests)
+     */
+    constructor(options = {}) {
+        super({
+            name: "local",
+            // Local servers ignore the key but the client requires one
+            apiKey:
+                options.apiKey || process.env.LOCAL_LLM_API_KEY || "local",
+            baseURL:
+                options.baseURL ||
+                process.env.LOCAL_LLM_BASE_URL ||
+                "http://localhost:11434/v1",
+            client: options.client,
+            capabilities: {
+                vision:
+                    options.vision !== undefined
+                        ? options.vision
+                        : process.env.LOCAL_LLM_VISION === "true",
+                tools:
+                    options.tools !== undefined
+                        ? options.tools
+                        : process.env.LOCAL_LLM_TOOLS === "true",
+            },
+        });
+        this.model = options.model || process.env.LOCAL_LLM_MODEL || "llama3.1";
+        this.embeddingModel =
+            options.embeddingModel ||
+            process.env.LOCAL_LLM_EMBEDDING_MODEL ||
+            "nomic-embed-text";
+    }
+
+    defaultModel(kind) {
+        return kind === "embedding" ? this.embeddingModel : this.model;
+    }
+}
+
+module.exports = LocalProvider;
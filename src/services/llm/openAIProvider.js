@@ -0,0 +1,134 @@
+"use strict";
+
+const LLMProvider = require("./llmProvider");
+
+/**
+ * OpenAI Provider
+ * Chat completions, JSON mode, vision and embeddings through the OpenAI API.
+ * Also talks to any endpoint that implements the same API via baseURL
+ * Follows Single Responsibility Principle - only handles OpenAI API calls
+ */
+class OpenAIProvider extends LLMProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.name - Provider name
+     * @param {string} options.apiKey - API key, defaults to OPENAI_API_KEY
+     * @param {string} options.baseURL - API base URL, defaults to OpenAI's
+     * @param {Object} options.client - Preconfigured client (tests)
+     * @param {Object} options.capabilities - Capability overrides
+     */
+    constructor(options = {}) {
+        super({
+            name: options.name || "openai",
+            capabilities: {
+                json: true,
+                vision: true,
+                embeddings: true,
+                tools: true,
+                ...options.capabilities,
+            },
+        });
+        this.apiKey =
+            options.apiKey !== undefined
+                ? options.apiKey
+                : process.env.OPENAI_API_KEY;
+        this.baseURL = options.baseURL || null;
+        this.client = options.client || null;
+    }
+
+    isAvailable() {
+        return !!(this.client || this.apiKey);
+    }
+
+    /**
+     * Client, created on first use
+     * @returns {Object|null} OpenAI client, null without an API key
+     */
+    getClient() {
+        if (!this.client && this.apiKey) {
+            // Loaded here so tests can replace the module per suite
+            const { OpenAI } = require("openai");
+            this.client = new OpenAI({
+                apiKey: this.apiKey,
+                ...(this.baseURL && { baseURL: this.baseURL }),
+            });
+        }
+        return this.client;
+    }
+
+    /**
+     * @returns {Object} OpenAI client
+     * @throws {Error} LLM_NOT_CONFIGURED without an API key
+     */
+    requireClient() {
+        const client = this.getClient();
+        if (!client) {
+            const error = new Error(
+                `LLM provider "${this.name}" has no API key`
+            );
+            error.code = "LLM_NOT_CONFIGURED";
+            throw error;
+        }
+        return client;
+    }
+
+    async chat(request) {
+        const client = this.requireClient();
+
+        const params = {
+            model: request.model,
+            messages: this.prepareMessages(request.messages),
+        };
+        if (
+            request.temperature !== undefined &&
+            request.temperature !== null
+        ) {
+            params.temperature = request.temperature;
+        }
+        if (request.maxTokens) {
+            params.max_tokens = request.maxTokens;
+        }
+        if (request.json && this.capabilities.json) {
+            params.response_format = { type: "json_object" };
+        }
+        if (request.tools?.length > 0 && this.capabilities.tools) {
+            params.tools = request.tools;
+            if (request.toolChoice) params.tool_choice = request.toolChoice;
+        }
+
+        const completion = await client.chat.completions.create(params);
+        const message = completion.choices[0].message;
+
+        return {
+            content: message.content,
+            toolCalls: (message.tool_calls || []).map((call) => ({
+                id: call.id,
+                name: call.function.name,
+                arguments: call.function.arguments,
+            })),
+            model: completion.model || request.model,
+            usage: completion.usage || null,
+        };
+    }
+
+    async embed(request) {
+        if (!this.capabilities.embeddings) {
+            throw this.unsupported("embeddings");
+        }
+
+        const client = this.requireClient();
+
+        const response = await client.embeddings.create({
+            model: request.model,
+            input: request.input,
+        });
+
+        return {
+            embeddings: response.data.map((item) => item.embedding),
+            model: response.model || request.model,
+            usage: response.usage || null,
+        };
+    }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,153 @@
+"use strict";
+
+const fs = require("fs");
+const LLMProvider = require("./llmProvider");
+const { hashEmbedding } = require("./hashingEmbedder");
+
+const DEFAULT_REPLY = "Thanks for your message! How can I help you today?";
+
+/**
+ * Scripted Provider
+ * Deterministic stand-in for a model, for tests and offline demos. Replies
+ * come from rules matched against the task and the last user message;
+ * the same request always gets the same answer. A rule may call functions
+ * first and reply once their results are in. Embeddings are hashed word
+ * vectors, so texts sharing words land close together
+ * Follows Single Responsibility Principle - only handles scripted replies
+ */
+class ScriptedProvider extends LLMProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {Array<Object>} options.rules - { task, match, reply, toolCalls } checked
+     *   in order; match is a RegExp or a case-insensitive substring, reply a
+     *   string, an object (sent as JSON) or a function (request) => reply,
+     *   toolCalls [{ name, arguments }] requested before replying
+     * @param {string} options.scriptPath - JSON file with rules, defaults to SCRIPTED_LLM_SCRIPT
+     * @param {string} options.defaultReply - Reply when no rule matches
+     */
+    constructor(options = {}) {
+        super({
+            name: "scripted",
+            capabilities: {
+                json: true,
+                vision: true,
+                embeddings: true,
+                tools: true,
+            },
+        });
+        const scriptPath =
+            options.scriptPath || process.env.SCRIPTED_LLM_SCRIPT || null;
+
+        this.rules = options.rules || (scriptPath ? loadRules(scriptPath) : []);
+        this.defaultReply = options.defaultReply || DEFAULT_REPLY;
+        this.calls = [];
+    }
+
+    defaultModel(kind) {
+        return kind === "embedding" ? "scripted-embedding" : "scripted";
+    }
+
+    async chat(request) {
+        this.calls.push(request);
+
+        const text = lastUserText(request.messages);
+        const rule = this.rules.find(
+            (candidate) =>
+                (!candidate.task || candidate.task === request.task) &&
+                matches(candidate.match, text)
+        );
+
+        if (
+            rule?.toolCalls &&
+            request.tools?.length > 0 &&
+            request.toolChoice !== "none" &&
+            !hasToolResults(request.messages)
+        ) {
+            return {
+                content: null,
+                toolCalls: rule.toolCalls.map((call, index) => ({
+                    id: `call_${this.calls.length}_${index}`,
+                    name: call.name,
+                    arguments: JSON.stringify(call.arguments || {}),
+                })),
+                model: request.model || "scripted",
+                usage: null,
+            };
+        }
+
+        let reply;
+        if (rule) {
+            reply =
+                typeof rule.reply === "function"
+                    ? await rule.reply(request)
+                    : rule.reply;
+        } else {
+            // An empty object makes JSON callers use their own fallbacks
+            reply = request.json ? {} : this.defaultReply;
+        }
+
+        return {
+            content: typeof reply === "string" ? reply : JSON.stringify(reply),
+            toolCalls: [],
+            model: request.model || "scripted",
+            usage: null,
+        };
+    }
+
+    async embed(request) {
+        const input = Array.isArray(request.input)
+            ? request.input
+            : [request.input];
+
+        return {
+            embeddings: input.map((text) => hashEmbedding(text)),
+            model: request.model || "scripted-embedding",
+            usage: null,
+        };
+    }
+}
+
+/**
+ * @param {string} scriptPath - JSON file: [{ task, match, reply }]
+ * @returns {Array<Object>} Rules
+ */
+function loadRules(scriptPath) {
+    return JSON.parse(fs.readFileSync(scriptPath, "utf8"));
+}
+
+/**
+ * @param {Array<Object>} messages - OpenAI-style messages
+ * @returns {string} Text of the last user message
+ */
+function lastUserText(messages = []) {
+    const message = [...messages].reverse().find((m) => m.role === "user");
+    if (!message) return "";
+    if (typeof message.content === "string") return message.content;
+
+    return message.content
+        .filter((part) => part.type === "text")
+        .map((part) => part.text)
+        .join("\n");
+}
+
+/**
+ * @param {Array<Object>} messages - OpenAI-style messages
+ * @returns {boolean} Whether function results follow the last user message
+ */
+function hasToolResults(messages = []) {
+    const lastUser = messages.map((m) => m.role).lastIndexOf("user");
+    return messages.slice(lastUser + 1).some((m) => m.role === "tool");
+}
+
+/**
+ * @param {RegExp|string|undefined} match - Rule condition
+ * @param {string} text - Message text
+ * @returns {boolean} Whether the rule applies
+ */
+function matches(match, text) {
+    if (!match) return true;
+    if (match instanceof RegExp) return match.test(text);
+    return text.toLowerCase().includes(String(match).toLowerCase());
+}
+
+module.exports = ScriptedProvider;
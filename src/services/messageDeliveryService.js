@@ -0,0 +1,914 @@
+"use strict";
+
+const axios = require("axios");
+const { Op } = require("sequelize");
+const { Message, PlatformSource } = require("../models");
+const { buildMessageBody } = require("./whatsappCloudApi");
+const { getBotId, messageKey, buildSendMessage } = require("./telegramBotApi");
+const { buildQuickReplies } = require("./messengerPlatform");
+const {
+    normalizeAddress,
+    generateMessageId,
+    replySubject,
+    buildEmail,
+} = require("./emailMime");
+const smtpClient = require("./smtpClient");
+const { createChildLogger } = require("../config/logger");
+
+const logger = createChildLogger("message-delivery");
+
+// Graph API error codes that mean "slow down"
+const RATE_LIMIT_ERROR_CODES = [4, 17, 32, 613];
+// Graph API error codes for transient server-side problems
+const TRANSIENT_ERROR_CODES = [1, 2];
+
+// Per-process send windows, shared by every instance so the controllers
+// sending from the same account draw on one budget
+// accountKey -> { startedAt, count, blockedUntil }
+const sendWindows = new Map();
+
+// Status a receipt may move a message out of
+const RECEIPT_TRANSITIONS = {
+    delivered: ["sent"],
+    read: ["sent", "delivered"],
+    failed: ["sent"],
+};
+
+// Column recording when a receipt arrived
+const RECEIPT_TIMESTAMPS = {
+    delivered: "delivered_at",
+    read: "read_at",
+};
+
+/**
+ * Message Delivery Service
+ * Sends outgoing messages through the Meta Send API (the WhatsApp Cloud API
+ * for WhatsApp accounts, the Bot API for Telegram bots, SMTP for email
+ * mailboxes), records each attempt on the Message row
+ * (queued/sent/failed/delivered/read), retries transient failures with
+ * exponential backoff and keeps every account within its send rate limit.
+ * Website widget messages are marked sent as they are, for the widget to
+ * fetch
+ * Follows Single Responsibility Principle - only handles outbound delivery
+ */
+class MessageDeliveryService {
+    /**
+     * @param {Object} options - Delivery options
+     * @param {Object} options.httpClient - axios-compatible client
+     * @param {Object} options.smtpClient - Sends email ({ sendMail })
+     * @param {string} options.graphApiUrl - Graph API base URL
+     * @param {string} options.telegramApiUrl - Telegram Bot API base URL
+     * @param {number} options.maxAttempts - Attempts before a message is failed
+     * @param {number} options.baseDelayMs - First retry delay
+     * @param {number} options.maxDelayMs - Retry delay cap
+     * @param {number} options.rateLimitPerMinute - Sends per account per minute
+     * @param {number} options.pollIntervalMs - Worker polling interval
+     * @param {number} options.lockTimeoutMs - Age after which a claimed message is released
+     * @param {number} options.requestTimeoutMs - Time a platform request may
+     *   take; kept well below lockTimeoutMs so a hung send fails before its
+     *   message is released to another worker and sent twice
+     * @param {number} options.batchSize - Messages claimed per poll
+     */
+    constructor(options = {}) {
+        this.httpClient = options.httpClient || axios;
+        this.smtpClient = options.smtpClient || smtpClient;
+        this.graphApiUrl =
+            options.graphApiUrl ||
+            process.env.META_GRAPH_API_URL ||
+            "https://graph.facebook.com/v18.0";
+        this.telegramApiUrl =
+            options.telegramApiUrl ||
+            process.env.TELEGRAM_API_URL ||
+            "https://api.telegram.org";
+        this.maxAttempts = options.maxAttempts || 5;
+        this.baseDelayMs = options.baseDelayMs || 2 * 1000; // 2 seconds
+        this.maxDelayMs = options.maxDelayMs || 15 * 60 * 1000; // 15 minutes
+        this.rateLimitPerMinute =
+            options.rateLimitPerMinute ||
+            parseInt(process.env.META_SEND_RATE_LIMIT_PER_MINUTE, 10) ||
+            600;
+        this.pollIntervalMs = options.pollIntervalMs || 2 * 1000; // 2 seconds
+        this.lockTimeoutMs = options.lockTimeoutMs || 2 * 60 * 1000; // 2 minutes
+        this.requestTimeoutMs =
+            options.requestTimeoutMs ||
+            Math.min(30 * 1000, this.lockTimeoutMs / 4); // 30 seconds
+        this.batchSize = options.batchSize || 20;
+
+        this.timer = null;
+        this.isProcessing = false;
+    }
+
+    /**
+     * Read the credentials of a platform source
+     * @param {Object} platformSource - Platform source record
+     * @returns {Object|null} Credentials
+     */
+    getCredentials(platformSource) {
+        let credentials = platformSource?.credentials;
+        if (typeof credentials === "string") {
+            try {
+                credentials = JSON.parse(credentials);
+            } catch (error) {
+                credentials = null;
+            }
+        }
+        return credentials || null;
+    }
+
+    /**
+     * Read the access token of a platform source
+     * @param {Object} platformSource - Platform source record
+     * @returns {string|undefined} Access token
+     */
+    getAccessToken(platformSource) {
+        return (
+            this.getCredentials(platformSource)?.access_token ||
+            process.env.INSTAGRAM_TEST_TOKEN
+        );
+    }
+
+    /**
+     * Endpoint and body of a send: WhatsApp accounts send from their phone
+     * number through the Cloud API, Telegram bots through the Bot API, the
+     * others through the Send API, Messenger with native quick replies
+     * @param {Object} platformSource - Sending platform source
+     * @param {string} recipientId - Platform user ID
+     * @param {Object} payload - Message payload
+     * @param {Object} options - Send options ({ tag, quickReplies })
+     * @returns {Object} { url, body, params }
+     */
+    buildRequest(platformSource, recipientId, payload, options = {}) {
+        if (platformSource?.platform_type === "telegram") {
+            return {
+                url: this.getTelegramUrl(platformSource, "sendMessage"),
+                body: buildSendMessage(
+                    recipientId,
+                    payload,
+                    options.quickReplies
+                ),
+                params: {},
+            };
+        }
+
+        if (platformSource?.platform_type === "whatsapp") {
+            const phoneNumberId =
+                this.getCredentials(platformSource)?.phone_number_id;
+            if (!phoneNumberId) {
+                const error = new Error(
+                    "WhatsApp platform source has no phone_number_id"
+                );
+                error.code = "DELIVERY_FAILED";
+                error.retryable = false;
+                throw error;
+            }
+
+            return {
+                url: `${this.graphApiUrl}/${phoneNumberId}/messages`,
+                body: buildMessageBody(recipientId, payload),
+                params: { access_token: this.getAccessToken(platformSource) },
+            };
+        }
+
+        const quickReplies =
+            platformSource?.platform_type === "facebook"
+                ? buildQuickReplies(options.quickReplies)
+                : [];
+        return {
+            url: `${this.graphApiUrl}/me/messages`,
+            body: {
+                recipient: { id: recipientId },
+                message:
+                    quickReplies.length > 0
+                        ? { ...payload, quick_replies: quickReplies }
+                        : payload,
+                ...(options.tag && {
+                    messaging_type: "MESSAGE_TAG",
+                    tag: options.tag,
+                }),
+            },
+            params: { access_token: this.getAccessToken(platformSource) },
+        };
+    }
+
+    /**
+     * @param {Object} platformSource - Telegram platform source
+     * @param {string} method - Bot API method
+     * @returns {string} Method URL, authenticated by the bot token in the path
+     */
+    getTelegramUrl(platformSource, method) {
+        const botToken = this.getCredentials(platformSource)?.bot_token;
+        if (!botToken) {
+            const error = new Error(
+                "Telegram platform source has no bot_token"
+            );
+            error.code = "DELIVERY_FAILED";
+            error.retryable = false;
+            throw error;
+        }
+        return `${this.telegramApiUrl}/bot${botToken}/${method}`;
+    }
+
+    /**
+     * Sending address and SMTP server of an email platform source. Mailboxes
+     * without their own smtp_host share the SMTP_* server
+     * @param {Object} platformSource - Email platform source
+     * @returns {Object} { from: { address, name }, server }
+     */
+    getSmtpSettings(platformSource) {
+        const credentials = this.getCredentials(platformSource) || {};
+        const server = credentials.smtp_host
+            ? {
+                  host: credentials.smtp_host,
+                  port: parseInt(credentials.smtp_port, 10) || undefined,
+                  secure: credentials.smtp_secure === true,
+                  username: credentials.smtp_username,
+                  password: credentials.smtp_password,
+              }
+            : {
+                  host: process.env.SMTP_HOST,
+                  port: parseInt(process.env.SMTP_PORT, 10) || undefined,
+                  secure: process.env.SMTP_SECURE === "true",
+                  username: process.env.SMTP_USERNAME,
+                  password: process.env.SMTP_PASSWORD,
+              };
+        const address = normalizeAddress(credentials.email_address);
+
+        if (!address || !server.host) {
+            const error = new Error(
+                "Email platform source has no email_address or SMTP server"
+            );
+            error.code = "DELIVERY_FAILED";
+            error.retryable = false;
+            throw error;
+        }
+        return {
+            from: { address, name: credentials.display_name || null },
+            server,
+        };
+    }
+
+    /**
+     * Threading headers of an email reply: it answers the customer's latest
+     * message in the conversation and carries that message's references
+     * @param {Object} message - Outgoing message
+     * @returns {Promise<Object>} { subject, in_reply_to, references }, empty
+     *   when the customer has not written yet
+     */
+    async getEmailThread(message) {
+        const parent = await Message.findOne({
+            where: {
+                conversation_id: message.conversation_id,
+                sender_type: "customer",
+                platform_message_id: { [Op.ne]: null },
+            },
+            order: [["message_timestamp", "DESC"]],
+            attributes: ["platform_message_id", "message_metadata"],
+        });
+        if (!parent) return {};
+
+        const email = parent.message_metadata?.email || {};
+        return {
+            subject: replySubject(email.subject),
+            in_reply_to: parent.platform_message_id,
+            references: [
+                ...(email.references || []),
+                parent.platform_message_id,
+            ],
+        };
+    }
+
+    /**
+     * @param {Object} platformSource - Sending platform source
+     * @param {Object} data - Response body of the send
+     * @returns {string|null} Platform ID of the sent message
+     */
+    getMessageId(platformSource, data) {
+        if (platformSource?.platform_type === "telegram") {
+            const sent = data?.result;
+            if (!sent?.message_id) return null;
+            return messageKey(
+                getBotId(this.getCredentials(platformSource).bot_token),
+                sent.chat?.id,
+                sent.message_id
+            );
+        }
+        return data?.message_id || data?.messages?.[0]?.id || null;
+    }
+
+    /**
+     * Answer a Telegram inline keyboard press so the customer's app stops
+     * showing progress. Best effort: failures are only logged
+     * @param {Object} platformSource - Telegram platform source
+     * @param {string} callbackQueryId - Callback query ID
+     */
+    async answerCallbackQuery(platformSource, callbackQueryId) {
+        try {
+            await this.httpClient.post(
+                this.getTelegramUrl(platformSource, "answerCallbackQuery"),
+                { callback_query_id: callbackQueryId },
+                { timeout: this.requestTimeoutMs }
+            );
+        } catch (error) {
+            logger.warn("Failed to answer Telegram callback query", {
+                platformSourceId: platformSource?.id,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * Set a page's Messenger profile: fields are set in one request, the
+     * rest are deleted so the page shows nothing stale
+     * @param {Object} platformSource - Facebook page platform source
+     * @param {Object} profile - { fields, remove } from buildMessengerProfile
+     */
+    async setMessengerProfile(platformSource, { fields, remove }) {
+        const url = `${this.graphApiUrl}/me/messenger_profile`;
+        const params = { access_token: this.getAccessToken(platformSource) };
+        const timeout = this.requestTimeoutMs;
+
+        try {
+            if (Object.keys(fields).length > 0) {
+                await this.httpClient.post(url, fields, { params, timeout });
+            }
+            if (remove.length > 0) {
+                await this.httpClient.delete(url, {
+                    params,
+                    timeout,
+                    data: { fields: remove },
+                });
+            }
+        } catch (error) {
+            throw this.classifyError(error);
+        }
+    }
+
+    /**
+     * Reserve a send slot for an account
+     * @param {string} accountKey - Rate limit bucket
+     * @returns {number} 0 when the send may go ahead, otherwise ms to wait
+     */
+    acquireSendSlot(accountKey) {
+        const now = Date.now();
+        let window = sendWindows.get(accountKey);
+
+        if (!window || now - window.startedAt >= 60 * 1000) {
+            window = {
+                startedAt: now,
+                count: 0,
+                blockedUntil: window?.blockedUntil || 0,
+            };
+            sendWindows.set(accountKey, window);
+        }
+
+        if (window.blockedUntil > now) {
+            return window.blockedUntil - now;
+        }
+        if (window.count >= this.rateLimitPerMinute) {
+            return window.startedAt + 60 * 1000 - now;
+        }
+
+        window.count++;
+        return 0;
+    }
+
+    /**
+     * Take a send slot of an account, or throw when it has none left
+     * @param {string} accountKey - Rate limit bucket
+     */
+    reserveSendSlot(accountKey) {
+        const waitMs = this.acquireSendSlot(accountKey);
+        if (waitMs > 0) {
+            const error = new Error("Send rate limit reached");
+            error.code = "RATE_LIMITED";
+            error.retryable = true;
+            error.rateLimited = true;
+            error.deferred = true; // never reached the platform
+            error.retryAfterMs = waitMs;
+            throw error;
+        }
+    }
+
+    /**
+     * Pause all sends from an account, e.g. after the platform throttled it
+     * @param {string} accountKey - Rate limit bucket
+     * @param {number} delayMs - Pause length
+     */
+    blockAccount(accountKey, delayMs) {
+        const window = sendWindows.get(accountKey) || {
+            startedAt: Date.now(),
+            count: 0,
+            blockedUntil: 0,
+        };
+        window.blockedUntil = Math.max(
+            window.blockedUntil,
+            Date.now() + delayMs
+        );
+        sendWindows.set(accountKey, window);
+    }
+
+    /**
+     * Forget all send windows and account pauses
+     */
+    resetRateLimits() {
+        sendWindows.clear();
+    }
+
+    /**
+     * Turn a Send API failure into an error carrying retry hints
+     * @param {Error} error - axios error
+     * @returns {Error} Error with retryable, rateLimited and retryAfterMs
+     */
+    classifyError(error) {
+        const status = error.response?.status;
+        const graphError = error.response?.data?.error;
+        const graphCode = graphError?.code;
+        // The Bot API reports errors as { description, parameters }
+        const botApiError = error.response?.data?.description;
+        const retryAfter = parseInt(
+            error.response?.headers?.["retry-after"] ||
+                error.response?.data?.parameters?.retry_after,
+            10
+        );
+
+        const rateLimited =
+            status === 429 || RATE_LIMIT_ERROR_CODES.includes(graphCode);
+        const retryable =
+            rateLimited ||
+            !status || // network error or request timeout
+            status >= 500 ||
+            TRANSIENT_ERROR_CODES.includes(graphCode) ||
+            graphError?.is_transient === true;
+
+        const classified = new Error(
+            `Send API error: ${
+                graphError?.message || botApiError || error.message
+            }`
+        );
+        classified.code = "DELIVERY_FAILED";
+        classified.status = status;
+        classified.graphCode = graphCode;
+        classified.retryable = retryable;
+        classified.rateLimited = rateLimited;
+        classified.retryAfterMs = Number.isNaN(retryAfter)
+            ? null
+            : retryAfter * 1000;
+        return classified;
+    }
+
+    /**
+     * Turn an SMTP failure into an error carrying retry hints: 4xx replies,
+     * network errors and timeouts are retried, 5xx replies are not
+     * @param {Error} error - smtpClient error
+     * @returns {Error} Error with retryable and rateLimited
+     */
+    classifySmtpError(error) {
+        const classified = new Error(`SMTP error: ${error.message}`);
+        classified.code = "DELIVERY_FAILED";
+        classified.status = error.responseCode;
+        classified.retryable = !error.responseCode || error.responseCode < 500;
+        // Servers close the connection with 421 when sent to too fast
+        classified.rateLimited = error.responseCode === 421;
+        classified.retryAfterMs = null;
+        return classified;
+    }
+
+    /**
+     * Send a message through the Send API, within the account's rate limit
+     * @param {Object} platformSource - Sending platform source
+     * @param {string} recipientId - Platform user ID
+     * @param {Object} payload - Send API message object, e.g. { text }; for
+     *   WhatsApp { text }, { template } or a Cloud API message object
+     * @param {Object} options - Send options
+     * @param {string} options.tag - Message tag for sends outside the messaging window
+     * @param {Array<Object>} options.quickReplies - [{ title, payload }],
+     *   sent as inline keyboard buttons to Telegram
+     * @param {Object} options.email - Email threading headers ({ subject,
+     *   in_reply_to, references })
+     * @returns {Promise<Object>} { messageId }
+     */
+    async send(platformSource, recipientId, payload, options = {}) {
+        // Website widgets fetch their messages; there is nothing to post
+        if (platformSource?.platform_type === "website") {
+            return { messageId: null };
+        }
+        if (platformSource?.platform_type === "email") {
+            return this.sendEmail(
+                platformSource,
+                recipientId,
+                payload,
+                options.email
+            );
+        }
+
+        const accountKey = String(platformSource?.id || "default");
+        const { url, body, params } = this.buildRequest(
+            platformSource,
+            recipientId,
+            payload,
+            options
+        );
+
+        this.reserveSendSlot(accountKey);
+
+        try {
+            const response = await this.httpClient.post(url, body, {
+                params,
+                timeout: this.requestTimeoutMs,
+            });
+
+            return {
+                messageId: this.getMessageId(platformSource, response?.data),
+            };
+        } catch (error) {
+            const classified = this.classifyError(error);
+            if (classified.rateLimited) {
+                this.blockAccount(
+                    accountKey,
+                    classified.retryAfterMs || this.baseDelayMs
+                );
+            }
+            throw classified;
+        }
+    }
+
+    /**
+     * Send an email over SMTP, threaded under the message it answers
+     * @param {Object} platformSource - Email platform source
+     * @param {string} recipientId - Customer's address
+     * @param {Object} payload - { text }
+     * @param {Object} thread - { subject, in_reply_to, references }
+     * @returns {Promise<Object>} { messageId } with the Message-ID sent
+     */
+    async sendEmail(platformSource, recipientId, payload, thread = {}) {
+        const accountKey = String(platformSource.id);
+        const { from, server } = this.getSmtpSettings(platformSource);
+        const messageId = generateMessageId(from.address);
+        const data = buildEmail({
+            from,
+            to: recipientId,
+            subject:
+                thread.subject || `Message from ${from.name || from.address}`,
+            text: payload.text,
+            messageId,
+            inReplyTo: thread.in_reply_to,
+            references: thread.references,
+        });
+
+        this.reserveSendSlot(accountKey);
+        try {
+            await this.smtpClient.sendMail({
+                ...server,
+                from: from.address,
+                to: [recipientId],
+                data,
+            });
+            return { messageId };
+        } catch (error) {
+            const classified = this.classifySmtpError(error);
+            if (classified.rateLimited) {
+                this.blockAccount(accountKey, this.baseDelayMs);
+            }
+            throw classified;
+        }
+    }
+
+    /**
+     * Record an outgoing message as queued
+     * @param {Object} params - Message details
+     * @param {number} params.conversationId - Conversation ID
+     * @param {number} params.platformSourceId - Sending platform source
+     * @param {string} params.recipientId - Platform user ID
+     * @param {string} params.text - Message text
+     * @param {string} params.senderType - bot, agent or system
+     * @param {Object} params.metadata - Extra message_metadata
+     * @returns {Promise<Object>} Message record
+     */
+    async queueMessage({
+        conversationId,
+        platformSourceId,
+        recipientId,
+        text,
+        senderType = "bot",
+        metadata = null,
+    }) {
+        return Message.create({
+            conversation_id: conversationId,
+            platform_source_id: platformSourceId,
+            recipient_id: recipientId ? String(recipientId) : null,
+            sender_type: senderType,
+            message_text: text,
+            message_metadata: metadata,
+            message_timestamp: new Date(),
+            delivery_status: "queued",
+            delivery_attempts: 0,
+            next_delivery_at: new Date(),
+        });
+    }
+
+    /**
+     * Delay before the next attempt, doubling after each failure
+     * @param {number} attempts - Attempts made so far
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(attempts) {
+        const delay = this.baseDelayMs * Math.pow(2, Math.max(attempts - 1, 0));
+        return Math.min(delay, this.maxDelayMs);
+    }
+
+    /**
+     * Claim a queued message for this worker
+     * The conditional update makes the claim atomic across processes
+     * @param {Object} message - Queued message
+     * @returns {Promise<boolean>} Whether the claim succeeded
+     */
+    async claim(message) {
+        const [claimed] = await Message.update(
+            { delivery_locked_at: new Date() },
+            {
+                where: {
+                    id: message.id,
+                    delivery_status: "queued",
+                    delivery_locked_at: null,
+                },
+            }
+        );
+        return claimed === 1;
+    }
+
+    /**
+     * Send a claimed message and record the outcome on it
+     * @param {Object} message - Claimed message
+     * @param {Object} platformSource - Sending platform source, loaded when omitted
+     * @returns {Promise<Object>} Updated message
+     */
+    async attempt(message, platformSource = null) {
+        const source =
+            platformSource ||
+            (message.platform_source_id
+                ? await PlatformSource.findByPk(message.platform_source_id)
+                : null);
+        const payload = message.message_metadata?.outbound_payload || {
+            text: message.message_text,
+        };
+
+        try {
+            const email =
+                source?.platform_type === "email"
+                    ? await this.getEmailThread(message)
+                    : null;
+            const { messageId } = await this.send(
+                source,
+                message.recipient_id,
+                payload,
+                {
+                    tag: message.message_metadata?.messaging_tag,
+                    quickReplies: message.message_metadata?.quick_replies,
+                    ...(email && { email }),
+                }
+            );
+
+            await message.update({
+                delivery_status: "sent",
+                delivery_attempts: message.delivery_attempts + 1,
+                platform_message_id: messageId,
+                sent_at: new Date(),
+                delivery_locked_at: null,
+                last_delivery_error: null,
+            });
+        } catch (error) {
+            await this.recordFailure(message, error);
+        }
+
+        return message;
+    }
+
+    /**
+     * Schedule a retry or fail a message whose send did not go through
+     * @param {Object} message - Message being delivered
+     * @param {Error} error - Classified send error
+     */
+    async recordFailure(message, error) {
+        // Held back by our own limiter: try again later without using an attempt
+        if (error.deferred) {
+            await message.update({
+                delivery_locked_at: null,
+                next_delivery_at: new Date(Date.now() + error.retryAfterMs),
+            });
+            return;
+        }
+
+        const attempts = message.delivery_attempts + 1;
+
+        if (!error.retryable || attempts >= this.maxAttempts) {
+            logger.error("Message delivery failed", {
+                messageId: message.id,
+                attempts,
+                status: error.status,
+                error: error.message,
+            });
+
+            await message.update({
+                delivery_status: "failed",
+                delivery_attempts: attempts,
+                delivery_locked_at: null,
+                last_delivery_error: error.message,
+            });
+            return;
+        }
+
+        const delay = Math.max(
+            this.getRetryDelay(attempts),
+            error.retryAfterMs || 0
+        );
+        logger.warn("Message delivery failed, scheduling retry", {
+            messageId: message.id,
+            attempts,
+            retryInMs: delay,
+            error: error.message,
+        });
+
+        await message.update({
+            delivery_attempts: attempts,
+            delivery_locked_at: null,
+            last_delivery_error: error.message,
+            next_delivery_at: new Date(Date.now() + delay),
+        });
+    }
+
+    /**
+     * Try to send a queued message right away; on failure it stays queued
+     * for the worker
+     * @param {Object} message - Queued message
+     * @param {Object} platformSource - Sending platform source
+     * @returns {Promise<Object>} Message with its delivery status
+     */
+    async deliver(message, platformSource = null) {
+        if (!(await this.claim(message))) {
+            return message;
+        }
+        return this.attempt(message, platformSource);
+    }
+
+    /**
+     * Return messages whose worker died mid-send to the queue
+     * @returns {Promise<number>} Released messages
+     */
+    async releaseStaleLocks() {
+        const [released] = await Message.update(
+            { delivery_locked_at: null },
+            {
+                where: {
+                    delivery_status: "queued",
+                    delivery_locked_at: {
+                        [Op.lt]: new Date(Date.now() - this.lockTimeoutMs),
+                    },
+                },
+            }
+        );
+        return released;
+    }
+
+    /**
+     * Send every queued message that is due
+     * @returns {Promise<number>} Messages attempted
+     */
+    async processDue() {
+        if (this.isProcessing) return 0;
+        this.isProcessing = true;
+
+        let attempted = 0;
+        try {
+            await this.releaseStaleLocks();
+
+            const dueMessages = await Message.findAll({
+                where: {
+                    delivery_status: "queued",
+                    delivery_locked_at: null,
+                    next_delivery_at: { [Op.lte]: new Date() },
+                },
+                order: [["next_delivery_at", "ASC"]],
+                limit: this.batchSize,
+            });
+
+            // Sequential so replies to one customer keep their order
+            for (const message of dueMessages) {
+                if (!(await this.claim(message))) continue;
+                await this.attempt(message);
+                attempted++;
+            }
+        } catch (error) {
+            logger.error("Message delivery poll failed", {
+                error: error.message,
+            });
+        } finally {
+            this.isProcessing = false;
+        }
+
+        return attempted;
+    }
+
+    /**
+     * Apply a delivery, read or failure receipt from a webhook
+     * Receipts never move a message backwards (read stays read)
+     * @param {Object} params - Receipt details
+     * @param {string} params.type - delivered, read or failed
+     * @param {number} params.platformSourceId - Receiving platform source
+     * @param {string} params.recipientId - Customer the messages went to
+     * @param {Array<string>} params.mids - Platform message IDs covered
+     * @param {number} params.watermark - Everything sent before this time (ms)
+     * @param {string} params.error - Why the platform failed the messages
+     * @returns {Promise<number>} Messages updated
+     */
+    async applyReceipt({
+        type,
+        platformSourceId,
+        recipientId,
+        mids,
+        watermark,
+        error,
+    }) {
+        const fromStatuses = RECEIPT_TRANSITIONS[type];
+        if (!fromStatuses) return 0;
+
+        const matchers = [];
+        if (Array.isArray(mids) && mids.length > 0) {
+            matchers.push({ platform_message_id: { [Op.in]: mids } });
+        }
+        if (watermark) {
+            matchers.push({
+                recipient_id: String(recipientId),
+                sent_at: { [Op.lte]: new Date(watermark) },
+            });
+        }
+        if (matchers.length === 0) return 0;
+
+        const [updated] = await Message.update(
+            {
+                delivery_status: type,
+                ...(RECEIPT_TIMESTAMPS[type] && {
+                    [RECEIPT_TIMESTAMPS[type]]: new Date(),
+                }),
+                ...(type === "failed" && { last_delivery_error: error }),
+            },
+            {
+                where: {
+                    platform_source_id: platformSourceId,
+                    delivery_status: { [Op.in]: fromStatuses },
+                    [Op.or]: matchers,
+                },
+            }
+        );
+
+        logger.debug("Applied delivery receipt", {
+            type,
+            platformSourceId,
+            updated,
+        });
+        return updated;
+    }
+
+    /**
+     * Count outgoing messages per delivery status
+     * @returns {Promise<Object>} { queued, sent, failed, delivered, read }
+     */
+    async getStats() {
+        const rows = await Message.count({
+            where: { delivery_status: { [Op.ne]: null } },
+            group: ["delivery_status"],
+        });
+        const stats = { queued: 0, sent: 0, failed: 0, delivered: 0, read: 0 };
+
+        rows.forEach((row) => {
+            stats[row.delivery_status] = row.count;
+        });
+        return stats;
+    }
+
+    /**
+     * Start the delivery worker
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.processDue(), this.pollIntervalMs);
+        // Do not keep the process alive just for polling
+        if (this.timer.unref) this.timer.unref();
+        logger.info("Message delivery worker started", {
+            pollIntervalMs: this.pollIntervalMs,
+        });
+    }
+
+    /**
+     * Stop the delivery worker
+     */
+    stop() {
+        if (!this.timer) return;
+
+        clearInterval(this.timer);
+        this.timer = null;
+        logger.info("Message delivery worker stopped");
+    }
+}
+
+module.exports = MessageDeliveryService;
@@ -0,0 +1,75 @@
+"use strict";
+
+/**
+ * Messaging window rules
+ * Meta platforms only let a business message a customer freely within 24
+ * hours of the customer's last message. Outside that window Messenger still
+ * accepts a tagged message about an event the customer signed up for, and
+ * Messenger and Instagram accept replies from a person for seven days;
+ * WhatsApp accepts only pre-approved template messages
+ */
+
+const STANDARD_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Platforms that enforce the 24-hour window
+const WINDOWED_PLATFORMS = ["instagram", "facebook", "whatsapp"];
+
+// Messenger tag for reminders and updates of a confirmed booking
+const EVENT_UPDATE_TAG = "CONFIRMED_EVENT_UPDATE";
+
+// Tag for an agent's reply after the standard window, within HUMAN_AGENT_WINDOW_MS
+const HUMAN_AGENT_TAG = "HUMAN_AGENT";
+const HUMAN_AGENT_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const HUMAN_AGENT_PLATFORMS = ["instagram", "facebook"];
+
+/**
+ * Whether a business-initiated message may be sent now
+ * @param {Object} params - Window parameters
+ * @param {string} params.platformType - Platform of the conversation
+ * @param {Date|null} params.lastCustomerMessageAt - Customer's last message
+ * @param {Date} params.now - Current time
+ * @param {string} params.purpose - "event_update" for booking reminders,
+ *   "human_agent" for an agent's reply, "template" for a WhatsApp template,
+ *   otherwise "message"
+ * @returns {Object} { allowed, tag } with the message tag to send under, if any
+ */
+function checkMessagingWindow({
+    platformType,
+    lastCustomerMessageAt,
+    now,
+    purpose = "message",
+}) {
+    if (!WINDOWED_PLATFORMS.includes(platformType)) {
+        return { allowed: true, tag: null };
+    }
+
+    const last = lastCustomerMessageAt
+        ? new Date(lastCustomerMessageAt).getTime()
+        : null;
+    if (last !== null && now.getTime() - last < STANDARD_WINDOW_MS) {
+        return { allowed: true, tag: null };
+    }
+
+    if (purpose === "template" && platformType === "whatsapp") {
+        return { allowed: true, tag: null };
+    }
+    if (purpose === "event_update" && platformType === "facebook") {
+        return { allowed: true, tag: EVENT_UPDATE_TAG };
+    }
+    if (
+        purpose === "human_agent" &&
+        HUMAN_AGENT_PLATFORMS.includes(platformType) &&
+        last !== null &&
+        now.getTime() - last < HUMAN_AGENT_WINDOW_MS
+    ) {
+        return { allowed: true, tag: HUMAN_AGENT_TAG };
+    }
+    return { allowed: false, tag: null };
+}
+
+module.exports = {
+    STANDARD_WINDOW_MS,
+    EVENT_UPDATE_TAG,
+    HUMAN_AGENT_TAG,
+    checkMessagingWindow,
+};
@@ -0,0 +1,132 @@
+"use strict";
+
+const { PlatformSource } = require("../models");
+const MessageDeliveryService = require("./messageDeliveryService");
+const PlatformRoutingService = require("./platformRoutingService");
+const {
+    normalizeMessengerProfile,
+    buildMessengerProfile,
+} = require("./messengerPlatform");
+const { createChildLogger } = require("../config/logger");
+
+const logger = createChildLogger("messenger-pages");
+
+const PLATFORM_TYPE = "facebook";
+
+/**
+ * Messenger Page Service
+ * Lists a business's connected Facebook pages and sets their Messenger
+ * profile: the Get Started button, the greeting shown before the first
+ * message and the persistent menu. The profile is pushed to the Messenger
+ * Profile API and kept in the page's configuration; postbacks from the
+ * button and the menu are answered by the assistant through the webhook
+ * Follows Single Responsibility Principle - only handles Messenger pages
+ */
+class MessengerPageService {
+    /**
+     * @param {Object} options - Options
+     * @param {Object} options.messageDelivery - MessageDeliveryService instance
+     * @param {Object} options.platformRouting - PlatformRoutingService instance
+     */
+    constructor(options = {}) {
+        this.messageDelivery =
+            options.messageDelivery || new MessageDeliveryService();
+        this.platformRouting =
+            options.platformRouting || new PlatformRoutingService();
+    }
+
+    /**
+     * Facebook pages of a business
+     * @param {number} businessId - Business ID
+     * @returns {Promise<Array<Object>>} Pages with their Messenger profile
+     */
+    async listPages(businessId) {
+        const sources = await PlatformSource.findAll({
+            where: { business_id: businessId, platform_type: PLATFORM_TYPE },
+            order: [["id", "ASC"]],
+        });
+        return sources.map((source) => this.pageView(source));
+    }
+
+    /**
+     * Replace a page's Messenger profile, on Messenger first so a rejected
+     * profile is never stored
+     * @param {number} businessId - Business ID
+     * @param {number} id - Platform source ID
+     * @param {Object} profile - Validated { get_started, greeting,
+     *   persistent_menu }
+     * @returns {Promise<Object>} Page
+     */
+    async updateProfile(businessId, id, profile) {
+        const source = await PlatformSource.findOne({
+            where: {
+                id,
+                business_id: businessId,
+                platform_type: PLATFORM_TYPE,
+            },
+        });
+        if (!source) {
+            throw messengerError("Page not found", "PAGE_NOT_FOUND");
+        }
+
+        const normalized = normalizeMessengerProfile(profile);
+        try {
+            await this.messageDelivery.setMessengerProfile(
+                source,
+                buildMessengerProfile(normalized)
+            );
+        } catch (error) {
+            logger.warn("Messenger profile rejected", {
+                platformSourceId: source.id,
+                error: error.message,
+            });
+            throw messengerError(
+                `Messenger rejected the profile: ${error.message}`,
+                "MESSENGER_PROFILE_REJECTED"
+            );
+        }
+
+        await source.update({
+            configuration: {
+                ...this.platformRouting.parseJson(source.configuration),
+                messenger_profile: normalized,
+            },
+        });
+        logger.info("Messenger profile updated", {
+            businessId,
+            platformSourceId: source.id,
+        });
+        return this.pageView(source);
+    }
+
+    /**
+     * @param {Object} source - Facebook platform source
+     * @returns {Object} { id, name, page_id, connected, messenger_profile }
+     */
+    pageView(source) {
+        const credentials = this.platformRouting.parseJson(source.credentials);
+        const configuration = this.platformRouting.parseJson(
+            source.configuration
+        );
+        return {
+            id: source.id,
+            name: source.platform_name,
+            page_id: credentials?.page_id || null,
+            connected: source.is_connected !== false,
+            messenger_profile: configuration?.messenger_profile || null,
+        };
+    }
+}
+
+/**
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with code
+ */
+function messengerError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+module.exports = MessengerPageService;
@@ -0,0 +1,219 @@
+"use strict";
+
+/**
+ * Messenger Platform mapping
+ * Page webhooks deliver the same messaging events as Instagram's, so
+ * Messenger messages take the Instagram path unchanged. Postbacks, sent by
+ * the Get Started button and persistent menu items, become messages with
+ * the item as a quick reply so the assistant answers them like anything the
+ * customer types. Also builds the quick replies of outgoing messages and a
+ * page's Messenger profile (Get Started button, greeting, persistent menu)
+ */
+
+// Graph webhook objects of the messaging products and their platform type
+const META_WEBHOOK_OBJECTS = {
+    instagram: "instagram",
+    page: "facebook",
+};
+
+// Postback payload of the Get Started button
+const GET_STARTED_PAYLOAD = "GET_STARTED";
+
+// Messenger profile fields this app manages
+const PROFILE_FIELDS = ["get_started", "greeting", "persistent_menu"];
+
+const MAX_QUICK_REPLIES = 13;
+const QUICK_REPLY_TITLE_MAX = 20;
+const PAYLOAD_MAX = 1000;
+const GREETING_MAX = 160;
+const MENU_ITEMS_MAX = 20;
+const MENU_TITLE_MAX = 30;
+
+/**
+ * @param {string} object - "object" of a Graph webhook delivery
+ * @returns {string|null} Platform type, null for other products
+ */
+function getPlatformType(object) {
+    return Object.prototype.hasOwnProperty.call(META_WEBHOOK_OBJECTS, object)
+        ? META_WEBHOOK_OBJECTS[object]
+        : null;
+}
+
+/**
+ * Messaging event of a Messenger webhook event: postbacks become messages,
+ * everything else is kept as it is
+ * @param {Object} event - Messaging event of a page entry
+ * @returns {Object} Messaging event
+ */
+function toMessagingEvent(event) {
+    if (!event?.postback?.payload) return event;
+
+    const { postback, ...rest } = event;
+    // Get Started opens the chat, like a greeting; its title is localized
+    const text =
+        postback.payload === GET_STARTED_PAYLOAD
+            ? "Hello"
+            : postback.title || postback.payload;
+    return {
+        ...rest,
+        message: {
+            ...(postback.mid && { mid: postback.mid }),
+            text,
+            quick_reply: {
+                payload: postback.payload,
+                title: postback.title || text,
+            },
+        },
+    };
+}
+
+/**
+ * @param {Array<Object>} quickReplies - [{ title, payload }]
+ * @returns {Array<Object>} Messenger quick replies, titles cut to fit
+ */
+function buildQuickReplies(quickReplies = []) {
+    return quickReplies
+        .filter((reply) => String(reply.payload).length <= PAYLOAD_MAX)
+        .slice(0, MAX_QUICK_REPLIES)
+        .map((reply) => ({
+            content_type: "text",
+            title: String(reply.title).slice(0, QUICK_REPLY_TITLE_MAX),
+            payload: String(reply.payload),
+        }));
+}
+
+/**
+ * @param {Object} profile - { get_started, greeting, persistent_menu }
+ * @returns {Array<string>} Validation errors
+ */
+function validateMessengerProfile(profile) {
+    if (!profile || typeof profile !== "object") {
+        return ["profile must be an object"];
+    }
+
+    const errors = [];
+    if (
+        profile.get_started !== undefined &&
+        typeof profile.get_started !== "boolean"
+    ) {
+        errors.push("get_started must be a boolean");
+    }
+
+    if (profile.greeting !== undefined && profile.greeting !== null) {
+        if (
+            typeof profile.greeting !== "string" ||
+            profile.greeting.length > GREETING_MAX
+        ) {
+            errors.push(
+                `greeting must be a string of at most ${GREETING_MAX} characters`
+            );
+        }
+    }
+
+    const menu = profile.persistent_menu;
+    if (menu === undefined || menu === null) return errors;
+    if (!Array.isArray(menu) || menu.length > MENU_ITEMS_MAX) {
+        errors.push(
+            `persistent_menu must be an array of at most ${MENU_ITEMS_MAX} items`
+        );
+        return errors;
+    }
+    // Messenger only shows the menu to customers who pressed Get Started
+    if (menu.length > 0 && profile.get_started === false) {
+        errors.push("persistent_menu requires get_started");
+    }
+    menu.forEach((item, index) => {
+        if (
+            typeof item?.title !== "string" ||
+            !item.title.trim() ||
+            item.title.length > MENU_TITLE_MAX
+        ) {
+            errors.push(
+                `persistent_menu[${index}] title must have 1-${MENU_TITLE_MAX} characters`
+            );
+        }
+        if (item?.url !== undefined && !/^https?:\/\/\S+$/.test(item.url)) {
+            errors.push(`persistent_menu[${index}] url must be an http(s) URL`);
+        }
+        if (
+            item?.payload !== undefined &&
+            (typeof item.payload !== "string" ||
+                !item.payload ||
+                item.payload.length > PAYLOAD_MAX)
+        ) {
+            errors.push(
+                `persistent_menu[${index}] payload must have 1-${PAYLOAD_MAX} characters`
+            );
+        }
+    });
+    return errors;
+}
+
+/**
+ * Stored form of a valid profile: the Get Started button is on unless
+ * turned off and menu items without a URL or payload send their title
+ * @param {Object} profile - { get_started, greeting, persistent_menu }
+ * @returns {Object} { get_started, greeting, persistent_menu }
+ */
+function normalizeMessengerProfile(profile = {}) {
+    return {
+        get_started: profile.get_started !== false,
+        greeting: profile.greeting ? profile.greeting.trim() : null,
+        persistent_menu: (profile.persistent_menu || []).map((item) =>
+            item.url
+                ? { title: item.title.trim(), url: item.url }
+                : {
+                      title: item.title.trim(),
+                      payload: item.payload || item.title.trim(),
+                  }
+        ),
+    };
+}
+
+/**
+ * Messenger Profile API requests for a normalized profile
+ * @param {Object} profile - Normalized profile
+ * @returns {Object} { fields, remove }: body for POST /me/messenger_profile
+ *   and the fields to DELETE, turned off or left empty
+ */
+function buildMessengerProfile(profile) {
+    const fields = {};
+    if (profile.get_started) {
+        fields.get_started = { payload: GET_STARTED_PAYLOAD };
+    }
+    if (profile.greeting) {
+        fields.greeting = [{ locale: "default", text: profile.greeting }];
+    }
+    if (profile.persistent_menu.length > 0) {
+        fields.persistent_menu = [
+            {
+                locale: "default",
+                composer_input_disabled: false,
+                call_to_actions: profile.persistent_menu.map((item) =>
+                    item.url
+                        ? { type: "web_url", title: item.title, url: item.url }
+                        : {
+                              type: "postback",
+                              title: item.title,
+                              payload: item.payload,
+                          }
+                ),
+            },
+        ];
+    }
+
+    return {
+        fields,
+        remove: PROFILE_FIELDS.filter((field) => !fields[field]),
+    };
+}
+
+module.exports = {
+    GET_STARTED_PAYLOAD,
+    getPlatformType,
+    toMessagingEvent,
+    buildQuickReplies,
+    validateMessengerProfile,
+    normalizeMessengerProfile,
+    buildMessengerProfile,
+};
@@ -0,0 +1,257 @@
+"use strict";
+
+const { PlatformSource, UnroutedWebhookEvent } = require("../models");
+const { getBotId } = require("./telegramBotApi");
+const { normalizeAddress } = require("./emailMime");
+const { createChildLogger } = require("../config/logger");
+
+const logger = createChildLogger("platform-routing");
+
+// Credential/configuration keys that may hold the receiving account ID
+const ACCOUNT_ID_KEYS = [
+    "page_id",
+    "instagram_account_id",
+    "ig_user_id",
+    "account_id",
+    "phone_number_id",
+    "widget_key",
+];
+
+// Lookups shared by every instance, so clearing one clears them all
+const cache = new Map(); // "platform:accountId" -> { source, expiresAt }
+const MAX_CACHE_ENTRIES = 10000;
+
+/**
+ * Platform Routing Service
+ * Resolves which business owns an inbound webhook event by matching the
+ * receiving account ID against the stored platform source credentials
+ * Follows Single Responsibility Principle - only handles tenant routing
+ */
+class PlatformRoutingService {
+    constructor() {
+        this.cacheTtl = 60 * 1000; // 1 minute
+        this.missTtl = 10 * 1000;
+        this.cache = cache;
+    }
+
+    /**
+     * Extract the account IDs a platform source can receive events for
+     * @param {Object} platformSource - Platform source record
+     * @returns {Array<string>} Account IDs
+     */
+    getAccountIds(platformSource) {
+        const ids = new Set();
+
+        [platformSource.credentials, platformSource.configuration].forEach(
+            (raw) => {
+                const data = this.parseJson(raw);
+                if (!data) return;
+
+                ACCOUNT_ID_KEYS.forEach((key) => {
+                    if (data[key]) ids.add(String(data[key]));
+                });
+
+                // Telegram bots are addressed by the ID in their token
+                const botId = getBotId(data.bot_token);
+                if (botId) ids.add(botId);
+
+                // Mailboxes are addressed case-insensitively
+                const address = normalizeAddress(data.email_address);
+                if (address) ids.add(address);
+
+                if (Array.isArray(data.account_ids)) {
+                    data.account_ids.forEach((id) => ids.add(String(id)));
+                }
+            }
+        );
+
+        return [...ids];
+    }
+
+    /**
+     * Get the receiving account ID of a webhook entry
+     * @param {Object} entry - Webhook entry
+     * @param {Object} event - First messaging event of the entry
+     * @returns {string|null} Account ID
+     */
+    getEntryAccountId(entry, event) {
+        const accountId = entry?.id || event?.recipient?.id;
+        return accountId ? String(accountId) : null;
+    }
+
+    /**
+     * Resolve the platform source that owns a receiving account
+     * @param {string} platformType - Platform type (instagram, facebook, ...)
+     * @param {string} accountId - Receiving account/page ID
+     * @returns {Promise<Object|null>} Matching platform source
+     */
+    async resolvePlatformSource(platformType, accountId) {
+        const [source] = await this.resolvePlatformSources(platformType, [
+            accountId,
+        ]);
+        return source;
+    }
+
+    /**
+     * Resolve the connected platform sources owning several receiving
+     * accounts, with at most one query. Unknown accounts are cached briefly
+     * too; connection changes clear the cache so they route at once
+     * @param {string} platformType - Platform type (instagram, facebook, ...)
+     * @param {Array<string>} accountIds - Receiving account/page IDs
+     * @returns {Promise<Array<Object|null>>} Matching platform sources, in
+     *   the order of accountIds
+     */
+    async resolvePlatformSources(platformType, accountIds) {
+        const ids = accountIds.map((id) => (id ? String(id) : null));
+        const resolved = new Map();
+        const uncached = new Set();
+
+        ids.filter(Boolean).forEach((accountId) => {
+            const cached = this.cache.get(`${platformType}:${accountId}`);
+            if (cached && cached.expiresAt > Date.now()) {
+                resolved.set(accountId, cached.source);
+            } else {
+                uncached.add(accountId);
+            }
+        });
+
+        if (uncached.size > 0) {
+            const sources = await PlatformSource.findAll({
+                where: { platform_type: platformType, is_connected: true },
+            });
+
+            const matches = new Map([...uncached].map((id) => [id, []]));
+            sources.forEach((source) =>
+                this.getAccountIds(source).forEach((accountId) =>
+                    matches.get(accountId)?.push(source)
+                )
+            );
+
+            this.pruneCache();
+            matches.forEach((owners, accountId) => {
+                if (owners.length > 1) {
+                    // Same account connected to several businesses: refuse to guess
+                    logger.warn(
+                        "Account ID is connected to multiple businesses",
+                        {
+                            platformType,
+                            accountId,
+                            platformSourceIds: owners.map((s) => s.id),
+                        }
+                    );
+                }
+
+                const source = owners.length === 1 ? owners[0] : null;
+                this.cache.set(`${platformType}:${accountId}`, {
+                    source,
+                    expiresAt:
+                        Date.now() + (source ? this.cacheTtl : this.missTtl),
+                });
+                resolved.set(accountId, source);
+            });
+        }
+
+        return ids.map((accountId) =>
+            accountId ? resolved.get(accountId) : null
+        );
+    }
+
+    /**
+     * Record an event that could not be routed so operators can review it
+     * @param {Object} params - Event details
+     * @param {string} params.platformType - Platform type
+     * @param {string} params.accountId - Receiving account ID
+     * @param {string} params.reason - Why routing failed
+     * @param {string} params.senderId - Sender ID
+     * @param {Object} params.payload - Raw webhook entry
+     */
+    async recordUnroutedEvent({
+        platformType,
+        accountId,
+        reason,
+        senderId,
+        payload,
+    }) {
+        logger.warn("Unrouted webhook event", {
+            platformType,
+            accountId,
+            reason,
+        });
+
+        try {
+            const existing = await UnroutedWebhookEvent.findOne({
+                where: {
+                    platform_type: platformType,
+                    account_id: accountId,
+                    reason,
+                    is_resolved: false,
+                },
+            });
+
+            if (existing) {
+                await existing.update({
+                    occurrences: existing.occurrences + 1,
+                    last_seen_at: new Date(),
+                    sender_id: senderId,
+                    last_payload: payload,
+                });
+                return;
+            }
+
+            await UnroutedWebhookEvent.create({
+                platform_type: platformType,
+                account_id: accountId,
+                reason,
+                sender_id: senderId,
+                last_payload: payload,
+                first_seen_at: new Date(),
+                last_seen_at: new Date(),
+            });
+        } catch (error) {
+            logger.error("Failed to record unrouted webhook event", {
+                error: error.message,
+                platformType,
+                accountId,
+            });
+        }
+    }
+
+    /**
+     * Drop cached lookups, e.g. after platform credentials change
+     */
+    clearCache() {
+        this.cache.clear();
+    }
+
+    /**
+     * Drop expired lookups once the cache is full, and everything if that
+     * is not enough, so lookups of made-up accounts cannot grow it
+     */
+    pruneCache() {
+        if (this.cache.size < MAX_CACHE_ENTRIES) return;
+
+        const now = Date.now();
+        this.cache.forEach((entry, key) => {
+            if (entry.expiresAt <= now) this.cache.delete(key);
+        });
+        if (this.cache.size >= MAX_CACHE_ENTRIES) this.cache.clear();
+    }
+
+    /**
+     * Parse a JSON column that may have been stored as a string
+     * @param {Object|string} value - Column value
+     * @returns {Object|null} Parsed object
+     */
+    parseJson(value) {
+        if (!value) return null;
+        if (typeof value === "object") return value;
+
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = PlatformRoutingService;
@@ -0,0 +1,127 @@
+"use strict";
+
+/**
+ * Qualification facts
+ * Budget, timeline, decision-making role and service interest the customer
+ * states in a message (BANT), plus the contact details they give, read from
+ * the message analysis. Facts are stored on the lead and the client with
+ * their provenance in fact_sources: the message they came from and what it
+ * said, so a salesperson can check them. Values staff entered or corrected
+ * are never overwritten
+ */
+
+const DECISION_MAKER_STATUSES = [
+    "decision_maker",
+    "shared_decision",
+    "needs_approval",
+];
+
+// Analysis field → column it fills
+const LEAD_FACTS = {
+    budget: "budget_indication",
+    timeline: "timeline_indication",
+    decision_maker: "decision_maker_status",
+    service_interest: "service_interest",
+};
+const CLIENT_FACTS = {
+    email: "email",
+    phone: "phone",
+    name: "full_name",
+    company: "company_name",
+};
+
+const LEAD_FACT_FIELDS = Object.values(LEAD_FACTS);
+const CLIENT_FACT_FIELDS = Object.values(CLIENT_FACTS);
+
+const MAX_LENGTH = 255;
+const EXCERPT_LENGTH = 200;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+
+/**
+ * Facts of one message, keyed by the column they fill
+ * @param {Object} analysis - Message analysis with a qualification object
+ * @returns {Object} Valid facts; empty when none were stated
+ */
+function extractFacts(analysis) {
+    const qualification = analysis && analysis.qualification;
+    if (!qualification || typeof qualification !== "object") return {};
+
+    const facts = {};
+    Object.entries({ ...LEAD_FACTS, ...CLIENT_FACTS }).forEach(
+        ([key, field]) => {
+            const value = normalize(key, qualification[key]);
+            if (value) facts[field] = value;
+        }
+    );
+    return facts;
+}
+
+/**
+ * Changes that store facts on a lead or client. A field is filled when it
+ * is empty or still holds the value a message gave it
+ * @param {Object} record - Lead or Client with its fact_sources
+ * @param {Object} facts - extractFacts result
+ * @param {Array<string>} fields - Fields of the record facts may fill
+ * @param {Object} source - { messageId, text, at } of the message
+ * @returns {Object|null} Attributes to update, null when nothing changes
+ */
+function mergeFacts(record, facts, fields, source) {
+    const sources = { ...(record.fact_sources || {}) };
+    const updates = {};
+
+    fields.forEach((field) => {
+        const value = facts[field];
+        const current = record[field];
+        if (!value || value === current) return;
+
+        const extracted = sources[field] && sources[field].value === current;
+        if (current && !extracted) return;
+
+        updates[field] = value;
+        sources[field] = {
+            value,
+            message_id: source.messageId || null,
+            excerpt: source.text
+                ? String(source.text).substring(0, EXCERPT_LENGTH)
+                : null,
+            extracted_at: source.at,
+        };
+    });
+
+    if (Object.keys(updates).length === 0) return null;
+    return { ...updates, fact_sources: sources };
+}
+
+function normalize(key, value) {
+    if (typeof value !== "string") return null;
+    const text = value.trim();
+    if (!text || /^(null|none|unknown|n\/a)$/i.test(text)) return null;
+
+    if (key === "decision_maker") {
+        return DECISION_MAKER_STATUSES.includes(text) ? text : null;
+    }
+    if (key === "email") {
+        const email = text.toLowerCase();
+        return EMAIL_PATTERN.test(email) && email.length <= MAX_LENGTH
+            ? email
+            : null;
+    }
+    if (key === "phone") {
+        const digits = text.replace(/\D/g, "");
+        return PHONE_PATTERN.test(text) &&
+            digits.length >= 6 &&
+            digits.length <= 15
+            ? text
+            : null;
+    }
+    return text.substring(0, MAX_LENGTH);
+}
+
+module.exports = {
+    DECISION_MAKER_STATUSES,
+    LEAD_FACT_FIELDS,
+    CLIENT_FACT_FIELDS,
+    extractFacts,
+    mergeFacts,
+};
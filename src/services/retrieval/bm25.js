@@ -0,0 +1,105 @@
+"use strict";
+
+const { tokenize } = require("./tokenizer");
+
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * BM25 Index
+ * Okapi BM25 keyword scoring over an in-memory set of documents. Keywords
+ * added with a document count as extra occurrences of their words,
+ * weighted, so curated FAQ keywords outrank incidental mentions
+ * Follows Single Responsibility Principle - only handles keyword scoring
+ */
+class BM25Index {
+    /**
+     * @param {Object} options - Index options
+     * @param {number} options.k1 - Term frequency saturation
+     * @param {number} options.b - Length normalization
+     */
+    constructor(options = {}) {
+        this.k1 = options.k1 || K1;
+        this.b = options.b !== undefined ? options.b : B;
+        this.documents = new Map(); // key -> { frequencies, length }
+        this.documentFrequency = new Map(); // term -> documents containing it
+        this.totalLength = 0;
+    }
+
+    /**
+     * @param {string} key - Document key
+     * @param {string} text - Document text
+     * @param {Array<Object>} keywords - { keyword, weight }
+     */
+    add(key, text, keywords = []) {
+        const frequencies = new Map();
+        const terms = tokenize(text);
+        for (const term of terms) {
+            frequencies.set(term, (frequencies.get(term) || 0) + 1);
+        }
+
+        let length = terms.length;
+        for (const { keyword, weight } of keywords) {
+            const boost = Number(weight) || 1;
+            for (const term of tokenize(keyword)) {
+                frequencies.set(term, (frequencies.get(term) || 0) + boost);
+                length += boost;
+            }
+        }
+
+        for (const term of frequencies.keys()) {
+            this.documentFrequency.set(
+                term,
+                (this.documentFrequency.get(term) || 0) + 1
+            );
+        }
+        this.documents.set(key, { frequencies, length });
+        this.totalLength += length;
+    }
+
+    /**
+     * @param {string} term - Term
+     * @returns {number} Inverse document frequency, always positive
+     */
+    idf(term) {
+        const n = this.documents.size;
+        const df = this.documentFrequency.get(term) || 0;
+        return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+    }
+
+    /**
+     * Score every document against a query, scaled to 0-1 by what a
+     * document of average length containing each query term once would
+     * score, so weak matches on common words stay low
+     * @param {string} query - Query text
+     * @returns {Map<string, number>} Document key -> score (0-1), matches only
+     */
+    score(query) {
+        const scores = new Map();
+        const terms = [...new Set(tokenize(query))];
+        if (terms.length === 0 || this.documents.size === 0) return scores;
+
+        const averageLength = this.totalLength / this.documents.size || 1;
+        const reference = terms.reduce((sum, term) => sum + this.idf(term), 0);
+
+        for (const [key, document] of this.documents) {
+            let score = 0;
+            for (const term of terms) {
+                const frequency = document.frequencies.get(term);
+                if (!frequency) continue;
+
+                const lengthNorm =
+                    1 - this.b + (this.b * document.length) / averageLength;
+                score +=
+                    (this.idf(term) * frequency * (this.k1 + 1)) /
+                    (frequency + this.k1 * lengthNorm);
+            }
+            if (score > 0) {
+                scores.set(key, Math.min(1, score / reference));
+            }
+        }
+        return scores;
+    }
+}
+
+module.exports = BM25Index;
@@ -0,0 +1,108 @@
+"use strict";
+
+// Sections up to this size are retrieved whole; longer ones as passages so a
+// prompt carries the relevant part instead of the entire section
+const CHUNK_MAX_CHARS = 1000;
+const CHUNK_OVERLAP_CHARS = 200;
+
+/**
+ * @param {string} text - Section content
+ * @returns {boolean} Whether the content is retrieved in chunks
+ */
+function needsChunking(text) {
+    return !!text && text.trim().length > CHUNK_MAX_CHARS;
+}
+
+/**
+ * Split text into passages of at most maxChars, breaking between paragraphs,
+ * then sentences, then words. Each passage repeats the end of the previous
+ * one so a fact spanning a break is whole in at least one passage
+ * @param {string} text - Text
+ * @param {Object} options - Chunking options
+ * @param {number} options.maxChars - Passage size limit
+ * @param {number} options.overlapChars - Text carried over between passages
+ * @returns {Array<string>} Passages, the text itself when it fits
+ */
+function chunkText(text, options = {}) {
+    const maxChars = options.maxChars || CHUNK_MAX_CHARS;
+    const overlapChars =
+        options.overlapChars !== undefined
+            ? options.overlapChars
+            : CHUNK_OVERLAP_CHARS;
+    const trimmed = String(text || "").trim();
+    if (!trimmed) return [];
+    if (trimmed.length <= maxChars) return [trimmed];
+
+    const units = splitUnits(trimmed, maxChars);
+    const chunks = [];
+    let current = [];
+    let length = 0;
+
+    for (const unit of units) {
+        if (current.length > 0 && length + unit.length + 1 > maxChars) {
+            chunks.push(current.join(" "));
+
+            // Carry whole trailing units into the next passage
+            const carried = [];
+            let carriedLength = 0;
+            for (let i = current.length - 1; i >= 0; i--) {
+                if (carriedLength + current[i].length > overlapChars) break;
+                carried.unshift(current[i]);
+                carriedLength += current[i].length + 1;
+            }
+            if (carriedLength + unit.length + 1 > maxChars) {
+                carried.length = 0;
+                carriedLength = 0;
+            }
+            current = carried;
+            length = carriedLength;
+        }
+        current.push(unit);
+        length += unit.length + 1;
+    }
+    if (current.length > 0) chunks.push(current.join(" "));
+
+    return chunks;
+}
+
+/**
+ * @param {string} text - Text
+ * @param {number} maxChars - Unit size limit
+ * @returns {Array<string>} Sentences (or words) no longer than maxChars
+ */
+function splitUnits(text, maxChars) {
+    const units = [];
+    for (const paragraph of text.split(/\n\s*\n/)) {
+        const sentences = paragraph
+            .replace(/\s+/g, " ")
+            .trim()
+            .split(/(?<=[.!?])\s+/);
+
+        for (const sentence of sentences) {
+            if (!sentence) continue;
+            if (sentence.length <= maxChars) {
+                units.push(sentence);
+                continue;
+            }
+
+            // A run-on sentence is cut between words
+            let piece = "";
+            for (const word of sentence.split(" ")) {
+                if (piece && piece.length + word.length + 1 > maxChars) {
+                    units.push(piece);
+                    piece = "";
+                }
+                piece = piece ? `${piece} ${word}` : word.slice(0, maxChars);
+            }
+            if (piece) units.push(piece);
+        }
+    }
+    return units;
+}
+
+module.exports = {
+    CHUNK_MAX_CHARS,
+    CHUNK_OVERLAP_CHARS,
+    needsChunking,
+    chunkText,
+};
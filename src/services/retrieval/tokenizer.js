@@ -0,0 +1,46 @@
+"use strict";
+
+// Function words that match almost every text; dropping them keeps keyword
+// and hashed-vector scores about content words
+const STOP_WORDS = new Set(
+    (
+        "a an and are as at be been but by can could did do does for from " +
+        "had has have how i if in into is it its me my no not of on or our " +
+        "please so than that the their them then there these they this to " +
+        "us was we were what when where which who why will with would you your"
+    ).split(" ")
+);
+
+/**
+ * Content words of a text: lowercased, stop words dropped and simple
+ * plurals folded ("hours" -> "hour") so inflections still match
+ * @param {string} text - Text
+ * @returns {Array<string>} Terms
+ */
+function tokenize(text) {
+    const words = String(text || "")
+        .toLowerCase()
+        .match(/[\p{L}\p{N}]+/gu);
+
+    const terms = [];
+    for (const word of words || []) {
+        if (STOP_WORDS.has(word)) continue;
+        if (word.length < 2 && !/\d/.test(word)) continue;
+        terms.push(stem(word));
+    }
+    return terms;
+}
+
+/**
+ * @param {string} word - Lowercased word
+ * @returns {string} Word with a plural -s removed
+ */
+function stem(word) {
+    if (word.length > 4 && word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+    if (word.length > 3 && word.endsWith("s") && !/(ss|us|is)$/.test(word)) {
+        return word.slice(0, -1);
+    }
+    return word;
+}
+
+module.exports = { STOP_WORDS, tokenize };
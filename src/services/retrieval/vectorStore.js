@@ -0,0 +1,160 @@
+"use strict";
+
+const { QueryTypes } = require("sequelize");
+const { HASHING_MODEL, hashEmbedding } = require("../llm/hashingEmbedder");
+const { createChildLogger } = require("../../config/logger");
+
+const logger = createChildLogger("vector-store");
+
+// Whether a database has pgvector, checked once per connection
+// sequelize -> Promise<boolean>
+const pgvectorChecks = new WeakMap();
+
+/**
+ * Vector Store
+ * Scores stored embeddings against a query embedding. On Postgres with the
+ * pgvector extension the cosine distance is computed in the database, so
+ * vectors never leave it; everywhere else (SQLite, plain Postgres) the
+ * vectors are loaded with the rows and compared in process
+ * Follows Single Responsibility Principle - only handles vector similarity
+ */
+class VectorStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {Object} options.sequelize - Connection, in-process when omitted
+     * @param {Object} options.embeddingService - Compares in-process vectors
+     */
+    constructor(options = {}) {
+        this.sequelize = options.sequelize || null;
+        this.embeddingService = options.embeddingService;
+    }
+
+    /**
+     * @returns {Promise<boolean>} Whether similarity runs in the database
+     */
+    async usesPgvector() {
+        const { sequelize } = this;
+        if (!sequelize || sequelize.getDialect() !== "postgres") return false;
+
+        if (!pgvectorChecks.has(sequelize)) {
+            pgvectorChecks.set(
+                sequelize,
+                sequelize
+                    .query(
+                        "SELECT 1 FROM pg_extension WHERE extname = 'vector'",
+                        { type: QueryTypes.SELECT }
+                    )
+                    .then((rows) => rows.length > 0)
+                    .catch((error) => {
+                        logger.warn("pgvector check failed", {
+                            error: error.message,
+                        });
+                        return false;
+                    })
+            );
+        }
+        return pgvectorChecks.get(sequelize);
+    }
+
+    /**
+     * Attributes to load candidate rows with; vector columns stay in the
+     * database when it scores them
+     * @param {Array<string>} vectorColumns - Embedding columns of the model
+     * @returns {Promise<Object|undefined>} findAll attributes option
+     */
+    async rowAttributes(vectorColumns) {
+        return (await this.usesPgvector())
+            ? { exclude: vectorColumns }
+            : undefined;
+    }
+
+    /**
+     * Similarity of each row's stored embedding to the query
+     * @param {Object} Model - Sequelize model the rows belong to
+     * @param {string} column - Embedding column
+     * @param {Array<Object>} rows - Rows loaded with rowAttributes()
+     * @param {Object} query - Query embedding (EmbeddingService.embedQuery)
+     * @returns {Promise<Map<number, number>>} Row ID -> similarity (0-1), comparable rows only
+     */
+    async score(Model, column, rows, query) {
+        if (!query || rows.length === 0) return new Map();
+
+        if (await this.usesPgvector()) {
+            return this.scoreInDatabase(Model, column, rows, query);
+        }
+
+        const scores = new Map();
+        for (const row of rows) {
+            const similarity = this.embeddingService.similarity(
+                query,
+                row[column],
+                row.embedding_model
+            );
+            if (similarity !== null) scores.set(row.id, similarity);
+        }
+        return scores;
+    }
+
+    /**
+     * @param {Object} Model - Sequelize model
+     * @param {string} column - Embedding column
+     * @param {Array<Object>} rows - Rows without vectors
+     * @param {Object} query - Query embedding
+     * @returns {Promise<Map<number, number>>} Row ID -> similarity
+     */
+    async scoreInDatabase(Model, column, rows, query) {
+        const queryInterface = this.sequelize.getQueryInterface();
+        const table = queryInterface.quoteTable(Model.getTableName());
+        const quoted = queryInterface.quoteIdentifier(column);
+        const vector =
+            Model.rawAttributes[column].type.key === "JSONB"
+                ? `(${quoted}::text)::vector`
+                : `${quoted}::vector`;
+
+        // Locally hashed rows are compared with the hashed query
+        const queryVectors = { [query.model]: query.embedding };
+        if (query.model !== HASHING_MODEL) {
+            queryVectors[HASHING_MODEL] = hashEmbedding(query.text);
+        }
+
+        const scores = new Map();
+        for (const [model, queryVector] of Object.entries(queryVectors)) {
+            const ids = rows
+                .filter((row) => row.embedding_model === model)
+                .map((row) => row.id);
+            if (ids.length === 0 || !queryVector) continue;
+
+            try {
+                const results = await this.sequelize.query(
+                    `SELECT id, 1 - (${vector} <=> CAST(:vector AS vector)) AS similarity
+                     FROM ${table}
+                     WHERE id IN (:ids) AND embedding_model = :model
+                       AND ${quoted} IS NOT NULL`,
+                    {
+                        replacements: {
+                            vector: `[${queryVector.join(",")}]`,
+                            ids,
+                            model,
+                        },
+                        type: QueryTypes.SELECT,
+                    }
+                );
+                for (const result of results) {
+                    scores.set(
+                        result.id,
+                        Math.max(0, Number(result.similarity) || 0)
+                    );
+                }
+            } catch (error) {
+                logger.error("pgvector similarity query failed", {
+                    table: Model.getTableName(),
+                    model,
+                    error: error.message,
+                });
+            }
+        }
+        return scores;
+    }
+}
+
+module.exports = VectorStore;
@@ -381,14 +381,14 @@ class SecurityGuardrailsService {
 
     /**
      * Detect system information leakage in response
+     * Saying that the assistant is automated is a required disclosure,
+     * not a leak
      * @param {string} response - Response to check
      * @returns {boolean} True if system info detected
      */
     detectSystemInfoLeakage(response) {
         const systemInfoPatterns = [
             /my\s+(?:instructions?|prompts?)/i,
-            /i\s+(?:am\s+)?(?:an\s+)?ai/i,
-            /i\s+(?:am\s+)?(?:a\s+)?(?:chatbot|bot)/i,
             /backend|server|database|api/i,
             /system\s+(?:prompt|instruction)/i,
         ];
@@ -437,10 +437,6 @@ class SecurityGuardrailsService {
             /my\s+(?:instructions?|prompts?)/gi,
             "my purpose"
         );
-        sanitized = sanitized.replace(
-            /i\s+(?:am\s+)?(?:an\s+)?ai/gi,
-            "I'm here to help"
-        );
         sanitized = sanitized.replace(
             /backend|server|database|api/gi,
             "system"
@@ -0,0 +1,286 @@
+"use strict";
+
+const net = require("net");
+const tls = require("tls");
+const os = require("os");
+
+/**
+ * SMTP client
+ * Submits one message per connection: EHLO, STARTTLS when the server
+ * offers it, AUTH PLAIN or LOGIN when credentials are given, then MAIL
+ * FROM, RCPT TO and DATA. Failed commands throw an error with the reply
+ * code as responseCode (4xx transient, 5xx permanent); network errors and
+ * timeouts have none
+ */
+
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Reads replies from, and writes commands to, one server connection
+ */
+class SmtpSession {
+    /**
+     * @param {Object} socket - Connected (or connecting) socket
+     * @param {number} timeoutMs - Idle time after which the session fails
+     */
+    constructor(socket, timeoutMs) {
+        this.timeoutMs = timeoutMs;
+        this.attach(socket);
+    }
+
+    /**
+     * @param {Object} socket - Socket to read replies from
+     */
+    attach(socket) {
+        this.socket = socket;
+        this.buffer = "";
+        this.lines = [];
+        this.waiter = null;
+        this.error = null;
+
+        socket.on("data", (chunk) => {
+            this.buffer += chunk.toString("utf8");
+            let end;
+            while ((end = this.buffer.indexOf("\n")) !== -1) {
+                this.lines.push(this.buffer.slice(0, end).replace(/\r$/, ""));
+                this.buffer = this.buffer.slice(end + 1);
+            }
+            this.drain();
+        });
+        socket.on("error", (error) => this.fail(error));
+        socket.on("close", () =>
+            this.fail(new Error("SMTP connection closed"))
+        );
+        socket.setTimeout(this.timeoutMs, () => {
+            const error = new Error("SMTP connection timed out");
+            error.code = "ETIMEDOUT";
+            this.fail(error);
+            socket.destroy();
+        });
+    }
+
+    /**
+     * @param {Error} error - Error ending the session
+     */
+    fail(error) {
+        if (!this.error) this.error = error;
+        this.drain();
+    }
+
+    /**
+     * Hand a complete reply, or the session's error, to the waiting reader
+     */
+    drain() {
+        if (!this.waiter) return;
+
+        // Continuation lines have a "-" after the code: "250-SIZE"
+        const last = this.lines.findIndex((line) => !/^\d{3}-/.test(line));
+        if (last !== -1) {
+            const lines = this.lines.splice(0, last + 1);
+            const { resolve } = this.waiter;
+            this.waiter = null;
+            resolve({
+                code: parseInt(lines[last].slice(0, 3), 10),
+                lines: lines.map((line) => line.slice(4)),
+            });
+        } else if (this.error) {
+            const { reject } = this.waiter;
+            this.waiter = null;
+            reject(this.error);
+        }
+    }
+
+    /**
+     * @returns {Promise<Object>} Next reply, { code, lines }
+     */
+    read() {
+        return new Promise((resolve, reject) => {
+            this.waiter = { resolve, reject };
+            this.drain();
+        });
+    }
+
+    /**
+     * @param {Array<number>} expected - Reply codes that mean success
+     * @param {string} command - Command the reply answers, for the error
+     * @returns {Promise<Object>} Reply
+     */
+    async expect(expected, command) {
+        const reply = await this.read();
+        if (!expected.includes(reply.code)) {
+            const error = new Error(
+                `${command} failed: ${reply.code} ${reply.lines.join(" ")}`
+            );
+            error.responseCode = reply.code;
+            throw error;
+        }
+        return reply;
+    }
+
+    /**
+     * @param {string} line - Command line
+     * @param {Array<number>} expected - Reply codes that mean success
+     * @param {string} name - Command name for errors, so secrets in the
+     *   line are never logged
+     * @returns {Promise<Object>} Reply
+     */
+    command(line, expected, name = line.split(" ")[0]) {
+        this.socket.write(`${line}\r\n`);
+        return this.expect(expected, name);
+    }
+
+    /**
+     * Switch the connection to TLS after STARTTLS was accepted
+     * @param {Object} options - tls.connect options
+     * @returns {Promise<void>} Resolves once the handshake completed
+     */
+    upgrade(options) {
+        const plain = this.socket;
+        ["data", "error", "close", "timeout"].forEach((event) =>
+            plain.removeAllListeners(event)
+        );
+        plain.setTimeout(0);
+
+        const secure = tls.connect({ ...options, socket: plain });
+        this.attach(secure);
+        return new Promise((resolve, reject) => {
+            secure.once("secureConnect", resolve);
+            secure.once("error", reject);
+        });
+    }
+
+    close() {
+        this.socket.destroy();
+    }
+}
+
+/**
+ * Send a message
+ * @param {Object} options - Server and message
+ * @param {string} options.host - SMTP server
+ * @param {number} options.port - Port, 465 with secure, otherwise 587
+ * @param {boolean} options.secure - Connect with TLS (SMTPS) instead of
+ *   upgrading with STARTTLS
+ * @param {string} options.username - Login, when the server requires one
+ * @param {string} options.password - Password
+ * @param {Object} options.tls - Extra tls.connect options
+ * @param {string} options.from - Envelope sender address
+ * @param {Array<string>} options.to - Envelope recipient addresses
+ * @param {string} options.data - Message, CRLF line endings
+ * @param {number} options.timeoutMs - Idle timeout
+ * @returns {Promise<Object>} { response } with the server's reply to DATA
+ */
+async function sendMail(options) {
+    [options.from, ...options.to].forEach((address) => {
+        if (!/^[^\s<>@]+@[^\s<>@]+$/.test(String(address))) {
+            const error = new Error(`Invalid email address: ${address}`);
+            // Refused before connecting, as the server would have
+            error.responseCode = 501;
+            throw error;
+        }
+    });
+
+    const tlsOptions = { servername: options.host, ...options.tls };
+    const port = options.port || (options.secure ? 465 : 587);
+    const socket = options.secure
+        ? tls.connect({ host: options.host, port, ...tlsOptions })
+        : net.connect({ host: options.host, port });
+    const session = new SmtpSession(
+        socket,
+        options.timeoutMs || DEFAULT_TIMEOUT_MS
+    );
+
+    try {
+        await session.expect([220], "Greeting");
+        let features = await hello(session);
+
+        if (!options.secure && features.includes("STARTTLS")) {
+            await session.command("STARTTLS", [220]);
+            await session.upgrade(tlsOptions);
+            features = await hello(session);
+        }
+        if (options.username) {
+            await authenticate(session, features, options);
+        }
+
+        await session.command(`MAIL FROM:<${options.from}>`, [250]);
+        for (const recipient of options.to) {
+            await session.command(`RCPT TO:<${recipient}>`, [250, 251]);
+        }
+        await session.command("DATA", [354]);
+        const reply = await session.command(
+            dotStuff(options.data),
+            [250],
+            "DATA"
+        );
+
+        // The message is accepted; a failed QUIT changes nothing
+        await session.command("QUIT", [221]).catch(() => {});
+        return { response: reply.lines.join(" ") };
+    } finally {
+        session.close();
+    }
+}
+
+/**
+ * @param {Object} session - SMTP session
+ * @returns {Promise<Array<string>>} Extensions the server offers, uppercase
+ */
+async function hello(session) {
+    const name = os.hostname() || "localhost";
+    try {
+        const reply = await session.command(`EHLO ${name}`, [250]);
+        return reply.lines.slice(1).map((line) => line.toUpperCase());
+    } catch (error) {
+        // Servers without ESMTP only know HELO
+        if (!error.responseCode) throw error;
+        await session.command(`HELO ${name}`, [250]);
+        return [];
+    }
+}
+
+/**
+ * @param {Object} session - SMTP session
+ * @param {Array<string>} features - EHLO extensions
+ * @param {Object} options - { username, password }
+ */
+async function authenticate(session, features, options) {
+    const auth = features.find((feature) => feature.startsWith("AUTH "));
+    const mechanisms = auth ? auth.split(" ").slice(1) : [];
+
+    if (mechanisms.includes("LOGIN") && !mechanisms.includes("PLAIN")) {
+        await session.command("AUTH LOGIN", [334]);
+        await session.command(base64(options.username), [334], "AUTH");
+        await session.command(base64(options.password), [235], "AUTH");
+        return;
+    }
+
+    await session.command(
+        `AUTH PLAIN ${base64(`\0${options.username}\0${options.password}`)}`,
+        [235],
+        "AUTH"
+    );
+}
+
+/**
+ * @param {string} value - Text
+ * @returns {string} Base64 of its UTF-8 bytes
+ */
+function base64(value) {
+    return Buffer.from(String(value), "utf8").toString("base64");
+}
+
+/**
+ * Message as sent after DATA: lines starting with "." get another one and
+ * a line with a single "." ends it
+ * @param {string} data - Message
+ * @returns {string} DATA payload without the final CRLF
+ */
+function dotStuff(data) {
+    const normalized = data.replace(/\r?\n/g, "\r\n").replace(/^\./gm, "..");
+    return `${normalized}${normalized.endsWith("\r\n") ? "" : "\r\n"}.`;
+}
+
+module.exports = {
+    sendMail,
+};
@@ -0,0 +1,217 @@
+"use strict";
+
+/**
+ * Telegram Bot API mapping
+ * Translates Telegram updates into the messaging events the Instagram
+ * webhook delivers ({ sender, message }), so routing, the inbox and the
+ * channel adapter handle them the same way, and builds outgoing sendMessage
+ * requests with quick replies as inline keyboard buttons. Only private chats
+ * are answered; there the chat ID is the customer's user ID
+ */
+
+// Header Telegram sends with the secret_token given to setWebhook
+const SECRET_TOKEN_HEADER = "x-telegram-bot-api-secret-token";
+
+// Telegram message fields holding media, and the attachment type they map to
+const MEDIA_FIELDS = {
+    photo: "image",
+    sticker: "sticker",
+    animation: "video",
+    video: "video",
+    video_note: "video",
+    audio: "audio",
+    voice: "audio",
+    document: "document",
+};
+
+// Telegram rejects callback data over 64 bytes
+const CALLBACK_DATA_MAX_BYTES = 64;
+
+/**
+ * @param {string} botToken - Bot token ("<bot id>:<secret>")
+ * @returns {string|null} Bot ID
+ */
+function getBotId(botToken) {
+    if (typeof botToken !== "string" || !botToken.includes(":")) return null;
+    return botToken.split(":")[0];
+}
+
+/**
+ * Message IDs are only unique within a chat, and a customer's private chat
+ * ID is the same with every bot
+ * @param {string} botId - Bot ID
+ * @param {number|string} chatId - Chat ID
+ * @param {number|string} messageId - Message ID within the chat
+ * @returns {string} Platform message ID
+ */
+function messageKey(botId, chatId, messageId) {
+    return `${botId}:${chatId}:${messageId}`;
+}
+
+/**
+ * Messaging event of an update: a customer message, or the press of an
+ * inline keyboard button as a quick reply. Edits, group chats and updates
+ * without anything to answer are left out
+ * @param {Object} update - Telegram update
+ * @param {string} botId - Bot the update was sent to
+ * @returns {Object|null} { sender, timestamp, message, callback_query }
+ */
+function toMessagingEvent(update, botId) {
+    if (update?.callback_query) {
+        return toCallbackEvent(update.callback_query, botId);
+    }
+
+    const message = update?.message;
+    if (!message || message.chat?.type !== "private") return null;
+
+    const content = toMessageContent(message);
+    if (!content) return null;
+
+    const chatId = message.chat.id;
+    if (message.reply_to_message) {
+        content.reply_to = {
+            mid: messageKey(botId, chatId, message.reply_to_message.message_id),
+        };
+    }
+
+    return {
+        sender: { id: String(chatId) },
+        timestamp: message.date * 1000,
+        message: {
+            mid: messageKey(botId, chatId, message.message_id),
+            ...content,
+        },
+    };
+}
+
+/**
+ * @param {Object} message - Telegram message
+ * @returns {Object|null} Message content, null for types we do not answer
+ */
+function toMessageContent(message) {
+    if (typeof message.text === "string") {
+        // Sent when a customer opens the bot for the first time
+        if (/^\/start(\s|$)/.test(message.text)) return { text: "Hello" };
+        return { text: message.text };
+    }
+
+    const field = Object.keys(MEDIA_FIELDS).find((key) => message[key]);
+    if (field) {
+        // Photos come in several sizes, largest last
+        const media = Array.isArray(message[field])
+            ? message[field][message[field].length - 1]
+            : message[field];
+        return {
+            text: message.caption,
+            attachments: [
+                {
+                    type: MEDIA_FIELDS[field],
+                    payload: {
+                        file_id: media.file_id,
+                        ...(media.mime_type && { mime_type: media.mime_type }),
+                        ...(media.file_name && { filename: media.file_name }),
+                    },
+                },
+            ],
+        };
+    }
+
+    if (message.location) {
+        return {
+            attachments: [
+                {
+                    type: "location",
+                    payload: {
+                        coordinates: {
+                            lat: message.location.latitude,
+                            long: message.location.longitude,
+                        },
+                    },
+                },
+            ],
+        };
+    }
+
+    if (message.contact) {
+        return {
+            attachments: [
+                {
+                    type: "contacts",
+                    payload: { contacts: [message.contact] },
+                },
+            ],
+        };
+    }
+
+    return null;
+}
+
+/**
+ * @param {Object} query - Telegram callback query
+ * @param {string} botId - Bot ID
+ * @returns {Object|null} Messaging event with the button's text as the message
+ */
+function toCallbackEvent(query, botId) {
+    const chat = query.message?.chat;
+    if (!chat || chat.type !== "private" || !query.data) return null;
+
+    const title = buttonTitle(query.message.reply_markup, query.data);
+    return {
+        sender: { id: String(chat.id) },
+        // Answered so the customer's client stops showing progress
+        callback_query: { id: query.id },
+        message: {
+            mid: messageKey(botId, chat.id, `callback:${query.id}`),
+            text: title,
+            quick_reply: { payload: query.data, title },
+        },
+    };
+}
+
+/**
+ * @param {Object} replyMarkup - Inline keyboard of the message
+ * @param {string} data - Callback data of the pressed button
+ * @returns {string} Text of the button, the data when it is not found
+ */
+function buttonTitle(replyMarkup, data) {
+    const rows = Array.isArray(replyMarkup?.inline_keyboard)
+        ? replyMarkup.inline_keyboard
+        : [];
+    const button = rows.flat().find((b) => b.callback_data === data);
+    return button?.text || data;
+}
+
+/**
+ * Build a sendMessage request
+ * @param {string} chatId - Customer's chat ID
+ * @param {Object} payload - { text }
+ * @param {Array<Object>} quickReplies - [{ title, payload }], one button per row
+ * @returns {Object} Request body for POST /bot<token>/sendMessage
+ */
+function buildSendMessage(chatId, payload, quickReplies = []) {
+    const buttons = quickReplies
+        .filter(
+            (reply) =>
+                Buffer.byteLength(String(reply.payload)) <=
+                CALLBACK_DATA_MAX_BYTES
+        )
+        .map((reply) => [
+            { text: reply.title, callback_data: String(reply.payload) },
+        ]);
+
+    return {
+        chat_id: chatId,
+        text: payload.text,
+        ...(buttons.length > 0 && {
+            reply_markup: { inline_keyboard: buttons },
+        }),
+    };
+}
+
+module.exports = {
+    SECRET_TOKEN_HEADER,
+    getBotId,
+    messageKey,
+    toMessagingEvent,
+    buildSendMessage,
+};
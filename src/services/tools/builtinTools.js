@@ -0,0 +1,635 @@
+"use strict";
+
+/**
+ * Built-in tools
+ * Each factory gets the services the tool needs and returns a tool for the
+ * ToolRegistry. execute(args, context) receives checked arguments and
+ * { business, businessId, conversationId, clientId, channel, language,
+ * sandbox, signal }. Tools that change data (the appointment tools) only
+ * check what they would do in a sandboxed run; the others behave the same,
+ * except that nothing they return reaches a customer. signal is aborted at
+ * the executor's time limit; bookings, moves and cancellations give up
+ * then instead of committing
+ */
+
+const ChannelAdapter = require("../conversationEngine/channelAdapter");
+const { RETRIEVAL_THRESHOLD } = require("../conversationEngine/stages");
+const {
+    resolveCalendarSettings,
+    dayWindows,
+} = require("../appointments/availability");
+const {
+    isValidDate,
+    toLocal,
+    zonedTimeToUtc,
+    toMinutes,
+    addDays,
+    weekdayOf,
+} = require("../appointments/timezone");
+const { resolveBusinessHours } = require("../businessHours");
+
+const SEARCH_LIMIT = 3;
+const SEARCH_CONTENT_LIMIT = 500;
+
+const DATE_PARAMETER = {
+    type: "string",
+    description: "Date in the business's timezone, YYYY-MM-DD",
+    pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+};
+const TIME_PARAMETER = {
+    type: "string",
+    description: "Start time in the business's timezone, HH:MM (24-hour)",
+    pattern: "^([01]\\d|2[0-3]):[0-5]\\d$",
+};
+const APPOINTMENT_ID_PARAMETER = {
+    type: "integer",
+    description: "appointment_id from list_my_appointments",
+    minimum: 1,
+};
+
+const MESSAGE_PARAMETERS = {
+    type: "object",
+    properties: {
+        message: {
+            type: "string",
+            description: "Customer message to analyze",
+            maxLength: 2000,
+        },
+    },
+    required: ["message"],
+};
+
+/**
+ * Look up business knowledge (FAQs, context sections, templates)
+ * @param {Object} services - { contextSearchService }
+ * @returns {Object} Tool
+ */
+function searchKnowledgeTool({ contextSearchService }) {
+    return {
+        id: "auto_response",
+        functionName: "search_knowledge",
+        description:
+            "Search the business's FAQs and information for facts needed to answer the customer, such as prices, policies or opening hours.",
+        parameters: {
+            type: "object",
+            properties: {
+                query: {
+                    type: "string",
+                    description: "What to look up, in plain words",
+                    maxLength: 500,
+                },
+            },
+            required: ["query"],
+        },
+        modelCallable: true,
+        async execute(args, context) {
+            const search = await contextSearchService.searchContexts({
+                query: args.query,
+                businessId: context.businessId,
+                language: context.language,
+                threshold: RETRIEVAL_THRESHOLD,
+                limit: SEARCH_LIMIT,
+            });
+
+            return {
+                results: (search.results || []).map((result) => ({
+                    type: result.type,
+                    title: result.section_name,
+                    content: (result.content || "").substring(
+                        0,
+                        SEARCH_CONTENT_LIMIT
+                    ),
+                    score: result.similarity_score,
+                })),
+            };
+        },
+    };
+}
+
+/**
+ * Score a lead from what the customer has told so far
+ * @returns {Object} Tool
+ */
+function leadScoringTool() {
+    const INTEREST_POINTS = { low: 10, medium: 25, high: 40 };
+    const TIMELINE_POINTS = {
+        immediate: 25,
+        within_month: 15,
+        later: 5,
+        unknown: 0,
+    };
+
+    return {
+        id: "lead_scoring",
+        functionName: "score_lead",
+        description:
+            "Score how ready the customer is to buy from what they said about interest, budget, timeline and who decides. Use the result to decide whether to offer a call or booking.",
+        parameters: {
+            type: "object",
+            properties: {
+                interest_level: {
+                    type: "string",
+                    enum: Object.keys(INTEREST_POINTS),
+                },
+                budget_confirmed: {
+                    type: "boolean",
+                    description: "Customer said they can afford the offer",
+                },
+                timeline: {
+                    type: "string",
+                    enum: Object.keys(TIMELINE_POINTS),
+                },
+                decision_maker: {
+                    type: "boolean",
+                    description: "Customer decides the purchase themselves",
+                },
+            },
+            required: ["interest_level"],
+        },
+        modelCallable: true,
+        async execute(args) {
+            const score =
+                INTEREST_POINTS[args.interest_level] +
+                (args.budget_confirmed ? 20 : 0) +
+                TIMELINE_POINTS[args.timeline || "unknown"] +
+                (args.decision_maker ? 15 : 0);
+
+            let tier = "cold";
+            let nextAction = "keep_engaging";
+            if (score >= 70) {
+                tier = "hot";
+                nextAction = "offer_booking_or_call";
+            } else if (score >= 40) {
+                tier = "warm";
+                nextAction = "ask_qualifying_questions";
+            }
+
+            return { lead_score: score, tier, next_action: nextAction };
+        },
+    };
+}
+
+/**
+ * Open appointment times on a date, from the same availability the booking
+ * API uses
+ * @param {Object} services - { appointmentService }
+ * @returns {Object} Tool
+ */
+function availabilityTool({ appointmentService }) {
+    return {
+        id: "appointment_scheduler",
+        functionName: "check_availability",
+        description:
+            "List the open appointment start times on a date. Use before suggesting a time to the customer and only offer times it returns.",
+        parameters: {
+            type: "object",
+            properties: { date: DATE_PARAMETER },
+            required: ["date"],
+        },
+        modelCallable: true,
+        // The model needs today's date to turn "Thursday" into a date
+        guidance(context) {
+            const settings = resolveCalendarSettings(context.business);
+            const now = toLocal(appointmentService.now(), settings.timezone);
+            return `Today is ${now.weekday} ${now.date}, ${now.time} in ${settings.timezone}; appointment dates and times are in that timezone. Call check_availability before suggesting times and only offer times it returns. Call book_appointment only after the customer has picked one of them. To move or cancel a booking, find it with list_my_appointments first. If a booking is pending, tell the customer the business will confirm it.`;
+        },
+        async execute(args, context) {
+            const business = context.business || {};
+            const settings = resolveCalendarSettings(business);
+            assertDate(args.date);
+
+            const now = appointmentService.now();
+            const today = toLocal(now, settings.timezone).date;
+            const result = {
+                date: args.date,
+                weekday: weekdayOf(args.date),
+                timezone: settings.timezone,
+            };
+
+            const unavailable = (reason, extra = {}) => ({
+                ...result,
+                available: false,
+                reason,
+                ...extra,
+            });
+
+            if (!settings.is_enabled) return unavailable("booking_disabled");
+            if (args.date < today) return unavailable("date_in_past");
+            if (args.date > addDays(today, settings.max_advance_booking)) {
+                return unavailable("too_far_ahead", {
+                    max_advance_days: settings.max_advance_booking,
+                });
+            }
+            const windows = dayWindows(
+                args.date,
+                settings,
+                resolveBusinessHours(business)
+            );
+            if (windows.length === 0) return unavailable("closed");
+
+            const availability = await appointmentService.getAvailability({
+                business,
+                from: args.date,
+                to: args.date,
+            });
+            if (availability.slots.length === 0) {
+                return unavailable("fully_booked", {
+                    min_advance_hours: settings.min_advance_booking,
+                });
+            }
+
+            return {
+                ...result,
+                available: true,
+                appointment_duration_minutes: availability.duration_minutes,
+                open_times: availability.slots.map((slot) => slot.local_time),
+            };
+        },
+    };
+}
+
+/**
+ * Book an open time for the customer of the conversation
+ * @param {Object} services - { appointmentService }
+ * @returns {Object} Tool
+ */
+function bookAppointmentTool({ appointmentService }) {
+    return {
+        id: "appointment_scheduler",
+        functionName: "book_appointment",
+        description:
+            "Book an appointment for the customer at a time check_availability returned and the customer chose.",
+        parameters: {
+            type: "object",
+            properties: {
+                date: DATE_PARAMETER,
+                time: TIME_PARAMETER,
+                notes: {
+                    type: "string",
+                    description: "What the customer wants the appointment for",
+                    maxLength: 500,
+                },
+            },
+            required: ["date", "time"],
+        },
+        modelCallable: true,
+        async execute(args, context) {
+            const { business } = context;
+            const data = {
+                client_id: context.clientId,
+                conversation_id: context.conversationId,
+                start_time: localStart(business, args),
+                notes: args.notes,
+            };
+
+            try {
+                if (context.sandbox) {
+                    const booking = await appointmentService.check(
+                        business,
+                        data,
+                        { source: "bot" }
+                    );
+                    return {
+                        booked: true,
+                        simulated: true,
+                        ...describeAppointment({
+                            ...booking,
+                            id: null,
+                        }),
+                    };
+                }
+
+                assertClient(context);
+                const appointment = await appointmentService.create(
+                    business,
+                    data,
+                    { source: "bot", signal: context.signal }
+                );
+                return { booked: true, ...describeAppointment(appointment) };
+            } catch (error) {
+                if (error.code !== "APPOINTMENT_SLOT_UNAVAILABLE") throw error;
+                return { booked: false, reason: error.reason };
+            }
+        },
+    };
+}
+
+/**
+ * Upcoming appointments of the customer of the conversation
+ * @param {Object} services - { appointmentService }
+ * @returns {Object} Tool
+ */
+function listAppointmentsTool({ appointmentService }) {
+    return {
+        id: "appointment_scheduler",
+        functionName: "list_my_appointments",
+        description:
+            "List the customer's upcoming appointments, to tell them when they are booked or to move or cancel one.",
+        parameters: { type: "object", properties: {} },
+        modelCallable: true,
+        async execute(args, context) {
+            if (!context.clientId) return { appointments: [] };
+
+            const appointments = await appointmentService.upcomingForClient(
+                context.businessId,
+                context.clientId
+            );
+            return {
+                appointments: appointments.map((appointment) => ({
+                    ...describeAppointment(appointment),
+                    service: appointment.service?.service_name || null,
+                })),
+            };
+        },
+    };
+}
+
+/**
+ * Move one of the customer's appointments to another open time
+ * @param {Object} services - { appointmentService }
+ * @returns {Object} Tool
+ */
+function rescheduleAppointmentTool({ appointmentService }) {
+    return {
+        id: "appointment_scheduler",
+        functionName: "reschedule_appointment",
+        description:
+            "Move one of the customer's appointments to a time check_availability returned and the customer chose.",
+        parameters: {
+            type: "object",
+            properties: {
+                appointment_id: APPOINTMENT_ID_PARAMETER,
+                date: DATE_PARAMETER,
+                time: TIME_PARAMETER,
+            },
+            required: ["appointment_id", "date", "time"],
+        },
+        modelCallable: true,
+        async execute(args, context) {
+            const { business } = context;
+            const appointment = await findOwnAppointment(
+                appointmentService,
+                args.appointment_id,
+                context
+            );
+            const startTime = localStart(business, args);
+
+            try {
+                if (context.sandbox) {
+                    const booking = await appointmentService.check(
+                        business,
+                        {
+                            start_time: startTime,
+                            duration_minutes: appointment.duration_minutes,
+                        },
+                        { source: "bot", excludeId: appointment.id }
+                    );
+                    return {
+                        rescheduled: true,
+                        simulated: true,
+                        ...describeAppointment({
+                            ...booking,
+                            id: appointment.id,
+                        }),
+                    };
+                }
+
+                const moved = await appointmentService.reschedule(
+                    business,
+                    appointment.id,
+                    startTime,
+                    { source: "bot", signal: context.signal }
+                );
+                return { rescheduled: true, ...describeAppointment(moved) };
+            } catch (error) {
+                if (error.code !== "APPOINTMENT_SLOT_UNAVAILABLE") throw error;
+                return { rescheduled: false, reason: error.reason };
+            }
+        },
+    };
+}
+
+/**
+ * Cancel one of the customer's appointments
+ * @param {Object} services - { appointmentService }
+ * @returns {Object} Tool
+ */
+function cancelAppointmentTool({ appointmentService }) {
+    return {
+        id: "appointment_scheduler",
+        functionName: "cancel_appointment",
+        description:
+            "Cancel one of the customer's appointments once they have confirmed they want it cancelled.",
+        parameters: {
+            type: "object",
+            properties: {
+                appointment_id: APPOINTMENT_ID_PARAMETER,
+                reason: {
+                    type: "string",
+                    description: "Why the customer cancels, if they said",
+                    maxLength: 500,
+                },
+            },
+            required: ["appointment_id"],
+        },
+        modelCallable: true,
+        async execute(args, context) {
+            const appointment = await findOwnAppointment(
+                appointmentService,
+                args.appointment_id,
+                context
+            );
+            if (context.sandbox) {
+                return {
+                    cancelled: true,
+                    simulated: true,
+                    ...describeAppointment(appointment),
+                };
+            }
+
+            const cancelled = await appointmentService.cancel(
+                context.businessId,
+                appointment.id,
+                args.reason || "Cancelled by the customer",
+                { signal: context.signal }
+            );
+            return { cancelled: true, ...describeAppointment(cancelled) };
+        },
+    };
+}
+
+/**
+ * Sentiment of a message, from the same analysis the reply pipeline runs
+ * @param {Object} services - { processor }
+ * @returns {Object} Tool
+ */
+function sentimentAnalysisTool({ processor }) {
+    return {
+        id: "sentiment_analysis",
+        functionName: "analyze_sentiment",
+        description: "Analyze the sentiment of a customer message.",
+        parameters: MESSAGE_PARAMETERS,
+        // Every turn is analyzed already; the model gains nothing calling it
+        modelCallable: false,
+        async execute(args, context) {
+            const analysis = await analyze(processor, args.message, context);
+            const sentiment = Number(analysis.sentiment) || 0;
+
+            let label = "neutral";
+            if (sentiment > 0.2) label = "positive";
+            if (sentiment < -0.2) label = "negative";
+
+            return {
+                sentiment,
+                label,
+                confidence: analysis.confidence,
+                objections: analysis.objections || [],
+            };
+        },
+    };
+}
+
+/**
+ * Intent of a message, from the same analysis the reply pipeline runs
+ * @param {Object} services - { processor }
+ * @returns {Object} Tool
+ */
+function intentClassificationTool({ processor }) {
+    return {
+        id: "intent_classification",
+        functionName: "classify_intent",
+        description: "Classify the intent of a customer message.",
+        parameters: MESSAGE_PARAMETERS,
+        modelCallable: false,
+        async execute(args, context) {
+            const analysis = await analyze(processor, args.message, context);
+
+            return {
+                intent: analysis.intent,
+                confidence: analysis.confidence,
+                buying_signals: analysis.buying_signals || [],
+                questions: analysis.questions || [],
+            };
+        },
+    };
+}
+
+/**
+ * @param {string} date - Date argument
+ */
+function assertDate(date) {
+    if (!isValidDate(date)) {
+        const error = new Error(`${date} is not a valid date`);
+        error.code = "TOOL_INVALID_ARGUMENTS";
+        throw error;
+    }
+}
+
+/**
+ * @param {Object} context - Tool context
+ */
+function assertClient(context) {
+    if (!context.clientId) {
+        const error = new Error("There is no customer to book for");
+        error.code = "TOOL_NO_CLIENT";
+        throw error;
+    }
+}
+
+/**
+ * @param {Object} business - Business
+ * @param {Object} args - { date, time } in the calendar timezone
+ * @returns {Date} Start instant
+ */
+function localStart(business, args) {
+    assertDate(args.date);
+    const { timezone } = resolveCalendarSettings(business);
+    return zonedTimeToUtc(args.date, toMinutes(args.time), timezone);
+}
+
+/**
+ * An appointment of the conversation's customer; other customers'
+ * appointments are reported as not found
+ * @param {Object} appointmentService - AppointmentService
+ * @param {number} id - Appointment ID
+ * @param {Object} context - Tool context
+ * @returns {Promise<Object>} Appointment
+ */
+async function findOwnAppointment(appointmentService, id, context) {
+    const appointment = context.clientId
+        ? await appointmentService.find(context.businessId, id)
+        : null;
+    if (!appointment || appointment.client_id !== context.clientId) {
+        const error = new Error("Appointment not found");
+        error.code = "APPOINTMENT_NOT_FOUND";
+        throw error;
+    }
+    return appointment;
+}
+
+/**
+ * @param {Object} appointment - { id, start_time, timezone, duration_minutes, status }
+ * @returns {Object} The appointment as the customer sees it
+ */
+function describeAppointment(appointment) {
+    const local = toLocal(
+        new Date(appointment.start_time),
+        appointment.timezone
+    );
+    return {
+        appointment_id: appointment.id,
+        date: local.date,
+        weekday: local.weekday,
+        time: local.time,
+        timezone: appointment.timezone,
+        duration_minutes: appointment.duration_minutes,
+        status: appointment.status,
+    };
+}
+
+/**
+ * @param {Object} processor - AIMessageProcessor
+ * @param {string} message - Message
+ * @param {Object} context - Tool context
+ * @returns {Promise<Object>} Message analysis
+ */
+function analyze(processor, message, context) {
+    return processor.analyzeMessageWithAI(message, {
+        ...ChannelAdapter.defaultContext(),
+        businessId: context.businessId,
+        businessName: context.business?.company_name,
+        language: context.language,
+    });
+}
+
+/**
+ * Every built-in tool
+ * @param {Object} services - { contextSearchService, appointmentService, processor }
+ * @returns {Array<Object>} Tools
+ */
+function createBuiltinTools(services) {
+    return [
+        searchKnowledgeTool(services),
+        leadScoringTool(services),
+        availabilityTool(services),
+        bookAppointmentTool(services),
+        listAppointmentsTool(services),
+        rescheduleAppointmentTool(services),
+        cancelAppointmentTool(services),
+        sentimentAnalysisTool(services),
+        intentClassificationTool(services),
+    ];
+}
+
+module.exports = {
+    createBuiltinTools,
+    searchKnowledgeTool,
+    leadScoringTool,
+    availabilityTool,
+    bookAppointmentTool,
+    listAppointmentsTool,
+    rescheduleAppointmentTool,
+    cancelAppointmentTool,
+    sentimentAnalysisTool,
+    intentClassificationTool,
+};
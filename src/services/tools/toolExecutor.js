@@ -0,0 +1,352 @@
+"use strict";
+
+const { Business, ToolExecution } = require("../../models");
+const ToolRegistry = require("./toolRegistry");
+const { createChildLogger } = require("../../config/logger");
+
+const logger = createChildLogger("tool-executor");
+
+const TOOL_TIMEOUT = 5000; // ms per call
+const MAX_TOOL_ROUNDS = 3;
+
+const TOOL_GUIDANCE =
+    "You can call the provided functions to look up business information and lead scores or to manage appointments. Call them instead of guessing; their results are trusted business data. Never mention the functions to the customer.";
+
+/**
+ * Tool Executor
+ * Runs the tools a business has enabled: offers them to the model as
+ * functions, executes the calls it makes with checked arguments and a time
+ * limit, feeds the results back and records every call with its inputs,
+ * output and latency. Calls get an AbortSignal that fires at the time limit
+ * so tools can give up before changing data; a call that completes anyway
+ * is recorded as completed_late
+ * Follows Single Responsibility Principle - only handles tool execution
+ */
+class ToolExecutor {
+    /**
+     * @param {Object} options - Executor options
+     * @param {Object} options.registry - ToolRegistry with the available tools
+     * @param {Object} options.llm - LLMService for function calling
+     * @param {number} options.timeout - Time limit per call in ms
+     */
+    constructor(options = {}) {
+        this.registry = options.registry || new ToolRegistry();
+        this.llm = options.llm || null;
+        this.timeout = options.timeout || TOOL_TIMEOUT;
+    }
+
+    /**
+     * Enabled tools the model may call for a task; none when the provider
+     * cannot call functions or the business cannot be loaded
+     * @param {string} task - LLM task
+     * @param {number} businessId - Business ID
+     * @returns {Promise<Object>} { business, tools }
+     */
+    async getCallableTools(task, businessId) {
+        if (!businessId || !this.llm) return { business: null, tools: [] };
+
+        try {
+            if (!(await this.llm.supportsTools(task, businessId))) {
+                return { business: null, tools: [] };
+            }
+            const business = await Business.findByPk(businessId);
+            const tools = this.registry
+                .getEnabledTools(business)
+                .filter((tool) => tool.modelCallable);
+            return { business, tools };
+        } catch (error) {
+            logger.error("Failed to load tools, replying without them", {
+                businessId,
+                error: error.message,
+            });
+            return { business: null, tools: [] };
+        }
+    }
+
+    /**
+     * Run a chat completion in which the model may call the business's
+     * tools; without tools it is a plain completion
+     * @param {string} task - LLM task
+     * @param {Object} request - { businessId, messages }
+     * @param {Object} context - { conversationId, clientId, channel, language, sandbox }
+     * @param {Array<Object>} context.executions - Collects the calls made
+     * @returns {Promise<Object>} Completion with toolExecutions
+     */
+    async complete(task, request, context = {}) {
+        const executions = context.executions || [];
+        const { business, tools } = await this.getCallableTools(
+            task,
+            request.businessId
+        );
+        if (tools.length === 0) {
+            const completion = await this.llm.complete(task, request);
+            return { ...completion, toolExecutions: executions };
+        }
+
+        const toolContext = {
+            business,
+            businessId: request.businessId,
+            conversationId: context.conversationId || null,
+            clientId: context.clientId || null,
+            channel: context.channel || "direct",
+            language: context.language,
+            sandbox: !!context.sandbox,
+        };
+        const definitions = ToolRegistry.toDefinitions(tools);
+        const guidance = [
+            TOOL_GUIDANCE,
+            ...tools
+                .filter((tool) => tool.guidance)
+                .map((tool) => tool.guidance(toolContext)),
+        ];
+        const messages = [
+            { role: "system", content: guidance.join("\n\n") },
+            ...request.messages,
+        ];
+
+        for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+            // The last round must answer with what the tools returned
+            const completion = await this.llm.complete(task, {
+                ...request,
+                messages,
+                tools: definitions,
+                ...(round === MAX_TOOL_ROUNDS && { toolChoice: "none" }),
+            });
+            if (completion.toolCalls.length === 0) {
+                return { ...completion, toolExecutions: executions };
+            }
+
+            messages.push({
+                role: "assistant",
+                content: completion.content || null,
+                tool_calls: completion.toolCalls.map((call) => ({
+                    id: call.id,
+                    type: "function",
+                    function: { name: call.name, arguments: call.arguments },
+                })),
+            });
+            for (const call of completion.toolCalls) {
+                const execution = await this.runToolCall(
+                    call,
+                    tools,
+                    toolContext
+                );
+                executions.push(execution);
+                messages.push({
+                    role: "tool",
+                    tool_call_id: call.id,
+                    content: JSON.stringify(
+                        execution.status === "success"
+                            ? execution.result
+                            : { error: execution.error }
+                    ),
+                });
+            }
+        }
+
+        return { content: null, toolCalls: [], toolExecutions: executions };
+    }
+
+    /**
+     * Execute one function call from the model
+     * @param {Object} call - { id, name, arguments } with arguments as JSON
+     * @param {Array<Object>} tools - Tools offered to the model
+     * @param {Object} context - Tool context
+     * @returns {Promise<Object>} Execution
+     */
+    async runToolCall(call, tools, context) {
+        const tool = tools.find((t) => t.functionName === call.name);
+        if (!tool) {
+            // Audit disabled tools under their flag, made-up ones by name
+            const known = this.registry.getByFunctionName(call.name);
+            return this.reject(
+                { id: known ? known.id : call.name, functionName: call.name },
+                call.arguments,
+                `Function "${call.name}" is not available`,
+                context
+            );
+        }
+
+        let args;
+        try {
+            args = call.arguments ? JSON.parse(call.arguments) : {};
+        } catch (error) {
+            return this.reject(
+                tool,
+                call.arguments,
+                "Arguments are not valid JSON",
+                context
+            );
+        }
+
+        return this.execute(tool, args, context);
+    }
+
+    /**
+     * Check the arguments and run a tool within the time limit
+     * Never throws; failures come back as status "error" or "rejected"
+     * @param {Object} tool - Tool
+     * @param {Object} args - Arguments
+     * @param {Object} context - { business, businessId, conversationId, clientId, channel, language, sandbox }
+     * @returns {Promise<Object>} { tool_id, function_name, status, arguments, result, error, latency_ms }
+     */
+    async execute(tool, args, context) {
+        const errors = ToolRegistry.validateArguments(tool.parameters, args);
+        if (errors.length > 0) {
+            return this.reject(tool, args, errors.join("; "), context);
+        }
+
+        const startTime = Date.now();
+        const execution = {
+            tool_id: tool.id,
+            function_name: tool.functionName,
+            status: "success",
+            arguments: args,
+            result: null,
+            error: null,
+        };
+        const controller = new AbortController();
+        const call = Promise.resolve().then(() =>
+            tool.execute(args, { ...context, signal: controller.signal })
+        );
+        let timedOut = false;
+        try {
+            execution.result = await withTimeout(
+                call,
+                this.timeout,
+                tool.functionName,
+                controller
+            );
+        } catch (error) {
+            logger.warn("Tool call failed", {
+                businessId: context.businessId,
+                tool: tool.functionName,
+                error: error.message,
+            });
+            execution.status = "error";
+            execution.error = error.message;
+            timedOut = error.code === "TOOL_TIMEOUT";
+        }
+        execution.latency_ms = Date.now() - startTime;
+
+        const record = await this.audit(execution, context);
+        if (timedOut) {
+            this.recordLateCompletion(call, record, context, startTime);
+        }
+        return execution;
+    }
+
+    /**
+     * Record a timed-out call that completes after all, so the audit shows
+     * what it did although the model was told it failed
+     * @param {Promise} call - The tool call
+     * @param {Object|null} record - Its ToolExecution record
+     * @param {Object} context - Tool context
+     * @param {number} startTime - When the call started
+     * @returns {Promise} Settles once the outcome is recorded
+     */
+    recordLateCompletion(call, record, context, startTime) {
+        return call.then(
+            async (result) => {
+                logger.warn("Tool call completed after its time limit", {
+                    businessId: context.businessId,
+                    toolExecutionId: record?.id,
+                });
+                if (!record) return;
+
+                try {
+                    await record.update({
+                        status: "completed_late",
+                        result,
+                        latency_ms: Date.now() - startTime,
+                    });
+                } catch (error) {
+                    logger.error("Failed to record late tool completion", {
+                        businessId: context.businessId,
+                        toolExecutionId: record.id,
+                        error: error.message,
+                    });
+                }
+            },
+            // Aborted or failed: the "error" already recorded stands
+            () => {}
+        );
+    }
+
+    /**
+     * Record a call that was refused before running
+     * @param {Object} tool - { id, functionName }
+     * @param {*} args - Arguments as received
+     * @param {string} reason - Why the call was refused
+     * @param {Object} context - Tool context
+     * @returns {Promise<Object>} Execution with status "rejected"
+     */
+    async reject(tool, args, reason, context) {
+        const execution = {
+            tool_id: tool.id,
+            function_name: tool.functionName,
+            status: "rejected",
+            arguments: args,
+            result: null,
+            error: reason,
+            latency_ms: 0,
+        };
+        await this.audit(execution, context);
+        return execution;
+    }
+
+    /**
+     * Store the audit record; a failed write never fails the call
+     * @param {Object} execution - Execution
+     * @param {Object} context - Tool context
+     * @returns {Promise<Object|null>} ToolExecution record
+     */
+    async audit(execution, context) {
+        try {
+            return await ToolExecution.create({
+                business_id: context.businessId,
+                conversation_id: context.conversationId || null,
+                tool_id: execution.tool_id,
+                function_name: execution.function_name,
+                channel: context.channel || "direct",
+                sandbox: !!context.sandbox,
+                status: execution.status,
+                arguments: execution.arguments,
+                result: execution.result,
+                error_message: execution.error,
+                latency_ms: execution.latency_ms,
+            });
+        } catch (error) {
+            logger.error("Failed to record tool execution", {
+                businessId: context.businessId,
+                tool: execution.function_name,
+                error: error.message,
+            });
+            return null;
+        }
+    }
+}
+
+/**
+ * @param {Promise} promise - Tool call
+ * @param {number} ms - Time limit
+ * @param {string} name - Function name for the error
+ * @param {AbortController} controller - Aborted with the error at the limit
+ * @returns {Promise} The call's result
+ */
+function withTimeout(promise, ms, name, controller) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`${name} timed out after ${ms}ms`);
+            error.code = "TOOL_TIMEOUT";
+            controller.abort(error);
+            reject(error);
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+ToolExecutor.MAX_TOOL_ROUNDS = MAX_TOOL_ROUNDS;
+
+module.exports = ToolExecutor;
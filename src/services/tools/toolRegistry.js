@@ -0,0 +1,224 @@
+"use strict";
+
+// Flags a business starts with; ai_tool_functions replaces the whole list
+// once the business changes any of them
+const DEFAULT_TOOL_FUNCTIONS = [
+    {
+        id: "auto_response",
+        name: "Auto Response Generator",
+        description:
+            "Automatically generate responses to common customer inquiries",
+        is_enabled: true,
+        category: "communication",
+        last_used: null,
+    },
+    {
+        id: "sentiment_analysis",
+        name: "Sentiment Analysis",
+        description: "Analyze customer sentiment in messages",
+        is_enabled: true,
+        category: "analytics",
+        last_used: null,
+    },
+    {
+        id: "intent_classification",
+        name: "Intent Classification",
+        description: "Classify customer intent from messages",
+        is_enabled: true,
+        category: "analytics",
+        last_used: null,
+    },
+    {
+        id: "lead_scoring",
+        name: "Lead Scoring",
+        description: "Score leads based on conversation quality",
+        is_enabled: false,
+        category: "sales",
+        last_used: null,
+    },
+    {
+        id: "appointment_scheduler",
+        name: "Appointment Scheduler",
+        description: "Schedule appointments with customers",
+        is_enabled: false,
+        category: "productivity",
+        last_used: null,
+    },
+];
+
+/**
+ * Tool Registry
+ * Server-side tools the AI can use. A tool is { id, functionName,
+ * description, parameters, modelCallable, execute(args, context) } with an
+ * optional guidance(context) adding instructions to the prompt: id is the
+ * ai_tool_functions flag that enables it, parameters a JSON schema for the
+ * arguments, and modelCallable whether the reply model may call it
+ * (analysis tools run only from the test endpoint). One flag may enable
+ * several functions; the first one registered represents the flag
+ * Follows Single Responsibility Principle - only handles tool lookup and argument checks
+ */
+class ToolRegistry {
+    /**
+     * @param {Array<Object>} tools - Tools to register
+     */
+    constructor(tools = []) {
+        this.tools = new Map(); // functionName -> tool
+        for (const tool of tools) {
+            this.register(tool);
+        }
+    }
+
+    /**
+     * @param {Object} tool - Tool
+     */
+    register(tool) {
+        this.tools.set(tool.functionName, tool);
+    }
+
+    /**
+     * @param {string} id - Tool function flag ID
+     * @returns {Object|null} First tool the flag enables
+     */
+    get(id) {
+        return this.list().find((tool) => tool.id === id) || null;
+    }
+
+    /**
+     * @param {string} functionName - Function name the model called
+     * @returns {Object|null} Tool
+     */
+    getByFunctionName(functionName) {
+        return this.tools.get(functionName) || null;
+    }
+
+    /**
+     * @returns {Array<Object>} Registered tools
+     */
+    list() {
+        return [...this.tools.values()];
+    }
+
+    /**
+     * Flags of a business, the defaults until it saves its own
+     * @param {Object} business - Business with ai_tool_functions
+     * @returns {Array<Object>} Tool function flags
+     */
+    static getToolFunctions(business) {
+        return business?.ai_tool_functions || DEFAULT_TOOL_FUNCTIONS;
+    }
+
+    /**
+     * Tools a business has switched on
+     * @param {Object} business - Business with ai_tool_functions
+     * @returns {Array<Object>} Enabled tools
+     */
+    getEnabledTools(business) {
+        return ToolRegistry.getToolFunctions(business)
+            .filter((flag) => flag.is_enabled)
+            .flatMap((flag) =>
+                this.list().filter((tool) => tool.id === flag.id)
+            );
+    }
+
+    /**
+     * Function definitions in the OpenAI tools format
+     * @param {Array<Object>} tools - Tools
+     * @returns {Array<Object>} { type: "function", function }
+     */
+    static toDefinitions(tools) {
+        return tools.map((tool) => ({
+            type: "function",
+            function: {
+                name: tool.functionName,
+                description: tool.description,
+                parameters: tool.parameters,
+            },
+        }));
+    }
+
+    /**
+     * Check arguments against a tool's JSON schema: required properties,
+     * types, enums, string patterns and number ranges. Unknown properties
+     * are rejected so a model cannot smuggle options past the schema
+     * @param {Object} schema - JSON schema of type object
+     * @param {Object} args - Arguments
+     * @returns {Array<string>} Problems, empty when valid
+     */
+    static validateArguments(schema, args) {
+        if (!args || typeof args !== "object" || Array.isArray(args)) {
+            return ["Arguments must be an object"];
+        }
+
+        const errors = [];
+        const properties = schema.properties || {};
+
+        for (const name of schema.required || []) {
+            if (args[name] === undefined || args[name] === null) {
+                errors.push(`${name} is required`);
+            }
+        }
+
+        for (const [name, value] of Object.entries(args)) {
+            const property = properties[name];
+            if (!property) {
+                errors.push(`Unknown argument "${name}"`);
+                continue;
+            }
+            if (value === undefined || value === null) continue;
+
+            const problem = checkValue(property, value);
+            if (problem) errors.push(`${name} ${problem}`);
+        }
+        return errors;
+    }
+}
+
+/**
+ * @param {Object} property - JSON schema of one property
+ * @param {*} value - Value
+ * @returns {string|null} Problem, null when valid
+ */
+function checkValue(property, value) {
+    switch (property.type) {
+        case "string":
+            if (typeof value !== "string") return "must be a string";
+            if (property.pattern && !new RegExp(property.pattern).test(value)) {
+                return `must match ${property.pattern}`;
+            }
+            if (property.maxLength && value.length > property.maxLength) {
+                return `must be at most ${property.maxLength} characters`;
+            }
+            break;
+        case "integer":
+        case "number":
+            if (
+                typeof value !== "number" ||
+                (property.type === "integer" && !Number.isInteger(value))
+            ) {
+                return property.type === "integer"
+                    ? "must be an integer"
+                    : "must be a number";
+            }
+            if (property.minimum !== undefined && value < property.minimum) {
+                return `must be at least ${property.minimum}`;
+            }
+            if (property.maximum !== undefined && value > property.maximum) {
+                return `must be at most ${property.maximum}`;
+            }
+            break;
+        case "boolean":
+            if (typeof value !== "boolean") return "must be a boolean";
+            break;
+        default:
+            break;
+    }
+
+    if (property.enum && !property.enum.includes(value)) {
+        return `must be one of: ${property.enum.join(", ")}`;
+    }
+    return null;
+}
+
+ToolRegistry.DEFAULT_TOOL_FUNCTIONS = DEFAULT_TOOL_FUNCTIONS;
+
+module.exports = ToolRegistry;
@@ -0,0 +1,191 @@
+"use strict";
+
+const crypto = require("crypto");
+const { UnansweredQuestion } = require("../models");
+const { createChildLogger } = require("../config/logger");
+
+const logger = createChildLogger("unanswered-questions");
+
+/**
+ * Unanswered Question Service
+ * Records questions the knowledge base could not answer confidently,
+ * deduplicated per business by a hash of the normalized question so the
+ * chatbot tester and live conversations feed the same list
+ * Follows Single Responsibility Principle - only handles unanswered question tracking
+ */
+class UnansweredQuestionService {
+    /**
+     * Record an unanswered question or bump the frequency of a known one
+     * Failures are logged and swallowed so tracking never breaks a reply
+     * @param {Object} params - Unanswered question parameters
+     * @param {string} params.question - Question as asked by the customer
+     * @param {number} params.businessId - Business ID
+     * @param {number} params.sessionId - Test session ID (tester only)
+     * @param {number} params.conversationId - Conversation ID (live only)
+     * @param {string} params.language - Language code
+     * @param {Array} params.contextSources - Context sources searched
+     * @param {number} params.confidenceScore - Confidence of the answer
+     * @param {Object} params.conversationContext - Recent conversation context
+     */
+    async track(params) {
+        const {
+            question,
+            businessId,
+            sessionId,
+            conversationId,
+            language = "en",
+            contextSources = [],
+            confidenceScore,
+            conversationContext,
+        } = params;
+
+        let questionHash;
+        try {
+            const normalizedQuestion = this.normalizeQuestion(question);
+            questionHash = this.hashQuestion(normalizedQuestion);
+
+            // Check if question already exists
+            const unansweredQuestion = await UnansweredQuestion.findOne({
+                where: {
+                    business_id: businessId,
+                    question_hash: questionHash,
+                },
+                attributes: [
+                    "id",
+                    "business_id",
+                    "question_text",
+                    "normalized_question",
+                    "question_hash",
+                    "frequency",
+                    "first_asked_at",
+                    "last_asked_at",
+                    "status",
+                    "resolution_notes",
+                    "resolved_at",
+                    "resolved_by",
+                    "context_sources_searched",
+                    "template_sources_searched",
+                    "conversation_context",
+                    "confidence_scores",
+                    "average_confidence",
+                    "language_code",
+                    "source_sessions",
+                    "priority",
+                    "tags",
+                    "metadata",
+                    "created_at",
+                    "updated_at",
+                ],
+            });
+
+            if (unansweredQuestion) {
+                const confidenceScores = [
+                    ...(unansweredQuestion.confidence_scores || []),
+                    confidenceScore,
+                ];
+                const updates = {
+                    frequency: unansweredQuestion.frequency + 1,
+                    last_asked_at: new Date(),
+                    confidence_scores: confidenceScores,
+                    average_confidence:
+                        this.calculateAverageConfidence(confidenceScores),
+                };
+
+                if (sessionId) {
+                    updates.source_sessions = [
+                        ...new Set([
+                            ...(unansweredQuestion.source_sessions || []),
+                            sessionId,
+                        ]),
+                    ];
+                }
+
+                await unansweredQuestion.update(updates);
+            } else {
+                await UnansweredQuestion.create(
+                    {
+                        business_id: businessId,
+                        question_text: question,
+                        normalized_question: normalizedQuestion,
+                        question_hash: questionHash,
+                        frequency: 1,
+                        first_asked_at: new Date(),
+                        last_asked_at: new Date(),
+                        status: "unanswered",
+                        context_sources_searched: contextSources.map((s) => ({
+                            id: s.id,
+                            type: s.type,
+                            similarity_score: s.similarity_score,
+                        })),
+                        confidence_scores: [confidenceScore],
+                        average_confidence: confidenceScore,
+                        source_sessions: sessionId ? [sessionId] : [],
+                        conversation_id: conversationId || null,
+                        conversation_context: conversationContext,
+                        language_code: language,
+                    },
+                    {
+                        returning: false, // Don't return the created record
+                    }
+                );
+            }
+
+            logger.info("Unanswered question tracked", {
+                businessId,
+                sessionId,
+                conversationId,
+                questionHash,
+                confidenceScore,
+            });
+        } catch (error) {
+            logger.error("Failed to track unanswered question", {
+                error: error.message,
+                errorType: error.constructor.name,
+                errorCode: error.code,
+                stack: error.stack,
+                businessId,
+                sessionId,
+                conversationId,
+                questionHash: questionHash || "undefined",
+                confidenceScore,
+            });
+        }
+    }
+
+    /**
+     * Normalize question for deduplication
+     * @param {string} question - Original question
+     * @returns {string} Normalized question
+     */
+    normalizeQuestion(question) {
+        return question
+            .toLowerCase()
+            .replace(/[^\w\s]/g, "")
+            .replace(/\s+/g, " ")
+            .trim();
+    }
+
+    /**
+     * Hash a normalized question
+     * @param {string} normalizedQuestion - Normalized question
+     * @returns {string} SHA-256 hex digest
+     */
+    hashQuestion(normalizedQuestion) {
+        return crypto
+            .createHash("sha256")
+            .update(normalizedQuestion)
+            .digest("hex");
+    }
+
+    /**
+     * Calculate average confidence from scores
+     * @param {Array} scores - Confidence scores
+     * @returns {number} Average confidence
+     */
+    calculateAverageConfidence(scores) {
+        if (scores.length === 0) return 0;
+        return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    }
+}
+
+module.exports = UnansweredQuestionService;
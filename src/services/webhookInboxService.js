@@ -0,0 +1,386 @@
+"use strict";
+
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const { WebhookInboxEvent } = require("../models");
+const { createChildLogger } = require("../config/logger");
+
+const logger = createChildLogger("webhook-inbox");
+
+/**
+ * Webhook Inbox Service
+ * Persists inbound webhook events before they are processed, drops
+ * redelivered events by platform message ID and runs a polling worker that
+ * retries failures with exponential backoff until they are dead-lettered
+ * Follows Single Responsibility Principle - only handles inbound event delivery
+ */
+class WebhookInboxService {
+    /**
+     * @param {Object} options - Worker options
+     * @param {Function} options.handler - async (inboxEvent) => void, throws to retry
+     * @param {Function} options.onDeadLetter - async (inboxEvent, error) => void
+     * @param {number} options.maxAttempts - Attempts before dead-lettering
+     * @param {number} options.baseDelayMs - First retry delay
+     * @param {number} options.maxDelayMs - Retry delay cap
+     * @param {number} options.pollIntervalMs - Worker polling interval
+     * @param {number} options.lockTimeoutMs - Age after which a claimed event is released
+     * @param {number} options.batchSize - Events claimed per poll
+     */
+    constructor(options = {}) {
+        this.handler = options.handler;
+        this.onDeadLetter = options.onDeadLetter || null;
+        this.maxAttempts = options.maxAttempts || 5;
+        this.baseDelayMs = options.baseDelayMs || 5 * 1000; // 5 seconds
+        this.maxDelayMs = options.maxDelayMs || 60 * 60 * 1000; // 1 hour
+        this.pollIntervalMs = options.pollIntervalMs || 2 * 1000; // 2 seconds
+        this.lockTimeoutMs = options.lockTimeoutMs || 5 * 60 * 1000; // 5 minutes
+        this.batchSize = options.batchSize || 10;
+
+        this.timer = null;
+        this.isProcessing = false;
+    }
+
+    /**
+     * Build the deduplication key of a messaging event
+     * Meta redelivers the same mid on retries; events without one fall back
+     * to a hash of their content
+     * @param {Object} event - Messaging event
+     * @returns {string} Deduplication key
+     */
+    getDedupeKey(event) {
+        const mid = event.message?.mid || event.postback?.mid;
+        if (mid) return String(mid);
+
+        const hash = crypto
+            .createHash("sha256")
+            .update(
+                JSON.stringify({
+                    sender: event.sender?.id,
+                    timestamp: event.timestamp,
+                    message: event.message,
+                    postback: event.postback,
+                })
+            )
+            .digest("hex");
+        return `hash:${hash}`;
+    }
+
+    /**
+     * Persist a messaging event unless it was already received
+     * @param {Object} params - Event details
+     * @param {string} params.platformType - Platform type
+     * @param {number} params.platformSourceId - Owning platform source
+     * @param {Object} params.event - Messaging event
+     * @returns {Promise<Object>} { inboxEvent, duplicate }
+     */
+    async enqueue({ platformType, platformSourceId, event }) {
+        const dedupeKey = this.getDedupeKey(event);
+
+        try {
+            const [inboxEvent, created] = await WebhookInboxEvent.findOrCreate(
+                {
+                    where: {
+                        platform_type: platformType,
+                        dedupe_key: dedupeKey,
+                    },
+                    defaults: {
+                        platform_type: platformType,
+                        platform_source_id: platformSourceId,
+                        dedupe_key: dedupeKey,
+                        event_type: event.postback ? "postback" : "message",
+                        sender_id: String(event.sender.id),
+                        payload: event,
+                        status: "pending",
+                        max_attempts: this.maxAttempts,
+                        next_attempt_at: new Date(),
+                    },
+                }
+            );
+
+            if (!created) {
+                logger.info("Dropped duplicate webhook event", {
+                    platformType,
+                    dedupeKey,
+                    inboxEventId: inboxEvent.id,
+                });
+            }
+
+            return { inboxEvent, duplicate: !created };
+        } catch (error) {
+            // Concurrent redelivery won the insert race
+            if (error.name === "SequelizeUniqueConstraintError") {
+                logger.info("Dropped duplicate webhook event", {
+                    platformType,
+                    dedupeKey,
+                });
+                return { inboxEvent: null, duplicate: true };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Delay before the next attempt, doubling after each failure
+     * @param {number} attempts - Attempts made so far
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(attempts) {
+        const delay = this.baseDelayMs * Math.pow(2, Math.max(attempts - 1, 0));
+        return Math.min(delay, this.maxDelayMs);
+    }
+
+    /**
+     * Return events whose worker died mid-processing to the queue
+     * @returns {Promise<number>} Released events
+     */
+    async releaseStaleLocks() {
+        const [released] = await WebhookInboxEvent.update(
+            { status: "pending", locked_at: null },
+            {
+                where: {
+                    status: "processing",
+                    locked_at: {
+                        [Op.lt]: new Date(Date.now() - this.lockTimeoutMs),
+                    },
+                },
+            }
+        );
+
+        if (released > 0) {
+            logger.warn("Released stale webhook inbox locks", { released });
+        }
+        return released;
+    }
+
+    /**
+     * Claim an event for this worker
+     * The conditional update makes the claim atomic across processes
+     * @param {Object} inboxEvent - Pending event
+     * @returns {Promise<boolean>} Whether the claim succeeded
+     */
+    async claim(inboxEvent) {
+        const [claimed] = await WebhookInboxEvent.update(
+            {
+                status: "processing",
+                locked_at: new Date(),
+                attempts: inboxEvent.attempts + 1,
+            },
+            {
+                where: {
+                    id: inboxEvent.id,
+                    status: "pending",
+                },
+            }
+        );
+
+        if (claimed === 1) {
+            inboxEvent.status = "processing";
+            inboxEvent.attempts += 1;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Run the handler for one claimed event and record the outcome
+     * @param {Object} inboxEvent - Claimed event
+     */
+    async processEvent(inboxEvent) {
+        try {
+            await this.handler(inboxEvent);
+
+            await inboxEvent.update({
+                status: "completed",
+                locked_at: null,
+                last_error: null,
+                processed_at: new Date(),
+            });
+        } catch (error) {
+            await this.recordFailure(inboxEvent, error);
+        }
+    }
+
+    /**
+     * Schedule a retry or dead-letter a failed event
+     * @param {Object} inboxEvent - Failed event
+     * @param {Error} error - Failure
+     */
+    async recordFailure(inboxEvent, error) {
+        const maxAttempts = inboxEvent.max_attempts || this.maxAttempts;
+
+        if (inboxEvent.attempts >= maxAttempts) {
+            logger.error("Webhook event dead-lettered", {
+                inboxEventId: inboxEvent.id,
+                attempts: inboxEvent.attempts,
+                error: error.message,
+            });
+
+            await inboxEvent.update({
+                status: "dead_letter",
+                locked_at: null,
+                last_error: error.message,
+            });
+
+            if (this.onDeadLetter) {
+                try {
+                    await this.onDeadLetter(inboxEvent, error);
+                } catch (hookError) {
+                    logger.error("Dead-letter hook failed", {
+                        inboxEventId: inboxEvent.id,
+                        error: hookError.message,
+                    });
+                }
+            }
+            return;
+        }
+
+        const delay = this.getRetryDelay(inboxEvent.attempts);
+        logger.warn("Webhook event failed, scheduling retry", {
+            inboxEventId: inboxEvent.id,
+            attempts: inboxEvent.attempts,
+            retryInMs: delay,
+            error: error.message,
+        });
+
+        await inboxEvent.update({
+            status: "pending",
+            locked_at: null,
+            last_error: error.message,
+            next_attempt_at: new Date(Date.now() + delay),
+        });
+    }
+
+    /**
+     * Claim and process every event that is due
+     * @returns {Promise<number>} Events processed
+     */
+    async processDue() {
+        if (this.isProcessing) return 0;
+        this.isProcessing = true;
+
+        let processed = 0;
+        try {
+            await this.releaseStaleLocks();
+
+            const dueEvents = await WebhookInboxEvent.findAll({
+                where: {
+                    status: "pending",
+                    next_attempt_at: { [Op.lte]: new Date() },
+                },
+                order: [["next_attempt_at", "ASC"]],
+                limit: this.batchSize,
+            });
+
+            // Sequential so events from one sender keep their order
+            for (const inboxEvent of dueEvents) {
+                if (!(await this.claim(inboxEvent))) continue;
+                await this.processEvent(inboxEvent);
+                processed++;
+            }
+        } catch (error) {
+            logger.error("Webhook inbox poll failed", { error: error.message });
+        } finally {
+            this.isProcessing = false;
+        }
+
+        return processed;
+    }
+
+    /**
+     * Put a dead-lettered event back on the queue with a fresh attempt budget
+     * @param {number} id - Inbox event ID
+     * @returns {Promise<Object|null>} Requeued event, null when not found
+     */
+    async replay(id) {
+        const inboxEvent = await WebhookInboxEvent.findByPk(id);
+        if (!inboxEvent) return null;
+
+        if (inboxEvent.status !== "dead_letter") {
+            const error = new Error(
+                `Only dead-lettered events can be replayed (status: ${inboxEvent.status})`
+            );
+            error.code = "INBOX_EVENT_NOT_REPLAYABLE";
+            throw error;
+        }
+
+        await inboxEvent.update({
+            status: "pending",
+            attempts: 0,
+            last_error: null,
+            locked_at: null,
+            next_attempt_at: new Date(),
+        });
+
+        logger.info("Webhook event replayed", { inboxEventId: id });
+        this.trigger();
+        return inboxEvent;
+    }
+
+    /**
+     * List inbox events for inspection
+     * @param {Object} filters - Filters
+     * @param {string} filters.status - Status filter
+     * @param {number} filters.limit - Max events
+     * @returns {Promise<Array>} Inbox events
+     */
+    async list({ status, limit = 50 } = {}) {
+        const where = {};
+        if (status) where.status = status;
+
+        return WebhookInboxEvent.findAll({
+            where,
+            order: [["updated_at", "DESC"]],
+            limit: Math.min(parseInt(limit, 10) || 50, 200),
+        });
+    }
+
+    /**
+     * Count inbox events per status
+     * @returns {Promise<Object>} { pending, processing, completed, dead_letter }
+     */
+    async getStats() {
+        const rows = await WebhookInboxEvent.count({ group: ["status"] });
+        const stats = { pending: 0, processing: 0, completed: 0, dead_letter: 0 };
+
+        rows.forEach((row) => {
+            stats[row.status] = row.count;
+        });
+        return stats;
+    }
+
+    /**
+     * Start the polling worker
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.processDue(), this.pollIntervalMs);
+        // Do not keep the process alive just for polling
+        if (this.timer.unref) this.timer.unref();
+        logger.info("Webhook inbox worker started", {
+            pollIntervalMs: this.pollIntervalMs,
+        });
+    }
+
+    /**
+     * Stop the polling worker
+     */
+    stop() {
+        if (!this.timer) return;
+
+        clearInterval(this.timer);
+        this.timer = null;
+        logger.info("Webhook inbox worker stopped");
+    }
+
+    /**
+     * Process due events right away instead of waiting for the next poll
+     * No-op when the worker is not running
+     */
+    trigger() {
+        if (!this.timer) return;
+        setImmediate(() => this.processDue());
+    }
+}
+
+module.exports = WebhookInboxService;
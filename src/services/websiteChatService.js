@@ -0,0 +1,328 @@
+"use strict";
+
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const { Client, Conversation, Message, PlatformSource } = require("../models");
+const ConversationEngine = require("./conversationEngine");
+const InstagramChannelAdapter = require("./conversationEngine/instagramChannelAdapter");
+const MessageDeliveryService = require("./messageDeliveryService");
+const PlatformRoutingService = require("./platformRoutingService");
+const {
+    generateWidgetKey,
+    generateSessionId,
+    isSessionId,
+    isOriginAllowed,
+    getWidgetSettings,
+    getWidgetKey,
+} = require("./websiteWidget");
+const { createChildLogger } = require("../config/logger");
+
+const logger = createChildLogger("website-chat");
+
+const PLATFORM_TYPE = "website";
+const MESSAGES_LIMIT = 50;
+const DEFAULT_WIDGET_NAME = "Website chat";
+
+// Widget settings kept in the platform source configuration
+const SETTING_FIELDS = ["allowed_origins", "title", "greeting", "color"];
+
+/**
+ * Website Chat Service
+ * Backs the embeddable chat widget: resolves a widget by its public key,
+ * checks the page origin against the widget's allow-list, starts anonymous
+ * visitor sessions and runs visitor messages through the conversation
+ * engine like any other channel. Visitors are clients whose platform user
+ * ID is their session ID, created with their first message so sessions
+ * that never chat leave nothing behind; replies, the bot's and agents', are
+ * stored as messages the widget fetches. Businesses create and configure
+ * their widgets through it too
+ * Follows Single Responsibility Principle - only handles website widgets
+ */
+class WebsiteChatService {
+    /**
+     * @param {Object} options - Options
+     * @param {Object} options.conversationEngine - ConversationEngine instance
+     * @param {Object} options.messageDelivery - MessageDeliveryService instance
+     * @param {Object} options.platformRouting - PlatformRoutingService instance
+     */
+    constructor(options = {}) {
+        this.conversationEngine =
+            options.conversationEngine || new ConversationEngine();
+        this.messageDelivery =
+            options.messageDelivery || new MessageDeliveryService();
+        this.platformRouting =
+            options.platformRouting || new PlatformRoutingService();
+    }
+
+    /**
+     * Website widgets of a business
+     * @param {number} businessId - Business ID
+     * @returns {Promise<Array<Object>>} Widgets with their key and settings
+     */
+    async listWidgets(businessId) {
+        const sources = await PlatformSource.findAll({
+            where: { business_id: businessId, platform_type: PLATFORM_TYPE },
+            order: [["id", "ASC"]],
+        });
+        return sources.map(widgetView);
+    }
+
+    /**
+     * Create a widget with a new key; it is live at once
+     * @param {number} businessId - Business ID
+     * @param {Object} fields - { name, allowed_origins, title, greeting, color }
+     * @returns {Promise<Object>} Widget
+     */
+    async createWidget(businessId, { name, ...settings }) {
+        const source = await PlatformSource.create({
+            business_id: businessId,
+            platform_type: PLATFORM_TYPE,
+            platform_name: name || DEFAULT_WIDGET_NAME,
+            credentials: { widget_key: generateWidgetKey() },
+            configuration: pickSettings(settings),
+            is_connected: true,
+            connection_status: "connected",
+        });
+
+        logger.info("Widget created", {
+            businessId,
+            platformSourceId: source.id,
+        });
+        return widgetView(source);
+    }
+
+    /**
+     * Change a widget's name, settings or whether it is live
+     * @param {number} businessId - Business ID
+     * @param {number} id - Platform source ID
+     * @param {Object} fields - { name, enabled, allowed_origins, title,
+     *   greeting, color }; fields left out are kept
+     * @returns {Promise<Object>} Widget
+     */
+    async updateWidget(businessId, id, { name, enabled, ...settings }) {
+        const source = await PlatformSource.findOne({
+            where: {
+                id,
+                business_id: businessId,
+                platform_type: PLATFORM_TYPE,
+            },
+        });
+        if (!source) {
+            throw widgetError("Widget not found", "WIDGET_NOT_FOUND");
+        }
+
+        const updates = {
+            configuration: {
+                ...this.platformRouting.parseJson(source.configuration),
+                ...pickSettings(settings),
+            },
+        };
+        if (name) updates.platform_name = name;
+        if (typeof enabled === "boolean") {
+            updates.is_connected = enabled;
+            updates.connection_status = enabled ? "connected" : "disconnected";
+        }
+        await source.update(updates);
+        this.platformRouting.clearCache();
+        return widgetView(source);
+    }
+
+    /**
+     * @param {string} widgetKey - Public widget key
+     * @returns {Promise<Object>} Connected website platform source
+     */
+    async findWidget(widgetKey) {
+        const source = await this.platformRouting.resolvePlatformSource(
+            PLATFORM_TYPE,
+            widgetKey
+        );
+        if (!source || !source.is_connected) {
+            throw widgetError("Widget not found", "WIDGET_NOT_FOUND");
+        }
+        return source;
+    }
+
+    /**
+     * @param {Object} widget - Website platform source
+     * @param {string} origin - Origin header of the request
+     */
+    checkOrigin(widget, origin) {
+        if (
+            !isOriginAllowed(origin, getWidgetSettings(widget).allowed_origins)
+        ) {
+            throw widgetError(
+                "This site is not allowed to use the widget",
+                "WIDGET_ORIGIN_NOT_ALLOWED"
+            );
+        }
+    }
+
+    /**
+     * @param {Object} widget - Website platform source
+     * @returns {Object} Settings the widget shows
+     */
+    publicSettings(widget) {
+        const { title, greeting, color } = getWidgetSettings(widget);
+        return { title, greeting, color };
+    }
+
+    /**
+     * Start an anonymous visitor session. Nothing is stored until the
+     * visitor's first message
+     * @param {Object} widget - Website platform source
+     * @returns {Promise<Object>} { session_id, greeting }
+     */
+    async startSession(widget) {
+        const sessionId = generateSessionId();
+
+        logger.info("Widget session started", {
+            businessId: widget.business_id,
+            platformSourceId: widget.id,
+        });
+        return {
+            session_id: sessionId,
+            greeting: getWidgetSettings(widget).greeting,
+        };
+    }
+
+    /**
+     * Answer a visitor message through the conversation engine, which
+     * creates the visitor's client on their first message
+     * @param {Object} widget - Website platform source
+     * @param {string} sessionId - Visitor session ID
+     * @param {string} text - Visitor message
+     * @returns {Promise<Object>} { reply, bot_paused }; no reply while an
+     *   agent has the conversation
+     */
+    async sendMessage(widget, sessionId, text) {
+        assertSessionId(sessionId);
+
+        const message = { mid: `web_${crypto.randomUUID()}`, text };
+        const adapter = new InstagramChannelAdapter({
+            platformSource: widget,
+            senderId: sessionId,
+            message,
+            messageDelivery: this.messageDelivery,
+        });
+        const result = await this.conversationEngine.processTurn(adapter, {
+            message: text,
+            userId: sessionId,
+        });
+
+        return {
+            reply: result.record ? messageView(result.record) : null,
+            bot_paused: !!result.bot_paused,
+        };
+    }
+
+    /**
+     * Messages of the visitor's conversations, oldest first
+     * @param {Object} widget - Website platform source
+     * @param {string} sessionId - Visitor session ID
+     * @param {Object} options - { after: only messages after this time }
+     * @returns {Promise<Array<Object>>} Messages
+     */
+    async listMessages(widget, sessionId, { after } = {}) {
+        const client = await this.findClient(widget, sessionId);
+        if (!client) return [];
+
+        const conversations = await Conversation.findAll({
+            where: { client_id: client.id, source_id: widget.id },
+            attributes: ["id"],
+        });
+        if (conversations.length === 0) return [];
+
+        const where = {
+            conversation_id: { [Op.in]: conversations.map((c) => c.id) },
+        };
+        if (after) where.message_timestamp = { [Op.gt]: after };
+
+        const messages = await Message.findAll({
+            where,
+            order: [["message_timestamp", "ASC"]],
+            limit: MESSAGES_LIMIT,
+        });
+        return messages.map(messageView);
+    }
+
+    /**
+     * @param {Object} widget - Website platform source
+     * @param {string} sessionId - Visitor session ID
+     * @returns {Promise<Object|null>} Client of the session, null before
+     *   the visitor's first message
+     */
+    async findClient(widget, sessionId) {
+        assertSessionId(sessionId);
+        return Client.findOne({
+            where: {
+                business_id: widget.business_id,
+                platform_user_id: sessionId,
+                platform_type: PLATFORM_TYPE,
+            },
+        });
+    }
+}
+
+/**
+ * @param {string} sessionId - Session ID sent by the widget
+ */
+function assertSessionId(sessionId) {
+    if (!isSessionId(sessionId)) {
+        throw widgetError("Session not found", "WIDGET_SESSION_NOT_FOUND");
+    }
+}
+
+/**
+ * @param {Object} source - Website platform source
+ * @returns {Object} { id, name, enabled, widget_key, allowed_origins, title,
+ *   greeting, color }
+ */
+function widgetView(source) {
+    return {
+        id: source.id,
+        name: source.platform_name,
+        enabled: !!source.is_connected,
+        widget_key: getWidgetKey(source),
+        ...getWidgetSettings(source),
+    };
+}
+
+/**
+ * @param {Object} settings - Request fields
+ * @returns {Object} The widget settings among them
+ */
+function pickSettings(settings) {
+    const picked = {};
+    SETTING_FIELDS.forEach((field) => {
+        if (settings[field] !== undefined) picked[field] = settings[field];
+    });
+    return picked;
+}
+
+/**
+ * What the widget sees of a message
+ * @param {Object} message - Message
+ * @returns {Object} { id, sender_type, text, quick_replies, sent_at }
+ */
+function messageView(message) {
+    return {
+        id: message.id,
+        sender_type: message.sender_type,
+        text: message.message_text,
+        quick_replies: message.message_metadata?.quick_replies || [],
+        sent_at: message.message_timestamp,
+    };
+}
+
+/**
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with code
+ */
+function widgetError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+module.exports = WebsiteChatService;
@@ -0,0 +1,194 @@
+"use strict";
+
+const crypto = require("crypto");
+
+/**
+ * Website widget rules
+ * A website chat widget is a "website" platform source. Its widget key is
+ * public: it sits in the embed snippet on the business's pages, so the
+ * origins the widget may be used from are what keeps other sites out.
+ * Visitors are anonymous; each gets a random session ID that stands in for
+ * a platform user ID and is only known to the visitor's browser
+ */
+
+const WIDGET_KEY_PREFIX = "wk_";
+const SESSION_ID_PREFIX = "ws_";
+
+// Widget settings read from the platform source configuration
+const DEFAULT_SETTINGS = {
+    title: "Chat with us",
+    greeting: null,
+    color: "#2563eb",
+};
+
+const MAX_ALLOWED_ORIGINS = 20;
+
+/**
+ * @returns {string} New public widget key
+ */
+function generateWidgetKey() {
+    return WIDGET_KEY_PREFIX + crypto.randomBytes(16).toString("hex");
+}
+
+/**
+ * @returns {string} New visitor session ID
+ */
+function generateSessionId() {
+    return SESSION_ID_PREFIX + crypto.randomBytes(24).toString("hex");
+}
+
+/**
+ * @param {string} sessionId - Session ID sent by the widget
+ * @returns {boolean} Whether it has the shape of a session ID we issued
+ */
+function isSessionId(sessionId) {
+    return typeof sessionId === "string" && /^ws_[0-9a-f]{48}$/.test(sessionId);
+}
+
+/**
+ * Whether a page origin may use the widget. Entries are exact origins
+ * ("https://shop.example.com") or cover the subdomains of a host
+ * ("https://*.example.com")
+ * @param {string} origin - Origin header of the request
+ * @param {Array<string>} allowedOrigins - Widget's allow-list
+ * @returns {boolean} Whether the origin is listed
+ */
+function isOriginAllowed(origin, allowedOrigins) {
+    if (typeof origin !== "string" || !Array.isArray(allowedOrigins)) {
+        return false;
+    }
+
+    const normalized = origin.toLowerCase();
+    return allowedOrigins.some((entry) => {
+        const allowed = String(entry).toLowerCase();
+        if (!allowed.includes("://*.")) return allowed === normalized;
+
+        const [scheme, host] = allowed.split("://*.");
+        return (
+            normalized.startsWith(`${scheme}://`) &&
+            normalized.endsWith(`.${host}`)
+        );
+    });
+}
+
+/**
+ * @param {*} origins - Allow-list to store
+ * @returns {Array<string>} Validation errors
+ */
+function validateAllowedOrigins(origins) {
+    if (!Array.isArray(origins)) {
+        return ["allowed_origins must be an array"];
+    }
+    if (origins.length > MAX_ALLOWED_ORIGINS) {
+        return [
+            `allowed_origins can list up to ${MAX_ALLOWED_ORIGINS} origins`,
+        ];
+    }
+
+    const invalid = origins.filter(
+        (origin) =>
+            typeof origin !== "string" ||
+            !/^https?:\/\/(\*\.)?[a-z0-9.-]+(:\d+)?$/i.test(origin)
+    );
+    return invalid.map(
+        (origin) =>
+            `${origin} is not an origin (scheme and host, e.g. https://example.com)`
+    );
+}
+
+/**
+ * @param {Object} settings - { allowed_origins, title, greeting, color };
+ *   fields left out keep their stored value
+ * @returns {Array<string>} Validation errors
+ */
+function validateWidgetSettings(settings) {
+    if (!settings || typeof settings !== "object") {
+        return ["widget settings must be an object"];
+    }
+
+    const errors = [];
+    if (settings.allowed_origins !== undefined) {
+        errors.push(...validateAllowedOrigins(settings.allowed_origins));
+    }
+    if (
+        settings.title !== undefined &&
+        (typeof settings.title !== "string" ||
+            !settings.title.trim() ||
+            settings.title.length > 60)
+    ) {
+        errors.push("title must be 1-60 characters");
+    }
+    if (
+        settings.greeting !== undefined &&
+        settings.greeting !== null &&
+        (typeof settings.greeting !== "string" ||
+            settings.greeting.length > 500)
+    ) {
+        errors.push("greeting must be up to 500 characters");
+    }
+    if (
+        settings.color !== undefined &&
+        !/^#[0-9a-f]{6}$/i.test(String(settings.color))
+    ) {
+        errors.push("color must be a hex color, e.g. #2563eb");
+    }
+    return errors;
+}
+
+/**
+ * @param {Object} platformSource - Website platform source
+ * @returns {Object} { allowed_origins, title, greeting, color }
+ */
+function getWidgetSettings(platformSource) {
+    const configuration = parseJson(platformSource?.configuration) || {};
+    return {
+        allowed_origins: Array.isArray(configuration.allowed_origins)
+            ? configuration.allowed_origins
+            : [],
+        title: configuration.title || DEFAULT_SETTINGS.title,
+        greeting: configuration.greeting || DEFAULT_SETTINGS.greeting,
+        color: configuration.color || DEFAULT_SETTINGS.color,
+    };
+}
+
+/**
+ * @param {Object} platformSource - Website platform source
+ * @returns {string|null} Widget key
+ */
+function getWidgetKey(platformSource) {
+    return parseJson(platformSource?.credentials)?.widget_key || null;
+}
+
+/**
+ * @param {string} apiUrl - Public base URL of the API
+ * @param {string} widgetKey - Widget key
+ * @returns {string} Script tag to paste into the business's pages
+ */
+function buildEmbedSnippet(apiUrl, widgetKey) {
+    return `<script src="${apiUrl}/api/widget/widget.js" data-widget-key="${widgetKey}" async></script>`;
+}
+
+/**
+ * @param {*} value - Stored JSON column, parsed or as a string
+ * @returns {Object|null} Parsed value
+ */
+function parseJson(value) {
+    if (!value) return null;
+    if (typeof value === "object") return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    generateWidgetKey,
+    generateSessionId,
+    isSessionId,
+    isOriginAllowed,
+    validateWidgetSettings,
+    getWidgetSettings,
+    getWidgetKey,
+    buildEmbedSnippet,
+};
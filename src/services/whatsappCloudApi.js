@@ -0,0 +1,258 @@
+"use strict";
+
+/**
+ * WhatsApp Cloud API mapping
+ * Translates WhatsApp webhook changes into the messaging events the
+ * Instagram webhook delivers ({ sender, message | delivery | read }), so
+ * routing, the inbox and the channel adapter handle both the same way, and
+ * builds the body of outgoing session and template messages
+ */
+
+// Value of "object" on WhatsApp webhook deliveries
+const WHATSAPP_OBJECT = "whatsapp_business_account";
+
+const MEDIA_TYPES = ["image", "audio", "video", "document", "sticker"];
+
+// Interactive replies: the customer tapped a reply button or list row
+const INTERACTIVE_REPLY_FIELDS = ["button_reply", "list_reply"];
+
+// Status updates of our outgoing messages, as receipt event fields
+const STATUS_RECEIPTS = {
+    delivered: "delivery",
+    read: "read",
+    failed: "failure",
+};
+
+/**
+ * @param {Object} change - Webhook change ({ field, value })
+ * @returns {string|null} Business phone number ID the change was sent to
+ */
+function getPhoneNumberId(change) {
+    const phoneNumberId = change?.value?.metadata?.phone_number_id;
+    return phoneNumberId ? String(phoneNumberId) : null;
+}
+
+/**
+ * Messaging events of a "messages" change: customer messages first, then
+ * status updates of our messages. Reactions, system notices and messages
+ * WhatsApp could not read are left out
+ * @param {Object} value - Change value
+ * @returns {Array<Object>} Messaging events
+ */
+function toMessagingEvents(value) {
+    const messages = Array.isArray(value?.messages) ? value.messages : [];
+    const statuses = Array.isArray(value?.statuses) ? value.statuses : [];
+
+    return [
+        ...messages.map(toMessageEvent),
+        ...statuses.map(toReceiptEvent),
+    ].filter(Boolean);
+}
+
+/**
+ * @param {Object} message - WhatsApp message
+ * @returns {Object|null} { sender, timestamp, message: { mid, text,
+ *   attachments, quick_reply, reply_to } }
+ */
+function toMessageEvent(message) {
+    if (!message?.from || !message.id) return null;
+
+    const content = toMessageContent(message);
+    if (!content) return null;
+
+    if (message.context?.id) {
+        content.reply_to = { mid: message.context.id };
+    }
+
+    return {
+        sender: { id: String(message.from) },
+        timestamp: Number(message.timestamp) * 1000,
+        message: { mid: message.id, ...content },
+    };
+}
+
+/**
+ * @param {Object} message - WhatsApp message
+ * @returns {Object|null} Message content, null for types we do not answer
+ */
+function toMessageContent(message) {
+    const { type } = message;
+
+    if (type === "text") {
+        return { text: message.text?.body };
+    }
+
+    if (MEDIA_TYPES.includes(type)) {
+        const media = message[type] || {};
+        return {
+            text: media.caption,
+            attachments: [
+                {
+                    type,
+                    payload: {
+                        media_id: media.id,
+                        mime_type: media.mime_type,
+                        ...(media.filename && { filename: media.filename }),
+                    },
+                },
+            ],
+        };
+    }
+
+    if (type === "location") {
+        const location = message.location || {};
+        return {
+            text: location.name || location.address,
+            attachments: [
+                {
+                    type: "location",
+                    payload: {
+                        coordinates: {
+                            lat: location.latitude,
+                            long: location.longitude,
+                        },
+                        ...(location.name && { title: location.name }),
+                        ...(location.address && { address: location.address }),
+                    },
+                },
+            ],
+        };
+    }
+
+    if (type === "contacts") {
+        return {
+            attachments: [
+                { type: "contacts", payload: { contacts: message.contacts } },
+            ],
+        };
+    }
+
+    if (type === "interactive") {
+        const field = INTERACTIVE_REPLY_FIELDS.find(
+            (key) => message.interactive?.[key]
+        );
+        if (!field) return null;
+
+        const reply = message.interactive[field];
+        return {
+            text: reply.title,
+            quick_reply: { payload: reply.id, title: reply.title },
+        };
+    }
+
+    // Quick reply button of a template message
+    if (type === "button") {
+        return {
+            text: message.button?.text,
+            quick_reply: {
+                payload: message.button?.payload,
+                title: message.button?.text,
+            },
+        };
+    }
+
+    return null;
+}
+
+/**
+ * @param {Object} status - WhatsApp status update
+ * @returns {Object|null} { sender, timestamp, delivery | read | failure },
+ *   null for "sent", which we record when the Send API answers
+ */
+function toReceiptEvent(status) {
+    const field = STATUS_RECEIPTS[status?.status];
+    if (!field || !status.id || !status.recipient_id) return null;
+
+    const receipt = { mids: [status.id] };
+    if (field === "failure") {
+        const error = Array.isArray(status.errors) ? status.errors[0] : null;
+        receipt.error = error
+            ? `WhatsApp error ${error.code}: ${error.title || error.message}`
+            : "WhatsApp reported the message as failed";
+    }
+
+    return {
+        sender: { id: String(status.recipient_id) },
+        timestamp: Number(status.timestamp) * 1000,
+        [field]: receipt,
+    };
+}
+
+/**
+ * Build a Cloud API message request
+ * Payloads are { text } for session messages, { template } for approved
+ * templates, or a native Cloud API message object with its own type
+ * @param {string} recipientId - Customer's WhatsApp ID
+ * @param {Object} payload - Message payload
+ * @returns {Object} Request body for POST /{phone-number-id}/messages
+ */
+function buildMessageBody(recipientId, payload) {
+    const body = {
+        messaging_product: "whatsapp",
+        recipient_type: "individual",
+        to: String(recipientId),
+    };
+
+    if (payload.template) {
+        return { ...body, type: "template", template: payload.template };
+    }
+    if (payload.type) {
+        return { ...body, ...payload };
+    }
+    return { ...body, type: "text", text: { body: payload.text } };
+}
+
+/**
+ * Normalize a template message for the Cloud API
+ * @param {Object} template - { name, language, components }, language as a
+ *   code ("en_US") or { code }
+ * @returns {Object} Cloud API template object
+ */
+function buildTemplate({ name, language, components }) {
+    return {
+        name,
+        language: typeof language === "string" ? { code: language } : language,
+        ...(Array.isArray(components) &&
+            components.length > 0 && { components }),
+    };
+}
+
+/**
+ * @param {Object} template - Template as accepted by buildTemplate
+ * @returns {Array<string>} Validation errors
+ */
+function validateTemplate(template) {
+    if (!template || typeof template !== "object") {
+        return ["template must be an object"];
+    }
+
+    const errors = [];
+    if (typeof template.name !== "string" || !template.name.trim()) {
+        errors.push("template name is required");
+    }
+
+    const code =
+        typeof template.language === "string"
+            ? template.language
+            : template.language?.code;
+    if (typeof code !== "string" || !code.trim()) {
+        errors.push("template language code is required");
+    }
+
+    if (
+        template.components !== undefined &&
+        !Array.isArray(template.components)
+    ) {
+        errors.push("template components must be an array");
+    }
+    return errors;
+}
+
+module.exports = {
+    WHATSAPP_OBJECT,
+    getPhoneNumberId,
+    toMessagingEvents,
+    buildMessageBody,
+    buildTemplate,
+    validateTemplate,
+};
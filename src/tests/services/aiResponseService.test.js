@@ -3,15 +3,22 @@
 const AIResponseService = require("../../services/aiResponseService");
 
 // Mock OpenAI
-jest.mock("openai", () => {
-    return jest.fn().mockImplementation(() => ({
+jest.mock("openai", () => ({
+    OpenAI: jest.fn().mockImplementation(() => ({
         chat: {
             completions: {
                 create: jest.fn(),
             },
         },
-    }));
-});
+    })),
+}));
+
+// No stored AI settings, so the task defaults apply
+jest.mock("../../models", () => ({
+    Business: {
+        findByPk: jest.fn().mockResolvedValue(null),
+    },
+}));
 
 describe("AIResponseService", () => {
     let aiResponseService;
@@ -19,7 +26,7 @@ describe("AIResponseService", () => {
 
     beforeEach(() => {
         aiResponseService = new AIResponseService();
-        mockOpenAI = require("openai");
+        mockOpenAI = require("openai").OpenAI;
 
         // Set up environment variable for testing
         process.env.OPENAI_API_KEY = "test-api-key";
@@ -191,7 +198,7 @@ describe("AIResponseService", () => {
             expect(result.response).toBe(
                 "We offer comprehensive web development services including frontend and backend development."
             );
-            expect(result.metadata.method).toBe("openai_confident");
+            expect(result.metadata.method).toBe("llm_confident");
             expect(mockCreate).toHaveBeenCalledWith({
                 model: "gpt-4o-mini",
                 messages: [
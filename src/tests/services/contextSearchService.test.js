@@ -1,9 +1,14 @@
 "use strict";
 
 const ContextSearchService = require("../../services/contextSearchService");
+const EmbeddingService = require("../../services/embeddingService");
+const { hashEmbedding } = require("../../services/llm/hashingEmbedder");
 const {
     BusinessTemplateResponse,
     BusinessContextSection,
+    BusinessContextChunk,
+    BusinessLanguage,
+    FaqItem,
 } = require("../../models");
 
 // Mock the models
@@ -16,6 +21,16 @@ jest.mock("../../models", () => ({
         findAll: jest.fn(),
         increment: jest.fn(),
     },
+    BusinessContextChunk: {
+        findAll: jest.fn(),
+    },
+    BusinessLanguage: {
+        findAll: jest.fn(),
+    },
+    FaqItem: {
+        findAll: jest.fn(),
+        increment: jest.fn(),
+    },
 }));
 
 // Mock the logger
@@ -31,95 +46,213 @@ describe("ContextSearchService", () => {
     let contextSearchService;
 
     beforeEach(() => {
-        contextSearchService = new ContextSearchService();
         jest.clearAllMocks();
+        // No embedding provider: queries and content are hashed locally
+        contextSearchService = new ContextSearchService({
+            embeddingService: new EmbeddingService({
+                llm: { isAvailable: jest.fn().mockResolvedValue(false) },
+            }),
+        });
+        BusinessTemplateResponse.findAll.mockResolvedValue([]);
+        BusinessContextSection.findAll.mockResolvedValue([]);
+        BusinessContextChunk.findAll.mockResolvedValue([]);
+        BusinessLanguage.findAll.mockResolvedValue([]);
+        FaqItem.findAll.mockResolvedValue([]);
     });
 
     describe("searchContexts", () => {
-        it("should search both template responses and context sections", async () => {
-            const mockTemplateResults = [
+        const embedded = (content) => ({
+            content_embedding: hashEmbedding(content),
+            embedding_model: EmbeddingService.HASHING_MODEL,
+        });
+
+        it("should rank relevant content and drop the rest", async () => {
+            BusinessTemplateResponse.findAll.mockResolvedValue([
                 {
                     id: 1,
                     content: "We provide web development services",
-                    template: {
-                        section_key: "services",
-                        section_name: "Services",
-                    },
-                    character_count: 35,
-                    word_count: 6,
-                    search_hits: 5,
+                    template: { section_key: "services" },
+                    ...embedded("We provide web development services"),
                 },
-            ];
-
-            const mockContextResults = [
+            ]);
+            BusinessContextSection.findAll.mockResolvedValue([
                 {
                     id: 1,
                     content: "Our team specializes in modern web technologies",
                     section_key: "custom_team",
                     section_name: "Our Team",
                     section_type: "custom",
-                    character_count: 50,
-                    word_count: 8,
-                    search_hits: 3,
+                    ...embedded(
+                        "Our team specializes in modern web technologies"
+                    ),
                 },
-            ];
+                {
+                    id: 2,
+                    content: "The office is closed on public holidays",
+                    section_key: "custom_hours",
+                    section_name: "Holidays",
+                    section_type: "custom",
+                    ...embedded("The office is closed on public holidays"),
+                },
+            ]);
 
-            BusinessTemplateResponse.findAll.mockResolvedValue(
-                mockTemplateResults
+            const result = await contextSearchService.searchContexts({
+                query: "web development services",
+                businessId: 1,
+                language: "en",
+                threshold: 0.2,
+                limit: 5,
+            });
+
+            expect(result.results.map((r) => [r.type, r.id])).toEqual([
+                ["template", 1],
+                ["context", 1],
+            ]);
+            expect(result.results[0].similarity_score).toBeGreaterThan(
+                result.results[1].similarity_score
+            );
+            expect(result.results[0].metadata.vector_score).toBeGreaterThan(0);
+            expect(result.results[0].metadata.keyword_score).toBeGreaterThan(
+                0
+            );
+            expect(result.metadata).toMatchObject({
+                totalResults: 2,
+                templateResults: 1,
+                contextResults: 1,
+                faqResults: 0,
+                candidates: 3,
+                language: "en",
+            });
+            expect(BusinessTemplateResponse.findAll).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    where: {
+                        business_id: 1,
+                        language_code: "en",
+                        completion_status: "completed",
+                    },
+                })
             );
+        });
+
+        it("should respect the limit", async () => {
             BusinessContextSection.findAll.mockResolvedValue(
-                mockContextResults
+                [1, 2, 3, 4].map((id) => ({
+                    id,
+                    content: `Delivery option ${id} ships parcels overnight`,
+                    section_name: `Delivery ${id}`,
+                }))
             );
 
             const result = await contextSearchService.searchContexts({
-                query: "web development services",
+                query: "overnight delivery",
                 businessId: 1,
-                language: "en",
-                threshold: 0.6,
-                limit: 5,
+                threshold: 0.1,
+                limit: 2,
             });
 
-            expect(result.success).toBeUndefined(); // Should return data directly
-            expect(result.results).toHaveLength(1); // Only template result passes threshold
-            expect(result.metadata.totalResults).toBe(1);
-            expect(result.metadata.templateResults).toBe(1);
-            expect(result.metadata.contextResults).toBe(0); // Context result filtered out by threshold
-
-            // Check that both services were called
-            expect(BusinessTemplateResponse.findAll).toHaveBeenCalledWith({
-                where: {
-                    business_id: 1,
-                    language_code: "en",
-                    completion_status: "complete",
+            expect(result.results).toHaveLength(2);
+        });
+
+        it("should boost FAQs by their keywords", async () => {
+            FaqItem.findAll.mockResolvedValue([
+                {
+                    id: 7,
+                    question: "How long does it take?",
+                    answer: "Usually three to five business days.",
+                    keywords: [{ keyword: "delivery", weight: 2 }],
                 },
-                include: expect.any(Array),
-                limit: 3, // Math.ceil(5/2)
+                {
+                    id: 8,
+                    question: "Do you offer gift wrapping?",
+                    answer: "Yes, gift wrapping is available at checkout.",
+                    keywords: [],
+                },
+            ]);
+
+            const result = await contextSearchService.searchContexts({
+                query: "delivery time",
+                businessId: 1,
+                threshold: 0.1,
             });
 
-            expect(BusinessContextSection.findAll).toHaveBeenCalledWith({
-                where: {
-                    business_id: 1,
-                    language_code: "en",
-                    is_active: true,
-                },
-                limit: 3, // Math.ceil(5/2)
+            expect(result.results.map((r) => r.id)).toEqual([7]);
+            expect(result.results[0].content).toBe(
+                "Question: How long does it take?\n\nAnswer: Usually three to five business days."
+            );
+        });
+
+        it("should fall back to the business's primary language", async () => {
+            BusinessLanguage.findAll.mockResolvedValue([
+                { language_code: "en", is_primary: true },
+            ]);
+            BusinessContextSection.findAll.mockImplementation(
+                async ({ where }) =>
+                    where.language_code === "en"
+                        ? [
+                              {
+                                  id: 3,
+                                  content: "Parking is free behind the shop",
+                                  section_name: "Parking",
+                              },
+                          ]
+                        : []
+            );
+
+            const result = await contextSearchService.searchContexts({
+                query: "free parking",
+                businessId: 1,
+                language: "es",
+                threshold: 0.1,
             });
+
+            expect(result.results.map((r) => r.id)).toEqual([3]);
+            expect(result.metadata.language).toBe("en");
+            expect(result.metadata.requestedLanguage).toBe("es");
         });
 
-        it("should handle empty results gracefully", async () => {
-            BusinessTemplateResponse.findAll.mockResolvedValue([]);
-            BusinessContextSection.findAll.mockResolvedValue([]);
+        it("should retrieve long sections as passages", async () => {
+            const parking = "Parking is free behind the shop after 6pm.";
+            const filler = "Our bakery uses organic flour and butter. ".repeat(
+                40
+            );
+            BusinessContextSection.findAll.mockResolvedValue([
+                {
+                    id: 4,
+                    content: `${filler}\n\n${parking}`,
+                    section_name: "About us",
+                    ...embedded(`${filler}\n\n${parking}`),
+                },
+            ]);
+            BusinessContextChunk.findAll.mockResolvedValue([
+                {
+                    id: 40,
+                    section_id: 4,
+                    chunk_index: 0,
+                    content: filler.trim(),
+                    ...embedded(filler),
+                },
+                {
+                    id: 41,
+                    section_id: 4,
+                    chunk_index: 1,
+                    content: parking,
+                    ...embedded(parking),
+                },
+            ]);
 
             const result = await contextSearchService.searchContexts({
-                query: "nonexistent query",
+                query: "is parking free",
                 businessId: 1,
-                language: "en",
-                threshold: 0.8,
-                limit: 5,
+                threshold: 0.2,
             });
 
-            expect(result.results).toHaveLength(0);
-            expect(result.metadata.totalResults).toBe(0);
+            expect(result.results).toHaveLength(1);
+            expect(result.results[0]).toMatchObject({
+                id: 4,
+                type: "context",
+                content: parking,
+                section_name: "About us (part 2 of 2)",
+            });
         });
 
         it("should handle errors gracefully", async () => {
@@ -252,6 +385,7 @@ describe("ContextSearchService", () => {
             const result = contextSearchService.combineAndRankResults(
                 templateResults,
                 contextResults,
+                [],
                 3
             );
 
@@ -274,13 +408,14 @@ describe("ContextSearchService", () => {
             const result = contextSearchService.combineAndRankResults(
                 templateResults,
                 contextResults,
+                [],
                 3
             );
 
-            expect(result[0].adjusted_score).toBeDefined();
-            expect(result[0].adjusted_score).toBeGreaterThanOrEqual(
-                result[0].similarity_score
-            );
+            // The second template drops below the first context result
+            expect(result.map((r) => r.id)).toEqual([1, 3, 2]);
+            expect(result[0].adjusted_score).toBe(0.8);
+            expect(result[2].adjusted_score).toBeCloseTo(0.65);
         });
     });
 
@@ -305,12 +305,12 @@ describe("SecurityGuardrailsService", () => {
             expect(result).toBe(true);
         });
 
-        it("should detect AI identity references", () => {
+        it("should not treat AI identity disclosure as a leak", () => {
             const response = "I am an AI assistant";
             const result =
                 securityGuardrailsService.detectSystemInfoLeakage(response);
 
-            expect(result).toBe(true);
+            expect(result).toBe(false);
         });
 
         it("should detect backend references", () => {
@@ -394,13 +394,14 @@ describe("SecurityGuardrailsService", () => {
             expect(sanitized).toContain("We offer great services");
         });
 
-        it("should replace AI identity references", () => {
-            const response = "I am an AI. We offer excellent services.";
+        it("should keep AI identity disclosure", () => {
+            const response =
+                "I am an AI assistant. My instructions are to sell. We offer excellent services.";
             const sanitized =
                 securityGuardrailsService.sanitizeResponse(response);
 
-            expect(sanitized).toContain("I'm here to help");
-            expect(sanitized).toContain("We offer excellent services");
+            expect(sanitized).toContain("I am an AI assistant");
+            expect(sanitized).toContain("my purpose");
         });
 
         it("should replace backend references", () => {
@@ -5,6 +5,7 @@ const {
     Lead,
     Client,
     Activity,
+    PlatformSource,
 } = require("../../src/models");
 const { Op } = require("sequelize");
 const axios = require("axios");
@@ -22,6 +23,7 @@ jest.mock("../../src/models", () => ({
     Message: {
         findAll: jest.fn(),
         create: jest.fn(),
+        update: jest.fn(),
         count: jest.fn(),
         sequelize: {
             fn: jest.fn(),
@@ -34,7 +36,9 @@ jest.mock("../../src/models", () => ({
     Activity: {
         logActivity: jest.fn(),
     },
-    InstagramConnection: {},
+    PlatformSource: {
+        findByPk: jest.fn(),
+    },
 }));
 
 // Mock axios
@@ -409,37 +413,43 @@ describe("ConversationController", () => {
     });
 
     describe("sendMessage", () => {
-        const mockConversation = {
-            id: 1,
-            userId: "user_123",
-            clientId: "client_12345678",
-            client: {
-                instagramConnection: {
-                    status: "active",
-                    accessToken: "test_token",
-                },
-            },
-            incrementMessageCount: jest.fn(),
-        };
-
-        const mockNewMessage = {
-            id: 1,
-            conversationId: "1",
-            clientId: "client_12345678",
-            senderType: "agent",
-            messageText: "Hello!",
-            timestamp: new Date(),
-            isAutomated: false,
+        const platformSource = {
+            id: 3,
+            credentials: { access_token: "test_token" },
         };
+        let mockConversation;
+        let mockNewMessage;
 
         beforeEach(() => {
+            mockConversation = {
+                id: 1,
+                source_id: 3,
+                message_count: 4,
+                client: { platform_user_id: "user_123" },
+                platformSource,
+                update: jest.fn().mockResolvedValue(),
+            };
+            mockNewMessage = {
+                id: 10,
+                conversation_id: 1,
+                sender_type: "agent",
+                message_text: "Hello!",
+                delivery_status: "queued",
+                delivery_attempts: 0,
+                update: jest.fn(function (values) {
+                    Object.assign(this, values);
+                    return Promise.resolve(this);
+                }),
+            };
             Conversation.findByPk.mockResolvedValue(mockConversation);
-            Message.create.mockResolvedValue(mockNewMessage);
-            mockConversation.incrementMessageCount.mockResolvedValue();
-            axios.post.mockResolvedValue({ data: { success: true } });
+            Message.create.mockImplementation((values) =>
+                Promise.resolve(Object.assign(mockNewMessage, values))
+            );
+            Message.update.mockResolvedValue([1]);
+            axios.post.mockResolvedValue({ data: { message_id: "mid.out" } });
         });
 
-        it("should send message successfully", async () => {
+        it("should record the message and send it", async () => {
             mockReq.params = { id: "1" };
             mockReq.body = { message: "Hello!", senderType: "agent" };
 
@@ -447,20 +457,20 @@ describe("ConversationController", () => {
 
             expect(Conversation.findByPk).toHaveBeenCalledWith("1", {
                 include: [
-                    {
-                        model: Client,
-                        as: "client",
-                        include: [
-                            {
-                                model: require("../../src/models")
-                                    .InstagramConnection,
-                                as: "instagramConnection",
-                            },
-                        ],
-                    },
+                    { model: Client, as: "client" },
+                    { model: PlatformSource, as: "platformSource" },
                 ],
             });
-
+            expect(Message.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    conversation_id: 1,
+                    platform_source_id: 3,
+                    recipient_id: "user_123",
+                    sender_type: "agent",
+                    message_text: "Hello!",
+                    delivery_status: "queued",
+                })
+            );
             expect(axios.post).toHaveBeenCalledWith(
                 "https://graph.facebook.com/v18.0/me/messages",
                 {
@@ -469,26 +479,21 @@ describe("ConversationController", () => {
                 },
                 {
                     params: { access_token: "test_token" },
+                    timeout: 30000,
                 }
             );
-
-            expect(Message.create).toHaveBeenCalledWith({
-                conversationId: "1",
-                clientId: "client_12345678",
-                senderType: "agent",
-                messageText: "Hello!",
-                timestamp: expect.any(Date),
-                isAutomated: false,
-            });
-
-            expect(mockConversation.incrementMessageCount).toHaveBeenCalled();
+            expect(mockNewMessage.delivery_status).toBe("sent");
+            expect(mockNewMessage.platform_message_id).toBe("mid.out");
+            expect(mockConversation.update).toHaveBeenCalledWith(
+                expect.objectContaining({ message_count: 5 })
+            );
             expect(mockRes.json).toHaveBeenCalledWith({
                 success: true,
                 data: mockNewMessage,
             });
         });
 
-        it("should handle bot messages", async () => {
+        it("should record bot messages", async () => {
             mockReq.params = { id: "1" };
             mockReq.body = { message: "Auto response", senderType: "bot" };
 
@@ -496,8 +501,8 @@ describe("ConversationController", () => {
 
             expect(Message.create).toHaveBeenCalledWith(
                 expect.objectContaining({
-                    senderType: "bot",
-                    isAutomated: true,
+                    sender_type: "bot",
+                    message_text: "Auto response",
                 })
             );
         });
@@ -516,20 +521,42 @@ describe("ConversationController", () => {
             });
         });
 
-        it("should handle Instagram API errors", async () => {
+        it("should keep the message queued for retry on transient Send API errors", async () => {
             axios.post.mockRejectedValue({
-                response: { data: { error: "Invalid token" } },
+                message: "Request failed with status code 503",
+                response: { status: 503, data: {} },
             });
             mockReq.params = { id: "1" };
             mockReq.body = { message: "Hello!" };
 
             await ConversationController.sendMessage(mockReq, mockRes);
 
-            expect(mockRes.status).toHaveBeenCalledWith(500);
+            expect(mockNewMessage.delivery_status).toBe("queued");
+            expect(mockNewMessage.delivery_attempts).toBe(1);
+            expect(mockNewMessage.next_delivery_at).toBeInstanceOf(Date);
             expect(mockRes.json).toHaveBeenCalledWith({
-                success: false,
-                error: "Failed to send message via Instagram",
+                success: true,
+                data: mockNewMessage,
+            });
+        });
+
+        it("should mark the message failed on permanent Send API errors", async () => {
+            axios.post.mockRejectedValue({
+                message: "Request failed with status code 400",
+                response: {
+                    status: 400,
+                    data: { error: { message: "Invalid token", code: 190 } },
+                },
             });
+            mockReq.params = { id: "1" };
+            mockReq.body = { message: "Hello!" };
+
+            await ConversationController.sendMessage(mockReq, mockRes);
+
+            expect(mockNewMessage.delivery_status).toBe("failed");
+            expect(mockNewMessage.last_delivery_error).toBe(
+                "Send API error: Invalid token"
+            );
         });
 
         it("should handle errors", async () => {
@@ -5,6 +5,8 @@ const {
     Client,
     PlatformSource,
     Business,
+    UnroutedWebhookEvent,
+    WebhookInboxEvent,
 } = require("../../src/models");
 const axios = require("axios");
 
@@ -17,6 +19,7 @@ jest.mock("../../src/models", () => ({
     },
     Message: {
         create: jest.fn(),
+        update: jest.fn(),
     },
     Client: {
         findOne: jest.fn(),
@@ -25,10 +28,20 @@ jest.mock("../../src/models", () => ({
     PlatformSource: {
         findByPk: jest.fn(),
         findOne: jest.fn(),
+        findAll: jest.fn(),
     },
     Business: {
         findByPk: jest.fn(),
     },
+    UnroutedWebhookEvent: {
+        findOne: jest.fn(),
+        create: jest.fn(),
+    },
+    WebhookInboxEvent: {
+        findOrCreate: jest.fn(),
+        findByPk: jest.fn(),
+        findAll: jest.fn(),
+    },
 }));
 
 // Mock axios
@@ -104,9 +117,44 @@ describe("WebhookController", () => {
     });
 
     describe("handleWebhook", () => {
+        const platformSourceA = {
+            id: 1,
+            business_id: 10,
+            platform_type: "instagram",
+            credentials: { access_token: "token_a", page_id: "ig_account_a" },
+        };
+        const platformSourceB = {
+            id: 2,
+            business_id: 20,
+            platform_type: "instagram",
+            credentials: JSON.stringify({
+                access_token: "token_b",
+                instagram_account_id: "ig_account_b",
+            }),
+        };
+
+        const expectEnqueued = (platformSourceId, event) =>
+            expect(WebhookInboxEvent.findOrCreate).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    defaults: expect.objectContaining({
+                        platform_source_id: platformSourceId,
+                        payload: expect.objectContaining(event),
+                    }),
+                })
+            );
+
         beforeEach(() => {
             jest.spyOn(WebhookController, "handleMessage").mockResolvedValue();
             jest.spyOn(WebhookController, "handlePostback").mockResolvedValue();
+            WebhookInboxEvent.findOrCreate.mockImplementation(({ defaults }) =>
+                Promise.resolve([{ id: 1, ...defaults }, true])
+            );
+            PlatformSource.findAll.mockResolvedValue([
+                platformSourceA,
+                platformSourceB,
+            ]);
+            UnroutedWebhookEvent.findOne.mockResolvedValue(null);
+            UnroutedWebhookEvent.create.mockResolvedValue({ id: 1 });
         });
 
         it("should handle Instagram webhook events", async () => {
@@ -114,6 +162,7 @@ describe("WebhookController", () => {
                 object: "instagram",
                 entry: [
                     {
+                        id: "ig_account_a",
                         messaging: [
                             {
                                 sender: { id: "test_user_123" },
@@ -126,10 +175,18 @@ describe("WebhookController", () => {
 
             await WebhookController.handleWebhook(mockReq, mockRes);
 
-            expect(WebhookController.handleMessage).toHaveBeenCalledWith(
-                "test_user_123",
-                { text: "Hello!" }
+            expectEnqueued(1, { message: { text: "Hello!" } });
+            expect(WebhookInboxEvent.findOrCreate).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    defaults: expect.objectContaining({
+                        event_type: "message",
+                        sender_id: "test_user_123",
+                        status: "pending",
+                    }),
+                })
             );
+            // Processing happens in the inbox worker, not in the request
+            expect(WebhookController.handleMessage).not.toHaveBeenCalled();
             expect(mockRes.status).toHaveBeenCalledWith(200);
             expect(mockRes.send).toHaveBeenCalledWith("EVENT_RECEIVED");
         });
@@ -139,6 +196,7 @@ describe("WebhookController", () => {
                 object: "instagram",
                 entry: [
                     {
+                        id: "ig_account_a",
                         messaging: [
                             {
                                 sender: { id: "test_user_123" },
@@ -151,9 +209,13 @@ describe("WebhookController", () => {
 
             await WebhookController.handleWebhook(mockReq, mockRes);
 
-            expect(WebhookController.handlePostback).toHaveBeenCalledWith(
-                "test_user_123",
-                { payload: "yes" }
+            expect(WebhookInboxEvent.findOrCreate).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    defaults: expect.objectContaining({
+                        platform_source_id: 1,
+                        event_type: "postback",
+                    }),
+                })
             );
             expect(mockRes.status).toHaveBeenCalledWith(200);
         });
@@ -169,11 +231,12 @@ describe("WebhookController", () => {
             expect(mockRes.sendStatus).toHaveBeenCalledWith(404);
         });
 
-        it("should handle multiple entries", async () => {
+        it("should route each entry to the business owning the account", async () => {
             mockReq.body = {
                 object: "instagram",
                 entry: [
                     {
+                        id: "ig_account_a",
                         messaging: [
                             {
                                 sender: { id: "user1" },
@@ -182,6 +245,7 @@ describe("WebhookController", () => {
                         ],
                     },
                     {
+                        id: "ig_account_b",
                         messaging: [
                             {
                                 sender: { id: "user2" },
@@ -194,18 +258,777 @@ describe("WebhookController", () => {
 
             await WebhookController.handleWebhook(mockReq, mockRes);
 
-            expect(WebhookController.handleMessage).toHaveBeenCalledTimes(2);
-            expect(WebhookController.handleMessage).toHaveBeenCalledWith(
+            expect(WebhookInboxEvent.findOrCreate).toHaveBeenCalledTimes(2);
+            expectEnqueued(1, { message: { text: "Hello 1" } });
+            expectEnqueued(2, { message: { text: "Hello 2" } });
+        });
+
+        it("should fall back to the recipient ID when entry ID is missing", async () => {
+            mockReq.body = {
+                object: "instagram",
+                entry: [
+                    {
+                        messaging: [
+                            {
+                                sender: { id: "user1" },
+                                recipient: { id: "ig_account_b" },
+                                message: { text: "Hello" },
+                            },
+                        ],
+                    },
+                ],
+            };
+
+            await WebhookController.handleWebhook(mockReq, mockRes);
+
+            expectEnqueued(2, { message: { text: "Hello" } });
+        });
+
+        it("should reject and record events for unknown accounts", async () => {
+            mockReq.body = {
+                object: "instagram",
+                entry: [
+                    {
+                        id: "ig_account_unknown",
+                        messaging: [
+                            {
+                                sender: { id: "user1" },
+                                message: { text: "Hello" },
+                            },
+                        ],
+                    },
+                ],
+            };
+
+            await WebhookController.handleWebhook(mockReq, mockRes);
+
+            expect(WebhookInboxEvent.findOrCreate).not.toHaveBeenCalled();
+            expect(UnroutedWebhookEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    platform_type: "instagram",
+                    account_id: "ig_account_unknown",
+                    reason: "unknown_account",
+                    sender_id: "user1",
+                })
+            );
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+        });
+
+        it("should record events without any account ID", async () => {
+            mockReq.body = {
+                object: "instagram",
+                entry: [
+                    {
+                        messaging: [
+                            {
+                                sender: { id: "user1" },
+                                message: { text: "Hello" },
+                            },
+                        ],
+                    },
+                ],
+            };
+
+            await WebhookController.handleWebhook(mockReq, mockRes);
+
+            expect(WebhookInboxEvent.findOrCreate).not.toHaveBeenCalled();
+            expect(PlatformSource.findAll).not.toHaveBeenCalled();
+            expect(UnroutedWebhookEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({ reason: "missing_account_id" })
+            );
+        });
+
+        it("should apply delivery and read receipts to outgoing messages", async () => {
+            Message.update.mockResolvedValue([1]);
+            mockReq.body = {
+                object: "instagram",
+                entry: [
+                    {
+                        id: "ig_account_a",
+                        messaging: [
+                            {
+                                sender: { id: "user1" },
+                                delivery: {
+                                    mids: ["mid.out.1"],
+                                    watermark: 1700000000000,
+                                },
+                            },
+                        ],
+                    },
+                    {
+                        id: "ig_account_a",
+                        messaging: [
+                            {
+                                sender: { id: "user1" },
+                                read: { mid: "mid.out.2" },
+                            },
+                        ],
+                    },
+                ],
+            };
+
+            await WebhookController.handleWebhook(mockReq, mockRes);
+
+            expect(WebhookInboxEvent.findOrCreate).not.toHaveBeenCalled();
+            expect(Message.update).toHaveBeenCalledWith(
+                expect.objectContaining({ delivery_status: "delivered" }),
+                expect.objectContaining({
+                    where: expect.objectContaining({ platform_source_id: 1 }),
+                })
+            );
+            expect(Message.update).toHaveBeenCalledWith(
+                expect.objectContaining({ delivery_status: "read" }),
+                expect.anything()
+            );
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+        });
+
+        it("should deduplicate redelivered events by message ID", async () => {
+            WebhookInboxEvent.findOrCreate.mockResolvedValue([
+                { id: 7, status: "completed" },
+                false,
+            ]);
+            mockReq.body = {
+                object: "instagram",
+                entry: [
+                    {
+                        id: "ig_account_a",
+                        messaging: [
+                            {
+                                sender: { id: "user1" },
+                                message: { mid: "mid.123", text: "Hello" },
+                            },
+                        ],
+                    },
+                ],
+            };
+
+            await WebhookController.handleWebhook(mockReq, mockRes);
+
+            expect(WebhookInboxEvent.findOrCreate).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    where: {
+                        platform_type: "instagram",
+                        dedupe_key: "mid.123",
+                    },
+                })
+            );
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+        });
+
+        it("should skip message echoes", async () => {
+            mockReq.body = {
+                object: "instagram",
+                entry: [
+                    {
+                        id: "ig_account_a",
+                        messaging: [
+                            {
+                                sender: { id: "ig_account_a" },
+                                message: { mid: "mid.1", is_echo: true },
+                            },
+                        ],
+                    },
+                ],
+            };
+
+            await WebhookController.handleWebhook(mockReq, mockRes);
+
+            expect(WebhookInboxEvent.findOrCreate).not.toHaveBeenCalled();
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+        });
+
+        it("should return 500 so Meta retries when the event cannot be persisted", async () => {
+            WebhookInboxEvent.findOrCreate.mockRejectedValue(
+                new Error("Database error")
+            );
+            mockReq.body = {
+                object: "instagram",
+                entry: [
+                    {
+                        id: "ig_account_a",
+                        messaging: [
+                            {
+                                sender: { id: "user1" },
+                                message: { mid: "mid.1", text: "Hello" },
+                            },
+                        ],
+                    },
+                ],
+            };
+
+            await WebhookController.handleWebhook(mockReq, mockRes);
+
+            expect(mockRes.sendStatus).toHaveBeenCalledWith(500);
+            expect(mockRes.send).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("Messenger webhook", () => {
+        const pageSource = {
+            id: 3,
+            business_id: 30,
+            platform_type: "facebook",
+            credentials: { access_token: "page_token", page_id: "page_1" },
+        };
+        const pageDelivery = (event) => ({
+            object: "page",
+            entry: [
+                {
+                    id: "page_1",
+                    time: 1780000000000,
+                    messaging: [
+                        {
+                            sender: { id: "psid_1" },
+                            recipient: { id: "page_1" },
+                            timestamp: 1780000000000,
+                            ...event,
+                        },
+                    ],
+                },
+            ],
+        });
+
+        beforeEach(() => {
+            WebhookInboxEvent.findOrCreate.mockImplementation(({ defaults }) =>
+                Promise.resolve([{ id: 1, ...defaults }, true])
+            );
+            // Sources are looked up per platform type
+            PlatformSource.findAll.mockImplementation(({ where }) =>
+                Promise.resolve(
+                    where.platform_type === "facebook" ? [pageSource] : []
+                )
+            );
+            UnroutedWebhookEvent.findOne.mockResolvedValue(null);
+            UnroutedWebhookEvent.create.mockResolvedValue({ id: 1 });
+        });
+
+        it("should route page messages to the business owning the page", async () => {
+            mockReq.body = pageDelivery({
+                message: { mid: "m_page_1", text: "Are you open today?" },
+            });
+
+            await WebhookController.handleWebhook(mockReq, mockRes);
+
+            expect(PlatformSource.findAll).toHaveBeenCalledWith({
+                where: { platform_type: "facebook", is_connected: true },
+            });
+            expect(WebhookInboxEvent.findOrCreate).toHaveBeenCalledWith({
+                where: { platform_type: "facebook", dedupe_key: "m_page_1" },
+                defaults: expect.objectContaining({
+                    platform_source_id: 3,
+                    event_type: "message",
+                    sender_id: "psid_1",
+                }),
+            });
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect(mockRes.send).toHaveBeenCalledWith("EVENT_RECEIVED");
+        });
+
+        it("should answer Get Started and menu postbacks as messages", async () => {
+            mockReq.body = pageDelivery({
+                postback: {
+                    mid: "m_page_2",
+                    title: "Get Started",
+                    payload: "GET_STARTED",
+                },
+            });
+
+            await WebhookController.handleWebhook(mockReq, mockRes);
+
+            expect(WebhookInboxEvent.findOrCreate).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    defaults: expect.objectContaining({
+                        event_type: "message",
+                        payload: expect.objectContaining({
+                            message: {
+                                mid: "m_page_2",
+                                text: "Hello",
+                                quick_reply: {
+                                    payload: "GET_STARTED",
+                                    title: "Get Started",
+                                },
+                            },
+                        }),
+                    }),
+                })
+            );
+        });
+
+        it("should apply read receipts to the page's messages", async () => {
+            Message.update.mockResolvedValue([1]);
+            mockReq.body = pageDelivery({ read: { watermark: 1780000000000 } });
+
+            await WebhookController.handleWebhook(mockReq, mockRes);
+
+            expect(WebhookInboxEvent.findOrCreate).not.toHaveBeenCalled();
+            expect(Message.update).toHaveBeenCalledWith(
+                expect.objectContaining({ delivery_status: "read" }),
+                expect.objectContaining({
+                    where: expect.objectContaining({ platform_source_id: 3 }),
+                })
+            );
+        });
+
+        it("should record events for pages no business connected", async () => {
+            mockReq.body = pageDelivery({ message: { text: "Hi" } });
+            mockReq.body.entry[0].id = "page_unknown";
+
+            await WebhookController.handleWebhook(mockReq, mockRes);
+
+            expect(WebhookInboxEvent.findOrCreate).not.toHaveBeenCalled();
+            expect(UnroutedWebhookEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    platform_type: "facebook",
+                    account_id: "page_unknown",
+                    reason: "unknown_account",
+                })
+            );
+        });
+    });
+
+    describe("WhatsApp webhook", () => {
+        const whatsappSource = {
+            id: 3,
+            business_id: 30,
+            platform_type: "whatsapp",
+            credentials: {
+                access_token: "wa_token",
+                phone_number_id: "1065403",
+            },
+        };
+        const whatsappBody = (value) => ({
+            object: "whatsapp_business_account",
+            entry: [
+                {
+                    id: "waba_1",
+                    changes: [
+                        {
+                            field: "messages",
+                            value: {
+                                messaging_product: "whatsapp",
+                                metadata: { phone_number_id: "1065403" },
+                                ...value,
+                            },
+                        },
+                    ],
+                },
+            ],
+        });
+
+        beforeEach(() => {
+            WebhookInboxEvent.findOrCreate.mockImplementation(({ defaults }) =>
+                Promise.resolve([{ id: 1, ...defaults }, true])
+            );
+            PlatformSource.findAll.mockResolvedValue([whatsappSource]);
+            UnroutedWebhookEvent.findOne.mockResolvedValue(null);
+            UnroutedWebhookEvent.create.mockResolvedValue({ id: 1 });
+        });
+
+        it("should answer the subscription challenge with the WhatsApp verify token", async () => {
+            process.env.WHATSAPP_VERIFY_TOKEN = "wa_verify_token";
+            mockReq.query = {
+                "hub.mode": "subscribe",
+                "hub.verify_token": "wa_verify_token",
+                "hub.challenge": "wa_challenge",
+            };
+
+            await WebhookController.verifyWhatsAppWebhook(mockReq, mockRes);
+            delete process.env.WHATSAPP_VERIFY_TOKEN;
+
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect(mockRes.send).toHaveBeenCalledWith("wa_challenge");
+        });
+
+        it("should persist messages to the number's business like Instagram messages", async () => {
+            mockReq.body = whatsappBody({
+                contacts: [{ wa_id: "34600111222", profile: { name: "Ana" } }],
+                messages: [
+                    {
+                        from: "34600111222",
+                        id: "wamid.in.1",
+                        timestamp: "1780000000",
+                        type: "text",
+                        text: { body: "Do you open on Saturdays?" },
+                    },
+                ],
+            });
+
+            await WebhookController.handleWhatsAppWebhook(mockReq, mockRes);
+
+            expect(WebhookInboxEvent.findOrCreate).toHaveBeenCalledWith({
+                where: { platform_type: "whatsapp", dedupe_key: "wamid.in.1" },
+                defaults: expect.objectContaining({
+                    platform_source_id: 3,
+                    event_type: "message",
+                    sender_id: "34600111222",
+                    payload: expect.objectContaining({
+                        message: {
+                            mid: "wamid.in.1",
+                            text: "Do you open on Saturdays?",
+                        },
+                    }),
+                }),
+            });
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect(mockRes.send).toHaveBeenCalledWith("EVENT_RECEIVED");
+        });
+
+        it("should apply statuses to outgoing messages", async () => {
+            Message.update.mockResolvedValue([1]);
+            mockReq.body = whatsappBody({
+                statuses: [
+                    {
+                        id: "wamid.out.1",
+                        status: "read",
+                        timestamp: "1780000100",
+                        recipient_id: "34600111222",
+                    },
+                ],
+            });
+
+            await WebhookController.handleWhatsAppWebhook(mockReq, mockRes);
+
+            expect(WebhookInboxEvent.findOrCreate).not.toHaveBeenCalled();
+            expect(Message.update).toHaveBeenCalledWith(
+                expect.objectContaining({ delivery_status: "read" }),
+                expect.objectContaining({
+                    where: expect.objectContaining({ platform_source_id: 3 }),
+                })
+            );
+        });
+
+        it("should record messages to numbers no business connected", async () => {
+            mockReq.body = whatsappBody({
+                metadata: { phone_number_id: "999" },
+                messages: [
+                    {
+                        from: "34600111222",
+                        id: "wamid.in.1",
+                        type: "text",
+                        text: { body: "Hello" },
+                    },
+                ],
+            });
+
+            await WebhookController.handleWhatsAppWebhook(mockReq, mockRes);
+
+            expect(WebhookInboxEvent.findOrCreate).not.toHaveBeenCalled();
+            expect(UnroutedWebhookEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    platform_type: "whatsapp",
+                    account_id: "999",
+                    reason: "unknown_account",
+                    sender_id: "34600111222",
+                })
+            );
+        });
+
+        it("should return 404 for other objects", async () => {
+            mockReq.body = { object: "instagram", entry: [] };
+
+            await WebhookController.handleWhatsAppWebhook(mockReq, mockRes);
+
+            expect(mockRes.sendStatus).toHaveBeenCalledWith(404);
+        });
+    });
+
+    describe("Telegram webhook", () => {
+        const telegramSource = {
+            id: 4,
+            business_id: 40,
+            platform_type: "telegram",
+            credentials: { bot_token: "7001:AAHsecret" },
+        };
+        const chat = { id: 55501, type: "private" };
+
+        beforeEach(() => {
+            WebhookInboxEvent.findOrCreate.mockImplementation(({ defaults }) =>
+                Promise.resolve([{ id: 1, ...defaults }, true])
+            );
+            PlatformSource.findAll.mockResolvedValue([telegramSource]);
+            UnroutedWebhookEvent.findOne.mockResolvedValue(null);
+            UnroutedWebhookEvent.create.mockResolvedValue({ id: 1 });
+            mockReq.params = { botId: "7001" };
+        });
+
+        it("should persist messages with the chat ID as the sender", async () => {
+            mockReq.body = {
+                update_id: 1,
+                message: {
+                    message_id: 12,
+                    date: 1780000000,
+                    chat,
+                    text: "Do you open on Saturdays?",
+                },
+            };
+
+            await WebhookController.handleTelegramWebhook(mockReq, mockRes);
+
+            expect(WebhookInboxEvent.findOrCreate).toHaveBeenCalledWith({
+                where: {
+                    platform_type: "telegram",
+                    dedupe_key: "7001:55501:12",
+                },
+                defaults: expect.objectContaining({
+                    platform_source_id: 4,
+                    event_type: "message",
+                    sender_id: "55501",
+                }),
+            });
+            expect(axios.post).not.toHaveBeenCalled();
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect(mockRes.send).toHaveBeenCalledWith("EVENT_RECEIVED");
+        });
+
+        it("should answer button presses once persisted", async () => {
+            mockReq.body = {
+                update_id: 2,
+                callback_query: {
+                    id: "cb1",
+                    data: "2030-06-04 10:00",
+                    message: { message_id: 13, chat },
+                },
+            };
+
+            await WebhookController.handleTelegramWebhook(mockReq, mockRes);
+
+            expect(WebhookInboxEvent.findOrCreate).toHaveBeenCalled();
+            expect(axios.post).toHaveBeenCalledWith(
+                expect.stringMatching(
+                    /\/bot7001:AAHsecret\/answerCallbackQuery$/
+                ),
+                { callback_query_id: "cb1" },
+                { timeout: 30000 }
+            );
+        });
+
+        it("should acknowledge updates there is nothing to answer to", async () => {
+            mockReq.body = {
+                update_id: 3,
+                message: {
+                    message_id: 14,
+                    chat: { id: -10, type: "group" },
+                    text: "Hi all",
+                },
+            };
+
+            await WebhookController.handleTelegramWebhook(mockReq, mockRes);
+
+            expect(WebhookInboxEvent.findOrCreate).not.toHaveBeenCalled();
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+        });
+
+        it("should record updates for bots no business connected", async () => {
+            mockReq.params = { botId: "9999" };
+            mockReq.body = {
+                update_id: 4,
+                message: { message_id: 15, date: 1780000000, chat, text: "Hi" },
+            };
+
+            await WebhookController.handleTelegramWebhook(mockReq, mockRes);
+
+            expect(WebhookInboxEvent.findOrCreate).not.toHaveBeenCalled();
+            expect(UnroutedWebhookEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    platform_type: "telegram",
+                    account_id: "9999",
+                    reason: "unknown_account",
+                    sender_id: "55501",
+                })
+            );
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+        });
+    });
+
+    describe("Email webhook", () => {
+        const emailSource = {
+            id: 6,
+            business_id: 60,
+            platform_type: "email",
+            credentials: { email_address: "support@shop.test" },
+        };
+        const rawEmail = (headers) =>
+            Buffer.from(
+                [
+                    "From: Ana Costa <ana@example.com>",
+                    "To: support@shop.test",
+                    "Subject: Booking",
+                    "Message-ID: <a2@example.com>",
+                    "In-Reply-To: <r1@shop.test>",
+                    ...headers,
+                    "",
+                    "Is Friday free?",
+                    "",
+                    "On Mon, Shop <support@shop.test> wrote:",
+                    "> Which day suits you?",
+                ].join("\r\n")
+            );
+
+        beforeEach(() => {
+            WebhookInboxEvent.findOrCreate.mockImplementation(({ defaults }) =>
+                Promise.resolve([{ id: 1, ...defaults }, true])
+            );
+            PlatformSource.findAll.mockResolvedValue([emailSource]);
+            UnroutedWebhookEvent.findOne.mockResolvedValue(null);
+            UnroutedWebhookEvent.create.mockResolvedValue({ id: 1 });
+            mockReq.params = { address: "Support@Shop.test" };
+        });
+
+        it("should persist mail without the quoted history", async () => {
+            mockReq.body = rawEmail([]);
+
+            await WebhookController.handleEmailWebhook(mockReq, mockRes);
+
+            expect(WebhookInboxEvent.findOrCreate).toHaveBeenCalledWith({
+                where: {
+                    platform_type: "email",
+                    dedupe_key: "<a2@example.com>",
+                },
+                defaults: expect.objectContaining({
+                    platform_source_id: 6,
+                    sender_id: "ana@example.com",
+                    payload: expect.objectContaining({
+                        message: expect.objectContaining({
+                            text: "Is Friday free?",
+                            reply_to: { mid: "<r1@shop.test>" },
+                        }),
+                    }),
+                }),
+            });
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+            expect(mockRes.send).toHaveBeenCalledWith("EVENT_RECEIVED");
+        });
+
+        it("should drop auto-replies", async () => {
+            mockReq.body = rawEmail(["Auto-Submitted: auto-replied"]);
+
+            await WebhookController.handleEmailWebhook(mockReq, mockRes);
+
+            expect(WebhookInboxEvent.findOrCreate).not.toHaveBeenCalled();
+            expect(mockRes.status).toHaveBeenCalledWith(200);
+        });
+
+        it("should record mail for mailboxes no business connected", async () => {
+            mockReq.params = { address: "nobody@shop.test" };
+            mockReq.body = rawEmail([]);
+
+            await WebhookController.handleEmailWebhook(mockReq, mockRes);
+
+            expect(WebhookInboxEvent.findOrCreate).not.toHaveBeenCalled();
+            expect(UnroutedWebhookEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    platform_type: "email",
+                    account_id: "nobody@shop.test",
+                    reason: "unknown_account",
+                    sender_id: "ana@example.com",
+                })
+            );
+        });
+
+        it("should reject bodies that are not raw email", async () => {
+            mockReq.body = { text: "Hi" };
+
+            await WebhookController.handleEmailWebhook(mockReq, mockRes);
+
+            expect(mockRes.status).toHaveBeenCalledWith(400);
+            expect(WebhookInboxEvent.findOrCreate).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("processInboxEvent", () => {
+        beforeEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it("should process messages with AI and let errors propagate", async () => {
+            const handleMessageWithAISpy = jest
+                .spyOn(WebhookController, "handleMessageWithAI")
+                .mockRejectedValue(new Error("Processing error"));
+
+            await expect(
+                WebhookController.processInboxEvent({
+                    event_type: "message",
+                    sender_id: "user1",
+                    platform_source_id: 1,
+                    payload: { message: { text: "Hello" } },
+                })
+            ).rejects.toThrow("Processing error");
+
+            expect(handleMessageWithAISpy).toHaveBeenCalledWith(
                 "user1",
-                { text: "Hello 1" }
+                { text: "Hello" },
+                1
             );
-            expect(WebhookController.handleMessage).toHaveBeenCalledWith(
-                "user2",
-                { text: "Hello 2" }
+        });
+
+        it("should dispatch postbacks", async () => {
+            const handlePostbackSpy = jest
+                .spyOn(WebhookController, "handlePostback")
+                .mockResolvedValue();
+
+            await WebhookController.processInboxEvent({
+                event_type: "postback",
+                sender_id: "user1",
+                platform_source_id: 2,
+                payload: { postback: { payload: "yes" } },
+            });
+
+            expect(handlePostbackSpy).toHaveBeenCalledWith(
+                "user1",
+                { payload: "yes" },
+                2
             );
         });
     });
 
+    describe("replayInboxEvent", () => {
+        it("should requeue a dead-lettered event", async () => {
+            const event = {
+                id: 5,
+                status: "dead_letter",
+                update: jest.fn().mockResolvedValue(),
+            };
+            WebhookInboxEvent.findByPk.mockResolvedValue(event);
+            mockReq.params = { id: "5" };
+
+            await WebhookController.replayInboxEvent(mockReq, mockRes);
+
+            expect(event.update).toHaveBeenCalledWith(
+                expect.objectContaining({ status: "pending", attempts: 0 })
+            );
+            expect(mockRes.json).toHaveBeenCalledWith({
+                success: true,
+                data: event,
+            });
+        });
+
+        it("should refuse to replay events that are not dead-lettered", async () => {
+            WebhookInboxEvent.findByPk.mockResolvedValue({
+                id: 5,
+                status: "completed",
+                update: jest.fn(),
+            });
+            mockReq.params = { id: "5" };
+
+            await WebhookController.replayInboxEvent(mockReq, mockRes);
+
+            expect(mockRes.status).toHaveBeenCalledWith(409);
+            expect(mockRes.json).toHaveBeenCalledWith(
+                expect.objectContaining({ code: "INBOX_EVENT_NOT_REPLAYABLE" })
+            );
+        });
+
+        it("should return 404 for unknown events", async () => {
+            WebhookInboxEvent.findByPk.mockResolvedValue(null);
+            mockReq.params = { id: "999" };
+
+            await WebhookController.replayInboxEvent(mockReq, mockRes);
+
+            expect(mockRes.status).toHaveBeenCalledWith(404);
+        });
+    });
+
     describe("handleMessage", () => {
         it("should call handleMessageWithAI for message processing", async () => {
             const sender_psid = "test_user_123";
@@ -221,13 +1044,14 @@ describe("WebhookController", () => {
 
             await WebhookController.handleMessage(
                 sender_psid,
-                received_message
+                received_message,
+                1
             );
 
             expect(handleMessageWithAISpy).toHaveBeenCalledWith(
                 sender_psid,
                 received_message,
-                null
+                1
             );
 
             handleMessageWithAISpy.mockRestore();
@@ -247,15 +1071,25 @@ describe("WebhookController", () => {
             const callSendAPISpy = jest
                 .spyOn(WebhookController, "callSendAPI")
                 .mockResolvedValue();
+            const platformSource = {
+                id: 1,
+                credentials: { access_token: "token_a" },
+            };
+            PlatformSource.findByPk.mockResolvedValue(platformSource);
 
             await WebhookController.handleMessage(
                 sender_psid,
-                received_message
+                received_message,
+                1
             );
 
-            expect(callSendAPISpy).toHaveBeenCalledWith(sender_psid, {
-                text: "Thanks for your message! We'll get back to you soon.",
-            });
+            expect(callSendAPISpy).toHaveBeenCalledWith(
+                sender_psid,
+                {
+                    text: "Thanks for your message! We'll get back to you soon.",
+                },
+                platformSource
+            );
 
             handleMessageWithAISpy.mockRestore();
             callSendAPISpy.mockRestore();
@@ -279,9 +1113,11 @@ describe("WebhookController", () => {
                 received_postback
             );
 
-            expect(callSendAPISpy).toHaveBeenCalledWith(sender_psid, {
-                text: "Thanks!",
-            });
+            expect(callSendAPISpy).toHaveBeenCalledWith(
+                sender_psid,
+                { text: "Thanks!" },
+                null
+            );
 
             callSendAPISpy.mockRestore();
         });
@@ -302,9 +1138,11 @@ describe("WebhookController", () => {
                 received_postback
             );
 
-            expect(callSendAPISpy).toHaveBeenCalledWith(sender_psid, {
-                text: "Oops, try sending another image.",
-            });
+            expect(callSendAPISpy).toHaveBeenCalledWith(
+                sender_psid,
+                { text: "Oops, try sending another image." },
+                null
+            );
 
             callSendAPISpy.mockRestore();
         });
@@ -325,7 +1163,11 @@ describe("WebhookController", () => {
                 received_postback
             );
 
-            expect(callSendAPISpy).toHaveBeenCalledWith(sender_psid, undefined);
+            expect(callSendAPISpy).toHaveBeenCalledWith(
+                sender_psid,
+                undefined,
+                null
+            );
 
             callSendAPISpy.mockRestore();
         });
@@ -349,12 +1191,36 @@ describe("WebhookController", () => {
             await WebhookController.callSendAPI(sender_psid, response);
 
             expect(axios.post).toHaveBeenCalledWith(
-                "https://graph.facebook.com/v2.6/me/messages?access_token=test_token",
+                "https://graph.facebook.com/v18.0/me/messages",
                 {
                     recipient: { id: sender_psid },
                     message: { text: "Hello!" },
+                },
+                { params: { access_token: "test_token" }, timeout: 30000 }
+            );
+        });
+
+        it("should send with the platform source access token", async () => {
+            jest.restoreAllMocks();
+            axios.post.mockResolvedValue({ data: { success: true } });
+
+            await WebhookController.callSendAPI(
+                "test_user_123",
+                { text: "Hello!" },
+                {
+                    id: 1,
+                    credentials: JSON.stringify({ access_token: "tenant_token" }),
                 }
             );
+
+            expect(axios.post).toHaveBeenCalledWith(
+                "https://graph.facebook.com/v18.0/me/messages",
+                {
+                    recipient: { id: "test_user_123" },
+                    message: { text: "Hello!" },
+                },
+                { params: { access_token: "tenant_token" }, timeout: 30000 }
+            );
         });
 
         it("should handle API errors", async () => {
@@ -368,7 +1234,7 @@ describe("WebhookController", () => {
 
             await expect(
                 WebhookController.callSendAPI(sender_psid, response)
-            ).rejects.toThrow("API Error");
+            ).rejects.toThrow("Send API error: API Error");
 
             expect(axios.post).toHaveBeenCalled();
         });
@@ -441,6 +1307,8 @@ describe("WebhookController", () => {
                     page_id: "fixed_page_id",
                 }),
                 is_active: true,
+                is_connected: true,
+                connection_status: "connected",
                 last_sync: expect.any(Date),
             });
         });
@@ -21,6 +21,7 @@ jest.mock("../../src/models", () => ({
     PlatformSource: {
         findByPk: jest.fn(),
         findOne: jest.fn(),
+        findAll: jest.fn().mockResolvedValue([]),
     },
     Business: {
         findByPk: jest.fn(),
@@ -53,6 +54,8 @@ describe("Complete User Journey E2E Tests", () => {
 
     beforeEach(() => {
         jest.clearAllMocks();
+        // Deliveries here are unsigned, which must be opted into
+        process.env.ALLOW_UNSIGNED_WEBHOOKS = "true";
 
         mockBusiness = {
             id: 1,
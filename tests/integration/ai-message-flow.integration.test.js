@@ -43,6 +43,11 @@ const {
     UnansweredQuestion,
 } = require("../../src/models");
 
+
+// Client behind the OpenAI provider, null without an API key
+const openAIClient = (processor) =>
+    processor.llm.getProvider("openai").getClient();
+
 describe("AI Message Flow Integration Tests", () => {
     let aiProcessor;
     let mockConversation;
@@ -105,8 +110,8 @@ describe("AI Message Flow Integration Tests", () => {
     describe("Customer Intent Progression", () => {
         it("should progress from initial_contact to interested when customer shows buying intent", async () => {
             // Mock OpenAI responses for buying intent
-            if (aiProcessor.openai) {
-                aiProcessor.openai.chat.completions.create
+            if (openAIClient(aiProcessor)) {
+                openAIClient(aiProcessor).chat.completions.create
                     .mockResolvedValueOnce({
                         choices: [
                             {
@@ -180,8 +185,8 @@ describe("AI Message Flow Integration Tests", () => {
             // Update conversation state to interested
             mockConversation.status = "interested";
 
-            if (aiProcessor.openai) {
-                aiProcessor.openai.chat.completions.create
+            if (openAIClient(aiProcessor)) {
+                openAIClient(aiProcessor).chat.completions.create
                     .mockResolvedValueOnce({
                         choices: [
                             {
@@ -252,8 +257,8 @@ describe("AI Message Flow Integration Tests", () => {
         });
 
         it("should handle objection state when customer raises concerns", async () => {
-            if (aiProcessor.openai) {
-                aiProcessor.openai.chat.completions.create
+            if (openAIClient(aiProcessor)) {
+                openAIClient(aiProcessor).chat.completions.create
                     .mockResolvedValueOnce({
                         choices: [
                             {
@@ -330,9 +335,9 @@ describe("AI Message Flow Integration Tests", () => {
     });
 
     describe("Unanswered Questions Handling", () => {
-        it("should save technical questions that the LLM cannot answer", async () => {
-            if (aiProcessor.openai) {
-                aiProcessor.openai.chat.completions.create
+        it("should save technical questions the knowledge base cannot answer", async () => {
+            if (openAIClient(aiProcessor)) {
+                openAIClient(aiProcessor).chat.completions.create
                     .mockResolvedValueOnce({
                         choices: [
                             {
@@ -399,20 +404,24 @@ describe("AI Message Flow Integration Tests", () => {
             expect(result.analysis.requires_human).toBe(true);
 
             // Verify that an unanswered question was created
-            expect(UnansweredQuestion.create).toHaveBeenCalledWith({
-                conversation_id: 1,
-                question_text: "What's your API rate limit?",
-                question_type: "technical",
-                priority: "high",
-                status: "pending",
-                context: expect.any(String),
-                created_at: expect.any(Date),
-            });
+            expect(UnansweredQuestion.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    business_id: 1,
+                    conversation_id: 1,
+                    question_text: messageData.message,
+                    normalized_question:
+                        "whats your api rate limit and how does it scale with usage",
+                    status: "unanswered",
+                    frequency: 1,
+                    language_code: "en",
+                }),
+                { returning: false }
+            );
         });
 
-        it("should save pricing questions that need human review", async () => {
-            if (aiProcessor.openai) {
-                aiProcessor.openai.chat.completions.create
+        it("should save pricing questions the knowledge base cannot answer", async () => {
+            if (openAIClient(aiProcessor)) {
+                openAIClient(aiProcessor).chat.completions.create
                     .mockResolvedValueOnce({
                         choices: [
                             {
@@ -482,20 +491,43 @@ describe("AI Message Flow Integration Tests", () => {
             expect(result.analysis.requires_human).toBe(true);
 
             // Verify that an unanswered question was created for pricing
-            expect(UnansweredQuestion.create).toHaveBeenCalledWith({
-                conversation_id: 1,
-                question_text: "Can you provide custom pricing?",
-                question_type: "pricing",
-                priority: "high",
-                status: "pending",
-                context: expect.any(String),
-                created_at: expect.any(Date),
-            });
+            expect(UnansweredQuestion.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    business_id: 1,
+                    conversation_id: 1,
+                    question_text: messageData.message,
+                    status: "unanswered",
+                }),
+                { returning: false }
+            );
         });
 
-        it("should not save simple questions that the LLM can answer", async () => {
-            if (aiProcessor.openai) {
-                aiProcessor.openai.chat.completions.create
+        it("should not save questions the knowledge base can answer", async () => {
+            jest.spyOn(
+                aiProcessor.contextSearchService,
+                "searchContexts"
+            ).mockResolvedValue({
+                results: [
+                    {
+                        id: 3,
+                        type: "context",
+                        section_name: "Features",
+                        content: "Real-time analytics and automated reporting",
+                        similarity_score: 0.92,
+                    },
+                ],
+                metadata: {},
+            });
+            jest.spyOn(
+                aiProcessor.contextSearchService,
+                "updateSearchHits"
+            ).mockResolvedValue();
+            jest.spyOn(
+                aiProcessor.confidenceScoringService,
+                "calculateConfidence"
+            ).mockResolvedValue({ confidence_score: 0.88, is_confident: true });
+            if (openAIClient(aiProcessor)) {
+                openAIClient(aiProcessor).chat.completions.create
                     .mockResolvedValueOnce({
                         choices: [
                             {
@@ -567,8 +599,8 @@ describe("AI Message Flow Integration Tests", () => {
 
     describe("Conversation State Analysis", () => {
         it("should analyze conversation state progression", async () => {
-            if (aiProcessor.openai) {
-                aiProcessor.openai.chat.completions.create
+            if (openAIClient(aiProcessor)) {
+                openAIClient(aiProcessor).chat.completions.create
                     .mockResolvedValueOnce({
                         choices: [
                             {
@@ -637,8 +669,8 @@ describe("AI Message Flow Integration Tests", () => {
     describe("Error Handling and Fallbacks", () => {
         it("should handle OpenAI API failures gracefully", async () => {
             // Mock OpenAI to fail
-            if (aiProcessor.openai) {
-                aiProcessor.openai.chat.completions.create.mockRejectedValue(
+            if (openAIClient(aiProcessor)) {
+                openAIClient(aiProcessor).chat.completions.create.mockRejectedValue(
                     new Error("OpenAI API Error")
                 );
             }
@@ -706,7 +738,9 @@ describe("AI Message Flow Integration Tests", () => {
             const result = await aiProcessor.processMessage(messageData);
 
             expect(result.success).toBe(true);
-            expect(result.response).toBe(
+            // First reply of the conversation, so it starts with the AI disclosure
+            expect(result.response).toMatch(/automated assistant/);
+            expect(result.response).toContain(
                 "Thanks for your message! We'll get back to you soon."
             );
         });
@@ -36,6 +36,11 @@ const {
     Business,
 } = require("../../src/models");
 
+
+// Client behind the OpenAI provider, null without an API key
+const openAIClient = (processor) =>
+    processor.llm.getProvider("openai").getClient();
+
 describe("AI Integration Tests", () => {
     let aiProcessor;
 
@@ -68,7 +73,7 @@ describe("AI Integration Tests", () => {
 
         const mockConversation = {
             id: 1,
-            status: "active",
+            funnel_state: "engaged",
             lead_score: 50,
             sentiment_score: 0.3,
             client: {
@@ -78,7 +83,7 @@ describe("AI Integration Tests", () => {
                 last_contact: new Date(),
                 engagement_score: 0.7,
             },
-            platform_source: {
+            platformSource: {
                 id: 1,
                 platform_type: "instagram",
                 platform_name: "Test Instagram",
@@ -88,9 +93,9 @@ describe("AI Integration Tests", () => {
         const mockMessages = [
             {
                 id: 1,
-                sender_type: "client",
-                content: "Hello!",
-                sent_at: new Date(),
+                sender_type: "customer",
+                message_text: "Hello!",
+                message_timestamp: new Date(),
             },
         ];
 
@@ -136,8 +141,8 @@ describe("AI Integration Tests", () => {
                 "Thanks for your interest! I'd be happy to discuss our pricing options with you. What type of services are you most interested in?";
 
             // Mock OpenAI API calls
-            if (aiProcessor.openai) {
-                aiProcessor.openai.chat.completions.create
+            if (openAIClient(aiProcessor)) {
+                openAIClient(aiProcessor).chat.completions.create
                     .mockResolvedValueOnce({
                         choices: [
                             {
@@ -174,7 +179,9 @@ describe("AI Integration Tests", () => {
             expect(result.analysis.intent).toBe("showing_interest");
             expect(result.analysis.lead_score).toBe(65);
             expect(result.newState).toBe("engaged");
-            expect(result.response).toBe(mockResponse);
+            // First reply of the conversation, so it starts with the AI disclosure
+            expect(result.response).toMatch(/automated assistant/);
+            expect(result.response).toContain(mockResponse);
             expect(result.responseTime).toBeGreaterThanOrEqual(0);
         });
 
@@ -190,7 +197,7 @@ describe("AI Integration Tests", () => {
             expect(result.success).toBe(true);
             expect(result.analysis.intent).toBe("question");
             expect(result.analysis.lead_score).toBe(55);
-            expect(result.newState).toBe("active"); // State transition returns current state
+            expect(result.newState).toBe("engaged"); // State transition returns current state
             expect(result.response).toBeDefined();
         });
 
@@ -222,8 +229,8 @@ describe("AI Integration Tests", () => {
                 has_images: true,
             };
 
-            if (aiProcessor.openai) {
-                aiProcessor.openai.chat.completions.create
+            if (openAIClient(aiProcessor)) {
+                openAIClient(aiProcessor).chat.completions.create
                     .mockResolvedValueOnce({
                         choices: [
                             {
@@ -347,8 +354,8 @@ describe("AI Integration Tests", () => {
         });
 
         it("should handle OpenAI API errors gracefully", async () => {
-            if (aiProcessor.openai) {
-                aiProcessor.openai.chat.completions.create.mockRejectedValue(
+            if (openAIClient(aiProcessor)) {
+                openAIClient(aiProcessor).chat.completions.create.mockRejectedValue(
                     new Error("OpenAI API error")
                 );
             }
@@ -383,8 +390,8 @@ describe("AI Integration Tests", () => {
         });
 
         it("should handle malformed OpenAI responses", async () => {
-            if (aiProcessor.openai) {
-                aiProcessor.openai.chat.completions.create.mockResolvedValue({
+            if (openAIClient(aiProcessor)) {
+                openAIClient(aiProcessor).chat.completions.create.mockResolvedValue({
                     choices: [
                         {
                             message: {
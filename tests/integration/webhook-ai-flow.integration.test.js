@@ -18,6 +18,7 @@ jest.mock("../../src/models/index", () => ({
     PlatformSource: {
         findByPk: jest.fn(),
         findOne: jest.fn(),
+        findAll: jest.fn().mockResolvedValue([]),
     },
     Business: {
         findByPk: jest.fn(),
@@ -70,6 +71,8 @@ describe("Webhook AI Flow Integration Tests", () => {
 
     beforeEach(() => {
         jest.clearAllMocks();
+        // Deliveries here are unsigned, which must be opted into
+        process.env.ALLOW_UNSIGNED_WEBHOOKS = "true";
 
         // Setup mock data
         mockBusiness = {
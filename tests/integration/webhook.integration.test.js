@@ -19,6 +19,7 @@ jest.mock("../../src/models/index", () => ({
     PlatformSource: {
         findByPk: jest.fn(),
         findOne: jest.fn(),
+        findAll: jest.fn().mockResolvedValue([]),
         findOrCreate: jest.fn(),
     },
     Business: {
@@ -70,6 +71,8 @@ describe("Webhook Integration Tests", () => {
         jest.clearAllMocks();
         process.env.VERIFY_TOKEN = "test_verify_token";
         process.env.INSTAGRAM_TEST_TOKEN = "test_instagram_token";
+        // Deliveries here are unsigned, which must be opted into
+        process.env.ALLOW_UNSIGNED_WEBHOOKS = "true";
     });
 
     describe("GET /webhooks/instagram/verify", () => {
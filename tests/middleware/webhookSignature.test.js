@@ -0,0 +1,463 @@
+const crypto = require("crypto");
+const express = require("express");
+const request = require("supertest");
+const { PlatformSource } = require("../../src/models");
+const {
+    verifyMetaSignature,
+    verifyTelegramSecret,
+    verifyEmailSecret,
+    isValidSignature,
+    getSignatureMetrics,
+} = require("../../src/middleware/webhookSignature");
+
+jest.mock("../../src/models", () => ({
+    PlatformSource: {
+        findAll: jest.fn(),
+    },
+    UnroutedWebhookEvent: {
+        findOne: jest.fn(),
+        create: jest.fn(),
+    },
+}));
+
+const sign = (body, secret) =>
+    "sha256=" +
+    crypto.createHmac("sha256", secret).update(body).digest("hex");
+
+describe("webhookSignature middleware", () => {
+    let app;
+    let handler;
+    const originalEnv = process.env.NODE_ENV;
+
+    const payload = JSON.stringify({
+        object: "instagram",
+        entry: [
+            {
+                id: "ig_account_a",
+                messaging: [
+                    { sender: { id: "user_1" }, message: { text: "Hi" } },
+                ],
+            },
+        ],
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        delete process.env.META_APP_SECRET;
+        delete process.env.ALLOW_UNSIGNED_WEBHOOKS;
+        process.env.NODE_ENV = "test";
+        PlatformSource.findAll.mockResolvedValue([]);
+
+        handler = jest.fn((req, res) => res.status(200).send("EVENT_RECEIVED"));
+        app = express();
+        app.use(
+            express.json({
+                verify: (req, res, buf) => {
+                    req.rawBody = buf;
+                },
+            })
+        );
+        app.post("/webhook", verifyMetaSignature("instagram"), handler);
+    });
+
+    afterAll(() => {
+        process.env.NODE_ENV = originalEnv;
+        delete process.env.META_APP_SECRET;
+        delete process.env.ALLOW_UNSIGNED_WEBHOOKS;
+    });
+
+    const post = (signature, body = payload) => {
+        const req = request(app)
+            .post("/webhook")
+            .set("Content-Type", "application/json");
+        if (signature) req.set("X-Hub-Signature-256", signature);
+        return req.send(body);
+    };
+
+    it("should accept deliveries signed with the global app secret", async () => {
+        process.env.META_APP_SECRET = "global_secret";
+
+        const response = await post(sign(payload, "global_secret"));
+
+        expect(response.status).toBe(200);
+        expect(handler).toHaveBeenCalled();
+    });
+
+    it("should accept deliveries signed with a platform source secret", async () => {
+        // Separate account so the routing cache does not leak into other tests
+        const tenantPayload = payload.replace("ig_account_a", "ig_tenant");
+        PlatformSource.findAll.mockResolvedValue([
+            {
+                id: 1,
+                platform_type: "instagram",
+                credentials: {
+                    page_id: "ig_tenant",
+                    app_secret: "tenant_secret",
+                },
+            },
+        ]);
+
+        const response = await post(
+            sign(tenantPayload, "tenant_secret"),
+            tenantPayload
+        );
+
+        expect(response.status).toBe(200);
+    });
+
+    it("should find the page's secret for Page deliveries sharing the URL", async () => {
+        PlatformSource.findAll.mockImplementation(async ({ where }) =>
+            where.platform_type === "facebook"
+                ? [
+                      {
+                          id: 4,
+                          platform_type: "facebook",
+                          credentials: {
+                              page_id: "page_shared",
+                              app_secret: "page_secret",
+                          },
+                      },
+                  ]
+                : []
+        );
+        const pagePayload = JSON.stringify({
+            object: "page",
+            entry: [
+                {
+                    id: "page_shared",
+                    messaging: [{ recipient: { id: "page_shared" } }],
+                },
+            ],
+        });
+
+        const response = await post(
+            sign(pagePayload, "page_secret"),
+            pagePayload
+        );
+
+        expect(response.status).toBe(200);
+        expect(handler).toHaveBeenCalled();
+    });
+
+    it("should find the secret of the WhatsApp number a change was sent to", async () => {
+        app.post("/whatsapp", verifyMetaSignature("whatsapp"), handler);
+        PlatformSource.findAll.mockResolvedValue([
+            {
+                id: 3,
+                platform_type: "whatsapp",
+                credentials: {
+                    phone_number_id: "1065403",
+                    app_secret: "wa_secret",
+                },
+            },
+        ]);
+        const whatsappPayload = JSON.stringify({
+            object: "whatsapp_business_account",
+            entry: [
+                {
+                    id: "waba_1",
+                    changes: [
+                        {
+                            field: "messages",
+                            value: { metadata: { phone_number_id: "1065403" } },
+                        },
+                    ],
+                },
+            ],
+        });
+
+        const response = await request(app)
+            .post("/whatsapp")
+            .set("Content-Type", "application/json")
+            .set("X-Hub-Signature-256", sign(whatsappPayload, "wa_secret"))
+            .send(whatsappPayload);
+
+        expect(response.status).toBe(200);
+        expect(PlatformSource.findAll).toHaveBeenCalledWith({
+            where: { platform_type: "whatsapp", is_connected: true },
+        });
+    });
+
+    it("should reject mismatched signatures with 401", async () => {
+        process.env.META_APP_SECRET = "global_secret";
+        const before = getSignatureMetrics().rejected.invalid_signature;
+
+        const response = await post(sign(payload, "wrong_secret"));
+
+        expect(response.status).toBe(401);
+        expect(handler).not.toHaveBeenCalled();
+        expect(getSignatureMetrics().rejected.invalid_signature).toBe(
+            before + 1
+        );
+    });
+
+    it("should reject deliveries without a signature", async () => {
+        process.env.META_APP_SECRET = "global_secret";
+        const before = getSignatureMetrics().rejected.missing_signature;
+
+        const response = await post();
+
+        expect(response.status).toBe(401);
+        expect(getSignatureMetrics().rejected.missing_signature).toBe(
+            before + 1
+        );
+    });
+
+    it("should reject tenant-signed batches holding another tenant's entries", async () => {
+        const sources = {
+            ig_attacker: "attacker_secret",
+            ig_victim: "victim_secret",
+            ig_unsigned: null,
+        };
+        PlatformSource.findAll.mockResolvedValue(
+            Object.entries(sources).map(([pageId, appSecret], index) => ({
+                id: 20 + index,
+                platform_type: "instagram",
+                credentials: { page_id: pageId, app_secret: appSecret },
+            }))
+        );
+        const batch = (accounts) =>
+            JSON.stringify({
+                object: "instagram",
+                entry: accounts.map((id) => ({
+                    id,
+                    messaging: [{ sender: { id: "user_1" } }],
+                })),
+            });
+        const before = getSignatureMetrics().rejected.mixed_secrets;
+
+        const withVictim = batch(["ig_attacker", "ig_victim"]);
+        const withUnsigned = batch(["ig_attacker", "ig_unsigned"]);
+        const responses = [
+            await post(sign(withVictim, "attacker_secret"), withVictim),
+            await post(sign(withUnsigned, "attacker_secret"), withUnsigned),
+        ];
+
+        expect(responses.map((response) => response.status)).toEqual([
+            401, 401,
+        ]);
+        expect(handler).not.toHaveBeenCalled();
+        expect(getSignatureMetrics().rejected.mixed_secrets).toBe(before + 2);
+    });
+
+    it("should only accept the global secret for mixed batches", async () => {
+        process.env.META_APP_SECRET = "global_secret";
+        PlatformSource.findAll.mockResolvedValue([
+            {
+                id: 30,
+                platform_type: "instagram",
+                credentials: { page_id: "ig_own", app_secret: "own_secret" },
+            },
+        ]);
+        const mixedPayload = JSON.stringify({
+            object: "instagram",
+            entry: [{ id: "ig_own" }, { id: "ig_other" }],
+        });
+
+        const tenantSigned = await post(
+            sign(mixedPayload, "own_secret"),
+            mixedPayload
+        );
+        const globalSigned = await post(
+            sign(mixedPayload, "global_secret"),
+            mixedPayload
+        );
+
+        expect(tenantSigned.status).toBe(401);
+        expect(globalSigned.status).toBe(200);
+    });
+
+    it("should not look up accounts of deliveries signed with the global secret", async () => {
+        process.env.META_APP_SECRET = "global_secret";
+        const largeBatch = JSON.stringify({
+            object: "instagram",
+            entry: Array.from({ length: 50 }, (_, i) => ({ id: `ig_${i}` })),
+        });
+
+        const response = await post(
+            sign(largeBatch, "global_secret"),
+            largeBatch
+        );
+
+        expect(response.status).toBe(200);
+        expect(PlatformSource.findAll).not.toHaveBeenCalled();
+    });
+
+    it("should reject other deliveries naming too many accounts with 403", async () => {
+        process.env.META_APP_SECRET = "global_secret";
+        const largeBatch = JSON.stringify({
+            object: "instagram",
+            entry: Array.from({ length: 11 }, (_, i) => ({
+                id: `ig_rnd_${i}`,
+            })),
+        });
+        const before = getSignatureMetrics().rejected.too_many_accounts;
+
+        const response = await post(
+            sign(largeBatch, "tenant_secret"),
+            largeBatch
+        );
+
+        expect(response.status).toBe(403);
+        expect(handler).not.toHaveBeenCalled();
+        expect(PlatformSource.findAll).not.toHaveBeenCalled();
+        expect(getSignatureMetrics().rejected.too_many_accounts).toBe(
+            before + 1
+        );
+    });
+
+    it("should resolve all accounts of a delivery with one query", async () => {
+        const batch = JSON.stringify({
+            object: "instagram",
+            entry: ["ig_one", "ig_two", "ig_three"].map((id) => ({ id })),
+        });
+
+        const response = await post(undefined, batch);
+
+        expect(response.status).toBe(401);
+        expect(PlatformSource.findAll).toHaveBeenCalledTimes(1);
+    });
+
+    it("should reject deliveries when no secret is configured", async () => {
+        const before = getSignatureMetrics().rejected.no_secret_configured;
+
+        const response = await post();
+
+        expect(response.status).toBe(401);
+        expect(handler).not.toHaveBeenCalled();
+        expect(getSignatureMetrics().rejected.no_secret_configured).toBe(
+            before + 1
+        );
+    });
+
+    it("should reject deliveries when the secrets cannot be loaded", async () => {
+        process.env.ALLOW_UNSIGNED_WEBHOOKS = "true";
+        PlatformSource.findAll.mockRejectedValue(new Error("db down"));
+        const failingPayload = payload.replace("ig_account_a", "ig_db_down");
+
+        const response = await post(undefined, failingPayload);
+
+        expect(response.status).toBe(401);
+        expect(handler).not.toHaveBeenCalled();
+        expect(getSignatureMetrics().rejected.secret_lookup_failed).toBe(1);
+    });
+
+    it("should allow unsigned deliveries when explicitly enabled", async () => {
+        process.env.ALLOW_UNSIGNED_WEBHOOKS = "true";
+        const before = getSignatureMetrics().unverified_allowed;
+
+        const response = await post();
+
+        expect(response.status).toBe(200);
+        expect(getSignatureMetrics().unverified_allowed).toBe(before + 1);
+    });
+
+    describe("verifyTelegramSecret", () => {
+        // Each test uses its own bot: resolved sources are cached
+        const telegramSource = (botId, secret) => ({
+            id: Number(botId),
+            platform_type: "telegram",
+            credentials: { bot_token: `${botId}:AAH`, secret_token: secret },
+        });
+
+        const postUpdate = (botId, secret) => {
+            const req = request(app)
+                .post(`/telegram/${botId}`)
+                .set("Content-Type", "application/json");
+            if (secret) req.set("X-Telegram-Bot-Api-Secret-Token", secret);
+            return req.send({ update_id: 1 });
+        };
+
+        beforeEach(() => {
+            app.post("/telegram/:botId", verifyTelegramSecret(), handler);
+        });
+
+        it("should accept updates with the bot's secret token", async () => {
+            PlatformSource.findAll.mockResolvedValue([
+                telegramSource("7001", "bot_secret"),
+            ]);
+
+            const response = await postUpdate("7001", "bot_secret");
+
+            expect(response.status).toBe(200);
+            expect(handler).toHaveBeenCalled();
+        });
+
+        it("should reject updates with another or no secret token", async () => {
+            PlatformSource.findAll.mockResolvedValue([
+                telegramSource("7002", "bot_secret"),
+            ]);
+
+            const wrong = await postUpdate("7002", "other_secret");
+            const missing = await postUpdate("7002");
+
+            expect(wrong.status).toBe(401);
+            expect(missing.status).toBe(401);
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        it("should reject updates for bots without a secret", async () => {
+            const response = await postUpdate("7003", "bot_secret");
+
+            expect(response.status).toBe(401);
+            expect(handler).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("verifyEmailSecret", () => {
+        const emailSource = (address, secret) => ({
+            id: 90,
+            platform_type: "email",
+            credentials: { email_address: address, webhook_secret: secret },
+        });
+
+        const postMail = (address, secret) => {
+            const req = request(app)
+                .post(`/email/${address}`)
+                .set("Content-Type", "message/rfc822");
+            if (secret) req.set("X-Email-Webhook-Secret", secret);
+            return req.send("Subject: Hi\r\n\r\nHello");
+        };
+
+        beforeEach(() => {
+            app.post("/email/:address", verifyEmailSecret(), handler);
+        });
+
+        it("should accept mail with the mailbox's secret, whatever the address case", async () => {
+            PlatformSource.findAll.mockResolvedValue([
+                emailSource("Support@Shop.test", "mail_secret"),
+            ]);
+
+            const response = await postMail("SUPPORT@shop.test", "mail_secret");
+
+            expect(response.status).toBe(200);
+            expect(handler).toHaveBeenCalled();
+        });
+
+        it("should reject mail with another or no secret", async () => {
+            PlatformSource.findAll.mockResolvedValue([
+                emailSource("sales@shop.test", "mail_secret"),
+            ]);
+
+            const wrong = await postMail("sales@shop.test", "other_secret");
+            const missing = await postMail("sales@shop.test");
+
+            expect(wrong.status).toBe(401);
+            expect(missing.status).toBe(401);
+            expect(handler).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("isValidSignature", () => {
+        it("should validate the sha256 prefix and digest", () => {
+            const body = Buffer.from("{}");
+
+            expect(isValidSignature(body, sign(body, "s"), "s")).toBe(true);
+            expect(isValidSignature(body, sign(body, "s"), "x")).toBe(false);
+            expect(isValidSignature(body, "sha1=abc", "s")).toBe(false);
+            expect(isValidSignature(undefined, sign(body, "s"), "s")).toBe(
+                false
+            );
+        });
+    });
+});
@@ -1,4 +1,5 @@
 const AIMessageProcessor = require("../../src/services/AIMessageProcessor");
+const { getOpeningStatus } = require("../../src/services/businessHours");
 const {
     Conversation,
     Message,
@@ -32,27 +33,32 @@ jest.mock("../../src/models", () => ({
     },
 }));
 
+
+// Client behind the OpenAI provider, null without an API key
+const openAIClient = (processor) =>
+    processor.llm.getProvider("openai").getClient();
+
 describe("AIMessageProcessor", () => {
     let aiProcessor;
-    let mockOpenAI;
 
     beforeEach(() => {
         aiProcessor = new AIMessageProcessor();
-        mockOpenAI = aiProcessor.openai;
         jest.clearAllMocks();
     });
 
     describe("Constructor", () => {
-        it("should initialize with OpenAI if API key is available", () => {
+        it("should initialize with OpenAI if API key is available", async () => {
             process.env.OPENAI_API_KEY = "test-key";
             const processor = new AIMessageProcessor();
-            expect(processor.openai).toBeDefined();
+            expect(openAIClient(processor)).toBeDefined();
+            expect(await processor.llm.isAvailable("analysis")).toBe(true);
         });
 
-        it("should initialize without OpenAI if API key is not available", () => {
+        it("should initialize without OpenAI if API key is not available", async () => {
             delete process.env.OPENAI_API_KEY;
             const processor = new AIMessageProcessor();
-            expect(processor.openai).toBeNull();
+            expect(openAIClient(processor)).toBeNull();
+            expect(await processor.llm.isAvailable("analysis")).toBe(false);
         });
     });
 
@@ -113,7 +119,9 @@ describe("AIMessageProcessor", () => {
             expect(result.success).toBe(true);
             expect(result.analysis).toBeDefined();
             expect(result.newState).toBe("engaged");
-            expect(result.response).toBe(
+            // First reply of the conversation, so it starts with the AI disclosure
+            expect(result.response).toMatch(/automated assistant/);
+            expect(result.response).toContain(
                 "Thanks for your interest! What specific challenges are you looking to solve?"
             );
             expect(result.responseTime).toBeGreaterThanOrEqual(0);
@@ -135,12 +143,101 @@ describe("AIMessageProcessor", () => {
             const result = await aiProcessor.processMessage(mockMessageData);
             expect(result.responseTime).toBeGreaterThanOrEqual(0);
         });
+
+        it("should pass retrieved knowledge to response generation", async () => {
+            const faq = {
+                id: 7,
+                type: "faq",
+                section_name: "Pricing",
+                content: "Plans start at $49/month",
+                similarity_score: 0.9,
+            };
+            jest.spyOn(
+                aiProcessor.contextSearchService,
+                "searchContexts"
+            ).mockResolvedValue({ results: [faq], metadata: {} });
+            jest.spyOn(
+                aiProcessor.confidenceScoringService,
+                "calculateConfidence"
+            ).mockResolvedValue({ confidence_score: 0.85, is_confident: true });
+            const updateSearchHits = jest
+                .spyOn(aiProcessor.contextSearchService, "updateSearchHits")
+                .mockResolvedValue();
+            const track = jest.spyOn(
+                aiProcessor.unansweredQuestionService,
+                "track"
+            );
+
+            const result = await aiProcessor.processMessage(mockMessageData);
+
+            expect(
+                aiProcessor.contextSearchService.searchContexts
+            ).toHaveBeenCalledWith({
+                query: mockMessageData.message,
+                businessId: 1,
+                language: "en",
+                threshold: 0.15,
+                limit: 5,
+            });
+            const knowledge = aiProcessor.generateResponse.mock.calls[0][3];
+            expect(knowledge.isConfident).toBe(true);
+            expect(knowledge.contextText).toContain("Plans start at $49/month");
+            expect(result.confidence_score).toBe(0.85);
+            expect(result.is_answered).toBe(true);
+            expect(result.context_sources).toEqual([faq]);
+            expect(updateSearchHits).toHaveBeenCalledWith([7], "faq");
+            expect(track).not.toHaveBeenCalled();
+        });
+
+        it("should track questions the knowledge base cannot answer", async () => {
+            jest.spyOn(
+                aiProcessor.contextSearchService,
+                "searchContexts"
+            ).mockResolvedValue({ results: [], metadata: {} });
+            jest.spyOn(
+                aiProcessor.confidenceScoringService,
+                "calculateConfidence"
+            ).mockResolvedValue({ confidence_score: 0.2, is_confident: false });
+            const track = jest
+                .spyOn(aiProcessor.unansweredQuestionService, "track")
+                .mockResolvedValue();
+
+            const result = await aiProcessor.processMessage(mockMessageData);
+
+            expect(result.is_answered).toBe(false);
+            expect(track).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    question: mockMessageData.message,
+                    businessId: 1,
+                    conversationId: 1,
+                    contextSources: [],
+                    confidenceScore: 0.2,
+                })
+            );
+        });
+
+        it("should still reply when knowledge retrieval fails", async () => {
+            jest.spyOn(
+                aiProcessor.contextSearchService,
+                "searchContexts"
+            ).mockRejectedValue(new Error("Search unavailable"));
+            jest.spyOn(
+                aiProcessor.unansweredQuestionService,
+                "track"
+            ).mockResolvedValue();
+
+            const result = await aiProcessor.processMessage(mockMessageData);
+
+            expect(result.success).toBe(true);
+            expect(result.confidence_score).toBe(0);
+            expect(result.context_sources).toEqual([]);
+        });
     });
 
     describe("getConversationContext", () => {
         const mockConversation = {
             id: 1,
-            status: "active",
+            funnel_state: "engaged",
             lead_score: 50,
             sentiment_score: 0.3,
             client: {
@@ -150,7 +247,7 @@ describe("AIMessageProcessor", () => {
                 last_contact: new Date(),
                 engagement_score: 0.7,
             },
-            platform_source: {
+            platformSource: {
                 id: 1,
                 platform_type: "instagram",
                 platform_name: "Test Instagram",
@@ -160,23 +257,24 @@ describe("AIMessageProcessor", () => {
         const mockMessages = [
             {
                 id: 1,
-                sender_type: "client",
-                content: "Hello",
-                sent_at: new Date(),
+                sender_type: "customer",
+                message_text: "Hello",
+                message_timestamp: new Date(),
             },
             {
                 id: 2,
-                sender_type: "business",
-                content: "Hi there!",
-                sent_at: new Date(),
+                sender_type: "bot",
+                message_text: "Hi there!",
+                message_timestamp: new Date(),
             },
         ];
 
         const mockBusiness = {
             id: 1,
-            name: "Test Company",
-            description: "A test company",
-            industry: "Technology",
+            company_name: "Test Company",
+            business_type: "Technology",
+            primary_language: "es",
+            ai_disclosure: { disclose_at_first_contact: false },
         };
 
         beforeEach(() => {
@@ -197,9 +295,13 @@ describe("AIMessageProcessor", () => {
                 1,
                 expect.any(Object)
             );
-            expect(context.currentState).toBe("active");
+            expect(context.currentState).toBe("engaged");
             expect(context.businessType).toBe("Technology");
             expect(context.businessName).toBe("Test Company");
+            expect(context.language).toBe("es");
+            expect(context.aiDisclosure).toEqual({
+                disclose_at_first_contact: false,
+            });
             expect(context.conversationHistory).toHaveLength(2);
         });
 
@@ -215,7 +317,7 @@ describe("AIMessageProcessor", () => {
             );
 
             expect(Conversation.findOne).toHaveBeenCalled();
-            expect(context.currentState).toBe("active");
+            expect(context.currentState).toBe("engaged");
         });
 
         it("should return default context if no conversation found", async () => {
@@ -297,6 +399,41 @@ describe("AIMessageProcessor", () => {
             expect(analysis.intent).toBe("test_intent");
         });
 
+        it("should keep the qualification facts of long analyses", async () => {
+            const create = openAIClient(aiProcessor).chat.completions.create;
+            create.mockResolvedValueOnce({
+                choices: [
+                    {
+                        message: {
+                            content: JSON.stringify({
+                                intent: "strong_interest",
+                                lead_score: 80,
+                                next_best_action: "Offer a call ".repeat(80),
+                                qualification: {
+                                    budget: "about $3,000",
+                                    timeline: "next month",
+                                    decision_maker: "decision_maker",
+                                    email: "ana@example.com",
+                                },
+                            }),
+                        },
+                    },
+                ],
+            });
+
+            const analysis = await aiProcessor.analyzeMessageWithAI(
+                "I decide; about $3,000 next month. ana@example.com",
+                mockContext,
+                null
+            );
+
+            expect(analysis.intent).toBe("strong_interest");
+            expect(analysis.qualification.budget).toBe("about $3,000");
+            expect(create.mock.calls[0][0].messages[0].content).toContain(
+                '"qualification"'
+            );
+        });
+
         it("should use fallback analysis when OpenAI is not available", async () => {
             delete process.env.OPENAI_API_KEY;
             aiProcessor = new AIMessageProcessor();
@@ -313,8 +450,8 @@ describe("AIMessageProcessor", () => {
         });
 
         it("should handle OpenAI API errors", async () => {
-            if (aiProcessor.openai) {
-                aiProcessor.openai.chat.completions.create.mockRejectedValue(
+            if (openAIClient(aiProcessor)) {
+                openAIClient(aiProcessor).chat.completions.create.mockRejectedValue(
                     new Error("API Error")
                 );
             }
@@ -349,8 +486,8 @@ describe("AIMessageProcessor", () => {
         });
 
         it("should determine state transition with OpenAI", async () => {
-            if (aiProcessor.openai) {
-                aiProcessor.openai.chat.completions.create.mockResolvedValue({
+            if (openAIClient(aiProcessor)) {
+                openAIClient(aiProcessor).chat.completions.create.mockResolvedValue({
                     choices: [
                         {
                             message: {
@@ -374,9 +511,65 @@ describe("AIMessageProcessor", () => {
             expect(newState).toBe("interested");
         });
 
+        it("should keep to the transitions of the business's funnel", async () => {
+            const funnelDefinition = {
+                initial_state: "inquiry",
+                states: [
+                    {
+                        key: "inquiry",
+                        description: "Asking about treatments",
+                        transitions: ["consultation", "gone"],
+                    },
+                    {
+                        key: "consultation",
+                        description: "Wants a consultation",
+                        entry_criteria: "Asked to see a dentist",
+                    },
+                    { key: "treatment_plan", description: "Has a plan" },
+                    { key: "gone", description: "Not coming", outcome: "lost" },
+                ],
+            };
+            const create = openAIClient(aiProcessor).chat.completions.create;
+            create.mockResolvedValue({
+                choices: [
+                    {
+                        message: {
+                            content: JSON.stringify({
+                                new_state: "treatment_plan",
+                            }),
+                        },
+                    },
+                ],
+            });
+
+            const stays = await aiProcessor.determineStateTransition(
+                "inquiry",
+                mockAnalysis,
+                mockHistory,
+                { funnelDefinition }
+            );
+            const leaves = await aiProcessor.determineStateTransition(
+                "inquiry",
+                { ...mockAnalysis, sentiment: -0.9 },
+                mockHistory,
+                { funnelDefinition }
+            );
+
+            expect(stays).toBe("inquiry");
+            expect(leaves).toBe("gone");
+            const prompt = create.mock.calls[0][0].messages[0].content;
+            expect(prompt).toContain(
+                "- consultation: Wants a consultation (enter when: Asked to see a dentist)"
+            );
+            expect(prompt).toContain(
+                "ALLOWED NEXT STATES: inquiry, consultation, gone"
+            );
+            expect(prompt).not.toContain("ready_to_convert");
+        });
+
         it("should use rule-based fallback when OpenAI fails", async () => {
-            if (aiProcessor.openai) {
-                aiProcessor.openai.chat.completions.create.mockRejectedValue(
+            if (openAIClient(aiProcessor)) {
+                openAIClient(aiProcessor).chat.completions.create.mockRejectedValue(
                     new Error("API Error")
                 );
             }
@@ -423,8 +616,8 @@ describe("AIMessageProcessor", () => {
         });
 
         it("should generate response with OpenAI", async () => {
-            if (aiProcessor.openai) {
-                aiProcessor.openai.chat.completions.create.mockResolvedValue({
+            if (openAIClient(aiProcessor)) {
+                openAIClient(aiProcessor).chat.completions.create.mockResolvedValue({
                     choices: [
                         {
                             message: {
@@ -447,9 +640,58 @@ describe("AIMessageProcessor", () => {
             );
         });
 
+        it("should tell the model whether the business is open", async () => {
+            const create = openAIClient(aiProcessor).chat.completions.create;
+            create.mockResolvedValue({
+                choices: [{ message: { content: "We open at 9 tomorrow." } }],
+            });
+
+            await aiProcessor.generateResponse(mockAnalysis, "engaged", {
+                ...mockContext,
+                openingStatus: getOpeningStatus(
+                    {
+                        timezone: "UTC",
+                        weekly: {
+                            tuesday: [{ open: "09:00", close: "17:00" }],
+                        },
+                        exceptions: [],
+                        holidays: [],
+                    },
+                    new Date("2030-06-03T20:00:00Z")
+                ),
+            });
+
+            expect(JSON.stringify(create.mock.calls[0][0].messages)).toContain(
+                "Opening hours: Closed now. Opens again tuesday 2030-06-04 at 09:00 (UTC time)."
+            );
+        });
+
+        it("should use the provider configured for the business", async () => {
+            Business.findByPk.mockResolvedValue({
+                id: 4242,
+                ai_settings: { tasks: { reply: { provider: "scripted" } } },
+            });
+
+            const response = await aiProcessor.generateResponse(
+                mockAnalysis,
+                "engaged",
+                { ...mockContext, businessId: 4242 }
+            );
+
+            expect(response).toBe(
+                "Thanks for your message! How can I help you today?"
+            );
+            expect(Business.findByPk).toHaveBeenCalledWith(4242, {
+                attributes: ["id", "ai_settings"],
+            });
+            expect(
+                openAIClient(aiProcessor).chat.completions.create
+            ).not.toHaveBeenCalled();
+        });
+
         it("should use fallback response when OpenAI fails", async () => {
-            if (aiProcessor.openai) {
-                aiProcessor.openai.chat.completions.create.mockRejectedValue(
+            if (openAIClient(aiProcessor)) {
+                openAIClient(aiProcessor).chat.completions.create.mockRejectedValue(
                     new Error("API Error")
                 );
             }
@@ -0,0 +1,101 @@
+const {
+    resolveAfterHoursPolicy,
+    validateAfterHoursPolicy,
+    isAfterHours,
+    buildAwayMessage,
+    buildClosedHandoffNotice,
+    removeHumanPromises,
+} = require("../../src/services/afterHours");
+
+describe("afterHours", () => {
+    const closed = {
+        configured: true,
+        is_open: false,
+        timezone: "Europe/Madrid",
+        next_opening_at: "2030-06-10T07:00:00.000Z",
+    };
+
+    describe("isAfterHours", () => {
+        it("should only count businesses closed by their hours", () => {
+            expect(isAfterHours(closed)).toBe(true);
+            expect(isAfterHours({ ...closed, is_open: true })).toBe(false);
+            expect(isAfterHours({ configured: false, is_open: true })).toBe(
+                false
+            );
+        });
+    });
+
+    describe("buildAwayMessage", () => {
+        const policy = resolveAfterHoursPolicy({ mode: "away_message" });
+
+        it("should give the next opening in the conversation's language", () => {
+            expect(buildAwayMessage(policy, "de", "Acme", closed)).toBe(
+                "Danke für Ihre Nachricht! Acme hat gerade geschlossen. Wir öffnen wieder am Montag, 10. Juni um 09:00."
+            );
+            expect(buildAwayMessage(policy, "xx", "Acme", closed)).toBe(
+                "Thanks for your message! Acme is closed right now. We open again Monday, June 10 at 09:00."
+            );
+        });
+
+        it("should use the business's own message for a language", () => {
+            const custom = resolveAfterHoursPolicy({
+                messages: { es: "Cerrado. Abrimos el {next_opening}." },
+            });
+
+            expect(buildAwayMessage(custom, "es-AR", "Acme", closed)).toBe(
+                "Cerrado. Abrimos el lunes, 10 de junio, 09:00."
+            );
+        });
+
+        it("should leave out the next opening when none is coming up", () => {
+            const never = { ...closed, next_opening_at: null };
+
+            expect(buildAwayMessage(policy, "en", "Acme", never)).toBe(
+                "Thanks for your message! Acme is closed right now."
+            );
+            expect(buildClosedHandoffNotice("en", never)).toBeNull();
+        });
+    });
+
+    describe("removeHumanPromises", () => {
+        it.each([
+            "We'll get back to you soon.",
+            "Someone from our team will contact you tomorrow.",
+            "A representative will call you.",
+            "Alguien de nuestro equipo te contactará pronto.",
+        ])("should drop %p", (sentence) => {
+            expect(removeHumanPromises(`Plans start at $49. ${sentence}`)).toBe(
+                "Plans start at $49."
+            );
+        });
+
+        it("should keep everything else", () => {
+            const reply =
+                'I will check our catalogue for you. Reply "human" at any time to talk to someone from the team.';
+
+            expect(removeHumanPromises(reply)).toBe(reply);
+        });
+    });
+
+    describe("validateAfterHoursPolicy", () => {
+        it("should accept each mode", () => {
+            ["ai", "ai_no_human_promise", "away_message"].forEach((mode) => {
+                expect(validateAfterHoursPolicy({ mode })).toEqual([]);
+            });
+        });
+
+        it("should reject unknown modes, fields and bad messages", () => {
+            expect(
+                validateAfterHoursPolicy({
+                    mode: "silent",
+                    reply_later: true,
+                    messages: { en: "" },
+                })
+            ).toEqual([
+                "Unknown setting: reply_later",
+                "mode must be one of: ai, ai_no_human_promise, away_message",
+                "Message for en must be 1-500 characters",
+            ]);
+        });
+    });
+});
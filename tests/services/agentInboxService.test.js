@@ -0,0 +1,302 @@
+const AgentInboxService = require("../../src/services/agentInboxService");
+const { Conversation, Message } = require("../../src/models");
+
+jest.mock("../../src/models", () => ({
+    Conversation: {
+        findOne: jest.fn(),
+        findAndCountAll: jest.fn(),
+    },
+    Client: {},
+    Message: {
+        findAll: jest.fn(),
+        findOne: jest.fn(),
+    },
+    PlatformSource: {},
+}));
+
+describe("AgentInboxService", () => {
+    const NOW = new Date("2030-06-03T10:00:00Z");
+    const business = { id: 1, owner_id: 42, bot_resume_minutes: null };
+    let service;
+    let messageDelivery;
+
+    const conversation = (fields = {}) => {
+        const record = {
+            id: 9,
+            business_id: 1,
+            source_id: 3,
+            message_count: 4,
+            requires_human: true,
+            human_takeover_reason: null,
+            assigned_agent_id: null,
+            is_bot_active: true,
+            agent_active_at: null,
+            client: { id: 5, platform_user_id: "987" },
+            platformSource: { id: 3, platform_type: "instagram" },
+            ...fields,
+        };
+        record.update = jest.fn(async (changes) =>
+            Object.assign(record, changes)
+        );
+        record.toJSON = () => ({ id: record.id });
+        return record;
+    };
+    const hoursAgo = (hours) =>
+        new Date(NOW.getTime() - hours * 60 * 60 * 1000);
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        messageDelivery = {
+            queueMessage: jest.fn(async (data) => ({ id: 70, ...data })),
+            deliver: jest.fn(async (message) => ({
+                ...message,
+                delivery_status: "sent",
+            })),
+        };
+        service = new AgentInboxService({ messageDelivery, now: () => NOW });
+    });
+
+    it("should list conversations needing a person or taken over", async () => {
+        Conversation.findAndCountAll.mockResolvedValue({
+            rows: [
+                conversation({ is_bot_active: false, agent_active_at: NOW }),
+            ],
+            count: 1,
+        });
+
+        const { conversations, total } = await service.list(business, {
+            assignedAgentId: null,
+        });
+
+        const { where } = Conversation.findAndCountAll.mock.calls[0][0];
+        expect(where).toMatchObject({
+            business_id: 1,
+            assigned_agent_id: null,
+        });
+        expect(Object.getOwnPropertySymbols(where)).toHaveLength(1);
+        expect(total).toBe(1);
+        expect(conversations[0]).toEqual({
+            id: 9,
+            bot_paused: true,
+            bot_resumes_at: new Date("2030-06-03T11:00:00Z"),
+        });
+    });
+
+    describe("claim", () => {
+        it("should assign the conversation and pause the bot", async () => {
+            const record = conversation();
+            Conversation.findOne.mockResolvedValue(record);
+
+            const claimed = await service.claim(business, 9, 42);
+
+            expect(record.update).toHaveBeenCalledWith({
+                assigned_agent_id: 42,
+                is_bot_active: false,
+                agent_active_at: NOW,
+                human_takeover_reason: "Taken over by an agent",
+            });
+            expect(claimed.bot_paused).toBe(true);
+        });
+
+        it("should not take conversations from another agent", async () => {
+            Conversation.findOne.mockResolvedValue(
+                conversation({ assigned_agent_id: 7 })
+            );
+
+            await expect(service.claim(business, 9, 42)).rejects.toMatchObject({
+                code: "AGENT_CONVERSATION_CLAIMED",
+            });
+        });
+
+        it("should report unknown conversations", async () => {
+            Conversation.findOne.mockResolvedValue(null);
+
+            const claim = service.claim(business, 99, 42);
+
+            await expect(claim).rejects.toMatchObject({
+                code: "CONVERSATION_NOT_FOUND",
+            });
+            expect(Conversation.findOne).toHaveBeenCalledWith(
+                expect.objectContaining({ where: { id: 99, business_id: 1 } })
+            );
+        });
+    });
+
+    describe("assign", () => {
+        it("should assign the conversation to a user of the business", async () => {
+            const record = conversation();
+            Conversation.findOne.mockResolvedValue(record);
+
+            await service.assign(business, 9, 42);
+            await service.assign(business, 9, null);
+
+            expect(record.update).toHaveBeenNthCalledWith(1, {
+                assigned_agent_id: 42,
+            });
+            expect(record.update).toHaveBeenNthCalledWith(2, {
+                assigned_agent_id: null,
+            });
+        });
+
+        it("should refuse users of other businesses and unknown users", async () => {
+            const record = conversation();
+            Conversation.findOne.mockResolvedValue(record);
+
+            await expect(service.assign(business, 9, 7)).rejects.toMatchObject({
+                code: "AGENT_NOT_FOUND",
+            });
+            expect(record.update).not.toHaveBeenCalled();
+        });
+    });
+
+    it("should keep the reason and agent when pausing the bot", async () => {
+        const record = conversation({
+            assigned_agent_id: 7,
+            human_takeover_reason: "Asked for a person",
+        });
+        Conversation.findOne.mockResolvedValue(record);
+
+        await service.pauseBot(business, 9, 42);
+
+        expect(record).toMatchObject({
+            assigned_agent_id: 7,
+            is_bot_active: false,
+            human_takeover_reason: "Asked for a person",
+        });
+    });
+
+    it("should hand the conversation back to the bot", async () => {
+        const record = conversation({
+            is_bot_active: false,
+            human_follow_up_at: NOW,
+        });
+        Conversation.findOne.mockResolvedValue(record);
+
+        const resumed = await service.resumeBot(business, 9);
+
+        expect(record).toMatchObject({
+            is_bot_active: true,
+            requires_human: false,
+            human_takeover_reason: null,
+            human_follow_up_at: null,
+        });
+        expect(resumed.bot_paused).toBe(false);
+    });
+
+    describe("reply", () => {
+        it("should send the agent's reply and take the conversation over", async () => {
+            const record = conversation();
+            Conversation.findOne.mockResolvedValue(record);
+            Message.findOne.mockResolvedValue({
+                message_timestamp: hoursAgo(2),
+            });
+
+            const message = await service.reply(
+                business,
+                9,
+                "Hi, Ana here from the team",
+                42
+            );
+
+            expect(messageDelivery.queueMessage).toHaveBeenCalledWith({
+                conversationId: 9,
+                platformSourceId: 3,
+                recipientId: "987",
+                text: "Hi, Ana here from the team",
+                senderType: "agent",
+                metadata: { agent_id: 42 },
+            });
+            expect(message.delivery_status).toBe("sent");
+            expect(record).toMatchObject({
+                message_count: 5,
+                assigned_agent_id: 42,
+                is_bot_active: false,
+                agent_active_at: NOW,
+            });
+        });
+
+        it("should tag replies sent after the standard messaging window", async () => {
+            Conversation.findOne.mockResolvedValue(conversation());
+            Message.findOne.mockResolvedValue({
+                message_timestamp: hoursAgo(72),
+            });
+
+            await service.reply(business, 9, "Sorry for the wait", 42);
+
+            expect(messageDelivery.queueMessage).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    metadata: { agent_id: 42, messaging_tag: "HUMAN_AGENT" },
+                })
+            );
+        });
+
+        it("should reply to WhatsApp customers within 24 hours", async () => {
+            Conversation.findOne.mockResolvedValue(
+                conversation({ platformSource: { platform_type: "whatsapp" } })
+            );
+            Message.findOne.mockResolvedValue({
+                message_timestamp: hoursAgo(30),
+            });
+
+            await expect(
+                service.reply(business, 9, "Sorry for the wait", 42)
+            ).rejects.toMatchObject({ code: "AGENT_OUTSIDE_MESSAGING_WINDOW" });
+            expect(messageDelivery.queueMessage).not.toHaveBeenCalled();
+        });
+
+        it("should refuse replies the platform would reject", async () => {
+            Conversation.findOne.mockResolvedValueOnce(conversation());
+            Message.findOne.mockResolvedValue({
+                message_timestamp: hoursAgo(8 * 24),
+            });
+            await expect(
+                service.reply(business, 9, "Still interested?", 42)
+            ).rejects.toMatchObject({ code: "AGENT_OUTSIDE_MESSAGING_WINDOW" });
+
+            Conversation.findOne.mockResolvedValueOnce(
+                conversation({ platformSource: { platform_type: "web" } })
+            );
+            await expect(
+                service.reply(business, 9, "Hello", 42)
+            ).rejects.toMatchObject({ code: "AGENT_UNSUPPORTED_PLATFORM" });
+
+            expect(messageDelivery.queueMessage).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("sendTemplate", () => {
+        const template = { name: "follow_up", language: { code: "es" } };
+
+        it("should send the template past the messaging window", async () => {
+            const record = conversation({
+                platformSource: { id: 3, platform_type: "whatsapp" },
+            });
+            Conversation.findOne.mockResolvedValue(record);
+            Message.findOne.mockResolvedValue({
+                message_timestamp: hoursAgo(72),
+            });
+
+            await service.sendTemplate(business, 9, template, 42);
+
+            expect(messageDelivery.queueMessage).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    text: "Template: follow_up",
+                    senderType: "agent",
+                    metadata: {
+                        agent_id: 42,
+                        outbound_payload: { template },
+                    },
+                })
+            );
+            expect(record.is_bot_active).toBe(false);
+        });
+
+        it("should only send templates to WhatsApp conversations", async () => {
+            Conversation.findOne.mockResolvedValue(conversation());
+
+            await expect(
+                service.sendTemplate(business, 9, template, 42)
+            ).rejects.toMatchObject({ code: "AGENT_UNSUPPORTED_PLATFORM" });
+        });
+    });
+});
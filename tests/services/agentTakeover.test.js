@@ -0,0 +1,50 @@
+const {
+    DEFAULT_BOT_RESUME_MINUTES,
+    resolveBotResumeMinutes,
+    validateBotResumeMinutes,
+    botResumesAt,
+    isBotPaused,
+} = require("../../src/services/agentTakeover");
+
+describe("agentTakeover", () => {
+    const NOW = new Date("2030-06-03T10:00:00Z");
+    const paused = {
+        is_bot_active: false,
+        agent_active_at: new Date("2030-06-03T09:30:00Z"),
+    };
+
+    it("should use the default idle period unless the business set one", () => {
+        expect(resolveBotResumeMinutes(null)).toBe(DEFAULT_BOT_RESUME_MINUTES);
+        expect(resolveBotResumeMinutes({ bot_resume_minutes: null })).toBe(60);
+        expect(resolveBotResumeMinutes({ bot_resume_minutes: 0 })).toBe(0);
+    });
+
+    it("should validate the idle period", () => {
+        expect(validateBotResumeMinutes(null)).toEqual([]);
+        expect(validateBotResumeMinutes(15)).toEqual([]);
+        expect(validateBotResumeMinutes(-1)).toHaveLength(1);
+        expect(validateBotResumeMinutes(1.5)).toHaveLength(1);
+        expect(validateBotResumeMinutes("30")).toHaveLength(1);
+        expect(validateBotResumeMinutes(7 * 24 * 60 + 1)).toHaveLength(1);
+    });
+
+    it("should keep the bot paused until the agent has been idle long enough", () => {
+        expect(botResumesAt(paused, 60)).toEqual(
+            new Date("2030-06-03T10:30:00Z")
+        );
+        expect(isBotPaused(paused, 60, NOW)).toBe(true);
+        expect(isBotPaused(paused, 30, NOW)).toBe(false);
+    });
+
+    it("should leave conversations with the agent when the period is 0", () => {
+        expect(botResumesAt(paused, 0)).toBeNull();
+        expect(isBotPaused(paused, 0, NOW)).toBe(true);
+    });
+
+    it("should never pause active bots", () => {
+        const active = { is_bot_active: true, agent_active_at: null };
+
+        expect(botResumesAt(active, 60)).toBeNull();
+        expect(isBotPaused(active, 60, NOW)).toBe(false);
+    });
+});
@@ -0,0 +1,142 @@
+const {
+    resolveDisclosurePolicy,
+    validateDisclosureSettings,
+    isIdentityQuestion,
+    isHumanRequest,
+    hasAssistantReplied,
+    buildDisclosure,
+    buildIdentityAnswer,
+    buildHandoffReply,
+} = require("../../src/services/aiDisclosure");
+
+describe("aiDisclosure", () => {
+    describe("isIdentityQuestion", () => {
+        it.each([
+            "Are you a bot?",
+            "r u human",
+            "Am I talking to a real person?",
+            "is this automated?",
+            "¿Eres humano?",
+            "¿Hablo con una persona?",
+            "Você é um robô?",
+            "Êtes-vous un robot ?",
+            "Bist du ein Bot?",
+            "Sei una persona?",
+        ])("should recognise %p", (message) => {
+            expect(isIdentityQuestion(message)).toBe(true);
+        });
+
+        it.each([
+            "Are you open tomorrow?",
+            "Is this available in blue?",
+            "Do you have a person who can fit a suit?",
+        ])(
+            "should not treat %p as a question about the assistant",
+            (message) => {
+                expect(isIdentityQuestion(message)).toBe(false);
+            }
+        );
+    });
+
+    describe("isHumanRequest", () => {
+        it.each([
+            "human",
+            "I want to talk to a real person",
+            "Can I speak with someone?",
+            "Quiero hablar con una persona",
+            "Je voudrais parler à quelqu'un",
+        ])("should recognise %p", (message) => {
+            expect(isHumanRequest(message)).toBe(true);
+        });
+
+        it("should ignore other messages", () => {
+            expect(
+                isHumanRequest("Human hair extensions, do you sell them?")
+            ).toBe(false);
+            expect(isHumanRequest("Quiero hablar de precios")).toBe(false);
+        });
+    });
+
+    describe("texts", () => {
+        const policy = resolveDisclosurePolicy(null);
+
+        it("should disclose in the conversation's language with the human option", () => {
+            expect(buildDisclosure(policy, "es-MX", "Acme")).toBe(
+                '¡Hola! Estás hablando con el asistente automático de Acme. Responde "humano" en cualquier momento para hablar con alguien del equipo.'
+            );
+            expect(buildDisclosure(policy, "xx", "Acme")).toMatch(
+                /^Hi! You're chatting with the automated assistant of Acme\./
+            );
+        });
+
+        it("should use the business's own disclosure for a language", () => {
+            const custom = resolveDisclosurePolicy({
+                messages: { en: "You're talking to Acme's virtual assistant." },
+            });
+
+            expect(buildDisclosure(custom, "en", "Acme")).toBe(
+                "You're talking to Acme's virtual assistant."
+            );
+            expect(buildDisclosure(custom, "de", "Acme")).toMatch(/^Hallo!/);
+        });
+
+        it("should answer truthfully, offering a person only with handoff on", () => {
+            expect(buildIdentityAnswer(policy, "en", "Acme")).toBe(
+                'Yes, I\'m an automated assistant of Acme, not a person. Reply "human" at any time to talk to someone from the team.'
+            );
+            expect(
+                buildIdentityAnswer(
+                    resolveDisclosurePolicy({ human_handoff: false }),
+                    "en",
+                    "Acme"
+                )
+            ).toBe("Yes, I'm an automated assistant of Acme, not a person.");
+            expect(buildHandoffReply("it", "Acme")).toMatch(/team di Acme/);
+        });
+
+        it("should know whether the assistant already replied", () => {
+            expect(hasAssistantReplied([{ senderType: "customer" }])).toBe(
+                false
+            );
+            expect(
+                hasAssistantReplied([
+                    { senderType: "customer" },
+                    { senderType: "bot" },
+                ])
+            ).toBe(true);
+        });
+    });
+
+    describe("validateDisclosureSettings", () => {
+        it("should accept a complete policy", () => {
+            expect(
+                validateDisclosureSettings({
+                    disclose_at_first_contact: false,
+                    human_handoff: true,
+                    messages: {
+                        en: "Automated assistant here.",
+                        "pt-BR": "Olá!",
+                    },
+                })
+            ).toEqual([]);
+        });
+
+        it("should reject unknown fields, wrong types and bad messages", () => {
+            expect(
+                validateDisclosureSettings({
+                    hide_ai: true,
+                    human_handoff: "yes",
+                    messages: { english: "Hi", es: "" },
+                })
+            ).toEqual([
+                "Unknown setting: hide_ai",
+                "human_handoff must be a boolean",
+                "Invalid language code: english",
+                "Message for es must be 1-500 characters",
+            ]);
+            expect(validateDisclosureSettings([])).toEqual([
+                "Disclosure settings must be an object",
+            ]);
+        });
+    });
+});
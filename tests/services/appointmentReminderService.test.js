@@ -0,0 +1,328 @@
+const AppointmentReminderService = require("../../src/services/appointmentReminderService");
+const {
+    Appointment,
+    AppointmentReminder,
+    Conversation,
+    Message,
+} = require("../../src/models");
+
+jest.mock("../../src/models", () => ({
+    Appointment: {
+        findAll: jest.fn(),
+        findByPk: jest.fn(),
+    },
+    AppointmentReminder: {
+        findAll: jest.fn(),
+        update: jest.fn(),
+        bulkCreate: jest.fn(),
+        count: jest.fn(),
+    },
+    Business: {
+        findByPk: jest.fn(),
+    },
+    Client: {},
+    Conversation: {
+        findOne: jest.fn(),
+    },
+    Message: {
+        findOne: jest.fn(),
+    },
+    PlatformSource: {},
+}));
+
+describe("AppointmentReminderService", () => {
+    // Monday 2030-06-03, 08:00 UTC
+    const NOW = new Date("2030-06-03T08:00:00Z");
+    const HOUR = 60 * 60 * 1000;
+    let service;
+    let messageDelivery;
+
+    const business = (settings = {}) => ({
+        id: 1,
+        company_name: "Acme Salon",
+        timezone: "UTC",
+        calendar_settings: { reminder_times: [24, 2], ...settings },
+    });
+    const appointment = (fields = {}) => ({
+        id: 10,
+        business_id: 1,
+        client_id: 5,
+        conversation_id: 70,
+        status: "confirmed",
+        start_time: new Date("2030-06-04T10:00:00Z"),
+        end_time: new Date("2030-06-04T11:00:00Z"),
+        timezone: "Europe/Madrid",
+        client: { id: 5, platform_user_id: "ig_5" },
+        business: business(),
+        ...fields,
+    });
+    const job = (fields = {}) => {
+        const record = {
+            id: 100,
+            appointment_id: 10,
+            kind: "reminder",
+            offset_hours: 24,
+            send_at: new Date("2030-06-03T10:00:00Z"),
+            status: "pending",
+            attempts: 0,
+            message_id: null,
+            ...fields,
+        };
+        record.update = jest.fn(async (changes) =>
+            Object.assign(record, changes)
+        );
+        return record;
+    };
+    const conversation = (platformType = "instagram") => ({
+        id: 70,
+        source_id: 3,
+        message_count: 4,
+        platformSource: { id: 3, platform_type: platformType },
+        update: jest.fn(),
+    });
+    const lastCustomerMessage = (hoursAgo) =>
+        Message.findOne.mockResolvedValue({
+            message_timestamp: new Date(NOW.getTime() - hoursAgo * HOUR),
+        });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        messageDelivery = {
+            queueMessage: jest.fn(async (params) => ({ id: 900, ...params })),
+            deliver: jest.fn(),
+        };
+        service = new AppointmentReminderService({
+            messageDelivery,
+            now: () => NOW,
+        });
+        AppointmentReminder.findAll.mockResolvedValue([]);
+        AppointmentReminder.update.mockResolvedValue([1]);
+        Appointment.findByPk.mockResolvedValue(appointment());
+        Conversation.findOne.mockResolvedValue(conversation());
+        lastCustomerMessage(3);
+    });
+
+    describe("sync", () => {
+        it("should plan reminders before confirmed appointments only", async () => {
+            const settings = business({
+                send_reminders: true,
+                send_follow_up: true,
+                follow_up_delay: 48,
+            }).calendar_settings;
+
+            expect(service.plan(appointment(), settings)).toEqual([
+                {
+                    kind: "reminder",
+                    offset_hours: 24,
+                    send_at: new Date("2030-06-03T10:00:00Z"),
+                },
+                {
+                    kind: "reminder",
+                    offset_hours: 2,
+                    send_at: new Date("2030-06-04T08:00:00Z"),
+                },
+                {
+                    kind: "follow_up",
+                    offset_hours: 48,
+                    send_at: new Date("2030-06-06T11:00:00Z"),
+                },
+            ]);
+            expect(
+                service.plan(appointment({ status: "pending" }), settings)
+            ).toEqual([]);
+        });
+
+        it("should create the sends still ahead and skip replaced ones", async () => {
+            AppointmentReminder.findAll.mockResolvedValue([
+                job({ id: 99, send_at: new Date("2030-06-02T10:00:00Z") }),
+            ]);
+
+            await service.sync(
+                appointment({ start_time: new Date("2030-06-04T06:00:00Z") }),
+                business()
+            );
+
+            expect(AppointmentReminder.update).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    status: "skipped",
+                    skip_reason: "outdated",
+                }),
+                { where: expect.objectContaining({ status: "pending" }) }
+            );
+            // The 24-hour reminder would have been due two hours ago
+            expect(AppointmentReminder.bulkCreate).toHaveBeenCalledWith(
+                [
+                    {
+                        business_id: 1,
+                        appointment_id: 10,
+                        kind: "reminder",
+                        offset_hours: 2,
+                        send_at: new Date("2030-06-04T04:00:00Z"),
+                    },
+                ],
+                { ignoreDuplicates: true }
+            );
+        });
+
+        it("should skip the pending sends of a cancelled appointment", async () => {
+            AppointmentReminder.findAll.mockResolvedValue([job()]);
+
+            await service.sync(
+                appointment({ status: "cancelled" }),
+                business()
+            );
+
+            expect(AppointmentReminder.update).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    skip_reason: "appointment_cancelled",
+                }),
+                expect.anything()
+            );
+            expect(AppointmentReminder.bulkCreate).not.toHaveBeenCalled();
+        });
+
+        it("should never fail the change that triggered it", async () => {
+            AppointmentReminder.findAll.mockRejectedValue(new Error("DB down"));
+
+            await expect(
+                service.sync(appointment(), business())
+            ).resolves.toBeUndefined();
+        });
+    });
+
+    describe("processDue", () => {
+        const due = (...jobs) =>
+            AppointmentReminder.findAll.mockResolvedValue(jobs);
+
+        it("should send due reminders on the client's conversation", async () => {
+            const reminder = job();
+            const record = conversation();
+            Conversation.findOne.mockResolvedValue(record);
+            due(reminder);
+
+            expect(await service.processDue()).toBe(1);
+
+            expect(messageDelivery.queueMessage).toHaveBeenCalledWith({
+                conversationId: 70,
+                platformSourceId: 3,
+                recipientId: "ig_5",
+                text: "Reminder: your appointment with Acme Salon is on Tuesday 2030-06-04 at 12:00 (Europe/Madrid). Reply here if you need to change it.",
+                senderType: "system",
+                metadata: {
+                    appointment_id: 10,
+                    appointment_reminder_id: 100,
+                    kind: "reminder",
+                },
+            });
+            expect(messageDelivery.deliver).toHaveBeenCalledWith(
+                expect.objectContaining({ id: 900 }),
+                record.platformSource
+            );
+            expect(record.update).toHaveBeenCalledWith(
+                expect.objectContaining({ message_count: 5 })
+            );
+            expect(reminder).toMatchObject({
+                status: "sent",
+                message_id: 900,
+                attempts: 1,
+            });
+        });
+
+        it("should leave jobs another instance claimed", async () => {
+            AppointmentReminder.update.mockResolvedValue([0]);
+            due(job());
+
+            expect(await service.processDue()).toBe(0);
+            expect(messageDelivery.queueMessage).not.toHaveBeenCalled();
+        });
+
+        it("should skip reminders of cancelled or moved appointments", async () => {
+            const cancelled = job();
+            const moved = job({ id: 101 });
+            Appointment.findByPk
+                .mockResolvedValueOnce(appointment({ status: "cancelled" }))
+                .mockResolvedValueOnce(
+                    appointment({
+                        start_time: new Date("2030-06-05T10:00:00Z"),
+                    })
+                );
+            due(cancelled, moved);
+
+            await service.processDue();
+
+            expect(cancelled).toMatchObject({
+                status: "skipped",
+                skip_reason: "appointment_cancelled",
+            });
+            expect(moved.skip_reason).toBe("outdated");
+            expect(messageDelivery.queueMessage).not.toHaveBeenCalled();
+        });
+
+        it("should respect the platform's messaging window", async () => {
+            lastCustomerMessage(30);
+            const instagram = job();
+            const messenger = job({ id: 101 });
+            Conversation.findOne
+                .mockResolvedValueOnce(conversation("instagram"))
+                .mockResolvedValueOnce(conversation("facebook"));
+            due(instagram, messenger);
+
+            await service.processDue();
+
+            expect(instagram).toMatchObject({
+                status: "skipped",
+                skip_reason: "outside_messaging_window",
+            });
+            expect(messenger.status).toBe("sent");
+            expect(messageDelivery.queueMessage).toHaveBeenCalledTimes(1);
+            expect(
+                messageDelivery.queueMessage.mock.calls[0][0].metadata
+            ).toMatchObject({ messaging_tag: "CONFIRMED_EVENT_UPDATE" });
+        });
+
+        it("should not send follow-ups outside the window", async () => {
+            lastCustomerMessage(30);
+            Appointment.findByPk.mockResolvedValue(
+                appointment({
+                    status: "completed",
+                    business: business({ send_follow_up: true }),
+                })
+            );
+            Conversation.findOne.mockResolvedValue(conversation("facebook"));
+            const followUp = job({ kind: "follow_up" });
+            due(followUp);
+
+            await service.processDue();
+
+            expect(followUp.skip_reason).toBe("outside_messaging_window");
+        });
+
+        it("should retry failures and fail the job at the last attempt", async () => {
+            messageDelivery.queueMessage.mockRejectedValue(
+                new Error("DB down")
+            );
+            const retried = job();
+            const failed = job({ id: 101, attempts: 2 });
+            due(retried, failed);
+
+            await service.processDue();
+
+            expect(retried).toMatchObject({
+                status: "pending",
+                last_error: "DB down",
+                next_attempt_at: new Date(NOW.getTime() + 60 * 1000),
+            });
+            expect(failed).toMatchObject({ status: "failed", attempts: 3 });
+        });
+
+        it("should not queue a message twice for the same job", async () => {
+            const reminder = job({ message_id: 900, attempts: 1 });
+            due(reminder);
+
+            await service.processDue();
+
+            expect(messageDelivery.queueMessage).not.toHaveBeenCalled();
+            expect(reminder.status).toBe("sent");
+        });
+    });
+});
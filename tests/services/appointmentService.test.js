@@ -0,0 +1,492 @@
+const AppointmentService = require("../../src/services/appointmentService");
+const {
+    sequelize,
+    Appointment,
+    Business,
+    Client,
+    Conversation,
+    Service,
+} = require("../../src/models");
+
+jest.mock("../../src/models", () => ({
+    sequelize: {
+        transaction: jest.fn((work) => work({ LOCK: { UPDATE: "UPDATE" } })),
+    },
+    Appointment: {
+        findAll: jest.fn(),
+        findOne: jest.fn(),
+        findAndCountAll: jest.fn(),
+        create: jest.fn(),
+    },
+    Business: {
+        findByPk: jest.fn(),
+    },
+    Client: {
+        findOne: jest.fn(),
+    },
+    Conversation: {
+        findOne: jest.fn(),
+        update: jest.fn(),
+    },
+    Service: {
+        findOne: jest.fn(),
+    },
+}));
+
+describe("AppointmentService", () => {
+    // Monday 2030-06-03, 08:00 UTC
+    const NOW = new Date("2030-06-03T08:00:00Z");
+    let service;
+    let reminders;
+    let leads;
+
+    const business = (settings = {}, extra = {}) => ({
+        id: 1,
+        timezone: "UTC",
+        calendar_settings: { is_enabled: true, ...settings },
+        business_hours: null,
+        ...extra,
+    });
+    const times = (availability) =>
+        availability.slots.map((slot) => slot.local_time);
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        reminders = { sync: jest.fn() };
+        leads = { recordConversion: jest.fn() };
+        service = new AppointmentService({ now: () => NOW, reminders, leads });
+        Appointment.findAll.mockResolvedValue([]);
+        Appointment.create.mockImplementation(async (data) => ({
+            id: 10,
+            ...data,
+        }));
+        Client.findOne.mockResolvedValue({ id: 5 });
+    });
+
+    describe("getAvailability", () => {
+        it("should offer slots in the calendar timezone", async () => {
+            const availability = await service.getAvailability({
+                business: business({
+                    timezone: "America/New_York",
+                    slot_interval: 60,
+                }),
+                from: "2030-06-04",
+                to: "2030-06-04",
+            });
+
+            expect(availability.timezone).toBe("America/New_York");
+            expect(availability.slots).toHaveLength(8);
+            expect(availability.slots[0]).toEqual({
+                start: "2030-06-04T13:00:00.000Z",
+                end: "2030-06-04T14:00:00.000Z",
+                local_date: "2030-06-04",
+                local_time: "09:00",
+            });
+        });
+
+        it("should follow daylight saving changes", async () => {
+            const march = new AppointmentService({
+                now: () => new Date("2030-03-15T00:00:00Z"),
+            });
+
+            const availability = await march.getAvailability({
+                business: business({ timezone: "Europe/Madrid" }),
+                from: "2030-03-29",
+                to: "2030-04-01",
+            });
+            const firstOf = (date) =>
+                availability.slots.find((slot) => slot.local_date === date);
+
+            expect(firstOf("2030-03-29").start).toBe(
+                "2030-03-29T08:00:00.000Z"
+            );
+            expect(firstOf("2030-03-30")).toBeUndefined();
+            expect(firstOf("2030-04-01").start).toBe(
+                "2030-04-01T07:00:00.000Z"
+            );
+        });
+
+        it("should keep to business hours and the advance window", async () => {
+            const availability = await service.getAvailability({
+                business: business(
+                    { max_advance_booking: 1 },
+                    {
+                        business_hours: [
+                            {
+                                day: "monday",
+                                open_time: "08:00",
+                                close_time: "12:00",
+                                is_closed: false,
+                            },
+                            { day: "tuesday", is_closed: true },
+                        ],
+                    }
+                ),
+                from: "2030-06-03",
+                to: "2030-06-05",
+            });
+
+            // Calendar opens at 09:00, bookable from 10:00 (2 hours ahead)
+            expect(times(availability)).toEqual(["10:00", "10:30", "11:00"]);
+        });
+
+        it("should skip breaks between shifts and holidays", async () => {
+            const availability = await service.getAvailability({
+                business: business(
+                    {},
+                    {
+                        business_hours: {
+                            weekly: {
+                                tuesday: [
+                                    { open: "09:00", close: "12:00" },
+                                    { open: "14:00", close: "19:00" },
+                                ],
+                                wednesday: [{ open: "09:00", close: "17:00" }],
+                            },
+                            holidays: [{ date: "06-05", name: "Local fair" }],
+                        },
+                    }
+                ),
+                from: "2030-06-04",
+                to: "2030-06-05",
+            });
+
+            expect(times(availability)).toEqual([
+                "09:00",
+                "09:30",
+                "10:00",
+                "10:30",
+                "11:00",
+                "14:00",
+                "14:30",
+                "15:00",
+                "15:30",
+                "16:00",
+            ]);
+        });
+
+        it("should leave buffers around existing appointments", async () => {
+            Appointment.findAll.mockResolvedValue([
+                {
+                    start_time: new Date("2030-06-03T12:00:00Z"),
+                    end_time: new Date("2030-06-03T13:00:00Z"),
+                },
+            ]);
+
+            const availability = await service.getAvailability({
+                business: business(),
+                from: "2030-06-03",
+                to: "2030-06-03",
+            });
+
+            expect(times(availability)).toEqual([
+                "10:00",
+                "10:30",
+                "13:30",
+                "14:00",
+                "14:30",
+                "15:00",
+                "15:30",
+                "16:00",
+            ]);
+        });
+
+        it("should use the service duration", async () => {
+            Service.findOne.mockResolvedValue({ id: 3, duration_minutes: 90 });
+
+            const availability = await service.getAvailability({
+                business: business(),
+                from: "2030-06-04",
+                to: "2030-06-04",
+                serviceId: 3,
+            });
+
+            expect(availability.duration_minutes).toBe(90);
+            expect(times(availability).pop()).toBe("15:30");
+        });
+
+        it("should reject ranges over 31 days", async () => {
+            await expect(
+                service.getAvailability({
+                    business: business(),
+                    from: "2030-06-01",
+                    to: "2030-07-15",
+                })
+            ).rejects.toMatchObject({ code: "VALIDATION_ERROR" });
+        });
+    });
+
+    describe("create", () => {
+        it("should confirm right away with auto_confirm", async () => {
+            Conversation.findOne.mockResolvedValue({ id: 7, client_id: 5 });
+
+            const appointment = await service.create(
+                business({ auto_confirm: true }),
+                {
+                    client_id: 5,
+                    conversation_id: 7,
+                    start_time: "2030-06-04T10:00:00Z",
+                }
+            );
+
+            expect(sequelize.transaction).toHaveBeenCalled();
+            expect(appointment).toMatchObject({
+                business_id: 1,
+                client_id: 5,
+                conversation_id: 7,
+                end_time: new Date("2030-06-04T11:00:00Z"),
+                duration_minutes: 60,
+                status: "confirmed",
+                confirmed_at: NOW,
+                source: "staff",
+            });
+        });
+
+        it("should leave bookings pending without auto_confirm", async () => {
+            const appointment = await service.create(business(), {
+                client_id: 5,
+                start_time: "2030-06-04T10:00:00Z",
+            });
+
+            expect(appointment.status).toBe("pending");
+            expect(appointment.confirmed_at).toBeNull();
+            expect(Conversation.update).not.toHaveBeenCalled();
+            expect(reminders.sync).toHaveBeenCalledWith(
+                appointment,
+                expect.objectContaining({ id: 1 })
+            );
+        });
+
+        it("should convert the conversation of a confirmed booking", async () => {
+            Conversation.findOne.mockResolvedValue({ id: 7, client_id: 5 });
+            Conversation.update.mockRejectedValue(new Error("DB down"));
+            leads.recordConversion.mockRejectedValue(new Error("DB down"));
+
+            const appointment = await service.create(
+                business({ auto_confirm: true }),
+                {
+                    client_id: 5,
+                    conversation_id: 7,
+                    start_time: "2030-06-04T10:00:00Z",
+                }
+            );
+
+            expect(Conversation.update).toHaveBeenCalledWith(
+                { funnel_state: "converted" },
+                { where: { id: 7, business_id: 1 } }
+            );
+            expect(appointment.status).toBe("confirmed");
+        });
+
+        it("should refuse a taken slot", async () => {
+            Appointment.findAll.mockResolvedValue([
+                {
+                    start_time: new Date("2030-06-04T11:00:00Z"),
+                    end_time: new Date("2030-06-04T12:00:00Z"),
+                },
+            ]);
+
+            await expect(
+                service.create(business(), {
+                    client_id: 5,
+                    start_time: "2030-06-04T10:00:00Z",
+                })
+            ).rejects.toMatchObject({
+                code: "APPOINTMENT_SLOT_UNAVAILABLE",
+                reason: "conflict",
+            });
+            expect(Appointment.create).not.toHaveBeenCalled();
+        });
+
+        it("should hold the bot, not staff, to the advance window", async () => {
+            const soon = { client_id: 5, start_time: "2030-06-03T09:00:00Z" };
+
+            await expect(
+                service.create(business(), soon, { source: "bot" })
+            ).rejects.toMatchObject({ reason: "too_soon" });
+            await expect(
+                service.create(
+                    business({ is_enabled: false }),
+                    soon,
+                    { source: "bot" }
+                )
+            ).rejects.toMatchObject({ code: "APPOINTMENT_BOOKING_DISABLED" });
+            await expect(service.create(business(), soon)).resolves.toBeTruthy();
+        });
+
+        it("should refuse times outside working hours", async () => {
+            await expect(
+                service.create(business(), {
+                    client_id: 5,
+                    start_time: "2030-06-04T16:30:00Z",
+                })
+            ).rejects.toMatchObject({ reason: "outside_hours" });
+        });
+
+        it("should only link conversations of the same client", async () => {
+            Conversation.findOne.mockResolvedValue({ id: 7, client_id: 6 });
+
+            await expect(
+                service.create(business(), {
+                    client_id: 5,
+                    conversation_id: 7,
+                    start_time: "2030-06-04T10:00:00Z",
+                })
+            ).rejects.toMatchObject({ code: "VALIDATION_ERROR" });
+        });
+    });
+
+    describe("check", () => {
+        it("should check a booking without making it", async () => {
+            const booking = await service.check(
+                business(),
+                { start_time: "2030-06-04T10:00:00Z" },
+                { source: "bot" }
+            );
+
+            expect(booking).toEqual({
+                start_time: new Date("2030-06-04T10:00:00Z"),
+                end_time: new Date("2030-06-04T11:00:00Z"),
+                duration_minutes: 60,
+                timezone: "UTC",
+                status: "pending",
+            });
+            expect(sequelize.transaction).not.toHaveBeenCalled();
+            expect(Appointment.create).not.toHaveBeenCalled();
+        });
+
+        it("should refuse what create would refuse", async () => {
+            await expect(
+                service.check(
+                    business(),
+                    { start_time: "2030-06-03T09:00:00Z" },
+                    { source: "bot" }
+                )
+            ).rejects.toMatchObject({ reason: "too_soon" });
+        });
+    });
+
+    describe("changes", () => {
+        const existing = (fields) => {
+            const appointment = {
+                id: 10,
+                status: "confirmed",
+                start_time: new Date("2030-06-04T10:00:00Z"),
+                duration_minutes: 60,
+                reschedule_count: 0,
+                ...fields,
+            };
+            appointment.update = jest.fn(async (changes) =>
+                Object.assign(appointment, changes)
+            );
+            Appointment.findOne.mockResolvedValue(appointment);
+            return appointment;
+        };
+
+        it("should reschedule to a free time and remember the old one", async () => {
+            const appointment = existing();
+
+            await service.reschedule(business(), 10, "2030-06-05T14:00:00Z");
+
+            expect(Appointment.findAll.mock.calls[0][0].where.id).toBeDefined();
+            expect(appointment).toMatchObject({
+                start_time: new Date("2030-06-05T14:00:00Z"),
+                end_time: new Date("2030-06-05T15:00:00Z"),
+                previous_start_time: new Date("2030-06-04T10:00:00Z"),
+                reschedule_count: 1,
+            });
+        });
+
+        it("should ask to confirm again a time the bot moved", async () => {
+            const appointment = existing({ confirmed_at: NOW });
+
+            await service.reschedule(business(), 10, "2030-06-05T14:00:00Z", {
+                source: "bot",
+            });
+
+            expect(appointment.status).toBe("pending");
+            expect(appointment.confirmed_at).toBeNull();
+        });
+
+        it("should cancel upcoming appointments only", async () => {
+            const appointment = existing();
+
+            await service.cancel(1, 10, "Customer is ill");
+            expect(reminders.sync).toHaveBeenCalledWith(appointment);
+
+            expect(appointment).toMatchObject({
+                status: "cancelled",
+                cancelled_at: NOW,
+                cancellation_reason: "Customer is ill",
+            });
+            await expect(service.cancel(1, 10)).rejects.toMatchObject({
+                code: "APPOINTMENT_INVALID_STATUS",
+            });
+        });
+
+        it("should convert the conversation on confirmation", async () => {
+            existing({ status: "pending", business_id: 1, conversation_id: 7 });
+
+            const appointment = await service.confirm(1, 10);
+
+            expect(appointment.status).toBe("confirmed");
+            expect(Conversation.update).toHaveBeenCalledWith(
+                { funnel_state: "converted" },
+                { where: { id: 7, business_id: 1 } }
+            );
+            expect(leads.recordConversion).toHaveBeenCalledWith(appointment);
+        });
+
+        it("should move the conversation to the won state of the business's funnel", async () => {
+            Business.findByPk.mockResolvedValueOnce({
+                id: 1,
+                funnel_definition: {
+                    initial_state: "inquiry",
+                    states: [
+                        { key: "inquiry", description: "Asking" },
+                        {
+                            key: "booked",
+                            description: "Booked",
+                            outcome: "won",
+                        },
+                    ],
+                },
+            });
+            existing({ status: "pending", business_id: 1, conversation_id: 7 });
+
+            await service.confirm(1, 10);
+
+            expect(Conversation.update).toHaveBeenCalledWith(
+                { funnel_state: "booked" },
+                { where: { id: 7, business_id: 1 } }
+            );
+        });
+
+        it("should leave conversations of funnels without a won state", async () => {
+            Business.findByPk.mockResolvedValueOnce({
+                id: 1,
+                funnel_definition: {
+                    initial_state: "inquiry",
+                    states: [
+                        { key: "inquiry", description: "Asking" },
+                        { key: "gone", description: "Gone", outcome: "lost" },
+                    ],
+                },
+            });
+            existing({ status: "pending", business_id: 1, conversation_id: 7 });
+
+            const appointment = await service.confirm(1, 10);
+
+            expect(Conversation.update).not.toHaveBeenCalled();
+            expect(leads.recordConversion).toHaveBeenCalledWith(appointment);
+        });
+
+        it("should report unknown appointments", async () => {
+            Appointment.findOne.mockResolvedValue(null);
+
+            await expect(service.confirm(1, 99)).rejects.toMatchObject({
+                code: "APPOINTMENT_NOT_FOUND",
+            });
+        });
+    });
+});
@@ -0,0 +1,208 @@
+const {
+    DEFAULT_BUSINESS_HOURS,
+    normalizeBusinessHours,
+    resolveBusinessHours,
+    validateBusinessHours,
+    getOpeningStatus,
+    describeOpeningStatus,
+} = require("../../src/services/businessHours");
+
+describe("businessHours", () => {
+    const hours = (stored = {}, timezone = "Europe/Madrid") =>
+        resolveBusinessHours({
+            timezone,
+            business_hours: {
+                weekly: {
+                    monday: [
+                        { open: "09:00", close: "13:00" },
+                        { open: "16:00", close: "20:00" },
+                    ],
+                    friday: [{ open: "20:00", close: "02:00" }],
+                    saturday: [{ open: "10:00", close: "14:00" }],
+                },
+                ...stored,
+            },
+        });
+    const statusAt = (iso, stored) =>
+        getOpeningStatus(hours(stored), new Date(iso));
+
+    describe("normalizeBusinessHours", () => {
+        it("should convert the former flat 7-day array", () => {
+            expect(
+                normalizeBusinessHours([
+                    {
+                        day: "monday",
+                        open_time: "09:00",
+                        close_time: "17:00",
+                        is_closed: false,
+                    },
+                    { day: "sunday", open_time: null, is_closed: true },
+                ])
+            ).toEqual({
+                weekly: {
+                    monday: [{ open: "09:00", close: "17:00" }],
+                    tuesday: [],
+                    wednesday: [],
+                    thursday: [],
+                    friday: [],
+                    saturday: [],
+                    sunday: [],
+                },
+                exceptions: [],
+                holidays: [],
+            });
+        });
+
+        it("should leave unset hours unset", () => {
+            expect(resolveBusinessHours({ business_hours: null })).toBeNull();
+            expect(getOpeningStatus(null).is_open).toBe(true);
+        });
+    });
+
+    describe("validateBusinessHours", () => {
+        it("should accept split shifts, overnight intervals and the defaults", () => {
+            expect(validateBusinessHours(DEFAULT_BUSINESS_HOURS)).toEqual([]);
+            expect(
+                validateBusinessHours({
+                    weekly: {
+                        friday: [
+                            { open: "12:00", close: "15:00" },
+                            { open: "19:00", close: "01:30" },
+                        ],
+                        saturday: [{ open: "00:00", close: "24:00" }],
+                    },
+                    holidays: [{ date: "12-25" }, { date: "2030-04-19" }],
+                })
+            ).toEqual([]);
+        });
+
+        it("should reject overlaps, bad times and bad dates", () => {
+            expect(
+                validateBusinessHours({
+                    weekly: {
+                        monday: [
+                            { open: "09:00", close: "13:00" },
+                            { open: "12:00", close: "18:00" },
+                        ],
+                        tuesday: [{ open: "9am", close: "5pm" }],
+                        funday: [],
+                    },
+                    exceptions: [
+                        { date: "2030-08-15", end_date: "2030-08-01" },
+                    ],
+                    holidays: [{ date: "02-30" }],
+                })
+            ).toEqual([
+                "monday intervals overlap",
+                "tuesday times must be HH:MM",
+                "Unknown weekday: funday",
+                "exceptions[0].end_date must be a date on or after date",
+                "holidays[0].date must be YYYY-MM-DD, or MM-DD to repeat every year",
+            ]);
+        });
+    });
+
+    describe("getOpeningStatus", () => {
+        it("should follow split shifts in the business's timezone", () => {
+            // Monday 2030-06-03; Madrid is UTC+2 in summer
+            const morning = statusAt("2030-06-03T08:00:00Z");
+            const lunch = statusAt("2030-06-03T11:30:00Z");
+
+            expect(morning).toMatchObject({
+                is_open: true,
+                closes_at: "2030-06-03T11:00:00.000Z",
+                next_opening_at: "2030-06-03T14:00:00.000Z",
+            });
+            expect(lunch).toMatchObject({
+                is_open: false,
+                closes_at: null,
+                next_opening_at: "2030-06-03T14:00:00.000Z",
+            });
+            expect(describeOpeningStatus(lunch)).toBe(
+                "Closed now. Opens again monday 2030-06-03 at 16:00 (Europe/Madrid time)."
+            );
+        });
+
+        it("should keep overnight intervals open past midnight", () => {
+            // Saturday 01:00 in Madrid, inside Friday's 20:00-02:00
+            const status = statusAt("2030-06-07T23:00:00Z");
+
+            expect(status).toMatchObject({
+                is_open: true,
+                closes_at: "2030-06-08T00:00:00.000Z",
+                next_opening_at: "2030-06-08T08:00:00.000Z",
+            });
+            expect(describeOpeningStatus(status)).toBe(
+                "Open now, until 02:00 (Europe/Madrid time)."
+            );
+        });
+
+        it("should close on holidays every year", () => {
+            // Christmas 2034 is a Monday
+            const status = statusAt("2034-12-25T10:00:00Z", {
+                holidays: [{ date: "12-25", name: "Christmas" }],
+            });
+
+            expect(status.is_open).toBe(false);
+            expect(status.closure).toEqual({
+                type: "holiday",
+                name: "Christmas",
+            });
+            expect(describeOpeningStatus(status)).toBe(
+                "Closed now (Christmas). Opens again friday 2034-12-29 at 20:00 (Europe/Madrid time)."
+            );
+        });
+
+        it("should apply exceptions over several days before holidays", () => {
+            const stored = {
+                exceptions: [
+                    {
+                        date: "2030-06-03",
+                        name: "Short day",
+                        intervals: [{ open: "10:00", close: "12:00" }],
+                    },
+                    { date: "2030-06-07", end_date: "2030-06-08" },
+                ],
+                holidays: [{ date: "2030-06-03", name: "Local holiday" }],
+            };
+
+            expect(statusAt("2030-06-03T09:00:00Z", stored)).toMatchObject({
+                is_open: true,
+                closes_at: "2030-06-03T10:00:00.000Z",
+            });
+            // Closed Friday and Saturday, so next Monday
+            expect(
+                statusAt("2030-06-07T19:00:00Z", stored).next_opening_at
+            ).toBe("2030-06-10T07:00:00.000Z");
+        });
+
+        it("should find the next opening after a long closure", () => {
+            const status = statusAt("2030-06-03T18:30:00Z", {
+                exceptions: [
+                    {
+                        date: "2030-06-04",
+                        end_date: "2030-09-30",
+                        name: "Summer break",
+                    },
+                ],
+            });
+
+            expect(status.next_opening_at).toBe("2030-10-04T18:00:00.000Z");
+        });
+
+        it("should read a never-open week as having no next opening", () => {
+            const status = getOpeningStatus(
+                resolveBusinessHours({
+                    timezone: "UTC",
+                    business_hours: { weekly: {} },
+                }),
+                new Date("2030-06-03T08:00:00Z")
+            );
+
+            expect(status.next_opening_at).toBeNull();
+            expect(describeOpeningStatus(status)).toBe(
+                "Closed now, with no opening hours coming up."
+            );
+        });
+    });
+});
@@ -0,0 +1,140 @@
+const { Op } = require("sequelize");
+const EmailChannelAdapter = require("../../src/services/conversationEngine/emailChannelAdapter");
+const { Conversation, Message, Client } = require("../../src/models");
+
+jest.mock("../../src/models", () => ({
+    Conversation: { findOne: jest.fn(), create: jest.fn() },
+    Message: { findOne: jest.fn(), findAll: jest.fn(), create: jest.fn() },
+    Client: { findOne: jest.fn(), create: jest.fn() },
+    Business: { findByPk: jest.fn() },
+}));
+
+describe("EmailChannelAdapter", () => {
+    const platformSource = { id: 6, business_id: 1, platform_type: "email" };
+    const client = { id: 8 };
+
+    const buildAdapter = (message) =>
+        new EmailChannelAdapter({
+            platformSource,
+            senderId: "ana@example.com",
+            message: {
+                mid: "<a2@example.com>",
+                text: "Is Friday free?",
+                email: {
+                    subject: "Booking",
+                    references: ["<a1@example.com>", "<r1@shop.test>"],
+                    from_name: "Ana Costa",
+                },
+                ...message,
+            },
+            messageDelivery: {},
+        });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Conversation.create.mockImplementation(async (data) => ({
+            id: 31,
+            ...data,
+        }));
+    });
+
+    it("should fill in the new client's address and name", async () => {
+        const created = { id: 8, update: jest.fn() };
+        Client.findOne.mockResolvedValue(null);
+        Client.create.mockResolvedValue(created);
+
+        await buildAdapter().findOrCreateClient();
+
+        expect(Client.create).toHaveBeenCalledWith(
+            expect.objectContaining({
+                platform_user_id: "ana@example.com",
+                platform_type: "email",
+            })
+        );
+        expect(created.update).toHaveBeenCalledWith({
+            email: "ana@example.com",
+            display_name: "Ana Costa",
+        });
+    });
+
+    it("should keep a known client's address and name", async () => {
+        const known = {
+            id: 8,
+            email: "ana@example.com",
+            display_name: "Ana",
+            update: jest.fn(),
+        };
+        Client.findOne.mockResolvedValue(known);
+
+        await buildAdapter().findOrCreateClient();
+
+        expect(known.update).toHaveBeenCalledTimes(1);
+        expect(known.update).toHaveBeenCalledWith({
+            last_contact: expect.any(Date),
+        });
+    });
+
+    it("should continue the open conversation of the thread", async () => {
+        const conversation = { id: 30 };
+        Message.findOne.mockResolvedValue({ conversation });
+
+        const adapter = buildAdapter({ reply_to: { mid: "<r1@shop.test>" } });
+        const found = await adapter.findOrCreateConversation(client, "new");
+
+        expect(found).toBe(conversation);
+        expect(Message.findOne).toHaveBeenCalledWith(
+            expect.objectContaining({
+                where: {
+                    platform_message_id: {
+                        [Op.in]: [
+                            "<r1@shop.test>",
+                            "<a1@example.com>",
+                            "<r1@shop.test>",
+                        ],
+                    },
+                },
+                include: [
+                    expect.objectContaining({
+                        model: Conversation,
+                        as: "conversation",
+                        where: {
+                            client_id: 8,
+                            source_id: 6,
+                            current_state: { [Op.ne]: "closed" },
+                        },
+                    }),
+                ],
+            })
+        );
+        expect(Conversation.create).not.toHaveBeenCalled();
+    });
+
+    it("should start a conversation for a reply to an unknown thread", async () => {
+        Message.findOne.mockResolvedValue(null);
+
+        const found = await buildAdapter().findOrCreateConversation(
+            client,
+            "new"
+        );
+
+        expect(found.id).toBe(31);
+        expect(Conversation.create).toHaveBeenCalledWith(
+            expect.objectContaining({
+                client_id: 8,
+                source_id: 6,
+                funnel_state: "new",
+            })
+        );
+    });
+
+    it("should start a conversation for mail starting a thread", async () => {
+        const adapter = buildAdapter({ email: { subject: "Hello" } });
+
+        await adapter.findOrCreateConversation(client, "new");
+
+        // Unlike DMs, another open conversation of the client is not reused
+        expect(Message.findOne).not.toHaveBeenCalled();
+        expect(Conversation.findOne).not.toHaveBeenCalled();
+        expect(Conversation.create).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,345 @@
+const {
+    normalizeAddress,
+    parseEmail,
+    stripQuotedText,
+    htmlToText,
+    toMessagingEvent,
+    generateMessageId,
+    replySubject,
+    buildEmail,
+} = require("../../src/services/emailMime");
+
+describe("emailMime", () => {
+    const mail = (headers, body) =>
+        Buffer.from(`${headers.join("\r\n")}\r\n\r\n${body}`, "utf8");
+
+    const plain = (body, extra = []) =>
+        mail(
+            [
+                "From: Ana Costa <Ana@Example.com>",
+                "To: support@shop.test",
+                "Subject: Booking",
+                "Date: Mon, 19 Oct 2026 10:00:00 +0000",
+                "Message-ID: <a1@example.com>",
+                ...extra,
+                "Content-Type: text/plain; charset=utf-8",
+            ],
+            body
+        );
+
+    it("should normalize addresses", () => {
+        expect(normalizeAddress("  Support@Shop.TEST ")).toBe(
+            "support@shop.test"
+        );
+        expect(normalizeAddress("")).toBeNull();
+        expect(normalizeAddress(undefined)).toBeNull();
+    });
+
+    describe("parseEmail", () => {
+        it("should read the headers and plain text body", () => {
+            const email = parseEmail(
+                plain("Hello,\r\nis Friday free?\r\n", [
+                    "In-Reply-To: <r1@shop.test>",
+                    "References: <r0@shop.test>\r\n <r1@shop.test>",
+                ])
+            );
+
+            expect(email).toMatchObject({
+                messageId: "<a1@example.com>",
+                inReplyTo: "<r1@shop.test>",
+                references: ["<r0@shop.test>", "<r1@shop.test>"],
+                from: { name: "Ana Costa", address: "ana@example.com" },
+                to: [{ name: null, address: "support@shop.test" }],
+                subject: "Booking",
+                automated: false,
+            });
+            expect(email.date.toISOString()).toBe("2026-10-19T10:00:00.000Z");
+            expect(email.text).toBe("Hello,\nis Friday free?\n");
+        });
+
+        it("should decode encoded words and quoted-printable bodies", () => {
+            const email = parseEmail(
+                mail(
+                    [
+                        "From: =?UTF-8?B?Sm9zw6k=?= <jose@example.com>",
+                        "Subject: =?utf-8?Q?Cita_ma=C3=B1ana?=",
+                        "Message-ID: <q1@example.com>",
+                        "Content-Type: text/plain; charset=utf-8",
+                        "Content-Transfer-Encoding: quoted-printable",
+                    ],
+                    "Buenos d=C3=ADas, una l=C3=ADnea =\r\nlarga"
+                )
+            );
+
+            expect(email.from.name).toBe("José");
+            expect(email.subject).toBe("Cita mañana");
+            expect(email.text).toBe("Buenos días, una línea larga");
+        });
+
+        it("should prefer the text part and collect attachments", () => {
+            const email = parseEmail(
+                mail(
+                    [
+                        "From: ana@example.com",
+                        "Message-ID: <m1@example.com>",
+                        'Content-Type: multipart/mixed; boundary="outer"',
+                    ],
+                    [
+                        "--outer",
+                        'Content-Type: multipart/alternative; boundary="inner"',
+                        "",
+                        "--inner",
+                        "Content-Type: text/plain; charset=utf-8",
+                        "",
+                        "Plain version",
+                        "--inner",
+                        "Content-Type: text/html; charset=utf-8",
+                        "",
+                        "<p>HTML version</p>",
+                        "--inner--",
+                        "--outer",
+                        "Content-Type: image/png",
+                        "Content-Transfer-Encoding: base64",
+                        "Content-Disposition: attachment;",
+                        " filename*=UTF-8''foto%20ni%C3%B1o.png",
+                        "",
+                        Buffer.from("png-bytes").toString("base64"),
+                        "--outer--",
+                        "",
+                    ].join("\r\n")
+                )
+            );
+
+            expect(email.text).toBe("Plain version");
+            expect(email.html).toBe("<p>HTML version</p>");
+            expect(email.attachments).toEqual([
+                {
+                    type: "image",
+                    payload: {
+                        mime_type: "image/png",
+                        filename: "foto niño.png",
+                        size: 9,
+                    },
+                },
+            ]);
+        });
+
+        it("should keep HTML-only bodies as HTML", () => {
+            const email = parseEmail(
+                mail(
+                    [
+                        "From: ana@example.com",
+                        "Content-Type: text/html; charset=utf-8",
+                    ],
+                    "<p>Hi &amp; thanks</p><p>Second<br>line</p>"
+                )
+            );
+
+            expect(email.text).toBeNull();
+            expect(toMessagingEvent(email).message.text).toBe(
+                "Hi & thanks\nSecond\nline"
+            );
+        });
+
+        it.each([
+            ["Auto-Submitted: auto-replied"],
+            ["Precedence: bulk"],
+            ["X-Autoreply: yes"],
+            ["Return-Path: <>"],
+        ])("should flag automated mail with %s", (extra) => {
+            expect(parseEmail(plain("Out of office", [extra])).automated).toBe(
+                true
+            );
+        });
+
+        it("should flag bounces from the mailer daemon", () => {
+            const email = parseEmail(
+                mail(["From: MAILER-DAEMON@mx.example.com"], "Undeliverable")
+            );
+
+            expect(email.automated).toBe(true);
+        });
+    });
+
+    describe("stripQuotedText", () => {
+        it("should cut the reply at the attribution line", () => {
+            const text = [
+                "Friday at 10 works.",
+                "",
+                "On Mon, 19 Oct 2026 at 10:00, Shop <support@shop.test> wrote:",
+                "> Which day suits you?",
+            ].join("\n");
+
+            expect(stripQuotedText(text)).toBe("Friday at 10 works.");
+        });
+
+        it("should cut at attribution lines wrapped over two lines", () => {
+            const text = [
+                "Yes please.",
+                "",
+                "On Mon, 19 Oct 2026 at 10:00, Shop Support",
+                "<support@shop.test> wrote:",
+                "> Shall we book it?",
+            ].join("\n");
+
+            expect(stripQuotedText(text)).toBe("Yes please.");
+        });
+
+        it("should cut at Outlook header blocks and forwards", () => {
+            expect(
+                stripQuotedText(
+                    [
+                        "See below.",
+                        "From: Shop <support@shop.test>",
+                        "Sent: Monday, October 19, 2026 10:00",
+                        "To: Ana",
+                        "Subject: Booking",
+                    ].join("\n")
+                )
+            ).toBe("See below.");
+            expect(
+                stripQuotedText(
+                    "FYI\n\n---------- Forwarded message ---------\nFrom: x"
+                )
+            ).toBe("FYI");
+        });
+
+        it("should drop signatures", () => {
+            expect(stripQuotedText("Thanks!\n-- \nAna Costa\nACME")).toBe(
+                "Thanks!"
+            );
+            expect(stripQuotedText("Thanks!\n\nSent from my iPhone")).toBe(
+                "Thanks!"
+            );
+        });
+
+        it("should drop interleaved quoted lines", () => {
+            expect(stripQuotedText("> Friday?\nYes\n> Morning?\nAt 10")).toBe(
+                "Yes\nAt 10"
+            );
+        });
+
+        it("should keep the whole text when nothing is left", () => {
+            expect(stripQuotedText("> only a quote")).toBe("> only a quote");
+        });
+    });
+
+    it("should convert HTML to text", () => {
+        expect(
+            htmlToText(
+                "<style>p{}</style><ul><li>One</li><li>Two</li></ul>&lt;3&nbsp;"
+            )
+        ).toBe("One\nTwo\n<3");
+    });
+
+    describe("toMessagingEvent", () => {
+        it("should map mail to a messaging event from the sender", () => {
+            const email = parseEmail(
+                plain(
+                    "Friday works.\r\n\r\nOn Mon, Shop <s@shop.test> wrote:\r\n> Hi\r\n",
+                    [
+                        "In-Reply-To: <r1@shop.test>",
+                        "References: <r1@shop.test>",
+                    ]
+                )
+            );
+
+            expect(toMessagingEvent(email)).toEqual({
+                sender: { id: "ana@example.com" },
+                timestamp: Date.parse("2026-10-19T10:00:00Z"),
+                message: {
+                    mid: "<a1@example.com>",
+                    text: "Friday works.",
+                    reply_to: { mid: "<r1@shop.test>" },
+                    email: {
+                        subject: "Booking",
+                        references: ["<r1@shop.test>"],
+                        from_name: "Ana Costa",
+                    },
+                },
+            });
+        });
+
+        it("should ignore automated mail", () => {
+            const email = parseEmail(
+                plain("Away", ["Auto-Submitted: auto-replied"])
+            );
+
+            expect(toMessagingEvent(email)).toBeNull();
+        });
+    });
+
+    it("should generate Message-IDs on the sender's domain", () => {
+        expect(generateMessageId("support@shop.test")).toMatch(
+            /^<[0-9a-f-]{36}@shop\.test>$/
+        );
+    });
+
+    it("should prefix reply subjects once", () => {
+        expect(replySubject("Booking")).toBe("Re: Booking");
+        expect(replySubject("RE: Booking")).toBe("RE: Booking");
+        expect(replySubject("")).toBeNull();
+    });
+
+    describe("buildEmail", () => {
+        const build = (overrides = {}) =>
+            buildEmail({
+                from: { address: "support@shop.test", name: "Shop, Inc." },
+                to: "ana@example.com",
+                subject: "Re: Booking",
+                text: "Friday at 10 is booked.",
+                messageId: "<out1@shop.test>",
+                inReplyTo: "<a1@example.com>",
+                references: ["<r1@shop.test>", "<a1@example.com>"],
+                date: new Date("2026-10-19T10:00:00Z"),
+                ...overrides,
+            });
+
+        it("should write threading headers with CRLF line endings", () => {
+            const data = build();
+            const [head, body] = data.split("\r\n\r\n");
+
+            expect(head.split("\r\n")).toEqual([
+                'From: "Shop, Inc." <support@shop.test>',
+                "To: ana@example.com",
+                "Subject: Re: Booking",
+                "Date: Mon, 19 Oct 2026 10:00:00 GMT",
+                "Message-ID: <out1@shop.test>",
+                "In-Reply-To: <a1@example.com>",
+                "References: <r1@shop.test>",
+                " <a1@example.com>",
+                "MIME-Version: 1.0",
+                "Content-Type: text/plain; charset=utf-8",
+                "Content-Transfer-Encoding: quoted-printable",
+            ]);
+            expect(body).toBe("Friday at 10 is booked.\r\n");
+        });
+
+        it("should encode non-ASCII headers and body", () => {
+            const data = build({
+                subject: "Re: Cita mañana",
+                text: `Hasta mañana.\n${"x".repeat(100)}`,
+            });
+
+            expect(data).toMatch(/^Subject: =\?UTF-8\?[BQ]\?.+\?=\r$/m);
+            expect(data).toContain("Hasta ma=C3=B1ana.");
+            data.split("\r\n").forEach((line) => {
+                expect(line.length).toBeLessThanOrEqual(76);
+            });
+
+            const parsed = parseEmail(Buffer.from(data));
+            expect(parsed.subject).toBe("Re: Cita mañana");
+            expect(parsed.text).toBe(`Hasta mañana.\n${"x".repeat(100)}\n`);
+            expect(parsed.references).toEqual([
+                "<r1@shop.test>",
+                "<a1@example.com>",
+            ]);
+        });
+
+        it("should not let header values inject lines", () => {
+            const data = build({ subject: "Hi\r\nBcc: evil@example.com" });
+
+            expect(data).not.toMatch(/^Bcc:/m);
+        });
+    });
+});
@@ -0,0 +1,319 @@
+const EmbeddingService = require("../../src/services/embeddingService");
+const ContextSearchService = require("../../src/services/contextSearchService");
+const {
+    hashEmbedding,
+    cosineSimilarity,
+} = require("../../src/services/llm/hashingEmbedder");
+const {
+    FaqItem,
+    BusinessContextSection,
+    BusinessTemplateResponse,
+    BusinessContextChunk,
+} = require("../../src/models");
+
+jest.mock("../../src/models", () => ({
+    Business: { findByPk: jest.fn().mockResolvedValue(null) },
+    FaqItem: { findAll: jest.fn() },
+    BusinessContextSection: { findAll: jest.fn() },
+    BusinessTemplateResponse: { findAll: jest.fn() },
+    BusinessContextChunk: {
+        destroy: jest.fn().mockResolvedValue(0),
+        bulkCreate: jest.fn().mockResolvedValue([]),
+    },
+}));
+
+describe("EmbeddingService", () => {
+    let llm;
+    let service;
+
+    const record = (fields) => ({
+        ...fields,
+        update: jest.fn(async function (values) {
+            Object.assign(this, values);
+        }),
+    });
+
+    // Rows are loaded in batches until a page comes back empty
+    const rowsOnce = (model, rows) => {
+        model.findAll.mockResolvedValueOnce(rows);
+        if (rows.length > 0) model.findAll.mockResolvedValueOnce([]);
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        llm = {
+            isAvailable: jest.fn().mockResolvedValue(true),
+            resolve: jest
+                .fn()
+                .mockResolvedValue({ model: "text-embedding-3-small" }),
+            embed: jest.fn(async ({ input }) => ({
+                embeddings: input.map(() => [0.6, 0.8]),
+                model: "text-embedding-3-small",
+            })),
+        };
+        service = new EmbeddingService({ llm });
+    });
+
+    describe("embedTexts", () => {
+        it("should embed with the business's provider", async () => {
+            const result = await service.embedTexts(["hours"], 7);
+
+            expect(llm.embed).toHaveBeenCalledWith({
+                businessId: 7,
+                input: ["hours"],
+            });
+            expect(result).toEqual({
+                embeddings: [[0.6, 0.8]],
+                model: "text-embedding-3-small",
+            });
+        });
+
+        it("should hash locally when no provider is configured", async () => {
+            llm.isAvailable.mockResolvedValue(false);
+
+            const result = await service.embedTexts(["opening hours"], 7);
+
+            expect(llm.embed).not.toHaveBeenCalled();
+            expect(result.model).toBe(EmbeddingService.HASHING_MODEL);
+            expect(result.embeddings[0]).toEqual(
+                hashEmbedding("opening hours")
+            );
+        });
+
+        it("should hash locally when the provider fails", async () => {
+            llm.embed.mockRejectedValue(new Error("Rate limited"));
+
+            const result = await service.embedTexts(["opening hours"], 7);
+
+            expect(result.model).toBe(EmbeddingService.HASHING_MODEL);
+        });
+    });
+
+    describe("embedFaqItem", () => {
+        it("should store question, answer and combined embeddings", async () => {
+            const faq = record({
+                id: 1,
+                business_id: 7,
+                question: "When are you open?",
+                answer: "Every day from 9 to 5.",
+            });
+
+            expect(await service.embedFaqItem(faq)).toBe(true);
+
+            expect(llm.embed.mock.calls[0][0].input).toEqual([
+                "When are you open?",
+                "Every day from 9 to 5.",
+                "Question: When are you open?\n\nAnswer: Every day from 9 to 5.",
+            ]);
+            expect(faq.update).toHaveBeenCalledWith({
+                question_embedding: [0.6, 0.8],
+                answer_embedding: [0.6, 0.8],
+                combined_embedding: [0.6, 0.8],
+                embedding_model: "text-embedding-3-small",
+                embedding_updated_at: expect.any(Date),
+            });
+        });
+
+        it("should report failures without throwing", async () => {
+            const faq = record({ id: 1, question: "Q?", answer: "A." });
+            faq.update.mockRejectedValue(new Error("DB down"));
+
+            expect(await service.embedFaqItem(faq)).toBe(false);
+        });
+    });
+
+    describe("embedContextSection", () => {
+        it("should store passages of long sections", async () => {
+            const content = "We bake fresh bread every morning. ".repeat(60);
+            const section = record({ id: 4, business_id: 7, content });
+
+            expect(await service.embedContextSection(section)).toBe(true);
+
+            expect(BusinessContextChunk.destroy).toHaveBeenCalledWith({
+                where: { section_id: 4 },
+            });
+            const chunks = BusinessContextChunk.bulkCreate.mock.calls[0][0];
+            expect(chunks.length).toBeGreaterThan(1);
+            expect(chunks[1]).toMatchObject({
+                section_id: 4,
+                business_id: 7,
+                chunk_index: 1,
+                content_embedding: [0.6, 0.8],
+                embedding_model: "text-embedding-3-small",
+            });
+            expect(section.content_embedding).toEqual([0.6, 0.8]);
+        });
+
+        it("should drop passages once a section is short", async () => {
+            const section = record({
+                id: 4,
+                business_id: 7,
+                content: "Closed on Sundays.",
+            });
+
+            await service.embedContextSection(section);
+
+            expect(BusinessContextChunk.destroy).toHaveBeenCalled();
+            expect(BusinessContextChunk.bulkCreate).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("embedTemplateResponse", () => {
+        it("should clear the embedding of emptied content", async () => {
+            const response = record({
+                id: 3,
+                business_id: 7,
+                content: "",
+                content_embedding: [0.1, 0.2],
+            });
+
+            await service.embedTemplateResponse(response);
+
+            expect(llm.embed).not.toHaveBeenCalled();
+            expect(response.update).toHaveBeenCalledWith({
+                content_embedding: null,
+                embedding_model: null,
+                embedding_updated_at: null,
+            });
+        });
+    });
+
+    describe("reembedStale", () => {
+        it("should re-embed rows without embeddings or from another model", async () => {
+            const current = record({
+                id: 1,
+                business_id: 7,
+                question: "Q1?",
+                answer: "A1.",
+                combined_embedding: [0.6, 0.8],
+                embedding_model: "text-embedding-3-small",
+            });
+            const outdated = record({
+                id: 2,
+                business_id: 7,
+                question: "Q2?",
+                answer: "A2.",
+                combined_embedding: [0.1, 0.2],
+                embedding_model: "text-embedding-ada-002",
+            });
+            const missing = record({
+                id: 5,
+                business_id: 7,
+                content: "We deliver citywide.",
+                content_embedding: null,
+            });
+            rowsOnce(FaqItem, [current, outdated]);
+            rowsOnce(BusinessContextSection, [missing]);
+            rowsOnce(BusinessTemplateResponse, []);
+
+            const summary = await service.reembedStale({ businessId: 7 });
+
+            expect(summary).toEqual({
+                faq: { checked: 2, updated: 1, failed: 0 },
+                context: { checked: 1, updated: 1, failed: 0 },
+                template: { checked: 0, updated: 0, failed: 0 },
+            });
+            expect(current.update).not.toHaveBeenCalled();
+            expect(outdated.embedding_model).toBe("text-embedding-3-small");
+            expect(missing.content_embedding).toEqual([0.6, 0.8]);
+            expect(FaqItem.findAll.mock.calls[1][0].where).toMatchObject({
+                business_id: 7,
+            });
+            // The current model is resolved once per business
+            expect(llm.resolve).toHaveBeenCalledTimes(1);
+        });
+
+        it("should re-embed everything when forced", async () => {
+            const current = record({
+                id: 1,
+                business_id: 7,
+                question: "Q1?",
+                answer: "A1.",
+                combined_embedding: [0.6, 0.8],
+                embedding_model: "text-embedding-3-small",
+            });
+            rowsOnce(FaqItem, [current]);
+            rowsOnce(BusinessContextSection, []);
+            rowsOnce(BusinessTemplateResponse, []);
+
+            const summary = await service.reembedStale({ force: true });
+
+            expect(summary.faq.updated).toBe(1);
+            expect(current.update).toHaveBeenCalled();
+        });
+    });
+
+    describe("similarity", () => {
+        it("should compare vectors from the query's model", () => {
+            const query = { text: "hours", embedding: [1, 0], model: "m1" };
+
+            expect(service.similarity(query, [1, 0], "m1")).toBeCloseTo(1);
+            expect(service.similarity(query, [1, 0], "m2")).toBeNull();
+            expect(service.similarity(query, null, "m1")).toBeNull();
+        });
+
+        it("should hash the query to compare with locally hashed content", () => {
+            const query = {
+                text: "opening hours",
+                embedding: [1, 0],
+                model: "m1",
+            };
+            const vector = hashEmbedding("our opening hours are 9 to 5");
+
+            const similarity = service.similarity(
+                query,
+                vector,
+                EmbeddingService.HASHING_MODEL
+            );
+
+            expect(similarity).toBeCloseTo(
+                cosineSimilarity(hashEmbedding("opening hours"), vector)
+            );
+            expect(similarity).toBeGreaterThan(0);
+        });
+    });
+});
+
+describe("ContextSearchService with embeddings", () => {
+    it("should rank by stored embeddings and fall back to word overlap", async () => {
+        const embeddingService = new EmbeddingService({
+            llm: { isAvailable: jest.fn().mockResolvedValue(false) },
+        });
+        const contextSearchService = new ContextSearchService({
+            embeddingService,
+        });
+        BusinessContextSection.findAll.mockResolvedValue([
+            {
+                id: 1,
+                content: "Shipping takes three days",
+                content_embedding: hashEmbedding("Shipping takes three days"),
+                embedding_model: EmbeddingService.HASHING_MODEL,
+            },
+            {
+                id: 2,
+                content: "How long does shipping take",
+                content_embedding: null,
+                embedding_model: null,
+            },
+        ]);
+
+        const results = await contextSearchService.searchContextSections({
+            query: "how long does shipping take",
+            businessId: 7,
+            language: "en",
+            threshold: 0,
+            limit: 5,
+        });
+
+        const byId = Object.fromEntries(
+            results.map((r) => [r.id, r.similarity_score])
+        );
+        expect(byId[1]).toBeCloseTo(
+            cosineSimilarity(
+                hashEmbedding("how long does shipping take"),
+                hashEmbedding("Shipping takes three days")
+            )
+        );
+        expect(byId[2]).toBe(1);
+    });
+});
@@ -0,0 +1,149 @@
+const {
+    DEFAULT_FUNNEL,
+    resolveFunnel,
+    validateFunnel,
+    currentStateOf,
+    allowedStates,
+    canTransition,
+    outcomeState,
+    mapDefaultState,
+    describeStates,
+    describeStrategies,
+} = require("../../src/services/funnelDefinition");
+
+describe("funnelDefinition", () => {
+    const clinic = {
+        initial_state: "inquiry",
+        states: [
+            {
+                key: "inquiry",
+                description: "Asking about treatments",
+                response_strategy: "Answer and offer a consultation",
+                transitions: ["consultation", "gone"],
+            },
+            {
+                key: "consultation",
+                description: "Wants a consultation",
+                entry_criteria: "Asked to see a dentist",
+                transitions: ["booked", "gone"],
+                lead_stage: "qualified",
+                creates_lead: true,
+            },
+            {
+                key: "booked",
+                description: "Consultation booked",
+                outcome: "won",
+                lead_stage: "closed_won",
+            },
+            { key: "gone", description: "Not coming", outcome: "lost" },
+        ],
+    };
+
+    it("should fall back to the default funnel", () => {
+        expect(resolveFunnel(null)).toBe(DEFAULT_FUNNEL);
+        expect(resolveFunnel({})).toBe(DEFAULT_FUNNEL);
+        expect(resolveFunnel(clinic)).toBe(clinic);
+        expect(validateFunnel(DEFAULT_FUNNEL)).toEqual([]);
+    });
+
+    describe("validateFunnel", () => {
+        it("should accept a valid funnel", () => {
+            expect(validateFunnel(clinic)).toEqual([]);
+        });
+
+        it("should reject malformed funnels", () => {
+            expect(validateFunnel([])).toEqual(["Funnel must be an object"]);
+            expect(
+                validateFunnel({
+                    initial_state: "a",
+                    states: [{ key: "a", description: "A" }],
+                    colour: "blue",
+                })
+            ).toEqual([
+                "Unknown setting: colour",
+                "states must list 2-20 states",
+            ]);
+        });
+
+        it("should reject invalid states", () => {
+            const errors = validateFunnel({
+                initial_state: "start",
+                states: [
+                    {
+                        key: "Inquiry",
+                        description: "Asking",
+                        transitions: ["nowhere"],
+                    },
+                    { key: "done", description: "", outcome: "won" },
+                    { key: "done", description: "Again", outcome: "won" },
+                    {
+                        key: "stage",
+                        description: "Stage",
+                        lead_stage: "closed",
+                        creates_lead: "yes",
+                        colour: "blue",
+                    },
+                ],
+            });
+
+            expect(errors).toEqual([
+                "State 1 needs a key of lowercase letters, digits and underscores",
+                "State Inquiry moves to unknown state: nowhere",
+                "description of state done must be 1-200 characters",
+                "Duplicate state: done",
+                "Unknown field for state stage: colour",
+                "lead_stage of state stage must be one of: new, contacted, qualified, proposal, negotiation, closed_won, closed_lost",
+                "creates_lead of state stage must be a boolean",
+                "initial_state must be one of the states",
+                "Only one state can have the won outcome",
+            ]);
+        });
+    });
+
+    describe("transitions", () => {
+        it("should only allow the listed states", () => {
+            expect(allowedStates(clinic, "inquiry")).toEqual([
+                "inquiry",
+                "consultation",
+                "gone",
+            ]);
+            expect(canTransition(clinic, "inquiry", "consultation")).toBe(true);
+            expect(canTransition(clinic, "inquiry", "booked")).toBe(false);
+            expect(canTransition(clinic, "inquiry", "unknown")).toBe(false);
+        });
+
+        it("should allow any state from states without transitions", () => {
+            expect(canTransition(clinic, "booked", "inquiry")).toBe(true);
+            expect(
+                canTransition(DEFAULT_FUNNEL, "initial_contact", "converted")
+            ).toBe(true);
+        });
+
+        it("should restart conversations in states the funnel lacks", () => {
+            expect(currentStateOf(clinic, "consultation")).toBe("consultation");
+            expect(currentStateOf(clinic, "qualified")).toBe("inquiry");
+        });
+    });
+
+    it("should find the states of each outcome", () => {
+        expect(outcomeState(clinic, "won")).toBe("booked");
+        expect(outcomeState(DEFAULT_FUNNEL, "lost")).toBe("lost");
+        expect(mapDefaultState(clinic, "lost")).toBe("gone");
+        expect(mapDefaultState(clinic, "converted")).toBe("booked");
+        expect(mapDefaultState(clinic, "interested")).toBeNull();
+    });
+
+    it("should describe the states for the prompts", () => {
+        expect(describeStates(clinic)).toBe(
+            [
+                "- inquiry: Asking about treatments",
+                "- consultation: Wants a consultation (enter when: Asked to see a dentist)",
+                "- booked: Consultation booked",
+                "- gone: Not coming",
+            ].join("\n")
+        );
+        expect(describeStrategies(clinic)).toBe(
+            "- inquiry: Answer and offer a consultation"
+        );
+    });
+});
@@ -0,0 +1,431 @@
+const InstagramChannelAdapter = require("../../src/services/conversationEngine/instagramChannelAdapter");
+const {
+    Conversation,
+    Message,
+    Client,
+    Business,
+} = require("../../src/models");
+
+jest.mock("../../src/models", () => ({
+    Conversation: { findOne: jest.fn(), create: jest.fn() },
+    Message: { findOne: jest.fn(), findAll: jest.fn(), create: jest.fn() },
+    Client: { findOne: jest.fn(), create: jest.fn() },
+    Business: { findByPk: jest.fn() },
+}));
+
+describe("InstagramChannelAdapter", () => {
+    let adapter;
+    let conversation;
+    let messageDelivery;
+
+    const platformSource = { id: 3, business_id: 1, platform_type: "instagram" };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        conversation = {
+            id: 12,
+            funnel_state: "interested",
+            detected_language: null,
+            lead_score: 40,
+            sentiment_score: "0.20",
+            message_count: 4,
+            update: jest.fn().mockResolvedValue({}),
+        };
+        Client.findOne.mockResolvedValue(null);
+        Client.create.mockResolvedValue({ id: 8, update: jest.fn() });
+        Conversation.findOne.mockResolvedValue(conversation);
+        Message.findOne.mockResolvedValue(null);
+        Message.create.mockImplementation(async (data) => ({
+            id: 60,
+            ...data,
+        }));
+        Message.findAll.mockResolvedValue([
+            {
+                sender_type: "bot",
+                message_text: "Hi! How can I help?",
+                message_timestamp: new Date("2025-10-01T10:01:00Z"),
+            },
+            {
+                sender_type: "customer",
+                message_text: "Hello",
+                message_timestamp: new Date("2025-10-01T10:00:00Z"),
+            },
+        ]);
+        Business.findByPk.mockResolvedValue({
+            id: 1,
+            company_name: "Acme",
+            business_type: "retail",
+            primary_language: "es",
+            ai_disclosure: { human_handoff: false },
+        });
+
+        messageDelivery = {
+            queueMessage: jest.fn().mockResolvedValue({ id: 50 }),
+            deliver: jest.fn().mockResolvedValue({}),
+        };
+        adapter = new InstagramChannelAdapter({
+            platformSource,
+            senderId: 987,
+            message: { mid: "m_1", text: "Do you ship abroad?" },
+            messageDelivery,
+        });
+    });
+
+    it("should load the funnel state and history of the open conversation", async () => {
+        const turn = {};
+        const context = await adapter.loadContext(turn);
+
+        expect(Client.create).toHaveBeenCalledWith(
+            expect.objectContaining({
+                business_id: 1,
+                platform_user_id: "987",
+                platform_type: "instagram",
+            })
+        );
+        expect(turn.conversationId).toBe(12);
+        expect(turn.clientId).toBe(8);
+        expect(context.currentState).toBe("interested");
+        expect(context.businessName).toBe("Acme");
+        expect(context.language).toBe("es");
+        expect(context.leadScore).toBe(40);
+        expect(context.sentimentScore).toBe(0.2);
+        expect(context.aiDisclosure).toEqual({ human_handoff: false });
+        expect(context.conversationHistory.map((m) => m.messageText)).toEqual([
+            "Hello",
+            "Hi! How can I help?",
+        ]);
+    });
+
+    it("should start a conversation in the initial funnel state", async () => {
+        Conversation.findOne.mockResolvedValue(null);
+        Conversation.create.mockResolvedValue({ id: 13 });
+
+        const context = await adapter.loadContext({});
+
+        expect(Conversation.create).toHaveBeenCalledWith(
+            expect.objectContaining({
+                client_id: 8,
+                source_id: 3,
+                current_state: "active",
+                funnel_state: "initial_contact",
+            })
+        );
+        expect(context.currentState).toBe("initial_contact");
+    });
+
+    it("should store the message, new state and queue the reply", async () => {
+        await adapter.loadContext({});
+        const turn = {
+            language: "es",
+            newState: "qualified",
+            response: "Yes, we ship worldwide.",
+            analysis: { intent: "purchase_intent", sentiment: 2, lead_score: 72.6 },
+        };
+
+        await adapter.recordTurn(turn);
+
+        expect(Message.create).toHaveBeenCalledWith(
+            expect.objectContaining({
+                conversation_id: 12,
+                sender_type: "customer",
+                message_text: "Do you ship abroad?",
+                platform_message_id: "m_1",
+                sentiment_score: 1,
+                intent_classification: "purchase_intent",
+            })
+        );
+        expect(conversation.update).toHaveBeenCalledWith(
+            expect.objectContaining({
+                message_count: 6,
+                funnel_state: "qualified",
+                lead_score: 73,
+            })
+        );
+        expect(messageDelivery.queueMessage).toHaveBeenCalledWith(
+            expect.objectContaining({
+                conversationId: 12,
+                platformSourceId: 3,
+                recipientId: "987",
+                text: "Yes, we ship worldwide.",
+            })
+        );
+        expect(messageDelivery.deliver).toHaveBeenCalledWith(
+            { id: 50 },
+            platformSource
+        );
+        expect(turn.record).toEqual({ id: 50 });
+    });
+
+    describe("retried turns", () => {
+        const storedMessage = () => ({
+            id: 61,
+            conversation_id: 12,
+            message_text: "Do you ship abroad?",
+            conversation,
+        });
+
+        it("should reuse the stored message when no reply was queued", async () => {
+            Message.findOne
+                .mockResolvedValueOnce(storedMessage())
+                .mockResolvedValueOnce(null);
+
+            const turn = {};
+            const context = await adapter.loadContext(turn);
+            await adapter.recordTurn({
+                ...turn,
+                newState: "interested",
+                response: "Yes, we ship worldwide.",
+                analysis: { intent: "question" },
+            });
+
+            expect(Message.findOne).toHaveBeenNthCalledWith(
+                1,
+                expect.objectContaining({
+                    where: {
+                        platform_message_id: "m_1",
+                        sender_type: "customer",
+                    },
+                })
+            );
+            expect(Conversation.findOne).not.toHaveBeenCalled();
+            expect(turn.conversationId).toBe(12);
+            expect(context.alreadyAnswered).toBe(false);
+            expect(Message.create).not.toHaveBeenCalled();
+            expect(conversation.update).toHaveBeenCalledWith(
+                expect.objectContaining({ message_count: 5 })
+            );
+            expect(messageDelivery.queueMessage).toHaveBeenCalledTimes(1);
+        });
+
+        it("should report a message whose reply was queued as answered", async () => {
+            Message.findOne
+                .mockResolvedValueOnce(storedMessage())
+                .mockResolvedValueOnce({ id: 62 });
+
+            const context = await adapter.loadContext({});
+
+            expect(context.alreadyAnswered).toBe(true);
+        });
+    });
+
+    it("should keep the contact details the customer gives", async () => {
+        await adapter.loadContext({});
+        const turn = {
+            language: "en",
+            newState: "qualified",
+            response: "Thanks, Ana!",
+            analysis: {
+                intent: "strong_interest",
+                qualification: {
+                    budget: "about $3,000",
+                    email: "Ana@Example.com",
+                    name: "Ana",
+                    phone: "not now",
+                },
+            },
+        };
+
+        await adapter.recordTurn(turn);
+
+        expect(Message.create).toHaveBeenCalledWith(
+            expect.objectContaining({
+                extracted_entities: {
+                    qualification: {
+                        budget_indication: "about $3,000",
+                        email: "ana@example.com",
+                        full_name: "Ana",
+                    },
+                },
+            })
+        );
+        expect(turn.messageId).toBe(60);
+        expect(adapter.client.update).toHaveBeenCalledWith({
+            email: "ana@example.com",
+            full_name: "Ana",
+            fact_sources: {
+                email: expect.objectContaining({
+                    value: "ana@example.com",
+                    message_id: 60,
+                    excerpt: "Do you ship abroad?",
+                }),
+                full_name: expect.objectContaining({ message_id: 60 }),
+            },
+        });
+    });
+
+    it("should store WhatsApp messages with the reply tapped and replied to", async () => {
+        adapter = new InstagramChannelAdapter({
+            platformSource: { ...platformSource, platform_type: "whatsapp" },
+            senderId: "34600111222",
+            message: {
+                mid: "wamid.in.1",
+                text: "Tue 10:00",
+                quick_reply: { payload: "slot_2", title: "Tue 10:00" },
+                reply_to: { mid: "wamid.out.7" },
+            },
+            messageDelivery,
+        });
+
+        await adapter.loadContext({});
+        await adapter.recordTurn({
+            newState: "qualified",
+            response: "Booked!",
+        });
+
+        expect(Client.create).toHaveBeenCalledWith(
+            expect.objectContaining({
+                platform_user_id: "34600111222",
+                platform_type: "whatsapp",
+            })
+        );
+        expect(Message.create).toHaveBeenCalledWith(
+            expect.objectContaining({
+                platform_message_id: "wamid.in.1",
+                message_metadata: {
+                    quick_reply: { payload: "slot_2", title: "Tue 10:00" },
+                    reply_to: { mid: "wamid.out.7" },
+                },
+            })
+        );
+        expect(messageDelivery.queueMessage).toHaveBeenCalledWith(
+            expect.objectContaining({ recipientId: "34600111222" })
+        );
+    });
+
+    it("should send the turn's quick replies with the reply to Telegram chats", async () => {
+        const quickReplies = [{ title: "10:00", payload: "2030-06-04 10:00" }];
+        adapter = new InstagramChannelAdapter({
+            platformSource: { ...platformSource, platform_type: "telegram" },
+            senderId: "55501",
+            message: { mid: "7001:55501:12", text: "Any time on Tuesday?" },
+            messageDelivery,
+        });
+
+        await adapter.loadContext({});
+        await adapter.recordTurn({
+            newState: "interested",
+            response: "We have 10:00 free.",
+            quickReplies,
+        });
+
+        expect(Client.create).toHaveBeenCalledWith(
+            expect.objectContaining({
+                platform_user_id: "55501",
+                platform_type: "telegram",
+            })
+        );
+        expect(messageDelivery.queueMessage).toHaveBeenCalledWith(
+            expect.objectContaining({
+                recipientId: "55501",
+                text: "We have 10:00 free.",
+                metadata: { quick_replies: quickReplies },
+            })
+        );
+    });
+
+    it("should keep the funnel state when the turn failed", async () => {
+        await adapter.loadContext({});
+
+        await adapter.recordTurn({
+            error: new Error("Model unavailable"),
+            newState: "initial_contact",
+            response: "Thank you for your message!",
+        });
+
+        const updates = conversation.update.mock.calls[0][0];
+        expect(updates).not.toHaveProperty("funnel_state");
+        expect(messageDelivery.queueMessage).toHaveBeenCalled();
+    });
+
+    it("should flag the conversation for a person on a handoff", async () => {
+        await adapter.loadContext({});
+
+        await adapter.recordTurn({
+            halted: true,
+            handoffRequested: true,
+            newState: "interested",
+            response: "Someone from the team will reply here.",
+        });
+
+        const updates = conversation.update.mock.calls[0][0];
+        expect(updates.requires_human).toBe(true);
+        expect(updates).not.toHaveProperty("funnel_state");
+    });
+
+    it("should leave out-of-hours conversations for the next opening", async () => {
+        await adapter.loadContext({});
+
+        await adapter.recordTurn({
+            halted: true,
+            newState: "interested",
+            response: "Thanks for your message! Acme is closed right now.",
+            humanFollowUp: {
+                at: "2030-06-10T07:00:00.000Z",
+                reason: "Needs a person; received outside business hours",
+            },
+        });
+
+        expect(conversation.update).toHaveBeenCalledWith(
+            expect.objectContaining({
+                requires_human: true,
+                human_follow_up_at: "2030-06-10T07:00:00.000Z",
+                human_takeover_reason:
+                    "Needs a person; received outside business hours",
+            })
+        );
+    });
+
+    describe("agent takeover", () => {
+        const minutesAgo = (minutes) =>
+            new Date(Date.now() - minutes * 60 * 1000);
+
+        it("should store messages without replying while an agent has the conversation", async () => {
+            conversation.is_bot_active = false;
+            conversation.agent_active_at = minutesAgo(10);
+
+            const context = await adapter.loadContext({});
+            await adapter.recordTurn({
+                botPaused: true,
+                halted: true,
+                newState: "interested",
+                response: null,
+            });
+
+            expect(context.botPaused).toBe(true);
+            expect(Message.create).toHaveBeenCalledWith(
+                expect.objectContaining({ sender_type: "customer" })
+            );
+            expect(conversation.update).toHaveBeenCalledWith(
+                expect.objectContaining({ message_count: 5 })
+            );
+            expect(messageDelivery.queueMessage).not.toHaveBeenCalled();
+        });
+
+        it("should give the conversation back to the bot once the agent is idle", async () => {
+            conversation.is_bot_active = false;
+            conversation.agent_active_at = minutesAgo(61);
+
+            const context = await adapter.loadContext({});
+
+            expect(context.botPaused).toBe(false);
+            expect(conversation.update).toHaveBeenCalledWith({
+                is_bot_active: true,
+            });
+        });
+
+        it("should use the business's idle period", async () => {
+            Business.findByPk.mockResolvedValue({
+                id: 1,
+                bot_resume_minutes: 0,
+            });
+            conversation.is_bot_active = false;
+            conversation.agent_active_at = minutesAgo(60 * 24);
+
+            const context = await adapter.loadContext({});
+
+            expect(context.botPaused).toBe(true);
+            expect(conversation.update).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,452 @@
+const LeadService = require("../../src/services/leadService");
+const { Lead, LeadStageHistory, Message } = require("../../src/models");
+
+jest.mock("../../src/models", () => ({
+    sequelize: {
+        transaction: jest.fn((work) => work({})),
+        fn: jest.fn((name, column) => `${name}(${column})`),
+        col: jest.fn((name) => name),
+    },
+    Lead: {
+        findOne: jest.fn(),
+        findAll: jest.fn(),
+        findAndCountAll: jest.fn(),
+        create: jest.fn(),
+    },
+    LeadStageHistory: {
+        findAll: jest.fn(),
+        create: jest.fn(),
+    },
+    Client: {},
+    Conversation: {},
+    Message: {
+        findAll: jest.fn(),
+    },
+}));
+
+describe("LeadService", () => {
+    const NOW = new Date("2030-06-03T10:00:00Z");
+    let service;
+
+    const lead = (fields = {}) => {
+        const record = {
+            id: 4,
+            business_id: 1,
+            conversation_id: 9,
+            current_stage: "contacted",
+            stage_progression_count: 1,
+            engagement_level: 2,
+            lost_reason: null,
+            conversion_value: null,
+            createdAt: new Date("2030-06-01T10:00:00Z"),
+            stage_entered_at: new Date("2030-06-03T08:00:00Z"),
+            ...fields,
+        };
+        record.update = jest.fn(async (changes) =>
+            Object.assign(record, changes)
+        );
+        return record;
+    };
+    const turn = (funnelState, analysis = {}) => ({
+        businessId: 1,
+        conversationId: 9,
+        clientId: 3,
+        channel: "instagram",
+        funnelState,
+        analysis: {
+            lead_score: 40,
+            confidence: 0.8,
+            buying_signals: ["asked for prices"],
+            objections: [],
+            ...analysis,
+        },
+        message: "How much is the premium plan?",
+        customerMessages: 3,
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        service = new LeadService({ now: () => NOW });
+        Lead.create.mockImplementation(async (data) => lead(data));
+        Message.findAll.mockResolvedValue([]);
+    });
+
+    describe("recordTurn", () => {
+        it("should wait until the conversation qualifies", async () => {
+            Lead.findOne.mockResolvedValue(null);
+
+            await expect(service.recordTurn(turn("engaged"))).resolves.toBe(
+                null
+            );
+            expect(Lead.create).not.toHaveBeenCalled();
+        });
+
+        it("should create the lead at the stage the funnel reached", async () => {
+            Lead.findOne.mockResolvedValue(null);
+
+            const created = await service.recordTurn(turn("qualified"));
+
+            expect(Lead.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    business_id: 1,
+                    client_id: 3,
+                    conversation_id: 9,
+                    lead_source: "instagram",
+                    lead_type: "inbound",
+                    current_stage: "qualified",
+                    qualification_score: 40,
+                    interest_level: 4,
+                    engagement_level: 3,
+                    stage_entered_at: NOW,
+                }),
+                { transaction: {} }
+            );
+            expect(LeadStageHistory.create).toHaveBeenCalledWith(
+                {
+                    lead_id: created.id,
+                    from_stage: null,
+                    to_stage: "qualified",
+                    progression_type: "automatic",
+                    trigger_event: "conversation_qualified",
+                    changed_by: "bot",
+                    confidence_score: 0.8,
+                    qualifying_factors: ["asked for prices"],
+                    disqualifying_factors: [],
+                    time_in_previous_stage: 0,
+                    conversation_context: "How much is the premium plan?",
+                    changed_at: NOW,
+                },
+                { transaction: {} }
+            );
+        });
+
+        it("should create a lead once the score is high enough", async () => {
+            Lead.findOne.mockResolvedValue(null);
+
+            await service.recordTurn(turn("engaged", { lead_score: 72.4 }));
+
+            expect(Lead.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    current_stage: "contacted",
+                    qualification_score: 72,
+                }),
+                expect.anything()
+            );
+        });
+
+        it("should follow the stages of the business's funnel", async () => {
+            const funnel = {
+                initial_state: "inquiry",
+                states: [
+                    { key: "inquiry", description: "Asking" },
+                    {
+                        key: "consultation",
+                        description: "Wants a consultation",
+                        lead_stage: "proposal",
+                        creates_lead: true,
+                    },
+                ],
+            };
+            Lead.findOne.mockResolvedValue(null);
+
+            await service.recordTurn({ ...turn("inquiry"), funnel });
+            await service.recordTurn({ ...turn("qualified"), funnel });
+            expect(Lead.create).not.toHaveBeenCalled();
+
+            await service.recordTurn({ ...turn("consultation"), funnel });
+            expect(Lead.create).toHaveBeenCalledWith(
+                expect.objectContaining({ current_stage: "proposal" }),
+                expect.anything()
+            );
+        });
+
+        it("should use the lead another turn created first", async () => {
+            const existing = lead();
+            Lead.findOne
+                .mockResolvedValueOnce(null)
+                .mockResolvedValueOnce(existing);
+            Lead.create.mockRejectedValue(
+                Object.assign(new Error("duplicate"), {
+                    name: "SequelizeUniqueConstraintError",
+                })
+            );
+
+            const result = await service.recordTurn(turn("qualified"));
+
+            expect(result).toBe(existing);
+            expect(existing.current_stage).toBe("qualified");
+        });
+
+        it("should move the lead forward and record why", async () => {
+            const existing = lead();
+            Lead.findOne.mockResolvedValue(existing);
+
+            await service.recordTurn(turn("ready_to_convert"));
+
+            expect(existing).toMatchObject({
+                previous_stage: "contacted",
+                current_stage: "negotiation",
+                stage_progression_count: 2,
+                stage_entered_at: NOW,
+                total_funnel_time: 2 * 24 * 60,
+                qualification_score: 40,
+                engagement_level: 3,
+            });
+            expect(LeadStageHistory.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    from_stage: "contacted",
+                    to_stage: "negotiation",
+                    trigger_event: "funnel_state:ready_to_convert",
+                    time_in_previous_stage: 120,
+                }),
+                { transaction: {} }
+            );
+        });
+
+        it("should keep the facts stated before and while qualifying", async () => {
+            Lead.findOne.mockResolvedValue(null);
+            Message.findAll.mockResolvedValue([
+                {
+                    id: 40,
+                    message_text: "We could spend about $2,000",
+                    extracted_entities: {
+                        qualification: {
+                            budget_indication: "about $2,000",
+                            timeline_indication: "this summer",
+                        },
+                    },
+                    message_timestamp: new Date("2030-06-02T09:00:00Z"),
+                },
+            ]);
+
+            const created = await service.recordTurn({
+                ...turn("qualified", {
+                    qualification: {
+                        budget: "about $3,000",
+                        decision_maker: "needs_approval",
+                    },
+                }),
+                messageId: 51,
+            });
+
+            expect(Message.findAll).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    where: expect.objectContaining({
+                        conversation_id: 9,
+                        sender_type: "customer",
+                    }),
+                })
+            );
+            expect(created).toMatchObject({
+                budget_indication: "about $3,000",
+                timeline_indication: "this summer",
+                decision_maker_status: "needs_approval",
+            });
+            expect(created.fact_sources.budget_indication).toMatchObject({
+                message_id: 51,
+                excerpt: "How much is the premium plan?",
+            });
+            expect(created.fact_sources.timeline_indication).toMatchObject({
+                message_id: 40,
+                excerpt: "We could spend about $2,000",
+            });
+        });
+
+        it("should add new facts to an existing lead", async () => {
+            const existing = lead({ budget_indication: "Entered by staff" });
+            Lead.findOne.mockResolvedValue(existing);
+
+            await service.recordTurn({
+                ...turn("interested", {
+                    qualification: {
+                        budget: "about $3,000",
+                        service_interest: "Premium plan",
+                    },
+                }),
+                messageId: 52,
+            });
+
+            expect(existing.budget_indication).toBe("Entered by staff");
+            expect(existing.service_interest).toBe("Premium plan");
+            expect(existing.fact_sources).toEqual({
+                service_interest: {
+                    value: "Premium plan",
+                    message_id: 52,
+                    excerpt: "How much is the premium plan?",
+                    extracted_at: NOW,
+                },
+            });
+        });
+
+        it("should never move leads back or reopen them on its own", async () => {
+            const ahead = lead({ current_stage: "negotiation" });
+            Lead.findOne.mockResolvedValueOnce(ahead);
+            await service.recordTurn(turn("interested"));
+
+            const won = lead({ current_stage: "closed_won" });
+            Lead.findOne.mockResolvedValueOnce(won);
+            await service.recordTurn(turn("lost"));
+
+            expect(ahead.current_stage).toBe("negotiation");
+            expect(won.current_stage).toBe("closed_won");
+            expect(LeadStageHistory.create).not.toHaveBeenCalled();
+        });
+
+        it("should close lost conversations from any open stage", async () => {
+            const existing = lead({ current_stage: "negotiation" });
+            Lead.findOne.mockResolvedValue(existing);
+
+            await service.recordTurn(
+                turn("lost", { objections: ["too expensive"] })
+            );
+
+            expect(existing).toMatchObject({
+                current_stage: "closed_lost",
+                final_outcome: "lost",
+                outcome_date: NOW,
+            });
+            expect(LeadStageHistory.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    disqualifying_factors: ["too expensive"],
+                }),
+                expect.anything()
+            );
+        });
+    });
+
+    describe("moveStage", () => {
+        it("should record manual moves with who made them", async () => {
+            const existing = lead({ current_stage: "closed_lost" });
+            Lead.findOne.mockResolvedValue(existing);
+
+            await service.moveStage(
+                1,
+                4,
+                {
+                    stage: "proposal",
+                    reason: "Customer called back",
+                    conversion_value: 1200,
+                },
+                "user:owner-1"
+            );
+
+            expect(existing).toMatchObject({
+                current_stage: "proposal",
+                conversion_value: 1200,
+                final_outcome: null,
+                outcome_date: null,
+            });
+            expect(LeadStageHistory.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    from_stage: "closed_lost",
+                    to_stage: "proposal",
+                    progression_type: "manual",
+                    trigger_event: "manual",
+                    changed_by: "user:owner-1",
+                    confidence_score: 1,
+                    conversation_context: "Customer called back",
+                }),
+                { transaction: {} }
+            );
+        });
+
+        it("should keep the reason a lead was lost", async () => {
+            const existing = lead();
+            Lead.findOne.mockResolvedValue(existing);
+
+            await service.moveStage(
+                1,
+                4,
+                { stage: "closed_lost", lost_reason: "Went with a competitor" },
+                "user:owner-1"
+            );
+
+            expect(existing).toMatchObject({
+                lost_reason: "Went with a competitor",
+                final_outcome: "lost",
+            });
+        });
+
+        it("should reject unknown, unchanged and missing leads", async () => {
+            await expect(
+                service.moveStage(1, 4, { stage: "won" }, "user:owner-1")
+            ).rejects.toMatchObject({ code: "VALIDATION_ERROR" });
+
+            Lead.findOne.mockResolvedValueOnce(lead());
+            await expect(
+                service.moveStage(1, 4, { stage: "contacted" }, "user:owner-1")
+            ).rejects.toMatchObject({ code: "LEAD_INVALID_STAGE" });
+
+            Lead.findOne.mockResolvedValueOnce(null);
+            await expect(
+                service.moveStage(1, 99, { stage: "qualified" }, "user:owner-1")
+            ).rejects.toMatchObject({ code: "LEAD_NOT_FOUND" });
+        });
+    });
+
+    describe("recordConversion", () => {
+        it("should win the lead of a confirmed appointment's conversation", async () => {
+            const existing = lead({ current_stage: "negotiation" });
+            Lead.findOne.mockResolvedValue(existing);
+
+            await service.recordConversion({
+                business_id: 1,
+                conversation_id: 9,
+            });
+
+            expect(existing).toMatchObject({
+                current_stage: "closed_won",
+                final_outcome: "won",
+                converted_to: "appointment",
+            });
+            expect(LeadStageHistory.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    progression_type: "system",
+                    trigger_event: "appointment_confirmed",
+                }),
+                expect.anything()
+            );
+        });
+
+        it("should not create leads for conversations without one", async () => {
+            Lead.findOne.mockResolvedValue(null);
+
+            await service.recordConversion({
+                business_id: 1,
+                conversation_id: 9,
+            });
+
+            expect(Lead.create).not.toHaveBeenCalled();
+        });
+    });
+
+    it("should report every stage of the pipeline", async () => {
+        Lead.findAll.mockResolvedValue([
+            { current_stage: "qualified", count: "3", conversion_value: null },
+            {
+                current_stage: "closed_won",
+                count: "2",
+                conversion_value: "1500.00",
+            },
+        ]);
+
+        const pipeline = await service.pipeline(1);
+
+        expect(pipeline).toHaveLength(7);
+        expect(pipeline[0]).toEqual({
+            stage: "new",
+            count: 0,
+            conversion_value: 0,
+        });
+        expect(pipeline[2]).toEqual({
+            stage: "qualified",
+            count: 3,
+            conversion_value: 0,
+        });
+        expect(pipeline[5]).toEqual({
+            stage: "closed_won",
+            count: 2,
+            conversion_value: 1500,
+        });
+    });
+});
@@ -0,0 +1,415 @@
+const LLMService = require("../../src/services/llm");
+const OpenAIProvider = require("../../src/services/llm/openAIProvider");
+const LocalProvider = require("../../src/services/llm/localProvider");
+const ScriptedProvider = require("../../src/services/llm/scriptedProvider");
+const { Business } = require("../../src/models");
+
+jest.mock("../../src/models", () => ({
+    Business: {
+        findByPk: jest.fn(),
+    },
+}));
+
+describe("LLMService", () => {
+    let businessId = 100;
+
+    // Settings are cached per business, so every test uses a fresh ID
+    const withSettings = (aiSettings) => {
+        businessId += 1;
+        Business.findByPk.mockResolvedValue({
+            id: businessId,
+            ai_settings: aiSettings,
+        });
+        return businessId;
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe("resolve", () => {
+        it("should use the task defaults without settings", async () => {
+            const llm = new LLMService({ defaultProvider: "openai" });
+            const id = withSettings(null);
+
+            const reply = await llm.resolve("reply", id);
+            const knowledgeReply = await llm.resolve("knowledge_reply", id);
+
+            expect(reply).toMatchObject({
+                providerName: "openai",
+                model: "gpt-4o",
+                maxTokens: 200,
+            });
+            expect(reply.temperature).toBeUndefined();
+            expect(knowledgeReply).toMatchObject({
+                model: "gpt-4o-mini",
+                temperature: 0.7,
+                maxTokens: 300,
+            });
+        });
+
+        it("should apply business settings with task overrides on top", async () => {
+            const llm = new LLMService({ defaultProvider: "openai" });
+            const id = withSettings({
+                model: "gpt-4o-mini",
+                temperature: 0.2,
+                tasks: {
+                    reply: { model: "gpt-4.1", max_tokens: 400 },
+                },
+            });
+
+            const analysis = await llm.resolve("analysis", id);
+            const reply = await llm.resolve("reply", id);
+
+            expect(analysis).toMatchObject({
+                model: "gpt-4o-mini",
+                temperature: 0.2,
+                maxTokens: 1000,
+            });
+            expect(reply).toMatchObject({
+                model: "gpt-4.1",
+                temperature: 0.2,
+                maxTokens: 400,
+            });
+        });
+
+        it("should use the local provider's own models", async () => {
+            const llm = new LLMService({
+                providers: {
+                    local: new LocalProvider({
+                        model: "qwen2.5",
+                        embeddingModel: "bge-m3",
+                        client: {},
+                    }),
+                },
+            });
+            const id = withSettings({ provider: "local" });
+
+            expect((await llm.resolve("reply", id)).model).toBe("qwen2.5");
+            expect((await llm.resolve("embedding", id)).model).toBe("bge-m3");
+        });
+
+        it("should not apply the chat model to embeddings", async () => {
+            const llm = new LLMService({ defaultProvider: "openai" });
+            const id = withSettings({ model: "gpt-4o-mini" });
+
+            const embedding = await llm.resolve("embedding", id);
+
+            expect(embedding.model).toBe("text-embedding-3-small");
+        });
+
+        it("should fall back to the default provider for unknown names", async () => {
+            const llm = new LLMService({ defaultProvider: "scripted" });
+            const id = withSettings({ provider: "mystery" });
+
+            const resolved = await llm.resolve("reply", id);
+
+            expect(resolved.providerName).toBe("scripted");
+        });
+
+        it("should use defaults when settings cannot be loaded", async () => {
+            const llm = new LLMService({ defaultProvider: "openai" });
+            businessId += 1;
+            Business.findByPk.mockRejectedValue(new Error("DB down"));
+
+            const resolved = await llm.resolve("reply", businessId);
+
+            expect(resolved.model).toBe("gpt-4o");
+        });
+
+        it("should reject unknown tasks", async () => {
+            const llm = new LLMService();
+
+            await expect(llm.resolve("poetry", null)).rejects.toMatchObject({
+                code: "LLM_UNKNOWN_TASK",
+            });
+        });
+    });
+
+    describe("complete", () => {
+        it("should send the resolved parameters to the provider", async () => {
+            const create = jest.fn().mockResolvedValue({
+                model: "gpt-4o-mini",
+                choices: [{ message: { content: '{"ok":true}' } }],
+            });
+            const llm = new LLMService({
+                providers: {
+                    openai: new OpenAIProvider({
+                        client: { chat: { completions: { create } } },
+                    }),
+                },
+                defaultProvider: "openai",
+            });
+            const id = withSettings({
+                model: "gpt-4o-mini",
+                temperature: 0.1,
+            });
+
+            const result = await llm.complete("state_transition", {
+                businessId: id,
+                messages: [{ role: "user", content: "Return JSON" }],
+                json: true,
+            });
+
+            expect(create).toHaveBeenCalledWith({
+                model: "gpt-4o-mini",
+                messages: [{ role: "user", content: "Return JSON" }],
+                temperature: 0.1,
+                max_tokens: 500,
+                response_format: { type: "json_object" },
+            });
+            expect(result).toMatchObject({
+                content: '{"ok":true}',
+                provider: "openai",
+            });
+        });
+
+        it("should pass functions and return the calls the model makes", async () => {
+            const create = jest.fn().mockResolvedValue({
+                choices: [
+                    {
+                        message: {
+                            content: null,
+                            tool_calls: [
+                                {
+                                    id: "call_1",
+                                    type: "function",
+                                    function: {
+                                        name: "search_knowledge",
+                                        arguments: '{"query":"hours"}',
+                                    },
+                                },
+                            ],
+                        },
+                    },
+                ],
+            });
+            const tools = [
+                {
+                    type: "function",
+                    function: { name: "search_knowledge", parameters: {} },
+                },
+            ];
+            const llm = new LLMService({
+                providers: {
+                    openai: new OpenAIProvider({
+                        client: { chat: { completions: { create } } },
+                    }),
+                    local: new LocalProvider({
+                        tools: false,
+                        client: { chat: { completions: { create } } },
+                    }),
+                },
+                defaultProvider: "openai",
+            });
+
+            const result = await llm.complete("reply", {
+                messages: [{ role: "user", content: "Hours?" }],
+                tools,
+                toolChoice: "none",
+            });
+            const id = withSettings({ provider: "local" });
+            await llm.complete("reply", {
+                businessId: id,
+                messages: [{ role: "user", content: "Hours?" }],
+                tools,
+            });
+
+            expect(create.mock.calls[0][0]).toMatchObject({
+                tools,
+                tool_choice: "none",
+            });
+            expect(create.mock.calls[1][0].tools).toBeUndefined();
+            expect(result.toolCalls).toEqual([
+                {
+                    id: "call_1",
+                    name: "search_knowledge",
+                    arguments: '{"query":"hours"}',
+                },
+            ]);
+            expect(await llm.supportsTools("reply", id)).toBe(false);
+        });
+
+        it("should describe images as text for providers without vision", async () => {
+            const create = jest.fn().mockResolvedValue({
+                choices: [{ message: { content: "{}" } }],
+            });
+            const llm = new LLMService({
+                providers: {
+                    local: new LocalProvider({
+                        vision: false,
+                        client: { chat: { completions: { create } } },
+                    }),
+                },
+                defaultProvider: "local",
+            });
+
+            await llm.complete("vision", {
+                messages: [
+                    {
+                        role: "user",
+                        content: [
+                            { type: "text", text: "Look at this" },
+                            {
+                                type: "image_url",
+                                image_url: { url: "https://x/img.png" },
+                            },
+                        ],
+                    },
+                ],
+            });
+
+            const { messages } = create.mock.calls[0][0];
+            expect(messages[0].content).toBe(
+                "Look at this\n[The customer shared an image that cannot be viewed]"
+            );
+        });
+
+        it("should report an unconfigured OpenAI provider", async () => {
+            const llm = new LLMService({
+                providers: { openai: new OpenAIProvider({ apiKey: null }) },
+                defaultProvider: "openai",
+            });
+
+            expect(await llm.isAvailable("reply")).toBe(false);
+            await expect(
+                llm.complete("reply", { messages: [] })
+            ).rejects.toMatchObject({ code: "LLM_NOT_CONFIGURED" });
+        });
+    });
+
+    describe("embed", () => {
+        it("should embed with the business's embedding provider", async () => {
+            const llm = new LLMService({ defaultProvider: "openai" });
+            const id = withSettings({
+                tasks: { embedding: { provider: "scripted" } },
+            });
+
+            const result = await llm.embed({
+                businessId: id,
+                input: "opening hours",
+            });
+
+            expect(result.provider).toBe("scripted");
+            expect(result.embeddings).toHaveLength(1);
+        });
+    });
+
+    describe("getEffectiveSettings", () => {
+        it("should list every task", async () => {
+            const llm = new LLMService({ defaultProvider: "openai" });
+            const id = withSettings({ tasks: { reply: { temperature: 0.5 } } });
+
+            const effective = await llm.getEffectiveSettings(id);
+
+            expect(Object.keys(effective)).toEqual(
+                Object.keys(LLMService.TASK_DEFAULTS)
+            );
+            expect(effective.reply).toEqual({
+                provider: "openai",
+                model: "gpt-4o",
+                temperature: 0.5,
+                max_tokens: 200,
+            });
+            expect(effective.analysis.temperature).toBeNull();
+        });
+    });
+
+    describe("validateSettings", () => {
+        it("should accept valid settings", () => {
+            expect(
+                LLMService.validateSettings({
+                    provider: "local",
+                    model: "llama3.1",
+                    temperature: 0.4,
+                    max_tokens: 500,
+                    tasks: { embedding: { provider: "openai" } },
+                })
+            ).toEqual([]);
+        });
+
+        it("should report every problem", () => {
+            const errors = LLMService.validateSettings({
+                provider: "acme",
+                temperature: 3,
+                max_tokens: 0,
+                tasks: { poetry: {}, reply: { model: "" } },
+            });
+
+            expect(errors).toEqual([
+                "provider must be one of: openai, local, scripted",
+                "temperature must be a number between 0 and 2",
+                "max_tokens must be an integer between 1 and 16000",
+                'Unknown task "poetry"',
+                "tasks.reply.model must be a non-empty string",
+            ]);
+        });
+    });
+});
+
+describe("ScriptedProvider", () => {
+    it("should answer from the first matching rule", async () => {
+        const provider = new ScriptedProvider({
+            rules: [
+                {
+                    task: "analysis",
+                    match: "price",
+                    reply: { intent: "price_concern" },
+                },
+                { match: /hours/i, reply: "We are open 9 to 5." },
+            ],
+        });
+
+        const analysis = await provider.chat({
+            task: "analysis",
+            messages: [{ role: "user", content: "What is the price?" }],
+            json: true,
+        });
+        const reply = await provider.chat({
+            task: "reply",
+            messages: [{ role: "user", content: "Opening HOURS?" }],
+        });
+
+        expect(JSON.parse(analysis.content)).toEqual({
+            intent: "price_concern",
+        });
+        expect(reply.content).toBe("We are open 9 to 5.");
+        expect(provider.calls).toHaveLength(2);
+    });
+
+    it("should use defaults when no rule matches", async () => {
+        const provider = new ScriptedProvider();
+
+        const text = await provider.chat({
+            messages: [{ role: "user", content: "Hi" }],
+        });
+        const json = await provider.chat({
+            messages: [{ role: "user", content: "Hi" }],
+            json: true,
+        });
+
+        expect(text.content).toBe(
+            "Thanks for your message! How can I help you today?"
+        );
+        expect(json.content).toBe("{}");
+    });
+
+    it("should embed deterministically with shared words close together", async () => {
+        const provider = new ScriptedProvider();
+        const cosine = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+        const { embeddings } = await provider.embed({
+            input: [
+                "what are your opening hours",
+                "opening hours please",
+                "do you ship to Canada",
+            ],
+        });
+        const again = await provider.embed({ input: "opening hours please" });
+
+        expect(again.embeddings[0]).toEqual(embeddings[1]);
+        expect(cosine(embeddings[0], embeddings[1])).toBeGreaterThan(
+            cosine(embeddings[0], embeddings[2])
+        );
+    });
+});
@@ -0,0 +1,845 @@
+const express = require("express");
+const { Op } = require("sequelize");
+const MessageDeliveryService = require("../../src/services/messageDeliveryService");
+const { Message, PlatformSource } = require("../../src/models");
+
+jest.mock("../../src/models", () => ({
+    Message: {
+        create: jest.fn(),
+        update: jest.fn(),
+        findAll: jest.fn(),
+        findOne: jest.fn(),
+        count: jest.fn(),
+    },
+    PlatformSource: {
+        findByPk: jest.fn(),
+    },
+}));
+
+// axios is mocked globally in tests/setup.js; the stub server needs real HTTP
+const realAxios = jest.requireActual("axios");
+
+/**
+ * Local stand-in for the Graph API Send and Messenger Profile endpoints, the
+ * WhatsApp Cloud API messages endpoint and the Telegram Bot API
+ * Responses are served from a queue, after delayMs when given; an empty
+ * queue answers 200
+ */
+const startGraphStub = () =>
+    new Promise((resolve) => {
+        const stub = { requests: [], responses: [] };
+        const app = express();
+        app.use(express.json());
+
+        app.post("/me/messages", (req, res) => {
+            stub.requests.push({ body: req.body, query: req.query });
+            const next = stub.responses.shift() || {
+                status: 200,
+                body: { message_id: `mid.${stub.requests.length}` },
+            };
+            if (next.headers) res.set(next.headers);
+            setTimeout(
+                () => res.status(next.status).json(next.body),
+                next.delayMs || 0
+            );
+        });
+
+        app.all("/me/messenger_profile", (req, res) => {
+            stub.requests.push({
+                method: req.method,
+                body: req.body,
+                query: req.query,
+            });
+            const next = stub.responses.shift() || {
+                status: 200,
+                body: { result: "success" },
+            };
+            res.status(next.status).json(next.body);
+        });
+
+        app.post("/:phoneNumberId/messages", (req, res) => {
+            stub.requests.push({
+                path: req.path,
+                body: req.body,
+                query: req.query,
+            });
+            const next = stub.responses.shift() || {
+                status: 200,
+                body: {
+                    messaging_product: "whatsapp",
+                    messages: [{ id: `wamid.${stub.requests.length}` }],
+                },
+            };
+            res.status(next.status).json(next.body);
+        });
+
+        app.post("/bot:token/:method", (req, res) => {
+            stub.requests.push({
+                path: req.path,
+                body: req.body,
+                query: req.query,
+            });
+            const next = stub.responses.shift() || {
+                status: 200,
+                body: {
+                    ok: true,
+                    result: {
+                        message_id: stub.requests.length,
+                        chat: { id: Number(req.body.chat_id) },
+                    },
+                },
+            };
+            res.status(next.status).json(next.body);
+        });
+
+        stub.server = app.listen(0, "127.0.0.1", () => {
+            stub.url = `http://127.0.0.1:${stub.server.address().port}`;
+            resolve(stub);
+        });
+    });
+
+describe("MessageDeliveryService", () => {
+    let stub;
+    let service;
+
+    const platformSource = {
+        id: 1,
+        credentials: JSON.stringify({ access_token: "tenant_token" }),
+    };
+
+    const buildMessage = (overrides = {}) => {
+        const message = {
+            id: 10,
+            platform_source_id: 1,
+            recipient_id: "user_1",
+            message_text: "Hello!",
+            message_metadata: null,
+            delivery_status: "queued",
+            delivery_attempts: 0,
+            ...overrides,
+        };
+        message.update = jest.fn((values) => {
+            Object.assign(message, values);
+            return Promise.resolve(message);
+        });
+        return message;
+    };
+
+    beforeAll(async () => {
+        stub = await startGraphStub();
+    });
+
+    afterAll(
+        () => new Promise((resolve) => stub.server.close(() => resolve()))
+    );
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        stub.requests = [];
+        stub.responses = [];
+        service = new MessageDeliveryService({
+            httpClient: realAxios,
+            graphApiUrl: stub.url,
+            maxAttempts: 3,
+            baseDelayMs: 1000,
+            rateLimitPerMinute: 2,
+        });
+        service.resetRateLimits();
+        Message.update.mockResolvedValue([1]);
+        PlatformSource.findByPk.mockResolvedValue(platformSource);
+    });
+
+    afterEach(() => {
+        service.stop();
+    });
+
+    describe("queueMessage", () => {
+        it("should record the message as queued", async () => {
+            Message.create.mockImplementation((values) =>
+                Promise.resolve(values)
+            );
+
+            const message = await service.queueMessage({
+                conversationId: 5,
+                platformSourceId: 1,
+                recipientId: 42,
+                text: "Hello!",
+            });
+
+            expect(message).toMatchObject({
+                conversation_id: 5,
+                platform_source_id: 1,
+                recipient_id: "42",
+                sender_type: "bot",
+                message_text: "Hello!",
+                delivery_status: "queued",
+                delivery_attempts: 0,
+            });
+        });
+    });
+
+    describe("deliver", () => {
+        it("should send through the Graph API and mark the message sent", async () => {
+            const message = buildMessage();
+
+            await service.deliver(message, platformSource);
+
+            expect(stub.requests).toHaveLength(1);
+            expect(stub.requests[0].body).toEqual({
+                recipient: { id: "user_1" },
+                message: { text: "Hello!" },
+            });
+            expect(stub.requests[0].query.access_token).toBe("tenant_token");
+            expect(message.delivery_status).toBe("sent");
+            expect(message.platform_message_id).toBe("mid.1");
+            expect(message.delivery_attempts).toBe(1);
+            expect(message.sent_at).toBeInstanceOf(Date);
+        });
+
+        it("should load the platform source when not given", async () => {
+            const message = buildMessage();
+
+            await service.deliver(message);
+
+            expect(PlatformSource.findByPk).toHaveBeenCalledWith(1);
+            expect(message.delivery_status).toBe("sent");
+        });
+
+        it("should send a custom payload from message metadata", async () => {
+            const payload = {
+                text: "Pick a time",
+                quick_replies: [
+                    { content_type: "text", title: "10:00", payload: "slot_1" },
+                ],
+            };
+            const message = buildMessage({
+                message_metadata: { outbound_payload: payload },
+            });
+
+            await service.deliver(message, platformSource);
+
+            expect(stub.requests[0].body.message).toEqual(payload);
+        });
+
+        it("should send under the message tag from message metadata", async () => {
+            const message = buildMessage({
+                message_metadata: { messaging_tag: "CONFIRMED_EVENT_UPDATE" },
+            });
+
+            await service.deliver(message, platformSource);
+
+            expect(stub.requests[0].body).toMatchObject({
+                messaging_type: "MESSAGE_TAG",
+                tag: "CONFIRMED_EVENT_UPDATE",
+            });
+        });
+
+        describe("WhatsApp", () => {
+            const whatsappSource = {
+                id: 2,
+                platform_type: "whatsapp",
+                credentials: {
+                    access_token: "wa_token",
+                    phone_number_id: "1065403",
+                },
+            };
+
+            it("should send session messages from the business number", async () => {
+                const message = buildMessage({
+                    platform_source_id: 2,
+                    recipient_id: "34600111222",
+                });
+
+                await service.deliver(message, whatsappSource);
+
+                expect(stub.requests[0].path).toBe("/1065403/messages");
+                expect(stub.requests[0].query.access_token).toBe("wa_token");
+                expect(stub.requests[0].body).toEqual({
+                    messaging_product: "whatsapp",
+                    recipient_type: "individual",
+                    to: "34600111222",
+                    type: "text",
+                    text: { body: "Hello!" },
+                });
+                expect(message.delivery_status).toBe("sent");
+                expect(message.platform_message_id).toBe("wamid.1");
+            });
+
+            it("should send template messages", async () => {
+                const template = {
+                    name: "appointment_follow_up",
+                    language: { code: "en_US" },
+                };
+                const message = buildMessage({
+                    recipient_id: "34600111222",
+                    message_metadata: { outbound_payload: { template } },
+                });
+
+                await service.deliver(message, whatsappSource);
+
+                expect(stub.requests[0].body).toMatchObject({
+                    to: "34600111222",
+                    type: "template",
+                    template,
+                });
+            });
+
+            it("should fail messages of numbers without a phone_number_id", async () => {
+                const message = buildMessage();
+
+                await service.deliver(message, {
+                    ...whatsappSource,
+                    credentials: { access_token: "wa_token" },
+                });
+
+                expect(stub.requests).toHaveLength(0);
+                expect(message.delivery_status).toBe("failed");
+            });
+        });
+
+        describe("Telegram", () => {
+            const telegramSource = {
+                id: 4,
+                platform_type: "telegram",
+                credentials: { bot_token: "7001:AAHsecret" },
+            };
+
+            beforeEach(() => {
+                service.telegramApiUrl = stub.url;
+            });
+
+            it("should send quick replies as inline keyboard buttons", async () => {
+                const message = buildMessage({
+                    platform_source_id: 4,
+                    recipient_id: "55501",
+                    message_text: "Which time suits you?",
+                    message_metadata: {
+                        quick_replies: [
+                            { title: "10:00", payload: "2030-06-04 10:00" },
+                        ],
+                    },
+                });
+
+                await service.deliver(message, telegramSource);
+
+                expect(stub.requests[0].path).toBe(
+                    "/bot7001:AAHsecret/sendMessage"
+                );
+                expect(stub.requests[0].query).toEqual({});
+                expect(stub.requests[0].body).toEqual({
+                    chat_id: "55501",
+                    text: "Which time suits you?",
+                    reply_markup: {
+                        inline_keyboard: [
+                            [
+                                {
+                                    text: "10:00",
+                                    callback_data: "2030-06-04 10:00",
+                                },
+                            ],
+                        ],
+                    },
+                });
+                expect(message.delivery_status).toBe("sent");
+                expect(message.platform_message_id).toBe("7001:55501:1");
+            });
+
+            it("should retry after the time the Bot API asks for", async () => {
+                stub.responses.push({
+                    status: 429,
+                    body: {
+                        ok: false,
+                        description: "Too Many Requests: retry after 20",
+                        parameters: { retry_after: 20 },
+                    },
+                });
+                const message = buildMessage({ recipient_id: "55501" });
+                const before = Date.now();
+
+                await service.deliver(message, telegramSource);
+
+                expect(message.delivery_status).toBe("queued");
+                expect(message.last_delivery_error).toBe(
+                    "Send API error: Too Many Requests: retry after 20"
+                );
+                expect(
+                    message.next_delivery_at.getTime()
+                ).toBeGreaterThanOrEqual(before + 20 * 1000);
+            });
+
+            it("should answer button presses", async () => {
+                await service.answerCallbackQuery(telegramSource, "cb1");
+
+                expect(stub.requests[0].path).toBe(
+                    "/bot7001:AAHsecret/answerCallbackQuery"
+                );
+                expect(stub.requests[0].body).toEqual({
+                    callback_query_id: "cb1",
+                });
+            });
+        });
+
+        it("should send Messenger quick replies natively", async () => {
+            const message = buildMessage({
+                message_text: "Which time suits you?",
+                message_metadata: {
+                    quick_replies: [
+                        { title: "10:00", payload: "2030-06-04 10:00" },
+                    ],
+                },
+            });
+
+            await service.deliver(message, {
+                ...platformSource,
+                platform_type: "facebook",
+            });
+
+            expect(stub.requests[0].body).toEqual({
+                recipient: { id: "user_1" },
+                message: {
+                    text: "Which time suits you?",
+                    quick_replies: [
+                        {
+                            content_type: "text",
+                            title: "10:00",
+                            payload: "2030-06-04 10:00",
+                        },
+                    ],
+                },
+            });
+            expect(message.delivery_status).toBe("sent");
+        });
+
+        describe("Email", () => {
+            const emailSource = {
+                id: 6,
+                platform_type: "email",
+                credentials: {
+                    email_address: "Support@Shop.test",
+                    display_name: "Shop",
+                    smtp_host: "smtp.shop.test",
+                    smtp_port: "2525",
+                    smtp_username: "support",
+                    smtp_password: "s3cret",
+                },
+            };
+            let smtpClient;
+
+            beforeEach(() => {
+                smtpClient = {
+                    sendMail: jest.fn().mockResolvedValue({ response: "Ok" }),
+                };
+                service.smtpClient = smtpClient;
+                Message.findOne.mockResolvedValue({
+                    platform_message_id: "<a2@example.com>",
+                    message_metadata: {
+                        email: {
+                            subject: "Booking",
+                            references: ["<a1@example.com>", "<r1@shop.test>"],
+                        },
+                    },
+                });
+            });
+
+            it("should reply in the thread of the customer's latest message", async () => {
+                const message = buildMessage({
+                    conversation_id: 30,
+                    platform_source_id: 6,
+                    recipient_id: "ana@example.com",
+                    message_text: "Friday at 10 is booked.",
+                });
+
+                await service.deliver(message, emailSource);
+
+                expect(Message.findOne).toHaveBeenCalledWith(
+                    expect.objectContaining({
+                        where: {
+                            conversation_id: 30,
+                            sender_type: "customer",
+                            platform_message_id: { [Op.ne]: null },
+                        },
+                    })
+                );
+                const options = smtpClient.sendMail.mock.calls[0][0];
+                expect(options).toMatchObject({
+                    host: "smtp.shop.test",
+                    port: 2525,
+                    secure: false,
+                    username: "support",
+                    password: "s3cret",
+                    from: "support@shop.test",
+                    to: ["ana@example.com"],
+                });
+                expect(options.data).toContain("Subject: Re: Booking\r\n");
+                expect(options.data).toContain(
+                    "In-Reply-To: <a2@example.com>\r\n"
+                );
+                expect(options.data).toContain(
+                    "References: <a1@example.com>\r\n <r1@shop.test>\r\n <a2@example.com>\r\n"
+                );
+                expect(message.delivery_status).toBe("sent");
+                expect(message.platform_message_id).toMatch(
+                    /^<[0-9a-f-]{36}@shop\.test>$/
+                );
+                expect(options.data).toContain(
+                    `Message-ID: ${message.platform_message_id}\r\n`
+                );
+            });
+
+            it("should use the SMTP_* server for mailboxes without their own", async () => {
+                process.env.SMTP_HOST = "smtp.example.com";
+                process.env.SMTP_PORT = "465";
+                process.env.SMTP_SECURE = "true";
+                Message.findOne.mockResolvedValue(null);
+                const message = buildMessage({
+                    recipient_id: "ana@example.com",
+                });
+
+                try {
+                    await service.deliver(message, {
+                        id: 7,
+                        platform_type: "email",
+                        credentials: { email_address: "hello@shop.test" },
+                    });
+                } finally {
+                    delete process.env.SMTP_HOST;
+                    delete process.env.SMTP_PORT;
+                    delete process.env.SMTP_SECURE;
+                }
+
+                const options = smtpClient.sendMail.mock.calls[0][0];
+                expect(options).toMatchObject({
+                    host: "smtp.example.com",
+                    port: 465,
+                    secure: true,
+                });
+                expect(options.data).toContain(
+                    "Subject: Message from hello@shop.test\r\n"
+                );
+                expect(options.data).not.toContain("In-Reply-To:");
+            });
+
+            it("should retry transient SMTP failures", async () => {
+                smtpClient.sendMail.mockRejectedValue(
+                    Object.assign(new Error("450 Mailbox busy"), {
+                        responseCode: 450,
+                    })
+                );
+                const message = buildMessage({
+                    recipient_id: "ana@example.com",
+                });
+
+                await service.deliver(message, emailSource);
+
+                expect(message.delivery_status).toBe("queued");
+                expect(message.delivery_attempts).toBe(1);
+                expect(message.last_delivery_error).toBe(
+                    "SMTP error: 450 Mailbox busy"
+                );
+            });
+
+            it("should fail rejected recipients", async () => {
+                smtpClient.sendMail.mockRejectedValue(
+                    Object.assign(new Error("RCPT failed: 550 No such user"), {
+                        responseCode: 550,
+                    })
+                );
+                const message = buildMessage({
+                    recipient_id: "gone@example.com",
+                });
+
+                await service.deliver(message, emailSource);
+
+                expect(message.delivery_status).toBe("failed");
+            });
+
+            it("should fail mailboxes without an SMTP server", async () => {
+                const message = buildMessage({
+                    recipient_id: "ana@example.com",
+                });
+
+                await service.deliver(message, {
+                    id: 8,
+                    platform_type: "email",
+                    credentials: { email_address: "hello@shop.test" },
+                });
+
+                expect(smtpClient.sendMail).not.toHaveBeenCalled();
+                expect(message.delivery_status).toBe("failed");
+                expect(message.last_delivery_error).toBe(
+                    "Email platform source has no email_address or SMTP server"
+                );
+            });
+        });
+
+        it("should mark website widget messages sent without a request", async () => {
+            const message = buildMessage({ recipient_id: "ws_1" });
+
+            await service.deliver(message, {
+                id: 5,
+                platform_type: "website",
+                credentials: { widget_key: "wk_1" },
+            });
+
+            expect(stub.requests).toHaveLength(0);
+            expect(message.delivery_status).toBe("sent");
+            expect(message.platform_message_id).toBeNull();
+        });
+
+        it("should not send a message claimed by another worker", async () => {
+            Message.update.mockResolvedValue([0]);
+            const message = buildMessage();
+
+            await service.deliver(message, platformSource);
+
+            expect(stub.requests).toHaveLength(0);
+            expect(message.delivery_status).toBe("queued");
+        });
+
+        it("should keep the message queued with backoff on 5xx", async () => {
+            stub.responses.push({
+                status: 500,
+                body: { error: { message: "Internal error", code: 2 } },
+            });
+            const message = buildMessage();
+            const before = Date.now();
+
+            await service.deliver(message, platformSource);
+
+            expect(message.delivery_status).toBe("queued");
+            expect(message.delivery_attempts).toBe(1);
+            expect(message.last_delivery_error).toBe(
+                "Send API error: Internal error"
+            );
+            expect(message.next_delivery_at.getTime()).toBeGreaterThanOrEqual(
+                before + 1000
+            );
+        });
+
+        it("should give up on a hung send before its claim is released", async () => {
+            service = new MessageDeliveryService({
+                httpClient: realAxios,
+                graphApiUrl: stub.url,
+                lockTimeoutMs: 400,
+            });
+            stub.responses.push({ status: 200, body: {}, delayMs: 300 });
+            const message = buildMessage();
+
+            await service.deliver(message, platformSource);
+
+            expect(service.requestTimeoutMs).toBe(100);
+            expect(message.delivery_status).toBe("queued");
+            expect(message.last_delivery_error).toBe(
+                "Send API error: timeout of 100ms exceeded"
+            );
+        });
+
+        it("should fail the message on permanent errors", async () => {
+            stub.responses.push({
+                status: 400,
+                body: { error: { message: "Invalid OAuth token", code: 190 } },
+            });
+            const message = buildMessage();
+
+            await service.deliver(message, platformSource);
+
+            expect(message.delivery_status).toBe("failed");
+            expect(message.delivery_attempts).toBe(1);
+        });
+
+        it("should fail the message once attempts are exhausted", async () => {
+            stub.responses.push({ status: 503, body: {} });
+            const message = buildMessage({ delivery_attempts: 2 });
+
+            await service.deliver(message, platformSource);
+
+            expect(message.delivery_status).toBe("failed");
+            expect(message.delivery_attempts).toBe(3);
+        });
+
+        it("should honour Retry-After and pause the account when throttled", async () => {
+            stub.responses.push({
+                status: 429,
+                headers: { "Retry-After": "30" },
+                body: { error: { message: "Too many calls", code: 613 } },
+            });
+            const first = buildMessage({ id: 1 });
+            const second = buildMessage({ id: 2 });
+            const before = Date.now();
+
+            await service.deliver(first, platformSource);
+            await service.deliver(second, platformSource);
+
+            expect(first.delivery_status).toBe("queued");
+            expect(first.next_delivery_at.getTime()).toBeGreaterThanOrEqual(
+                before + 30 * 1000
+            );
+            // Paused account: the second message never reaches the platform
+            expect(stub.requests).toHaveLength(1);
+            expect(second.delivery_attempts).toBe(0);
+            expect(second.next_delivery_at.getTime()).toBeGreaterThan(before);
+        });
+
+        it("should defer sends over the per-account rate limit without using an attempt", async () => {
+            const messages = [1, 2, 3].map((id) => buildMessage({ id }));
+
+            for (const message of messages) {
+                await service.deliver(message, platformSource);
+            }
+
+            expect(stub.requests).toHaveLength(2);
+            expect(messages[2].delivery_status).toBe("queued");
+            expect(messages[2].delivery_attempts).toBe(0);
+            expect(messages[2].next_delivery_at).toBeInstanceOf(Date);
+        });
+    });
+
+    describe("setMessengerProfile", () => {
+        it("should set the configured fields and delete the others", async () => {
+            await service.setMessengerProfile(platformSource, {
+                fields: { get_started: { payload: "GET_STARTED" } },
+                remove: ["greeting", "persistent_menu"],
+            });
+
+            expect(stub.requests).toEqual([
+                {
+                    method: "POST",
+                    body: { get_started: { payload: "GET_STARTED" } },
+                    query: { access_token: "tenant_token" },
+                },
+                {
+                    method: "DELETE",
+                    body: { fields: ["greeting", "persistent_menu"] },
+                    query: { access_token: "tenant_token" },
+                },
+            ]);
+        });
+
+        it("should throw the Graph API error", async () => {
+            stub.responses.push({
+                status: 400,
+                body: {
+                    error: {
+                        message: "persistent_menu requires get_started",
+                        code: 100,
+                    },
+                },
+            });
+
+            await expect(
+                service.setMessengerProfile(platformSource, {
+                    fields: { persistent_menu: [] },
+                    remove: [],
+                })
+            ).rejects.toMatchObject({
+                message: "Send API error: persistent_menu requires get_started",
+                retryable: false,
+            });
+        });
+    });
+
+    describe("classifyError", () => {
+        it("should treat network errors as retryable", () => {
+            const error = service.classifyError(new Error("ECONNRESET"));
+
+            expect(error.retryable).toBe(true);
+            expect(error.rateLimited).toBe(false);
+        });
+    });
+
+    describe("processDue", () => {
+        it("should send queued messages that are due", async () => {
+            const message = buildMessage();
+            Message.findAll.mockResolvedValue([message]);
+
+            const attempted = await service.processDue();
+
+            expect(attempted).toBe(1);
+            expect(message.delivery_status).toBe("sent");
+        });
+
+        it("should not throw when polling fails", async () => {
+            Message.findAll.mockRejectedValue(new Error("Database error"));
+
+            await expect(service.processDue()).resolves.toBe(0);
+            expect(service.isProcessing).toBe(false);
+        });
+    });
+
+    describe("applyReceipt", () => {
+        it("should mark listed messages delivered", async () => {
+            await service.applyReceipt({
+                type: "delivered",
+                platformSourceId: 1,
+                recipientId: "user_1",
+                mids: ["mid.1"],
+            });
+
+            const [values, options] = Message.update.mock.calls[0];
+            expect(values).toMatchObject({ delivery_status: "delivered" });
+            expect(values.delivered_at).toBeInstanceOf(Date);
+            expect(options.where.platform_source_id).toBe(1);
+        });
+
+        it("should mark messages read up to the watermark", async () => {
+            await service.applyReceipt({
+                type: "read",
+                platformSourceId: 1,
+                recipientId: "user_1",
+                watermark: 1700000000000,
+            });
+
+            const [values] = Message.update.mock.calls[0];
+            expect(values).toMatchObject({ delivery_status: "read" });
+            expect(values.read_at).toBeInstanceOf(Date);
+        });
+
+        it("should record why the platform failed a message", async () => {
+            await service.applyReceipt({
+                type: "failed",
+                platformSourceId: 2,
+                recipientId: "34600111222",
+                mids: ["wamid.1"],
+                error: "WhatsApp error 131047: Re-engagement message",
+            });
+
+            const [values, options] = Message.update.mock.calls[0];
+            expect(values).toEqual({
+                delivery_status: "failed",
+                last_delivery_error:
+                    "WhatsApp error 131047: Re-engagement message",
+            });
+            expect(options.where.delivery_status).toEqual({
+                [Op.in]: ["sent"],
+            });
+        });
+
+        it("should ignore receipts without mids or watermark", async () => {
+            await expect(
+                service.applyReceipt({
+                    type: "read",
+                    platformSourceId: 1,
+                    recipientId: "user_1",
+                })
+            ).resolves.toBe(0);
+            expect(Message.update).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("getStats", () => {
+        it("should count messages per delivery status", async () => {
+            Message.count.mockResolvedValue([
+                { delivery_status: "sent", count: 4 },
+                { delivery_status: "failed", count: 1 },
+            ]);
+
+            await expect(service.getStats()).resolves.toEqual({
+                queued: 0,
+                sent: 4,
+                failed: 1,
+                delivered: 0,
+                read: 0,
+            });
+        });
+    });
+});
@@ -0,0 +1,102 @@
+const MessengerPageService = require("../../src/services/messengerPageService");
+const PlatformRoutingService = require("../../src/services/platformRoutingService");
+const { PlatformSource } = require("../../src/models");
+
+jest.mock("../../src/models", () => ({
+    PlatformSource: { findAll: jest.fn(), findOne: jest.fn() },
+}));
+
+describe("MessengerPageService", () => {
+    let service;
+    let messageDelivery;
+    let page;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        messageDelivery = { setMessengerProfile: jest.fn() };
+        service = new MessengerPageService({
+            messageDelivery,
+            platformRouting: new PlatformRoutingService(),
+        });
+        page = {
+            id: 4,
+            platform_name: "Studio Page",
+            is_connected: true,
+            credentials: JSON.stringify({ page_id: "page_1" }),
+            configuration: { ai_enabled: true },
+            update: jest.fn(async function (data) {
+                Object.assign(this, data);
+            }),
+        };
+    });
+
+    it("should list the business's pages", async () => {
+        PlatformSource.findAll.mockResolvedValue([page]);
+
+        const pages = await service.listPages(1);
+
+        expect(PlatformSource.findAll).toHaveBeenCalledWith({
+            where: { business_id: 1, platform_type: "facebook" },
+            order: [["id", "ASC"]],
+        });
+        expect(pages).toEqual([
+            {
+                id: 4,
+                name: "Studio Page",
+                page_id: "page_1",
+                connected: true,
+                messenger_profile: null,
+            },
+        ]);
+    });
+
+    it("should set the profile on Messenger and store it", async () => {
+        PlatformSource.findOne.mockResolvedValue(page);
+
+        const updated = await service.updateProfile(1, 4, {
+            greeting: "Welcome!",
+            persistent_menu: [{ title: "Prices" }],
+        });
+
+        expect(messageDelivery.setMessengerProfile).toHaveBeenCalledWith(
+            page,
+            expect.objectContaining({ remove: [] })
+        );
+        expect(page.update).toHaveBeenCalledWith({
+            configuration: {
+                ai_enabled: true,
+                messenger_profile: {
+                    get_started: true,
+                    greeting: "Welcome!",
+                    persistent_menu: [{ title: "Prices", payload: "Prices" }],
+                },
+            },
+        });
+        expect(updated.messenger_profile.greeting).toBe("Welcome!");
+    });
+
+    it("should reject pages of other businesses", async () => {
+        PlatformSource.findOne.mockResolvedValue(null);
+
+        await expect(service.updateProfile(2, 4, {})).rejects.toMatchObject({
+            code: "PAGE_NOT_FOUND",
+        });
+        expect(messageDelivery.setMessengerProfile).not.toHaveBeenCalled();
+    });
+
+    it("should not store a profile Messenger rejected", async () => {
+        PlatformSource.findOne.mockResolvedValue(page);
+        messageDelivery.setMessengerProfile.mockRejectedValue(
+            new Error("Send API error: Invalid greeting")
+        );
+
+        await expect(
+            service.updateProfile(1, 4, { greeting: "Hi" })
+        ).rejects.toMatchObject({
+            code: "MESSENGER_PROFILE_REJECTED",
+            message:
+                "Messenger rejected the profile: Send API error: Invalid greeting",
+        });
+        expect(page.update).not.toHaveBeenCalled();
+    });
+});
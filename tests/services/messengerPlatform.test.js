@@ -0,0 +1,187 @@
+const {
+    GET_STARTED_PAYLOAD,
+    getPlatformType,
+    toMessagingEvent,
+    buildQuickReplies,
+    validateMessengerProfile,
+    normalizeMessengerProfile,
+    buildMessengerProfile,
+} = require("../../src/services/messengerPlatform");
+
+describe("messengerPlatform", () => {
+    it("should map webhook objects to platform types", () => {
+        expect(getPlatformType("page")).toBe("facebook");
+        expect(getPlatformType("instagram")).toBe("instagram");
+        expect(getPlatformType("whatsapp_business_account")).toBeNull();
+        expect(getPlatformType("constructor")).toBeNull();
+        expect(getPlatformType(undefined)).toBeNull();
+    });
+
+    describe("toMessagingEvent", () => {
+        const event = (fields) => ({
+            sender: { id: "psid_1" },
+            recipient: { id: "page_1" },
+            timestamp: 1780000000000,
+            ...fields,
+        });
+
+        it("should keep messages as they are", () => {
+            const message = event({ message: { mid: "m_1", text: "Hi" } });
+
+            expect(toMessagingEvent(message)).toBe(message);
+        });
+
+        it("should turn Get Started into a greeting", () => {
+            expect(
+                toMessagingEvent(
+                    event({
+                        postback: {
+                            mid: "m_2",
+                            title: "Empezar",
+                            payload: GET_STARTED_PAYLOAD,
+                        },
+                    })
+                )
+            ).toEqual(
+                event({
+                    message: {
+                        mid: "m_2",
+                        text: "Hello",
+                        quick_reply: {
+                            payload: GET_STARTED_PAYLOAD,
+                            title: "Empezar",
+                        },
+                    },
+                })
+            );
+        });
+
+        it("should turn menu postbacks into their title", () => {
+            const mapped = toMessagingEvent(
+                event({
+                    postback: {
+                        title: "Book an appointment",
+                        payload: "BOOK",
+                    },
+                })
+            );
+
+            expect(mapped.postback).toBeUndefined();
+            expect(mapped.message).toEqual({
+                text: "Book an appointment",
+                quick_reply: { payload: "BOOK", title: "Book an appointment" },
+            });
+        });
+    });
+
+    it("should build text quick replies within Messenger's limits", () => {
+        const replies = buildQuickReplies([
+            { title: "Tuesday 4 June, 10:00", payload: "2030-06-04 10:00" },
+            ...Array.from({ length: 14 }, (_, i) => ({
+                title: `Slot ${i}`,
+                payload: `slot_${i}`,
+            })),
+        ]);
+
+        expect(replies).toHaveLength(13);
+        expect(replies[0]).toEqual({
+            content_type: "text",
+            title: "Tuesday 4 June, 10:0",
+            payload: "2030-06-04 10:00",
+        });
+        expect(buildQuickReplies(undefined)).toEqual([]);
+    });
+
+    describe("validateMessengerProfile", () => {
+        it("should accept a full profile", () => {
+            expect(
+                validateMessengerProfile({
+                    get_started: true,
+                    greeting: "Hi {{user_first_name}}!",
+                    persistent_menu: [
+                        { title: "Book an appointment" },
+                        { title: "Prices", payload: "PRICES" },
+                        { title: "Website", url: "https://www.example.com" },
+                    ],
+                })
+            ).toEqual([]);
+            expect(validateMessengerProfile({})).toEqual([]);
+        });
+
+        it("should report each invalid field", () => {
+            expect(
+                validateMessengerProfile({
+                    get_started: false,
+                    greeting: "x".repeat(161),
+                    persistent_menu: [
+                        { title: "" },
+                        { title: "Website", url: "javascript:alert(1)" },
+                    ],
+                })
+            ).toEqual([
+                "greeting must be a string of at most 160 characters",
+                "persistent_menu requires get_started",
+                "persistent_menu[0] title must have 1-30 characters",
+                "persistent_menu[1] url must be an http(s) URL",
+            ]);
+            expect(validateMessengerProfile(null)).toEqual([
+                "profile must be an object",
+            ]);
+        });
+    });
+
+    it("should set configured fields and remove the others", () => {
+        const profile = normalizeMessengerProfile({
+            greeting: " Welcome! ",
+            persistent_menu: [
+                { title: "Book an appointment" },
+                { title: "Website", url: "https://www.example.com" },
+            ],
+        });
+
+        expect(profile).toEqual({
+            get_started: true,
+            greeting: "Welcome!",
+            persistent_menu: [
+                {
+                    title: "Book an appointment",
+                    payload: "Book an appointment",
+                },
+                { title: "Website", url: "https://www.example.com" },
+            ],
+        });
+        expect(buildMessengerProfile(profile)).toEqual({
+            fields: {
+                get_started: { payload: GET_STARTED_PAYLOAD },
+                greeting: [{ locale: "default", text: "Welcome!" }],
+                persistent_menu: [
+                    {
+                        locale: "default",
+                        composer_input_disabled: false,
+                        call_to_actions: [
+                            {
+                                type: "postback",
+                                title: "Book an appointment",
+                                payload: "Book an appointment",
+                            },
+                            {
+                                type: "web_url",
+                                title: "Website",
+                                url: "https://www.example.com",
+                            },
+                        ],
+                    },
+                ],
+            },
+            remove: [],
+        });
+        expect(
+            buildMessengerProfile(
+                normalizeMessengerProfile({ get_started: false })
+            )
+        ).toEqual({
+            fields: {},
+            remove: ["get_started", "greeting", "persistent_menu"],
+        });
+    });
+});
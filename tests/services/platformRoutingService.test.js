@@ -0,0 +1,206 @@
+const PlatformRoutingService = require("../../src/services/platformRoutingService");
+const { PlatformSource, UnroutedWebhookEvent } = require("../../src/models");
+
+jest.mock("../../src/models", () => ({
+    PlatformSource: {
+        findAll: jest.fn(),
+    },
+    UnroutedWebhookEvent: {
+        findOne: jest.fn(),
+        create: jest.fn(),
+    },
+}));
+
+describe("PlatformRoutingService", () => {
+    let service;
+
+    const businessA = {
+        id: 1,
+        business_id: 10,
+        platform_type: "instagram",
+        credentials: { access_token: "a", page_id: "page_a" },
+        configuration: null,
+    };
+    const businessB = {
+        id: 2,
+        business_id: 20,
+        platform_type: "instagram",
+        credentials: JSON.stringify({ access_token: "b" }),
+        configuration: { account_ids: ["ig_b", 12345] },
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        service = new PlatformRoutingService();
+        // Lookups are cached across instances
+        service.clearCache();
+        PlatformSource.findAll.mockResolvedValue([businessA, businessB]);
+    });
+
+    describe("getAccountIds", () => {
+        it("should read IDs from credentials and configuration", () => {
+            expect(service.getAccountIds(businessA)).toEqual(["page_a"]);
+            expect(service.getAccountIds(businessB)).toEqual([
+                "ig_b",
+                "12345",
+            ]);
+        });
+
+        it("should ignore unparseable credentials", () => {
+            expect(
+                service.getAccountIds({ credentials: "not json" })
+            ).toEqual([]);
+        });
+    });
+
+    describe("getEntryAccountId", () => {
+        it("should prefer entry ID over recipient ID", () => {
+            expect(
+                service.getEntryAccountId(
+                    { id: "entry" },
+                    { recipient: { id: "recipient" } }
+                )
+            ).toBe("entry");
+            expect(
+                service.getEntryAccountId({}, { recipient: { id: 42 } })
+            ).toBe("42");
+            expect(service.getEntryAccountId({}, {})).toBeNull();
+        });
+    });
+
+    describe("resolvePlatformSource", () => {
+        it("should resolve the source owning the account", async () => {
+            await expect(
+                service.resolvePlatformSource("instagram", "page_a")
+            ).resolves.toBe(businessA);
+            await expect(
+                service.resolvePlatformSource("instagram", "12345")
+            ).resolves.toBe(businessB);
+            expect(PlatformSource.findAll).toHaveBeenCalledWith({
+                where: { platform_type: "instagram", is_connected: true },
+            });
+        });
+
+        it("should return null for unknown accounts", async () => {
+            await expect(
+                service.resolvePlatformSource("instagram", "nobody")
+            ).resolves.toBeNull();
+        });
+
+        it("should refuse to route an account shared by several businesses", async () => {
+            PlatformSource.findAll.mockResolvedValue([
+                businessA,
+                { ...businessB, credentials: { page_id: "page_a" } },
+            ]);
+
+            await expect(
+                service.resolvePlatformSource("instagram", "page_a")
+            ).resolves.toBeNull();
+        });
+
+        it("should cache successful lookups", async () => {
+            await service.resolvePlatformSource("instagram", "page_a");
+            await service.resolvePlatformSource("instagram", "page_a");
+
+            expect(PlatformSource.findAll).toHaveBeenCalledTimes(1);
+
+            service.clearCache();
+            await service.resolvePlatformSource("instagram", "page_a");
+
+            expect(PlatformSource.findAll).toHaveBeenCalledTimes(2);
+        });
+
+        it("should share the cache and its clearing between instances", async () => {
+            const other = new PlatformRoutingService();
+            await service.resolvePlatformSource("instagram", "page_a");
+            await other.resolvePlatformSource("instagram", "page_a");
+
+            expect(PlatformSource.findAll).toHaveBeenCalledTimes(1);
+
+            other.clearCache();
+            await service.resolvePlatformSource("instagram", "page_a");
+
+            expect(PlatformSource.findAll).toHaveBeenCalledTimes(2);
+        });
+
+        it("should cache unknown accounts briefly", async () => {
+            jest.spyOn(Date, "now").mockReturnValue(1000);
+            await service.resolvePlatformSource("instagram", "nobody");
+            await service.resolvePlatformSource("instagram", "nobody");
+
+            expect(PlatformSource.findAll).toHaveBeenCalledTimes(1);
+
+            Date.now.mockReturnValue(1000 + service.missTtl);
+            await service.resolvePlatformSource("instagram", "nobody");
+
+            expect(PlatformSource.findAll).toHaveBeenCalledTimes(2);
+            Date.now.mockRestore();
+        });
+
+        it("should resolve several accounts with one query", async () => {
+            await expect(
+                service.resolvePlatformSources("instagram", [
+                    "page_a",
+                    "nobody",
+                    null,
+                    "ig_b",
+                ])
+            ).resolves.toEqual([businessA, null, null, businessB]);
+            expect(PlatformSource.findAll).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe("recordUnroutedEvent", () => {
+        it("should create a record for a new account", async () => {
+            UnroutedWebhookEvent.findOne.mockResolvedValue(null);
+
+            await service.recordUnroutedEvent({
+                platformType: "instagram",
+                accountId: "nobody",
+                reason: "unknown_account",
+                senderId: "user_1",
+                payload: { id: "nobody" },
+            });
+
+            expect(UnroutedWebhookEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    platform_type: "instagram",
+                    account_id: "nobody",
+                    reason: "unknown_account",
+                    sender_id: "user_1",
+                    last_payload: { id: "nobody" },
+                })
+            );
+        });
+
+        it("should increment occurrences for a known account", async () => {
+            const existing = { occurrences: 3, update: jest.fn() };
+            UnroutedWebhookEvent.findOne.mockResolvedValue(existing);
+
+            await service.recordUnroutedEvent({
+                platformType: "instagram",
+                accountId: "nobody",
+                reason: "unknown_account",
+            });
+
+            expect(existing.update).toHaveBeenCalledWith(
+                expect.objectContaining({ occurrences: 4 })
+            );
+            expect(UnroutedWebhookEvent.create).not.toHaveBeenCalled();
+        });
+
+        it("should not throw when recording fails", async () => {
+            UnroutedWebhookEvent.findOne.mockRejectedValue(
+                new Error("Database error")
+            );
+
+            await expect(
+                service.recordUnroutedEvent({
+                    platformType: "instagram",
+                    accountId: "nobody",
+                    reason: "unknown_account",
+                })
+            ).resolves.toBeUndefined();
+        });
+    });
+});
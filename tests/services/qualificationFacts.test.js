@@ -0,0 +1,137 @@
+const {
+    LEAD_FACT_FIELDS,
+    CLIENT_FACT_FIELDS,
+    extractFacts,
+    mergeFacts,
+} = require("../../src/services/qualificationFacts");
+
+describe("qualificationFacts", () => {
+    const AT = new Date("2030-06-03T10:00:00Z");
+    const source = {
+        messageId: 51,
+        text: "We have about $3,000 and I sign off. Mail me at Ana@Example.com",
+        at: AT,
+    };
+
+    describe("extractFacts", () => {
+        it("should map the stated facts to their columns", () => {
+            expect(
+                extractFacts({
+                    qualification: {
+                        budget: " about $3,000 ",
+                        timeline: "next month",
+                        decision_maker: "decision_maker",
+                        service_interest: "Website redesign",
+                        email: "Ana@Example.com",
+                        phone: "+34 612 345 678",
+                        name: "Ana López",
+                        company: "Acme",
+                    },
+                })
+            ).toEqual({
+                budget_indication: "about $3,000",
+                timeline_indication: "next month",
+                decision_maker_status: "decision_maker",
+                service_interest: "Website redesign",
+                email: "ana@example.com",
+                phone: "+34 612 345 678",
+                full_name: "Ana López",
+                company_name: "Acme",
+            });
+        });
+
+        it("should drop missing and malformed facts", () => {
+            expect(
+                extractFacts({
+                    qualification: {
+                        budget: null,
+                        timeline: "unknown",
+                        decision_maker: "boss",
+                        email: "ana at example",
+                        phone: "call me",
+                        name: 42,
+                    },
+                })
+            ).toEqual({});
+            expect(extractFacts({ intent: "greeting" })).toEqual({});
+            expect(extractFacts(null)).toEqual({});
+        });
+    });
+
+    describe("mergeFacts", () => {
+        const facts = {
+            budget_indication: "about $3,000",
+            email: "ana@example.com",
+        };
+
+        it("should fill empty fields and say where they came from", () => {
+            expect(
+                mergeFacts(
+                    { budget_indication: null },
+                    facts,
+                    LEAD_FACT_FIELDS,
+                    source
+                )
+            ).toEqual({
+                budget_indication: "about $3,000",
+                fact_sources: {
+                    budget_indication: {
+                        value: "about $3,000",
+                        message_id: 51,
+                        excerpt: source.text,
+                        extracted_at: AT,
+                    },
+                },
+            });
+        });
+
+        it("should replace values read from an earlier message", () => {
+            const client = {
+                email: "ana@old.com",
+                fact_sources: {
+                    email: { value: "ana@old.com", message_id: 12 },
+                    phone: { value: "612345678", message_id: 12 },
+                },
+            };
+
+            const updates = mergeFacts(
+                client,
+                facts,
+                CLIENT_FACT_FIELDS,
+                source
+            );
+
+            expect(updates.email).toBe("ana@example.com");
+            expect(updates.fact_sources.email.message_id).toBe(51);
+            expect(updates.fact_sources.phone.message_id).toBe(12);
+        });
+
+        it("should never overwrite what staff entered or corrected", () => {
+            const entered = { email: "ana@acme.com" };
+            const corrected = {
+                email: "ana@acme.com",
+                fact_sources: { email: { value: "ana@old.com" } },
+            };
+
+            expect(
+                mergeFacts(entered, facts, CLIENT_FACT_FIELDS, source)
+            ).toBeNull();
+            expect(
+                mergeFacts(corrected, facts, CLIENT_FACT_FIELDS, source)
+            ).toBeNull();
+        });
+
+        it("should leave unchanged facts with their first source", () => {
+            const lead = {
+                budget_indication: "about $3,000",
+                fact_sources: {
+                    budget_indication: { value: "about $3,000", message_id: 7 },
+                },
+            };
+
+            expect(
+                mergeFacts(lead, facts, LEAD_FACT_FIELDS, source)
+            ).toBeNull();
+        });
+    });
+});
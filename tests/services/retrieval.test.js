@@ -0,0 +1,194 @@
+const BM25Index = require("../../src/services/retrieval/bm25");
+const VectorStore = require("../../src/services/retrieval/vectorStore");
+const { tokenize } = require("../../src/services/retrieval/tokenizer");
+const {
+    CHUNK_MAX_CHARS,
+    needsChunking,
+    chunkText,
+} = require("../../src/services/retrieval/chunker");
+const {
+    HASHING_MODEL,
+    hashEmbedding,
+} = require("../../src/services/llm/hashingEmbedder");
+
+describe("tokenize", () => {
+    it("should drop stop words and fold plurals", () => {
+        expect(tokenize("What are your opening hours on Saturdays?")).toEqual(
+            ["opening", "hour", "saturday"]
+        );
+        expect(tokenize("Free delivery for 2 cities")).toEqual([
+            "free",
+            "delivery",
+            "2",
+            "city",
+        ]);
+    });
+});
+
+describe("BM25Index", () => {
+    it("should rank documents by keyword relevance", () => {
+        const index = new BM25Index();
+        index.add("hours", "We are open every day from 9 to 5");
+        index.add("shipping", "We ship worldwide, shipping takes a week");
+        index.add("returns", "Returns are free within 30 days");
+
+        const scores = index.score("how long does shipping take");
+
+        expect([...scores.keys()]).toEqual(["shipping"]);
+        expect(scores.get("shipping")).toBeGreaterThan(0);
+        expect(scores.get("shipping")).toBeLessThanOrEqual(1);
+    });
+
+    it("should weight keywords", () => {
+        const index = new BM25Index();
+        index.add("a", "Orders arrive in three days", [
+            { keyword: "delivery", weight: 3 },
+        ]);
+        index.add("b", "Delivery drivers wear uniforms");
+        index.add("c", "Gift cards never expire");
+
+        const scores = index.score("delivery price");
+
+        expect(scores.get("a")).toBeGreaterThan(scores.get("b"));
+    });
+
+    it("should return nothing for queries of stop words only", () => {
+        const index = new BM25Index();
+        index.add("a", "We are open on weekends");
+
+        expect(index.score("are we").size).toBe(0);
+    });
+});
+
+describe("chunkText", () => {
+    it("should keep short text whole", () => {
+        expect(needsChunking("Short section")).toBe(false);
+        expect(chunkText("  Short section  ")).toEqual(["Short section"]);
+    });
+
+    it("should split long text at sentences within the limit", () => {
+        const sentences = Array.from(
+            { length: 60 },
+            (_, i) => `Sentence number ${i} talks about topic ${i}.`
+        );
+        const text = sentences.join(" ");
+
+        const chunks = chunkText(text);
+
+        expect(needsChunking(text)).toBe(true);
+        expect(chunks.length).toBeGreaterThan(1);
+        for (const chunk of chunks) {
+            expect(chunk.length).toBeLessThanOrEqual(CHUNK_MAX_CHARS);
+            expect(chunk).toMatch(/^Sentence number \d+/);
+            expect(chunk).toMatch(/\.$/);
+        }
+        // Every sentence survives, and passages overlap
+        for (const sentence of sentences) {
+            expect(chunks.some((chunk) => chunk.includes(sentence))).toBe(
+                true
+            );
+        }
+        const lastOfFirst = chunks[0].split(". ").pop();
+        expect(chunks[1]).toContain(lastOfFirst);
+    });
+
+    it("should cut run-on text between words", () => {
+        const chunks = chunkText("word ".repeat(500), { maxChars: 100 });
+
+        expect(chunks.length).toBeGreaterThan(1);
+        for (const chunk of chunks) {
+            expect(chunk.length).toBeLessThanOrEqual(100);
+            expect(chunk).toMatch(/^word( word)*$/);
+        }
+    });
+});
+
+describe("VectorStore", () => {
+    const query = {
+        text: "opening hours",
+        embedding: [1, 0],
+        model: "text-embedding-3-small",
+    };
+    const embeddingService = {
+        similarity: jest.fn((q, vector, model) =>
+            model === q.model && vector ? vector[0] : null
+        ),
+    };
+    const Model = {
+        getTableName: () => "faq_items",
+        rawAttributes: { combined_embedding: { type: { key: "ARRAY" } } },
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it("should score loaded vectors in process without pgvector", async () => {
+        const store = new VectorStore({ embeddingService });
+
+        const scores = await store.score(
+            Model,
+            "combined_embedding",
+            [
+                {
+                    id: 1,
+                    combined_embedding: [0.9, 0.1],
+                    embedding_model: "text-embedding-3-small",
+                },
+                { id: 2, combined_embedding: null, embedding_model: null },
+            ],
+            query
+        );
+
+        expect(await store.rowAttributes(["combined_embedding"])).toBe(
+            undefined
+        );
+        expect([...scores]).toEqual([[1, 0.9]]);
+    });
+
+    it("should score in the database with pgvector", async () => {
+        const sequelize = {
+            getDialect: () => "postgres",
+            getQueryInterface: () => ({
+                quoteTable: (name) => `"${name}"`,
+                quoteIdentifier: (name) => `"${name}"`,
+            }),
+            query: jest
+                .fn()
+                .mockResolvedValueOnce([{ "?column?": 1 }])
+                .mockResolvedValueOnce([{ id: 1, similarity: "0.82" }])
+                .mockResolvedValueOnce([{ id: 2, similarity: "0.4" }]),
+        };
+        const store = new VectorStore({ sequelize, embeddingService });
+
+        const scores = await store.score(
+            Model,
+            "combined_embedding",
+            [
+                { id: 1, embedding_model: "text-embedding-3-small" },
+                { id: 2, embedding_model: HASHING_MODEL },
+            ],
+            query
+        );
+
+        expect(await store.rowAttributes(["combined_embedding"])).toEqual({
+            exclude: ["combined_embedding"],
+        });
+        expect([...scores]).toEqual([
+            [1, 0.82],
+            [2, 0.4],
+        ]);
+        const [sql, options] = sequelize.query.mock.calls[1];
+        expect(sql).toContain('"combined_embedding"::vector <=>');
+        expect(options.replacements).toEqual({
+            vector: "[1,0]",
+            ids: [1],
+            model: "text-embedding-3-small",
+        });
+        // Locally hashed rows are compared with the hashed query
+        expect(sequelize.query.mock.calls[2][1].replacements.vector).toBe(
+            `[${hashEmbedding("opening hours").join(",")}]`
+        );
+        expect(embeddingService.similarity).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,151 @@
+const net = require("net");
+const { sendMail } = require("../../src/services/smtpClient");
+
+/**
+ * Local SMTP sink: answers every command like a submission server and
+ * records what it received. replies overrides the reply to a command
+ */
+const startSink = (replies = {}) =>
+    new Promise((resolve) => {
+        const received = { commands: [], data: null };
+        const server = net.createServer((socket) => {
+            let buffer = "";
+            let inData = false;
+            const reply = (command, fallback) =>
+                socket.write(`${replies[command] || fallback}\r\n`);
+
+            socket.write("220 sink.test ESMTP\r\n");
+            socket.on("data", (chunk) => {
+                buffer += chunk.toString("utf8");
+                let end;
+                while ((end = buffer.indexOf("\r\n")) !== -1) {
+                    const line = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+
+                    if (inData) {
+                        if (line === ".") {
+                            inData = false;
+                            reply("DOT", "250 2.0.0 Ok: queued as ABC123");
+                        } else {
+                            received.data.push(line);
+                        }
+                        continue;
+                    }
+
+                    received.commands.push(line);
+                    const [command] = line.split(/[ :]/);
+                    if (command === "EHLO") {
+                        reply(
+                            "EHLO",
+                            "250-sink.test\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME"
+                        );
+                    } else if (command === "AUTH") {
+                        reply("AUTH", "235 2.7.0 Authentication successful");
+                    } else if (command === "DATA") {
+                        received.data = [];
+                        inData = !replies.DATA;
+                        reply("DATA", "354 End data with <CR><LF>.<CR><LF>");
+                    } else if (command === "QUIT") {
+                        reply("QUIT", "221 Bye");
+                        socket.end();
+                    } else {
+                        reply(command, "250 Ok");
+                    }
+                }
+            });
+        });
+        server.listen(0, "127.0.0.1", () =>
+            resolve({ server, port: server.address().port, received })
+        );
+    });
+
+describe("smtpClient", () => {
+    let sink;
+
+    const send = (overrides = {}) =>
+        sendMail({
+            host: "127.0.0.1",
+            port: sink.port,
+            from: "support@shop.test",
+            to: ["ana@example.com"],
+            data: "Subject: Hi\r\n\r\nHello\r\n.hidden dot\r\n",
+            timeoutMs: 2000,
+            ...overrides,
+        });
+
+    afterEach(async () => {
+        await new Promise((resolve) => sink.server.close(resolve));
+    });
+
+    it("should submit the message with a dot-stuffed DATA section", async () => {
+        sink = await startSink();
+
+        const result = await send();
+
+        expect(result).toEqual({ response: "2.0.0 Ok: queued as ABC123" });
+        expect(sink.received.commands).toEqual([
+            expect.stringMatching(/^EHLO \S+$/),
+            "MAIL FROM:<support@shop.test>",
+            "RCPT TO:<ana@example.com>",
+            "DATA",
+            "QUIT",
+        ]);
+        expect(sink.received.data).toEqual([
+            "Subject: Hi",
+            "",
+            "Hello",
+            "..hidden dot",
+        ]);
+    });
+
+    it("should authenticate with AUTH PLAIN", async () => {
+        sink = await startSink();
+
+        await send({ username: "support", password: "s3cret" });
+
+        const expected = Buffer.from("\0support\0s3cret").toString("base64");
+        expect(sink.received.commands).toContain(`AUTH PLAIN ${expected}`);
+    });
+
+    it("should reject with the reply code of a refused recipient", async () => {
+        sink = await startSink({ RCPT: "550 5.1.1 No such user" });
+
+        await expect(send()).rejects.toMatchObject({
+            message: "RCPT failed: 550 5.1.1 No such user",
+            responseCode: 550,
+        });
+    });
+
+    it("should keep credentials out of errors", async () => {
+        sink = await startSink({ AUTH: "535 5.7.8 Bad credentials" });
+
+        const error = await send({
+            username: "support",
+            password: "s3cret",
+        }).catch((e) => e);
+
+        expect(error.responseCode).toBe(535);
+        expect(error.message).toBe("AUTH failed: 535 5.7.8 Bad credentials");
+    });
+
+    it("should refuse invalid addresses before connecting", async () => {
+        sink = await startSink();
+
+        await expect(
+            send({ to: ["ana@example.com>\r\nRCPT TO:<x@y.z"] })
+        ).rejects.toMatchObject({ responseCode: 501 });
+        expect(sink.received.commands).toEqual([]);
+    });
+
+    it("should fail without a reply code when the server is unreachable", async () => {
+        sink = await startSink();
+        const port = sink.port;
+        await new Promise((resolve) => sink.server.close(resolve));
+        sink = await startSink();
+
+        const error = await send({ port }).catch((e) => e);
+
+        expect(error.code).toBe("ECONNREFUSED");
+        expect(error.responseCode).toBeUndefined();
+    });
+});
@@ -0,0 +1,157 @@
+const {
+    getBotId,
+    messageKey,
+    toMessagingEvent,
+    buildSendMessage,
+} = require("../../src/services/telegramBotApi");
+
+describe("telegramBotApi", () => {
+    const BOT_ID = "7001";
+    const privateChat = { id: 55501, type: "private" };
+    const update = (message) => ({
+        update_id: 1,
+        message: {
+            message_id: 12,
+            date: 1780000000,
+            chat: privateChat,
+            from: { id: 55501, first_name: "Ana" },
+            ...message,
+        },
+    });
+
+    it("should read the bot ID from the token", () => {
+        expect(getBotId("7001:AAHsecret")).toBe("7001");
+        expect(getBotId("invalid")).toBeNull();
+        expect(getBotId(undefined)).toBeNull();
+    });
+
+    describe("toMessagingEvent", () => {
+        it("should map private text messages with the chat as sender", () => {
+            expect(toMessagingEvent(update({ text: "Hola" }), BOT_ID)).toEqual({
+                sender: { id: "55501" },
+                timestamp: 1780000000000,
+                message: { mid: "7001:55501:12", text: "Hola" },
+            });
+        });
+
+        it("should greet customers opening the bot", () => {
+            const event = toMessagingEvent(update({ text: "/start" }), BOT_ID);
+
+            expect(event.message.text).toBe("Hello");
+        });
+
+        it("should keep the largest photo with the caption as text", () => {
+            const event = toMessagingEvent(
+                update({
+                    photo: [
+                        { file_id: "small", width: 90 },
+                        { file_id: "large", width: 1280 },
+                    ],
+                    caption: "This one",
+                }),
+                BOT_ID
+            );
+
+            expect(event.message).toEqual({
+                mid: "7001:55501:12",
+                text: "This one",
+                attachments: [{ type: "image", payload: { file_id: "large" } }],
+            });
+        });
+
+        it("should keep the message a customer replied to", () => {
+            const event = toMessagingEvent(
+                update({
+                    text: "Yes",
+                    reply_to_message: { message_id: 9, chat: privateChat },
+                }),
+                BOT_ID
+            );
+
+            expect(event.message.reply_to).toEqual({
+                mid: messageKey(BOT_ID, 55501, 9),
+            });
+        });
+
+        it("should map button presses to quick replies", () => {
+            const event = toMessagingEvent(
+                {
+                    update_id: 2,
+                    callback_query: {
+                        id: "cb1",
+                        data: "2030-06-04 10:00",
+                        message: {
+                            message_id: 13,
+                            chat: privateChat,
+                            reply_markup: {
+                                inline_keyboard: [
+                                    [
+                                        {
+                                            text: "10:00",
+                                            callback_data: "2030-06-04 10:00",
+                                        },
+                                    ],
+                                ],
+                            },
+                        },
+                    },
+                },
+                BOT_ID
+            );
+
+            expect(event).toEqual({
+                sender: { id: "55501" },
+                callback_query: { id: "cb1" },
+                message: {
+                    mid: "7001:55501:callback:cb1",
+                    text: "10:00",
+                    quick_reply: {
+                        payload: "2030-06-04 10:00",
+                        title: "10:00",
+                    },
+                },
+            });
+        });
+
+        it("should leave out group chats and edits", () => {
+            expect(
+                toMessagingEvent(
+                    update({ text: "Hi", chat: { id: -10, type: "group" } }),
+                    BOT_ID
+                )
+            ).toBeNull();
+            expect(
+                toMessagingEvent(
+                    { update_id: 3, edited_message: { text: "Hi" } },
+                    BOT_ID
+                )
+            ).toBeNull();
+        });
+    });
+
+    describe("buildSendMessage", () => {
+        it("should send quick replies as inline keyboard buttons", () => {
+            expect(
+                buildSendMessage("55501", { text: "Which time?" }, [
+                    { title: "10:00", payload: "2030-06-04 10:00" },
+                    { title: "Too long", payload: "x".repeat(65) },
+                ])
+            ).toEqual({
+                chat_id: "55501",
+                text: "Which time?",
+                reply_markup: {
+                    inline_keyboard: [
+                        [{ text: "10:00", callback_data: "2030-06-04 10:00" }],
+                    ],
+                },
+            });
+        });
+
+        it("should send plain text without quick replies", () => {
+            expect(buildSendMessage("55501", { text: "Hi" })).toEqual({
+                chat_id: "55501",
+                text: "Hi",
+            });
+        });
+    });
+});
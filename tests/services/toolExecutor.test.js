@@ -0,0 +1,777 @@
+const ToolExecutor = require("../../src/services/tools/toolExecutor");
+const ToolRegistry = require("../../src/services/tools/toolRegistry");
+const {
+    createBuiltinTools,
+    availabilityTool,
+    bookAppointmentTool,
+    listAppointmentsTool,
+    rescheduleAppointmentTool,
+    cancelAppointmentTool,
+    leadScoringTool,
+} = require("../../src/services/tools/builtinTools");
+const LLMService = require("../../src/services/llm");
+const ScriptedProvider = require("../../src/services/llm/scriptedProvider");
+const AppointmentService = require("../../src/services/appointmentService");
+const {
+    Business,
+    ToolExecution,
+    Appointment,
+    Client,
+    Conversation,
+} = require("../../src/models");
+
+jest.mock("../../src/models", () => ({
+    sequelize: {
+        transaction: jest.fn((work) => work({ LOCK: { UPDATE: "UPDATE" } })),
+    },
+    Business: {
+        findByPk: jest.fn(),
+    },
+    ToolExecution: {
+        create: jest.fn(),
+    },
+    Appointment: {
+        findAll: jest.fn(),
+        findOne: jest.fn(),
+        create: jest.fn(),
+    },
+    Client: {
+        findOne: jest.fn(),
+    },
+    Conversation: {
+        findOne: jest.fn(),
+        update: jest.fn(),
+    },
+}));
+
+describe("ToolRegistry", () => {
+    const tools = createBuiltinTools({
+        contextSearchService: {},
+        processor: {},
+    });
+
+    it("should offer only the tools a business enabled", () => {
+        const registry = new ToolRegistry(tools);
+
+        const defaults = registry.getEnabledTools({ ai_tool_functions: null });
+        const custom = registry.getEnabledTools({
+            ai_tool_functions: [
+                { id: "auto_response", is_enabled: false },
+                { id: "appointment_scheduler", is_enabled: true },
+                { id: "not_implemented", is_enabled: true },
+            ],
+        });
+
+        expect(defaults.map((tool) => tool.id)).toEqual([
+            "auto_response",
+            "sentiment_analysis",
+            "intent_classification",
+        ]);
+        expect(custom.map((tool) => tool.functionName)).toEqual([
+            "check_availability",
+            "book_appointment",
+            "list_my_appointments",
+            "reschedule_appointment",
+            "cancel_appointment",
+        ]);
+    });
+
+    it("should find tools by flag and by function name", () => {
+        const registry = new ToolRegistry(tools);
+
+        expect(registry.get("appointment_scheduler").functionName).toBe(
+            "check_availability"
+        );
+        expect(registry.getByFunctionName("cancel_appointment").id).toBe(
+            "appointment_scheduler"
+        );
+        expect(registry.getByFunctionName("unknown")).toBeNull();
+    });
+
+    it("should describe tools in the OpenAI format", () => {
+        const [definition] = ToolRegistry.toDefinitions([tools[0]]);
+
+        expect(definition).toEqual({
+            type: "function",
+            function: {
+                name: "search_knowledge",
+                description: expect.any(String),
+                parameters: tools[0].parameters,
+            },
+        });
+    });
+
+    it("should check arguments against the schema", () => {
+        const schema = leadScoringTool().parameters;
+
+        expect(
+            ToolRegistry.validateArguments(schema, {
+                interest_level: "high",
+                budget_confirmed: true,
+            })
+        ).toEqual([]);
+        expect(
+            ToolRegistry.validateArguments(schema, {
+                budget_confirmed: "yes",
+                timeline: "someday",
+                discount: 50,
+            })
+        ).toEqual([
+            "interest_level is required",
+            "budget_confirmed must be a boolean",
+            "timeline must be one of: immediate, within_month, later, unknown",
+            'Unknown argument "discount"',
+        ]);
+        expect(ToolRegistry.validateArguments(schema, "high")).toEqual([
+            "Arguments must be an object",
+        ]);
+    });
+});
+
+describe("ToolExecutor", () => {
+    const context = {
+        businessId: 7,
+        conversationId: 70,
+        channel: "instagram",
+        sandbox: false,
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        ToolExecution.create.mockResolvedValue({});
+    });
+
+    describe("execute", () => {
+        it("should run the tool and audit the call", async () => {
+            const executor = new ToolExecutor();
+
+            const execution = await executor.execute(
+                leadScoringTool(),
+                { interest_level: "high", budget_confirmed: true },
+                context
+            );
+
+            expect(execution).toMatchObject({
+                tool_id: "lead_scoring",
+                function_name: "score_lead",
+                status: "success",
+                result: { lead_score: 60, tier: "warm" },
+                error: null,
+            });
+            expect(ToolExecution.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    business_id: 7,
+                    conversation_id: 70,
+                    tool_id: "lead_scoring",
+                    channel: "instagram",
+                    sandbox: false,
+                    status: "success",
+                    arguments: {
+                        interest_level: "high",
+                        budget_confirmed: true,
+                    },
+                    result: execution.result,
+                    latency_ms: expect.any(Number),
+                })
+            );
+        });
+
+        it("should reject invalid arguments without running the tool", async () => {
+            const tool = { ...leadScoringTool(), execute: jest.fn() };
+            const executor = new ToolExecutor();
+
+            const execution = await executor.execute(tool, {}, context);
+
+            expect(execution.status).toBe("rejected");
+            expect(execution.error).toBe("interest_level is required");
+            expect(tool.execute).not.toHaveBeenCalled();
+            expect(ToolExecution.create).toHaveBeenCalledWith(
+                expect.objectContaining({ status: "rejected" })
+            );
+        });
+
+        it("should report failures and time limits as errors", async () => {
+            const executor = new ToolExecutor({ timeout: 20 });
+            const failing = {
+                ...leadScoringTool(),
+                execute: jest.fn().mockRejectedValue(new Error("DB down")),
+            };
+            const slow = {
+                ...leadScoringTool(),
+                execute: () => new Promise(() => {}),
+            };
+            const args = { interest_level: "low" };
+
+            const failed = await executor.execute(failing, args, context);
+            const timedOut = await executor.execute(slow, args, context);
+
+            expect(failed).toMatchObject({ status: "error", error: "DB down" });
+            expect(timedOut).toMatchObject({
+                status: "error",
+                error: "score_lead timed out after 20ms",
+            });
+        });
+
+        it("should abort timed-out calls and record late completions", async () => {
+            const record = { id: 3, update: jest.fn() };
+            ToolExecution.create.mockResolvedValue(record);
+            const executor = new ToolExecutor({ timeout: 20 });
+            let signal;
+            let finish;
+            const late = {
+                ...leadScoringTool(),
+                execute: (args, callContext) => {
+                    signal = callContext.signal;
+                    return new Promise((resolve) => {
+                        finish = resolve;
+                    });
+                },
+            };
+
+            const execution = await executor.execute(
+                late,
+                { interest_level: "low" },
+                context
+            );
+            expect(execution.status).toBe("error");
+            expect(signal.aborted).toBe(true);
+            expect(signal.reason.code).toBe("TOOL_TIMEOUT");
+
+            finish({ score: 10 });
+            await new Promise((resolve) => setImmediate(resolve));
+
+            expect(record.update).toHaveBeenCalledWith({
+                status: "completed_late",
+                result: { score: 10 },
+                latency_ms: expect.any(Number),
+            });
+        });
+
+        it("should not fail the call when the audit cannot be written", async () => {
+            ToolExecution.create.mockRejectedValue(new Error("DB down"));
+            const executor = new ToolExecutor();
+
+            const execution = await executor.execute(
+                leadScoringTool(),
+                { interest_level: "medium" },
+                context
+            );
+
+            expect(execution.status).toBe("success");
+        });
+    });
+
+    describe("complete", () => {
+        const searchContexts = jest.fn();
+        const createExecutor = (rules, provider = "scripted") => {
+            const scripted = new ScriptedProvider({ rules });
+            const llm = new LLMService({
+                providers: { scripted },
+                defaultProvider: provider,
+            });
+            const executor = new ToolExecutor({
+                llm,
+                registry: new ToolRegistry(
+                    createBuiltinTools({
+                        contextSearchService: { searchContexts },
+                        processor: {},
+                    })
+                ),
+            });
+            return { executor, scripted };
+        };
+        let businessId = 500;
+        const withFlags = (flags) => {
+            businessId += 1;
+            Business.findByPk.mockResolvedValue({
+                id: businessId,
+                ai_settings: null,
+                ai_tool_functions: flags,
+            });
+            return businessId;
+        };
+
+        it("should run the calls the model makes and answer with the results", async () => {
+            searchContexts.mockResolvedValue({
+                results: [
+                    {
+                        type: "faq",
+                        section_name: "FAQ: Delivery",
+                        content: "Delivery takes 2 days",
+                        similarity_score: 0.8,
+                    },
+                ],
+            });
+            const { executor, scripted } = createExecutor([
+                {
+                    task: "reply",
+                    match: "delivery",
+                    toolCalls: [
+                        {
+                            name: "search_knowledge",
+                            arguments: { query: "delivery time" },
+                        },
+                    ],
+                    reply: (request) => {
+                        const result = JSON.parse(
+                            request.messages[request.messages.length - 1]
+                                .content
+                        );
+                        return `It takes ${result.results[0].content.slice(-6)}.`;
+                    },
+                },
+            ]);
+            const executions = [];
+
+            const completion = await executor.complete(
+                "reply",
+                {
+                    businessId: withFlags(null),
+                    messages: [{ role: "user", content: "How long is delivery?" }],
+                },
+                { ...context, executions }
+            );
+
+            expect(completion.content).toBe("It takes 2 days.");
+            expect(executions).toHaveLength(1);
+            expect(completion.toolExecutions).toBe(executions);
+            expect(searchContexts).toHaveBeenCalledWith(
+                expect.objectContaining({ query: "delivery time", limit: 3 })
+            );
+            const [first, second] = scripted.calls;
+            expect(first.tools.map((t) => t.function.name)).toEqual([
+                "search_knowledge",
+            ]);
+            expect(first.messages[0].role).toBe("system");
+            expect(second.messages.slice(-2)).toEqual([
+                {
+                    role: "assistant",
+                    content: null,
+                    tool_calls: [
+                        {
+                            id: "call_1_0",
+                            type: "function",
+                            function: {
+                                name: "search_knowledge",
+                                arguments: '{"query":"delivery time"}',
+                            },
+                        },
+                    ],
+                },
+                expect.objectContaining({
+                    role: "tool",
+                    tool_call_id: "call_1_0",
+                }),
+            ]);
+        });
+
+        it("should refuse calls to tools the business disabled", async () => {
+            const { executor } = createExecutor([
+                {
+                    task: "reply",
+                    toolCalls: [
+                        {
+                            name: "check_availability",
+                            arguments: { date: "2030-01-01" },
+                        },
+                    ],
+                    reply: "Let me check with the team.",
+                },
+            ]);
+            const executions = [];
+
+            const completion = await executor.complete(
+                "reply",
+                {
+                    businessId: withFlags([
+                        { id: "auto_response", is_enabled: true },
+                        { id: "appointment_scheduler", is_enabled: false },
+                    ]),
+                    messages: [{ role: "user", content: "Free on Monday?" }],
+                },
+                { ...context, executions }
+            );
+
+            expect(completion.content).toBe("Let me check with the team.");
+            expect(executions[0]).toMatchObject({
+                tool_id: "appointment_scheduler",
+                status: "rejected",
+                error: 'Function "check_availability" is not available',
+            });
+        });
+
+        it("should stop calling tools after the last round", async () => {
+            const { executor, scripted } = createExecutor([
+                {
+                    task: "reply",
+                    reply: "Done.",
+                },
+            ]);
+            // A model that keeps calling functions whenever it may
+            const chat = scripted.chat.bind(scripted);
+            scripted.chat = async (request) =>
+                request.toolChoice === "none"
+                    ? chat(request)
+                    : {
+                          content: null,
+                          toolCalls: [
+                              {
+                                  id: "loop",
+                                  name: "search_knowledge",
+                                  arguments: '{"query":"again"}',
+                              },
+                          ],
+                      };
+            searchContexts.mockResolvedValue({ results: [] });
+            const executions = [];
+
+            const completion = await executor.complete(
+                "reply",
+                {
+                    businessId: withFlags(null),
+                    messages: [{ role: "user", content: "Hi" }],
+                },
+                { ...context, executions }
+            );
+
+            expect(completion.content).toBe("Done.");
+            expect(executions).toHaveLength(ToolExecutor.MAX_TOOL_ROUNDS);
+        });
+
+        it("should complete without tools when none are enabled", async () => {
+            const { executor, scripted } = createExecutor([]);
+
+            await executor.complete("reply", {
+                businessId: withFlags([
+                    { id: "auto_response", is_enabled: false },
+                ]),
+                messages: [{ role: "user", content: "Hi" }],
+            });
+
+            expect(scripted.calls[0].tools).toBeUndefined();
+            expect(scripted.calls[0].messages).toHaveLength(1);
+        });
+
+        it("should complete without tools when the provider cannot call them", async () => {
+            const { executor } = createExecutor([]);
+            executor.llm.providers.scripted.capabilities.tools = false;
+
+            const { tools } = await executor.getCallableTools(
+                "reply",
+                withFlags(null)
+            );
+
+            expect(tools).toEqual([]);
+        });
+    });
+});
+
+describe("built-in tools", () => {
+    describe("check_availability", () => {
+        // Monday 2030-06-03, 08:00 UTC
+        const appointmentService = new AppointmentService({
+            now: () => new Date("2030-06-03T08:00:00Z"),
+        });
+        const tool = availabilityTool({ appointmentService });
+        const business = (settings) => ({
+            id: 1,
+            timezone: "UTC",
+            calendar_settings: { is_enabled: true, ...settings },
+        });
+
+        beforeEach(() => {
+            Appointment.findAll.mockResolvedValue([]);
+        });
+
+        it("should list the open times of a working day", async () => {
+            Appointment.findAll.mockResolvedValue([
+                {
+                    start_time: new Date("2030-06-04T10:00:00Z"),
+                    end_time: new Date("2030-06-04T16:00:00Z"),
+                },
+            ]);
+
+            const result = await tool.execute(
+                { date: "2030-06-04" },
+                {
+                    business: business({
+                        appointment_duration: 45,
+                        buffer_time: 0,
+                    }),
+                }
+            );
+
+            expect(result).toEqual({
+                date: "2030-06-04",
+                weekday: "tuesday",
+                timezone: "UTC",
+                available: true,
+                appointment_duration_minutes: 45,
+                open_times: ["09:00", "16:00"],
+            });
+        });
+
+        it("should explain why a date cannot be booked", async () => {
+            const check = (date, settings) =>
+                tool.execute({ date }, { business: business(settings) });
+
+            expect((await check("2030-06-01", {})).reason).toBe(
+                "date_in_past"
+            );
+            expect(
+                (await check("2030-06-20", { max_advance_booking: 7 })).reason
+            ).toBe("too_far_ahead");
+            expect((await check("2030-06-08", {})).reason).toBe("closed");
+            expect(
+                (await check("2030-06-04", { is_enabled: false })).reason
+            ).toBe("booking_disabled");
+
+            Appointment.findAll.mockResolvedValue([
+                {
+                    start_time: new Date("2030-06-04T09:00:00Z"),
+                    end_time: new Date("2030-06-04T17:00:00Z"),
+                },
+            ]);
+            expect((await check("2030-06-04", {})).reason).toBe(
+                "fully_booked"
+            );
+        });
+
+        it("should reject dates that do not exist", async () => {
+            await expect(
+                tool.execute({ date: "2030-02-30" }, { business: business() })
+            ).rejects.toMatchObject({ code: "TOOL_INVALID_ARGUMENTS" });
+        });
+    });
+
+    describe("appointment booking", () => {
+        // Monday 2030-06-03, 08:00 UTC
+        const NOW = new Date("2030-06-03T08:00:00Z");
+        const appointmentService = new AppointmentService({ now: () => NOW });
+        const services = { appointmentService };
+        const business = {
+            id: 1,
+            timezone: "UTC",
+            calendar_settings: {
+                is_enabled: true,
+                auto_confirm: true,
+                timezone: "Europe/Madrid",
+            },
+        };
+        const context = (extra) => ({
+            business,
+            businessId: 1,
+            conversationId: 70,
+            clientId: 5,
+            sandbox: false,
+            ...extra,
+        });
+        const existing = (fields) => {
+            const appointment = {
+                id: 10,
+                business_id: 1,
+                client_id: 5,
+                status: "confirmed",
+                start_time: new Date("2030-06-04T08:00:00Z"),
+                duration_minutes: 60,
+                timezone: "Europe/Madrid",
+                reschedule_count: 0,
+                ...fields,
+            };
+            appointment.update = jest.fn(async (changes) =>
+                Object.assign(appointment, changes)
+            );
+            Appointment.findOne.mockResolvedValue(appointment);
+            return appointment;
+        };
+
+        beforeEach(() => {
+            jest.clearAllMocks();
+            Appointment.findAll.mockResolvedValue([]);
+            Appointment.create.mockImplementation(async (data) => ({
+                id: 11,
+                ...data,
+            }));
+            Client.findOne.mockResolvedValue({ id: 5 });
+            Conversation.findOne.mockResolvedValue({ id: 70, client_id: 5 });
+        });
+
+        it("should tell the model today's date in the calendar timezone", () => {
+            const guidance = availabilityTool(services).guidance(context());
+
+            expect(guidance).toContain(
+                "Today is monday 2030-06-03, 10:00 in Europe/Madrid"
+            );
+        });
+
+        it("should book a local time for the conversation's customer", async () => {
+            const result = await bookAppointmentTool(services).execute(
+                { date: "2030-06-05", time: "11:30", notes: "Haircut" },
+                context()
+            );
+
+            expect(Appointment.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    client_id: 5,
+                    conversation_id: 70,
+                    start_time: new Date("2030-06-05T09:30:00Z"),
+                    source: "bot",
+                    notes: "Haircut",
+                }),
+                expect.anything()
+            );
+            expect(result).toEqual({
+                booked: true,
+                appointment_id: 11,
+                date: "2030-06-05",
+                weekday: "wednesday",
+                time: "11:30",
+                timezone: "Europe/Madrid",
+                duration_minutes: 60,
+                status: "confirmed",
+            });
+            expect(Conversation.update).toHaveBeenCalledWith(
+                { funnel_state: "converted" },
+                { where: { id: 70, business_id: 1 } }
+            );
+        });
+
+        it("should not book once the call was aborted", async () => {
+            const controller = new AbortController();
+            controller.abort(new Error("book_appointment timed out"));
+
+            await expect(
+                bookAppointmentTool(services).execute(
+                    { date: "2030-06-05", time: "11:30" },
+                    context({ signal: controller.signal })
+                )
+            ).rejects.toThrow("book_appointment timed out");
+            expect(Appointment.create).not.toHaveBeenCalled();
+        });
+
+        it("should only check the booking in the sandbox", async () => {
+            const result = await bookAppointmentTool(services).execute(
+                { date: "2030-06-05", time: "11:30" },
+                context({ sandbox: true, clientId: null })
+            );
+
+            expect(result).toMatchObject({
+                booked: true,
+                simulated: true,
+                appointment_id: null,
+                time: "11:30",
+            });
+            expect(Appointment.create).not.toHaveBeenCalled();
+        });
+
+        it("should report a time that cannot be booked", async () => {
+            Appointment.findAll.mockResolvedValue([
+                {
+                    start_time: new Date("2030-06-05T09:00:00Z"),
+                    end_time: new Date("2030-06-05T10:00:00Z"),
+                },
+            ]);
+
+            const result = await bookAppointmentTool(services).execute(
+                { date: "2030-06-05", time: "11:30" },
+                context()
+            );
+
+            expect(result).toEqual({ booked: false, reason: "conflict" });
+        });
+
+        it("should list the customer's upcoming appointments", async () => {
+            Appointment.findAll.mockResolvedValue([
+                { ...existing(), service: { service_name: "Haircut" } },
+            ]);
+
+            const result = await listAppointmentsTool(services).execute(
+                {},
+                context()
+            );
+
+            expect(Appointment.findAll.mock.calls[0][0].where).toMatchObject({
+                business_id: 1,
+                client_id: 5,
+            });
+            expect(result.appointments).toEqual([
+                expect.objectContaining({
+                    appointment_id: 10,
+                    date: "2030-06-04",
+                    time: "10:00",
+                    service: "Haircut",
+                }),
+            ]);
+        });
+
+        it("should reschedule and cancel the customer's own appointments", async () => {
+            const appointment = existing();
+
+            const moved = await rescheduleAppointmentTool(services).execute(
+                { appointment_id: 10, date: "2030-06-06", time: "15:00" },
+                context()
+            );
+            expect(moved).toMatchObject({
+                rescheduled: true,
+                date: "2030-06-06",
+                time: "15:00",
+            });
+            expect(appointment.reschedule_count).toBe(1);
+
+            const cancelled = await cancelAppointmentTool(services).execute(
+                { appointment_id: 10 },
+                context()
+            );
+            expect(cancelled).toMatchObject({
+                cancelled: true,
+                status: "cancelled",
+            });
+            expect(appointment.cancellation_reason).toBe(
+                "Cancelled by the customer"
+            );
+        });
+
+        it("should not cancel once the call was aborted", async () => {
+            const appointment = existing();
+            const controller = new AbortController();
+            controller.abort(new Error("cancel_appointment timed out"));
+
+            await expect(
+                cancelAppointmentTool(services).execute(
+                    { appointment_id: 10 },
+                    context({ signal: controller.signal })
+                )
+            ).rejects.toThrow("cancel_appointment timed out");
+            expect(appointment.update).not.toHaveBeenCalled();
+        });
+
+        it("should not touch other customers' appointments", async () => {
+            const appointment = existing({ client_id: 6 });
+
+            await expect(
+                cancelAppointmentTool(services).execute(
+                    { appointment_id: 10 },
+                    context()
+                )
+            ).rejects.toMatchObject({ code: "APPOINTMENT_NOT_FOUND" });
+            expect(appointment.update).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("score_lead", () => {
+        it("should score qualified leads as hot", async () => {
+            const result = await leadScoringTool().execute({
+                interest_level: "high",
+                budget_confirmed: true,
+                timeline: "immediate",
+                decision_maker: true,
+            });
+
+            expect(result).toEqual({
+                lead_score: 100,
+                tier: "hot",
+                next_action: "offer_booking_or_call",
+            });
+        });
+    });
+});
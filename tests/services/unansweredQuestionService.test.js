@@ -0,0 +1,102 @@
+const UnansweredQuestionService = require("../../src/services/unansweredQuestionService");
+const { UnansweredQuestion } = require("../../src/models");
+
+jest.mock("../../src/models", () => ({
+    UnansweredQuestion: {
+        findOne: jest.fn(),
+        create: jest.fn(),
+    },
+}));
+
+describe("UnansweredQuestionService", () => {
+    let service;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        service = new UnansweredQuestionService();
+    });
+
+    describe("track", () => {
+        it("should record a live conversation question", async () => {
+            UnansweredQuestion.findOne.mockResolvedValue(null);
+
+            await service.track({
+                question: "Do you deliver on Sundays?",
+                businessId: 1,
+                conversationId: 9,
+                language: "es",
+                contextSources: [
+                    { id: 3, type: "faq", similarity_score: 0.4, content: "..." },
+                ],
+                confidenceScore: 0.35,
+                conversationContext: { recent_messages: [] },
+            });
+
+            expect(UnansweredQuestion.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    business_id: 1,
+                    conversation_id: 9,
+                    normalized_question: "do you deliver on sundays",
+                    question_hash: service.hashQuestion(
+                        "do you deliver on sundays"
+                    ),
+                    context_sources_searched: [
+                        { id: 3, type: "faq", similarity_score: 0.4 },
+                    ],
+                    source_sessions: [],
+                    language_code: "es",
+                }),
+                { returning: false }
+            );
+        });
+
+        it("should match questions asked in the tester and live", async () => {
+            const existing = {
+                frequency: 1,
+                confidence_scores: [0.3],
+                source_sessions: [4],
+                update: jest.fn().mockResolvedValue({}),
+            };
+            UnansweredQuestion.findOne.mockResolvedValue(existing);
+
+            await service.track({
+                question: "do you deliver on SUNDAYS",
+                businessId: 1,
+                conversationId: 9,
+                confidenceScore: 0.5,
+            });
+
+            expect(UnansweredQuestion.findOne).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    where: {
+                        business_id: 1,
+                        question_hash: service.hashQuestion(
+                            "do you deliver on sundays"
+                        ),
+                    },
+                })
+            );
+            // Live conversations leave the tester sessions untouched
+            expect(existing.update).toHaveBeenCalledWith({
+                frequency: 2,
+                last_asked_at: expect.any(Date),
+                confidence_scores: [0.3, 0.5],
+                average_confidence: 0.4,
+            });
+        });
+
+        it("should not throw when the database fails", async () => {
+            UnansweredQuestion.findOne.mockRejectedValue(
+                new Error("Database error")
+            );
+
+            await expect(
+                service.track({
+                    question: "Hours?",
+                    businessId: 1,
+                    confidenceScore: 0.1,
+                })
+            ).resolves.toBeUndefined();
+        });
+    });
+});
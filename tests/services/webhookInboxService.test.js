@@ -0,0 +1,291 @@
+const WebhookInboxService = require("../../src/services/webhookInboxService");
+const { WebhookInboxEvent } = require("../../src/models");
+
+jest.mock("../../src/models", () => ({
+    WebhookInboxEvent: {
+        findOrCreate: jest.fn(),
+        findAll: jest.fn(),
+        findByPk: jest.fn(),
+        update: jest.fn(),
+        count: jest.fn(),
+    },
+}));
+
+describe("WebhookInboxService", () => {
+    let service;
+    let handler;
+    let onDeadLetter;
+
+    const messageEvent = {
+        sender: { id: "user_1" },
+        recipient: { id: "ig_account_a" },
+        timestamp: 1700000000000,
+        message: { mid: "mid.1", text: "Hello" },
+    };
+
+    const buildInboxEvent = (overrides = {}) => {
+        const inboxEvent = {
+            id: 1,
+            status: "pending",
+            attempts: 0,
+            max_attempts: 3,
+            event_type: "message",
+            sender_id: "user_1",
+            platform_source_id: 1,
+            payload: messageEvent,
+            ...overrides,
+        };
+        inboxEvent.update = jest.fn((values) => {
+            Object.assign(inboxEvent, values);
+            return Promise.resolve(inboxEvent);
+        });
+        return inboxEvent;
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        handler = jest.fn().mockResolvedValue();
+        onDeadLetter = jest.fn().mockResolvedValue();
+        service = new WebhookInboxService({
+            handler,
+            onDeadLetter,
+            maxAttempts: 3,
+            baseDelayMs: 1000,
+            maxDelayMs: 3000,
+        });
+        WebhookInboxEvent.update.mockResolvedValue([1]);
+    });
+
+    afterEach(() => {
+        service.stop();
+    });
+
+    describe("getDedupeKey", () => {
+        it("should use the platform message ID", () => {
+            expect(service.getDedupeKey(messageEvent)).toBe("mid.1");
+            expect(
+                service.getDedupeKey({
+                    sender: { id: "user_1" },
+                    postback: { mid: "mid.2", payload: "yes" },
+                })
+            ).toBe("mid.2");
+        });
+
+        it("should hash events without a message ID", () => {
+            const event = { sender: { id: "user_1" }, postback: { payload: "yes" } };
+
+            const key = service.getDedupeKey(event);
+
+            expect(key).toMatch(/^hash:[a-f0-9]{64}$/);
+            expect(service.getDedupeKey({ ...event })).toBe(key);
+        });
+    });
+
+    describe("enqueue", () => {
+        it("should persist new events as pending", async () => {
+            WebhookInboxEvent.findOrCreate.mockResolvedValue([{ id: 1 }, true]);
+
+            const result = await service.enqueue({
+                platformType: "instagram",
+                platformSourceId: 1,
+                event: messageEvent,
+            });
+
+            expect(result.duplicate).toBe(false);
+            expect(WebhookInboxEvent.findOrCreate).toHaveBeenCalledWith({
+                where: { platform_type: "instagram", dedupe_key: "mid.1" },
+                defaults: expect.objectContaining({
+                    platform_source_id: 1,
+                    event_type: "message",
+                    sender_id: "user_1",
+                    payload: messageEvent,
+                    status: "pending",
+                    max_attempts: 3,
+                }),
+            });
+        });
+
+        it("should report redelivered events as duplicates", async () => {
+            WebhookInboxEvent.findOrCreate.mockResolvedValue([{ id: 1 }, false]);
+
+            const result = await service.enqueue({
+                platformType: "instagram",
+                platformSourceId: 1,
+                event: messageEvent,
+            });
+
+            expect(result.duplicate).toBe(true);
+        });
+
+        it("should treat a lost insert race as a duplicate", async () => {
+            const error = new Error("duplicate key");
+            error.name = "SequelizeUniqueConstraintError";
+            WebhookInboxEvent.findOrCreate.mockRejectedValue(error);
+
+            await expect(
+                service.enqueue({
+                    platformType: "instagram",
+                    platformSourceId: 1,
+                    event: messageEvent,
+                })
+            ).resolves.toEqual({ inboxEvent: null, duplicate: true });
+        });
+
+        it("should rethrow other database errors", async () => {
+            WebhookInboxEvent.findOrCreate.mockRejectedValue(
+                new Error("Connection refused")
+            );
+
+            await expect(
+                service.enqueue({
+                    platformType: "instagram",
+                    platformSourceId: 1,
+                    event: messageEvent,
+                })
+            ).rejects.toThrow("Connection refused");
+        });
+    });
+
+    describe("getRetryDelay", () => {
+        it("should back off exponentially up to the cap", () => {
+            expect(service.getRetryDelay(1)).toBe(1000);
+            expect(service.getRetryDelay(2)).toBe(2000);
+            expect(service.getRetryDelay(3)).toBe(3000);
+            expect(service.getRetryDelay(10)).toBe(3000);
+        });
+    });
+
+    describe("processDue", () => {
+        it("should claim and complete due events", async () => {
+            const inboxEvent = buildInboxEvent();
+            WebhookInboxEvent.findAll.mockResolvedValue([inboxEvent]);
+
+            const processed = await service.processDue();
+
+            expect(processed).toBe(1);
+            expect(WebhookInboxEvent.update).toHaveBeenCalledWith(
+                expect.objectContaining({ status: "processing", attempts: 1 }),
+                { where: { id: 1, status: "pending" } }
+            );
+            expect(handler).toHaveBeenCalledWith(inboxEvent);
+            expect(inboxEvent.status).toBe("completed");
+            expect(inboxEvent.processed_at).toBeInstanceOf(Date);
+        });
+
+        it("should skip events claimed by another worker", async () => {
+            const inboxEvent = buildInboxEvent();
+            WebhookInboxEvent.findAll.mockResolvedValue([inboxEvent]);
+            WebhookInboxEvent.update
+                .mockResolvedValueOnce([0]) // stale lock release
+                .mockResolvedValueOnce([0]); // claim lost
+
+            const processed = await service.processDue();
+
+            expect(processed).toBe(0);
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        it("should schedule a retry with backoff when the handler fails", async () => {
+            const inboxEvent = buildInboxEvent();
+            WebhookInboxEvent.findAll.mockResolvedValue([inboxEvent]);
+            handler.mockRejectedValue(new Error("AI unavailable"));
+            const before = Date.now();
+
+            await service.processDue();
+
+            expect(inboxEvent.status).toBe("pending");
+            expect(inboxEvent.attempts).toBe(1);
+            expect(inboxEvent.last_error).toBe("AI unavailable");
+            expect(inboxEvent.next_attempt_at.getTime()).toBeGreaterThanOrEqual(
+                before + 1000
+            );
+            expect(onDeadLetter).not.toHaveBeenCalled();
+        });
+
+        it("should dead-letter events that exhausted their attempts", async () => {
+            const inboxEvent = buildInboxEvent({ attempts: 2 });
+            WebhookInboxEvent.findAll.mockResolvedValue([inboxEvent]);
+            handler.mockRejectedValue(new Error("AI unavailable"));
+
+            await service.processDue();
+
+            expect(inboxEvent.status).toBe("dead_letter");
+            expect(inboxEvent.attempts).toBe(3);
+            expect(onDeadLetter).toHaveBeenCalledWith(
+                inboxEvent,
+                expect.any(Error)
+            );
+        });
+
+        it("should release stale locks before polling", async () => {
+            WebhookInboxEvent.findAll.mockResolvedValue([]);
+
+            await service.processDue();
+
+            expect(WebhookInboxEvent.update).toHaveBeenCalledWith(
+                { status: "pending", locked_at: null },
+                {
+                    where: expect.objectContaining({ status: "processing" }),
+                }
+            );
+        });
+
+        it("should not throw when polling fails", async () => {
+            WebhookInboxEvent.findAll.mockRejectedValue(
+                new Error("Database error")
+            );
+
+            await expect(service.processDue()).resolves.toBe(0);
+            expect(service.isProcessing).toBe(false);
+        });
+    });
+
+    describe("replay", () => {
+        it("should requeue dead-lettered events with a fresh budget", async () => {
+            const inboxEvent = buildInboxEvent({
+                status: "dead_letter",
+                attempts: 3,
+                last_error: "AI unavailable",
+            });
+            WebhookInboxEvent.findByPk.mockResolvedValue(inboxEvent);
+
+            await service.replay(1);
+
+            expect(inboxEvent.status).toBe("pending");
+            expect(inboxEvent.attempts).toBe(0);
+            expect(inboxEvent.last_error).toBeNull();
+        });
+
+        it("should refuse to replay other events", async () => {
+            WebhookInboxEvent.findByPk.mockResolvedValue(
+                buildInboxEvent({ status: "completed" })
+            );
+
+            await expect(service.replay(1)).rejects.toMatchObject({
+                code: "INBOX_EVENT_NOT_REPLAYABLE",
+            });
+        });
+
+        it("should return null for unknown events", async () => {
+            WebhookInboxEvent.findByPk.mockResolvedValue(null);
+
+            await expect(service.replay(999)).resolves.toBeNull();
+        });
+    });
+
+    describe("getStats", () => {
+        it("should count events per status", async () => {
+            WebhookInboxEvent.count.mockResolvedValue([
+                { status: "pending", count: 2 },
+                { status: "dead_letter", count: 1 },
+            ]);
+
+            await expect(service.getStats()).resolves.toEqual({
+                pending: 2,
+                processing: 0,
+                completed: 0,
+                dead_letter: 1,
+            });
+        });
+    });
+});
@@ -0,0 +1,282 @@
+const { Op } = require("sequelize");
+const WebsiteChatService = require("../../src/services/websiteChatService");
+const {
+    Client,
+    Conversation,
+    Message,
+    PlatformSource,
+} = require("../../src/models");
+
+jest.mock("../../src/models", () => ({
+    Client: {
+        create: jest.fn(),
+        findOne: jest.fn(),
+    },
+    Conversation: {
+        findAll: jest.fn(),
+    },
+    Message: {
+        findAll: jest.fn(),
+    },
+    PlatformSource: {
+        create: jest.fn(),
+        findAll: jest.fn(),
+        findOne: jest.fn(),
+    },
+}));
+
+describe("WebsiteChatService", () => {
+    const SESSION_ID = `ws_${"a".repeat(48)}`;
+    const widget = {
+        id: 3,
+        business_id: 1,
+        platform_type: "website",
+        platform_name: "Website chat",
+        is_connected: true,
+        credentials: JSON.stringify({ widget_key: "wk_1" }),
+        configuration: JSON.stringify({
+            allowed_origins: ["https://www.example.com"],
+            greeting: "Hi! How can we help?",
+        }),
+    };
+    let service;
+    let conversationEngine;
+    let platformRouting;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        conversationEngine = { processTurn: jest.fn() };
+        platformRouting = {
+            resolvePlatformSource: jest.fn().mockResolvedValue(widget),
+            clearCache: jest.fn(),
+            parseJson: (value) =>
+                typeof value === "string" ? JSON.parse(value) : value || {},
+        };
+        service = new WebsiteChatService({
+            conversationEngine,
+            messageDelivery: {},
+            platformRouting,
+        });
+    });
+
+    describe("widgets", () => {
+        it("should create a live widget with a new key", async () => {
+            PlatformSource.create.mockImplementation(async (fields) => ({
+                id: 4,
+                ...fields,
+            }));
+
+            const created = await service.createWidget(1, {
+                allowed_origins: ["https://www.example.com"],
+                color: "#000000",
+                unrelated: true,
+            });
+
+            const fields = PlatformSource.create.mock.calls[0][0];
+            expect(fields).toMatchObject({
+                business_id: 1,
+                platform_type: "website",
+                platform_name: "Website chat",
+                is_connected: true,
+                configuration: {
+                    allowed_origins: ["https://www.example.com"],
+                    color: "#000000",
+                },
+            });
+            expect(created.widget_key).toMatch(/^wk_/);
+            expect(created).toMatchObject({
+                id: 4,
+                enabled: true,
+                title: "Chat with us",
+                color: "#000000",
+            });
+        });
+
+        it("should keep settings left out of an update", async () => {
+            const source = {
+                ...widget,
+                update: jest.fn(async (changes) =>
+                    Object.assign(source, changes)
+                ),
+            };
+            PlatformSource.findOne.mockResolvedValue(source);
+
+            const updated = await service.updateWidget(1, 3, {
+                enabled: false,
+                title: "Ask us",
+            });
+
+            expect(source.update).toHaveBeenCalledWith({
+                configuration: {
+                    allowed_origins: ["https://www.example.com"],
+                    greeting: "Hi! How can we help?",
+                    title: "Ask us",
+                },
+                is_connected: false,
+                connection_status: "disconnected",
+            });
+            expect(updated).toMatchObject({ enabled: false, title: "Ask us" });
+            // A disabled widget stops answering at once
+            expect(platformRouting.clearCache).toHaveBeenCalled();
+        });
+
+        it("should not update another business's widget", async () => {
+            PlatformSource.findOne.mockResolvedValue(null);
+
+            await expect(
+                service.updateWidget(2, 3, { title: "Ask us" })
+            ).rejects.toMatchObject({ code: "WIDGET_NOT_FOUND" });
+        });
+    });
+
+    describe("findWidget", () => {
+        it("should resolve a connected widget by its key", async () => {
+            await expect(service.findWidget("wk_1")).resolves.toBe(widget);
+            expect(platformRouting.resolvePlatformSource).toHaveBeenCalledWith(
+                "website",
+                "wk_1"
+            );
+        });
+
+        it("should reject unknown and disabled widgets", async () => {
+            platformRouting.resolvePlatformSource.mockResolvedValueOnce(null);
+            await expect(service.findWidget("wk_2")).rejects.toMatchObject({
+                code: "WIDGET_NOT_FOUND",
+            });
+
+            platformRouting.resolvePlatformSource.mockResolvedValueOnce({
+                ...widget,
+                is_connected: false,
+            });
+            await expect(service.findWidget("wk_1")).rejects.toMatchObject({
+                code: "WIDGET_NOT_FOUND",
+            });
+        });
+    });
+
+    it("should only allow origins on the widget's allow-list", () => {
+        expect(() =>
+            service.checkOrigin(widget, "https://www.example.com")
+        ).not.toThrow();
+        expect(() =>
+            service.checkOrigin(widget, "https://attacker.test")
+        ).toThrow(
+            expect.objectContaining({ code: "WIDGET_ORIGIN_NOT_ALLOWED" })
+        );
+    });
+
+    it("should start a session without storing a client", async () => {
+        const session = await service.startSession(widget);
+
+        expect(session.session_id).toMatch(/^ws_[0-9a-f]{48}$/);
+        expect(session.greeting).toBe("Hi! How can we help?");
+        expect(Client.create).not.toHaveBeenCalled();
+    });
+
+    describe("sendMessage", () => {
+        it("should answer through the conversation engine", async () => {
+            conversationEngine.processTurn.mockResolvedValue({
+                record: {
+                    id: 80,
+                    sender_type: "bot",
+                    message_text: "Which day suits you?",
+                    message_metadata: {
+                        quick_replies: [{ id: "1", title: "Monday" }],
+                    },
+                    message_timestamp: new Date("2030-06-03T10:00:00Z"),
+                },
+            });
+
+            const result = await service.sendMessage(
+                widget,
+                SESSION_ID,
+                "I want a cleaning"
+            );
+
+            const [adapter, input] =
+                conversationEngine.processTurn.mock.calls[0];
+            expect(input).toEqual({
+                message: "I want a cleaning",
+                userId: SESSION_ID,
+            });
+            expect(adapter.channel).toBe("website");
+            // The adapter finds or creates the visitor's client
+            expect(adapter.senderId).toBe(SESSION_ID);
+            expect(result).toEqual({
+                reply: {
+                    id: 80,
+                    sender_type: "bot",
+                    text: "Which day suits you?",
+                    quick_replies: [{ id: "1", title: "Monday" }],
+                    sent_at: new Date("2030-06-03T10:00:00Z"),
+                },
+                bot_paused: false,
+            });
+        });
+
+        it("should not reply while an agent has the conversation", async () => {
+            conversationEngine.processTurn.mockResolvedValue({
+                bot_paused: true,
+            });
+
+            await expect(
+                service.sendMessage(widget, SESSION_ID, "Hello?")
+            ).resolves.toEqual({ reply: null, bot_paused: true });
+        });
+
+        it("should reject session IDs the widget was not given", async () => {
+            await expect(
+                service.sendMessage(widget, "5", "Hi")
+            ).rejects.toMatchObject({ code: "WIDGET_SESSION_NOT_FOUND" });
+            expect(conversationEngine.processTurn).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("listMessages", () => {
+        it("should list the session's messages after a time", async () => {
+            const after = new Date("2030-06-03T10:00:00Z");
+            Client.findOne.mockResolvedValue({ id: 5 });
+            Conversation.findAll.mockResolvedValue([{ id: 9 }]);
+            Message.findAll.mockResolvedValue([
+                {
+                    id: 81,
+                    sender_type: "agent",
+                    message_text: "Hi, this is Anna",
+                    message_metadata: null,
+                    message_timestamp: new Date("2030-06-03T10:05:00Z"),
+                },
+            ]);
+
+            const messages = await service.listMessages(widget, SESSION_ID, {
+                after,
+            });
+
+            expect(Conversation.findAll).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    where: { client_id: 5, source_id: 3 },
+                })
+            );
+            expect(Message.findAll.mock.calls[0][0].where).toEqual({
+                conversation_id: { [Op.in]: [9] },
+                message_timestamp: { [Op.gt]: after },
+            });
+            expect(messages).toEqual([
+                expect.objectContaining({
+                    sender_type: "agent",
+                    text: "Hi, this is Anna",
+                    quick_replies: [],
+                }),
+            ]);
+        });
+
+        it("should list nothing before the first message", async () => {
+            Client.findOne.mockResolvedValue(null);
+
+            await expect(
+                service.listMessages(widget, SESSION_ID)
+            ).resolves.toEqual([]);
+            expect(Conversation.findAll).not.toHaveBeenCalled();
+            expect(Message.findAll).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,94 @@
+const {
+    generateWidgetKey,
+    generateSessionId,
+    isSessionId,
+    isOriginAllowed,
+    validateWidgetSettings,
+    getWidgetSettings,
+    buildEmbedSnippet,
+} = require("../../src/services/websiteWidget");
+
+describe("websiteWidget", () => {
+    it("should issue widget keys and session IDs", () => {
+        expect(generateWidgetKey()).toMatch(/^wk_[0-9a-f]{32}$/);
+        expect(generateWidgetKey()).not.toBe(generateWidgetKey());
+
+        const sessionId = generateSessionId();
+        expect(isSessionId(sessionId)).toBe(true);
+        expect(isSessionId("ws_guess")).toBe(false);
+        expect(isSessionId(undefined)).toBe(false);
+    });
+
+    describe("isOriginAllowed", () => {
+        const allowed = ["https://www.example.com", "https://*.shop.test"];
+
+        it("should match listed origins exactly", () => {
+            expect(isOriginAllowed("https://www.example.com", allowed)).toBe(
+                true
+            );
+            expect(isOriginAllowed("https://WWW.example.com", allowed)).toBe(
+                true
+            );
+            expect(isOriginAllowed("http://www.example.com", allowed)).toBe(
+                false
+            );
+            expect(isOriginAllowed("https://example.com", allowed)).toBe(false);
+        });
+
+        it("should match subdomains of wildcard entries", () => {
+            expect(isOriginAllowed("https://eu.shop.test", allowed)).toBe(true);
+            expect(isOriginAllowed("https://shop.test", allowed)).toBe(false);
+            expect(isOriginAllowed("https://evilshop.test", allowed)).toBe(
+                false
+            );
+        });
+
+        it("should reject requests without an origin or an allow-list", () => {
+            expect(isOriginAllowed(undefined, allowed)).toBe(false);
+            expect(isOriginAllowed("https://www.example.com", [])).toBe(false);
+        });
+    });
+
+    it("should validate widget settings", () => {
+        expect(
+            validateWidgetSettings({
+                allowed_origins: [
+                    "https://www.example.com",
+                    "http://*.test:8080",
+                ],
+                title: "Ask us",
+                greeting: null,
+                color: "#112233",
+            })
+        ).toEqual([]);
+        expect(
+            validateWidgetSettings({
+                allowed_origins: ["www.example.com", "https://example.com/"],
+                title: "",
+                color: "blue",
+            })
+        ).toHaveLength(4);
+        expect(validateWidgetSettings({ allowed_origins: "*" })).toEqual([
+            "allowed_origins must be an array",
+        ]);
+    });
+
+    it("should fill in defaults for settings the business left out", () => {
+        expect(
+            getWidgetSettings({
+                configuration: JSON.stringify({ greeting: "Hi there!" }),
+            })
+        ).toEqual({
+            allowed_origins: [],
+            title: "Chat with us",
+            greeting: "Hi there!",
+            color: "#2563eb",
+        });
+    });
+
+    it("should build the embed snippet", () => {
+        expect(buildEmbedSnippet("https://api.example.com", "wk_1")).toBe(
+            '<script src="https://api.example.com/api/widget/widget.js" data-widget-key="wk_1" async></script>'
+        );
+    });
+});
@@ -0,0 +1,224 @@
+const {
+    getPhoneNumberId,
+    toMessagingEvents,
+    buildMessageBody,
+    buildTemplate,
+    validateTemplate,
+} = require("../../src/services/whatsappCloudApi");
+
+describe("whatsappCloudApi", () => {
+    const inbound = (message) => ({
+        from: "34600111222",
+        id: "wamid.in.1",
+        timestamp: "1780000000",
+        ...message,
+    });
+
+    it("should read the phone number a change was sent to", () => {
+        expect(
+            getPhoneNumberId({
+                value: { metadata: { phone_number_id: 1065403 } },
+            })
+        ).toBe("1065403");
+        expect(getPhoneNumberId({ value: {} })).toBeNull();
+    });
+
+    describe("toMessagingEvents", () => {
+        it("should map text messages onto messaging events", () => {
+            const [event] = toMessagingEvents({
+                messages: [inbound({ type: "text", text: { body: "Hola" } })],
+            });
+
+            expect(event).toEqual({
+                sender: { id: "34600111222" },
+                timestamp: 1780000000000,
+                message: { mid: "wamid.in.1", text: "Hola" },
+            });
+        });
+
+        it("should keep media as attachments with the caption as text", () => {
+            const [event] = toMessagingEvents({
+                messages: [
+                    inbound({
+                        type: "document",
+                        document: {
+                            id: "media_1",
+                            mime_type: "application/pdf",
+                            filename: "quote.pdf",
+                            caption: "My quote",
+                        },
+                    }),
+                ],
+            });
+
+            expect(event.message).toEqual({
+                mid: "wamid.in.1",
+                text: "My quote",
+                attachments: [
+                    {
+                        type: "document",
+                        payload: {
+                            media_id: "media_1",
+                            mime_type: "application/pdf",
+                            filename: "quote.pdf",
+                        },
+                    },
+                ],
+            });
+        });
+
+        it("should map interactive and template button replies to quick replies", () => {
+            const events = toMessagingEvents({
+                messages: [
+                    inbound({
+                        type: "interactive",
+                        interactive: {
+                            type: "list_reply",
+                            list_reply: { id: "slot_2", title: "Tue 10:00" },
+                        },
+                    }),
+                    inbound({
+                        id: "wamid.in.2",
+                        type: "button",
+                        button: { payload: "CONFIRM", text: "Confirm" },
+                    }),
+                ],
+            });
+
+            expect(events.map((event) => event.message)).toEqual([
+                {
+                    mid: "wamid.in.1",
+                    text: "Tue 10:00",
+                    quick_reply: { payload: "slot_2", title: "Tue 10:00" },
+                },
+                {
+                    mid: "wamid.in.2",
+                    text: "Confirm",
+                    quick_reply: { payload: "CONFIRM", title: "Confirm" },
+                },
+            ]);
+        });
+
+        it("should keep the message a customer replied to", () => {
+            const [event] = toMessagingEvents({
+                messages: [
+                    inbound({
+                        type: "text",
+                        text: { body: "This one" },
+                        context: { from: "15550001111", id: "wamid.out.7" },
+                    }),
+                ],
+            });
+
+            expect(event.message.reply_to).toEqual({ mid: "wamid.out.7" });
+        });
+
+        it("should leave out messages there is nothing to answer to", () => {
+            expect(
+                toMessagingEvents({
+                    messages: [
+                        inbound({
+                            type: "reaction",
+                            reaction: {
+                                message_id: "wamid.out.1",
+                                emoji: "👍",
+                            },
+                        }),
+                        inbound({ type: "unsupported" }),
+                    ],
+                })
+            ).toEqual([]);
+        });
+
+        it("should map statuses onto receipts", () => {
+            const status = (fields) => ({
+                id: "wamid.out.1",
+                recipient_id: "34600111222",
+                timestamp: "1780000100",
+                ...fields,
+            });
+
+            const events = toMessagingEvents({
+                statuses: [
+                    status({ status: "sent" }),
+                    status({ status: "delivered" }),
+                    status({ status: "read" }),
+                    status({
+                        status: "failed",
+                        errors: [
+                            { code: 131047, title: "Re-engagement message" },
+                        ],
+                    }),
+                ],
+            });
+
+            expect(events).toEqual([
+                expect.objectContaining({
+                    sender: { id: "34600111222" },
+                    delivery: { mids: ["wamid.out.1"] },
+                }),
+                expect.objectContaining({ read: { mids: ["wamid.out.1"] } }),
+                expect.objectContaining({
+                    failure: {
+                        mids: ["wamid.out.1"],
+                        error: "WhatsApp error 131047: Re-engagement message",
+                    },
+                }),
+            ]);
+        });
+    });
+
+    describe("buildMessageBody", () => {
+        it("should send text as a session message", () => {
+            expect(buildMessageBody("34600111222", { text: "Hi" })).toEqual({
+                messaging_product: "whatsapp",
+                recipient_type: "individual",
+                to: "34600111222",
+                type: "text",
+                text: { body: "Hi" },
+            });
+        });
+
+        it("should send templates and native message objects as given", () => {
+            const template = { name: "reminder", language: { code: "es" } };
+
+            expect(buildMessageBody("34600111222", { template })).toMatchObject(
+                { type: "template", template }
+            );
+            expect(
+                buildMessageBody("34600111222", {
+                    type: "image",
+                    image: { link: "https://example.com/menu.jpg" },
+                })
+            ).toMatchObject({
+                type: "image",
+                image: { link: "https://example.com/menu.jpg" },
+            });
+        });
+    });
+
+    describe("templates", () => {
+        it("should accept the language as a code", () => {
+            expect(buildTemplate({ name: "reminder", language: "es" })).toEqual(
+                { name: "reminder", language: { code: "es" } }
+            );
+        });
+
+        it("should validate the name, language and components", () => {
+            expect(
+                validateTemplate({ name: "reminder", language: "es" })
+            ).toEqual([]);
+            expect(validateTemplate({ language: { code: "es" } })).toEqual([
+                "template name is required",
+            ]);
+            expect(
+                validateTemplate({
+                    name: "reminder",
+                    language: {},
+                    components: "body",
+                })
+            ).toHaveLength(2);
+            expect(validateTemplate(undefined)).toHaveLength(1);
+        });
+    });
+});